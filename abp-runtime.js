@@ -3,7 +3,7 @@
  * Version: 0.1.0
  *
  * Implements the Agentic Browser Protocol for the Webscribe Chrome extension.
- * Exposes 17 capabilities for crawling, storage, content conversion, diagnostics, and scraping.
+ * Exposes 19 capabilities for crawling, storage, content conversion, diagnostics, and scraping.
  */
 
 (function() {
@@ -17,6 +17,7 @@
   const APP_ID = 'com.nicholasdao.webscribe';
   const APP_NAME = 'Webscribe';
   const MESSAGE_TIMEOUT = 30000; // 30 seconds
+  const DRY_RUN_TIMEOUT = 120000; // Sitemap discovery plus link fetching can take over a minute
 
   const ERROR_CODES = {
     NOT_INITIALIZED: 'NOT_INITIALIZED',
@@ -45,9 +46,10 @@
    * Send a message to the service worker using MessageChannel pattern
    * @param {string} type - Message type
    * @param {any} data - Message data
+   * @param {number} [timeout] - Milliseconds to wait for the response (default: MESSAGE_TIMEOUT)
    * @returns {Promise<any>} Response data
    */
-  async function _sendMessage(type, data) {
+  async function _sendMessage(type, data, timeout = MESSAGE_TIMEOUT) {
     return new Promise((resolve, reject) => {
       (async () => {
         let timeoutId = null;
@@ -89,13 +91,12 @@
             }
           };
 
-          // Timeout after 30 seconds
           timeoutId = setTimeout(() => {
             if (!responseCalled) {
               cleanup();
               reject(new Error('Service worker request timeout'));
             }
-          }, MESSAGE_TIMEOUT);
+          }, timeout);
 
           // Send message to service worker
           navigator.serviceWorker.controller.postMessage(
@@ -208,8 +209,8 @@
       });
     }
 
-    if (meta.ogTitle || meta.jsonLd?.headline) {
-      const title = (meta.ogTitle || meta.jsonLd?.headline || '').replace(/"/g, '\\"');
+    if (meta.ogTitle || meta.jsonLd?.headline || meta.title) {
+      const title = (meta.ogTitle || meta.jsonLd?.headline || meta.title || '').replace(/"/g, '\\"');
       lines.push(`title: "${title}"`);
     }
 
@@ -232,6 +233,11 @@
       lines.push(`type: "${type}"`);
     }
 
+    if (page.contentType === 'pdf') {
+      lines.push('content_type: "pdf"');
+      if (meta.pdf?.pageCount) lines.push(`page_count: ${meta.pdf.pageCount}`);
+    }
+
     if (meta.keywords) {
       lines.push(`keywords: "${meta.keywords.replace(/"/g, '\\"')}"`);
     }
@@ -387,9 +393,11 @@
         options: params.options || {}
       });
 
+      // 'queued' when the maximum number of concurrent crawls is already running
       return _createSuccessResponse({
         jobId: result.jobId,
-        status: 'started'
+        status: result.status || 'started',
+        queuePosition: result.position || null
       });
     } catch (error) {
       console.error('[ABP] crawl.start error:', error);
@@ -397,29 +405,68 @@
     }
   }
 
+  /**
+   * Handler: crawl.preview
+   */
+  async function _crawlPreview(params) {
+    try {
+      if (!params.urls || (Array.isArray(params.urls) && params.urls.length === 0)) {
+        return _createErrorResponse(ERROR_CODES.INVALID_PARAMS, 'urls parameter is required and must not be empty');
+      }
+
+      const result = await _sendMessage('DRY_RUN', {
+        baseUrl: params.urls,
+        options: params.options || {}
+      }, DRY_RUN_TIMEOUT);
+
+      return _createSuccessResponse(result);
+    } catch (error) {
+      console.error('[ABP] crawl.preview error:', error);
+      return _createErrorResponse(ERROR_CODES.OPERATION_FAILED, error.message, true);
+    }
+  }
+
   /**
    * Handler: crawl.status
    */
   async function _crawlStatus(params) {
     try {
+      // Running and queued crawls
+      const statusResult = await _sendMessage('GET_CRAWL_STATUS', {});
+      const crawls = statusResult.crawls || [];
+
       if (!params.jobId) {
-        return _createErrorResponse(ERROR_CODES.INVALID_PARAMS, 'jobId parameter is required');
+        return _createSuccessResponse({
+          active: crawls.length > 0,
+          crawls,
+          maxConcurrentCrawls: statusResult.maxConcurrentCrawls,
+          workerBudget: statusResult.workerBudget
+        });
       }
 
-      // Get active crawl status
-      const statusResult = await _sendMessage('GET_CRAWL_STATUS', {});
-
       // Get job details
       const jobResult = await _sendMessage('GET_JOB', { jobId: params.jobId });
 
+      // Live stats only come from this job's own crawl
+      const entry = crawls.find(crawl => crawl.jobId === params.jobId) || null;
+      const running = entry && entry.status !== 'queued' ? entry : null;
+
       // Merge results
       const responseData = {
-        active: statusResult.active || false,
+        active: Boolean(running),
+        queued: entry?.status === 'queued',
+        queuePosition: entry?.status === 'queued' ? entry.position : null,
         jobId: params.jobId,
-        pagesProcessed: statusResult.active ? statusResult.pagesProcessed : 0,
-        pagesFound: statusResult.active ? statusResult.pagesFound : 0,
-        queueSize: statusResult.active ? statusResult.queueSize : 0,
-        inProgress: statusResult.active ? statusResult.inProgress : [],
+        pagesProcessed: running ? running.pagesProcessed : 0,
+        pagesFound: running ? running.pagesFound : 0,
+        queueSize: running ? running.queueSize : 0,
+        inProgress: running ? running.inProgress : [],
+        retrying: running ? (running.retrying || 0) : 0,
+        robotsSkipped: jobResult.job?.robotsSkipped || [],
+        robotsSkippedCount: running ? running.robotsSkipped : (jobResult.job?.robotsSkippedCount || 0),
+        hostRates: running ? (running.hostRates || []) : [],
+        changes: running ? (running.changes || null) : null,
+        crawls,
         job: jobResult.job
       };
 
@@ -435,8 +482,12 @@
    */
   async function _crawlCancel(params) {
     try {
-      await _sendMessage('CANCEL_CRAWL', {});
-      return _createSuccessResponse({ status: 'cancelled' });
+      const result = await _sendMessage('CANCEL_CRAWL', { jobId: params.jobId });
+      return _createSuccessResponse({
+        status: 'cancelled',
+        cancelled: result.cancelled || [],
+        dequeued: result.dequeued || []
+      });
     } catch (error) {
       console.error('[ABP] crawl.cancel error:', error);
       return _createErrorResponse(ERROR_CODES.OPERATION_FAILED, error.message, true);
@@ -459,7 +510,8 @@
 
       return _createSuccessResponse({
         jobId: result.jobId,
-        status: 'resumed'
+        status: result.status || 'resumed',
+        queuePosition: result.position || null
       });
     } catch (error) {
       console.error('[ABP] crawl.resume error:', error);
@@ -467,6 +519,32 @@
     }
   }
 
+  /**
+   * Handler: crawl.retryFailed
+   */
+  async function _crawlRetryFailed(params) {
+    try {
+      if (!params.jobId) {
+        return _createErrorResponse(ERROR_CODES.INVALID_PARAMS, 'jobId parameter is required');
+      }
+
+      const result = await _sendMessage('RETRY_FAILED_PAGES', {
+        jobId: params.jobId,
+        retryableOnly: params.retryableOnly || false,
+        options: params.options || {}
+      });
+
+      return _createSuccessResponse({
+        jobId: result.jobId,
+        status: result.status || 'started',
+        queuePosition: result.position || null
+      });
+    } catch (error) {
+      console.error('[ABP] crawl.retryFailed error:', error);
+      return _createErrorResponse(ERROR_CODES.OPERATION_FAILED, error.message, true);
+    }
+  }
+
   // =============================================================================
   // CAPABILITY HANDLERS - Storage Operations
   // =============================================================================
@@ -724,6 +802,28 @@
             const filename = _sanitizeFileName(page.url) + extension;
             const filePath = `${folderName}/${filename}`;
             zip.file(filePath, content);
+
+            if (params.includeScreenshots && page.markdownMeta?.screenshot) {
+              const { screenshot } = await _sendMessage('GET_PAGE_SCREENSHOT', { pageId: page.id });
+              if (screenshot) {
+                zip.file(`${folderName}/screenshots/${_sanitizeFileName(page.url)}.${screenshot.format}`, screenshot.blob);
+              }
+            }
+
+            if (params.includeArchives && page.markdownMeta?.archive) {
+              const { archive } = await _sendMessage('GET_PAGE_ARCHIVE', { pageId: page.id });
+              if (archive) {
+                zip.file(`${folderName}/archives/${_sanitizeFileName(page.url)}.mhtml`, archive.blob);
+              }
+            }
+          }
+
+          if (params.includeApiRecording) {
+            const { har, markdown } = await _sendMessage('EXPORT_API_RECORDING', { jobId });
+            if (har) {
+              zip.file(`${folderName}/api-recording.har`, har);
+              zip.file(`${folderName}/api-endpoints.md`, markdown);
+            }
           }
         } catch (error) {
           console.error(`[ABP] Error processing job ${jobId}:`, error);
@@ -1039,7 +1139,7 @@
     return [
       {
         name: 'crawl.start',
-        description: 'Start a new web crawl for one or more URLs',
+        description: 'Start a new web crawl for one or more URLs (queued when the concurrent crawl limit is reached)',
         available: true,
         inputSchema: {
           type: 'object',
@@ -1059,9 +1159,126 @@
                 strictPathMatching: { type: 'boolean', default: true },
                 skipCache: { type: 'boolean', default: false },
                 useIncognito: { type: 'boolean', default: false },
+                fetchMode: { type: 'string', enum: ['rendered', 'fast', 'auto'], default: 'rendered', description: 'rendered: every page in a tab; fast: fetch() the HTML and render only pages that look client-rendered; auto: decided per site' },
+                auth: {
+                  type: 'object',
+                  description: 'Sent with every request to the origins of urls (stored encrypted on the job and reused by updates and resumes; {} clears it; cookies imply fetchMode rendered)',
+                  properties: {
+                    headers: { type: 'object', additionalProperties: { type: 'string' }, description: 'Header name → value, e.g. { "Authorization": "Bearer ..." }' },
+                    cookies: {
+                      type: 'array',
+                      items: {
+                        type: 'object',
+                        properties: {
+                          name: { type: 'string' },
+                          value: { type: 'string' },
+                          domain: { type: 'string', description: 'Default: each origin of urls (host-only)' },
+                          path: { type: 'string', default: '/' }
+                        },
+                        required: ['name', 'value']
+                      }
+                    },
+                    basicAuth: {
+                      type: 'object',
+                      properties: {
+                        username: { type: 'string' },
+                        password: { type: 'string' }
+                      }
+                    }
+                  }
+                },
                 followExternalLinks: { type: 'boolean', default: false },
                 maxExternalHops: { type: 'number', minimum: 1, maximum: 5, default: 1 },
-                waitForSelectors: { type: 'array', items: { type: 'string' } }
+                waitForSelectors: { type: 'array', items: { type: 'string' } },
+                pageActions: {
+                  type: 'object',
+                  description: 'Run on each page before extraction; what ran is recorded in the page\'s markdownMeta.pageActions (saved on the job; {} clears it; clickSelectors, captureTabs and scroll imply fetchMode rendered)',
+                  properties: {
+                    expandDetails: { type: 'boolean', default: false, description: 'Open every <details> element' },
+                    clickSelectors: { type: 'array', items: { type: 'string' }, description: 'Click every matching element once, e.g. "Show more" buttons or accordion headers' },
+                    captureTabs: { type: 'boolean', default: false, description: 'Select each tab of [role="tablist"] widgets and keep every panel under its tab label' },
+                    scroll: { type: 'boolean', default: false, description: 'Scroll to the bottom to trigger lazy loading' },
+                    timeBudget: { type: 'number', minimum: 1, maximum: 30000, default: 5000, description: 'Time for all actions on a page in ms; actions that do not fit are skipped' }
+                  }
+                },
+                infiniteScroll: {
+                  type: ['boolean', 'object'],
+                  description: 'Scroll each page with mouse wheel events until it stops loading more (feeds, "load more" lists, virtualized API references); true for the defaults, false turns it off. markdownMeta.infiniteScroll records whether the page looked truncated (saved on the job; implies fetchMode rendered)',
+                  properties: {
+                    maxHeight: { type: 'number', minimum: 1, maximum: 1000000, default: 100000, description: 'Stop once the scrolled content is this tall, in px' },
+                    timeBudget: { type: 'number', minimum: 1, maximum: 120000, default: 30000, description: 'Stop after this many ms per page' }
+                  }
+                },
+                screenshots: {
+                  type: ['boolean', 'object'],
+                  description: 'Store a compressed full-page screenshot of each page in its own store; true for the defaults, false turns it off. markdownMeta.screenshot describes the stored image (saved on the job; implies fetchMode rendered)',
+                  properties: {
+                    format: { type: 'string', enum: ['webp', 'jpeg'], default: 'webp' },
+                    quality: { type: 'number', minimum: 1, maximum: 100, default: 70 },
+                    maxBytes: { type: 'number', minimum: 1024, maximum: 10485760, default: 1048576, description: 'Larger captures are retaken at a lower quality and scale; pages that still do not fit get no screenshot' },
+                    maxHeight: { type: 'number', minimum: 1, maximum: 100000, default: 20000, description: 'Taller pages are cut, in CSS px' }
+                  }
+                },
+                pdfs: {
+                  type: ['boolean', 'object'],
+                  description: 'Follow in-scope .pdf links, download them without a tab and store their text as pages with contentType "pdf" ([Page N] markers, outline in the markdown, document information in metadata.pdf); true for the defaults, false skips PDFs (saved on the job)',
+                  properties: {
+                    maxBytes: { type: 'number', minimum: 1, maximum: 104857600, default: 26214400, description: 'Larger files fail instead of being downloaded' },
+                    maxPages: { type: 'number', minimum: 1, maximum: 5000, default: 500, description: 'Text is read from this many pages of each file at most' }
+                  }
+                },
+                archives: {
+                  type: ['boolean', 'object'],
+                  description: 'Store an MHTML snapshot of each rendered page (Page.captureSnapshot) in its own store, as a faithful copy next to the markdown; true for the defaults, false turns it off. markdownMeta.archive describes the stored snapshot (saved on the job; implies fetchMode rendered)',
+                  properties: {
+                    maxBytes: { type: 'number', minimum: 1048576, maximum: 104857600, default: 20971520, description: 'Larger snapshots are not stored' },
+                    jobBudget: { type: 'number', minimum: 1048576, maximum: 5368709120, default: 524288000, description: 'Total size of the job\'s snapshots; once used up, later pages are stored without one' }
+                  }
+                },
+                apiRecording: {
+                  type: ['boolean', 'object'],
+                  description: 'Record the XHR and fetch() calls each rendered page makes (debugger Network domain) as HAR 1.2 entries in their own store; credentials in headers are redacted. true for the defaults, false turns it off. markdownMeta.apiRecording counts the calls; export.asArchive with includeApiRecording adds the HAR file and an endpoint summary (saved on the job; implies fetchMode rendered)',
+                  properties: {
+                    maxBodyBytes: { type: 'number', minimum: 1024, maximum: 5242880, default: 65536, description: 'Larger request and response bodies are left out of the entries' },
+                    maxCallsPerPage: { type: 'number', minimum: 1, maximum: 2000, default: 200, description: 'Later calls are counted in markdownMeta.apiRecording.skipped, not recorded' },
+                    urlRules: { type: 'array', items: { type: 'object' }, description: 'Include/exclude rules for the call URLs, same shape as the crawl\'s urlRules (default: every call)' }
+                  }
+                },
+                respectRobots: { type: 'boolean', default: false },
+                maxDepth: { type: 'number', minimum: 0, maximum: 100 },
+                sitemapUrlsAsSeeds: { type: 'boolean', default: true },
+                crawlStrategy: { type: 'string', enum: ['bfs', 'dfs', 'priority'], default: 'bfs' },
+                maxRetries: { type: 'number', minimum: 0, maximum: 5, default: 2 },
+                retryBaseDelay: { type: 'number', minimum: 250, maximum: 30000, default: 2000 },
+                followPagination: { type: 'boolean', default: false, description: 'Follow ?page=N, /page/N and rel="next"/"prev" pages (fixed when the job is created)' },
+                maxPaginationPages: { type: 'number', minimum: 1, maximum: 500, default: 50 },
+                stitchPagination: { type: 'boolean', default: false, description: 'Join each paginated series into one stored page' },
+                respectPageDirectives: { type: 'boolean', default: false, description: 'Store pages under their rel="canonical" URL, skip noindex pages and nofollow links' },
+                nearDuplicateThreshold: { type: 'number', minimum: 0.75, maximum: 1, description: 'Merge pages at least this similar (SimHash) into an earlier page as alternate URLs (default: off)' },
+                canonicalization: {
+                  type: 'object',
+                  description: 'Query parameters that make a distinct page (fixed when the job is created)',
+                  properties: {
+                    keepQueryParams: { type: 'array', items: { type: 'string' }, description: 'Parameters to keep, * wildcards allowed (default: none - the query is dropped)' },
+                    stripQueryParams: { type: 'array', items: { type: 'string' }, description: 'Parameters always removed (default: utm_*, click IDs and session IDs)' },
+                    sortQueryParams: { type: 'boolean', default: true }
+                  }
+                },
+                seedUrls: { type: 'array', items: { type: 'string' }, description: 'Start from these URLs (e.g. from crawl.preview) instead of sitemap discovery; links are still followed' },
+                updateExisting: { type: 'boolean', default: false },
+                jobId: { type: 'string' },
+                urlRules: {
+                  type: 'array',
+                  items: {
+                    type: 'object',
+                    properties: {
+                      type: { type: 'string', enum: ['include', 'exclude'] },
+                      pattern: { type: 'string' },
+                      syntax: { type: 'string', enum: ['glob', 'regex'], default: 'glob' }
+                    },
+                    required: ['type', 'pattern']
+                  }
+                }
               }
             }
           },
@@ -1069,24 +1286,55 @@
         }
       },
       {
-        name: 'crawl.status',
-        description: 'Get current status and progress of a crawl job',
+        name: 'crawl.preview',
+        description: 'Dry run: list the URLs a crawl would visit (sitemap plus fetched links), grouped by path prefix, without rendering or saving pages',
         available: true,
         inputSchema: {
           type: 'object',
           properties: {
-            jobId: { type: 'string', description: 'Crawl job ID' }
+            urls: {
+              oneOf: [
+                { type: 'string' },
+                { type: 'array', items: { type: 'string' } }
+              ],
+              description: 'URL or array of URLs to preview'
+            },
+            options: {
+              type: 'object',
+              properties: {
+                strictPathMatching: { type: 'boolean', default: true },
+                respectRobots: { type: 'boolean', default: false },
+                urlRules: { type: 'array', items: { type: 'object' } },
+                canonicalization: { type: 'object' },
+                depth: { type: 'number', minimum: 0, maximum: 3, default: 1, description: 'Link hops fetched from the start and sitemap URLs' },
+                maxFetches: { type: 'number', minimum: 1, maximum: 200, default: 50, description: 'Pages fetched for links' },
+                candidates: { type: 'array', items: { type: 'object' }, description: 'urls of an earlier preview: apply changed rules without fetching again' }
+              }
+            }
           },
-          required: ['jobId']
+          required: ['urls']
+        }
+      },
+      {
+        name: 'crawl.status',
+        description: 'Get status and progress of a crawl job, or list all running and queued crawls',
+        available: true,
+        inputSchema: {
+          type: 'object',
+          properties: {
+            jobId: { type: 'string', description: 'Crawl job ID (omit to list all running and queued crawls)' }
+          }
         }
       },
       {
         name: 'crawl.cancel',
-        description: 'Cancel the active crawl',
+        description: 'Cancel a running or queued crawl, or all of them',
         available: true,
         inputSchema: {
           type: 'object',
-          properties: {}
+          properties: {
+            jobId: { type: 'string', description: 'Job to cancel (omit to cancel every running and queued crawl)' }
+          }
         }
       },
       {
@@ -1105,8 +1353,50 @@
                 strictPathMatching: { type: 'boolean' },
                 skipCache: { type: 'boolean' },
                 useIncognito: { type: 'boolean' },
+                fetchMode: { type: 'string', enum: ['rendered', 'fast', 'auto'] },
+                auth: { type: 'object', description: 'Replaces the saved authentication, same shape as in crawl.start' },
+                pageActions: { type: 'object', description: 'Replaces the saved page actions, same shape as in crawl.start' },
+                infiniteScroll: { type: ['boolean', 'object'], description: 'Replaces the saved infinite-scroll settings, same shape as in crawl.start' },
+                screenshots: { type: ['boolean', 'object'], description: 'Replaces the saved screenshot settings, same shape as in crawl.start' },
+                pdfs: { type: ['boolean', 'object'], description: 'Replaces the saved PDF settings, same shape as in crawl.start' },
+                archives: { type: ['boolean', 'object'], description: 'Replaces the saved archive snapshot settings, same shape as in crawl.start' },
+                apiRecording: { type: ['boolean', 'object'], description: 'Replaces the saved API recording settings, same shape as in crawl.start' },
                 followExternalLinks: { type: 'boolean' },
-                maxExternalHops: { type: 'number', minimum: 1, maximum: 5 }
+                maxExternalHops: { type: 'number', minimum: 1, maximum: 5 },
+                respectRobots: { type: 'boolean' },
+                urlRules: { type: 'array', items: { type: 'object' } },
+                maxDepth: { type: 'number', minimum: 0, maximum: 100 },
+                sitemapUrlsAsSeeds: { type: 'boolean' },
+                crawlStrategy: { type: 'string', enum: ['bfs', 'dfs', 'priority'] },
+                maxRetries: { type: 'number', minimum: 0, maximum: 5 },
+                retryBaseDelay: { type: 'number', minimum: 250, maximum: 30000 },
+                maxPaginationPages: { type: 'number', minimum: 1, maximum: 500 },
+                stitchPagination: { type: 'boolean' },
+                respectPageDirectives: { type: 'boolean' },
+                nearDuplicateThreshold: { type: 'number', minimum: 0.75, maximum: 1 }
+              }
+            }
+          },
+          required: ['jobId']
+        }
+      },
+      {
+        name: 'crawl.retryFailed',
+        description: 'Re-crawl only the failed pages of a finished crawl job (queued when the concurrent crawl limit is reached)',
+        available: true,
+        inputSchema: {
+          type: 'object',
+          properties: {
+            jobId: { type: 'string', description: 'Job whose failed pages should be retried' },
+            retryableOnly: { type: 'boolean', default: false, description: 'Only retry transient failures (timeouts, debugger detach, network errors, throttling)' },
+            options: {
+              type: 'object',
+              properties: {
+                maxWorkers: { type: 'number', minimum: 1, maximum: 10 },
+                useIncognito: { type: 'boolean' },
+                skipCache: { type: 'boolean' },
+                maxRetries: { type: 'number', minimum: 0, maximum: 5 },
+                retryBaseDelay: { type: 'number', minimum: 250, maximum: 30000 }
               }
             }
           },
@@ -1220,7 +1510,10 @@
               description: 'Job ID or array of job IDs'
             },
             format: { type: 'string', enum: ['text', 'markdown'], description: 'Content format' },
-            confidenceThreshold: { type: 'number', minimum: 0, maximum: 1, default: 0.5 }
+            confidenceThreshold: { type: 'number', minimum: 0, maximum: 1, default: 0.5 },
+            includeScreenshots: { type: 'boolean', default: false, description: 'Add each page\'s stored screenshot under screenshots/ in its job folder' },
+            includeArchives: { type: 'boolean', default: false, description: 'Add each page\'s MHTML archive snapshot under archives/ in its job folder' },
+            includeApiRecording: { type: 'boolean', default: false, description: 'Add the job\'s recorded API calls as api-recording.har and their endpoint summary as api-endpoints.md in its job folder' }
           },
           required: ['jobIds', 'format']
         }
@@ -1360,12 +1653,16 @@
       switch (capability) {
         case 'crawl.start':
           return _crawlStart(params);
+        case 'crawl.preview':
+          return _crawlPreview(params);
         case 'crawl.status':
           return _crawlStatus(params);
         case 'crawl.cancel':
           return _crawlCancel(params);
         case 'crawl.resume':
           return _crawlResume(params);
+        case 'crawl.retryFailed':
+          return _crawlRetryFailed(params);
         case 'storage.jobs.list':
           return _storageJobsList(params);
         case 'storage.jobs.get':
@@ -0,0 +1,512 @@
+/**
+ * API recording
+ * Documentation sites often load their content from web APIs. Recording mode follows the XHR and
+ * fetch() calls each rendered page makes, through the Network domain of the crawl tab's debugger
+ * (requestWillBeSent, responseReceived, loadingFinished, loadingFailed), and stores them as
+ * HAR 1.2 entries in the apiRecordings store, next to the page.
+ *
+ * Bodies larger than maxBodyBytes are left out (the entry notes it), and so are calls past
+ * maxCallsPerPage. urlRules (the include/exclude rules of lib/url-rules.js) pick the calls
+ * recorded. Credentials are never stored: headers redactSecrets() (lib/crawl-auth.js) catches, such as
+ * Authorization and Cookie, and the crawl's own auth headers are recorded as "[REDACTED]".
+ *
+ * A job's recordings are exported as one HAR file (buildHar()) and as a markdown summary of the
+ * endpoints they reached (summarizeApiEndpoints(), formatApiEndpointsMarkdown()).
+ */
+
+import { compileUrlRules, serializeUrlRules, matchUrlRules } from './url-rules.js';
+import { redactSecrets, REDACTED } from './crawl-auth.js';
+import { optionalSettings, normalizeLimit } from './utils.js';
+
+export const DEFAULT_API_MAX_BODY_BYTES = 64 * 1024; // 64 KB
+export const MAX_API_MAX_BODY_BYTES = 5 * 1024 * 1024;
+export const DEFAULT_API_MAX_CALLS_PER_PAGE = 200;
+export const MAX_API_MAX_CALLS_PER_PAGE = 2000;
+export const HAR_VERSION = '1.2';
+const MIN_BODY_BYTES = 1024;
+const API_RESOURCE_TYPES = ['XHR', 'Fetch'];
+const HTTP_VERSIONS = { 'h2': 'http/2.0', 'h3': 'http/3.0', 'http/1.0': 'HTTP/1.0', 'http/1.1': 'HTTP/1.1' };
+const SAMPLE_MAX_CHARS = 2000; // of each sample payload in the endpoint summary
+
+/**
+ * Check a crawl's API recording settings
+ * @param {boolean|Object} settings - true for the defaults, false to turn recording off, or:
+ * @param {number} settings.maxBodyBytes - Larger request and response bodies are left out (default: 64 KB, max: 5 MB)
+ * @param {number} settings.maxCallsPerPage - Calls recorded per page (default: 200, max: 2000)
+ * @param {Array<{type, pattern, syntax}>} settings.urlRules - Include/exclude rules for the call URLs
+ *   (see lib/url-rules.js; default: every call)
+ * @returns {{maxBodyBytes: number, maxCallsPerPage: number, urlRules: Array}|null} null when off
+ * @throws {Error} When a setting has the wrong type or a rule is invalid
+ */
+export function normalizeApiRecordingSettings(settings) {
+  const options = optionalSettings(settings, 'apiRecording');
+  if (!options) return null;
+  let urlRules;
+  try {
+    urlRules = serializeUrlRules(compileUrlRules(options.urlRules));
+  } catch (error) {
+    throw new Error(`apiRecording.urlRules: ${error.message}`);
+  }
+  return {
+    maxBodyBytes: normalizeLimit(options.maxBodyBytes, 'apiRecording.maxBodyBytes', DEFAULT_API_MAX_BODY_BYTES, MIN_BODY_BYTES, MAX_API_MAX_BODY_BYTES),
+    maxCallsPerPage: normalizeLimit(options.maxCallsPerPage, 'apiRecording.maxCallsPerPage', DEFAULT_API_MAX_CALLS_PER_PAGE, 1, MAX_API_MAX_CALLS_PER_PAGE),
+    urlRules
+  };
+}
+
+/**
+ * Size of a body in bytes (UTF-8 text, or base64-encoded data)
+ */
+function bodySize(text, base64Encoded) {
+  if (base64Encoded) {
+    const padding = text.endsWith('==') ? 2 : text.endsWith('=') ? 1 : 0;
+    return Math.floor(text.length * 3 / 4) - padding;
+  }
+  return new TextEncoder().encode(text).length;
+}
+
+function formatBytes(bytes) {
+  return bytes >= 1024 * 1024 ? `${Math.round(bytes / 1024 / 1024)} MB` : `${Math.round(bytes / 1024)} KB`;
+}
+
+/**
+ * Records the API calls of one page load
+ * Fed the Network events of the crawl tab; finish() waits for the bodies being read and
+ * returns the calls as HAR entries
+ */
+export class ApiRecorder {
+  /**
+   * @param {Object} settings - normalizeApiRecordingSettings() result
+   * @param {Object} network - Debugger commands of the tab
+   * @param {function(string): Promise<{body, base64Encoded}>} network.getResponseBody - Network.getResponseBody
+   * @param {function(string): Promise<{postData}>} network.getRequestPostData - Network.getRequestPostData
+   * @param {string[]} network.redactHeaders - Further header names never stored (the crawl's auth headers)
+   */
+  constructor(settings, { getResponseBody, getRequestPostData, redactHeaders = [] } = {}) {
+    this.settings = settings;
+    this.rules = compileUrlRules(settings.urlRules);
+    this.getResponseBody = getResponseBody;
+    this.getRequestPostData = getRequestPostData;
+    this.redacted = new Set(redactHeaders.map(name => name.toLowerCase()));
+    this.calls = []; // in the order they started
+    this.inFlight = new Map(); // requestId → call waiting for its response or end
+    this.bodyReads = [];
+    this.skipped = 0; // calls past maxCallsPerPage
+  }
+
+  /**
+   * Handle a debugger event of the tab (events of other domains are ignored)
+   * @param {string} method - CDP event name
+   * @param {Object} params - Event parameters
+   */
+  handleEvent(method, params) {
+    if (method === 'Network.requestWillBeSent') {
+      this.onRequest(params);
+      return;
+    }
+    const call = this.inFlight.get(params?.requestId);
+    if (!call) return;
+
+    if (method === 'Network.responseReceived') {
+      call.response = params.response;
+    } else if (method === 'Network.loadingFinished') {
+      this.inFlight.delete(params.requestId);
+      call.endTimestamp = params.timestamp;
+      call.encodedDataLength = params.encodedDataLength;
+      if (call.response) {
+        this.bodyReads.push(this.readResponseBody(call));
+      }
+    } else if (method === 'Network.loadingFailed') {
+      this.inFlight.delete(params.requestId);
+      call.endTimestamp = params.timestamp;
+      call.error = params.errorText || (params.canceled ? 'Canceled' : 'Failed');
+    }
+  }
+
+  onRequest(params) {
+    // A redirect keeps the request ID: the call so far ends with the redirect response
+    const redirected = this.inFlight.get(params.requestId);
+    if (redirected && params.redirectResponse) {
+      this.inFlight.delete(params.requestId);
+      redirected.response = params.redirectResponse;
+      redirected.redirectURL = params.request.url;
+      redirected.endTimestamp = params.timestamp;
+    }
+
+    const url = params.request?.url || '';
+    if (!API_RESOURCE_TYPES.includes(params.type) || !/^https?:/.test(url)) return;
+    if (!matchUrlRules(this.rules, url).allowed) return;
+    if (this.calls.length >= this.settings.maxCallsPerPage) {
+      this.skipped++;
+      return;
+    }
+
+    const call = {
+      requestId: params.requestId,
+      resourceType: params.type.toLowerCase(),
+      request: params.request,
+      wallTime: params.wallTime,
+      timestamp: params.timestamp,
+      response: null,
+      redirectURL: '',
+      error: null
+    };
+    this.calls.push(call);
+    this.inFlight.set(params.requestId, call);
+  }
+
+  async readResponseBody(call) {
+    const limit = this.settings.maxBodyBytes;
+    if (call.encodedDataLength > limit) {
+      call.bodyOmitted = `larger than the ${formatBytes(limit)} limit`;
+      return;
+    }
+    try {
+      const { body, base64Encoded } = await this.getResponseBody(call.requestId);
+      const size = bodySize(body, base64Encoded);
+      if (size > limit) {
+        call.bodySize = size;
+        call.bodyOmitted = `larger than the ${formatBytes(limit)} limit`;
+        return;
+      }
+      call.body = { text: body, base64Encoded, size };
+    } catch (error) {
+      // No body (204, opaque responses), or the tab already dropped it
+      call.bodyOmitted = 'not available';
+    }
+  }
+
+  async readPostData(call) {
+    try {
+      const { postData } = await this.getRequestPostData(call.requestId);
+      call.request = { ...call.request, postData };
+    } catch (error) {
+      call.postDataOmitted = 'not available';
+    }
+  }
+
+  /**
+   * Wait for the bodies still being read and return what was recorded
+   * Calls still waiting for a response (such as long polling) are left out
+   * @returns {Promise<{entries: Object[], skipped: number}>} entries are HAR 1.2 entries
+   */
+  async finish() {
+    const postDataReads = this.calls
+      .filter(call => call.request.hasPostData && call.request.postData === undefined && this.getRequestPostData)
+      .map(call => this.readPostData(call));
+    await Promise.all([...this.bodyReads, ...postDataReads]);
+
+    const entries = this.calls
+      .filter(call => call.response || call.error)
+      .map(call => this.toHarEntry(call));
+    return { entries, skipped: this.skipped };
+  }
+
+  harHeaders(headers = {}) {
+    // Repeated headers (Set-Cookie, Link) arrive joined by line breaks
+    return Object.entries(headers).flatMap(([name, value]) => String(value).split('\n').map(line =>
+      this.redacted.has(name.toLowerCase()) ? { name, value: REDACTED } : redactSecrets({ name, value: line })
+    ));
+  }
+
+  harPostData(call) {
+    const { request } = call;
+    if (request.postData === undefined && !call.postDataOmitted) return undefined;
+    const mimeType = headerValue(request.headers, 'content-type');
+    if (call.postDataOmitted) {
+      return { mimeType, text: '', comment: `Body not recorded: ${call.postDataOmitted}` };
+    }
+    const size = bodySize(request.postData, false);
+    if (size > this.settings.maxBodyBytes) {
+      return { mimeType, text: '', comment: `Body not recorded: larger than the ${formatBytes(this.settings.maxBodyBytes)} limit` };
+    }
+    return { mimeType, text: request.postData };
+  }
+
+  toHarEntry(call) {
+    const { request, response } = call;
+    const httpVersion = HTTP_VERSIONS[response?.protocol] || response?.protocol || '';
+    const timings = harTimings(response?.timing, call.timestamp, call.endTimestamp);
+    const postData = this.harPostData(call);
+
+    let queryString = [];
+    try {
+      queryString = [...new URL(request.url).searchParams].map(([name, value]) => ({ name, value }));
+    } catch (e) {
+      // Only http(s) URLs are recorded, so this does not happen
+    }
+
+    const content = { size: call.body?.size ?? call.bodySize ?? -1, mimeType: response?.mimeType || '' };
+    if (call.body) {
+      content.text = call.body.text;
+      if (call.body.base64Encoded) content.encoding = 'base64';
+    } else if (call.bodyOmitted) {
+      content.comment = `Body not recorded: ${call.bodyOmitted}`;
+    }
+
+    const entry = {
+      startedDateTime: new Date((call.wallTime || 0) * 1000).toISOString(),
+      time: Object.values(timings).filter(value => value > 0).reduce((total, value) => total + value, 0),
+      request: {
+        method: request.method,
+        url: request.url,
+        httpVersion,
+        cookies: [],
+        headers: this.harHeaders(request.headers),
+        queryString,
+        headersSize: -1,
+        bodySize: postData?.text ? bodySize(postData.text, false) : 0
+      },
+      response: {
+        status: response?.status || 0,
+        statusText: response?.statusText || '',
+        httpVersion,
+        cookies: [],
+        headers: this.harHeaders(response?.headers),
+        content,
+        redirectURL: call.redirectURL,
+        headersSize: -1,
+        bodySize: call.encodedDataLength ?? -1
+      },
+      cache: {},
+      timings,
+      _resourceType: call.resourceType
+    };
+    if (postData) entry.request.postData = postData;
+    if (response?.remoteIPAddress) entry.serverIPAddress = response.remoteIPAddress;
+    if (call.error) entry._error = call.error;
+    return entry;
+  }
+}
+
+/**
+ * Value of a header, whatever its case
+ */
+function headerValue(headers = {}, name) {
+  const key = Object.keys(headers).find(candidate => candidate.toLowerCase() === name);
+  return key ? headers[key] : '';
+}
+
+/**
+ * Turn CDP resource timing into HAR timings (ms, -1 when a phase did not happen)
+ * @param {Object|undefined} timing - Response timing (offsets in ms from timing.requestTime)
+ * @param {number} startTimestamp - requestWillBeSent timestamp (s)
+ * @param {number|undefined} endTimestamp - loadingFinished/loadingFailed timestamp (s)
+ * @returns {{blocked, dns, connect, ssl, send, wait, receive}}
+ */
+export function harTimings(timing, startTimestamp, endTimestamp) {
+  const total = endTimestamp !== undefined ? Math.max(0, (endTimestamp - startTimestamp) * 1000) : 0;
+  if (!timing) {
+    return { blocked: -1, dns: -1, connect: -1, ssl: -1, send: 0, wait: total, receive: 0 };
+  }
+  const phase = (start, end) => (timing[start] >= 0 && timing[end] >= timing[start] ? timing[end] - timing[start] : -1);
+  const queued = Math.max(0, (timing.requestTime - startTimestamp) * 1000);
+  const firstStart = [timing.dnsStart, timing.connectStart, timing.sendStart].find(value => value >= 0) ?? 0;
+  const end = endTimestamp !== undefined ? (endTimestamp - timing.requestTime) * 1000 : timing.receiveHeadersEnd;
+  const round = value => (value < 0 ? -1 : Math.round(value * 1000) / 1000);
+  return {
+    blocked: round(queued + firstStart),
+    dns: round(phase('dnsStart', 'dnsEnd')),
+    connect: round(phase('connectStart', 'connectEnd')),
+    ssl: round(phase('sslStart', 'sslEnd')),
+    send: round(Math.max(0, timing.sendEnd - timing.sendStart)),
+    wait: round(Math.max(0, timing.receiveHeadersEnd - timing.sendEnd)),
+    receive: round(Math.max(0, end - timing.receiveHeadersEnd))
+  };
+}
+
+/**
+ * Turn a URL path into a template, replacing the segments that look like values
+ * ("/v1/users/42/posts" → "/v1/users/{id}/posts")
+ * @param {string} path - URL path
+ * @returns {string}
+ */
+export function pathTemplate(path) {
+  return path.split('/').map(segment => {
+    if (/^\d+$/.test(segment)) return '{id}';
+    if (/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(segment)) return '{uuid}';
+    if (/^\d{4}-\d{2}-\d{2}$/.test(segment)) return '{date}';
+    if (/^(?=.*\d)[0-9a-f]{16,}$/i.test(segment)) return '{hash}';
+    if (/^(?=.*\d)(?=.*[A-Za-z])[A-Za-z0-9_-]{20,}$/.test(segment)) return '{token}';
+    return segment;
+  }).join('/');
+}
+
+/**
+ * Summary of one page's recording, stored as markdownMeta.apiRecording
+ * @param {{entries: Object[], skipped: number}} recording - ApiRecorder.finish() result
+ * @returns {{calls: number, endpoints: number, skipped: number}}
+ */
+export function summarizeRecording({ entries, skipped }) {
+  const endpoints = new Set(entries.map(entry => endpointKey(entry.request.method, entry.request.url)));
+  return { calls: entries.length, endpoints: endpoints.size, skipped };
+}
+
+function endpointKey(method, url) {
+  try {
+    const { origin, pathname } = new URL(url);
+    return `${method} ${origin}${pathTemplate(pathname)}`;
+  } catch (e) {
+    return `${method} ${url}`;
+  }
+}
+
+/**
+ * Build the HAR 1.2 document of a job's recordings
+ * @param {Array<{url, title, recordedAt, entries}>} recordings - One per page, in crawl order
+ * @param {Object} options
+ * @param {string} options.version - Extension version, for log.creator
+ * @returns {Object} HAR document ({log: {version, creator, pages, entries}})
+ */
+export function buildHar(recordings, { version = '' } = {}) {
+  const pages = [];
+  const entries = [];
+  recordings.forEach((recording, index) => {
+    const id = `page_${index + 1}`;
+    pages.push({
+      startedDateTime: recording.recordedAt || recording.entries[0]?.startedDateTime || new Date(0).toISOString(),
+      id,
+      title: recording.title || recording.url,
+      pageTimings: { onContentLoad: -1, onLoad: -1 }
+    });
+    for (const entry of recording.entries) {
+      entries.push({ pageref: id, ...entry });
+    }
+  });
+  return {
+    log: {
+      version: HAR_VERSION,
+      creator: { name: 'Webscribe', version },
+      pages,
+      entries
+    }
+  };
+}
+
+/**
+ * Keep a sample payload short, pretty-printing JSON
+ */
+function samplePayload(text, mimeType) {
+  let sample = text;
+  if (/json/i.test(mimeType || '') || /^\s*[[{]/.test(text)) {
+    try {
+      sample = JSON.stringify(JSON.parse(text), null, 2);
+    } catch (e) {
+      // Not JSON after all - shown as it is
+    }
+  }
+  return sample.length > SAMPLE_MAX_CHARS ? `${sample.slice(0, SAMPLE_MAX_CHARS)}\n…` : sample;
+}
+
+function isSuccess(status) {
+  return status >= 200 && status < 300;
+}
+
+/**
+ * Group a job's recorded calls by endpoint (method, origin and path template)
+ * @param {Array<{url, entries}>} recordings - One per page
+ * @returns {Array<{method, origin, path, calls, pages, statusCodes, mimeTypes, queryParams, sampleRequest, sampleResponse}>}
+ *   sorted by origin, path and method; sampleRequest is {mimeType, text}, sampleResponse {status, mimeType, text}
+ */
+export function summarizeApiEndpoints(recordings) {
+  const endpoints = new Map();
+  for (const recording of recordings) {
+    for (const entry of recording.entries) {
+      const { method, url } = entry.request;
+      let origin = '';
+      let path = url;
+      try {
+        const parsed = new URL(url);
+        origin = parsed.origin;
+        path = pathTemplate(parsed.pathname);
+      } catch (e) {
+        // Kept whole
+      }
+
+      const key = `${method} ${origin}${path}`;
+      if (!endpoints.has(key)) {
+        endpoints.set(key, {
+          method, origin, path, calls: 0, pages: new Set(), statusCodes: new Set(), mimeTypes: new Set(),
+          queryParams: new Set(), sampleRequest: null, sampleResponse: null
+        });
+      }
+      const endpoint = endpoints.get(key);
+      endpoint.calls++;
+      endpoint.pages.add(recording.url);
+      const { status, content } = entry.response;
+      if (status) endpoint.statusCodes.add(status);
+      if (content.mimeType) endpoint.mimeTypes.add(content.mimeType);
+      entry.request.queryString.forEach(({ name }) => endpoint.queryParams.add(name));
+
+      const postData = entry.request.postData;
+      if (!endpoint.sampleRequest && postData?.text) {
+        endpoint.sampleRequest = { mimeType: postData.mimeType, text: samplePayload(postData.text, postData.mimeType) };
+      }
+      // A successful text response makes the best sample
+      const readable = content.text !== undefined && content.encoding !== 'base64';
+      if (readable && (!endpoint.sampleResponse || (isSuccess(status) && !isSuccess(endpoint.sampleResponse.status)))) {
+        endpoint.sampleResponse = { status, mimeType: content.mimeType, text: samplePayload(content.text, content.mimeType) };
+      }
+    }
+  }
+
+  return [...endpoints.values()]
+    .map(endpoint => ({
+      ...endpoint,
+      pages: endpoint.pages.size,
+      statusCodes: [...endpoint.statusCodes].sort((a, b) => a - b),
+      mimeTypes: [...endpoint.mimeTypes],
+      queryParams: [...endpoint.queryParams].sort()
+    }))
+    .sort((a, b) => a.origin.localeCompare(b.origin) || a.path.localeCompare(b.path) || a.method.localeCompare(b.method));
+}
+
+function codeFence(text, mimeType) {
+  const language = /json/i.test(mimeType || '') ? 'json' : '';
+  const fence = text.includes('```') ? '````' : '```';
+  return `${fence}${language}\n${text}\n${fence}`;
+}
+
+/**
+ * Write the endpoint summary as markdown: a table of all endpoints, then one section each
+ * @param {Array} endpoints - summarizeApiEndpoints() result
+ * @param {Object} options
+ * @param {string} options.title - What was crawled (such as the job's base URL)
+ * @param {number} options.pageCount - Pages the calls were recorded on
+ * @returns {string}
+ */
+export function formatApiEndpointsMarkdown(endpoints, { title = '', pageCount = 0 } = {}) {
+  const callCount = endpoints.reduce((total, endpoint) => total + endpoint.calls, 0);
+  const lines = [
+    `# API endpoints${title ? `: ${title}` : ''}`,
+    '',
+    `${endpoints.length} endpoint${endpoints.length === 1 ? '' : 's'} from ${callCount} call${callCount === 1 ? '' : 's'} recorded on ${pageCount} page${pageCount === 1 ? '' : 's'}.`
+  ];
+  if (endpoints.length === 0) return lines.join('\n') + '\n';
+
+  lines.push('', '| Method | Endpoint | Status codes | Calls |', '|--------|----------|--------------|-------|');
+  for (const endpoint of endpoints) {
+    const statusCodes = endpoint.statusCodes.join(', ') || 'failed';
+    lines.push(`| ${endpoint.method} | \`${`${endpoint.origin}${endpoint.path}`.replace(/\|/g, '\\|')}\` | ${statusCodes} | ${endpoint.calls} |`);
+  }
+
+  for (const endpoint of endpoints) {
+    lines.push('', `## ${endpoint.method} ${endpoint.path}`, '');
+    lines.push(`- Host: ${endpoint.origin}`);
+    lines.push(`- Status codes: ${endpoint.statusCodes.join(', ') || 'none (the calls failed)'}`);
+    lines.push(`- Calls: ${endpoint.calls} on ${endpoint.pages} page${endpoint.pages === 1 ? '' : 's'}`);
+    if (endpoint.queryParams.length > 0) {
+      lines.push(`- Query parameters: ${endpoint.queryParams.map(name => `\`${name}\``).join(', ')}`);
+    }
+    if (endpoint.mimeTypes.length > 0) {
+      lines.push(`- Response types: ${endpoint.mimeTypes.join(', ')}`);
+    }
+    if (endpoint.sampleRequest) {
+      lines.push('', 'Sample request body:', '', codeFence(endpoint.sampleRequest.text, endpoint.sampleRequest.mimeType));
+    }
+    if (endpoint.sampleResponse) {
+      lines.push('', `Sample response (${endpoint.sampleResponse.status || 'failed'}):`, '', codeFence(endpoint.sampleResponse.text, endpoint.sampleResponse.mimeType));
+    }
+  }
+  return lines.join('\n') + '\n';
+}
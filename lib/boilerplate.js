@@ -0,0 +1,134 @@
+/**
+ * Cross-page boilerplate detection
+ * removeNoiseElements drops semantic chrome (<nav>, <footer>, known banner classes), but sites
+ * built from plain <div>s leave the same sidebar, cookie notice and footer lines on every page.
+ * Those lines are found by counting how many pages of a job repeat them.
+ */
+
+export const DEFAULT_BOILERPLATE_MIN_SHARE = 0.6;
+export const MIN_BOILERPLATE_SHARE = 0.3;
+export const MAX_BOILERPLATE_SHARE = 1;
+export const MIN_BOILERPLATE_PAGES = 3; // a line on two pages is not a template yet
+
+const BOILERPLATE_FIELDS = ['content', 'markdown'];
+const FENCE_PATTERN = /^(```|~~~)/;
+const TEXT_PATTERN = /[\p{L}\p{N}]/u;
+
+function normalizeLine(line) {
+  return line.replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Visit the lines of a text that can be boilerplate
+ * Lines inside fenced code blocks and lines without letters or digits (rules, table
+ * separators, blank lines) are content structure and never counted.
+ * @param {string} text - Page content or markdown
+ * @param {function(string, number)} visit - Called with the normalized line and its index
+ */
+function forEachCandidateLine(text, visit) {
+  let inFence = false;
+  text.split('\n').forEach((line, index) => {
+    const normalized = normalizeLine(line);
+    if (FENCE_PATTERN.test(normalized)) {
+      inFence = !inFence;
+      return;
+    }
+    if (!inFence && TEXT_PATTERN.test(normalized)) {
+      visit(normalized, index);
+    }
+  });
+}
+
+/**
+ * Find the lines repeated on most of the given texts
+ * @param {string[]} texts - One text per page (content or markdown)
+ * @param {Object} options
+ * @param {number} options.minShare - Share of pages (0-1) a line must appear on
+ * @param {number} options.minPages - Minimum number of pages a line must appear on
+ * @returns {Set<string>} Normalized boilerplate lines
+ */
+export function findBoilerplateLines(texts, { minShare = DEFAULT_BOILERPLATE_MIN_SHARE, minPages = MIN_BOILERPLATE_PAGES } = {}) {
+  const present = texts.filter(Boolean);
+  const required = Math.max(minPages, Math.ceil(present.length * minShare));
+  if (present.length < required) return new Set();
+
+  const pageCounts = new Map(); // line → pages it appears on
+  for (const text of present) {
+    const lines = new Set();
+    forEachCandidateLine(text, line => lines.add(line));
+    for (const line of lines) {
+      pageCounts.set(line, (pageCounts.get(line) || 0) + 1);
+    }
+  }
+
+  return new Set(
+    Array.from(pageCounts)
+      .filter(([, count]) => count >= required)
+      .map(([line]) => line)
+  );
+}
+
+/**
+ * Remove boilerplate lines from a text
+ * @param {string} text - Page content or markdown
+ * @param {Set<string>} boilerplateLines - From findBoilerplateLines
+ * @returns {string} Text without those lines (blank runs collapsed), or the text unchanged
+ *   if nothing else would be left
+ */
+export function stripBoilerplateLines(text, boilerplateLines) {
+  if (!text || boilerplateLines.size === 0) return text;
+
+  const dropped = new Set();
+  forEachCandidateLine(text, (line, index) => {
+    if (boilerplateLines.has(line)) dropped.add(index);
+  });
+  if (dropped.size === 0) return text;
+
+  const stripped = text.split('\n')
+    .filter((_, index) => !dropped.has(index))
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+  return stripped || text;
+}
+
+/**
+ * Strip the lines repeated across a job's pages from their content and markdown
+ * Each field is compared only with the same field of the other pages.
+ * @param {Array<{id: string, content: string, markdown?: string}>} pages - Pages with their original text
+ * @param {Object} options - minShare and minPages (see findBoilerplateLines)
+ * @returns {{lineCount: {content: number, markdown: number}, pages: Array<{id: string, content: string,
+ *   markdown: string|null, removedChars: number}>}} removedChars counts content characters
+ */
+export function removeBoilerplate(pages, options = {}) {
+  const lineCount = {};
+  const linesByField = {};
+  for (const field of BOILERPLATE_FIELDS) {
+    linesByField[field] = findBoilerplateLines(pages.map(page => page[field]), options);
+    lineCount[field] = linesByField[field].size;
+  }
+
+  return {
+    lineCount,
+    pages: pages.map(page => {
+      const content = stripBoilerplateLines(page.content || '', linesByField.content);
+      const markdown = page.markdown ? stripBoilerplateLines(page.markdown, linesByField.markdown) : null;
+      return {
+        id: page.id,
+        content,
+        markdown,
+        removedChars: (page.content || '').length - content.length
+      };
+    })
+  };
+}
+
+/**
+ * Clamp the share of pages a line must appear on to count as boilerplate
+ * @param {number} value - Requested share (0-1)
+ * @returns {number} Default share when the value is missing
+ */
+export function normalizeBoilerplateShare(value) {
+  if (!Number.isFinite(value)) return DEFAULT_BOILERPLATE_MIN_SHARE;
+  return Math.max(MIN_BOILERPLATE_SHARE, Math.min(MAX_BOILERPLATE_SHARE, value));
+}
@@ -11,6 +11,8 @@
  * - Auto-copy markdown to clipboard
  * - Escape key to cancel
  * - Prevents accidental navigation when clicking links
+ * - Extraction profile for the page (set by the service worker in window.__contentPickerProfile):
+ *   its content root is highlighted first (Enter picks it) and its removal selectors apply
  */
 
 (function() {
@@ -23,6 +25,8 @@
   }
   window.__contentPickerActive = true;
 
+  // Extraction profile matching this page, or null
+  const profile = window.__contentPickerProfile || null;
 
   // ============================================
   // CONFIGURATION
@@ -106,6 +110,7 @@
    */
   function removeNoiseElements(root) {
     const noiseSelectors = [
+      ...(profile?.removeSelectors || []),
       'script', 'style', 'noscript',
       'nav', 'header', 'footer', 'aside',
       '.navigation', '.nav', '.navbar', '.menu', '.sidebar',
@@ -304,7 +309,8 @@
       title: pageTitle,
       html,
       markdown,
-      text
+      text,
+      profile: profile?.name || null
     };
   }
 
@@ -375,8 +381,15 @@
     event.stopPropagation();
     event.stopImmediatePropagation();
 
+    await pickElement(currentTarget);
+  }
+
+  /**
+   * Extract an element, copy its markdown and hand it to the service worker
+   */
+  async function pickElement(element) {
     // Extract content
-    const content = extractContent(currentTarget);
+    const content = extractContent(element);
 
     // Copy markdown to clipboard
     const copied = await copyToClipboard(content.markdown);
@@ -416,6 +429,14 @@
   function handleKeyDown(event) {
     if (!isActive) return;
 
+    // Enter picks the highlighted element (the profile's content root before the mouse moves)
+    if (event.key === 'Enter' && currentTarget) {
+      event.preventDefault();
+      event.stopPropagation();
+      pickElement(currentTarget);
+      return;
+    }
+
     // Escape key cancels picking
     if (event.key === 'Escape') {
       console.log('[ContentPicker] Cancelled by user (Escape)');
@@ -435,6 +456,7 @@
   function cleanup() {
     isActive = false;
     window.__contentPickerActive = false;
+    window.__contentPickerProfile = null;
 
     // Remove event listeners
     document.removeEventListener('mousemove', handleMouseMove, true);
@@ -463,6 +485,28 @@
     document.addEventListener('mouseout', handleMouseOut, true);
     document.addEventListener('click', handleClick, true);
     document.addEventListener('keydown', handleKeyDown, true);
+
+    highlightProfileContentRoot();
+  }
+
+  /**
+   * Start on the profile's content root, so Enter picks the main column
+   */
+  function highlightProfileContentRoot() {
+    for (const selector of profile?.contentSelectors || []) {
+      let element = null;
+      try {
+        element = document.querySelector(selector);
+      } catch (e) {
+        continue; // Ignore invalid selectors
+      }
+      if (element) {
+        currentTarget = element;
+        updateHighlight(element);
+        console.log(`[ContentPicker] Profile "${profile.name}": highlighting ${selector} (press Enter to pick it)`);
+        return;
+      }
+    }
   }
 
   // Start the picker
@@ -0,0 +1,345 @@
+/**
+ * Per-job crawl authentication
+ * Request headers, cookies and HTTP basic auth for sites behind a login (internal docs,
+ * previews). The settings are stored on the job encrypted with a key that never leaves
+ * IndexedDB, applied to the crawl tabs through the debugger (see tab-fetcher.js), and
+ * kept out of diagnostic reports by redactSecrets().
+ */
+
+import { getSecret, saveSecret } from '../storage/db.js';
+
+const AUTH_KEY_NAME = 'crawlAuthKey';
+const CIPHER = 'AES-GCM';
+const IV_LENGTH = 12;
+
+// RFC 7230 token characters
+const HEADER_NAME = /^[!#$%&'*+\-.^_`|~0-9A-Za-z]+$/;
+const COOKIE_NAME = /^[!#$%&'*+\-.^_`|~0-9A-Za-z]+$/;
+// Set by the browser, or through the cookies and basicAuth settings
+const RESERVED_HEADERS = ['host', 'cookie', 'content-length', 'connection'];
+
+export const REDACTED = '[REDACTED]';
+// Object keys whose values are never written to diagnostics
+const SECRET_KEYS = /^(?:auth|authorization|proxy-authorization|basicauth|cookies?|set-cookie|password|passwd|secret|token|access_?token|api_?key|x-api-key)$/i;
+const CREDENTIAL_IN_TEXT = /\b(Bearer|Basic)\s+[A-Za-z0-9._~+/=-]+/g;
+
+/**
+ * Check and normalize crawl authentication settings
+ *
+ * @param {Object} auth
+ * @param {Object<string, string>|Array<{name, value}>} auth.headers - Extra request headers
+ * @param {Array<{name, value, domain?, path?}>|string} auth.cookies - Cookies, or a "name=value; name2=value2" string
+ * @param {{username: string, password: string}} auth.basicAuth - HTTP basic auth credentials
+ * @returns {{headers: Array, cookies: Array, basicAuth: Object|null}|null} null when nothing is set;
+ *   encrypted settings (see sealCrawlAuth) are returned as they are
+ * @throws {Error} When a header, cookie or username is malformed
+ */
+export function normalizeCrawlAuth(auth) {
+  if (!auth) return null;
+  if (isSealedCrawlAuth(auth)) return auth;
+  if (typeof auth !== 'object') {
+    throw new Error('auth must be an object with headers, cookies or basicAuth');
+  }
+
+  const headerEntries = Array.isArray(auth.headers)
+    ? auth.headers.map(header => [header?.name, header?.value])
+    : Object.entries(auth.headers || {});
+  const headers = headerEntries.map(([name, value]) => {
+    name = String(name ?? '').trim();
+    value = String(value ?? '').trim();
+    if (!HEADER_NAME.test(name)) {
+      throw new Error(`Invalid header name: "${name}"`);
+    }
+    if (RESERVED_HEADERS.includes(name.toLowerCase())) {
+      throw new Error(`The ${name} header cannot be set${name.toLowerCase() === 'cookie' ? ' - use cookies instead' : ''}`);
+    }
+    if (/[\r\n]/.test(value)) {
+      throw new Error(`Header ${name} contains a line break`);
+    }
+    return { name, value };
+  });
+
+  const cookieEntries = typeof auth.cookies === 'string'
+    ? auth.cookies.split(';').filter(part => part.trim()).map(part => {
+      const separator = part.indexOf('=');
+      return separator === -1 ? { name: part } : { name: part.slice(0, separator), value: part.slice(separator + 1) };
+    })
+    : (auth.cookies || []);
+  const cookies = cookieEntries.map(cookie => {
+    const name = String(cookie?.name ?? '').trim();
+    const value = String(cookie?.value ?? '').trim();
+    if (!COOKIE_NAME.test(name)) {
+      throw new Error(`Invalid cookie name: "${name}"`);
+    }
+    if (/[;\r\n]/.test(value)) {
+      throw new Error(`Cookie ${name} contains a semicolon or line break`);
+    }
+    const normalized = { name, value };
+    if (cookie.domain) normalized.domain = String(cookie.domain).trim();
+    if (cookie.path) normalized.path = String(cookie.path).trim();
+    return normalized;
+  });
+
+  let basicAuth = null;
+  if (auth.basicAuth && (auth.basicAuth.username || auth.basicAuth.password)) {
+    const username = String(auth.basicAuth.username ?? '');
+    if (username.includes(':')) {
+      throw new Error('Basic auth username cannot contain a colon');
+    }
+    if (headers.some(header => header.name.toLowerCase() === 'authorization')) {
+      throw new Error('Use either basic auth or an Authorization header, not both');
+    }
+    basicAuth = { username, password: String(auth.basicAuth.password ?? '') };
+  }
+
+  if (headers.length === 0 && cookies.length === 0 && !basicAuth) return null;
+  return { headers, cookies, basicAuth };
+}
+
+/**
+ * Names only, for the job details (values stay encrypted)
+ * @param {Object|null} auth - Normalized settings
+ * @returns {{headerNames: string[], cookieNames: string[], basicAuthUser: string|null}|null}
+ */
+export function summarizeCrawlAuth(auth) {
+  if (!auth || isSealedCrawlAuth(auth)) return null;
+  return {
+    headerNames: auth.headers.map(header => header.name),
+    cookieNames: auth.cookies.map(cookie => cookie.name),
+    basicAuthUser: auth.basicAuth ? auth.basicAuth.username : null
+  };
+}
+
+/**
+ * Headers sent with every request to the crawl's sites, basic auth included
+ * @param {Object|null} auth - Normalized settings
+ * @returns {Array<{name: string, value: string}>}
+ */
+export function buildAuthHeaders(auth) {
+  if (!auth) return [];
+  const headers = [...auth.headers];
+  if (auth.basicAuth) {
+    const credentials = new TextEncoder().encode(`${auth.basicAuth.username}:${auth.basicAuth.password}`);
+    headers.push({ name: 'Authorization', value: `Basic ${bytesToBase64(credentials)}` });
+  }
+  return headers;
+}
+
+/**
+ * Settings in the form the fetchers apply them
+ * Headers only go to the origins of the crawl's base URLs, so external links,
+ * CDNs and analytics never see them. Cookies without a domain are scoped to each of those origins.
+ *
+ * @param {Object|null} auth - Normalized settings
+ * @param {string[]} baseUrls - The crawl's base URLs
+ * @returns {{headers: Array, cookies: Array, origins: string[]}|null} cookies are {name, value, url}
+ *   (one origin) or {name, value, domain, path}
+ */
+export function buildRequestAuth(auth, baseUrls) {
+  if (!auth) return null;
+  const origins = [...new Set(baseUrls.map(url => {
+    try {
+      return new URL(url).origin;
+    } catch (e) {
+      return null;
+    }
+  }).filter(Boolean))];
+
+  const cookies = auth.cookies.flatMap(({ name, value, domain, path }) => domain
+    ? [{ name, value, domain, path: path || '/' }]
+    : origins.map(origin => ({ name, value, url: `${origin}${path || '/'}` })));
+
+  return { headers: buildAuthHeaders(auth), cookies, origins };
+}
+
+/**
+ * Headers to add to a request
+ * @param {Object|null} requestAuth - From buildRequestAuth()
+ * @param {string} url - Request URL
+ * @returns {Array<{name: string, value: string}>} Empty for other origins
+ */
+export function authHeadersFor(requestAuth, url) {
+  if (!requestAuth || requestAuth.headers.length === 0) return [];
+  try {
+    return requestAuth.origins.includes(new URL(url).origin) ? requestAuth.headers : [];
+  } catch (e) {
+    return [];
+  }
+}
+
+/**
+ * Cookie header value for a request (cookies are sent as a header, never written to the browser's cookie store)
+ * A cookie scoped to an origin matches that origin; one naming a domain matches the domain and its subdomains.
+ * Either way the request path must start with the cookie's path.
+ * @param {Object|null} requestAuth - From buildRequestAuth()
+ * @param {string} url - Request URL
+ * @returns {string} "name=value; name2=value2", empty when no cookie applies
+ */
+export function authCookieHeaderFor(requestAuth, url) {
+  if (!requestAuth || requestAuth.cookies.length === 0) return '';
+  let target;
+  try {
+    target = new URL(url);
+  } catch (e) {
+    return '';
+  }
+
+  return requestAuth.cookies.filter(cookie => {
+    let path = cookie.path || '/';
+    if (cookie.url) {
+      const scope = new URL(cookie.url);
+      if (scope.origin !== target.origin) return false;
+      path = scope.pathname;
+    } else {
+      const domain = cookie.domain.replace(/^\./, '').toLowerCase();
+      if (target.hostname !== domain && !target.hostname.endsWith(`.${domain}`)) return false;
+    }
+    return target.pathname === path || target.pathname.startsWith(path.endsWith('/') ? path : `${path}/`);
+  }).map(cookie => `${cookie.name}=${cookie.value}`).join('; ');
+}
+
+/**
+ * URL patterns of the requests that get auth headers or cookies (Fetch.enable patterns)
+ * @param {Object|null} requestAuth - From buildRequestAuth()
+ * @returns {string[]} The crawl's origins, plus the domains cookies name (subdomains included)
+ */
+export function authUrlPatterns(requestAuth) {
+  if (!requestAuth) return [];
+  const domains = requestAuth.cookies
+    .filter(cookie => cookie.domain)
+    .map(cookie => cookie.domain.replace(/^\./, '').toLowerCase());
+  return [...new Set([
+    ...requestAuth.origins.map(origin => `${origin}/*`),
+    ...domains.flatMap(domain => [`*://${domain}/*`, `*://*.${domain}/*`])
+  ])];
+}
+
+// ==================== REDACTION ====================
+
+/**
+ * Copy of a value with credentials replaced by [REDACTED]
+ * Covers secret-looking keys, {name, value} header pairs and Bearer/Basic tokens in text.
+ * @param {*} value - Error context, options or message
+ * @returns {*}
+ */
+export function redactSecrets(value, depth = 0) {
+  if (typeof value === 'string') {
+    return value.replace(CREDENTIAL_IN_TEXT, `$1 ${REDACTED}`);
+  }
+  if (!value || typeof value !== 'object' || depth > 10) return value;
+  if (Array.isArray(value)) {
+    return value.map(item => redactSecrets(item, depth + 1));
+  }
+
+  const redacted = {};
+  for (const [key, item] of Object.entries(value)) {
+    redacted[key] = SECRET_KEYS.test(key) && item !== null && item !== undefined
+      ? REDACTED
+      : redactSecrets(item, depth + 1);
+  }
+  // Header and cookie lists: [{ name: 'Authorization', value: '...' }]
+  if (typeof value.name === 'string' && 'value' in value && SECRET_KEYS.test(value.name)) {
+    redacted.value = REDACTED;
+  }
+  return redacted;
+}
+
+// ==================== ENCRYPTION ====================
+
+/**
+ * Whether settings are in their stored, encrypted form
+ */
+export function isSealedCrawlAuth(auth) {
+  return Boolean(auth) && auth.cipher === CIPHER && typeof auth.iv === 'string' && typeof auth.data === 'string';
+}
+
+/**
+ * Encrypt settings with an AES-GCM key
+ * @param {Object} auth - Normalized settings
+ * @param {CryptoKey} key
+ * @returns {Promise<{cipher: string, iv: string, data: string}>} Base64 IV and ciphertext
+ */
+export async function encryptCrawlAuth(auth, key) {
+  const iv = crypto.getRandomValues(new Uint8Array(IV_LENGTH));
+  const plaintext = new TextEncoder().encode(JSON.stringify(auth));
+  const ciphertext = await crypto.subtle.encrypt({ name: CIPHER, iv }, key, plaintext);
+  return { cipher: CIPHER, iv: bytesToBase64(iv), data: bytesToBase64(new Uint8Array(ciphertext)) };
+}
+
+/**
+ * Decrypt settings encrypted by encryptCrawlAuth()
+ * @param {Object} sealed - {cipher, iv, data}
+ * @param {CryptoKey} key
+ * @returns {Promise<Object>} Normalized settings
+ * @throws {Error} When the key does not match (e.g. the database was recreated)
+ */
+export async function decryptCrawlAuth(sealed, key) {
+  let plaintext;
+  try {
+    plaintext = await crypto.subtle.decrypt(
+      { name: CIPHER, iv: base64ToBytes(sealed.iv) },
+      key,
+      base64ToBytes(sealed.data)
+    );
+  } catch (e) {
+    throw new Error('Saved authentication could not be decrypted - enter it again');
+  }
+  return normalizeCrawlAuth(JSON.parse(new TextDecoder().decode(plaintext)));
+}
+
+let keyPromise = null;
+
+/**
+ * The extension's crawl auth key, created on first use
+ * Stored as a non-extractable CryptoKey: the raw key cannot be read back, only used.
+ * @returns {Promise<CryptoKey>}
+ */
+function getCrawlAuthKey() {
+  if (!keyPromise) {
+    keyPromise = (async () => {
+      const existing = await getSecret(AUTH_KEY_NAME);
+      if (existing) return existing;
+      const key = await crypto.subtle.generateKey({ name: CIPHER, length: 256 }, false, ['encrypt', 'decrypt']);
+      await saveSecret(AUTH_KEY_NAME, key);
+      console.log('[CrawlAuth] Created crawl auth key');
+      return key;
+    })().catch(error => {
+      keyPromise = null;
+      throw error;
+    });
+  }
+  return keyPromise;
+}
+
+/**
+ * Encrypt settings for storage on a job or a queued request
+ * @param {Object|null} auth - Settings (plain or already encrypted)
+ * @returns {Promise<Object|null>}
+ */
+export async function sealCrawlAuth(auth) {
+  const normalized = normalizeCrawlAuth(auth);
+  if (!normalized || isSealedCrawlAuth(normalized)) return normalized;
+  return encryptCrawlAuth(normalized, await getCrawlAuthKey());
+}
+
+/**
+ * Plain settings from stored or passed settings
+ * @param {Object|null} auth - Settings (plain or encrypted)
+ * @returns {Promise<Object|null>} Normalized settings
+ */
+export async function openCrawlAuth(auth) {
+  if (isSealedCrawlAuth(auth)) {
+    return decryptCrawlAuth(auth, await getCrawlAuthKey());
+  }
+  return normalizeCrawlAuth(auth);
+}
+
+function bytesToBase64(bytes) {
+  let binary = '';
+  for (const byte of bytes) binary += String.fromCharCode(byte);
+  return btoa(binary);
+}
+
+function base64ToBytes(base64) {
+  return Uint8Array.from(atob(base64), char => char.charCodeAt(0));
+}
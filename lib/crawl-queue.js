@@ -0,0 +1,235 @@
+/**
+ * Crawl queue with selectable ordering strategy
+ * - bfs: first in, first out (discovery order, the historical behaviour)
+ * - dfs: last in, first out (follows each branch to the end first)
+ * - priority: highest score first (sitemap priority, recency, shallow paths); ties keep discovery order
+ */
+
+export const CRAWL_STRATEGIES = ['bfs', 'dfs', 'priority'];
+export const DEFAULT_CRAWL_STRATEGY = 'bfs';
+
+// Score weights for the priority strategy (sum to 1)
+const WEIGHT_SITEMAP_PRIORITY = 0.35;
+const WEIGHT_RECENCY = 0.25;
+const WEIGHT_PATH_DEPTH = 0.25;
+const WEIGHT_LINK_DEPTH = 0.15;
+
+const DEFAULT_SITEMAP_PRIORITY = 0.5;    // sitemaps.org default when <priority> is absent
+const UNKNOWN_RECENCY = 0.25;            // score for pages without <lastmod>
+const RECENCY_HALF_LIFE_DAYS = 30;       // a page modified 30 days ago scores half of one modified today
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Score a URL for the priority strategy (higher = crawled sooner)
+ * @param {string} url - Canonical URL
+ * @param {object} [info]
+ * @param {number|null} [info.priority] - Sitemap <priority> (0.0-1.0)
+ * @param {number|null} [info.lastmod] - Sitemap <lastmod> as a timestamp (ms)
+ * @param {number} [info.linkDepth] - Link distance from the seed URLs
+ * @param {number} [now] - Reference time for recency (ms)
+ * @returns {number} Score between 0 and 1
+ */
+export function computeUrlPriority(url, info = {}, now = Date.now()) {
+  let segments = 0;
+  try {
+    segments = new URL(url).pathname.split('/').filter(Boolean).length;
+  } catch (e) {
+    // Unparseable URLs get the shallowest path score; they fail later anyway
+  }
+
+  const sitemapPriority = info.priority ?? DEFAULT_SITEMAP_PRIORITY;
+
+  let recency = UNKNOWN_RECENCY;
+  if (info.lastmod) {
+    const ageDays = Math.max(0, (now - info.lastmod) / DAY_MS);
+    recency = 1 / (1 + ageDays / RECENCY_HALF_LIFE_DAYS);
+  }
+
+  const pathScore = 1 / (1 + segments);
+  const linkDepthScore = 1 / (1 + (info.linkDepth || 0));
+
+  return WEIGHT_SITEMAP_PRIORITY * sitemapPriority +
+    WEIGHT_RECENCY * recency +
+    WEIGHT_PATH_DEPTH * pathScore +
+    WEIGHT_LINK_DEPTH * linkDepthScore;
+}
+
+/**
+ * Queue of canonical URLs; exposes the subset of the Array API the crawler uses
+ * (length, push, shift, unshift, includes) so the strategy is invisible to workers,
+ * plus updateScore() for URLs whose priority changes while queued
+ */
+export class CrawlQueue {
+  /**
+   * @param {string} strategy - One of CRAWL_STRATEGIES
+   */
+  constructor(strategy = DEFAULT_CRAWL_STRATEGY) {
+    this.strategy = CRAWL_STRATEGIES.includes(strategy) ? strategy : DEFAULT_CRAWL_STRATEGY;
+    this.front = [];     // URLs put back with unshift() - always served first
+    this.items = [];     // bfs/dfs: plain list; priority: binary max-heap of {url, score, seq}
+    this.members = new Set();
+    this.head = 0;       // bfs read position (avoids O(n) Array.shift)
+    this.seq = 0;        // insertion counter - keeps priority ties in discovery order
+  }
+
+  get length() {
+    return this.members.size;
+  }
+
+  /**
+   * Check whether a URL is queued
+   * @param {string} url
+   * @returns {boolean}
+   */
+  includes(url) {
+    return this.members.has(url);
+  }
+
+  /**
+   * Add a URL (no-op if already queued)
+   * @param {string} url - Canonical URL
+   * @param {number} [score] - Priority score (priority strategy only)
+   */
+  push(url, score = 0) {
+    if (this.members.has(url)) return;
+    this.members.add(url);
+
+    if (this.strategy === 'priority') {
+      this.items.push({ url, score, seq: this.seq++ });
+      this.siftUp(this.items.length - 1);
+    } else {
+      this.items.push(url);
+    }
+  }
+
+  /**
+   * Change the score of a queued URL and move it to its new place (priority strategy only)
+   * @param {string} url - Canonical URL
+   * @param {number} score - New priority score
+   */
+  updateScore(url, score) {
+    if (this.strategy !== 'priority' || !this.members.has(url)) return;
+
+    const index = this.items.findIndex(item => item.url === url);
+    if (index === -1) return; // put back with unshift() - served first regardless of score
+
+    const item = this.items[index];
+    if (item.score === score) return;
+    const raised = score > item.score;
+    item.score = score;
+    if (raised) {
+      this.siftUp(index);
+    } else {
+      this.siftDown(index);
+    }
+  }
+
+  /**
+   * Put a URL back at the front (e.g. a page interrupted mid-fetch)
+   * @param {string} url - Canonical URL
+   */
+  unshift(url) {
+    if (this.members.has(url)) return;
+    this.members.add(url);
+    this.front.push(url);
+  }
+
+  /**
+   * Remove and return the next URL according to the strategy
+   * @returns {string|undefined}
+   */
+  shift() {
+    let url;
+    if (this.front.length > 0) {
+      url = this.front.pop();
+    } else if (this.strategy === 'priority') {
+      url = this.popHeap();
+    } else if (this.strategy === 'dfs') {
+      url = this.items.pop();
+    } else if (this.head < this.items.length) {
+      url = this.items[this.head++];
+      // Compact occasionally so consumed entries can be garbage collected
+      if (this.head > 1024 && this.head * 2 > this.items.length) {
+        this.items = this.items.slice(this.head);
+        this.head = 0;
+      }
+    }
+
+    if (url !== undefined) this.members.delete(url);
+    return url;
+  }
+
+  /**
+   * Queued URLs in the order they would be served
+   * @returns {string[]}
+   */
+  toArray() {
+    let rest;
+    if (this.strategy === 'priority') {
+      rest = [...this.items].sort((a, b) => this.compare(b, a)).map(item => item.url);
+    } else if (this.strategy === 'dfs') {
+      rest = [...this.items].reverse();
+    } else {
+      rest = this.items.slice(this.head);
+    }
+    return [...[...this.front].reverse(), ...rest];
+  }
+
+  /**
+   * Remove every URL
+   */
+  clear() {
+    this.front = [];
+    this.items = [];
+    this.members.clear();
+    this.head = 0;
+  }
+
+  // ---- binary heap helpers (priority strategy) ----
+
+  /**
+   * Positive when a should be served before b
+   */
+  compare(a, b) {
+    if (a.score !== b.score) return a.score - b.score;
+    return b.seq - a.seq;
+  }
+
+  siftUp(index) {
+    const items = this.items;
+    while (index > 0) {
+      const parent = (index - 1) >> 1;
+      if (this.compare(items[index], items[parent]) <= 0) break;
+      [items[index], items[parent]] = [items[parent], items[index]];
+      index = parent;
+    }
+  }
+
+  popHeap() {
+    const items = this.items;
+    if (items.length === 0) return undefined;
+
+    const top = items[0];
+    const last = items.pop();
+    if (items.length > 0) {
+      items[0] = last;
+      this.siftDown(0);
+    }
+    return top.url;
+  }
+
+  siftDown(index) {
+    const items = this.items;
+    while (true) {
+      const left = index * 2 + 1;
+      const right = left + 1;
+      let best = index;
+      if (left < items.length && this.compare(items[left], items[best]) > 0) best = left;
+      if (right < items.length && this.compare(items[right], items[best]) > 0) best = right;
+      if (best === index) break;
+      [items[index], items[best]] = [items[best], items[index]];
+      index = best;
+    }
+  }
+}
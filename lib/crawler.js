@@ -9,24 +9,67 @@ console.log('🚀 [Crawler] Loading crawler.js v2.0.0');
 
 import { discoverInitialUrls, extractLinksFromHtml } from './discovery.js';
 import { extractContent } from './extractor-simple.js';
-import { canonicalizeUrl, computeContentHash, isUnderBasePath, isInternalUrl } from './utils.js';
+import { canonicalizeUrl, normalizeCanonicalization, computeContentHash, isUnderBasePath, isInternalUrl } from './utils.js';
 import { fetchRenderedContent, closeCrawlWindow, resetTabSafety } from './tab-fetcher.js';
+import { FetchMode, SiteModeDetector, normalizeFetchMode, fetchStaticContent, closeOffscreenDocument } from './fast-fetch.js';
+import { RobotsPolicy } from './robots.js';
+import { HostRateLimiter, parseRetryAfter, THROTTLE_STATUSES } from './rate-limiter.js';
 import {
   createJob,
   updateJob,
   savePage,
   getPageByCanonicalUrl,
   getPageByContentHash,
+  getJobPageByCanonicalUrl,
   updatePageAlternateUrls,
   getDBVersion,
   getJob,
-  getPagesByJobId
+  getJobByBaseUrl,
+  getPagesByJobId,
+  getPage,
+  updatePage,
+  saveFrontier,
+  getFrontier,
+  deleteFrontier,
+  deletePage,
+  saveScreenshot,
+  getScreenshot,
+  saveArchive,
+  getArchive,
+  getArchiveBytesByJobId,
+  saveApiRecording,
+  getApiRecording
 } from '../storage/db.js';
 import { logError } from './error-logger.js';
+import { compileUrlRules, matchUrlRules, serializeUrlRules } from './url-rules.js';
+import { CrawlQueue, computeUrlPriority, CRAWL_STRATEGIES, DEFAULT_CRAWL_STRATEGY } from './crawl-queue.js';
+import { WorkerBudget } from './worker-budget.js';
+import { classifyError, getRetryDelay, normalizeRetryOptions } from './retry-policy.js';
+import { getExtractionProfiles, findExtractionProfile } from './extraction-profiles.js';
+import { normalizePageActions, pageActionsNeedRendering } from './page-actions.js';
+import { normalizeInfiniteScroll } from './infinite-scroll.js';
+import { normalizeScreenshotSettings, base64ToBlob, screenshotMimeType } from './screenshots.js';
+import { normalizePdfSettings, isPdfUrl, fetchPdfContent } from './pdf-documents.js';
+import { normalizeArchiveSettings, ArchiveBudget } from './page-archives.js';
+import { normalizeApiRecordingSettings } from './api-recording.js';
+import {
+  PAGINATION_QUERY_PARAMS,
+  parsePaginationUrl,
+  findRelPaginationLinks,
+  getLinkPosition,
+  groupPaginatedPages,
+  stitchSeries,
+  normalizeMaxPaginationPages
+} from './pagination.js';
+import { findPageDirectives } from './page-directives.js';
+import { normalizeCrawlAuth, summarizeCrawlAuth, buildRequestAuth, authHeadersFor, sealCrawlAuth, openCrawlAuth, redactSecrets } from './crawl-auth.js';
+import { computeSimilarityHash, findNearDuplicate, normalizeNearDuplicateThreshold } from './similarity.js';
 
 const DEFAULT_MAX_WORKERS = 5;
 const MIN_MAX_WORKERS = 1;
 const MAX_MAX_WORKERS = 10;
+// Page fetches (tabs) in flight across all running crawls
+const GLOBAL_WORKER_BUDGET = 10;
 const DELAY_BETWEEN_REQUESTS = 500; // ms
 const REQUEST_TIMEOUT = 30000; // 30 seconds
 
@@ -35,6 +78,74 @@ const DEFAULT_MAX_EXTERNAL_HOPS = 1;
 const MIN_MAX_EXTERNAL_HOPS = 1;
 const MAX_MAX_EXTERNAL_HOPS = 5;
 
+// Internal link depth limit (link distance from the seed URLs, optional)
+const MIN_MAX_DEPTH = 0;
+const MAX_MAX_DEPTH = 100;
+
+// Polite mode: cap how many robots.txt skips are stored on the job
+const MAX_ROBOTS_SKIPPED_RECORDED = 500;
+
+// Throttled responses (429/503) are re-queued this many times before counting as failures
+const MAX_THROTTLE_RETRIES = 3;
+
+// Frontier snapshots are coalesced to at most one IndexedDB write per interval
+const FRONTIER_SAVE_INTERVAL = 2000; // ms
+
+// Crawl settings stored on the job so resume and update runs reuse them
+const SAVED_JOB_OPTIONS = [
+  'maxWorkers', 'pageLimit', 'strictPathMatching', 'useIncognito', 'followExternalLinks',
+  'maxExternalHops', 'waitForSelectors', 'respectRobots', 'urlRules', 'maxDepth',
+  'sitemapUrlsAsSeeds', 'crawlStrategy', 'maxRetries', 'retryBaseDelay', 'canonicalization',
+  'followPagination', 'maxPaginationPages', 'stitchPagination', 'respectPageDirectives',
+  'nearDuplicateThreshold', 'fetchMode', 'pageActions', 'infiniteScroll', 'screenshots',
+  'pdfs', 'archives', 'apiRecording'
+];
+
+// Saved settings that later runs cannot change: the job's pages are stored under canonical URLs built with them
+const LOCKED_JOB_OPTIONS = ['canonicalization', 'followPagination'];
+
+// Update mode: statuses that mean a known page has disappeared from the site
+const REMOVED_STATUSES = [404, 410];
+// Update mode: cap the URL lists kept in the job's change summary, and how many past summaries are kept
+const MAX_CHANGED_URLS_RECORDED = 200;
+const MAX_UPDATE_HISTORY = 10;
+
+/**
+ * Combine the settings saved on a job with explicitly passed options
+ * @param {object} job - Job record
+ * @param {object} options - Options passed by the caller (non-null values win, except for locked settings)
+ * @returns {object} Options for a new CrawlJob
+ */
+function mergeSavedOptions(job, options = {}) {
+  const merged = {};
+  for (const key of SAVED_JOB_OPTIONS) {
+    if (job[key] !== undefined && job[key] !== null) {
+      merged[key] = job[key];
+    }
+  }
+  for (const [key, value] of Object.entries(options)) {
+    if (value === undefined || value === null) continue;
+    if (LOCKED_JOB_OPTIONS.includes(key) && merged[key] !== undefined) {
+      console.log(`[Crawler] Ignoring ${key} for job ${job.id}: it is fixed when the job is created`);
+      continue;
+    }
+    merged[key] = value;
+  }
+  return merged;
+}
+
+/**
+ * Like mergeSavedOptions(), plus the job's encrypted authentication
+ * Passed auth replaces the saved one (an empty object clears it).
+ * @param {object} job - Job record
+ * @param {object} options - Options passed by the caller
+ * @returns {Promise<object>} Options for a new CrawlJob, with auth decrypted
+ */
+async function loadSavedOptions(job, options = {}) {
+  const merged = mergeSavedOptions(job, options);
+  merged.auth = await openCrawlAuth(options.auth !== undefined ? options.auth : job.auth);
+  return merged;
+}
 
 /**
  * CrawlJob class manages a single crawl operation
@@ -47,7 +158,29 @@ export class CrawlJob {
     this.canonicalBaseUrls = this.baseUrls.map(url => canonicalizeUrl(url)).filter(Boolean);
     this.canonicalBaseUrl = this.canonicalBaseUrls[0]; // For backward compatibility
 
-    this.queue = []; // URLs to crawl
+    // Which query parameters make a distinct page (default: none, the whole query is dropped)
+    // Base URLs above stay query-free: they only set the crawl scope and identify the job
+    this.canonicalization = normalizeCanonicalization(options.canonicalization);
+
+    // Pagination (opt-in): follow ?page=N, /page/N and rel="next"/"prev" pages, capped per series
+    // Page numbers in the query must survive canonicalization, so those parameters are kept
+    this.followPagination = options.followPagination || false;
+    this.maxPaginationPages = normalizeMaxPaginationPages(options.maxPaginationPages);
+    // Stitching joins each series into its first stored page when the crawl completes
+    this.stitchPagination = this.followPagination && (options.stitchPagination || false);
+    if (this.followPagination) {
+      const keep = this.canonicalization.keepQueryParams;
+      this.canonicalization.keepQueryParams = [...keep, ...PAGINATION_QUERY_PARAMS.filter(param => !keep.includes(param))];
+    }
+    this.paginationPositions = new Map(); // canonical url → {series, page} learned from rel="next"/"prev" links
+    this.paginationSkipped = new Set(); // canonical urls past maxPaginationPages
+    this.stitchedPageCount = 0;
+    this.stitchedUrls = new Set(); // Update mode: continuation pages already stitched into a known page
+
+    // Queue ordering: bfs (discovery order), dfs, or priority (sitemap priority/lastmod + shallow paths)
+    this.crawlStrategy = CRAWL_STRATEGIES.includes(options.crawlStrategy) ? options.crawlStrategy : DEFAULT_CRAWL_STRATEGY;
+    this.queue = new CrawlQueue(this.crawlStrategy); // URLs to crawl
+    this.sitemapMeta = new Map(); // canonical url → {priority, lastmod} from sitemap.xml
     this.inProgress = new Set(); // URLs currently being crawled
     this.completed = new Set(); // Canonical URLs already crawled
     this.completedPerBaseUrl = new Map(); // Track completed pages per base URL for per-URL limits
@@ -57,6 +190,7 @@ export class CrawlJob {
     this.activeWorkers = 0;
     this.isPaused = false;
     this.isCancelled = false;
+    this.isFinished = false;
     this.jobId = null;
     this.onProgress = null; // Callback for progress updates
 
@@ -79,6 +213,65 @@ export class CrawlJob {
     // Incognito mode: crawl in a new incognito window for clean session
     this.useIncognito = options.useIncognito || false;
 
+    // Authentication (headers, cookies, basic auth) for the crawl's own sites
+    // Kept decrypted in memory only; the job stores it encrypted (see getSavedAuth)
+    this.auth = normalizeCrawlAuth(options.auth);
+    this.requestAuth = buildRequestAuth(this.auth, this.baseUrls);
+    // Another job's copy of a page may be the public version (or a login wall), so
+    // crawls with auth never reuse the cross-job page cache
+    this.skipCache = this.skipCache || Boolean(this.auth);
+
+    // Pre-extraction page actions (open <details>, click, capture tab panels, scroll)
+    this.pageActions = normalizePageActions(options.pageActions);
+
+    // Infinite scroll: scroll each page through the debugger until it stops loading more
+    this.infiniteScroll = normalizeInfiniteScroll(options.infiniteScroll);
+    this.scrollTruncatedUrls = new Set(); // pages stopped by a scroll limit or with a virtualized list
+
+    // Cached copies were extracted without this crawl's page actions or scrolling, so
+    // crawls with either capture every page fresh (extraction profiles are checked per URL)
+    this.skipCache = this.skipCache || Boolean(this.pageActions || this.infiniteScroll);
+
+    // Screenshots: a compressed full-page image of each rendered page, kept in the screenshots store
+    this.screenshots = normalizeScreenshotSettings(options.screenshots);
+    this.screenshotCount = 0; // screenshots stored in this run
+    this.screenshotMissingUrls = new Set(); // rendered pages without one (too large, or capturing failed)
+
+    // PDFs: in-scope .pdf links are downloaded with fetch() and stored as pages with their text
+    this.pdfs = normalizePdfSettings(options.pdfs);
+    this.pdfCount = 0; // PDF files read in this run
+    this.encryptedPdfUrls = new Set(); // PDFs skipped because they need a password to open
+
+    // Archive snapshots: an MHTML copy of each rendered page, kept in the archives store
+    this.archives = normalizeArchiveSettings(options.archives);
+    this.archiveBudget = null; // Promise of the job's ArchiveBudget, read from its stored snapshots when first needed
+    this.archiveCount = 0; // snapshots stored in this run
+    this.archiveSkippedUrls = new Set(); // rendered pages without one (too large, over the budget, or capturing failed)
+
+    // API recording: the XHR/fetch calls of each rendered page, kept in the apiRecordings store as HAR entries
+    this.apiRecording = normalizeApiRecordingSettings(options.apiRecording);
+    this.apiCallCount = 0; // calls stored in this run
+    this.apiRecordedPageCount = 0; // pages whose calls were stored in this run
+
+    // Fetch mode: 'rendered' opens every page in a tab; 'fast' fetches the HTML and renders
+    // only pages that need it; 'auto' picks one of the two per site
+    // fetch() shares the normal profile's cookies, so incognito crawls always render,
+    // and so do crawls with auth cookies (fetch() cannot send a Cookie header)
+    // and crawls whose page actions, infinite scroll, screenshots, archive snapshots or API recording need a live page
+    this.fetchMode = (this.useIncognito || this.auth?.cookies.length > 0 ||
+      pageActionsNeedRendering(this.pageActions) || this.infiniteScroll || this.screenshots || this.archives ||
+      this.apiRecording)
+      ? FetchMode.RENDERED
+      : normalizeFetchMode(options.fetchMode);
+    this.siteModes = new SiteModeDetector(this.fetchMode);
+    this.fastFetchCount = 0; // pages kept from fetch()
+    this.tabFallbackCount = 0; // fast fetches that went to tab rendering
+
+    // Extraction profiles (content root, removal and wait-for selectors per site)
+    // Read once per run on the first fetch, so edits apply from the next run on
+    this.extractionProfiles = null; // Promise<Array>
+    this.profilePageCounts = new Map(); // profile name → pages fetched with it
+
     // External link crawling configuration
     // When enabled, the crawler will follow links outside the base URL scope
     this.followExternalLinks = options.followExternalLinks || false;
@@ -88,9 +281,75 @@ export class CrawlJob {
     const requestedHops = options.maxExternalHops || DEFAULT_MAX_EXTERNAL_HOPS;
     this.maxExternalHops = Math.max(MIN_MAX_EXTERNAL_HOPS, Math.min(MAX_MAX_EXTERNAL_HOPS, requestedHops));
 
+    // Ordered include/exclude rules (glob or regex) narrowing the crawl scope
+    // Compiled up front so an invalid pattern fails the crawl before it starts
+    this.urlRules = compileUrlRules(options.urlRules);
+    this.rulesSkipped = new Set(); // canonical urls dropped by a rule (logged once each)
+
     // Track depth for each URL (internal URLs are depth 0, external URLs have depth 1+)
     this.urlDepths = new Map(); // url → depth
 
+    // Link depth: BFS distance from the seed URLs, counted for internal and external links alike
+    // maxDepth null = unlimited; 0 = seed pages only (plus sitemap URLs when they count as seeds)
+    this.maxDepth = Number.isInteger(options.maxDepth) && options.maxDepth >= MIN_MAX_DEPTH
+      ? Math.min(MAX_MAX_DEPTH, options.maxDepth)
+      : null;
+    // Sitemap URLs count as depth 0 by default; otherwise as one hop from the seeds
+    this.sitemapUrlsAsSeeds = options.sitemapUrlsAsSeeds !== undefined ? options.sitemapUrlsAsSeeds : true;
+    // URL list reviewed in a dry run: replaces discovery when the crawl starts, every URL is a seed
+    this.seedUrls = Array.isArray(options.seedUrls) && options.seedUrls.length > 0 ? options.seedUrls : null;
+    this.linkDepths = new Map(); // url → link distance from the nearest seed
+    this.depthHistogram = new Map(); // link depth → pages saved
+    this.depthSkipped = new Set(); // canonical urls not queued because they were deeper than maxDepth
+
+    // Polite mode: honour robots.txt Disallow rules and Crawl-delay (opt-in)
+    this.respectRobots = options.respectRobots || false;
+    this.robots = this.respectRobots ? new RobotsPolicy() : null;
+    this.robotsSkipped = new Map(); // canonical url → matching rule
+
+    // Page directives (opt-in): store pages under their rel="canonical" URL, skip noindex pages
+    // and don't follow nofollow links
+    this.respectPageDirectives = options.respectPageDirectives || false;
+    this.noindexSkipped = new Set(); // canonical urls not saved because of a noindex robots meta tag
+    this.nofollowSkipped = new Set(); // canonical urls not queued because they were only linked with nofollow
+    this.canonicalAlternateCount = 0; // pages stored as an alternate URL of their declared canonical page
+
+    // Near-duplicates (opt-in): pages whose SimHash fingerprint is at least this similar to a saved page
+    // become alternate URLs of that page, like exact duplicates (null = only exact duplicates are merged)
+    this.nearDuplicateThreshold = normalizeNearDuplicateThreshold(options.nearDuplicateThreshold);
+    this.similarityIndex = null; // page id → {id, url, similarityHash}, loaded from the job on first use
+    this.similarityIndexLoading = null;
+    this.nearDuplicateCount = 0;
+
+    // Per-host token buckets; slow down on 429/503 and speed back up on success
+    // Shared by concurrent crawls so two jobs on the same host don't double its rate
+    this.rateLimiter = getSharedRateLimiter();
+    this.throttleRetries = new Map(); // url → times re-queued after a 429/503
+
+    // Transient failures (timeouts, debugger detach, network errors) are retried with exponential backoff
+    const { maxRetries, retryBaseDelay } = normalizeRetryOptions(options);
+    this.maxRetries = maxRetries;
+    this.retryBaseDelay = retryBaseDelay;
+    this.retryAttempts = new Map(); // url → retries used for transient errors
+    this.retryTimers = new Map(); // url → timer putting the url back in the queue after its backoff
+
+    // Retry-failed mode: only the job's failed URLs are crawled again, links are not followed
+    this.retryFailedOnly = false;
+
+    // Frontier persistence (queue state survives service worker termination)
+    this.frontierSaveTimer = null;
+    this.frontierClosed = false; // Set once the crawl finishes - no more snapshots
+
+    // Update mode: refresh an existing job in place instead of creating a new one
+    // Known pages must be revisited, so the cross-job page cache is bypassed
+    this.updateMode = options.updateExisting || false;
+    this.skipCache = this.skipCache || this.updateMode;
+    this.existingPages = new Map(); // canonical url → {id, status, extractedAt, contentHash} already in the job
+    this.existingActiveCount = 0; // known pages not marked removed when the update started
+    this.changes = { added: 0, changed: 0, unchanged: 0, removed: 0 };
+    this.changedUrls = { added: [], changed: [], removed: [] };
+    this.updateStartedAt = null;
+
     // Initialize per-base-URL tracking
     this.canonicalBaseUrls.forEach(baseUrl => {
       this.completedPerBaseUrl.set(baseUrl, new Set());
@@ -98,6 +357,15 @@ export class CrawlJob {
     });
   }
 
+  /**
+   * Canonicalize a URL with this job's query parameter settings
+   * @param {string} url - Any URL
+   * @returns {string|null} Canonical URL, or null if invalid
+   */
+  canonicalize(url) {
+    return canonicalizeUrl(url, this.canonicalization);
+  }
+
   /**
    * Find which base URL a given URL belongs to
    * @param {string} url - The canonical URL to check
@@ -119,7 +387,9 @@ export class CrawlJob {
     console.log('Starting crawl for:', this.baseUrl);
 
     // Reset tab counters for this new crawl
-    resetTabSafety();
+    if (!hasOtherActiveCrawls(this)) {
+      resetTabSafety();
+    }
 
     // Check database version - warn if migration needed
     try {
@@ -138,24 +408,243 @@ export class CrawlJob {
       console.warn('Could not check database version:', error);
     }
 
-    // Create job in database (pass all base URLs)
-    const job = await createJob(this.baseUrls, this.canonicalBaseUrls);
-    this.jobId = job.id;
+    // Create job in database (pass all base URLs) unless it was created while the request was queued
+    if (!this.jobId) {
+      const job = await createJob(this.baseUrls, this.canonicalBaseUrls);
+      this.jobId = job.id;
+    }
 
     // Update job status
+    await updateJob(this.jobId, {
+      status: 'in_progress',
+      ...this.getSavedOptions(),
+      ...(await this.getSavedAuth())
+    });
+
+    // Discover initial URLs (pass all base URLs), or start from the list of a dry run
+    const initialUrls = this.seedUrls
+      ? this.getSeedUrls()
+      : await discoverInitialUrls(this.baseUrls, this.strictPathMatching, this.urlRules, this.sitemapMeta, this.canonicalization);
+    console.log('Initial URLs', this.seedUrls ? 'from the dry run list:' : 'discovered:', initialUrls.length, 'from', this.baseUrls.length, 'base path(s)');
+
+    // Add to queue (robots.txt is fetched first so disallowed URLs never enter it)
+    await this.loadRobots(initialUrls);
+    initialUrls.forEach(url => this.addToQueue(url, 0, this.seedUrls ? 0 : this.getInitialLinkDepth(url)));
+
+    // Update job with found pages
+    await updateJob(this.jobId, {
+      pagesFound: this.queue.length,
+      ...this.getRobotsSummary(),
+      ...this.getDepthSummary()
+    });
+    await this.saveFrontierNow();
+
+    // Start workers
+    this.startWorkers();
+
+    return this.jobId;
+  }
+
+  /**
+   * Refresh an existing job in place (update mode)
+   * Revisits the job's known pages plus anything discovered, and records what changed
+   * Assumes jobId is set and loadExistingPages() has been called
+   */
+  async updateStart() {
+    console.log('Updating job', this.jobId, 'for:', this.baseUrl, `(${this.existingPages.size} known pages)`);
+
+    // Reset tab counters for this crawl
+    if (!hasOtherActiveCrawls(this)) {
+      resetTabSafety();
+    }
+
+    this.updateStartedAt = Date.now();
+    await updateJob(this.jobId, {
+      status: 'in_progress',
+      ...this.getSavedOptions(),
+      ...(await this.getSavedAuth())
+    });
+
+    // Discover initial URLs, then add known pages even if nothing links to them anymore
+    const initialUrls = await discoverInitialUrls(this.baseUrls, this.strictPathMatching, this.urlRules, this.sitemapMeta, this.canonicalization);
+    const discovered = new Set(initialUrls);
+    const knownUrls = Array.from(this.existingPages.keys()).filter(url => !discovered.has(url));
+    console.log(`[Update] ${initialUrls.length} URLs discovered, ${knownUrls.length} more known pages to revisit`);
+
+    await this.loadRobots([...initialUrls, ...knownUrls]);
+    initialUrls.forEach(url => this.addToQueue(url, 0, this.getInitialLinkDepth(url)));
+    knownUrls.forEach(url => this.addToQueue(url, 0, 0));
+
+    await updateJob(this.jobId, {
+      pagesFound: this.queue.length,
+      ...this.getRobotsSummary(),
+      ...this.getDepthSummary()
+    });
+    await this.saveFrontierNow();
+
+    // Start workers
+    this.startWorkers();
+
+    return this.jobId;
+  }
+
+  /**
+   * Load the pages already stored in the job (update mode)
+   * Only the fields needed to detect changes are kept in memory
+   */
+  async loadExistingPages() {
+    const pages = await getPagesByJobId(this.jobId);
+    for (const page of pages) {
+      this.existingPages.set(page.canonicalUrl || page.url, {
+        id: page.id,
+        status: page.status,
+        extractedAt: page.extractedAt,
+        contentHash: page.contentHash || null,
+        archive: page.markdownMeta?.archive || null
+      });
+      (page.stitchedUrls || []).forEach(stitchedUrl => this.stitchedUrls.add(stitchedUrl));
+    }
+    this.existingActiveCount = pages.filter(page => page.status !== 'removed').length;
+    console.log('[Update] Loaded', pages.length, 'known pages (', this.existingActiveCount, 'active)');
+  }
+
+  /**
+   * Crawl settings to store on the job (reused by resume and update runs)
+   * @returns {object}
+   */
+  getSavedOptions() {
+    const saved = {};
+    for (const key of SAVED_JOB_OPTIONS) {
+      saved[key] = this[key];
+    }
+    saved.urlRules = serializeUrlRules(this.urlRules);
+    return saved;
+  }
+
+  /**
+   * Authentication to store on the job: encrypted, plus the header and cookie names for display
+   * @returns {Promise<{auth: object|null, authSummary: object|null}>}
+   */
+  async getSavedAuth() {
+    return {
+      auth: await sealCrawlAuth(this.auth),
+      authSummary: summarizeCrawlAuth(this.auth)
+    };
+  }
+
+  /**
+   * Resume a crawl from an existing job
+   * Similar to start() but doesn't create a new job - uses existing jobId
+   * Assumes completed set has already been populated from existing pages
+   * @param {boolean} fromFrontier - Queue was restored from a saved frontier (skip rediscovery)
+   */
+  async resumeStart(fromFrontier = false) {
+    console.log('Resuming crawl for:', this.baseUrl, '(jobId:', this.jobId, ')');
+
+    // Reset tab counters for this crawl
+    if (!hasOtherActiveCrawls(this)) {
+      resetTabSafety();
+    }
+
+    // Check database version
+    try {
+      const dbVersion = await getDBVersion();
+      const expectedVersion = 2;
+
+      if (dbVersion < expectedVersion) {
+        console.warn('⚠️  DATABASE MIGRATION NEEDED ⚠️');
+      } else {
+        console.log(`✅ Database version OK: v${dbVersion}`);
+      }
+    } catch (error) {
+      console.warn('Could not check database version:', error);
+    }
+
+    // Update existing job status back to in_progress
     await updateJob(this.jobId, { status: 'in_progress' });
 
+    // A saved frontier already holds the exact queue - continue from it instead of rediscovering
+    if (fromFrontier) {
+      await this.loadRobots(this.queue.toArray());
+      console.log(`[Resume] Continuing from saved frontier: ${this.queue.length} queued, ${this.completed.size} completed, ${this.failed.size} failed`);
+
+      await updateJob(this.jobId, {
+        pagesFound: this.queue.length + this.completed.size,
+        ...this.getRobotsSummary(),
+        ...this.getDepthSummary()
+      });
+
+      this.startWorkers();
+      return this.jobId;
+    }
+
     // Discover initial URLs (pass all base URLs)
-    const initialUrls = await discoverInitialUrls(this.baseUrls, this.strictPathMatching);
+    const initialUrls = await discoverInitialUrls(this.baseUrls, this.strictPathMatching, this.urlRules, this.sitemapMeta, this.canonicalization);
     console.log('Initial URLs discovered:', initialUrls.length, 'from', this.baseUrls.length, 'base path(s)');
+    console.log('Already completed:', this.completed.size, 'URLs (will be skipped)');
+
+    // Add to queue - addToQueue will skip URLs already in completed set
+    await this.loadRobots(initialUrls);
+    let skipped = 0;
+    let added = 0;
+    initialUrls.forEach(url => {
+      const canonical = this.canonicalize(url);
+      if (canonical && this.completed.has(canonical)) {
+        skipped++;
+      } else {
+        this.addToQueue(url, 0, this.getInitialLinkDepth(url));
+        added++;
+      }
+    });
 
-    // Add to queue
-    initialUrls.forEach(url => this.addToQueue(url));
+    console.log(`[Resume] Added ${added} new URLs to queue, skipped ${skipped} already-completed URLs`);
 
     // Update job with found pages
     await updateJob(this.jobId, {
-      pagesFound: this.queue.length
+      pagesFound: this.queue.length + this.completed.size,
+      ...this.getRobotsSummary(),
+      ...this.getDepthSummary()
+    });
+    await this.saveFrontierNow();
+
+    // Start workers
+    this.startWorkers();
+
+    return this.jobId;
+  }
+
+  /**
+   * Crawl a finished job's failed URLs again (retry-failed mode)
+   * Assumes jobId is set and completed/failed hold the pages that are not being retried
+   * @param {string[]} urls - Canonical URLs of the failures to retry
+   */
+  async retryStart(urls) {
+    console.log(`[Retry] Retrying ${urls.length} failed pages for job ${this.jobId} (${this.failed.size} failures left as they are)`);
+
+    // Reset tab counters for this crawl
+    if (!hasOtherActiveCrawls(this)) {
+      resetTabSafety();
+    }
+
+    await updateJob(this.jobId, { status: 'in_progress' });
+
+    // The URLs were in scope when they failed, so they skip the scope checks in addToQueue
+    // (robots.txt still applies in polite mode)
+    await this.loadRobots(urls);
+    for (const url of urls) {
+      const verdict = this.robots ? this.robots.isAllowed(url) : { allowed: true };
+      if (verdict.allowed) {
+        this.queue.push(url, this.getQueueScore(url));
+      } else {
+        this.robotsSkipped.set(url, verdict.rule);
+      }
+    }
+
+    await updateJob(this.jobId, {
+      pagesFound: this.queue.length + this.completed.size,
+      ...this.getRobotsSummary()
     });
+    await this.saveFrontierNow();
 
     // Start workers
     this.startWorkers();
@@ -164,112 +653,755 @@ export class CrawlJob {
   }
 
   /**
-   * Resume a crawl from an existing job
-   * Similar to start() but doesn't create a new job - uses existing jobId
-   * Assumes completed set has already been populated from existing pages
+   * Build a serializable snapshot of the crawl frontier
+   * In-progress URLs go first in the queue: they were not finished when the snapshot was taken
+   * @returns {object} Frontier record for saveFrontier()
+   */
+  getFrontierSnapshot() {
+    const completedPerBaseUrl = {};
+    for (const [baseUrl, urls] of this.completedPerBaseUrl) {
+      completedPerBaseUrl[baseUrl] = Array.from(urls);
+    }
+
+    const inProgress = Array.from(this.inProgress).filter(url => !this.queue.includes(url));
+    // URLs waiting out a retry backoff are still to do
+    const retrying = Array.from(this.retryTimers.keys()).filter(url => !this.queue.includes(url));
+
+    return {
+      queue: [...inProgress, ...retrying, ...this.queue.toArray()],
+      sitemapMeta: Array.from(this.sitemapMeta.entries()),
+      urlDepths: Array.from(this.urlDepths.entries()),
+      linkDepths: Array.from(this.linkDepths.entries()),
+      paginationPositions: Array.from(this.paginationPositions.entries()),
+      completed: Array.from(this.completed),
+      completedPerBaseUrl,
+      failed: Array.from(this.failed).map(url => [url, this.failedDetails.get(url) || null])
+    };
+  }
+
+  /**
+   * Restore state from a saved frontier (merged with anything already loaded)
+   * @param {object} frontier - Record from getFrontier()
+   */
+  restoreFrontier(frontier) {
+    (frontier.completed || []).forEach(url => this.completed.add(url));
+
+    for (const [baseUrl, urls] of Object.entries(frontier.completedPerBaseUrl || {})) {
+      const baseUrlCompleted = this.completedPerBaseUrl.get(baseUrl);
+      if (baseUrlCompleted) urls.forEach(url => baseUrlCompleted.add(url));
+    }
+
+    for (const [url, details] of frontier.failed || []) {
+      this.failed.add(url);
+      if (details) this.failedDetails.set(url, details);
+    }
+
+    for (const [url, depth] of frontier.urlDepths || []) {
+      this.urlDepths.set(url, depth);
+    }
+
+    for (const [url, linkDepth] of frontier.linkDepths || []) {
+      this.linkDepths.set(url, linkDepth);
+    }
+
+    for (const [url, meta] of frontier.sitemapMeta || []) {
+      this.sitemapMeta.set(url, meta);
+    }
+
+    for (const [url, position] of frontier.paginationPositions || []) {
+      this.paginationPositions.set(url, position);
+    }
+
+    // Pages saved after the last snapshot are already in completed - don't queue them again
+    this.queue.clear();
+    (frontier.queue || [])
+      .filter(url => !this.completed.has(url) && !this.failed.has(url))
+      .forEach(url => this.queue.push(url, this.getQueueScore(url)));
+  }
+
+  /**
+   * Schedule a frontier snapshot (at most one write per FRONTIER_SAVE_INTERVAL)
+   */
+  scheduleFrontierSave() {
+    if (this.frontierSaveTimer || this.frontierClosed || !this.jobId) return;
+
+    this.frontierSaveTimer = setTimeout(() => {
+      this.frontierSaveTimer = null;
+      this.saveFrontierNow().catch(error => {
+        console.warn('[Crawler] Failed to persist frontier:', error);
+      });
+    }, FRONTIER_SAVE_INTERVAL);
+  }
+
+  /**
+   * Write the frontier snapshot immediately
+   */
+  async saveFrontierNow() {
+    if (!this.jobId) return;
+    await saveFrontier(this.jobId, this.getFrontierSnapshot());
+  }
+
+  /**
+   * Add URL to queue if not already processed
+   * @param {string} url - The URL to add
+   * @param {number} depth - The depth of this URL (0 = internal/base, 1+ = external hops)
+   * @param {number} linkDepth - Link distance from the seed URLs (0 = seed)
+   */
+  addToQueue(url, depth = 0, linkDepth = 0) {
+    const canonical = this.canonicalize(url);
+    if (!canonical) return;
+
+    // Check if already processed or in queue
+    if (this.completed.has(canonical) ||
+        this.inProgress.has(canonical) ||
+        this.retryTimers.has(canonical)) {
+      return;
+    }
+    if (this.queue.includes(canonical)) {
+      // Workers run concurrently, so a shorter path to a queued URL can turn up later
+      if (linkDepth < (this.linkDepths.get(canonical) ?? Infinity)) {
+        this.linkDepths.set(canonical, linkDepth);
+        // Link depth feeds the priority score
+        this.queue.updateScore(canonical, this.getQueueScore(canonical));
+      }
+      return;
+    }
+
+    // Pagination cap: pages past maxPaginationPages of a series are not followed
+    if (this.followPagination) {
+      const position = this.getPaginationPosition(canonical);
+      if (position && position.page > this.maxPaginationPages) {
+        this.paginationSkipped.add(canonical);
+        return;
+      }
+    }
+
+    // Include/exclude rules apply to internal and external URLs alike
+    if (this.urlRules.length > 0) {
+      const verdict = matchUrlRules(this.urlRules, canonical);
+      if (!verdict.allowed) {
+        if (!this.rulesSkipped.has(canonical)) {
+          console.log(`[Crawler] Skipping URL excluded by URL rules (${verdict.rule}): ${canonical}`);
+          this.rulesSkipped.add(canonical);
+        }
+        return;
+      }
+    }
+
+    // Check if this is an internal URL
+    const isInternal = isInternalUrl(canonical, this.canonicalBaseUrls, this.strictPathMatching);
+
+    // For internal URLs, always use depth 0
+    const actualDepth = isInternal ? 0 : depth;
+
+    // For external URLs, check if we're allowed to follow them and if depth is within limit
+    if (!isInternal) {
+      if (!this.followExternalLinks) {
+        // External links not allowed
+        return;
+      }
+      if (actualDepth > this.maxExternalHops) {
+        // Exceeds max hop limit
+        console.log(`[Crawler] Skipping external URL (depth ${actualDepth} > max ${this.maxExternalHops}): ${canonical}`);
+        return;
+      }
+    }
+
+    // Check if this URL's base URL has reached its page limit (only for internal URLs)
+    if (this.pageLimit && isInternal) {
+      const matchingBaseUrl = this.getMatchingBaseUrl(canonical);
+      if (matchingBaseUrl && !this.hasCapacityForBaseUrl(matchingBaseUrl)) {
+        // Skip this URL - its base URL has reached the limit
+        return;
+      }
+    }
+
+    // Polite mode: drop URLs disallowed by robots.txt before they are queued
+    if (this.robots) {
+      const verdict = this.robots.isAllowed(canonical);
+      if (!verdict.allowed) {
+        if (!this.robotsSkipped.has(canonical)) {
+          console.log(`[Crawler] Skipping URL disallowed by robots.txt (${verdict.rule}): ${canonical}`);
+          this.robotsSkipped.set(canonical, verdict.rule);
+        }
+        return;
+      }
+    }
+
+    // Link depth limit: stop enqueueing past maxDepth (recorded only for URLs the crawl would otherwise visit)
+    if (this.maxDepth !== null && linkDepth > this.maxDepth) {
+      if (!this.linkDepths.has(canonical)) this.depthSkipped.add(canonical);
+      return;
+    }
+
+    // Store the depth for this URL
+    this.urlDepths.set(canonical, actualDepth);
+    this.linkDepths.set(canonical, linkDepth);
+    this.depthSkipped.delete(canonical);
+    this.nofollowSkipped.delete(canonical);
+
+    this.queue.push(canonical, this.getQueueScore(canonical));
+  }
+
+  /**
+   * Add extracted links to the queue
+   * Loads robots.txt for any new origins first (polite mode) so addToQueue can check them
+   * @param {Array<{url: string, depth: number}>} links - Links from extraction
+   * @param {string} sourceUrl - The page the links were found on (their link depth is one more)
+   * @param {string} [html] - The page's HTML, read for rel="next"/"prev" links when following pagination
+   *   and for nofollow directives when respecting page directives
+   */
+  async enqueueLinks(links, sourceUrl, html = null) {
+    // Retry-failed mode only revisits the failed pages
+    if (this.retryFailedOnly) return;
+
+    if (this.respectPageDirectives && html) {
+      links = this.dropNofollowLinks(links, sourceUrl, html);
+      if (links === null) return;
+    }
+
+    // Pagination: the next/previous pages of a series stay at the source page's depth
+    let pageLinks = [];
+    if (this.followPagination) {
+      ({ links, pageLinks } = this.splitPaginationLinks(links, sourceUrl, html));
+    }
+
+    const sourceDepth = this.linkDepths.get(sourceUrl) ?? 0;
+    const linkDepth = sourceDepth + 1;
+
+    await this.loadRobots([...pageLinks, ...links].map(link => link.url));
+    pageLinks.forEach(({ url: linkUrl, depth }) => this.addToQueue(linkUrl, depth, sourceDepth));
+    links.forEach(({ url: linkUrl, depth }) => this.addToQueue(linkUrl, depth, linkDepth));
+  }
+
+  /**
+   * Remove the links a page asks crawlers not to follow
+   * @param {Array<{url: string, depth: number}>} links - Links from extraction
+   * @param {string} sourceUrl - The page the links were found on
+   * @param {string} html - The page's HTML
+   * @returns {Array<{url: string, depth: number}>|null} null if the whole page is nofollow
+   */
+  dropNofollowLinks(links, sourceUrl, html) {
+    const directives = findPageDirectives(html, sourceUrl);
+    const skip = (canonical) => {
+      if (canonical && !this.completed.has(canonical) && !this.linkDepths.has(canonical)) {
+        this.nofollowSkipped.add(canonical);
+      }
+    };
+
+    if (directives.nofollow) {
+      console.log(`   🚫 NOFOLLOW page - not following its ${links.length} links`);
+      links.forEach(({ url: linkUrl }) => skip(this.canonicalize(linkUrl)));
+      return null;
+    }
+
+    const nofollow = new Set(directives.nofollowLinks.map(url => this.canonicalize(url)).filter(Boolean));
+    if (nofollow.size === 0) return links;
+    return links.filter(({ url: linkUrl }) => {
+      const canonical = this.canonicalize(linkUrl);
+      if (!nofollow.has(canonical)) return true;
+      skip(canonical);
+      return false;
+    });
+  }
+
+  /**
+   * Separate pagination links from the other links of a page
+   * rel="next"/"prev" links are added even if link extraction missed them (e.g. <link> tags in the head)
+   * @param {Array<{url: string, depth: number}>} links - Links from extraction
+   * @param {string} sourceUrl - Canonical URL of the page
+   * @param {string|null} html - The page's HTML
+   * @returns {{links: Array, pageLinks: Array}} pageLinks carry the source page's external depth
+   */
+  splitPaginationLinks(links, sourceUrl, html) {
+    const rel = findRelPaginationLinks(html, sourceUrl);
+    const source = {
+      url: sourceUrl,
+      position: this.getPaginationPosition(sourceUrl),
+      next: rel.next ? this.canonicalize(rel.next) : null,
+      prev: rel.prev ? this.canonicalize(rel.prev) : null
+    };
+    const sourceHops = this.urlDepths.get(sourceUrl) || 0;
+
+    const candidates = [...links];
+    [source.next, source.prev].forEach(url => {
+      if (url) candidates.push({ url, depth: sourceHops });
+    });
+
+    const otherLinks = [];
+    const pageLinks = new Map(); // canonical url → link
+    for (const link of candidates) {
+      const canonical = this.canonicalize(link.url);
+      const position = canonical ? getLinkPosition(canonical, source) : null;
+      if (!position) {
+        otherLinks.push(link);
+        continue;
+      }
+      // Positions of unnumbered pages are only known from the chain of rel links
+      if (!parsePaginationUrl(canonical) && !this.paginationPositions.has(canonical)) {
+        this.paginationPositions.set(canonical, position);
+      }
+      pageLinks.set(canonical, { url: canonical, depth: sourceHops });
+    }
+
+    return { links: otherLinks, pageLinks: Array.from(pageLinks.values()) };
+  }
+
+  /**
+   * Position of a URL in a paginated series
+   * @param {string} url - Canonical URL
+   * @returns {{series: string, page: number}|null}
+   */
+  getPaginationPosition(url) {
+    return parsePaginationUrl(url) || this.paginationPositions.get(url) || null;
+  }
+
+  /**
+   * Tag page metadata with the page's position in a series (used to stitch series together)
+   * @param {string} url - Canonical URL
+   * @param {object|null} metadata - Metadata extracted from the page
+   * @returns {object|null}
+   */
+  withPaginationMetadata(url, metadata) {
+    if (!this.followPagination) return metadata;
+    const { pagination, ...rest } = metadata || {};
+    const position = this.getPaginationPosition(url);
+    if (position) {
+      return { ...rest, pagination: position };
+    }
+    return metadata ? rest : null;
+  }
+
+  /**
+   * Score a URL for the priority strategy (other strategies ignore scores)
+   * @param {string} url - Canonical URL
+   * @returns {number}
+   */
+  getQueueScore(url) {
+    if (this.crawlStrategy !== 'priority') return 0;
+    return computeUrlPriority(url, {
+      ...this.sitemapMeta.get(url),
+      linkDepth: this.linkDepths.get(url)
+    });
+  }
+
+  /**
+   * Link depth for URLs from initial discovery
+   * Seeds are depth 0; sitemap URLs are depth 0 too unless sitemapUrlsAsSeeds is off
+   * @param {string} url - URL from discoverInitialUrls
+   * @returns {number}
+   */
+  getInitialLinkDepth(url) {
+    const canonical = this.canonicalize(url);
+    if (this.sitemapUrlsAsSeeds || this.baseUrls.some(baseUrl => this.canonicalize(baseUrl) === canonical)) {
+      return 0;
+    }
+    return 1;
+  }
+
+  /**
+   * Base URLs followed by the dry run list, canonicalized with this job's settings
+   * Scope, URL rules and robots.txt still apply when the URLs are queued
+   * @returns {string[]}
+   */
+  getSeedUrls() {
+    const urls = new Set();
+    for (const url of [...this.baseUrls, ...this.seedUrls]) {
+      const canonical = typeof url === 'string' ? this.canonicalize(url) : null;
+      if (canonical) urls.add(canonical);
+    }
+    return Array.from(urls);
+  }
+
+  /**
+   * Count a saved page in the per-depth histogram
+   * @param {string} url - The canonical URL that was saved
+   */
+  recordPageDepth(url) {
+    // Retry-failed mode: the link depth of failed pages is not kept, so they are not counted
+    if (this.retryFailedOnly) return;
+    const linkDepth = this.linkDepths.get(url) ?? 0;
+    this.depthHistogram.set(linkDepth, (this.depthHistogram.get(linkDepth) || 0) + 1);
+  }
+
+  /**
+   * Build the link depth fields stored on the job
+   * @returns {{depthHistogram: Object<string, number>, depthSkippedCount: number}}
+   */
+  getDepthSummary() {
+    const depthHistogram = {};
+    Array.from(this.depthHistogram.keys())
+      .sort((a, b) => a - b)
+      .forEach(depth => {
+        depthHistogram[depth] = this.depthHistogram.get(depth);
+      });
+
+    return {
+      depthHistogram,
+      depthSkippedCount: this.depthSkipped.size
+    };
+  }
+
+  /**
+   * Build the pagination fields stored on the job
+   * @returns {object} Empty unless pagination is followed
+   */
+  getPaginationSummary() {
+    if (!this.followPagination) return {};
+    return {
+      paginationSkippedCount: this.paginationSkipped.size,
+      stitchedPageCount: this.stitchedPageCount
+    };
+  }
+
+  /**
+   * Build the page directive fields stored on the job
+   * @returns {object} Empty unless page directives are respected
+   */
+  getDirectivesSummary() {
+    if (!this.respectPageDirectives) return {};
+    return {
+      noindexSkippedCount: this.noindexSkipped.size,
+      nofollowSkippedCount: this.nofollowSkipped.size,
+      canonicalAlternateCount: this.canonicalAlternateCount
+    };
+  }
+
+  /**
+   * Build the fetch mode fields stored on the job
+   * @returns {object} Empty unless fast or auto mode is on
+   */
+  getFetchModeSummary() {
+    if (this.fetchMode === FetchMode.RENDERED) return {};
+    return {
+      fastFetchCount: this.fastFetchCount,
+      tabFallbackCount: this.tabFallbackCount,
+      siteFetchModes: this.siteModes.getSiteModes()
+    };
+  }
+
+  /**
+   * Build the infinite-scroll fields stored on the job
+   * @returns {object} Empty unless infinite scroll is on
+   */
+  getScrollSummary() {
+    if (!this.infiniteScroll) return {};
+    return {
+      scrollTruncatedCount: this.scrollTruncatedUrls.size
+    };
+  }
+
+  /**
+   * Build the screenshot fields stored on the job
+   * @returns {object} Empty unless screenshots are on
+   */
+  getScreenshotSummary() {
+    if (!this.screenshots) return {};
+    return {
+      screenshotCount: this.screenshotCount,
+      screenshotMissingCount: this.screenshotMissingUrls.size
+    };
+  }
+
+  /**
+   * Build the PDF fields stored on the job
+   * @returns {object} Empty unless PDFs are on
+   */
+  getPdfSummary() {
+    if (!this.pdfs) return {};
+    return {
+      pdfCount: this.pdfCount,
+      encryptedPdfCount: this.encryptedPdfUrls.size
+    };
+  }
+
+  /**
+   * Store the screenshot taken with a page's content
+   * A failure here never fails the page - it is only counted as missing
+   * @param {string} pageId - Saved page
+   * @param {string} url - Canonical URL of the page
+   * @param {object|null} screenshot - From fetchUrl(), null when none was taken
+   */
+  async storeScreenshot(pageId, url, screenshot) {
+    if (!screenshot) return;
+    try {
+      const { data, ...details } = screenshot;
+      await saveScreenshot(pageId, this.jobId, { ...details, blob: base64ToBlob(data, screenshotMimeType(details.format)) });
+      this.screenshotCount++;
+    } catch (error) {
+      console.warn(`[Crawler] Failed to store the screenshot of ${url}:`, error);
+      this.screenshotMissingUrls.add(url);
+    }
+  }
+
+  /**
+   * Give a page saved from the cache the screenshot of the page it was copied from
+   * @param {object} cached - Cached page record
+   * @param {string} pageId - Page saved from it
+   */
+  async copyCachedScreenshot(cached, pageId) {
+    if (!cached.markdownMeta?.screenshot) return;
+    try {
+      const screenshot = await getScreenshot(cached.id);
+      if (screenshot) {
+        await saveScreenshot(pageId, this.jobId, screenshot);
+        this.screenshotCount++;
+      }
+    } catch (error) {
+      console.warn(`[Crawler] Failed to copy the cached screenshot of ${cached.url}:`, error);
+    }
+  }
+
+  /**
+   * Build the API recording fields stored on the job
+   * @returns {object} Empty unless API recording is on
+   */
+  getApiRecordingSummary() {
+    if (!this.apiRecording) return {};
+    return {
+      apiCallCount: this.apiCallCount,
+      apiRecordedPageCount: this.apiRecordedPageCount
+    };
+  }
+
+  /**
+   * Store the API calls recorded while a page was captured
+   * Replaces the page's previous recording; a failure here never fails the page
+   * @param {string} pageId - Saved page
+   * @param {string} url - Canonical URL of the page
+   * @param {object|null} apiRecording - From fetchUrl(), null when the page was not recorded
+   */
+  async storeApiRecording(pageId, url, apiRecording) {
+    if (!apiRecording) return;
+    try {
+      await saveApiRecording(pageId, this.jobId, { ...apiRecording, url });
+      this.apiCallCount += apiRecording.entries.length;
+      this.apiRecordedPageCount++;
+    } catch (error) {
+      console.warn(`[Crawler] Failed to store the API calls of ${url}:`, error);
+    }
+  }
+
+  /**
+   * Give a page saved from the cache the API recording of the page it was copied from
+   * @param {object} cached - Cached page record
+   * @param {object} savedPage - Page saved from it
+   */
+  async copyCachedApiRecording(cached, savedPage) {
+    if (!cached.markdownMeta?.apiRecording) return;
+    try {
+      const recording = await getApiRecording(cached.id);
+      if (recording) {
+        const { pageId, jobId, savedAt, ...details } = recording;
+        await this.storeApiRecording(savedPage.id, savedPage.url, details);
+      }
+    } catch (error) {
+      console.warn(`[Crawler] Failed to copy the cached API recording of ${cached.url}:`, error);
+    }
+  }
+
+  /**
+   * Size budget of the job's archive snapshots
+   * The snapshots stored by earlier runs (resume, update) count against it
+   * @returns {Promise<ArchiveBudget>}
+   */
+  getArchiveBudget() {
+    if (!this.archiveBudget) {
+      this.archiveBudget = getArchiveBytesByJobId(this.jobId)
+        .catch(error => {
+          console.warn('[Crawler] Could not read the size of the stored archive snapshots:', error);
+          return 0;
+        })
+        .then(used => new ArchiveBudget(this.archives.jobBudget, used));
+    }
+    return this.archiveBudget;
+  }
+
+  /**
+   * Snapshot limits for the next rendered page
+   * @returns {Promise<{maxBytes: number}|null>} null when snapshots are off or the budget is used up
+   */
+  async getArchiveCaptureSettings() {
+    if (!this.archives) return null;
+    const { remaining } = await this.getArchiveBudget();
+    if (remaining === 0) return null;
+    return { maxBytes: Math.min(this.archives.maxBytes, remaining) };
+  }
+
+  /**
+   * Build the archive snapshot fields stored on the job
+   * @returns {Promise<object>} Empty unless snapshots are on; archiveBytes counts all the job's snapshots
+   */
+  async getArchiveSummary() {
+    if (!this.archives) return {};
+    const budget = await this.getArchiveBudget();
+    return {
+      archiveCount: this.archiveCount,
+      archiveSkippedCount: this.archiveSkippedUrls.size,
+      archiveBytes: budget.used
+    };
+  }
+
+  /**
+   * Reserve room in the job's snapshot budget for a page about to be saved
+   * When other pages used the room in the meantime, the page is saved without its snapshot
+   * @param {string} url - Canonical URL of the page
+   * @param {object|null} archive - From fetchUrl(), null when none was taken
+   * @param {object|null} markdownMeta - The page's markdownMeta, its archive summary is removed when the snapshot is dropped
+   * @returns {Promise<object|null>} The snapshot to store once the page is saved
+   */
+  async claimArchive(url, archive, markdownMeta) {
+    if (!archive) return null;
+    const budget = await this.getArchiveBudget();
+    if (budget.claim(archive.bytes)) return archive;
+
+    console.warn(`[Crawler] Archive budget used up, not storing the snapshot of ${url}`);
+    if (markdownMeta) delete markdownMeta.archive;
+    this.archiveSkippedUrls.add(url);
+    return null;
+  }
+
+  /**
+   * Store the archive snapshot taken with a page's content
+   * A failure here never fails the page - it is only counted as skipped
+   * @param {string} pageId - Saved page
+   * @param {string} url - Canonical URL of the page
+   * @param {object|null} archive - From claimArchive()
+   * @returns {Promise<boolean>} Whether a snapshot was stored
+   */
+  async storeArchive(pageId, url, archive) {
+    if (!archive) return false;
+    try {
+      await saveArchive(pageId, this.jobId, archive);
+      this.archiveCount++;
+      return true;
+    } catch (error) {
+      console.warn(`[Crawler] Failed to store the archive snapshot of ${url}:`, error);
+      (await this.getArchiveBudget()).release(archive.bytes);
+      this.archiveSkippedUrls.add(url);
+      return false;
+    }
+  }
+
+  /**
+   * markdownMeta for a page saved from the cache
+   * The cached page's snapshot is copied when this job takes snapshots and it fits the budget;
+   * otherwise its archive summary is left out
+   * @param {object} cached - Cached page record
+   * @returns {Promise<object|null>}
    */
-  async resumeStart() {
-    console.log('Resuming crawl for:', this.baseUrl, '(jobId:', this.jobId, ')');
-
-    // Reset tab counters for this crawl
-    resetTabSafety();
+  async getCachedMarkdownMeta(cached) {
+    const markdownMeta = cached.markdownMeta || null;
+    if (!markdownMeta?.archive) return markdownMeta;
+    if (this.archives && (await this.getArchiveBudget()).claim(markdownMeta.archive.bytes)) {
+      return markdownMeta;
+    }
+    const { archive, ...rest } = markdownMeta;
+    return rest;
+  }
 
-    // Check database version
+  /**
+   * Give a page saved from the cache the snapshot of the page it was copied from
+   * Its room in the budget was claimed by getCachedMarkdownMeta()
+   * @param {object} cached - Cached page record
+   * @param {object} savedPage - Page saved from it
+   */
+  async copyCachedArchive(cached, savedPage) {
+    const claimed = savedPage.markdownMeta?.archive;
+    if (!claimed) return;
     try {
-      const dbVersion = await getDBVersion();
-      const expectedVersion = 2;
-
-      if (dbVersion < expectedVersion) {
-        console.warn('⚠️  DATABASE MIGRATION NEEDED ⚠️');
-      } else {
-        console.log(`✅ Database version OK: v${dbVersion}`);
+      const archive = await getArchive(cached.id);
+      if (archive) {
+        await saveArchive(savedPage.id, this.jobId, archive);
+        this.archiveCount++;
+        return;
       }
     } catch (error) {
-      console.warn('Could not check database version:', error);
+      console.warn(`[Crawler] Failed to copy the cached archive snapshot of ${cached.url}:`, error);
     }
+    (await this.getArchiveBudget()).release(claimed.bytes);
+  }
 
-    // Update existing job status back to in_progress
-    await updateJob(this.jobId, { status: 'in_progress' });
-
-    // Discover initial URLs (pass all base URLs)
-    const initialUrls = await discoverInitialUrls(this.baseUrls, this.strictPathMatching);
-    console.log('Initial URLs discovered:', initialUrls.length, 'from', this.baseUrls.length, 'base path(s)');
-    console.log('Already completed:', this.completed.size, 'URLs (will be skipped)');
-
-    // Add to queue - addToQueue will skip URLs already in completed set
-    let skipped = 0;
-    let added = 0;
-    initialUrls.forEach(url => {
-      const canonical = canonicalizeUrl(url);
-      if (canonical && this.completed.has(canonical)) {
-        skipped++;
-      } else {
-        this.addToQueue(url);
-        added++;
-      }
-    });
-
-    console.log(`[Resume] Added ${added} new URLs to queue, skipped ${skipped} already-completed URLs`);
-
-    // Update job with found pages
-    await updateJob(this.jobId, {
-      pagesFound: this.queue.length + this.completed.size
-    });
-
-    // Start workers
-    this.startWorkers();
-
-    return this.jobId;
+  /**
+   * Build the extraction profile fields stored on the job
+   * @returns {object} extractionProfilesUsed is null when no profile matched a page in this run
+   */
+  getProfileSummary() {
+    return {
+      extractionProfilesUsed: this.profilePageCounts.size > 0 ? Object.fromEntries(this.profilePageCounts) : null
+    };
   }
 
   /**
-   * Add URL to queue if not already processed
-   * @param {string} url - The URL to add
-   * @param {number} depth - The depth of this URL (0 = internal/base, 1+ = external hops)
+   * Build the near-duplicate fields stored on the job
+   * @returns {object} Empty unless near-duplicate merging is on
    */
-  addToQueue(url, depth = 0) {
-    const canonical = canonicalizeUrl(url);
-    if (!canonical) return;
+  getNearDuplicateSummary() {
+    if (this.nearDuplicateThreshold === null) return {};
+    return { nearDuplicateCount: this.nearDuplicateCount };
+  }
 
-    // Check if already processed or in queue
-    if (this.completed.has(canonical) ||
-        this.inProgress.has(canonical) ||
-        this.queue.includes(canonical)) {
-      return;
+  /**
+   * Join each paginated series of the job into its first stored page
+   * The other pages of the series are deleted; the first page lists them in stitchedUrls
+   */
+  async stitchPaginatedPages() {
+    const pages = await getPagesByJobId(this.jobId);
+    for (const series of groupPaginatedPages(pages)) {
+      const [first, ...rest] = series;
+      const stitched = stitchSeries(series);
+      await updatePage(first.id, {
+        content: stitched.content,
+        contentLength: stitched.content.length,
+        markdown: stitched.markdown,
+        unstitched: stitched.unstitched,
+        stitchedUrls: stitched.stitchedUrls,
+        boilerplateOriginal: null,
+        boilerplateRemovedChars: null
+      });
+      for (const page of rest) {
+        await deletePage(page.id);
+      }
+      this.stitchedPageCount += rest.length;
+      console.log(`[Crawler] 📎 Stitched ${series.length} pages into ${first.url}`);
     }
+  }
 
-    // Check if this is an internal URL
-    const isInternal = isInternalUrl(canonical, this.canonicalBaseUrls, this.strictPathMatching);
+  /**
+   * Fetch robots.txt for the origins of the given URLs (no-op unless polite mode is on)
+   * @param {string[]} urls - URLs about to be queued
+   */
+  async loadRobots(urls) {
+    if (!this.robots || urls.length === 0) return;
+    await this.robots.load(urls);
+  }
 
-    // For internal URLs, always use depth 0
-    const actualDepth = isInternal ? 0 : depth;
+  /**
+   * Get the robots.txt Crawl-delay for a URL's origin (polite mode only)
+   * @param {string} url - The URL about to be fetched
+   * @returns {number|null} Delay in milliseconds, or null if none applies
+   */
+  getCrawlDelay(url) {
+    return this.robots ? this.robots.getCrawlDelay(url) : null;
+  }
 
-    // For external URLs, check if we're allowed to follow them and if depth is within limit
-    if (!isInternal) {
-      if (!this.followExternalLinks) {
-        // External links not allowed
-        return;
-      }
-      if (actualDepth > this.maxExternalHops) {
-        // Exceeds max hop limit
-        console.log(`[Crawler] Skipping external URL (depth ${actualDepth} > max ${this.maxExternalHops}): ${canonical}`);
-        return;
-      }
-    }
+  /**
+   * Build the robots.txt fields stored on the job
+   * @returns {object} Empty when polite mode is off
+   */
+  getRobotsSummary() {
+    if (!this.respectRobots) return {};
 
-    // Check if this URL's base URL has reached its page limit (only for internal URLs)
-    if (this.pageLimit && isInternal) {
-      const matchingBaseUrl = this.getMatchingBaseUrl(canonical);
-      if (matchingBaseUrl && !this.hasCapacityForBaseUrl(matchingBaseUrl)) {
-        // Skip this URL - its base URL has reached the limit
-        return;
-      }
+    const robotsSkipped = [];
+    for (const [url, rule] of this.robotsSkipped) {
+      if (robotsSkipped.length >= MAX_ROBOTS_SKIPPED_RECORDED) break;
+      robotsSkipped.push({ url, rule });
     }
 
-    // Store the depth for this URL
-    this.urlDepths.set(canonical, actualDepth);
-
-    this.queue.push(canonical);
+    return {
+      robotsSkipped,
+      robotsSkippedCount: this.robotsSkipped.size
+    };
   }
 
   /**
@@ -322,11 +1454,11 @@ export class CrawlJob {
       }
 
       // If no URL available, wait if other workers are still processing
-      // (they might discover new URLs)
+      // (they might discover new URLs) or failed pages are waiting to be retried
       if (!url) {
-        const otherWorkersActive = this.inProgress.size > 0;
+        const otherWorkersActive = this.inProgress.size > 0 || this.retryTimers.size > 0;
         if (otherWorkersActive) {
-          console.log(`[Crawler] Worker ${workerId} waiting for queue (${this.inProgress.size} workers busy)`);
+          console.log(`[Crawler] Worker ${workerId} waiting for queue (${this.inProgress.size} workers busy, ${this.retryTimers.size} retries pending)`);
           await this.sleep(500);
           continue;
         } else {
@@ -344,14 +1476,26 @@ export class CrawlJob {
       }
       console.log(`[Crawler] Worker ${workerId} processing: ${url} (${this.inProgress.size} in progress)`);
 
+      // Polite mode: robots.txt Crawl-delay (enforced by the rate limiter) replaces the default delay
+      const hasCrawlDelay = this.getCrawlDelay(url) !== null;
+      let holdsWorkerSlot = false;
+
       try {
+        // Wait for a slot in the tab budget shared by all running crawls
+        holdsWorkerSlot = await workerBudget.acquire(() => this.isCancelled);
+        if (!holdsWorkerSlot) {
+          throw new Error('Crawl cancelled while waiting for a worker slot');
+        }
+
         // Process this URL (will add to completed internally if unique)
         await this.processUrl(url);
 
         // Update job progress
         await updateJob(this.jobId, {
           pagesProcessed: this.completed.size,
-          pagesFound: this.queue.length + this.inProgress.size + this.completed.size
+          pagesFound: this.queue.length + this.inProgress.size + this.retryTimers.size + this.completed.size,
+          ...this.getRobotsSummary(),
+          ...this.getDepthSummary()
         });
 
         // Notify progress
@@ -361,6 +1505,16 @@ export class CrawlJob {
         // If cancelled, this is expected - don't treat as error
         if (this.isCancelled) {
           console.log(`[Crawler] Worker ${workerId} interrupted during ${url} (crawl cancelled)`);
+          // Keep the unfinished URL at the front of the saved frontier so a resume retries it first
+          this.queue.unshift(url);
+        } else if (this.shouldRetryThrottled(url, error)) {
+          // The rate limiter already paused the host; try the page again later
+          console.log(`[Crawler] Worker ${workerId} re-queued ${url} after HTTP ${error.httpStatus} (attempt ${this.throttleRetries.get(url)}/${MAX_THROTTLE_RETRIES})`);
+          this.queue.push(url, this.getQueueScore(url));
+        } else if (this.shouldRetryTransient(url, error)) {
+          // Timeouts, debugger detach and network errors often pass - try again after a backoff
+          const delay = this.scheduleRetry(url);
+          console.log(`[Crawler] Worker ${workerId} will retry ${url} in ${delay}ms (attempt ${this.retryAttempts.get(url)}/${this.maxRetries}): ${this.formatError(error)}`);
         } else {
           // Check if this is a database constraint error (v1 schema issue)
           if (error.name === 'ConstraintError' && error.message.includes('canonicalUrl')) {
@@ -411,6 +1565,9 @@ export class CrawlJob {
         }
       } finally {
         // Always clean up, even if we break or error
+        if (holdsWorkerSlot) {
+          workerBudget.release();
+        }
         this.inProgress.delete(url);
         // Remove from per-base-URL in-progress map
         if (matchingBaseUrl) {
@@ -419,14 +1576,19 @@ export class CrawlJob {
         }
       }
 
+      // Persist queue state so a service worker restart can resume from here
+      this.scheduleFrontierSave();
+
       // Check if we've met the unique page requirement AFTER cleanup
       if (this.hasMetUniquePageRequirement()) {
         console.log(`[Crawler] Worker ${workerId} stopping after processing (goal met: ${this.completed.size} unique pages >= ${this.pageLimit})`);
         break;
       }
 
-      // Rate limiting delay
-      await this.sleep(DELAY_BETWEEN_REQUESTS);
+      // Rate limiting delay (skipped when the origin's Crawl-delay already spaced requests)
+      if (!hasCrawlDelay) {
+        await this.sleep(DELAY_BETWEEN_REQUESTS);
+      }
     }
 
     this.activeWorkers--;
@@ -438,6 +1600,68 @@ export class CrawlJob {
     }
   }
 
+  /**
+   * Decide whether a failed URL was throttled (429/503) and may be re-queued
+   * @param {string} url - The URL that failed
+   * @param {Error} error - The error from processUrl
+   * @returns {boolean} True if the URL should go back into the queue
+   */
+  shouldRetryThrottled(url, error) {
+    if (!THROTTLE_STATUSES.includes(error.httpStatus)) return false;
+
+    const attempts = (this.throttleRetries.get(url) || 0) + 1;
+    if (attempts > MAX_THROTTLE_RETRIES) return false;
+
+    this.throttleRetries.set(url, attempts);
+    return true;
+  }
+
+  /**
+   * Decide whether a failed URL hit a transient error and has retries left
+   * @param {string} url - The URL that failed
+   * @param {Error} error - The error from processUrl
+   * @returns {boolean} True if the URL should be retried after a backoff
+   */
+  shouldRetryTransient(url, error) {
+    const { category, transient } = classifyError(this.formatError(error));
+    // Throttled pages have their own retry budget (shouldRetryThrottled)
+    if (!transient || category === 'throttled') return false;
+
+    return (this.retryAttempts.get(url) || 0) < this.maxRetries;
+  }
+
+  /**
+   * Put a URL back in the queue once its backoff has passed
+   * @param {string} url - The URL to retry
+   * @returns {number} Backoff delay in milliseconds
+   */
+  scheduleRetry(url) {
+    const attempt = (this.retryAttempts.get(url) || 0) + 1;
+    this.retryAttempts.set(url, attempt);
+
+    const delay = getRetryDelay(attempt, this.retryBaseDelay);
+    const timer = setTimeout(() => {
+      this.retryTimers.delete(url);
+      if (!this.isFinished) {
+        this.queue.push(url, this.getQueueScore(url));
+      }
+    }, delay);
+    this.retryTimers.set(url, timer);
+    return delay;
+  }
+
+  /**
+   * Stop pending retry backoffs and put their URLs straight back in the queue
+   * (kept in the saved frontier of an interrupted crawl)
+   */
+  flushRetryTimers() {
+    for (const [url, timer] of this.retryTimers) {
+      clearTimeout(timer);
+      this.queue.push(url, this.getQueueScore(url));
+    }
+    this.retryTimers.clear();
+  }
+
   /**
    * Check if a specific base URL has capacity for more pages
    * @param {string} baseUrl - The canonical base URL to check
@@ -517,7 +1741,9 @@ export class CrawlJob {
       strictPathMatching: this.strictPathMatching,
       followExternalLinks: this.followExternalLinks,
       currentDepth,
-      maxExternalHops: this.maxExternalHops
+      maxExternalHops: this.maxExternalHops,
+      canonicalization: this.canonicalization,
+      followPdfLinks: !!this.pdfs
     };
   }
 
@@ -534,7 +1760,8 @@ export class CrawlJob {
       strictPathMatching = true,
       followExternalLinks = false,
       currentDepth = 0,
-      maxExternalHops = 1
+      maxExternalHops = 1,
+      followPdfLinks = false
     } = options;
 
     const links = [];
@@ -553,7 +1780,7 @@ export class CrawlJob {
 
     for (const rawUrl of rawLinks) {
       // Canonicalize the URL
-      const canonicalUrl = canonicalizeUrl(rawUrl);
+      const canonicalUrl = this.canonicalize(rawUrl);
       if (!canonicalUrl) continue;
 
       // Skip if already seen
@@ -564,7 +1791,7 @@ export class CrawlJob {
       try {
         const urlPath = new URL(canonicalUrl).pathname.toLowerCase();
         const isDownload = downloadExtensions.some(ext => urlPath.endsWith(ext));
-        if (isDownload) {
+        if (isDownload && !(followPdfLinks && urlPath.endsWith('.pdf'))) {
           console.log(`[Crawler] Skipping downloadable file: ${canonicalUrl}`);
           continue;
         }
@@ -603,24 +1830,45 @@ export class CrawlJob {
   async processUrl(url) {
     console.log('📄 Processing:', url);
 
+    // Update mode: pages already stored in this job are refreshed in place
+    if (this.updateMode && this.existingPages.has(url)) {
+      await this.refreshKnownPage(url, this.existingPages.get(url));
+      return;
+    }
+
     // Check if already in database (cache) - unless skipCache is enabled
     if (!this.skipCache) {
       const cached = await getPageByCanonicalUrl(url);
-      if (cached) {
+      // A stitched page holds a whole paginated series, not the content of this URL
+      if (cached && !cached.unstitched && this.hasIndexingDirectives(url, cached)) {
+        // Noindex pages and alternates of a canonical page take the fresh crawl path below
+        console.log('🧭 CACHE BYPASS:', url);
+        console.log('   → Cached page is noindex or declares another canonical URL, will crawl fresh');
+      } else if (cached && await this.matchExtractionProfile(url)) {
+        // The cached copy may have been extracted without the profile (or with an older version of it)
+        console.log('🧩 CACHE BYPASS:', url);
+        console.log('   → An extraction profile applies to this URL, will crawl fresh');
+      } else if (cached && cached.markdownMeta?.authenticated) {
+        // Captured with another job's credentials - never served to other jobs
+        console.log('🔒 CACHE BYPASS:', url);
+        console.log('   → Cached page was captured with authentication, will crawl fresh');
+      } else if (cached && !cached.unstitched) {
         console.log('✅ CACHE HIT:', url);
         console.log('   → Reusing cached content (skipping text extraction)');
 
         try {
-          // Compute content hash for deduplication (use cached hash if available)
+          // Compute content hash and fingerprint for deduplication (use cached values if available)
           const contentHash = cached.contentHash || await computeContentHash(cached.content);
+          const similarityHash = cached.similarityHash || computeSimilarityHash(cached.content);
 
-          // Check for duplicate content within this job
-          if (contentHash) {
-            const existingPage = await getPageByContentHash(this.jobId, contentHash);
+          // Check for duplicate content within this job (exact hash first, then near-duplicates)
+          if (contentHash || similarityHash) {
+            const existingPage = (contentHash && await getPageByContentHash(this.jobId, contentHash)) ||
+              await this.findNearDuplicatePage(similarityHash);
 
             if (existingPage) {
               console.log('   🔗 DUPLICATE CONTENT (from cache):', url);
-              console.log('   → Same content as:', existingPage.url);
+              console.log('   → Same content as:', existingPage.url, existingPage.similarity ? `(${Math.round(existingPage.similarity * 100)}% similar)` : '');
               console.log('   → Adding as alternate URL');
 
               // Update existing page with alternate URL
@@ -628,14 +1876,16 @@ export class CrawlJob {
 
               // Still need to extract links
               const linkOptions = this.getLinkExtractionOptions(url);
-              if (cached.html) {
+              if (cached.contentType === 'pdf') {
+                // PDFs have no links to follow
+              } else if (cached.html) {
                 const links = extractLinksFromHtml(cached.html, url, this.canonicalBaseUrls, linkOptions);
-                links.forEach(({ url: linkUrl, depth }) => this.addToQueue(linkUrl, depth));
+                await this.enqueueLinks(links, url, cached.html);
                 console.log('   → Extracted', links.length, 'links from cached HTML');
               } else {
                 const { html } = await this.fetchUrl(url);
                 const links = extractLinksFromHtml(html, url, this.canonicalBaseUrls, linkOptions);
-                links.forEach(({ url: linkUrl, depth }) => this.addToQueue(linkUrl, depth));
+                await this.enqueueLinks(links, url, html);
                 console.log('   → Extracted', links.length, 'links from fresh HTML');
               }
 
@@ -659,7 +1909,13 @@ export class CrawlJob {
           }
 
           // Not a duplicate, save the cached content to this job (with markdown if available)
-          await savePage(this.jobId, url, url, cached.content, 'success', cached.html, contentHash, cached.metadata || null, cached.markdown || null, cached.markdownMeta || null);
+          const cachedMarkdownMeta = await this.getCachedMarkdownMeta(cached);
+          const savedPage = await savePage(this.jobId, url, url, cached.content, 'success', cached.html, contentHash, this.withPaginationMetadata(url, cached.metadata || null), cached.markdown || null, cachedMarkdownMeta, similarityHash, cached.contentType);
+          this.addToSimilarityIndex(savedPage);
+          this.recordPageDepth(url);
+          await this.copyCachedScreenshot(cached, savedPage.id);
+          await this.copyCachedArchive(cached, savedPage);
+          await this.copyCachedApiRecording(cached, savedPage);
 
           // Mark as completed (unique content)
           this.completed.add(url);
@@ -671,12 +1927,15 @@ export class CrawlJob {
             if (baseUrlInProgress) baseUrlInProgress.delete(url);
           }
 
-          // Check if cached page has HTML stored
+          // Check if cached page has HTML stored (PDFs have no links to follow)
           const cachedLinkOptions = this.getLinkExtractionOptions(url);
-          if (cached.html) {
+          if (cached.contentType === 'pdf') {
+            console.log('   ✨ Fully cached PDF! Nothing downloaded.');
+            return;
+          } else if (cached.html) {
             console.log('   → Reusing cached HTML (skipping tab rendering)');
             const links = extractLinksFromHtml(cached.html, url, this.canonicalBaseUrls, cachedLinkOptions);
-            links.forEach(({ url: linkUrl, depth }) => this.addToQueue(linkUrl, depth));
+            await this.enqueueLinks(links, url, cached.html);
             console.log('   → Extracted', links.length, 'links from cache');
             console.log('   ✨ Fully cached! No tab opened.');
             return;
@@ -685,7 +1944,7 @@ export class CrawlJob {
             console.log('   → Opening tab to get HTML');
             const { html } = await this.fetchUrl(url);
             const links = extractLinksFromHtml(html, url, this.canonicalBaseUrls, cachedLinkOptions);
-            links.forEach(({ url: linkUrl, depth }) => this.addToQueue(linkUrl, depth));
+            await this.enqueueLinks(links, url, html);
             console.log('   → Extracted', links.length, 'links from fresh HTML');
             return;
           }
@@ -708,113 +1967,551 @@ export class CrawlJob {
       console.log('   → Cache check skipped (skipCache enabled)');
     }
 
-    // Fetch content (via tab rendering) - returns {html, text, metadata, markdown, markdownMeta, links}
-    console.log('   → Opening tab to crawl page');
-    const { html, text, metadata, markdown, markdownMeta, links: domLinks } = await this.fetchUrl(url);
-
-    // Extract links - prefer DOM-extracted links, fall back to regex
-    const freshLinkOptions = this.getLinkExtractionOptions(url);
-    let links;
-
-    if (domLinks && domLinks.length > 0) {
-      // Use DOM-extracted links (more reliable) - need to filter and add depth
-      console.log(`   → Using ${domLinks.length} DOM-extracted links`);
-      links = this.processRawLinks(domLinks, url, freshLinkOptions);
-    } else {
-      // Fall back to regex extraction from HTML
-      console.log('   → Falling back to regex link extraction');
-      links = extractLinksFromHtml(html, url, this.canonicalBaseUrls, freshLinkOptions);
+    // Fetch content (via tab rendering) - returns {html, text, metadata, markdown, markdownMeta, links}
+    console.log('   → Opening tab to crawl page');
+    const { html, text, metadata, markdown, markdownMeta: fetchedMarkdownMeta, links: domLinks, screenshot, archive, apiRecording, contentType, skipped } = await this.fetchUrl(url);
+    const markdownMeta = this.withAuthMarker(fetchedMarkdownMeta);
+
+    // Encrypted PDFs have nothing to store (and no links to follow)
+    if (skipped) {
+      this.completed.add(url);
+      return;
+    }
+
+    const links = this.extractPageLinks(url, html, domLinks);
+    await this.enqueueLinks(links, url, html);
+
+    // Clean text content
+    const cleanedText = extractContent(text, url);
+
+    // Markdown processing already done in tab context
+    if (markdown && markdownMeta) {
+      console.log(`   ✅ Markdown: confidence=${(markdownMeta.confidence * 100).toFixed(0)}%, isArticle=${markdownMeta.isArticle}`);
+    } else {
+      console.log('   ⚠️  Markdown unavailable');
+    }
+
+    // Compute content hash for deduplication (IMPORTANT: Only use text content, not metadata)
+    const contentHash = await computeContentHash(cleanedText);
+    const similarityHash = computeSimilarityHash(cleanedText);
+
+    // Page directives: noindex pages are not saved, alternates are stored under the declared canonical URL
+    let pageIdentity = url;
+    if (this.respectPageDirectives) {
+      const directives = findPageDirectives(html, url, metadata);
+      if (directives.noindex) {
+        console.log('🚫 NOINDEX:', url);
+        console.log('   → Page asks not to be indexed, not saving - Found', links.length, 'new links');
+        this.noindexSkipped.add(url);
+        this.completed.add(url);
+        return;
+      }
+
+      pageIdentity = this.getCanonicalIdentity(url, directives.canonical);
+      const merged = await this.mergeIntoCanonicalPage(url, pageIdentity, {
+        content: cleanedText,
+        contentLength: cleanedText.length,
+        html,
+        contentHash,
+        similarityHash,
+        metadata: this.withPaginationMetadata(url, metadata || null),
+        markdown: markdown || null,
+        markdownMeta: markdownMeta || null
+      });
+      if (merged) return;
+    }
+
+    // Check for duplicate content within this job (exact hash first, then near-duplicates)
+    if (contentHash || similarityHash) {
+      const existingPage = (contentHash && await getPageByContentHash(this.jobId, contentHash)) ||
+        await this.findNearDuplicatePage(similarityHash);
+
+      if (existingPage) {
+        console.log('🔗 DUPLICATE CONTENT:', url);
+        console.log('   → Same content as:', existingPage.url, existingPage.similarity ? `(${Math.round(existingPage.similarity * 100)}% similar)` : '');
+        console.log('   → Adding as alternate URL');
+
+        // Update existing page with alternate URL
+        await updatePageAlternateUrls(existingPage.id, url);
+
+        // Mark as completed to prevent infinite loop (even though it's a duplicate)
+        this.completed.add(url);
+        console.log('   ✅ Updated alternate URLs - Found', links.length, 'new links');
+        return; // Don't create new page, don't count as unique content
+      }
+    }
+
+    // Check if limit already reached before saving (prevents race condition over-crawling)
+    const baseUrl = this.getMatchingBaseUrl(url);
+    if (this.pageLimit && baseUrl) {
+      const currentCount = this.completedPerBaseUrl.get(baseUrl)?.size || 0;
+      if (currentCount >= this.pageLimit) {
+        // Mark as completed to prevent re-processing
+        this.completed.add(url);
+        console.log(`   ⏹️ Limit reached for ${baseUrl}, skipping save (already have ${currentCount}/${this.pageLimit})`);
+        return;
+      }
+    }
+
+    // Save to database as new unique page (including HTML for cache, metadata, and markdown)
+    const claimedArchive = await this.claimArchive(url, archive, markdownMeta);
+    const savedPage = await savePage(this.jobId, url, pageIdentity, cleanedText, 'success', html, contentHash, this.withPaginationMetadata(url, metadata), markdown, markdownMeta, similarityHash, contentType);
+    this.addToSimilarityIndex(savedPage);
+    this.recordPageDepth(url);
+    await this.storeScreenshot(savedPage.id, url, screenshot);
+    await this.storeArchive(savedPage.id, url, claimedArchive);
+    await this.storeApiRecording(savedPage.id, url, apiRecording);
+    // Continuation pages of a stitched series are saved again on every update run - they are not new
+    if (this.updateMode && !this.stitchedUrls.has(url)) {
+      this.recordChange('added', url);
+    }
+
+    // Mark as completed (unique content)
+    this.completed.add(url);
+    // Track in per-base-URL completed map (and remove from inProgress to avoid double-counting)
+    if (baseUrl) {
+      const baseUrlCompleted = this.completedPerBaseUrl.get(baseUrl);
+      if (baseUrlCompleted) baseUrlCompleted.add(url);
+      const baseUrlInProgress = this.inProgressPerBaseUrl.get(baseUrl);
+      if (baseUrlInProgress) baseUrlInProgress.delete(url);
+    }
+
+    console.log('   ✅ Saved:', url, '- Found', links.length, 'new links');
+  }
+
+  /**
+   * Check whether a cached page is noindex or declares another canonical URL
+   * @param {string} url - Canonical URL of the page
+   * @param {object} cached - Cached page record
+   * @returns {boolean} Always false unless page directives are respected
+   */
+  hasIndexingDirectives(url, cached) {
+    if (!this.respectPageDirectives) return false;
+    const directives = findPageDirectives(cached.html, url, cached.metadata);
+    return directives.noindex || this.getCanonicalIdentity(url, directives.canonical) !== url;
+  }
+
+  /**
+   * The URL a page is stored under: its declared canonical URL when that is in the crawl's scope
+   * @param {string} url - Canonical URL the page was fetched from
+   * @param {string|null} declared - rel="canonical" URL of the page
+   * @returns {string} Canonical URL
+   */
+  getCanonicalIdentity(url, declared) {
+    const canonical = declared ? this.canonicalize(declared) : null;
+    if (!canonical || canonical === url) return url;
+
+    // Canonicals pointing outside the crawl would file the page under a URL the job doesn't cover
+    // (external pages followed with followExternalLinks may point within their own site)
+    const inScope = isInternalUrl(canonical, this.canonicalBaseUrls, this.strictPathMatching) ||
+      (!isInternalUrl(url, this.canonicalBaseUrls, this.strictPathMatching) && new URL(canonical).origin === new URL(url).origin);
+    return inScope ? canonical : url;
+  }
+
+  /**
+   * Store a page in the job's page for its canonical URL, if the job has one
+   * An alternate URL is added to that page's alternateUrls; the canonical URL itself
+   * replaces the content first saved from one of its alternates.
+   * @param {string} url - Canonical URL the page was fetched from
+   * @param {string} identity - Canonical URL the page is stored under (from getCanonicalIdentity)
+   * @param {object} fields - Page fields from the fetch
+   * @returns {Promise<boolean>} true if the page was merged and needs no saving
+   */
+  async mergeIntoCanonicalPage(url, identity, fields) {
+    const existing = await getJobPageByCanonicalUrl(this.jobId, identity);
+    if (!existing) return false;
+
+    if (identity !== url) {
+      console.log('🧭 CANONICAL ALTERNATE:', url);
+      console.log('   → Declares canonical URL:', identity);
+      await updatePageAlternateUrls(existing.id, url);
+      this.canonicalAlternateCount++;
+    } else {
+      console.log('🧭 CANONICAL PAGE:', url);
+      console.log('   → Replaces the content saved from', existing.url);
+      await updatePage(existing.id, {
+        ...fields,
+        url,
+        alternateUrls: [url, ...(existing.alternateUrls || []).filter(alternate => alternate !== url)],
+        boilerplateOriginal: null,
+        boilerplateRemovedChars: null,
+        extractedAt: Date.now()
+      });
+      this.addToSimilarityIndex({ id: existing.id, url, similarityHash: fields.similarityHash });
+    }
+
+    this.completed.add(url);
+    return true;
+  }
+
+  /**
+   * Find a saved page of this job whose fingerprint is within the near-duplicate threshold
+   * @param {string|null} similarityHash - Fingerprint of the page being processed
+   * @returns {Promise<{id: string, url: string, similarity: number}|null>} null when near-duplicate merging is off
+   */
+  async findNearDuplicatePage(similarityHash) {
+    if (this.nearDuplicateThreshold === null || !similarityHash) return null;
+
+    // Load the fingerprints of pages saved before this run once (resume and update runs)
+    if (!this.similarityIndex) {
+      this.similarityIndexLoading = this.similarityIndexLoading || getPagesByJobId(this.jobId).then(pages => {
+        this.similarityIndex = new Map();
+        pages
+          .filter(page => page.status === 'success')
+          .forEach(page => this.addToSimilarityIndex({
+            id: page.id,
+            url: page.url,
+            similarityHash: page.similarityHash || computeSimilarityHash(page.content)
+          }));
+      });
+      await this.similarityIndexLoading;
+    }
+
+    const match = findNearDuplicate(similarityHash, this.similarityIndex.values(), this.nearDuplicateThreshold);
+    if (!match) return null;
+    this.nearDuplicateCount++;
+    return { id: match.entry.id, url: match.entry.url, similarity: match.similarity };
+  }
+
+  /**
+   * Remember the fingerprint of a saved page (no-op until the index is loaded)
+   * @param {{id: string, url: string, similarityHash: string|null}} page - Saved page
+   */
+  addToSimilarityIndex(page) {
+    if (!this.similarityIndex || !page?.similarityHash) return;
+    this.similarityIndex.set(page.id, { id: page.id, url: page.url, similarityHash: page.similarityHash });
+  }
+
+  /**
+   * Extract links from a freshly fetched page
+   * Prefers DOM-extracted links, falls back to regex extraction from the HTML
+   * @param {string} url - The page URL
+   * @param {string} html - Rendered HTML
+   * @param {Array|undefined} domLinks - Links collected in the tab
+   * @returns {Array<{url: string, depth: number}>}
+   */
+  extractPageLinks(url, html, domLinks) {
+    const linkOptions = this.getLinkExtractionOptions(url);
+
+    if (domLinks && domLinks.length > 0) {
+      // Use DOM-extracted links (more reliable) - need to filter and add depth
+      console.log(`   → Using ${domLinks.length} DOM-extracted links`);
+      return this.processRawLinks(domLinks, url, linkOptions);
+    }
+
+    // Fall back to regex extraction from HTML
+    console.log('   → Falling back to regex link extraction');
+    return extractLinksFromHtml(html, url, this.canonicalBaseUrls, linkOptions);
+  }
+
+  /**
+   * Revisit a page the job already has (update mode)
+   * Unchanged pages (by sitemap lastmod, then content hash) are left as they are,
+   * changed pages are updated in place and 404/410 pages are marked removed
+   * @param {string} url - Canonical URL
+   * @param {object} page - Entry from existingPages
+   */
+  async refreshKnownPage(url, page) {
+    const now = Date.now();
+
+    // Sitemap says the page hasn't changed since it was captured - skip the fetch
+    const lastmod = this.sitemapMeta.get(url)?.lastmod;
+    if (lastmod && page.status !== 'removed' && lastmod <= page.extractedAt) {
+      console.log('   ⏭️ UNCHANGED (sitemap lastmod):', url);
+      const stored = await getPage(page.id);
+      if (stored?.html) {
+        const links = extractLinksFromHtml(stored.html, url, this.canonicalBaseUrls, this.getLinkExtractionOptions(url));
+        await this.enqueueLinks(links, url, stored.html);
+      }
+      await updatePage(page.id, { lastCheckedAt: now });
+      this.recordChange('unchanged', url);
+      this.markPageKept(url);
+      return;
+    }
+
+    let fetched;
+    try {
+      fetched = await this.fetchUrl(url);
+    } catch (error) {
+      // PDF downloads throw on HTTP errors instead of returning the error page
+      if (!REMOVED_STATUSES.includes(error.httpStatus)) throw error;
+      fetched = { httpStatus: error.httpStatus };
+    }
+    const { html, text, metadata, markdown, links: domLinks, screenshot, archive, apiRecording, httpStatus } = fetched;
+    const markdownMeta = this.withAuthMarker(fetched.markdownMeta);
+
+    // The page is gone - keep it in the job, flagged as removed
+    if (REMOVED_STATUSES.includes(httpStatus)) {
+      console.log(`   🗑️ REMOVED (HTTP ${httpStatus}):`, url);
+      if (page.status !== 'removed') {
+        await updatePage(page.id, { status: 'removed', removedAt: now, lastCheckedAt: now });
+        this.recordChange('removed', url);
+      }
+      this.completed.add(url);
+      return;
+    }
+
+    // The PDF now needs a password - keep what was captured before
+    if (fetched.skipped) {
+      await updatePage(page.id, { lastCheckedAt: now });
+      this.markPageKept(url);
+      return;
     }
 
-    links.forEach(({ url: linkUrl, depth }) => this.addToQueue(linkUrl, depth));
+    const links = this.extractPageLinks(url, html, domLinks);
+    await this.enqueueLinks(links, url, html);
 
-    // Clean text content
     const cleanedText = extractContent(text, url);
-
-    // Markdown processing already done in tab context
-    if (markdown && markdownMeta) {
-      console.log(`   ✅ Markdown: confidence=${(markdownMeta.confidence * 100).toFixed(0)}%, isArticle=${markdownMeta.isArticle}`);
-    } else {
-      console.log('   ⚠️  Markdown unavailable');
-    }
-
-    // Compute content hash for deduplication (IMPORTANT: Only use text content, not metadata)
     const contentHash = await computeContentHash(cleanedText);
+    const similarityHash = computeSimilarityHash(cleanedText);
 
-    // Check for duplicate content within this job
-    if (contentHash) {
-      const existingPage = await getPageByContentHash(this.jobId, contentHash);
-
-      if (existingPage) {
-        console.log('🔗 DUPLICATE CONTENT:', url);
-        console.log('   → Same content as:', existingPage.url);
-        console.log('   → Adding as alternate URL');
-
-        // Update existing page with alternate URL
-        await updatePageAlternateUrls(existingPage.id, url);
+    if (contentHash && contentHash === page.contentHash && page.status !== 'removed') {
+      console.log('   ✔️ UNCHANGED (content hash):', url);
+      await updatePage(page.id, { lastCheckedAt: now });
+      this.recordChange('unchanged', url);
+      this.markPageKept(url);
+      return;
+    }
 
-        // Mark as completed to prevent infinite loop (even though it's a duplicate)
-        this.completed.add(url);
-        console.log('   ✅ Updated alternate URLs - Found', links.length, 'new links');
-        return; // Don't create new page, don't count as unique content
-      }
+    // Without a new snapshot the page keeps its previous one (its capturedAt tells how old it is)
+    const claimedArchive = await this.claimArchive(url, archive, markdownMeta);
+    if (!claimedArchive && page.archive && markdownMeta) {
+      markdownMeta.archive = page.archive;
     }
 
-    // Check if limit already reached before saving (prevents race condition over-crawling)
-    const baseUrl = this.getMatchingBaseUrl(url);
-    if (this.pageLimit && baseUrl) {
-      const currentCount = this.completedPerBaseUrl.get(baseUrl)?.size || 0;
-      if (currentCount >= this.pageLimit) {
-        // Mark as completed to prevent re-processing
-        this.completed.add(url);
-        console.log(`   ⏹️ Limit reached for ${baseUrl}, skipping save (already have ${currentCount}/${this.pageLimit})`);
-        return;
-      }
+    await updatePage(page.id, {
+      content: cleanedText,
+      contentLength: cleanedText.length,
+      html,
+      contentHash,
+      similarityHash,
+      metadata: this.withPaginationMetadata(url, metadata || null),
+      markdown: markdown || null,
+      markdownMeta: markdownMeta || null,
+      unstitched: null, // Fresh content of this page alone - stitched again when the run completes
+      boilerplateOriginal: null, // Fresh content still has its boilerplate - run the pass again to strip it
+      boilerplateRemovedChars: null,
+      status: 'success',
+      extractedAt: now,
+      lastCheckedAt: now,
+      removedAt: null
+    });
+
+    this.addToSimilarityIndex({ id: page.id, url, similarityHash });
+    await this.storeScreenshot(page.id, url, screenshot);
+    if (await this.storeArchive(page.id, url, claimedArchive) && page.archive) {
+      // The new snapshot replaced the previous one
+      (await this.getArchiveBudget()).release(page.archive.bytes);
     }
+    await this.storeApiRecording(page.id, url, apiRecording);
 
-    // Save to database as new unique page (including HTML for cache, metadata, and markdown)
-    await savePage(this.jobId, url, url, cleanedText, 'success', html, contentHash, metadata, markdown, markdownMeta);
+    // A page that comes back after being removed counts as added
+    const change = page.status === 'removed' ? 'added' : 'changed';
+    console.log(`   ✏️ ${change.toUpperCase()}:`, url);
+    this.recordChange(change, url);
+    this.markPageKept(url);
+  }
 
-    // Mark as completed (unique content)
+  /**
+   * Mark a known page as processed and still present (update mode)
+   * @param {string} url - Canonical URL
+   */
+  markPageKept(url) {
     this.completed.add(url);
-    // Track in per-base-URL completed map (and remove from inProgress to avoid double-counting)
+    const baseUrl = this.getMatchingBaseUrl(url);
     if (baseUrl) {
       const baseUrlCompleted = this.completedPerBaseUrl.get(baseUrl);
       if (baseUrlCompleted) baseUrlCompleted.add(url);
       const baseUrlInProgress = this.inProgressPerBaseUrl.get(baseUrl);
       if (baseUrlInProgress) baseUrlInProgress.delete(url);
     }
+    this.recordPageDepth(url);
+  }
 
-    console.log('   ✅ Saved:', url, '- Found', links.length, 'new links');
+  /**
+   * Count a change for the update summary
+   * @param {'added'|'changed'|'unchanged'|'removed'} type - Kind of change
+   * @param {string} url - Canonical URL
+   */
+  recordChange(type, url) {
+    this.changes[type]++;
+    const urls = this.changedUrls[type];
+    if (urls && urls.length < MAX_CHANGED_URLS_RECORDED) {
+      urls.push(url);
+    }
+  }
+
+  /**
+   * Build the change summary stored on the job at the end of an update run
+   * The latest summary keeps URL lists; updateHistory keeps counts of the last runs
+   * @returns {Promise<object>} Empty unless in update mode
+   */
+  async getUpdateSummary() {
+    if (!this.updateMode) return {};
+
+    const counts = {
+      startedAt: this.updateStartedAt,
+      completedAt: Date.now(),
+      complete: !this.isCancelled && !this.isPageLimitReached(),
+      ...this.changes,
+      failed: this.failed.size
+    };
+
+    const job = await getJob(this.jobId);
+    return {
+      lastUpdate: {
+        ...counts,
+        addedUrls: this.changedUrls.added,
+        changedUrls: this.changedUrls.changed,
+        removedUrls: this.changedUrls.removed
+      },
+      updateHistory: [counts, ...(job?.updateHistory || [])].slice(0, MAX_UPDATE_HISTORY),
+      pagesProcessed: this.existingActiveCount + this.changes.added - this.changes.removed
+    };
   }
 
   /**
-   * Fetch URL using tab-based rendering
-   * Returns {html, text, metadata, markdown, markdownMeta, links} where:
+   * Fetch URL with fetch() (fast mode, and PDF files) or tab-based rendering
+   * Returns {html, text, metadata, markdown, markdownMeta, links, httpStatus} where:
    * - html: for link extraction fallback
    * - text: for content storage
    * - metadata: extracted from page <head> tags
    * - markdown: converted markdown (or null)
    * - markdownMeta: quality metrics (or null)
    * - links: DOM-extracted links (more reliable than regex)
+   * PDF files also return contentType: 'pdf', and only {skipped: 'encrypted', contentType} when
+   * they need a password to open
    */
   async fetchUrl(url) {
-    console.log(`[Crawler] Fetching via tab rendering: ${url} (incognito: ${this.useIncognito})`);
+    // Wait for the host's rate limiter (Crawl-delay caps the host at one request per delay)
+    const crawlDelay = this.getCrawlDelay(url);
+    if (crawlDelay) {
+      this.rateLimiter.setMinInterval(url, crawlDelay);
+    }
+    const acquired = await this.rateLimiter.acquire(url, () => this.isCancelled);
+    if (!acquired) {
+      throw new Error('Crawl cancelled while waiting for rate limiter');
+    }
 
     try {
+      if (this.pdfs && isPdfUrl(url)) {
+        const { content, fallbackReason } = await fetchPdfContent(url, this.pdfs, {
+          authHeaders: authHeadersFor(this.requestAuth, url),
+          // fetch() shares the normal profile's cookies, which an incognito crawl must not send
+          credentials: this.useIncognito ? 'omit' : 'include'
+        });
+        if (!fallbackReason) {
+          this.rateLimiter.recordSuccess(url);
+          this.pdfCount++;
+          console.log(`[Crawler] PDF read (${content.metadata.pdf.pagesRead}/${content.metadata.pdf.pageCount} pages): ${url}`);
+          return content;
+        }
+        if (fallbackReason === 'encrypted') {
+          this.rateLimiter.recordSuccess(url);
+          this.encryptedPdfUrls.add(url);
+          console.log(`[Crawler] PDF needs a password, skipping it: ${url}`);
+          return { skipped: 'encrypted', contentType: 'pdf' };
+        }
+        console.log(`[Crawler] Not a PDF (${fallbackReason}), fetching as a page: ${url}`);
+      }
+
+      const profile = await this.getExtractionProfile(url);
+      const waitForSelectors = profile
+        ? [...new Set([...this.waitForSelectors, ...profile.waitForSelectors])]
+        : this.waitForSelectors;
+
+      if (this.siteModes.modeFor(url) === FetchMode.FAST) {
+        const { content, fallbackReason } = await fetchStaticContent(url, {
+          waitForSelectors,
+          authHeaders: authHeadersFor(this.requestAuth, url),
+          profile
+        });
+        this.siteModes.record(url, { fallbackReason, generator: content?.metadata?.generator });
+        if (!fallbackReason) {
+          this.rateLimiter.recordSuccess(url);
+          this.fastFetchCount++;
+          console.log(`[Crawler] Fast fetch successful for: ${url}`);
+          return content;
+        }
+        this.tabFallbackCount++;
+        console.log(`[Crawler] Fast fetch fell back to tab rendering (${fallbackReason}): ${url}`);
+      }
+
+      console.log(`[Crawler] Fetching via tab rendering: ${url} (incognito: ${this.useIncognito})`);
+
+      const archive = await this.getArchiveCaptureSettings();
       const content = await fetchRenderedContent(url, {
         timeout: REQUEST_TIMEOUT,
-        waitForSelectors: this.waitForSelectors,
-        useIncognito: this.useIncognito
+        waitForSelectors,
+        useIncognito: this.useIncognito,
+        auth: this.requestAuth,
+        profile,
+        pageActions: this.pageActions,
+        infiniteScroll: this.infiniteScroll,
+        screenshot: this.screenshots,
+        archive,
+        apiRecording: this.apiRecording
       });
+      if (content.markdownMeta?.infiniteScroll?.truncated) {
+        this.scrollTruncatedUrls.add(url);
+      }
+      if (this.screenshots && !content.screenshot) {
+        this.screenshotMissingUrls.add(url);
+      }
+      if (this.archives && !content.archive) {
+        this.archiveSkippedUrls.add(url);
+      }
+      this.rateLimiter.recordSuccess(url);
       console.log(`[Crawler] Tab rendering successful for: ${url}`);
       return content;
     } catch (error) {
-      console.error(`[Crawler] Tab rendering failed for ${url}:`, error);
+      if (THROTTLE_STATUSES.includes(error.httpStatus)) {
+        this.rateLimiter.backOff(url, parseRetryAfter(error.retryAfter));
+      }
+      console.error(`[Crawler] Fetch failed for ${url}:`, error);
       throw error;
     }
   }
 
+  /**
+   * Mark a page captured with authentication, so the cache lookup of other jobs skips it
+   * @param {object|null} markdownMeta - From fetchUrl()
+   * @returns {object|null} markdownMeta with authenticated: true when the crawl has auth
+   */
+  withAuthMarker(markdownMeta) {
+    return this.auth ? { ...markdownMeta, authenticated: true } : markdownMeta;
+  }
+
+  /**
+   * The saved profile matching a URL, without counting it (profiles are loaded once per crawl)
+   * @param {string} url
+   * @returns {Promise<Object|null>}
+   */
+  async matchExtractionProfile(url) {
+    if (!this.extractionProfiles) {
+      this.extractionProfiles = getExtractionProfiles().catch(error => {
+        console.warn('[Crawler] Could not load extraction profiles:', error);
+        return [];
+      });
+    }
+    return findExtractionProfile(await this.extractionProfiles, url);
+  }
+
+  /**
+   * Extraction profile for a URL (the first saved profile that matches it)
+   * Counts the page for the job's extractionProfilesUsed summary
+   * @param {string} url - The URL about to be fetched
+   * @returns {Promise<{name, contentSelectors, removeSelectors, waitForSelectors}|null>}
+   */
+  async getExtractionProfile(url) {
+    const profile = await this.matchExtractionProfile(url);
+    if (!profile) return null;
+
+    this.profilePageCounts.set(profile.name, (this.profilePageCounts.get(profile.name) || 0) + 1);
+    const { name, contentSelectors, removeSelectors, waitForSelectors } = profile;
+    return { name, contentSelectors, removeSelectors, waitForSelectors };
+  }
+
   /**
    * Get current errors for job
    */
@@ -822,10 +2519,14 @@ export class CrawlJob {
     const errors = [];
     for (const url of this.failed) {
       const errorDetails = this.failedDetails.get(url) || 'Failed to process';
+      const { category, transient } = classifyError(errorDetails);
       errors.push({
         url,
         canonicalUrl: url,
         error: errorDetails,
+        category,
+        retryable: transient,
+        attempts: 1 + (this.retryAttempts.get(url) || 0) + (this.throttleRetries.get(url) || 0),
         timestamp: Date.now()
       });
     }
@@ -869,6 +2570,10 @@ export class CrawlJob {
    * Called when crawl completes
    */
   async onComplete() {
+    // Workers that exit together may all get here - finish once
+    if (this.isFinished) return;
+    this.isFinished = true;
+
     console.log('Crawl complete!');
     console.log('Processed:', this.completed.size);
     console.log('Failed:', this.failed.size);
@@ -882,11 +2587,29 @@ export class CrawlJob {
       }
     }
 
+    // Pending retries go back in the queue (saved for resume if interrupted)
+    this.flushRetryTimers();
+
+    // Stop frontier snapshots: an interrupted crawl keeps its final frontier for resume,
+    // a finished crawl no longer needs one
+    this.frontierClosed = true;
+    clearTimeout(this.frontierSaveTimer);
+    this.frontierSaveTimer = null;
+    try {
+      if (this.isCancelled) {
+        await this.saveFrontierNow();
+      } else {
+        await deleteFrontier(this.jobId);
+      }
+    } catch (error) {
+      console.warn('[Crawler] Failed to finalize frontier:', error);
+    }
+
     // Clear the queue if page limit was reached or crawl was cancelled
     // This ensures the UI shows completion (queueSize === 0)
     if (this.isPageLimitReached() || this.isCancelled) {
       console.log('Clearing remaining queue due to', this.isCancelled ? 'cancellation' : 'page limit');
-      this.queue = [];
+      this.queue.clear();
       // Also clear any lingering inProgress items (shouldn't happen, but be safe)
       this.inProgress.clear();
       // Clear per-base-URL in-progress sets
@@ -906,14 +2629,40 @@ export class CrawlJob {
       status = this.failed.size > 0 ? 'completed_with_errors' : 'completed';
     }
 
+    // Join paginated series into their first page (interrupted crawls stitch when they finish)
+    if (this.stitchPagination && !this.isCancelled) {
+      try {
+        await this.stitchPaginatedPages();
+      } catch (error) {
+        console.warn('[Crawler] Failed to stitch paginated pages:', error);
+      }
+    }
+
     await updateJob(this.jobId, {
       status,
       pagesProcessed: this.completed.size,
-      pagesFailed: this.failed.size
+      pagesFailed: this.failed.size,
+      errors: await this.getErrors(),
+      ...this.getRobotsSummary(),
+      ...this.getDepthSummary(),
+      ...this.getPaginationSummary(),
+      ...this.getDirectivesSummary(),
+      ...this.getNearDuplicateSummary(),
+      ...this.getFetchModeSummary(),
+      ...this.getProfileSummary(),
+      ...this.getScrollSummary(),
+      ...this.getScreenshotSummary(),
+      ...this.getPdfSummary(),
+      ...(await this.getArchiveSummary()),
+      ...this.getApiRecordingSummary(),
+      ...(await this.getUpdateSummary())
     });
 
-    // Close the shared crawl window
-    await closeCrawlWindow();
+    // Close the shared crawl tabs unless another crawl is still using them
+    if (!hasOtherActiveCrawls(this)) {
+      await closeCrawlWindow();
+      await closeOffscreenDocument();
+    }
 
     this.notifyProgress();
 
@@ -928,16 +2677,41 @@ export class CrawlJob {
    */
   notifyProgress() {
     if (this.onProgress) {
-      this.onProgress({
-        pagesFound: this.queue.length + this.inProgress.size + this.completed.size,
-        pagesProcessed: this.completed.size,
-        pagesFailed: this.failed.size,
-        queueSize: this.queue.length,
-        inProgress: Array.from(this.inProgress)
-      });
+      this.onProgress(this.getProgress());
     }
   }
 
+  /**
+   * Lifecycle state reported with progress
+   * @returns {'running'|'cancelling'|'cancelled'|'finished'}
+   */
+  getStatus() {
+    if (this.isFinished) return this.isCancelled ? 'cancelled' : 'finished';
+    return this.isCancelled ? 'cancelling' : 'running';
+  }
+
+  /**
+   * Current progress (sent with progress broadcasts and returned by crawl status)
+   * @returns {object}
+   */
+  getProgress() {
+    return {
+      jobId: this.jobId,
+      baseUrls: this.baseUrls,
+      status: this.getStatus(),
+      pagesFound: this.queue.length + this.inProgress.size + this.retryTimers.size + this.completed.size,
+      pagesProcessed: this.completed.size,
+      pagesFailed: this.failed.size,
+      retrying: this.retryTimers.size,
+      queueSize: this.queue.length,
+      inProgress: Array.from(this.inProgress),
+      maxWorkers: this.maxWorkers,
+      robotsSkipped: this.robotsSkipped.size,
+      hostRates: this.rateLimiter.getHostRates(),
+      changes: this.updateMode ? { ...this.changes } : null
+    };
+  }
+
   /**
    * Pause crawl
    */
@@ -967,8 +2741,96 @@ export class CrawlJob {
   }
 }
 
-// Global active crawl (only one at a time)
-let activeCrawl = null;
+// Running crawls (several may run at once; the job scheduler decides how many)
+const activeCrawls = new Set();
+
+// Tab/worker slots shared by every running crawl
+const workerBudget = new WorkerBudget(GLOBAL_WORKER_BUDGET);
+
+// Rate limiter shared by concurrent crawls and dry runs (a fresh one when nothing else is running)
+let sharedRateLimiter = null;
+let dryRunsUsingRateLimiter = 0;
+
+function getSharedRateLimiter() {
+  if (!sharedRateLimiter || (activeCrawls.size === 0 && dryRunsUsingRateLimiter === 0)) {
+    sharedRateLimiter = new HostRateLimiter();
+  }
+  return sharedRateLimiter;
+}
+
+/**
+ * Run a dry run with the rate limiter of the running crawls
+ * Crawls started while the dry run lasts use the same limiter, so together they keep each host's pace
+ * @param {Function} run - Called with the shared HostRateLimiter
+ * @returns {Promise<*>} What run returns
+ */
+export async function withSharedRateLimiter(run) {
+  const rateLimiter = getSharedRateLimiter();
+  dryRunsUsingRateLimiter++;
+  try {
+    return await run(rateLimiter);
+  } finally {
+    dryRunsUsingRateLimiter--;
+  }
+}
+
+/**
+ * Check whether crawls other than this one are running (they share the crawl tabs)
+ * @param {CrawlJob} crawl
+ * @returns {boolean}
+ */
+function hasOtherActiveCrawls(crawl) {
+  for (const other of activeCrawls) {
+    if (other !== crawl) return true;
+  }
+  return false;
+}
+
+/**
+ * Register a crawl as running and clear it again when it finishes
+ * @param {CrawlJob} crawl
+ */
+function trackCrawl(crawl) {
+  crawl.onCompleteCallback = () => {
+    console.log('Clearing active crawl', crawl.jobId);
+    activeCrawls.delete(crawl);
+    notifyCrawlComplete(crawl.jobId);
+  };
+  activeCrawls.add(crawl);
+}
+
+/**
+ * Throw if the job is already being crawled
+ * @param {string} jobId
+ */
+function assertNotRunning(jobId) {
+  if (jobId && getActiveCrawl(jobId)) {
+    throw new Error(`Job ${jobId} is already being crawled`);
+  }
+}
+
+// Called with the job ID whenever a crawl finishes (completed, failed or cancelled)
+const completionListeners = new Set();
+
+/**
+ * Register a listener for finished crawls
+ * @param {Function} listener - Called with (jobId) after the crawl is removed from the active set
+ * @returns {Function} Unsubscribe function
+ */
+export function onCrawlComplete(listener) {
+  completionListeners.add(listener);
+  return () => completionListeners.delete(listener);
+}
+
+function notifyCrawlComplete(jobId) {
+  for (const listener of completionListeners) {
+    try {
+      listener(jobId);
+    } catch (error) {
+      console.error('[Crawler] Completion listener failed:', error);
+    }
+  }
+}
 
 /**
  * Start a new crawl
@@ -981,55 +2843,173 @@ let activeCrawl = null;
  * @param {string[]} options.waitForSelectors - CSS selectors to wait for
  * @param {boolean} options.skipCache - Force refresh, ignore cache (default: false)
  * @param {boolean} options.useIncognito - Crawl in incognito window for clean session (default: false)
+ * @param {string} options.fetchMode - 'rendered' (every page in a tab), 'fast' (fetch() first, tabs only for pages that
+ *   look client-rendered) or 'auto' (decided per site); incognito crawls always render (default: 'rendered')
+ * @param {Object} options.auth - Authentication for the base URLs' origins, see lib/crawl-auth.js: headers, cookies
+ *   and basicAuth (stored encrypted on the job; null or {} clears the saved one; cookies imply 'rendered')
+ * @param {Object} options.pageActions - Actions run before extraction, see lib/page-actions.js: expandDetails,
+ *   clickSelectors, captureTabs, scroll and timeBudget ({} clears the saved ones; clicks, tabs and scrolling imply 'rendered';
+ *   default: none)
+ * @param {boolean|Object} options.infiniteScroll - Scroll each page until it stops loading more: true, or {maxHeight, timeBudget},
+ *   see lib/infinite-scroll.js (false turns it off; implies 'rendered'; default: off)
+ * @param {boolean|Object} options.screenshots - Store a full-page screenshot of each page: true, or {format, quality, maxBytes,
+ *   maxHeight}, see lib/screenshots.js (false turns it off; implies 'rendered'; default: off)
+ * @param {boolean|Object} options.archives - Store an MHTML snapshot of each page: true, or {maxBytes, jobBudget},
+ *   see lib/page-archives.js (false turns it off; implies 'rendered'; default: off)
+ * @param {boolean|Object} options.apiRecording - Record the XHR/fetch calls of each page as HAR entries: true, or
+ *   {maxBodyBytes, maxCallsPerPage, urlRules}, see lib/api-recording.js (false turns it off; implies 'rendered'; default: off)
+ * @param {boolean|Object} options.pdfs - Follow in-scope .pdf links and store each file's text as a page: true, or
+ *   {maxBytes, maxPages}, see lib/pdf-documents.js (false skips PDFs again; default: off)
  * @param {boolean} options.followExternalLinks - Follow links outside base URL scope (default: false)
  * @param {number} options.maxExternalHops - Maximum depth for external links, 1-5 (default: 1)
+ * @param {boolean} options.respectRobots - Honour robots.txt rules and Crawl-delay (default: false)
+ * @param {Array} options.urlRules - Ordered include/exclude rules, see lib/url-rules.js (default: none)
+ * @param {number} options.maxDepth - Maximum link distance from the seed URLs, 0-100 (default: unlimited)
+ * @param {boolean} options.sitemapUrlsAsSeeds - Count sitemap URLs as depth 0 (default: true)
+ * @param {string[]} options.seedUrls - Start from these URLs (a reviewed dry run list) instead of sitemap discovery;
+ *   each counts as depth 0 and links are still followed (default: discover)
+ * @param {string} options.crawlStrategy - Queue ordering: 'bfs', 'dfs' or 'priority' (default: 'bfs')
+ * @param {number} options.maxRetries - Retries for pages that fail with a transient error, 0-5 (default: 2)
+ * @param {number} options.retryBaseDelay - Wait before the first retry in ms, doubled per attempt, 250-30000 (default: 2000)
+ * @param {Object} options.canonicalization - Query parameters that make a distinct page, fixed for the job's lifetime
+ *   ({keepQueryParams, stripQueryParams, sortQueryParams}, see normalizeCanonicalization in lib/utils.js; default: drop the query)
+ * @param {boolean} options.followPagination - Follow ?page=N, /page/N and rel="next"/"prev" pages at the listing's depth, fixed for the job's lifetime (default: false)
+ * @param {number} options.maxPaginationPages - Pages followed per paginated series, 1-500 (default: 50)
+ * @param {boolean} options.stitchPagination - Join each paginated series into one stored page when the crawl completes (default: false)
+ * @param {number} options.nearDuplicateThreshold - Merge pages at least this similar (SimHash, 0.75-1) into an earlier page as alternate URLs (default: off)
+ * @param {boolean} options.respectPageDirectives - Store pages under their rel="canonical" URL, skip noindex pages and nofollow links (default: false)
+ * @param {boolean} options.updateExisting - Refresh the existing job for this URL instead of creating a new one (default: false)
+ * @param {string} options.jobId - Job to refresh in update mode (default: the job found by base URL)
+ * @param {string} options.queuedJobId - Job created while the request waited in the scheduler queue (default: create one)
  */
 export async function startCrawl(baseUrl, onProgress, options = {}) {
-  console.log('[Crawler] startCrawl called with:', { baseUrl, options });
-
-  if (activeCrawl) {
-    throw new Error('A crawl is already in progress');
+  console.log('[Crawler] startCrawl called with:', { baseUrl, options: redactSecrets(options) });
+
+  // Update mode: reuse the existing job and its saved settings
+  let existingJob = null;
+  if (options.updateExisting) {
+    if (options.jobId) {
+      existingJob = await getJob(options.jobId);
+      if (!existingJob) {
+        throw new Error(`Job not found: ${options.jobId}`);
+      }
+    } else {
+      const firstBaseUrl = Array.isArray(baseUrl) ? baseUrl[0] : baseUrl;
+      existingJob = await getJobByBaseUrl(canonicalizeUrl(firstBaseUrl));
+      if (!existingJob) {
+        console.log('[Crawler] No existing job for', firstBaseUrl, '- starting a new crawl');
+      }
+    }
   }
 
-  const crawl = new CrawlJob(baseUrl, options);
+  const crawl = existingJob
+    ? new CrawlJob(existingJob.baseUrls || [existingJob.baseUrl], await loadSavedOptions(existingJob, options))
+    : new CrawlJob(baseUrl, { ...options, auth: await openCrawlAuth(options.auth), updateExisting: false });
   crawl.onProgress = onProgress;
+  crawl.jobId = existingJob ? existingJob.id : (options.queuedJobId || null);
+  assertNotRunning(crawl.jobId);
 
   console.log('[Crawler] CrawlJob created with:', {
     maxWorkers: crawl.maxWorkers,
     pageLimit: crawl.pageLimit
   });
 
-  // Set callback to clear activeCrawl when complete
-  crawl.onCompleteCallback = () => {
-    console.log('Clearing active crawl');
-    activeCrawl = null;
-  };
-
-  activeCrawl = crawl;
+  trackCrawl(crawl);
 
   try {
+    if (existingJob) {
+      await crawl.loadExistingPages();
+      return await crawl.updateStart();
+    }
     const jobId = await crawl.start();
     return jobId;
   } catch (error) {
-    activeCrawl = null;
+    activeCrawls.delete(crawl);
     throw error;
   }
 }
 
 /**
- * Get active crawl status
+ * Get a running crawl
+ * @param {string} [jobId] - Job to look up (default: the first running crawl)
+ * @returns {CrawlJob|null}
+ */
+export function getActiveCrawl(jobId) {
+  for (const crawl of activeCrawls) {
+    if (!jobId || crawl.jobId === jobId) return crawl;
+  }
+  return null;
+}
+
+/**
+ * Get all running crawls, oldest first
+ * @returns {CrawlJob[]}
  */
-export function getActiveCrawl() {
-  return activeCrawl;
+export function getActiveCrawls() {
+  return Array.from(activeCrawls);
+}
+
+/**
+ * Cancel a running crawl, or every running crawl when no job is given
+ * The crawl leaves the active set once its workers have stopped and the job is saved.
+ * @param {string} [jobId] - Job to cancel
+ * @returns {boolean} True if a crawl was cancelled
+ */
+export function cancelActiveCrawl(jobId) {
+  let cancelled = false;
+  for (const crawl of activeCrawls) {
+    if (!jobId || crawl.jobId === jobId) {
+      crawl.cancel();
+      cancelled = true;
+    }
+  }
+  return cancelled;
+}
+
+/**
+ * Usage of the tab/worker budget shared by all running crawls
+ * @returns {{limit: number, inUse: number, waiting: number}}
+ */
+export function getWorkerBudgetStatus() {
+  return workerBudget.getStatus();
+}
+
+/**
+ * Copy the robots.txt skips and depth histogram stored on a job into a crawl,
+ * so they are not lost when the crawl writes its summaries back
+ * @param {CrawlJob} crawl
+ * @param {object} job - Job record
+ */
+function restoreJobSummaries(crawl, job) {
+  for (const { url, rule } of job.robotsSkipped || []) {
+    crawl.robotsSkipped.set(url, rule);
+  }
+
+  for (const [depth, count] of Object.entries(job.depthHistogram || {})) {
+    crawl.depthHistogram.set(Number(depth), count);
+  }
 }
 
 /**
- * Cancel active crawl
+ * Add the pages already saved in the crawl's job to its completed set
+ * @param {CrawlJob} crawl - Crawl with jobId set
  */
-export function cancelActiveCrawl() {
-  if (activeCrawl) {
-    activeCrawl.cancel();
-    activeCrawl = null;
+async function loadCompletedPages(crawl) {
+  const existingPages = await getPagesByJobId(crawl.jobId);
+  console.log('[Crawler] Loading', existingPages.length, 'existing pages into completed set');
+
+  for (const page of existingPages) {
+    const canonicalUrl = page.canonicalUrl || page.url;
+    crawl.completed.add(canonicalUrl);
+
+    // Also populate per-base-URL tracking
+    const matchingBaseUrl = crawl.getMatchingBaseUrl(canonicalUrl);
+    if (matchingBaseUrl) {
+      const baseUrlCompleted = crawl.completedPerBaseUrl.get(matchingBaseUrl);
+      if (baseUrlCompleted) {
+        baseUrlCompleted.add(canonicalUrl);
+      }
+    }
   }
 }
 
@@ -1039,9 +3019,10 @@ export function cancelActiveCrawl() {
  * Instead of creating a new job, this function:
  * 1. Loads the existing job from the database
  * 2. Loads already-completed pages to populate the completed set
- * 3. Updates the job status back to 'in_progress'
- * 4. Re-runs discovery but skips already-completed URLs
- * 5. Continues crawling with the existing job ID
+ * 3. Restores the saved frontier (queue, depths, per-base counters, failed set) if there is one
+ * 4. Updates the job status back to 'in_progress'
+ * 5. Without a frontier, re-runs discovery but skips already-completed URLs
+ * 6. Continues crawling with the existing job ID
  *
  * @param {string} jobId - The ID of the interrupted job to resume
  * @param {Function} onProgress - Progress callback
@@ -1050,9 +3031,7 @@ export function cancelActiveCrawl() {
 export async function resumeCrawl(jobId, onProgress, options = {}) {
   console.log('[Crawler] resumeCrawl called with jobId:', jobId);
 
-  if (activeCrawl) {
-    throw new Error('A crawl is already in progress');
-  }
+  assertNotRunning(jobId);
 
   // Load the existing job from the database
   const job = await getJob(jobId);
@@ -1072,46 +3051,101 @@ export async function resumeCrawl(jobId, onProgress, options = {}) {
   });
 
   // Create a new CrawlJob instance with the same base URLs
-  const crawl = new CrawlJob(baseUrls, options);
+  // Crawl settings are remembered on the job so a resume keeps the same scope
+  const crawl = new CrawlJob(baseUrls, await loadSavedOptions(job, options));
   crawl.onProgress = onProgress;
 
   // IMPORTANT: Use the existing job ID instead of creating a new one
   crawl.jobId = jobId;
 
-  // Load already-completed pages from the database
-  const existingPages = await getPagesByJobId(jobId);
-  console.log('[Crawler] Loading', existingPages.length, 'existing pages into completed set');
+  // Keep robots.txt skips and the depth histogram recorded before the interruption
+  restoreJobSummaries(crawl, job);
 
-  for (const page of existingPages) {
-    const canonicalUrl = page.canonicalUrl || page.url;
-    crawl.completed.add(canonicalUrl);
+  // Load already-completed pages from the database
+  await loadCompletedPages(crawl);
 
-    // Also populate per-base-URL tracking
-    const matchingBaseUrl = crawl.getMatchingBaseUrl(canonicalUrl);
-    if (matchingBaseUrl) {
-      const baseUrlCompleted = crawl.completedPerBaseUrl.get(matchingBaseUrl);
-      if (baseUrlCompleted) {
-        baseUrlCompleted.add(canonicalUrl);
-      }
-    }
+  // Restore the exact queue state saved before the interruption (or service worker termination)
+  const frontier = await getFrontier(jobId);
+  if (frontier) {
+    crawl.restoreFrontier(frontier);
+    console.log('[Crawler] Restored frontier saved at', new Date(frontier.savedAt).toISOString(), `(${crawl.queue.length} URLs queued)`);
   }
 
   console.log('[Crawler] Completed set populated with', crawl.completed.size, 'URLs');
 
-  // Set callback to clear activeCrawl when complete
-  crawl.onCompleteCallback = () => {
-    console.log('Clearing active crawl (resumed job completed)');
-    activeCrawl = null;
-  };
-
-  activeCrawl = crawl;
+  trackCrawl(crawl);
 
   try {
     // Start the resumed crawl (uses a modified start that doesn't create a new job)
-    await crawl.resumeStart();
+    await crawl.resumeStart(Boolean(frontier));
+    return jobId;
+  } catch (error) {
+    activeCrawls.delete(crawl);
+    throw error;
+  }
+}
+
+/**
+ * Re-crawl only the pages that failed in a finished job
+ *
+ * The job's saved settings are reused. Pages that succeed are added to the job and
+ * dropped from its errors; pages that fail again stay in the errors with their new cause.
+ * Links on retried pages are not followed and the page limit does not apply
+ * (the pages were already within the job's scope).
+ *
+ * @param {string} jobId - The job whose failed pages should be retried
+ * @param {Function} onProgress - Progress callback
+ * @param {Object} options - Crawl options (same as startCrawl), plus:
+ * @param {boolean} options.retryableOnly - Only retry transient failures, see lib/retry-policy.js (default: false)
+ * @returns {Promise<string>} Job ID
+ */
+export async function retryFailedPages(jobId, onProgress, options = {}) {
+  console.log('[Crawler] retryFailedPages called with jobId:', jobId);
+
+  assertNotRunning(jobId);
+
+  const job = await getJob(jobId);
+  if (!job) {
+    throw new Error(`Job not found: ${jobId}`);
+  }
+
+  const { retryableOnly = false, ...crawlOptions } = options;
+  const crawl = new CrawlJob(job.baseUrls || [job.baseUrl], await loadSavedOptions(job, crawlOptions));
+  crawl.onProgress = onProgress;
+  crawl.jobId = jobId;
+  crawl.retryFailedOnly = true;
+  crawl.pageLimit = null;
+
+  restoreJobSummaries(crawl, job);
+  await loadCompletedPages(crawl);
+
+  // Split the failures: retried ones are queued, the rest stay failed
+  const urls = [];
+  for (const failure of job.errors || []) {
+    const url = failure.canonicalUrl || failure.url;
+    if (!url || crawl.completed.has(url) || urls.includes(url)) continue;
+
+    if (!retryableOnly || classifyError(failure.error).transient) {
+      urls.push(url);
+    } else {
+      crawl.failed.add(url);
+      crawl.failedDetails.set(url, failure.error);
+    }
+  }
+
+  if (urls.length === 0) {
+    throw new Error(retryableOnly
+      ? `Job ${jobId} has no retryable failed pages`
+      : `Job ${jobId} has no failed pages to retry`);
+  }
+
+  trackCrawl(crawl);
+
+  try {
+    await crawl.retryStart(urls);
     return jobId;
   } catch (error) {
-    activeCrawl = null;
+    activeCrawls.delete(crawl);
     throw error;
   }
 }
@@ -5,6 +5,7 @@
  */
 
 import { canonicalizeUrl, isUnderBasePath, isUnderAnyBasePath, isInternalUrl, resolveUrl, isValidUrl } from './utils.js';
+import { matchUrlRules } from './url-rules.js';
 
 // Sitemap discovery timeouts (in milliseconds)
 const SITEMAP_FETCH_TIMEOUT = 10000;      // 10 seconds per sitemap fetch
@@ -68,31 +69,64 @@ function extractNestedSitemapUrls(xmlText) {
   return sitemapUrls;
 }
 
+/**
+ * Read a single-valued tag (e.g. <priority>) from a sitemap <url> block
+ * @param {string} block - Inner XML of a <url> element
+ * @param {string} tag - Tag name
+ * @returns {string|null} Trimmed text content, or null if absent
+ */
+function readSitemapTag(block, tag) {
+  const match = new RegExp(`<${tag}>(?:<!\\[CDATA\\[)?([\\s\\S]*?)(?:\\]\\]>)?<\\/${tag}>`, 'i').exec(block);
+  return match ? match[1].trim() : null;
+}
+
 /**
  * Extract page URLs from a regular sitemap (not an index)
+ * Keeps each entry's <priority> (0.0-1.0) and <lastmod> (ms timestamp) for queue ordering
  * @param {string} xmlText - The sitemap XML content
- * @returns {string[]} Array of page URLs
+ * @returns {Array<{url: string, priority: number|null, lastmod: number|null}>} Page entries
  */
 function extractPageUrls(xmlText) {
-  const urls = [];
-
-  // Extract URLs from <loc> tags using regex
-  // Matches <loc>URL</loc> or <loc><![CDATA[URL]]></loc>
-  const locRegex = /<loc>(?:<!\[CDATA\[)?(.*?)(?:\]\]>)?<\/loc>/gi;
-  let match;
+  const entries = [];
 
-  while ((match = locRegex.exec(xmlText)) !== null) {
-    const url = match[1].trim();
+  const addEntry = (url, priority = null, lastmod = null) => {
     if (url && (url.startsWith('http://') || url.startsWith('https://'))) {
       // Skip URLs that look like sitemaps (end with .xml)
       // These should be handled as nested sitemaps, not pages
       if (!url.toLowerCase().endsWith('.xml')) {
-        urls.push(url);
+        entries.push({ url, priority, lastmod });
       }
     }
+  };
+
+  // Read each <url> block so <priority> and <lastmod> stay attached to their <loc>
+  const urlBlockRegex = /<url>([\s\S]*?)<\/url>/gi;
+  let match;
+
+  while ((match = urlBlockRegex.exec(xmlText)) !== null) {
+    const block = match[1];
+    const loc = readSitemapTag(block, 'loc');
+    if (!loc) continue;
+
+    const priorityValue = parseFloat(readSitemapTag(block, 'priority'));
+    const priority = isNaN(priorityValue) ? null : Math.max(0, Math.min(1, priorityValue));
+
+    const lastmodValue = Date.parse(readSitemapTag(block, 'lastmod') || '');
+    const lastmod = isNaN(lastmodValue) ? null : lastmodValue;
+
+    addEntry(loc, priority, lastmod);
+  }
+
+  // Fall back to bare <loc> tags for sitemaps without <url> wrappers
+  // Matches <loc>URL</loc> or <loc><![CDATA[URL]]></loc>
+  if (entries.length === 0) {
+    const locRegex = /<loc>(?:<!\[CDATA\[)?(.*?)(?:\]\]>)?<\/loc>/gi;
+    while ((match = locRegex.exec(xmlText)) !== null) {
+      addEntry(match[1].trim());
+    }
   }
 
-  return urls;
+  return entries;
 }
 
 /**
@@ -100,7 +134,7 @@ function extractPageUrls(xmlText) {
  * @param {string} sitemapUrl - URL of the sitemap to fetch
  * @param {number} depth - Current recursion depth
  * @param {number} startTime - Start time of the discovery process
- * @returns {Promise<string[]>} Array of discovered page URLs
+ * @returns {Promise<Array<{url: string, priority: number|null, lastmod: number|null}>>} Discovered page entries
  */
 async function fetchAndParseSitemap(sitemapUrl, depth, startTime) {
   // Check total timeout
@@ -183,8 +217,11 @@ async function fetchAndParseSitemap(sitemapUrl, depth, startTime) {
  * Returns array of canonical URLs or null if sitemap not found
  * @param {string|string[]} baseUrls - The base URL(s) to discover from
  * @param {boolean} strictPathMatching - If true, use strict path hierarchy matching
+ * @param {Array} urlRules - Compiled include/exclude rules (from compileUrlRules)
+ * @param {Map} [sitemapMeta] - Filled with canonical url → {priority, lastmod} for every returned URL
+ * @param {object} [canonicalization] - Job's query parameter settings (default: drop the whole query)
  */
-export async function discoverFromSitemap(baseUrls, strictPathMatching = true) {
+export async function discoverFromSitemap(baseUrls, strictPathMatching = true, urlRules = [], sitemapMeta = null, canonicalization = true) {
   const startTime = Date.now();
 
   try {
@@ -198,9 +235,9 @@ export async function discoverFromSitemap(baseUrls, strictPathMatching = true) {
     console.log('Checking for sitemap at:', sitemapUrl);
 
     // Fetch and parse sitemap (handles sitemap indexes recursively)
-    const urls = await fetchAndParseSitemap(sitemapUrl, 0, startTime);
+    const entries = await fetchAndParseSitemap(sitemapUrl, 0, startTime);
 
-    if (urls.length === 0) {
+    if (entries.length === 0) {
       console.log('[Discovery] No URLs found in sitemap');
       return null;
     }
@@ -209,9 +246,20 @@ export async function discoverFromSitemap(baseUrls, strictPathMatching = true) {
     const canonicalBases = urlArray.map(url => canonicalizeUrl(url)).filter(Boolean);
 
     // Filter to only URLs under ANY of the base paths
-    const filteredUrls = urls
-      .map(url => canonicalizeUrl(url))
-      .filter(url => url && isUnderAnyBasePath(url, canonicalBases, strictPathMatching));
+    const scopedEntries = entries
+      .map(entry => ({ ...entry, url: canonicalizeUrl(entry.url, canonicalization) }))
+      .filter(entry => entry.url && isUnderAnyBasePath(entry.url, canonicalBases, strictPathMatching));
+
+    // Then apply include/exclude rules
+    const filteredEntries = scopedEntries.filter(entry => matchUrlRules(urlRules, entry.url).allowed);
+    if (filteredEntries.length < scopedEntries.length) {
+      console.log(`[Discovery] URL rules excluded ${scopedEntries.length - filteredEntries.length} sitemap URL(s)`);
+    }
+
+    if (sitemapMeta) {
+      filteredEntries.forEach(({ url, priority, lastmod }) => sitemapMeta.set(url, { priority, lastmod }));
+    }
+    const filteredUrls = filteredEntries.map(entry => entry.url);
 
     const elapsed = Date.now() - startTime;
     console.log(`Found ${filteredUrls.length} URLs in sitemap under ${canonicalBases.length} base path(s) (strict: ${strictPathMatching}, took ${elapsed}ms)`);
@@ -258,6 +306,8 @@ function parseSitemap(xmlText) {
  *   - followExternalLinks: boolean (default: false) - Also extract links outside base paths
  *   - currentDepth: number (default: 0) - Depth of the current page
  *   - maxExternalHops: number (default: 1) - Maximum depth for external links
+ *   - canonicalization: object - Job's query parameter settings (default: drop the whole query)
+ *   - followPdfLinks: boolean (default: false) - Keep .pdf links (the crawl reads PDFs)
  * @returns {Array<{url: string, depth: number}>} Array of link objects with URL and depth
  */
 export function extractLinksFromHtml(html, pageUrl, baseUrls, options = {}) {
@@ -270,7 +320,9 @@ export function extractLinksFromHtml(html, pageUrl, baseUrls, options = {}) {
     strictPathMatching = true,
     followExternalLinks = false,
     currentDepth = 0,
-    maxExternalHops = 1
+    maxExternalHops = 1,
+    canonicalization = true,
+    followPdfLinks = false
   } = opts;
 
   const links = [];
@@ -321,7 +373,7 @@ export function extractLinksFromHtml(html, pageUrl, baseUrls, options = {}) {
     try {
       const urlPath = new URL(absoluteUrl).pathname.toLowerCase();
       const hasDownloadExtension = downloadExtensions.some(ext => urlPath.endsWith(ext));
-      if (hasDownloadExtension) {
+      if (hasDownloadExtension && !(followPdfLinks && urlPath.endsWith('.pdf'))) {
         console.log(`[Link Extraction] Skipping downloadable file: ${absoluteUrl}`);
         return;
       }
@@ -330,7 +382,7 @@ export function extractLinksFromHtml(html, pageUrl, baseUrls, options = {}) {
     }
 
     // Canonicalize the URL
-    const canonicalUrl = canonicalizeUrl(absoluteUrl);
+    const canonicalUrl = canonicalizeUrl(absoluteUrl, canonicalization);
     if (!canonicalUrl) return;
 
     // Check if this is an internal link (under any base path)
@@ -376,6 +428,13 @@ export function extractLinksFromHtml(html, pageUrl, baseUrls, options = {}) {
     processHref(match[1]);
   }
 
+  // Pattern 4: Pagination links in the head - <link rel="next" href="URL">
+  const relLinkRegex = /<link\b[^>]*\srel=["']?(?:next|prev|previous)["']?[^>]*>/gi;
+  while ((match = relLinkRegex.exec(html)) !== null) {
+    const href = match[0].match(/\bhref=["']?([^"'\s>]+)["']?/i);
+    if (href) processHref(href[1]);
+  }
+
   // Deduplicate by URL (keep first occurrence's depth)
   const seen = new Map();
   const uniqueLinks = [];
@@ -398,8 +457,11 @@ export function extractLinksFromHtml(html, pageUrl, baseUrls, options = {}) {
  * Returns initial set of URLs to crawl
  * @param {string|string[]} baseUrls - The base URL(s) to discover from
  * @param {boolean} strictPathMatching - If true, use strict path hierarchy matching
+ * @param {Array} urlRules - Compiled include/exclude rules (from compileUrlRules)
+ * @param {Map} [sitemapMeta] - Filled with canonical url → {priority, lastmod} for sitemap URLs
+ * @param {object} [canonicalization] - Job's query parameter settings (default: drop the whole query)
  */
-export async function discoverInitialUrls(baseUrls, strictPathMatching = true) {
+export async function discoverInitialUrls(baseUrls, strictPathMatching = true, urlRules = [], sitemapMeta = null, canonicalization = true) {
   // Handle both single URL and array of URLs
   const urlArray = Array.isArray(baseUrls) ? baseUrls : [baseUrls];
 
@@ -407,12 +469,12 @@ export async function discoverInitialUrls(baseUrls, strictPathMatching = true) {
 
   // Always include all base URLs themselves
   urlArray.forEach(baseUrl => {
-    const canonical = canonicalizeUrl(baseUrl);
+    const canonical = canonicalizeUrl(baseUrl, canonicalization);
     if (canonical) urls.add(canonical);
   });
 
   // Try sitemap first
-  const sitemapUrls = await discoverFromSitemap(urlArray, strictPathMatching);
+  const sitemapUrls = await discoverFromSitemap(urlArray, strictPathMatching, urlRules, sitemapMeta, canonicalization);
   if (sitemapUrls && sitemapUrls.length > 0) {
     sitemapUrls.forEach(url => urls.add(url));
     console.log(`Initial discovery: ${urls.size} URLs from sitemap for ${urlArray.length} base path(s) (strict: ${strictPathMatching})`);
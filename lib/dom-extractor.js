@@ -0,0 +1,808 @@
+/**
+ * Page content extraction shared by tab rendering and fast mode
+ *
+ * Classic script (no module syntax) defining a global extractPageContent():
+ * injected into crawl tabs after the Turndown libraries, and loaded by the
+ * offscreen document that parses fetched HTML (lib/offscreen.html).
+ */
+
+/**
+ * Extract metadata, text, markdown and links from a document
+ *
+ * @param {Document} doc - The rendered page, or HTML parsed with DOMParser
+ * @param {string} pageUrl - URL of the page, used to resolve relative links
+ * @param {Object} options
+ * @param {Function} options.textOf - Reads an element's text, for documents that are not rendered
+ *   (innerText needs layout; default: element.innerText)
+ * @param {string} options.extractedVia - Label recorded in markdownMeta._debugInfo (default: 'direct-conversion')
+ * @param {Object} options.profile - Extraction profile for the page (lib/extraction-profiles.js):
+ *   {name, contentSelectors, removeSelectors}
+ * @returns {{html: string, text: string, metadata: Object, markdown: string|null, markdownMeta: Object|null, links: string[]}}
+ */
+function extractPageContent(doc, pageUrl, options = {}) {
+  const profile = options.profile || null;
+
+  /**
+   * Find the profile's content root in a document
+   * The first content selector that matches decides; nested matches are dropped
+   * so no content is converted twice.
+   *
+   * @param {Document} doc - Document to search
+   * @returns {{selector: string, elements: Element[]}|null} null without a profile or a match
+   */
+  function findContentRoots(doc) {
+    for (const selector of profile?.contentSelectors || []) {
+      let matches = [];
+      try {
+        matches = Array.from(doc.querySelectorAll(selector));
+      } catch (e) {
+        continue; // Ignore invalid selectors
+      }
+      const elements = matches.filter(el => !matches.some(other => other !== el && other.contains(el)));
+      if (elements.length > 0) return { selector, elements };
+    }
+    return null;
+  }
+
+  // Extract metadata from page head
+  function extractMetadata() {
+    const metadata = {};
+
+    // Helper function to safely get content
+    const getContent = (selector, attr = 'content') => {
+      const el = doc.querySelector(selector);
+      return el ? el[attr] : null;
+    };
+
+    // Standard meta tags
+    metadata.description = getContent('meta[name="description"]');
+    metadata.keywords = getContent('meta[name="keywords"]');
+    metadata.author = getContent('meta[name="author"]');
+    metadata.generator = getContent('meta[name="generator"]');
+
+    // Open Graph
+    metadata.ogTitle = getContent('meta[property="og:title"]');
+    metadata.ogDescription = getContent('meta[property="og:description"]');
+    metadata.ogType = getContent('meta[property="og:type"]');
+    metadata.ogSiteName = getContent('meta[property="og:site_name"]');
+
+    // Article metadata
+    metadata.articleSection = getContent('meta[property="article:section"]');
+    const tagElements = doc.querySelectorAll('meta[property="article:tag"]');
+    metadata.articleTags = tagElements.length > 0
+      ? Array.from(tagElements).map(tag => tag.content).filter(Boolean)
+      : null;
+
+    // Canonical URL
+    metadata.canonical = getContent('link[rel="canonical"]', 'href');
+
+    // JSON-LD structured data
+    const jsonLdScripts = doc.querySelectorAll('script[type="application/ld+json"]');
+    let jsonLdData = null;
+
+    if (jsonLdScripts.length > 0) {
+      jsonLdScripts.forEach(script => {
+        try {
+          const data = JSON.parse(script.textContent);
+          if (data && (data.headline || data.description || data.name)) {
+            // Store first valid JSON-LD with descriptive content
+            if (!jsonLdData) {
+              jsonLdData = {
+                type: data['@type'] || null,
+                headline: data.headline || null,
+                description: data.description || null,
+                name: data.name || null,
+                author: data.author?.name || null
+              };
+            }
+          }
+        } catch(e) {
+          // Silently skip invalid JSON-LD
+        }
+      });
+    }
+
+    metadata.jsonLd = jsonLdData;
+
+    // Clean up null values
+    Object.keys(metadata).forEach(key => {
+      if (metadata[key] === null || metadata[key] === undefined) {
+        delete metadata[key];
+      }
+    });
+
+    return metadata;
+  }
+
+  // Process markdown conversion using direct body conversion (no Readability)
+  // This approach preserves all content and is more reliable for documentation sites
+  function processMarkdown(html, url, text) {
+    try {
+      // Check if TurndownService is available
+      if (typeof TurndownService === 'undefined') {
+        console.log('[TabFetcher] Turndown library not available, skipping conversion');
+        return { markdown: null, markdownMeta: null };
+      }
+
+      /**
+       * Remove noise elements from a document clone.
+       * Removes navigation, sidebars, ads, and other non-content elements.
+       *
+       * @param {Document} doc - Document to clean (will be modified)
+       */
+      function removeNoiseElements(doc) {
+        const noiseSelectors = [
+          // Extraction profile removals ("Was this helpful?" widgets, site-specific chrome)
+          ...(profile?.removeSelectors || []),
+          // Scripts and styles
+          'script', 'style', 'noscript',
+          // Navigation and UI elements
+          'nav', 'header', 'footer', 'aside',
+          '.navigation', '.nav', '.navbar', '.menu', '.sidebar',
+          '.header', '.footer', '.breadcrumb', '.breadcrumbs',
+          // Sidebar variations (common in documentation sites)
+          '#side-bar', '#sidebar', '#sideBar', '#SideBar',
+          '#left-sidebar', '#right-sidebar', '#leftSidebar', '#rightSidebar',
+          '.side-bar', '.sideBar', '.left-sidebar', '.right-sidebar',
+          '#nav-btn-container', '.nav-button', '.nav-footer',
+          '.toc', '#toc', '.table-of-contents', '#table-of-contents',
+          // CSS Modules patterns (keyword followed by hash separator __)
+          // Matches patterns like: componentName_documentationSidebar__hash, styles_mainNavigation__abc123
+          // Broader patterns - keyword anywhere before the __ hash separator
+          '[class*="Sidebar__"]', '[class*="sidebar__"]',
+          '[class*="SideBar__"]', '[class*="sideBar__"]',
+          '[class*="Sidenav__"]', '[class*="sidenav__"]',
+          '[class*="SideNav__"]', '[class*="sideNav__"]',
+          '[class*="Navigation__"]', '[class*="navigation__"]',
+          '[class*="NavMenu__"]', '[class*="navMenu__"]',
+          '[class*="NavBar__"]', '[class*="navBar__"]', '[class*="Navbar__"]', '[class*="navbar__"]',
+          '[class*="TopNav__"]', '[class*="topNav__"]',
+          '[class*="SideMenu__"]', '[class*="sideMenu__"]',
+          '[class*="Drawer__"]', '[class*="drawer__"]',
+          '[class*="LeftPanel__"]', '[class*="leftPanel__"]',
+          '[class*="RightPanel__"]', '[class*="rightPanel__"]',
+          // Material UI (MUI) specific patterns
+          '[class^="MuiDrawer"]', '[class*=" MuiDrawer"]',
+          '[class^="MuiAppBar"]', '[class*=" MuiAppBar"]',
+          // Data attributes commonly used for navigation JS control
+          '[data-sidebar]', '[data-drawer]', '[data-navigation]',
+          '[data-twe-sidenav-init]', '[data-twe-navbar-init]',
+          // Ads and social
+          '.ad', '.ads', '.advertisement', '.social-share', '.share-buttons',
+          // Cookie banners and popups
+          '.cookie-banner', '.cookie-notice', '.gdpr', '.consent',
+          '.popup', '.modal', '.overlay',
+          // Comments
+          '.comments', '.comment-section', '#comments',
+          // Hidden elements
+          '[hidden]', '[aria-hidden="true"]',
+          // Role-based noise
+          '[role="navigation"]', '[role="banner"]', '[role="contentinfo"]',
+          '[role="complementary"]', '[role="search"]',
+          // Additional common noise patterns
+          '.related-posts', '.recommended', '.more-articles',
+          '.author-bio', '.author-card', '.post-author',
+          '.newsletter', '.subscribe', '.signup-form',
+          '.share-widget', '.social-links', '.social-buttons',
+          '.promo', '.promotion', '.banner',
+          '.feedback', '.rating', '.reactions'
+        ];
+
+        noiseSelectors.forEach(selector => {
+          try {
+            doc.querySelectorAll(selector).forEach(el => el.remove());
+          } catch (e) {
+            // Ignore invalid selectors
+          }
+        });
+      }
+
+      /**
+       * Create and configure the Turndown service with all custom rules.
+       *
+       * @returns {TurndownService} Configured Turndown instance
+       */
+      function createTurndownService() {
+        const turndownService = new TurndownService({
+          headingStyle: 'atx',
+          codeBlockStyle: 'fenced',
+          bulletListMarker: '-',
+          emDelimiter: '_',
+          strongDelimiter: '**',
+          linkStyle: 'inlined'
+        });
+
+        // Add GFM tables support
+        if (typeof turndownPluginGfm !== 'undefined' && turndownPluginGfm.tables) {
+          turndownService.use(turndownPluginGfm.tables);
+        }
+
+        // Custom rule: Handle <code> elements containing links
+        // Converts <code><a href="url">text</a></code> to [`text`](url)
+        turndownService.addRule('codeWithLink', {
+          filter: function (node) {
+            if (node.nodeName !== 'CODE') return false;
+            if (node.parentNode && node.parentNode.nodeName === 'PRE') return false;
+
+            const children = Array.from(node.childNodes);
+            const meaningfulChildren = children.filter(child => {
+              if (child.nodeType === 3) {
+                return child.textContent.trim() !== '';
+              }
+              return true;
+            });
+
+            return meaningfulChildren.length === 1 &&
+                   meaningfulChildren[0].nodeName === 'A';
+          },
+          replacement: function (content, node) {
+            const link = node.querySelector('a');
+            if (!link) return '`' + content + '`';
+
+            const href = link.getAttribute('href') || '';
+            const text = link.textContent || '';
+            const title = link.getAttribute('title');
+
+            const titlePart = title ? ' "' + title.replace(/"/g, '\\"') + '"' : '';
+            return '[`' + text + '`](' + href + titlePart + ')';
+          }
+        });
+
+        return turndownService;
+      }
+
+      /**
+       * Post-process markdown to clean up formatting issues.
+       *
+       * @param {string} markdown - Raw markdown from Turndown
+       * @returns {string} Cleaned markdown
+       */
+      function postProcessMarkdown(markdown) {
+        let result = markdown;
+        result = result.replace(/\n{4,}/g, '\n\n\n');
+        result = result.replace(/```(\w*)\n\n+/g, '```$1\n');
+        result = result.replace(/\n\n+```/g, '\n```');
+        result = result.replace(/^([-*+])\s{2,}/gm, '$1 ');
+        result = result.replace(/([^\n])\n(#{1,6}\s)/g, '$1\n\n$2');
+        result = result.split('\n').map(line => line.trimEnd()).join('\n');
+        result = result.trim() + '\n';
+        return result;
+      }
+
+      /**
+       * Detect and normalize non-standard code blocks that don't use <pre> tags.
+       * Some syntax highlighters (like react-syntax-highlighter) wrap code in
+       * <span> or <div> with white-space:pre styling instead of using <pre> tags.
+       * This converts them to standard <pre><code> structure before Turndown processes them.
+       *
+       * Detection heuristics (conservative, multi-signal approach):
+       * 1. Look for containers with multiple sibling <code> elements (not inside <pre>)
+       * 2. One <code> must appear to be line numbers (by class or content)
+       * 3. Another <code> must contain actual code (syntax tokens or non-digit content)
+       *
+       * @param {Document} doc - DOM document to process
+       */
+      function normalizeNonPreCodeBlocks(doc) {
+        const allCodes = Array.from(doc.querySelectorAll('code'));
+        const processed = new Set();
+
+        for (const code of allCodes) {
+          if (processed.has(code)) continue;
+          // Skip if already inside a <pre> - those are handled by normalizeCodeBlocks()
+          if (code.closest('pre')) continue;
+
+          const parent = code.parentElement;
+          if (!parent) continue;
+
+          // Get sibling <code> elements (direct children of same parent)
+          const siblingCodes = Array.from(parent.children).filter(el => el.tagName === 'CODE');
+          if (siblingCodes.length < 2) continue;
+
+          // Mark all siblings as processed to avoid duplicate handling
+          siblingCodes.forEach(c => processed.add(c));
+
+          // Identify which <code> is line numbers vs actual code
+          let lineNumberCode = null;
+          let actualCodeElement = null;
+
+          for (const codeEl of siblingCodes) {
+            const text = (codeEl.textContent || '').trim();
+
+            // Check for line number indicators:
+            // 1. Has children with known line-number classes
+            const hasLineNumberChildren = codeEl.querySelector(
+              '.react-syntax-highlighter-line-number, ' +
+              '.line-number, .line-numbers, .linenumber, .linenumbers, ' +
+              '.hljs-ln-numbers, .hljs-ln-n, [data-line-number]'
+            );
+
+            // 2. Content is only digits and whitespace (e.g., "1 2 3 4 5")
+            const isOnlyDigits = /^[\d\s\n]+$/.test(text);
+
+            if (hasLineNumberChildren || (isOnlyDigits && text.length > 0)) {
+              lineNumberCode = codeEl;
+            } else {
+              // Check for syntax highlighting tokens (strong signal of actual code)
+              const hasTokens = codeEl.querySelector(
+                '.token, .punctuation, .keyword, .string, .number, ' +
+                '[class*="hljs-"], [class*="prism-"]'
+              );
+
+              // Has tokens OR has non-digit content = actual code
+              if (hasTokens || !isOnlyDigits) {
+                actualCodeElement = codeEl;
+              }
+            }
+          }
+
+          // Only proceed if we confidently found both patterns
+          if (lineNumberCode && actualCodeElement) {
+            const codeText = actualCodeElement.textContent || '';
+
+            // Try to detect language from various sources
+            let language = '';
+            const sources = [actualCodeElement, parent, parent.parentElement];
+            for (const el of sources) {
+              if (!el || !el.className) continue;
+              const match = el.className.match(/language-(\S+)/);
+              if (match) {
+                language = match[1];
+                break;
+              }
+            }
+
+            // Create standard <pre><code> structure
+            const pre = doc.createElement('pre');
+            const newCode = doc.createElement('code');
+            if (language) newCode.className = 'language-' + language;
+            newCode.textContent = codeText;
+            pre.appendChild(newCode);
+
+            // Replace parent element with the new <pre>
+            if (parent.parentNode) {
+              parent.parentNode.replaceChild(pre, parent);
+            }
+          }
+        }
+      }
+
+      /**
+       * Normalize code blocks in the document before markdown conversion.
+       * Handles syntax highlighter output with line numbers, multiple <code> elements, etc.
+       *
+       * @param {Document} doc - DOM document to process
+       */
+      function normalizeCodeBlocks(doc) {
+        const preTags = doc.querySelectorAll('pre');
+
+        preTags.forEach(pre => {
+          // Remove known decorative elements (line numbers, copy buttons, etc.)
+          const decorativeSelectors = [
+            '.react-syntax-highlighter-line-number',
+            '.line-number', '.line-numbers', '.linenumber', '.linenumbers',
+            '.hljs-ln-numbers', '.hljs-ln-n', '[data-line-number]',
+            '.copy-button', '.copy-code', 'button.copy',
+            '.code-toolbar > .toolbar', '.prism-show-language', '.line-numbers-rows'
+          ];
+
+          decorativeSelectors.forEach(selector => {
+            try {
+              pre.querySelectorAll(selector).forEach(el => el.remove());
+            } catch (e) {
+              // Ignore invalid selectors
+            }
+          });
+
+          // Get all direct <code> children
+          const codeElements = Array.from(pre.querySelectorAll(':scope > code'));
+
+          // If 0 or 1 code elements, nothing special to do
+          if (codeElements.length <= 1) return;
+
+          // Multiple <code> elements - find the actual code (not line numbers)
+          let actualCodeText = '';
+          let detectedLanguage = '';
+
+          for (const code of codeElements) {
+            const text = code.textContent || '';
+            const className = code.className || '';
+
+            // Skip line numbers
+            if (/line-?numbers?|linenumbers?/i.test(className)) continue;
+            const trimmedText = text.trim();
+            if (!trimmedText) continue;
+            if (/^[\d\s\n]+$/.test(trimmedText)) continue;
+
+            // Skip if all children are line number spans
+            const children = code.querySelectorAll('span');
+            if (children.length > 0) {
+              const allLineNumbers = Array.from(children).every(span =>
+                /line-?number|linenumber/i.test(span.className || '')
+              );
+              if (allLineNumbers) continue;
+            }
+
+            // Found actual code
+            actualCodeText = text;
+            const langMatch = className.match(/language-(\S+)/);
+            if (langMatch) detectedLanguage = langMatch[1];
+            break;
+          }
+
+          // Normalize the <pre> structure if we found code
+          if (actualCodeText) {
+            if (!detectedLanguage) {
+              const preClass = pre.className || '';
+              const preLangMatch = preClass.match(/language-(\S+)/);
+              if (preLangMatch) detectedLanguage = preLangMatch[1];
+            }
+            if (!detectedLanguage) {
+              detectedLanguage = pre.getAttribute('data-language') ||
+                                pre.getAttribute('data-lang') || '';
+            }
+
+            const newCode = doc.createElement('code');
+            if (detectedLanguage) newCode.className = 'language-' + detectedLanguage;
+            newCode.textContent = actualCodeText;
+
+            while (pre.firstChild) pre.removeChild(pre.firstChild);
+            pre.appendChild(newCode);
+          }
+        });
+      }
+
+      /**
+       * Resolve relative URLs to absolute URLs for standalone markdown files.
+       * Converts relative paths like "/docs/api" to full URLs like "https://example.com/docs/api"
+       * so that links work when the markdown file is used outside the original website context.
+       *
+       * @param {Document} doc - Document to process (will be modified)
+       * @param {string} baseUrl - Base URL for resolving relative paths
+       */
+      function resolveRelativeUrls(doc, baseUrl) {
+        // Resolve anchor hrefs
+        doc.querySelectorAll('a[href]').forEach(anchor => {
+          const href = anchor.getAttribute('href');
+          if (!href) return;
+
+          // Skip already absolute URLs, data URIs, javascript:, mailto:, tel:, etc.
+          if (/^(https?:\/\/|data:|javascript:|mailto:|tel:|#)/i.test(href)) return;
+
+          try {
+            const absoluteUrl = new URL(href, baseUrl).href;
+            anchor.setAttribute('href', absoluteUrl);
+          } catch (e) {
+            // Invalid URL, leave as-is
+          }
+        });
+
+        // Resolve image srcs
+        doc.querySelectorAll('img[src]').forEach(img => {
+          const src = img.getAttribute('src');
+          if (!src) return;
+
+          // Skip already absolute URLs and data URIs
+          if (/^(https?:\/\/|data:)/i.test(src)) return;
+
+          try {
+            const absoluteUrl = new URL(src, baseUrl).href;
+            img.setAttribute('src', absoluteUrl);
+          } catch (e) {
+            // Invalid URL, leave as-is
+          }
+        });
+      }
+
+      /**
+       * Flatten block elements inside anchor tags to prevent malformed markdown links.
+       * Block elements (div, p, etc.) inside <a> tags cause Turndown to create
+       * links with newlines in the text, like: [\n\ntext\n\n](url)
+       * This function replaces block elements with their text content.
+       *
+       * @param {Document} doc - Document to process (will be modified)
+       */
+      function flattenBlockElementsInAnchors(doc) {
+        const anchors = doc.querySelectorAll('a');
+
+        anchors.forEach(anchor => {
+          // Check if anchor contains any block-level elements
+          const blockElements = anchor.querySelectorAll('div, p, section, article, header, footer, main, aside, nav, ul, ol, li, table, tr, td, th, blockquote, figure, figcaption, address, h1, h2, h3, h4, h5, h6');
+
+          if (blockElements.length === 0) return;
+
+          // Get the combined text content, normalized
+          const textContent = anchor.textContent || '';
+          // Normalize whitespace: collapse multiple spaces/newlines to single space
+          const normalizedText = textContent.replace(/\s+/g, ' ').trim();
+
+          // Preserve the href and other attributes
+          const href = anchor.getAttribute('href');
+          const title = anchor.getAttribute('title');
+
+          // Clear the anchor and set normalized text
+          anchor.textContent = normalizedText;
+
+          // Restore attributes (textContent clears them)
+          if (href) anchor.setAttribute('href', href);
+          if (title) anchor.setAttribute('title', title);
+        });
+      }
+
+      // Clone and prepare document for conversion
+      const cleanDoc = doc.cloneNode(true);
+      const currentPageUrl = pageUrl;
+      // Narrow to the profile's content root (the main column of a docs site)
+      const cleanRoots = findContentRoots(cleanDoc);
+      if (cleanRoots) {
+        cleanDoc.body.replaceChildren(...cleanRoots.elements);
+      }
+      normalizeNonPreCodeBlocks(cleanDoc);  // Convert non-standard code blocks to <pre><code>
+      normalizeCodeBlocks(cleanDoc);         // Clean up <pre> elements (line numbers, etc.)
+      flattenBlockElementsInAnchors(cleanDoc);
+      resolveRelativeUrls(cleanDoc, currentPageUrl);
+      removeNoiseElements(cleanDoc);
+
+      // Convert to markdown using Turndown
+      const turndownService = createTurndownService();
+      let markdown = turndownService.turndown(cleanDoc.body.innerHTML);
+      markdown = postProcessMarkdown(markdown);
+
+      // Get text content for metrics
+      const cleanText = cleanDoc.body.textContent || cleanDoc.body.innerText || '';
+      const textLength = cleanText.length;
+
+      // Calculate quality metrics
+      const linkMatches = cleanDoc.body.innerHTML.match(/<a\s+/gi) || [];
+      const linkDensity = textLength > 0 ? linkMatches.length / (textLength / 100) : 0;
+      const hasHeaders = /^#{1,6}\s+.+$/m.test(markdown);
+      const hasCodeBlocks = /```/.test(markdown);
+      const hasLists = /^[-*+]\s+/m.test(markdown);
+      const hasTables = /\|.+\|/.test(markdown);
+      const hasStructure = hasHeaders || hasCodeBlocks || hasLists || hasTables;
+      const h2Count = (markdown.match(/^##\s+/gm) || []).length;
+
+      // Calculate confidence based on content quality
+      let confidence = 0.85; // Start with good confidence for direct conversion
+      if (textLength < 200) confidence -= 0.3;
+      if (textLength > 1000) confidence += 0.05;
+      if (linkDensity > 3.0) confidence -= 0.2; // High link density = likely index
+      if (hasStructure) confidence += 0.1;
+      if (hasTables) confidence += 0.05; // Tables often indicate valuable content
+      if (h2Count > 20) confidence -= 0.1; // Many h2s might be index page
+      confidence = Math.max(0, Math.min(1, confidence));
+
+      return {
+        markdown: markdown,
+        markdownMeta: {
+          confidence: confidence,
+          isArticle: confidence > 0.5,
+          title: doc.title,
+          byline: null,
+          excerpt: cleanText.substring(0, 200).trim(),
+          siteName: null,
+          textLength: textLength,
+          linkDensity: linkDensity,
+          hasStructure: hasStructure,
+          h2Count: h2Count,
+          hasTables: hasTables
+        }
+      };
+    } catch (error) {
+      console.error('[TabFetcher] Error processing markdown:', error);
+      return {
+        markdown: null,
+        markdownMeta: {
+          confidence: 0,
+          isArticle: false,
+          reason: 'processing-error',
+          error: error.message
+        }
+      };
+    }
+  }
+
+  /**
+   * Extract all links from the page using DOM APIs.
+   * This is more reliable than regex because it runs after JavaScript
+   * and can access computed styles to filter invisible elements.
+   *
+   * @returns {string[]} Array of absolute URLs
+   */
+  function extractLinks() {
+    const links = new Set();
+    const baseUrl = pageUrl;
+
+    // Helper to check if an element is visible
+    function isVisible(el) {
+      if (!el) return false;
+      const style = window.getComputedStyle(el);
+      return style.display !== 'none' &&
+             style.visibility !== 'hidden' &&
+             style.opacity !== '0' &&
+             el.offsetParent !== null;
+    }
+
+    // Helper to resolve and validate URLs
+    function addUrl(href) {
+      if (!href || typeof href !== 'string') return;
+      href = href.trim();
+
+      // Skip non-http links
+      if (href.startsWith('mailto:') ||
+          href.startsWith('tel:') ||
+          href.startsWith('javascript:') ||
+          href.startsWith('data:') ||
+          href.startsWith('#') ||
+          href === '') {
+        return;
+      }
+
+      try {
+        // Resolve relative URLs to absolute
+        const absoluteUrl = new URL(href, baseUrl).href;
+
+        // Only include http/https URLs
+        if (absoluteUrl.startsWith('http://') || absoluteUrl.startsWith('https://')) {
+          links.add(absoluteUrl);
+        }
+      } catch (e) {
+        // Invalid URL, skip
+      }
+    }
+
+    // 1. Standard <a href> links (most common)
+    doc.querySelectorAll('a[href]').forEach(anchor => {
+      // Optionally filter invisible links (commented out for now - we want all links)
+      // if (!isVisible(anchor)) return;
+      addUrl(anchor.getAttribute('href'));
+    });
+
+    // 2. Links in data attributes (common in SPAs)
+    doc.querySelectorAll('[data-href], [data-url], [data-link]').forEach(el => {
+      addUrl(el.getAttribute('data-href'));
+      addUrl(el.getAttribute('data-url'));
+      addUrl(el.getAttribute('data-link'));
+    });
+
+    // 3. Links in onclick handlers (basic pattern matching)
+    doc.querySelectorAll('[onclick]').forEach(el => {
+      const onclick = el.getAttribute('onclick') || '';
+
+      // Match patterns like: location.href='/page', window.location='/page', etc.
+      const patterns = [
+        /location\.href\s*=\s*['"]([^'"]+)['"]/gi,
+        /location\s*=\s*['"]([^'"]+)['"]/gi,
+        /window\.open\s*\(\s*['"]([^'"]+)['"]/gi,
+        /navigate\s*\(\s*['"]([^'"]+)['"]/gi,
+        /href\s*:\s*['"]([^'"]+)['"]/gi
+      ];
+
+      patterns.forEach(pattern => {
+        let match;
+        while ((match = pattern.exec(onclick)) !== null) {
+          addUrl(match[1]);
+        }
+      });
+    });
+
+    // 4. Links in buttons with data-navigate or similar
+    doc.querySelectorAll('button[data-navigate], button[data-to], [role="link"]').forEach(el => {
+      addUrl(el.getAttribute('data-navigate'));
+      addUrl(el.getAttribute('data-to'));
+      addUrl(el.getAttribute('href'));
+    });
+
+    // 5. Next.js/React Router Link components often render as <a> but may have data-href
+    doc.querySelectorAll('[data-next-link], [data-router-link]').forEach(el => {
+      const anchor = el.tagName === 'A' ? el : el.querySelector('a');
+      if (anchor) addUrl(anchor.getAttribute('href'));
+    });
+
+    // 6. Area elements in image maps
+    doc.querySelectorAll('area[href]').forEach(area => {
+      addUrl(area.getAttribute('href'));
+    });
+
+    // 7. Pagination links in the head - often the only link to the next page of a listing
+    doc.querySelectorAll('link[rel~="next"][href], link[rel~="prev"][href], link[rel~="previous"][href]').forEach(link => {
+      addUrl(link.getAttribute('href'));
+    });
+
+    // 8. Links in JSON-LD structured data
+    doc.querySelectorAll('script[type="application/ld+json"]').forEach(script => {
+      try {
+        const json = JSON.parse(script.textContent);
+        const extractFromJson = (obj) => {
+          if (!obj || typeof obj !== 'object') return;
+          for (const [key, value] of Object.entries(obj)) {
+            if (typeof value === 'string' && (key === 'url' || key === '@id' || key === 'mainEntityOfPage')) {
+              addUrl(value);
+            } else if (typeof value === 'object') {
+              extractFromJson(value);
+            }
+          }
+        };
+        extractFromJson(json);
+      } catch (e) {
+        // Invalid JSON, skip
+      }
+    });
+
+    // 9. Sitemap links in HTML (some sites embed sitemap-like structures)
+    doc.querySelectorAll('loc').forEach(loc => {
+      addUrl(loc.textContent);
+    });
+
+    // 10. Monitor history.pushState/replaceState for SPA route discovery
+    // This captures routes that Angular/React/Vue Router navigate to
+    const capturedSpaRoutes = [];
+    const originalPushState = history.pushState;
+    const originalReplaceState = history.replaceState;
+
+    history.pushState = function(state, title, url) {
+      if (url) {
+        capturedSpaRoutes.push(url.toString());
+      }
+      return originalPushState.call(this, state, title, url);
+    };
+
+    history.replaceState = function(state, title, url) {
+      if (url) {
+        capturedSpaRoutes.push(url.toString());
+      }
+      return originalReplaceState.call(this, state, title, url);
+    };
+
+    // 11. SPA route discovery via clicking - DISABLED
+    // This feature was causing tabs to open uncontrollably when clicking on
+    // elements triggered window.open() or target="_blank" links (social buttons, etc.)
+    // TODO: Re-enable with proper safeguards (intercept window.open, check target attr)
+    console.log(`[TabFetcher] SPA click discovery disabled for safety`);
+
+    // Restore original history methods (still needed for cleanup)
+    history.pushState = originalPushState;
+    history.replaceState = originalReplaceState;
+
+    console.log(`[TabFetcher] Extracted ${links.size} links using DOM APIs`);
+    return Array.from(links);
+  }
+
+  // Get current page URL
+  const currentUrl = pageUrl;
+  const html = doc.documentElement.outerHTML;
+  const textOf = options.textOf || (el => el.innerText);
+  const contentRoots = findContentRoots(doc);
+  const text = contentRoots
+    ? contentRoots.elements.map(textOf).join('\n\n')
+    : textOf(doc.body);
+  const metadata = extractMetadata();
+  const { markdown, markdownMeta } = processMarkdown(html, currentUrl, text);
+  const links = extractLinks();
+
+  // Add debug info for Service Worker logging
+  if (markdownMeta) {
+    markdownMeta._debugInfo = {
+      originalTextLength: text.length,
+      extractedVia: options.extractedVia || 'direct-conversion',
+      profile: profile?.name || null,
+      contentSelector: contentRoots?.selector || null,
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  // Return all extracted data:
+  // - html: for link extraction fallback (contains <a> tags)
+  // - text: for content storage (clean text via innerText)
+  // - metadata: extracted from page head
+  // - markdown: converted markdown (or null)
+  // - markdownMeta: quality metrics (or null)
+  // - links: DOM-extracted links (more reliable than regex)
+  return {
+    html,
+    text,
+    metadata,
+    markdown,
+    markdownMeta,
+    links
+  };
+}
@@ -0,0 +1,254 @@
+/**
+ * Discovery-only dry run
+ * Lists the URLs a crawl would start from without rendering or saving a page: the seed and
+ * sitemap URLs from discoverInitialUrls, plus links found by fetching pages a few hops deep.
+ * The list is grouped by path prefix so the scope can be refined before the real crawl
+ * starts from it. Page fetches go through the per-host rate limiter like a crawl's.
+ */
+
+import { discoverInitialUrls, extractLinksFromHtml } from './discovery.js';
+import { compileUrlRules, matchUrlRules } from './url-rules.js';
+import { RobotsPolicy } from './robots.js';
+import { HostRateLimiter, parseRetryAfter, THROTTLE_STATUSES } from './rate-limiter.js';
+import { canonicalizeUrl, normalizeCanonicalization } from './utils.js';
+
+export const DEFAULT_DRY_RUN_DEPTH = 1; // link hops fetched from the seed and sitemap URLs
+export const MAX_DRY_RUN_DEPTH = 3;
+export const DEFAULT_DRY_RUN_FETCHES = 50;
+export const MAX_DRY_RUN_FETCHES = 200;
+
+const MAX_DRY_RUN_URLS = 10000; // keeps the response a reasonable message size
+const DRY_RUN_FETCH_TIMEOUT = 10000; // per page
+const DRY_RUN_TIME_BUDGET = 45000; // link expansion stops here, whatever is left
+const DRY_RUN_CONCURRENCY = 4;
+const MAX_TREE_LEVELS = 3; // path segments shown below each origin
+
+/**
+ * Fetch a page's HTML without rendering it
+ * A 429/503 response backs the host off in the rate limiter
+ * @param {string} url - Page URL
+ * @param {HostRateLimiter} rateLimiter - Limiter the request's token was taken from
+ * @returns {Promise<{html: string, url: string}|{throttled: true}|null>} null for errors, timeouts and
+ *   non-HTML responses
+ */
+async function fetchHtml(url, rateLimiter) {
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), DRY_RUN_FETCH_TIMEOUT);
+
+  try {
+    const response = await fetch(url, {
+      signal: controller.signal,
+      headers: { 'Accept': 'text/html,application/xhtml+xml' }
+    });
+    if (THROTTLE_STATUSES.includes(response.status)) {
+      rateLimiter.backOff(url, parseRetryAfter(response.headers.get('retry-after')));
+      return { throttled: true };
+    }
+    rateLimiter.recordSuccess(url);
+
+    const contentType = response.headers.get('content-type') || '';
+    if (!response.ok || !contentType.includes('html')) {
+      return null;
+    }
+    return { html: await response.text(), url: response.url || url };
+  } catch (error) {
+    return null;
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
+
+/**
+ * Fetch candidate pages breadth-first and add the links they contain
+ * Pages excluded by the scope are listed but not fetched, as in a real crawl.
+ * Each fetch waits for the host's rate limiter (with the robots.txt Crawl-delay in polite mode);
+ * a throttled page is tried once more after the host's backoff.
+ * @param {Map<string, {url: string, source: string, depth: number}>} candidates - Filled in place
+ * @param {string[]} baseUrls - Crawl scope
+ * @param {Object} options - depth, maxFetches, strictPathMatching, canonicalization, isExcluded(url),
+ *   rateLimiter, robots (loaded for a URL by isExcluded, null outside polite mode)
+ * @returns {Promise<{depth: number, fetched: number, failed: number, truncated: boolean}>}
+ */
+async function expandLinks(candidates, baseUrls, options) {
+  const { depth, maxFetches, strictPathMatching, canonicalization, isExcluded, rateLimiter, robots } = options;
+  const startTime = Date.now();
+  const outOfTime = () => Date.now() - startTime >= DRY_RUN_TIME_BUDGET;
+  const queue = Array.from(candidates.values()).filter(entry => entry.depth < depth);
+  const throttled = new Set();
+  let started = 0;
+  let fetched = 0;
+  let failed = 0;
+
+  const worker = async () => {
+    while (queue.length > 0 && started < maxFetches && !outOfTime()) {
+      const entry = queue.shift();
+      if (await isExcluded(entry.url)) continue;
+
+      if (robots) rateLimiter.setMinInterval(entry.url, robots.getCrawlDelay(entry.url));
+      if (!await rateLimiter.acquire(entry.url, outOfTime)) {
+        queue.unshift(entry); // Still to do - reported as truncated
+        break;
+      }
+
+      started++;
+      const page = await fetchHtml(entry.url, rateLimiter);
+      if (page?.throttled && !throttled.has(entry.url)) {
+        throttled.add(entry.url);
+        started--;
+        queue.push(entry);
+        continue;
+      }
+      if (!page || page.throttled) {
+        failed++;
+        continue;
+      }
+      fetched++;
+
+      const links = extractLinksFromHtml(page.html, page.url, baseUrls, { strictPathMatching, canonicalization });
+      for (const link of links) {
+        if (candidates.has(link.url) || candidates.size >= MAX_DRY_RUN_URLS) continue;
+        const found = { url: link.url, source: 'link', depth: entry.depth + 1 };
+        candidates.set(link.url, found);
+        if (found.depth < depth) queue.push(found);
+      }
+    }
+  };
+
+  await Promise.all(Array.from({ length: DRY_RUN_CONCURRENCY }, worker));
+  return { depth, fetched, failed, truncated: queue.length > 0 || candidates.size >= MAX_DRY_RUN_URLS };
+}
+
+/**
+ * Mark each candidate URL as in or out of scope
+ * @param {Array<{url: string, source: string, depth: number}>} candidates - Candidate URLs
+ * @param {Array} compiledRules - Result of compileUrlRules
+ * @param {RobotsPolicy|null} robots - Loaded robots.txt policy (polite mode), or null
+ * @returns {{urls: Array<{url: string, source: string, depth: number, excluded: string|null, rule: string|null}>,
+ *   counts: {total: number, allowed: number, excludedByRules: number, excludedByRobots: number,
+ *   seed: number, sitemap: number, link: number}}} excluded is 'rules', 'robots' or null;
+ *   seed/sitemap/link count the allowed URLs by where they were found
+ */
+export function scopeCandidates(candidates, compiledRules, robots = null) {
+  const counts = { total: 0, allowed: 0, excludedByRules: 0, excludedByRobots: 0, seed: 0, sitemap: 0, link: 0 };
+
+  const urls = candidates.map(({ url, source, depth }) => {
+    counts.total++;
+    const rules = matchUrlRules(compiledRules, url);
+    if (!rules.allowed) {
+      counts.excludedByRules++;
+      return { url, source, depth, excluded: 'rules', rule: rules.rule };
+    }
+    const verdict = robots ? robots.isAllowed(url) : { allowed: true };
+    if (!verdict.allowed) {
+      counts.excludedByRobots++;
+      return { url, source, depth, excluded: 'robots', rule: verdict.rule };
+    }
+    counts.allowed++;
+    counts[source] = (counts[source] || 0) + 1;
+    return { url, source, depth, excluded: null, rule: null };
+  });
+
+  return { urls, counts };
+}
+
+/**
+ * Count URLs per path prefix
+ * @param {string[]} urls - Absolute URLs
+ * @param {number} maxLevels - Path segments to break down below each origin
+ * @returns {Array<{prefix: string, count: number, children: Array}>} One root per origin (prefix = origin),
+ *   children prefixed by their path ("https://example.com/docs"); largest first at every level
+ */
+export function buildUrlTree(urls, maxLevels = MAX_TREE_LEVELS) {
+  const roots = new Map(); // origin → node
+  const createNode = (prefix) => ({ prefix, count: 0, children: new Map() });
+
+  for (const url of urls) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (e) {
+      continue;
+    }
+
+    if (!roots.has(parsed.origin)) roots.set(parsed.origin, createNode(parsed.origin));
+    let node = roots.get(parsed.origin);
+    node.count++;
+
+    for (const segment of parsed.pathname.split('/').filter(Boolean).slice(0, maxLevels)) {
+      if (!node.children.has(segment)) node.children.set(segment, createNode(`${node.prefix}/${segment}`));
+      node = node.children.get(segment);
+      node.count++;
+    }
+  }
+
+  const toArray = (nodes) => Array.from(nodes.values())
+    .map(node => ({ prefix: node.prefix, count: node.count, children: toArray(node.children) }))
+    .sort((a, b) => b.count - a.count || a.prefix.localeCompare(b.prefix));
+  return toArray(roots);
+}
+
+/**
+ * Preview the URLs a crawl would visit, without rendering or saving pages
+ * @param {string|string[]} baseUrls - The base URL(s) of the crawl
+ * @param {Object} options
+ * @param {boolean} options.strictPathMatching - Strict path hierarchy matching (default: true)
+ * @param {Array} options.urlRules - Include/exclude rules, see lib/url-rules.js (default: none)
+ * @param {Object} options.canonicalization - Query parameters that make a distinct page (default: drop the query)
+ * @param {boolean} options.respectRobots - Mark URLs disallowed by robots.txt (default: false)
+ * @param {number} options.depth - Link hops fetched from the seed and sitemap URLs, 0-3 (default: 1)
+ * @param {number} options.maxFetches - Pages fetched for links, 1-200 (default: 50)
+ * @param {Array} options.candidates - URLs of an earlier dry run: only the scope is applied again, nothing is fetched
+ * @param {HostRateLimiter} [rateLimiter] - Per-host limiter for the page fetches (the running crawls' one
+ *   from the service worker, so the dry run doesn't add to their request rate)
+ * @returns {Promise<{urls: Array, counts: Object, tree: Array, expansion: Object|null}>} expansion is null
+ *   when candidates were given
+ */
+export async function runDryRun(baseUrls, options = {}, rateLimiter = new HostRateLimiter()) {
+  const urlArray = Array.isArray(baseUrls) ? baseUrls : [baseUrls];
+  const strictPathMatching = options.strictPathMatching !== undefined ? options.strictPathMatching : true;
+  const canonicalization = normalizeCanonicalization(options.canonicalization);
+  const urlRules = compileUrlRules(options.urlRules);
+  const robots = options.respectRobots ? new RobotsPolicy() : null;
+
+  const isExcluded = async (url) => {
+    if (!matchUrlRules(urlRules, url).allowed) return true;
+    if (!robots) return false;
+    await robots.load(url);
+    return !robots.isAllowed(url).allowed;
+  };
+
+  let candidates;
+  let expansion = null;
+  if (Array.isArray(options.candidates)) {
+    candidates = options.candidates.filter(entry => entry && entry.url);
+  } else {
+    const depth = Number.isInteger(options.depth)
+      ? Math.max(0, Math.min(MAX_DRY_RUN_DEPTH, options.depth))
+      : DEFAULT_DRY_RUN_DEPTH;
+    const maxFetches = Number.isInteger(options.maxFetches) && options.maxFetches > 0
+      ? Math.min(MAX_DRY_RUN_FETCHES, options.maxFetches)
+      : DEFAULT_DRY_RUN_FETCHES;
+
+    // Rules are applied below, so the URLs they exclude still show in the preview
+    const seeds = new Set(urlArray.map(url => canonicalizeUrl(url, canonicalization)));
+    const discovered = new Map();
+    for (const url of await discoverInitialUrls(urlArray, strictPathMatching, [], null, canonicalization)) {
+      discovered.set(url, { url, source: seeds.has(url) ? 'seed' : 'sitemap', depth: 0 });
+    }
+
+    expansion = await expandLinks(discovered, urlArray, {
+      depth, maxFetches, strictPathMatching, canonicalization, isExcluded, rateLimiter, robots
+    });
+    candidates = Array.from(discovered.values());
+  }
+
+  if (robots) {
+    await robots.load(candidates.map(entry => entry.url));
+  }
+  const { urls, counts } = scopeCandidates(candidates, urlRules, robots);
+  const tree = buildUrlTree(urls.filter(entry => !entry.excluded).map(entry => entry.url));
+
+  console.log(`[DryRun] ${counts.allowed} of ${counts.total} URLs in scope for ${urlArray[0]}` +
+    (expansion ? ` (${expansion.fetched} pages fetched, ${expansion.failed} failed${expansion.truncated ? ', truncated' : ''})` : ''));
+  return { urls, counts, tree, expansion };
+}
@@ -5,6 +5,7 @@
  */
 
 import { saveErrorLog, getAllErrorLogs, getErrorLogCount, clearErrorLogs, cleanupOldErrorLogs } from '../storage/db.js';
+import { redactSecrets } from './crawl-auth.js';
 
 const ERROR_LOGGER_VERSION = '1.0.0';
 
@@ -27,6 +28,7 @@ export function initErrorLogger(version) {
 
 /**
  * Log an error to the persistent store
+ * Credentials (crawl auth, tokens, cookies) in the message and context are redacted
  * @param {string} source - Source of the error (e.g., 'service-worker', 'crawler', 'tab-fetcher', 'popup')
  * @param {Error|string} error - The error object or message
  * @param {Object} context - Additional context (URL, jobId, action, etc.)
@@ -35,10 +37,10 @@ export async function logError(source, error, context = {}) {
   try {
     const errorEntry = {
       source,
-      message: error instanceof Error ? error.message : String(error),
-      stack: error instanceof Error ? error.stack : null,
+      message: redactSecrets(error instanceof Error ? error.message : String(error)),
+      stack: error instanceof Error ? redactSecrets(error.stack) : null,
       context: {
-        ...context,
+        ...redactSecrets(context),
         timestamp: new Date().toISOString()
       },
       extensionVersion: extensionVersion,
@@ -56,10 +58,12 @@ export async function logError(source, error, context = {}) {
 
 /**
  * Get all error logs
+ * Redacted again in case entries were logged before redaction existed
  * @returns {Promise<Array>} Array of error log entries
  */
 export async function getErrorLogs() {
-  return getAllErrorLogs();
+  const logs = await getAllErrorLogs();
+  return logs.map(redactLog);
 }
 
 /**
@@ -84,7 +88,7 @@ export async function clearAllErrorLogs() {
  * @returns {Promise<Object>} Diagnostic report object
  */
 export async function generateDiagnosticReport() {
-  const errorLogs = await getAllErrorLogs();
+  const errorLogs = await getErrorLogs();
 
   // Get browser/platform info
   const browserInfo = {
@@ -183,6 +187,20 @@ export async function generateDiagnosticReportString() {
   return output;
 }
 
+/**
+ * Helper function to redact a stored error log entry
+ * @param {Object} log - Error log entry
+ * @returns {Object} Copy with credentials redacted
+ */
+function redactLog(log) {
+  return {
+    ...log,
+    message: redactSecrets(log.message),
+    stack: redactSecrets(log.stack),
+    context: redactSecrets(log.context)
+  };
+}
+
 /**
  * Helper function to group errors by source
  * @param {Array} errorLogs - Array of error log entries
@@ -0,0 +1,284 @@
+/**
+ * Per-site extraction profiles
+ * A profile tunes extraction for the sites it matches:
+ * - contentSelectors: the page's main column (".theme-doc-markdown"); the first selector
+ *   found on a page narrows the markdown and text to the elements it matches
+ * - removeSelectors: removed before markdown conversion, on top of the built-in noise filter
+ *   ("Was this helpful?" widgets)
+ * - waitForSelectors: waited for before extraction, on top of the crawl's own
+ *
+ * Profiles are stored in chrome.storage.local and applied by the crawler (lib/dom-extractor.js)
+ * and the content picker. The first profile in the list that matches a URL is used.
+ *
+ * Match patterns:
+ * - "docs.example.com", "*.example.com" - hostnames ("*.example.com" matches every subdomain, not example.com)
+ * - "/docs/**" - URL paths, on any host
+ * - "https://example.com/docs/**" - whole URLs (glob syntax of lib/url-rules.js)
+ */
+
+import { globToRegExp } from './url-rules.js';
+
+const STORAGE_KEY = 'extractionProfiles';
+const EXPORT_FORMAT = 'webscribe-extraction-profiles';
+const EXPORT_VERSION = 1;
+const SELECTOR_LISTS = ['contentSelectors', 'removeSelectors', 'waitForSelectors'];
+
+/**
+ * Check a list of patterns or selectors
+ * @param {string[]|string} value - Array, or one entry per line
+ * @param {string} label - Field name for error messages
+ * @returns {string[]} Trimmed, without blanks and duplicates
+ */
+function normalizeList(value, label) {
+  if (value === undefined || value === null) return [];
+  const entries = typeof value === 'string' ? value.split('\n') : value;
+  if (!Array.isArray(entries) || entries.some(entry => typeof entry !== 'string')) {
+    throw new Error(`${label} must be a list of strings`);
+  }
+  return [...new Set(entries.map(entry => entry.trim()).filter(Boolean))];
+}
+
+/**
+ * Compile a match pattern
+ * @param {string} pattern - Hostname, path or URL glob
+ * @returns {{target: string, regex: RegExp}} target is 'host', 'path' or 'url'
+ */
+function compilePattern(pattern) {
+  if (pattern.includes('://')) return { target: 'url', regex: globToRegExp(pattern) };
+  if (pattern.startsWith('/')) return { target: 'path', regex: globToRegExp(pattern) };
+  if (pattern.includes('/')) {
+    throw new Error(`"${pattern}" is neither a hostname, a path starting with "/" nor a full URL`);
+  }
+  return { target: 'host', regex: new RegExp(globToRegExp(pattern.toLowerCase()).source, 'i') };
+}
+
+/**
+ * Check and normalize an extraction profile
+ * @param {Object} profile
+ * @param {string} profile.id - Kept when given, generated otherwise
+ * @param {string} profile.name - Display name
+ * @param {string[]|string} profile.match - Hostname, path or URL patterns
+ * @param {string[]|string} profile.contentSelectors - Content root selectors, in order of preference
+ * @param {string[]|string} profile.removeSelectors - Extra selectors removed before conversion
+ * @param {string[]|string} profile.waitForSelectors - Extra selectors to wait for
+ * @returns {{id, name, match, contentSelectors, removeSelectors, waitForSelectors}}
+ * @throws {Error} When the name or match patterns are missing, or a field has the wrong type
+ */
+export function normalizeExtractionProfile(profile) {
+  if (!profile || typeof profile !== 'object' || Array.isArray(profile)) {
+    throw new Error('A profile must be an object');
+  }
+  const name = typeof profile.name === 'string' ? profile.name.trim() : '';
+  if (!name) {
+    throw new Error('Profile name is required');
+  }
+
+  const match = normalizeList(profile.match, 'match');
+  if (match.length === 0) {
+    throw new Error(`Profile "${name}" needs at least one hostname or URL pattern`);
+  }
+  match.forEach(compilePattern);
+
+  const normalized = {
+    id: typeof profile.id === 'string' && profile.id ? profile.id : crypto.randomUUID(),
+    name,
+    match
+  };
+  for (const key of SELECTOR_LISTS) {
+    normalized[key] = normalizeList(profile[key], key);
+  }
+  if (SELECTOR_LISTS.every(key => normalized[key].length === 0)) {
+    throw new Error(`Profile "${name}" sets no content, removal or wait-for selectors`);
+  }
+  return normalized;
+}
+
+/**
+ * Whether a profile applies to a URL
+ * @param {Object} profile - Normalized profile
+ * @param {string} url - Absolute URL
+ * @returns {boolean}
+ */
+export function profileMatchesUrl(profile, url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (e) {
+    return false;
+  }
+  return profile.match.some(pattern => {
+    const { target, regex } = compilePattern(pattern);
+    const value = target === 'host' ? parsed.hostname : (target === 'path' ? parsed.pathname : url);
+    return regex.test(value);
+  });
+}
+
+/**
+ * First profile that applies to a URL
+ * @param {Array} profiles - Normalized profiles, in order
+ * @param {string} url - Absolute URL
+ * @returns {Object|null}
+ */
+export function findExtractionProfile(profiles, url) {
+  return (profiles || []).find(profile => profileMatchesUrl(profile, url)) || null;
+}
+
+// ==================== IMPORT / EXPORT ====================
+
+/**
+ * Serialize profiles for a JSON file
+ * @param {Array} profiles - Normalized profiles
+ * @returns {string}
+ */
+export function exportExtractionProfiles(profiles) {
+  return JSON.stringify({
+    format: EXPORT_FORMAT,
+    version: EXPORT_VERSION,
+    exportedAt: new Date().toISOString(),
+    profiles
+  }, null, 2);
+}
+
+/**
+ * Read profiles from an exported file
+ * Accepts an export, a bare array of profiles or a single profile.
+ * @param {string} json - File contents
+ * @returns {Array} Normalized profiles
+ * @throws {Error} When the file is not JSON or a profile is invalid (all or nothing)
+ */
+export function parseExtractionProfiles(json) {
+  let data;
+  try {
+    data = JSON.parse(json);
+  } catch (e) {
+    throw new Error('The file is not valid JSON');
+  }
+
+  let profiles;
+  if (Array.isArray(data)) {
+    profiles = data;
+  } else if (data && Array.isArray(data.profiles)) {
+    if (data.format && data.format !== EXPORT_FORMAT) {
+      throw new Error(`Unknown file format "${data.format}"`);
+    }
+    profiles = data.profiles;
+  } else if (data && typeof data === 'object' && data.match) {
+    profiles = [data];
+  } else {
+    throw new Error('The file contains no extraction profiles');
+  }
+
+  return profiles.map((profile, index) => {
+    try {
+      return normalizeExtractionProfile(profile);
+    } catch (error) {
+      throw new Error(`Profile ${index + 1}: ${error.message}`);
+    }
+  });
+}
+
+/**
+ * Add imported profiles to a list
+ * A profile with the id or the name of an existing one replaces it in place; others are appended.
+ * @param {Array} existing - Current profiles
+ * @param {Array} imported - Normalized profiles
+ * @returns {{profiles: Array, added: number, replaced: number}}
+ */
+export function mergeExtractionProfiles(existing, imported) {
+  const profiles = [...existing];
+  let added = 0;
+  let replaced = 0;
+  for (const profile of imported) {
+    const index = profiles.findIndex(other =>
+      other.id === profile.id || other.name.toLowerCase() === profile.name.toLowerCase()
+    );
+    if (index === -1) {
+      profiles.push(profile);
+      added++;
+    } else {
+      profiles[index] = { ...profile, id: profiles[index].id };
+      replaced++;
+    }
+  }
+  return { profiles, added, replaced };
+}
+
+// ==================== STORAGE ====================
+
+/**
+ * Saved profiles, in match order
+ * @returns {Promise<Array>}
+ */
+export async function getExtractionProfiles() {
+  const stored = await chrome.storage.local.get(STORAGE_KEY);
+  return stored[STORAGE_KEY] || [];
+}
+
+async function setExtractionProfiles(profiles) {
+  await chrome.storage.local.set({ [STORAGE_KEY]: profiles });
+  return profiles;
+}
+
+/**
+ * Create or update a profile (matched by id)
+ * @param {Object} profile - Profile settings
+ * @returns {Promise<Object>} The saved profile
+ */
+export async function saveExtractionProfile(profile) {
+  const normalized = normalizeExtractionProfile(profile);
+  const profiles = await getExtractionProfiles();
+  const duplicate = profiles.find(other =>
+    other.id !== normalized.id && other.name.toLowerCase() === normalized.name.toLowerCase()
+  );
+  if (duplicate) {
+    throw new Error(`A profile named "${normalized.name}" already exists`);
+  }
+
+  const index = profiles.findIndex(other => other.id === normalized.id);
+  if (index === -1) {
+    profiles.push(normalized);
+  } else {
+    profiles[index] = normalized;
+  }
+  await setExtractionProfiles(profiles);
+  console.log(`[ExtractionProfiles] Saved profile "${normalized.name}"`);
+  return normalized;
+}
+
+/**
+ * Delete a profile
+ * @param {string} id - Profile id
+ * @returns {Promise<Array>} Remaining profiles
+ */
+export async function deleteExtractionProfile(id) {
+  const profiles = await getExtractionProfiles();
+  return setExtractionProfiles(profiles.filter(profile => profile.id !== id));
+}
+
+/**
+ * Move a profile up or down the list (the first match wins)
+ * @param {string} id - Profile id
+ * @param {number} offset - -1 to move up, 1 to move down
+ * @returns {Promise<Array>} Profiles in their new order
+ */
+export async function moveExtractionProfile(id, offset) {
+  const profiles = await getExtractionProfiles();
+  const index = profiles.findIndex(profile => profile.id === id);
+  const target = index + offset;
+  if (index === -1 || target < 0 || target >= profiles.length) return profiles;
+  [profiles[index], profiles[target]] = [profiles[target], profiles[index]];
+  return setExtractionProfiles(profiles);
+}
+
+/**
+ * Import profiles from an exported file
+ * @param {string} json - File contents
+ * @returns {Promise<{profiles: Array, added: number, replaced: number}>}
+ */
+export async function importExtractionProfiles(json) {
+  const imported = parseExtractionProfiles(json);
+  const result = mergeExtractionProfiles(await getExtractionProfiles(), imported);
+  await setExtractionProfiles(result.profiles);
+  console.log(`[ExtractionProfiles] Imported ${imported.length} profile(s): ${result.added} added, ${result.replaced} replaced`);
+  return result;
+}
@@ -0,0 +1,328 @@
+/**
+ * Fast mode: fetch-based extraction for static sites
+ * Fetches a page's HTML with fetch() and extracts it in an offscreen document (DOMParser is
+ * not available in the service worker), using the same extraction as tab rendering
+ * (lib/dom-extractor.js). Pages whose text is too short or that look client-rendered are
+ * left to tab rendering.
+ */
+
+export const FetchMode = {
+  RENDERED: 'rendered', // every page in a tab (the original behaviour)
+  FAST: 'fast',         // fetch() first, tab rendering only for pages that need it
+  AUTO: 'auto'          // decided per site from the first pages
+};
+export const FETCH_MODES = Object.values(FetchMode);
+export const DEFAULT_FETCH_MODE = FetchMode.RENDERED;
+
+const FAST_FETCH_TIMEOUT = 15000;
+const MIN_FAST_TEXT_LENGTH = 200; // same threshold as the tab fetcher's "content present" check
+const CONFIDENT_TEXT_LENGTH = 1000; // with this much text, a "JavaScript required" notice is not trusted
+const AUTO_PROBE_PAGES = 3; // auto mode settles a site once this many pages agree
+
+const OFFSCREEN_URL = 'lib/offscreen.html';
+const RATE_LIMIT_STATUS = 429;
+const GONE_STATUSES = [404, 410]; // tab rendering would see the same answer
+
+// A framework mount point with nothing server-rendered in it
+const EMPTY_APP_ROOT = /<div\b[^>]*\bid=["'](?:root|app|__next|__nuxt|___gatsby|svelte)["'][^>]*>\s*<\/div>/i;
+const NOSCRIPT_BLOCK = /<noscript\b[^>]*>([\s\S]*?)<\/noscript>/gi;
+const JAVASCRIPT_REQUIRED = /\b(?:enable|activate|turn on|requires?)\b[^<]{0,40}\bjavascript\b|\bjavascript\b[^<]{0,40}\b(?:required|disabled)\b/i;
+// Static site generators whose pages are complete without JavaScript
+const STATIC_GENERATOR = /\b(?:sphinx|mkdocs|hugo|jekyll|eleventy|hexo|pelican|docusaurus|vitepress|astro)\b/i;
+
+/**
+ * Check a crawl's fetch mode
+ * @param {string} mode - 'rendered', 'fast' or 'auto'
+ * @returns {string} The mode, or the default for anything else
+ */
+export function normalizeFetchMode(mode) {
+  return FETCH_MODES.includes(mode) ? mode : DEFAULT_FETCH_MODE;
+}
+
+/**
+ * Get recommended mode based on URL patterns
+ * Static documentation hosts can skip tab rendering
+ * @param {string} url - Page URL
+ * @returns {string} FetchMode.FAST, FetchMode.RENDERED, or FetchMode.AUTO when the URL says nothing
+ */
+export function getRecommendedMode(url) {
+  const urlLower = url.toLowerCase();
+
+  // Static documentation generators - fast mode
+  if (urlLower.includes('github.io') ||
+      urlLower.includes('readthedocs.io') ||
+      urlLower.includes('gitbook.io')) {
+    return FetchMode.FAST;
+  }
+
+  // Known SPAs - tab rendering
+  if (urlLower.includes('react') ||
+      urlLower.includes('vue') ||
+      urlLower.includes('angular')) {
+    return FetchMode.RENDERED;
+  }
+
+  // Decide from the site's first pages
+  return FetchMode.AUTO;
+}
+
+/**
+ * Check a noscript notice asking for JavaScript
+ * @param {string} html - Fetched HTML
+ * @returns {boolean}
+ */
+function requiresJavaScript(html) {
+  for (const match of html.matchAll(NOSCRIPT_BLOCK)) {
+    if (JAVASCRIPT_REQUIRED.test(match[1])) return true;
+  }
+  return false;
+}
+
+/**
+ * Decide whether a fetched page must be rendered in a tab instead
+ * @param {Object} page
+ * @param {string} page.html - Fetched HTML
+ * @param {string} page.text - Text extracted from it
+ * @param {string[]} page.missingSelectors - waitForSelectors not found in the HTML
+ * @returns {string|null} 'short-content', 'missing-selectors', 'empty-app-root' or 'javascript-required';
+ *   null when the fetched page can be kept
+ */
+export function getFallbackReason({ html = '', text = '', missingSelectors = [] }) {
+  const textLength = text.trim().length;
+  if (textLength < MIN_FAST_TEXT_LENGTH) return 'short-content';
+  if (missingSelectors.length > 0) return 'missing-selectors';
+  if (EMPTY_APP_ROOT.test(html)) return 'empty-app-root';
+  if (textLength < CONFIDENT_TEXT_LENGTH && requiresJavaScript(html)) return 'javascript-required';
+  return null;
+}
+
+/**
+ * Site key used by the auto mode
+ * @param {string} url - Page URL
+ * @returns {string} Origin, or the URL itself if it cannot be parsed
+ */
+function siteOf(url) {
+  try {
+    return new URL(url).origin;
+  } catch (e) {
+    return url;
+  }
+}
+
+/**
+ * Per-site fetch mode of a crawl
+ * In auto mode each site starts with fetch(); it stays there once AUTO_PROBE_PAGES pages
+ * (or one page built by a known static site generator) were kept, and switches to tab
+ * rendering once AUTO_PROBE_PAGES pages had to fall back.
+ */
+export class SiteModeDetector {
+  /**
+   * @param {string} mode - The crawl's fetch mode
+   */
+  constructor(mode) {
+    this.mode = normalizeFetchMode(mode);
+    this.sites = new Map(); // origin → {mode, fast, fallbacks}
+  }
+
+  getSite(url) {
+    const key = siteOf(url);
+    if (!this.sites.has(key)) {
+      const hint = getRecommendedMode(url);
+      this.sites.set(key, { mode: hint === FetchMode.AUTO ? null : hint, fast: 0, fallbacks: 0 });
+    }
+    return this.sites.get(key);
+  }
+
+  /**
+   * Mode to fetch a page with
+   * @param {string} url - Page URL
+   * @returns {string} FetchMode.FAST or FetchMode.RENDERED
+   */
+  modeFor(url) {
+    if (this.mode !== FetchMode.AUTO) return this.mode;
+    return this.getSite(url).mode || FetchMode.FAST;
+  }
+
+  /**
+   * Record the outcome of a fast fetch
+   * @param {string} url - Page URL
+   * @param {Object} outcome
+   * @param {string|null} outcome.fallbackReason - Why the page went to tab rendering, or null
+   * @param {string} outcome.generator - The page's generator meta tag, if any
+   */
+  record(url, { fallbackReason = null, generator = null } = {}) {
+    if (this.mode !== FetchMode.AUTO) return;
+    const site = this.getSite(url);
+    if (site.mode) return;
+
+    if (fallbackReason) {
+      site.fallbacks++;
+    } else {
+      site.fast++;
+    }
+
+    if (!fallbackReason && generator && STATIC_GENERATOR.test(generator)) {
+      site.mode = FetchMode.FAST;
+    } else if (site.fast >= AUTO_PROBE_PAGES) {
+      site.mode = FetchMode.FAST;
+    } else if (site.fallbacks >= AUTO_PROBE_PAGES) {
+      site.mode = FetchMode.RENDERED;
+    }
+
+    if (site.mode) {
+      console.log(`[FastFetch] ${siteOf(url)}: ${site.mode} mode (${site.fast} fetched, ${site.fallbacks} fell back)`);
+    }
+  }
+
+  /**
+   * Modes settled so far (auto mode)
+   * @returns {Object<string, string>} origin → 'fast' or 'rendered'
+   */
+  getSiteModes() {
+    const modes = {};
+    for (const [site, { mode }] of this.sites) {
+      if (mode) modes[site] = mode;
+    }
+    return modes;
+  }
+}
+
+// ==================== OFFSCREEN DOCUMENT ====================
+
+let creatingOffscreen = null;
+
+/**
+ * Create the offscreen document unless it is already open
+ */
+async function ensureOffscreenDocument() {
+  const contexts = await chrome.runtime.getContexts({
+    contextTypes: ['OFFSCREEN_DOCUMENT'],
+    documentUrls: [chrome.runtime.getURL(OFFSCREEN_URL)]
+  });
+  if (contexts.length > 0) return;
+
+  // Concurrent workers share one creation
+  if (!creatingOffscreen) {
+    creatingOffscreen = chrome.offscreen.createDocument({
+      url: OFFSCREEN_URL,
+      reasons: ['DOM_PARSER'],
+      justification: 'Parse fetched HTML into text and markdown without opening a tab'
+    }).finally(() => {
+      creatingOffscreen = null;
+    });
+  }
+  await creatingOffscreen;
+}
+
+/**
+ * Close the offscreen document (when no crawl needs it)
+ */
+export async function closeOffscreenDocument() {
+  try {
+    const contexts = await chrome.runtime.getContexts({ contextTypes: ['OFFSCREEN_DOCUMENT'] });
+    if (contexts.length > 0) {
+      await chrome.offscreen.closeDocument();
+    }
+  } catch (error) {
+    console.warn('[FastFetch] Failed to close offscreen document:', error);
+  }
+}
+
+/**
+ * Extract fetched HTML in the offscreen document
+ * @returns {Promise<{html, text, metadata, markdown, markdownMeta, links, missingSelectors}>}
+ */
+async function extractInOffscreen(html, url, waitForSelectors, profile) {
+  await ensureOffscreenDocument();
+  const response = await chrome.runtime.sendMessage({
+    target: 'offscreen',
+    type: 'EXTRACT_HTML',
+    data: { html, url, waitForSelectors, profile }
+  });
+  if (!response?.success) {
+    throw new Error(response?.error || 'No response from offscreen document');
+  }
+  return response.result;
+}
+
+// ==================== FETCHING ====================
+
+/**
+ * Fetch a page without rendering it
+ *
+ * @param {string} url - URL to fetch
+ * @param {Object} options
+ * @param {number} options.timeout - Max wait for the response in ms
+ * @param {string[]} options.waitForSelectors - CSS selectors the page must contain
+ * @param {Array<{name, value}>} options.authHeaders - Crawl authentication headers for this URL
+ * @param {Object} options.profile - Extraction profile for this URL (lib/extraction-profiles.js), or null
+ * @returns {Promise<{content: Object|null, fallbackReason: string|null}>} content has the shape of
+ *   fetchRenderedContent's result; fallbackReason says why the page must be rendered in a tab instead
+ * @throws {Error} RateLimitError (with httpStatus and raw retryAfter header) when the server answers 429
+ */
+export async function fetchStaticContent(url, options = {}) {
+  const { timeout = FAST_FETCH_TIMEOUT, waitForSelectors = [], authHeaders = [], profile = null } = options;
+
+  let response;
+  let html;
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), timeout);
+  try {
+    response = await fetch(url, {
+      signal: controller.signal,
+      credentials: 'include',
+      // fetch() would carry the auth headers to wherever a redirect leads; tabs scope them per request
+      redirect: authHeaders.length > 0 ? 'manual' : 'follow',
+      headers: {
+        'Accept': 'text/html,application/xhtml+xml',
+        ...Object.fromEntries(authHeaders.map(({ name, value }) => [name, value]))
+      }
+    });
+
+    if (response.type === 'opaqueredirect') {
+      return { content: null, fallbackReason: 'auth-redirect' };
+    }
+
+    if (response.status === RATE_LIMIT_STATUS) {
+      const throttled = new Error(`Server responded with HTTP ${response.status}`);
+      throttled.name = 'RateLimitError';
+      throttled.httpStatus = response.status;
+      throttled.retryAfter = response.headers.get('retry-after');
+      throw throttled;
+    }
+
+    // Other errors may be bot challenges that only a real tab gets through
+    if (!response.ok && !GONE_STATUSES.includes(response.status)) {
+      return { content: null, fallbackReason: `http-${response.status}` };
+    }
+
+    const contentType = response.headers.get('content-type') || '';
+    if (!contentType.includes('html')) {
+      return { content: null, fallbackReason: 'not-html' };
+    }
+    html = await response.text();
+  } catch (error) {
+    if (error.name === 'RateLimitError') throw error;
+    console.warn(`[FastFetch] Fetch failed for ${url}:`, error.message);
+    return { content: null, fallbackReason: 'fetch-failed' };
+  } finally {
+    clearTimeout(timeoutId);
+  }
+
+  let extracted;
+  try {
+    extracted = await extractInOffscreen(html, response.url || url, waitForSelectors, profile);
+  } catch (error) {
+    console.warn(`[FastFetch] Offscreen extraction failed for ${url}:`, error.message);
+    return { content: null, fallbackReason: 'extraction-failed' };
+  }
+
+  const { missingSelectors, ...content } = extracted;
+  content.httpStatus = response.status;
+
+  // Error pages are kept as they are, like a tab would see them
+  const fallbackReason = GONE_STATUSES.includes(response.status)
+    ? null
+    : getFallbackReason({ html, text: content.text, missingSelectors });
+  return { content, fallbackReason };
+}
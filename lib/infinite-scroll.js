@@ -0,0 +1,107 @@
+/**
+ * Infinite-scroll capture
+ * Feeds, "load more" changelogs and API references with virtualized lists only render what
+ * has been scrolled into view, so waiting for the content to plateau captures the first
+ * screens only. In infinite-scroll mode the tab fetcher scrolls the crawl tab step by step
+ * through the debugger: real mouse wheel events (Input.dispatchMouseEvent), so inner scroll
+ * containers and wheel listeners react as they would for a reader, with the page measured
+ * through Runtime.evaluate.
+ *
+ * Scrolling stops when:
+ * - plateau: several steps in a row neither scrolled nor grew the page (the end was reached)
+ * - max-height: the scrolled content reached maxHeight pixels
+ * - time-budget: timeBudget ms passed
+ * Pages stopped by a limit, and pages whose text shrank while scrolling (virtualized lists
+ * keep only the rows in view), are recorded as truncated in markdownMeta.infiniteScroll.
+ */
+
+import { optionalSettings, normalizeLimit } from './utils.js';
+
+export const DEFAULT_SCROLL_MAX_HEIGHT = 100000; // px
+export const MAX_SCROLL_MAX_HEIGHT = 1000000;
+export const DEFAULT_SCROLL_TIME_BUDGET = 30000; // ms
+export const MAX_SCROLL_TIME_BUDGET = 120000;
+const STEP_DELAY = 500; // ms after each wheel step for new content to load
+const STEP_SHARE = 0.9; // of the visible height per step, so rows are not skipped
+const PLATEAU_STEPS = 4; // steps without progress before the end is assumed
+const VIRTUALIZED_TEXT_SHARE = 0.8; // text below this share of its peak means rows were dropped
+
+/**
+ * Check a crawl's infinite-scroll settings
+ * @param {boolean|Object} settings - true for the defaults, false to turn it off, or:
+ * @param {number} settings.maxHeight - Stop once the scrolled content is this tall, in px (default: 100000)
+ * @param {number} settings.timeBudget - Stop after this many ms per page (default: 30000, max: 120000)
+ * @returns {{maxHeight: number, timeBudget: number}|null} null when off
+ * @throws {Error} When a setting has the wrong type
+ */
+export function normalizeInfiniteScroll(settings) {
+  const options = optionalSettings(settings, 'infiniteScroll');
+  if (!options) return null;
+  return {
+    maxHeight: normalizeLimit(options.maxHeight, 'infiniteScroll.maxHeight', DEFAULT_SCROLL_MAX_HEIGHT, 1, MAX_SCROLL_MAX_HEIGHT),
+    timeBudget: normalizeLimit(options.timeBudget, 'infiniteScroll.timeBudget', DEFAULT_SCROLL_TIME_BUDGET, 1, MAX_SCROLL_TIME_BUDGET)
+  };
+}
+
+/**
+ * Scroll until the content ends or a limit is reached
+ * The page is reached through a driver, so the tab fetcher can use the debugger.
+ * @param {Object} driver
+ * @param {Function} driver.measure - async () => {top, scrollHeight, clientHeight, textLength} of the scrolled element
+ * @param {Function} driver.scroll - async (distance) => void, one wheel step down
+ * @param {Function} driver.wait - async (ms) => void
+ * @param {Function} driver.now - Clock in ms (default: Date.now)
+ * @param {Object} settings - normalizeInfiniteScroll() result
+ * @returns {Promise<{steps, height, textLength, elapsed, stopReason, virtualized, truncated}>} stopReason is
+ *   'plateau', 'max-height' or 'time-budget'; truncated when a limit stopped it or rows were dropped
+ */
+export async function scrollToEnd(driver, settings) {
+  const now = driver.now || Date.now;
+  const started = now();
+  let last = await driver.measure();
+  let peakTextLength = last.textLength;
+  let virtualized = false;
+  let steps = 0;
+  let idleSteps = 0;
+  let stopReason;
+
+  while (true) {
+    if (last.scrollHeight >= settings.maxHeight) {
+      stopReason = 'max-height';
+      break;
+    }
+    if (now() - started >= settings.timeBudget) {
+      stopReason = 'time-budget';
+      break;
+    }
+
+    await driver.scroll(Math.max(100, Math.round(last.clientHeight * STEP_SHARE)));
+    await driver.wait(STEP_DELAY);
+    steps++;
+
+    const current = await driver.measure();
+    // Text alone is no progress: clocks and tickers change it forever
+    const progressed = current.top !== last.top || current.scrollHeight !== last.scrollHeight;
+    idleSteps = progressed ? 0 : idleSteps + 1;
+    peakTextLength = Math.max(peakTextLength, current.textLength);
+    if (current.textLength < peakTextLength * VIRTUALIZED_TEXT_SHARE) {
+      virtualized = true;
+    }
+    last = current;
+
+    if (idleSteps >= PLATEAU_STEPS) {
+      stopReason = 'plateau';
+      break;
+    }
+  }
+
+  return {
+    steps,
+    height: last.scrollHeight,
+    textLength: last.textLength,
+    elapsed: now() - started,
+    stopReason,
+    virtualized,
+    truncated: stopReason !== 'plateau' || virtualized
+  };
+}
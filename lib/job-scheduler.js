@@ -0,0 +1,352 @@
+/**
+ * Crawl Job Scheduler
+ * Runs up to MAX_CONCURRENT_CRAWLS crawls at once and queues the rest (FIFO).
+ * Running crawls share the global tab/worker budget in crawler.js, so more jobs
+ * means fewer tabs each rather than more tabs overall.
+ *
+ * Queued requests are persisted on the job record (status 'queued' + queuedRequest)
+ * so they survive a service worker restart. New crawls that have to wait get their
+ * job record created up front, which gives callers a job ID to track straight away.
+ * Crawl authentication in a queued request is stored encrypted, like on the job.
+ */
+
+import { startCrawl, resumeCrawl, retryFailedPages, getActiveCrawl, getActiveCrawls, cancelActiveCrawl, onCrawlComplete } from './crawler.js';
+import { createJob, getJob, getJobByBaseUrl, updateJob, getAllJobs } from '../storage/db.js';
+import { canonicalizeUrl } from './utils.js';
+import { normalizeCrawlAuth, sealCrawlAuth } from './crawl-auth.js';
+import { normalizePageActions } from './page-actions.js';
+import { normalizeInfiniteScroll } from './infinite-scroll.js';
+import { normalizeScreenshotSettings } from './screenshots.js';
+import { normalizePdfSettings } from './pdf-documents.js';
+import { normalizeArchiveSettings } from './page-archives.js';
+import { normalizeApiRecordingSettings } from './api-recording.js';
+
+export const MAX_CONCURRENT_CRAWLS = 3;
+
+export const CRAWL_REQUEST_TYPES = ['start', 'update', 'resume', 'retryFailed'];
+
+// Waiting requests in arrival order: { type, jobId, baseUrls, options, queuedAt, previousStatus }
+const pending = [];
+
+// Requests handed to startCrawl/resumeCrawl that may not be in the active set yet
+const starting = new Set();
+
+let callbacks = {
+  onProgress: () => {},
+  onStartFailed: () => {}
+};
+
+let initialized = false;
+
+/**
+ * Wire the scheduler to the service worker
+ * @param {Object} options
+ * @param {Function} options.onProgress - Called with (jobId, progress) for every crawl
+ * @param {Function} options.onStartFailed - Called with (jobId, error) when a queued crawl cannot start
+ */
+export function initJobScheduler({ onProgress, onStartFailed } = {}) {
+  callbacks = {
+    onProgress: onProgress || callbacks.onProgress,
+    onStartFailed: onStartFailed || callbacks.onStartFailed
+  };
+
+  if (!initialized) {
+    initialized = true;
+    // A finished crawl frees a slot for the next queued request
+    onCrawlComplete(() => drainQueue());
+  }
+}
+
+/**
+ * Reload requests queued before the service worker restarted and start what fits
+ */
+export async function restoreQueuedCrawls() {
+  const jobs = await getAllJobs();
+  const queued = jobs
+    .filter(job => job.status === 'queued' && job.queuedRequest && !pending.some(request => request.jobId === job.id))
+    .sort((a, b) => a.queuedRequest.queuedAt - b.queuedRequest.queuedAt);
+
+  for (const job of queued) {
+    pending.push({
+      ...job.queuedRequest,
+      jobId: job.id,
+      baseUrls: job.baseUrls || [job.baseUrl]
+    });
+  }
+
+  if (queued.length > 0) {
+    console.log(`[JobScheduler] Restored ${queued.length} queued crawl(s)`);
+  }
+  drainQueue();
+}
+
+/**
+ * Number of crawls holding a concurrency slot (cancelled crawls are winding down and don't count)
+ */
+function countRunning() {
+  return getActiveCrawls().filter(crawl => !crawl.isCancelled && !isStarting(crawl.jobId)).length + starting.size;
+}
+
+function isStarting(jobId) {
+  for (const request of starting) {
+    if (request.jobId && request.jobId === jobId) return true;
+  }
+  return false;
+}
+
+/**
+ * Whether a job is running or waiting
+ * @param {string} jobId
+ * @returns {'running'|'queued'|null}
+ */
+export function getCrawlState(jobId) {
+  if (getActiveCrawl(jobId) || isStarting(jobId)) return 'running';
+  if (pending.some(request => request.jobId === jobId)) return 'queued';
+  return null;
+}
+
+/**
+ * Run a crawl now if a slot is free, otherwise queue it
+ *
+ * @param {Object} request
+ * @param {string} request.type - 'start' (new crawl), 'update' (refresh an existing job), 'resume'
+ *   or 'retryFailed' (re-crawl a finished job's failed pages)
+ * @param {string|string[]} request.baseUrl - URL(s) to crawl ('start' only)
+ * @param {string} request.jobId - Job to update, resume or retry
+ * @param {Object} request.options - Crawl options, see startCrawl()
+ * @returns {Promise<{jobId: string, status: 'started'|'queued', position?: number}>}
+ */
+export async function submitCrawl({ type = 'start', baseUrl, jobId, options = {} }) {
+  if (!CRAWL_REQUEST_TYPES.includes(type)) {
+    throw new Error(`Unknown crawl request type: ${type}`);
+  }
+
+  const request = await resolveRequest({ type, baseUrl, jobId, options });
+
+  if (request.jobId && getCrawlState(request.jobId)) {
+    throw new Error(`Job ${request.jobId} is already ${getCrawlState(request.jobId)}`);
+  }
+
+  if (pending.length === 0 && countRunning() < MAX_CONCURRENT_CRAWLS) {
+    const startedJobId = await launch(request);
+    return { jobId: startedJobId, status: 'started' };
+  }
+
+  await enqueue(request);
+  return { jobId: request.jobId, status: 'queued', position: pending.length };
+}
+
+/**
+ * Turn a request into the job it targets
+ * "Start" with updateExisting becomes an update of the job found for the URL
+ */
+async function resolveRequest({ type, baseUrl, jobId, options }) {
+  if (type === 'start') {
+    if (!baseUrl || (Array.isArray(baseUrl) && baseUrl.length === 0)) {
+      throw new Error('Base URL is required');
+    }
+    const baseUrls = Array.isArray(baseUrl) ? baseUrl : [baseUrl];
+
+    if (options.updateExisting) {
+      const existingJob = options.jobId
+        ? await getJob(options.jobId)
+        : await getJobByBaseUrl(canonicalizeUrl(baseUrls[0]));
+      if (options.jobId && !existingJob) {
+        throw new Error(`Job not found: ${options.jobId}`);
+      }
+      if (existingJob) {
+        return buildRequest('update', existingJob, options);
+      }
+      console.log('[JobScheduler] No existing job for', baseUrls[0], '- starting a new crawl');
+    }
+
+    return { type, jobId: null, baseUrls, options: crawlSettings(options) };
+  }
+
+  if (!jobId) {
+    throw new Error(`Job ID is required to ${type}`);
+  }
+  const job = await getJob(jobId);
+  if (!job) {
+    throw new Error(`Job not found: ${jobId}`);
+  }
+  if (type === 'retryFailed') {
+    // An interrupted job still has a frontier to finish - retrying would mark it complete
+    if (job.status === 'interrupted') {
+      throw new Error('Resume the interrupted job instead of retrying its failed pages');
+    }
+    if (!job.errors || job.errors.length === 0) {
+      throw new Error(`Job ${jobId} has no failed pages to retry`);
+    }
+  }
+  return buildRequest(type, job, options);
+}
+
+function buildRequest(type, job, options) {
+  return {
+    type,
+    jobId: job.id,
+    baseUrls: job.baseUrls || [job.baseUrl],
+    options: crawlSettings(options),
+    previousStatus: job.status
+  };
+}
+
+/**
+ * Options minus the ones that pick the target job (the request type and job ID carry that)
+ * Authentication and the page action, infinite scroll, screenshot, PDF, archive and API recording settings are checked here so malformed ones fail the request instead of the queued crawl
+ */
+function crawlSettings(options) {
+  const { updateExisting, jobId, ...settings } = options;
+  if (settings.auth !== undefined) {
+    settings.auth = normalizeCrawlAuth(settings.auth);
+  }
+  if (settings.pageActions !== undefined) {
+    // Kept as passed: an empty object clears the job's saved actions
+    normalizePageActions(settings.pageActions);
+  }
+  if (settings.infiniteScroll !== undefined) {
+    normalizeInfiniteScroll(settings.infiniteScroll);
+  }
+  if (settings.screenshots !== undefined) {
+    normalizeScreenshotSettings(settings.screenshots);
+  }
+  if (settings.pdfs !== undefined) {
+    normalizePdfSettings(settings.pdfs);
+  }
+  if (settings.archives !== undefined) {
+    normalizeArchiveSettings(settings.archives);
+  }
+  if (settings.apiRecording !== undefined) {
+    normalizeApiRecordingSettings(settings.apiRecording);
+  }
+  return settings;
+}
+
+/**
+ * Persist a request on its job and add it to the queue
+ */
+async function enqueue(request) {
+  if (!request.jobId) {
+    const job = await createJob(request.baseUrls, request.baseUrls.map(url => canonicalizeUrl(url)).filter(Boolean));
+    request.jobId = job.id;
+    request.previousStatus = null;
+  }
+  request.queuedAt = Date.now();
+
+  await updateJob(request.jobId, {
+    status: 'queued',
+    queuedRequest: {
+      type: request.type,
+      options: request.options.auth ? { ...request.options, auth: await sealCrawlAuth(request.options.auth) } : request.options,
+      queuedAt: request.queuedAt,
+      previousStatus: request.previousStatus
+    }
+  });
+
+  pending.push(request);
+  console.log(`[JobScheduler] Queued ${request.type} for ${request.baseUrls[0]} (position ${pending.length})`);
+}
+
+/**
+ * Hand a request to the crawler
+ * @returns {Promise<string>} Job ID
+ */
+async function launch(request) {
+  starting.add(request);
+  let jobId = request.jobId;
+  const onProgress = (progress) => callbacks.onProgress(progress.jobId || jobId, progress);
+
+  try {
+    // Taken off the queue: the job no longer needs to be restored after a restart
+    if (request.queuedAt) {
+      await updateJob(jobId, { queuedRequest: null });
+    }
+
+    if (request.type === 'resume') {
+      await resumeCrawl(jobId, onProgress, request.options);
+    } else if (request.type === 'retryFailed') {
+      await retryFailedPages(jobId, onProgress, request.options);
+    } else if (request.type === 'update') {
+      await startCrawl(request.baseUrls, onProgress, { ...request.options, updateExisting: true, jobId });
+    } else {
+      jobId = await startCrawl(request.baseUrls, onProgress, { ...request.options, queuedJobId: jobId || undefined });
+    }
+    console.log(`[JobScheduler] Started ${request.type} for ${request.baseUrls[0]}`);
+    return jobId;
+  } finally {
+    starting.delete(request);
+    // The slot may have been freed while this request was starting
+    drainQueue();
+  }
+}
+
+/**
+ * Start queued requests while slots are free
+ */
+function drainQueue() {
+  while (pending.length > 0 && countRunning() < MAX_CONCURRENT_CRAWLS) {
+    const request = pending.shift();
+    launchQueued(request);
+  }
+}
+
+async function launchQueued(request) {
+  try {
+    await launch(request);
+  } catch (error) {
+    console.error(`[JobScheduler] Queued ${request.type} for ${request.jobId} failed to start:`, error);
+    try {
+      await updateJob(request.jobId, { status: request.previousStatus || 'interrupted', queuedRequest: null });
+    } catch (updateError) {
+      console.warn('[JobScheduler] Could not restore job status:', updateError);
+    }
+    callbacks.onStartFailed(request.jobId, error);
+  }
+}
+
+/**
+ * Cancel a running crawl or drop a queued one; without a job ID, cancel everything
+ * Dropped requests put the job back in the status it had before it was queued
+ * (new crawls that never ran become 'interrupted' so they can be resumed).
+ *
+ * @param {string} [jobId]
+ * @returns {Promise<{cancelled: string[], dequeued: string[]}>} Running jobs told to stop, and queued jobs removed
+ */
+export async function cancelCrawl(jobId) {
+  const dequeued = [];
+  for (let i = pending.length - 1; i >= 0; i--) {
+    if (!jobId || pending[i].jobId === jobId) {
+      const [request] = pending.splice(i, 1);
+      dequeued.unshift(request.jobId);
+      await updateJob(request.jobId, { status: request.previousStatus || 'interrupted', queuedRequest: null });
+    }
+  }
+
+  const cancelled = getActiveCrawls()
+    .filter(crawl => !crawl.isCancelled && (!jobId || crawl.jobId === jobId))
+    .map(crawl => crawl.jobId);
+  cancelActiveCrawl(jobId);
+
+  // A cancelled crawl no longer holds a slot
+  drainQueue();
+
+  return { cancelled, dequeued };
+}
+
+/**
+ * Running and queued crawls, running first
+ * @returns {Object[]} Progress of running crawls plus { jobId, baseUrls, type, status: 'queued', position, queuedAt }
+ */
+export function getCrawlStatuses() {
+  const running = getActiveCrawls().map(crawl => crawl.getProgress());
+  const queued = pending.map((request, index) => ({
+    jobId: request.jobId,
+    baseUrls: request.baseUrls,
+    type: request.type,
+    status: 'queued',
+    position: index + 1,
+    queuedAt: request.queuedAt
+  }));
+  return [...running, ...queued];
+}
@@ -0,0 +1,121 @@
+/**
+ * Offscreen document for fast mode
+ * Parses HTML fetched by the service worker (DOMParser is not available there) and
+ * extracts it with extractPageContent() from dom-extractor.js, as in a rendered tab.
+ */
+
+// Never shown by a browser with JavaScript enabled
+const SKIPPED_TEXT_ELEMENTS = new Set([
+  'HEAD', 'SCRIPT', 'STYLE', 'NOSCRIPT', 'TEMPLATE', 'SVG', 'CANVAS', 'IFRAME', 'OBJECT', 'SELECT'
+]);
+// Elements that start a new line in innerText
+const BLOCK_ELEMENTS = new Set([
+  'ADDRESS', 'ARTICLE', 'ASIDE', 'BLOCKQUOTE', 'DD', 'DETAILS', 'DIV', 'DL', 'DT', 'FIELDSET',
+  'FIGCAPTION', 'FIGURE', 'FOOTER', 'FORM', 'HEADER', 'HR', 'LI', 'MAIN', 'NAV', 'OL', 'SECTION',
+  'SUMMARY', 'TABLE', 'TBODY', 'THEAD', 'TFOOT', 'TR', 'UL', 'PRE'
+]);
+// Elements separated by a blank line in innerText
+const PARAGRAPH_ELEMENTS = new Set(['P', 'H1', 'H2', 'H3', 'H4', 'H5', 'H6']);
+
+/**
+ * Approximate document.body.innerText for a document that is not rendered
+ * (innerText falls back to textContent without layout, losing every line break)
+ * @param {Element} root - Element to read
+ * @returns {string}
+ */
+function renderedText(root) {
+  let out = '';
+
+  const append = (str, raw = false) => {
+    out += (!raw && (out === '' || out.endsWith('\n'))) ? str.replace(/^ +/, '') : str;
+  };
+  const breakLine = (count) => {
+    // Checked from the end - regexes would rescan the whole text on every block
+    let end = out.length;
+    while (end > 0 && out[end - 1] === ' ') end--;
+    out = out.slice(0, end);
+    if (out === '') return;
+    let trailing = 0;
+    while (trailing < count && out[out.length - 1 - trailing] === '\n') trailing++;
+    if (trailing < count) out += '\n'.repeat(count - trailing);
+  };
+
+  const walk = (node, inPre) => {
+    if (node.nodeType === Node.TEXT_NODE) {
+      append(inPre ? node.nodeValue : node.nodeValue.replace(/\s+/g, ' '), inPre);
+      return;
+    }
+    if (node.nodeType !== Node.ELEMENT_NODE) return;
+
+    const name = node.nodeName.toUpperCase();
+    if (SKIPPED_TEXT_ELEMENTS.has(name) || node.hasAttribute('hidden') ||
+        /display\s*:\s*none/i.test(node.getAttribute('style') || '')) {
+      return;
+    }
+    if (name === 'BR') {
+      out += '\n';
+      return;
+    }
+
+    const lines = PARAGRAPH_ELEMENTS.has(name) ? 2 : (BLOCK_ELEMENTS.has(name) ? 1 : 0);
+    if (lines) breakLine(lines);
+    for (const child of node.childNodes) {
+      walk(child, inPre || name === 'PRE');
+    }
+    if (name === 'TD' || name === 'TH') append('\t');
+    if (lines) breakLine(lines);
+  };
+
+  walk(root, false);
+  return out.trim();
+}
+
+/**
+ * Parse fetched HTML and extract it like a rendered tab
+ * @param {Object} data
+ * @param {string} data.html - Fetched HTML
+ * @param {string} data.url - Final URL of the response
+ * @param {string[]} data.waitForSelectors - Selectors the crawl waits for in tabs
+ * @param {Object} data.profile - Extraction profile for the page, or null
+ * @returns {Object} extractPageContent() result plus missingSelectors
+ */
+function extractHtml({ html, url, waitForSelectors = [], profile = null }) {
+  const doc = new DOMParser().parseFromString(html, 'text/html');
+
+  // Relative canonical and meta URLs resolve against the page, not this document
+  if (!doc.querySelector('base[href]')) {
+    const base = doc.createElement('base');
+    base.setAttribute('href', url);
+    doc.head.prepend(base);
+  }
+
+  const missingSelectors = waitForSelectors.filter(selector => {
+    try {
+      return !doc.querySelector(selector);
+    } catch (e) {
+      return false; // an invalid selector fails in tabs too
+    }
+  });
+
+  const result = extractPageContent(doc, url, {
+    textOf: renderedText,
+    extractedVia: 'offscreen-conversion',
+    profile
+  });
+  return { ...result, missingSelectors };
+}
+
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  // Every extension page receives runtime messages - only answer the service worker's requests
+  if (message?.target !== 'offscreen') return false;
+
+  if (message.type === 'EXTRACT_HTML') {
+    try {
+      sendResponse({ success: true, result: extractHtml(message.data) });
+    } catch (error) {
+      console.error('[Offscreen] Extraction failed:', error);
+      sendResponse({ success: false, error: error.message });
+    }
+  }
+  return false;
+});
@@ -0,0 +1,298 @@
+/**
+ * Pre-extraction page actions
+ * Docs pages hide content behind <details>, accordions, "show more" buttons and tabbed code
+ * samples (npm / yarn / pnpm), so extraction only sees what is open. Page actions run in the
+ * crawl tab once the content is ready, before extraction:
+ * - expandDetails: open every <details> element
+ * - clickSelectors: click every element matching these selectors once ("Show more", accordion
+ *   headers); elements that appear after a click are clicked too
+ * - captureTabs: select each tab of every [role="tablist"] and replace the widget with all of
+ *   its panels, each under its tab's label
+ * - scroll: scroll to the bottom one screen at a time to trigger lazy loading, then back up
+ *
+ * Actions share a time budget; those that do not fit are skipped. What ran is recorded in
+ * the page's markdownMeta.pageActions.
+ */
+
+export const DEFAULT_PAGE_ACTION_BUDGET = 5000; // ms
+export const MAX_PAGE_ACTION_BUDGET = 30000;
+const FLAGS = ['expandDetails', 'captureTabs', 'scroll'];
+
+/**
+ * Check a crawl's page actions
+ * @param {Object} actions
+ * @param {boolean} actions.expandDetails - Open every <details> element
+ * @param {string[]|string} actions.clickSelectors - Elements to click, array or one selector per line
+ * @param {boolean} actions.captureTabs - Capture every panel of tab widgets
+ * @param {boolean} actions.scroll - Scroll through the page to trigger lazy loading
+ * @param {number} actions.timeBudget - Time for all actions on a page in ms (default: 5000, max: 30000)
+ * @returns {{expandDetails, clickSelectors, captureTabs, scroll, timeBudget}|null} null when no action is enabled
+ * @throws {Error} When a field has the wrong type
+ */
+export function normalizePageActions(actions) {
+  if (actions === undefined || actions === null) return null;
+  if (typeof actions !== 'object' || Array.isArray(actions)) {
+    throw new Error('pageActions must be an object');
+  }
+
+  for (const flag of FLAGS) {
+    if (actions[flag] !== undefined && typeof actions[flag] !== 'boolean') {
+      throw new Error(`pageActions.${flag} must be true or false`);
+    }
+  }
+
+  const selectors = typeof actions.clickSelectors === 'string'
+    ? actions.clickSelectors.split('\n')
+    : (actions.clickSelectors ?? []);
+  if (!Array.isArray(selectors) || selectors.some(selector => typeof selector !== 'string')) {
+    throw new Error('pageActions.clickSelectors must be a list of CSS selectors');
+  }
+  const clickSelectors = [...new Set(selectors.map(selector => selector.trim()).filter(Boolean))];
+
+  let timeBudget = DEFAULT_PAGE_ACTION_BUDGET;
+  if (actions.timeBudget !== undefined) {
+    if (typeof actions.timeBudget !== 'number' || !(actions.timeBudget > 0)) {
+      throw new Error('pageActions.timeBudget must be a positive number of milliseconds');
+    }
+    timeBudget = Math.min(MAX_PAGE_ACTION_BUDGET, Math.round(actions.timeBudget));
+  }
+
+  const normalized = {
+    expandDetails: actions.expandDetails === true,
+    clickSelectors,
+    captureTabs: actions.captureTabs === true,
+    scroll: actions.scroll === true,
+    timeBudget
+  };
+  return hasPageActions(normalized) ? normalized : null;
+}
+
+/**
+ * Whether any action is enabled
+ * @param {Object|null} actions - Normalized page actions
+ * @returns {boolean}
+ */
+function hasPageActions(actions) {
+  return !!actions && (actions.expandDetails || actions.clickSelectors.length > 0 || actions.captureTabs || actions.scroll);
+}
+
+/**
+ * Whether the actions need a live page (clicks, tabs and scrolling do nothing on fetched HTML,
+ * while closed <details> content is already in it)
+ * @param {Object|null} actions - Normalized page actions
+ * @returns {boolean}
+ */
+export function pageActionsNeedRendering(actions) {
+  return !!actions && (actions.clickSelectors.length > 0 || actions.captureTabs || actions.scroll);
+}
+
+/**
+ * Injected function: run page actions in the page context
+ * Self-contained, as chrome.scripting.executeScript serializes it.
+ * Link clicks and form submissions are blocked while the actions run, so a click cannot
+ * navigate the tab away from the page being extracted.
+ * @param {Object} actions - Normalized page actions
+ * @param {number} settleDelay - Wait after each click or scroll step in ms
+ * @returns {Promise<{ran: Array<Object>, skipped: string[], elapsed: number}>} ran has one entry per
+ *   action with its counts, and truncated: true when the budget ran out during it
+ */
+export async function runPageActionsInPage(actions, settleDelay = 150) {
+  const started = Date.now();
+  const deadline = started + actions.timeBudget;
+  const outOfTime = () => Date.now() >= deadline;
+  const pause = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+  function blockNavigation(event) {
+    if (event.type === 'submit') {
+      event.preventDefault();
+      return;
+    }
+    const link = event.target instanceof Element ? event.target.closest('a[href]') : null;
+    const href = link ? link.getAttribute('href').trim() : '';
+    if (link && !href.startsWith('#') && !href.startsWith('javascript:')) {
+      event.preventDefault();
+    }
+  }
+
+  function isHidden(element) {
+    return element.hidden || element.getAttribute('aria-hidden') === 'true' ||
+      window.getComputedStyle(element).display === 'none';
+  }
+
+  async function expandDetails() {
+    const closed = Array.from(document.querySelectorAll('details:not([open])'));
+    closed.forEach(details => { details.open = true; });
+    if (closed.length > 0) await pause(settleDelay);
+    return { opened: closed.length };
+  }
+
+  async function clickSelectors() {
+    const clicked = new Set();
+    const invalid = [];
+    let truncated = false;
+    let found = true;
+
+    // Clicks can reveal more matches ("Show more" loading another "Show more")
+    while (found && !truncated) {
+      found = false;
+      for (const selector of actions.clickSelectors) {
+        if (invalid.includes(selector)) continue;
+        let elements;
+        try {
+          elements = Array.from(document.querySelectorAll(selector));
+        } catch (e) {
+          invalid.push(selector);
+          continue;
+        }
+        for (const element of elements) {
+          if (clicked.has(element) || !element.isConnected) continue;
+          if (outOfTime()) {
+            truncated = true;
+            break;
+          }
+          clicked.add(element);
+          found = true;
+          element.click();
+          await pause(settleDelay);
+        }
+        if (truncated) break;
+      }
+    }
+
+    const result = { clicked: clicked.size };
+    if (invalid.length > 0) result.invalidSelectors = invalid;
+    if (truncated) result.truncated = true;
+    return result;
+  }
+
+  function findTabPanel(tab, tablist) {
+    const controls = tab.getAttribute('aria-controls');
+    const controlled = controls ? document.getElementById(controls) : null;
+    if (controlled) return controlled;
+
+    // Otherwise the visible panel closest to the tab list
+    for (let scope = tablist.parentElement; scope; scope = scope.parentElement) {
+      const panels = Array.from(scope.querySelectorAll('[role="tabpanel"]'));
+      if (panels.length > 0) return panels.find(panel => !isHidden(panel)) || null;
+    }
+    return null;
+  }
+
+  async function captureTabs() {
+    let widgets = 0;
+    let panelCount = 0;
+    let truncated = false;
+
+    for (const tablist of Array.from(document.querySelectorAll('[role="tablist"]'))) {
+      // Nested tab lists inside a captured widget are captured with it
+      if (!tablist.isConnected) continue;
+      const tabs = Array.from(tablist.querySelectorAll('[role="tab"]'));
+      if (tabs.length < 2) continue;
+
+      const captured = [];
+      const originals = [];
+      const selected = tabs.find(tab => tab.getAttribute('aria-selected') === 'true') || tabs[0];
+      for (const tab of tabs) {
+        if (outOfTime()) {
+          truncated = true;
+          break;
+        }
+        tab.click();
+        await pause(settleDelay);
+        const panel = findTabPanel(tab, tablist);
+        if (!panel) continue;
+        // Some widgets reuse one panel element and swap its contents
+        if (!originals.includes(panel)) originals.push(panel);
+        captured.push({ label: tab.textContent.trim(), panel: panel.cloneNode(true) });
+      }
+
+      if (truncated || captured.length < 2) {
+        selected.click();
+        if (truncated) break;
+        continue;
+      }
+
+      const container = document.createElement('div');
+      container.setAttribute('data-webscribe-tabs', '');
+      for (const { label, panel } of captured) {
+        const section = document.createElement('section');
+        section.setAttribute('data-webscribe-tab', label);
+        const heading = document.createElement('p');
+        const strong = document.createElement('strong');
+        strong.textContent = label;
+        heading.appendChild(strong);
+        panel.removeAttribute('hidden');
+        panel.removeAttribute('aria-hidden');
+        panel.style.removeProperty('display');
+        section.append(heading, panel);
+        container.appendChild(section);
+      }
+
+      const first = originals.find(panel => panel.isConnected) || tablist;
+      first.parentNode.insertBefore(container, first);
+      originals.forEach(panel => panel.remove());
+      tablist.remove();
+      widgets++;
+      panelCount += captured.length;
+    }
+
+    const result = { widgets, panels: panelCount };
+    if (truncated) result.truncated = true;
+    return result;
+  }
+
+  async function scroll() {
+    const step = window.innerHeight || 800;
+    let steps = 0;
+    let position = 0;
+    let truncated = false;
+
+    // Lazy loading grows the page while we scroll
+    while (position + step < document.documentElement.scrollHeight) {
+      if (outOfTime()) {
+        truncated = true;
+        break;
+      }
+      position += step;
+      window.scrollTo(0, position);
+      steps++;
+      await pause(settleDelay);
+    }
+    window.scrollTo(0, 0);
+
+    const result = { steps, height: document.documentElement.scrollHeight };
+    if (truncated) result.truncated = true;
+    return result;
+  }
+
+  const steps = [
+    ['expandDetails', actions.expandDetails, expandDetails],
+    ['clickSelectors', actions.clickSelectors.length > 0, clickSelectors],
+    ['captureTabs', actions.captureTabs, captureTabs],
+    ['scroll', actions.scroll, scroll]
+  ];
+
+  const ran = [];
+  const skipped = [];
+  document.addEventListener('click', blockNavigation, true);
+  document.addEventListener('submit', blockNavigation, true);
+  try {
+    for (const [action, enabled, run] of steps) {
+      if (!enabled) continue;
+      if (outOfTime()) {
+        skipped.push(action);
+        continue;
+      }
+      try {
+        ran.push({ action, ...(await run()) });
+      } catch (error) {
+        ran.push({ action, error: error.message });
+      }
+    }
+  } finally {
+    document.removeEventListener('click', blockNavigation, true);
+    document.removeEventListener('submit', blockNavigation, true);
+  }
+
+  return { ran, skipped, elapsed: Date.now() - started };
+}
@@ -0,0 +1,331 @@
+/**
+ * Archive snapshots
+ * Markdown is lossy, so archive mode also keeps a faithful single-file copy of each rendered page:
+ * an MHTML snapshot (the DOM as it was rendered, with its stylesheets, images and frames) taken
+ * through the crawl tab's debugger (Page.captureSnapshot) right after extraction. Snapshots are
+ * stored in the archives store next to the page, and summarized in markdownMeta.archive.
+ *
+ * Each snapshot is limited to maxBytes, and all the snapshots of a job to jobBudget: once the
+ * budget is used up, later pages are stored without one. For viewing in the popup,
+ * mhtmlToHtml() turns a snapshot into one HTML document with its resources inlined.
+ */
+
+import { optionalSettings, normalizeLimit } from './utils.js';
+
+export const DEFAULT_ARCHIVE_MAX_BYTES = 20 * 1024 * 1024; // 20 MB
+export const MAX_ARCHIVE_MAX_BYTES = 100 * 1024 * 1024;
+export const DEFAULT_ARCHIVE_JOB_BUDGET = 500 * 1024 * 1024; // 500 MB
+export const MAX_ARCHIVE_JOB_BUDGET = 5 * 1024 * 1024 * 1024;
+export const ARCHIVE_MIME_TYPE = 'multipart/related';
+const MIN_ARCHIVE_BYTES = 1024 * 1024;
+
+/**
+ * Check a crawl's archive snapshot settings
+ * @param {boolean|Object} settings - true for the defaults, false to turn snapshots off, or:
+ * @param {number} settings.maxBytes - Largest snapshot stored (default: 20 MB, max: 100 MB)
+ * @param {number} settings.jobBudget - Total size of the job's snapshots (default: 500 MB, max: 5 GB)
+ * @returns {{maxBytes: number, jobBudget: number}|null} null when off
+ * @throws {Error} When a setting has the wrong type
+ */
+export function normalizeArchiveSettings(settings) {
+  const options = optionalSettings(settings, 'archives');
+  if (!options) return null;
+  const jobBudget = normalizeLimit(options.jobBudget, 'archives.jobBudget', DEFAULT_ARCHIVE_JOB_BUDGET, MIN_ARCHIVE_BYTES, MAX_ARCHIVE_JOB_BUDGET);
+  const maxBytes = normalizeLimit(options.maxBytes, 'archives.maxBytes', DEFAULT_ARCHIVE_MAX_BYTES, MIN_ARCHIVE_BYTES, MAX_ARCHIVE_MAX_BYTES);
+  return { maxBytes: Math.min(maxBytes, jobBudget), jobBudget };
+}
+
+/**
+ * Size budget for the snapshots of one job
+ * Workers claim the size of a snapshot before storing it, so parallel pages cannot overrun it
+ */
+export class ArchiveBudget {
+  /**
+   * @param {number} limit - jobBudget in bytes
+   * @param {number} used - Bytes of the snapshots the job already has
+   */
+  constructor(limit, used = 0) {
+    this.limit = limit;
+    this.used = used;
+  }
+
+  /**
+   * Bytes left for new snapshots
+   * @returns {number}
+   */
+  get remaining() {
+    return Math.max(0, this.limit - this.used);
+  }
+
+  /**
+   * Reserve room for a snapshot
+   * @param {number} bytes - Snapshot size
+   * @returns {boolean} false (and nothing reserved) when it does not fit
+   */
+  claim(bytes) {
+    if (bytes > this.remaining) return false;
+    this.used += bytes;
+    return true;
+  }
+
+  /**
+   * Give back room: a claimed snapshot that was not stored, or a replaced or deleted one
+   * @param {number} bytes - Snapshot size
+   */
+  release(bytes) {
+    this.used = Math.max(0, this.used - bytes);
+  }
+}
+
+// ================ MHTML READING ================
+
+/**
+ * Split a MIME header block into lowercase names and values (folded lines joined)
+ * @param {string} block - Header lines
+ * @returns {Map<string, string>}
+ */
+function parseHeaders(block) {
+  const headers = new Map();
+  const unfolded = block.replace(/\r?\n[ \t]+/g, ' ');
+  for (const line of unfolded.split(/\r?\n/)) {
+    const colon = line.indexOf(':');
+    if (colon <= 0) continue;
+    headers.set(line.slice(0, colon).trim().toLowerCase(), line.slice(colon + 1).trim());
+  }
+  return headers;
+}
+
+/**
+ * Read a parameter of a header value, such as the boundary of a Content-Type
+ * @param {string} value - Header value
+ * @param {string} name - Parameter name
+ * @returns {string|null}
+ */
+function headerParam(value, name) {
+  const match = new RegExp(`;\\s*${name}=(?:"([^"]*)"|([^;\\s]*))`, 'i').exec(value || '');
+  return match ? (match[1] ?? match[2]) : null;
+}
+
+/**
+ * Split a message into its header block and body at the first blank line
+ * @returns {{headers: Map<string, string>, body: string}}
+ */
+function splitMessage(text) {
+  const match = /\r?\n\r?\n/.exec(text);
+  if (!match) return { headers: parseHeaders(text), body: '' };
+  return {
+    headers: parseHeaders(text.slice(0, match.index)),
+    body: text.slice(match.index + match[0].length)
+  };
+}
+
+/**
+ * Decode quoted-printable text into bytes
+ * @param {string} text
+ * @returns {Uint8Array}
+ */
+function decodeQuotedPrintable(text) {
+  const source = text.replace(/=\r?\n/g, '');
+  const bytes = new Uint8Array(source.length);
+  let length = 0;
+  for (let i = 0; i < source.length; i++) {
+    const hex = source[i] === '=' ? source.slice(i + 1, i + 3) : '';
+    if (/^[0-9A-Fa-f]{2}$/.test(hex)) {
+      bytes[length++] = parseInt(hex, 16);
+      i += 2;
+    } else {
+      bytes[length++] = source.charCodeAt(i) & 0xff;
+    }
+  }
+  return bytes.subarray(0, length);
+}
+
+/**
+ * Encode bytes as base64, in chunks so large images do not overflow the call stack
+ * @param {Uint8Array} bytes
+ * @returns {string}
+ */
+function bytesToBase64(bytes) {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+/**
+ * Decode MIME encoded words in a header (=?utf-8?Q?...?= and =?utf-8?B?...?=), as Chrome writes
+ * non-ASCII page titles in the Subject header
+ * @param {string} value - Header value
+ * @returns {string}
+ */
+function decodeEncodedWords(value) {
+  return value
+    .replace(/\?=\s+=\?/g, '?==?')
+    .replace(/=\?([^?]+)\?([QqBb])\?([^?]*)\?=/g, (word, charset, encoding, data) => {
+      try {
+        const bytes = encoding.toUpperCase() === 'B'
+          ? Uint8Array.from(atob(data), char => char.charCodeAt(0))
+          : decodeQuotedPrintable(data.replace(/_/g, ' '));
+        return new TextDecoder(charset).decode(bytes);
+      } catch (e) {
+        return word;
+      }
+    });
+}
+
+/**
+ * Split an MHTML snapshot into its parts
+ * @param {string} mhtml - Snapshot text (Chrome writes it as ASCII)
+ * @returns {{headers: Map<string, string>, parts: Array<{headers: Map<string, string>, body: string}>}}
+ * @throws {Error} When the text is not a multipart MHTML document
+ */
+function parseMhtml(mhtml) {
+  const { headers, body } = splitMessage(mhtml);
+  const boundary = headerParam(headers.get('content-type'), 'boundary');
+  if (!boundary) {
+    throw new Error('Not an MHTML snapshot (no multipart boundary)');
+  }
+
+  const parts = [];
+  const delimiter = `--${boundary}`;
+  const sections = body.split(delimiter);
+  // Before the first delimiter is the preamble; a section starting with "--" is the end
+  for (const section of sections.slice(1)) {
+    if (section.startsWith('--')) break;
+    parts.push(splitMessage(section.replace(/^\r?\n/, '')));
+  }
+  return { headers, parts };
+}
+
+/**
+ * Decode the body of a part
+ * @returns {Uint8Array}
+ */
+function decodePartBody(part) {
+  const encoding = (part.headers.get('content-transfer-encoding') || '').toLowerCase();
+  // The line breaks before the next boundary belong to the boundary
+  const body = part.body.replace(/(\r?\n)+$/, '');
+  if (encoding === 'base64') {
+    return Uint8Array.from(atob(body.replace(/\s+/g, '')), char => char.charCodeAt(0));
+  }
+  if (encoding === 'quoted-printable') {
+    return decodeQuotedPrintable(body);
+  }
+  return new TextEncoder().encode(body);
+}
+
+/**
+ * Content type of a part without its parameters
+ */
+function partMimeType(part) {
+  return (part.headers.get('content-type') || 'application/octet-stream').split(';')[0].trim().toLowerCase();
+}
+
+/**
+ * Decode a text part with its charset
+ * @returns {string}
+ */
+function decodePartText(part) {
+  const charset = headerParam(part.headers.get('content-type'), 'charset') || 'utf-8';
+  const bytes = decodePartBody(part);
+  try {
+    return new TextDecoder(charset).decode(bytes);
+  } catch (e) {
+    return new TextDecoder('utf-8').decode(bytes);
+  }
+}
+
+/**
+ * Read the details of a snapshot from its headers
+ * @param {string} mhtml - Snapshot text
+ * @returns {{title: string|null, url: string|null, date: string|null, resources: number}} resources counts
+ *   the parts besides the main document (stylesheets, images, fonts, frames)
+ * @throws {Error} When the text is not a multipart MHTML document
+ */
+export function readArchiveInfo(mhtml) {
+  const { headers, parts } = parseMhtml(mhtml);
+  const subject = headers.get('subject');
+  const date = headers.get('date') ? new Date(headers.get('date')) : null;
+  return {
+    title: subject ? decodeEncodedWords(subject) : null,
+    url: headers.get('snapshot-content-location') || parts[0]?.headers.get('content-location') || null,
+    date: date && !isNaN(date.getTime()) ? date.toISOString() : null,
+    resources: Math.max(0, parts.length - 1)
+  };
+}
+
+/**
+ * Replace the resource URLs of an HTML document or stylesheet with their inlined data URLs
+ * @param {string} text - HTML or CSS
+ * @param {string} baseUrl - URL relative references are resolved against
+ * @param {Map<string, string>} resources - Resource URL (or cid: URL) → data URL
+ * @returns {string}
+ */
+function inlineResources(text, baseUrl, resources) {
+  const lookup = (reference) => {
+    const decoded = reference.trim().replace(/&amp;/g, '&');
+    if (!decoded || decoded.startsWith('data:')) return null;
+    if (resources.has(decoded)) return resources.get(decoded);
+    try {
+      return resources.get(new URL(decoded, baseUrl).href) || null;
+    } catch (e) {
+      return null;
+    }
+  };
+
+  return text
+    .replace(/\b(src|href|poster|background)=(["'])([^"']*)\2/gi, (match, name, quote, reference) => {
+      const inlined = lookup(reference);
+      return inlined ? `${name}=${quote}${inlined}${quote}` : match;
+    })
+    .replace(/url\(\s*(["']?)([^"')]*)\1\s*\)/gi, (match, quote, reference) => {
+      const inlined = lookup(reference);
+      return inlined ? `url(${quote}${inlined}${quote})` : match;
+    });
+}
+
+/**
+ * Turn a snapshot into one HTML document that can be shown in a sandboxed frame
+ * Stylesheets, images, fonts and frames stored in the snapshot are inlined as data URLs;
+ * anything the snapshot does not hold stays a link to the live site.
+ * @param {string} mhtml - Snapshot text
+ * @returns {string} HTML of the main document
+ * @throws {Error} When the snapshot has no HTML document
+ */
+export function mhtmlToHtml(mhtml) {
+  const { headers, parts } = parseMhtml(mhtml);
+  const mainIndex = parts.findIndex(part => partMimeType(part) === 'text/html');
+  if (mainIndex === -1) {
+    throw new Error('The snapshot has no HTML document');
+  }
+  const locationOf = (part) => part.headers.get('content-location') || '';
+  const baseUrl = locationOf(parts[mainIndex]) || headers.get('snapshot-content-location') || 'about:blank';
+
+  // Stylesheets point at fonts and images, frames at anything: inline those first
+  const resources = new Map();
+  const addResource = (part, dataUrl) => {
+    const location = locationOf(part);
+    if (location) resources.set(location, dataUrl);
+    const contentId = (part.headers.get('content-id') || '').replace(/^<|>$/g, '');
+    if (contentId) resources.set(`cid:${contentId}`, dataUrl);
+  };
+  const textParts = [];
+  parts.forEach((part, index) => {
+    if (index === mainIndex) return;
+    const mimeType = partMimeType(part);
+    if (mimeType === 'text/css' || mimeType === 'text/html') {
+      textParts.push(part);
+    } else {
+      addResource(part, `data:${mimeType};base64,${bytesToBase64(decodePartBody(part))}`);
+    }
+  });
+  for (const mimeType of ['text/css', 'text/html']) {
+    for (const part of textParts.filter(textPart => partMimeType(textPart) === mimeType)) {
+      const text = inlineResources(decodePartText(part), locationOf(part) || baseUrl, resources);
+      addResource(part, `data:${mimeType};base64,${bytesToBase64(new TextEncoder().encode(text))}`);
+    }
+  }
+
+  return inlineResources(decodePartText(parts[mainIndex]), baseUrl, resources);
+}
@@ -0,0 +1,92 @@
+/**
+ * Indexing directives declared by a page
+ * Reads rel="canonical", <meta name="robots"> noindex/nofollow and rel="nofollow"
+ * links from a page's HTML, so a crawl can store pages under the URL they declare
+ * and leave out the pages and links the site asks crawlers to skip.
+ */
+
+const LINK_TAG = /<link\b[^>]*>/gi;
+const META_TAG = /<meta\b[^>]*>/gi;
+const ANCHOR_TAG = /<a\b[^>]*>/gi;
+
+/**
+ * Read an attribute from the opening tag of an element
+ * @param {string} tag - Opening tag, e.g. <a href="/x" rel="nofollow">
+ * @param {string} name - Attribute name
+ * @returns {string|null}
+ */
+function getAttribute(tag, name) {
+  const match = tag.match(new RegExp(`\\s${name}\\s*=\\s*(?:"([^"]*)"|'([^']*)'|([^\\s"'>]+))`, 'i'));
+  if (!match) return null;
+  return (match[1] ?? match[2] ?? match[3]).replace(/&amp;/g, '&').trim();
+}
+
+function getRels(tag) {
+  return (getAttribute(tag, 'rel') || '').toLowerCase().split(/\s+/);
+}
+
+function resolveUrl(href, pageUrl) {
+  if (!href) return null;
+  try {
+    const url = new URL(href, pageUrl);
+    return url.protocol === 'http:' || url.protocol === 'https:' ? url.href : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Parse the content of a robots meta tag
+ * @param {string} content - e.g. "noindex, follow" or "none"
+ * @returns {{noindex: boolean, nofollow: boolean}}
+ */
+export function parseRobotsContent(content) {
+  const values = String(content || '').toLowerCase().split(/[\s,]+/);
+  const none = values.includes('none');
+  return {
+    noindex: none || values.includes('noindex'),
+    nofollow: none || values.includes('nofollow')
+  };
+}
+
+/**
+ * Find the indexing directives of a page
+ * @param {string} html - Page HTML
+ * @param {string} pageUrl - URL the HTML was loaded from (resolves relative hrefs)
+ * @param {object} [metadata] - Metadata from the tab; its canonical URL wins over the HTML
+ * @returns {{canonical: string|null, noindex: boolean, nofollow: boolean, nofollowLinks: string[]}}
+ *   nofollowLinks are absolute URLs that are only linked with rel="nofollow"
+ */
+export function findPageDirectives(html, pageUrl, metadata = null) {
+  const directives = {
+    canonical: resolveUrl(metadata?.canonical, pageUrl),
+    noindex: false,
+    nofollow: false,
+    nofollowLinks: []
+  };
+  if (!html) return directives;
+
+  if (!directives.canonical) {
+    const canonicalTag = (html.match(LINK_TAG) || []).find(tag => getRels(tag).includes('canonical'));
+    directives.canonical = canonicalTag ? resolveUrl(getAttribute(canonicalTag, 'href'), pageUrl) : null;
+  }
+
+  for (const tag of html.match(META_TAG) || []) {
+    if ((getAttribute(tag, 'name') || '').toLowerCase() !== 'robots') continue;
+    const robots = parseRobotsContent(getAttribute(tag, 'content'));
+    directives.noindex = directives.noindex || robots.noindex;
+    directives.nofollow = directives.nofollow || robots.nofollow;
+  }
+
+  // A URL that is also linked without nofollow elsewhere on the page is still followed
+  const nofollowLinks = new Set();
+  const followedLinks = new Set();
+  for (const tag of html.match(ANCHOR_TAG) || []) {
+    const url = resolveUrl(getAttribute(tag, 'href'), pageUrl);
+    if (!url) continue;
+    (getRels(tag).includes('nofollow') ? nofollowLinks : followedLinks).add(url);
+  }
+  directives.nofollowLinks = Array.from(nofollowLinks).filter(url => !followedLinks.has(url));
+
+  return directives;
+}
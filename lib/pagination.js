@@ -0,0 +1,174 @@
+/**
+ * Pagination detection for listing and article pages
+ * Recognizes paginated URLs (?page=N, /page/N) and rel="next"/"prev" links,
+ * groups the pages into series and joins a series back into one page.
+ */
+
+export const DEFAULT_MAX_PAGINATION_PAGES = 50;
+export const MIN_MAX_PAGINATION_PAGES = 1;
+export const MAX_MAX_PAGINATION_PAGES = 500;
+
+// Query parameters holding a page number (kept in canonical URLs while pagination is followed)
+export const PAGINATION_QUERY_PARAMS = ['page', 'paged', 'pg'];
+
+const PAGE_PATH = /^(.*?)\/page\/(\d+)$/i;
+const PAGE_NUMBER = /^\d+$/;
+
+// rel attributes are space-separated lists, e.g. rel="next nofollow"
+const REL_TAG = /<(?:link|a)\b[^>]*\srel=["']?([^"'>]*)["']?[^>]*>/gi;
+const HREF_ATTR = /\bhref=["']?([^"'\s>]+)["']?/i;
+
+/**
+ * Find a URL's place in a paginated series from its URL alone
+ * @param {string} url - Canonical URL
+ * @returns {{series: string, page: number}|null} series is the URL of page 1
+ */
+export function parsePaginationUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return null;
+  }
+
+  const pathMatch = parsed.pathname.match(PAGE_PATH);
+  if (pathMatch) {
+    parsed.pathname = pathMatch[1] || '/';
+    return toPosition(parsed, pathMatch[2]);
+  }
+
+  for (const param of PAGINATION_QUERY_PARAMS) {
+    const value = parsed.searchParams.get(param);
+    if (value !== null && PAGE_NUMBER.test(value)) {
+      parsed.searchParams.delete(param);
+      return toPosition(parsed, value);
+    }
+  }
+  return null;
+}
+
+function toPosition(seriesUrl, pageNumber) {
+  const page = parseInt(pageNumber, 10);
+  if (page < 1) return null;
+  return { series: seriesUrl.toString(), page };
+}
+
+/**
+ * Read rel="next" / rel="prev" links (in <link> or <a> tags) from a page's HTML
+ * @param {string} html - Page HTML
+ * @param {string} pageUrl - URL the HTML was loaded from (resolves relative hrefs)
+ * @returns {{next: string|null, prev: string|null}} Absolute URLs
+ */
+export function findRelPaginationLinks(html, pageUrl) {
+  const result = { next: null, prev: null };
+  if (!html) return result;
+
+  REL_TAG.lastIndex = 0;
+  let match;
+  while ((match = REL_TAG.exec(html)) !== null) {
+    const rels = match[1].toLowerCase().split(/\s+/);
+    const key = rels.includes('next') ? 'next' : (rels.includes('prev') || rels.includes('previous')) ? 'prev' : null;
+    if (!key || result[key]) continue;
+
+    const href = match[0].match(HREF_ATTR);
+    if (!href) continue;
+    try {
+      result[key] = new URL(href[1].replace(/&amp;/g, '&'), pageUrl).href;
+    } catch {
+      // Invalid href, skip
+    }
+  }
+  return result;
+}
+
+/**
+ * Position of a link in a paginated series, seen from the page it was found on
+ * Numbered URLs describe themselves; rel="next"/"prev" links without a number
+ * continue the source page's series (the source is page 1 if it has none yet).
+ * @param {string} url - Canonical link URL
+ * @param {object} source - The page the link was found on
+ * @param {string} source.url - Canonical URL
+ * @param {{series: string, page: number}|null} source.position - Its own position, if known
+ * @param {string|null} source.next - Canonical rel="next" URL
+ * @param {string|null} source.prev - Canonical rel="prev" URL
+ * @returns {{series: string, page: number}|null} null if the link is not a pagination link
+ */
+export function getLinkPosition(url, source) {
+  const parsed = parsePaginationUrl(url);
+  if (parsed) return parsed;
+
+  const series = source.position?.series || source.url;
+  const page = source.position?.page || 1;
+  if (url === source.next) {
+    return { series, page: page + 1 };
+  }
+  if (url === source.prev && page > 1) {
+    return { series, page: page - 1 };
+  }
+  return null;
+}
+
+/**
+ * Group a job's stored pages into paginated series
+ * Pages are tagged with metadata.pagination when saved; the untagged page whose
+ * URL is the series URL counts as page 1.
+ * @param {object[]} pages - Page records
+ * @returns {Array<object[]>} Series with at least two pages, each sorted by page number
+ */
+export function groupPaginatedPages(pages) {
+  const byUrl = new Map(pages.map(page => [page.canonicalUrl || page.url, page]));
+  const groups = new Map(); // series → [{page, number}]
+
+  for (const page of pages) {
+    const position = page.metadata?.pagination;
+    if (!position?.series || page.status !== 'success') continue;
+    if (!groups.has(position.series)) {
+      groups.set(position.series, new Map());
+    }
+    groups.get(position.series).set(page.id, { page, number: position.page });
+  }
+
+  const result = [];
+  for (const [series, members] of groups) {
+    const first = byUrl.get(series);
+    if (first && first.status === 'success' && !members.has(first.id)) {
+      members.set(first.id, { page: first, number: 1 });
+    }
+    if (members.size < 2) continue;
+    result.push(Array.from(members.values())
+      .sort((a, b) => a.number - b.number)
+      .map(member => member.page));
+  }
+  return result;
+}
+
+/**
+ * Join the pages of a series into the content of its first page
+ * A first page that was stitched before keeps its own content in `unstitched`.
+ * @param {object[]} pages - Pages of one series, sorted by page number
+ * @returns {{content: string, markdown: string|null, unstitched: {content: string, markdown: string|null}, stitchedUrls: string[]}}
+ */
+export function stitchSeries(pages) {
+  const [first, ...rest] = pages;
+  const own = first.unstitched || { content: first.content, markdown: first.markdown || null };
+  const parts = [own, ...rest.map(page => page.unstitched || { content: page.content, markdown: page.markdown || null })];
+
+  const anyMarkdown = parts.some(part => part.markdown);
+  return {
+    content: parts.map(part => part.content).join('\n\n'),
+    markdown: anyMarkdown ? parts.map(part => part.markdown || part.content).join('\n\n') : null,
+    unstitched: own,
+    stitchedUrls: rest.map(page => page.canonicalUrl || page.url)
+  };
+}
+
+/**
+ * Clamp the page cap of a paginated series
+ * @param {number} value - Requested cap
+ * @returns {number}
+ */
+export function normalizeMaxPaginationPages(value) {
+  return Number.isInteger(value)
+    ? Math.max(MIN_MAX_PAGINATION_PAGES, Math.min(MAX_MAX_PAGINATION_PAGES, value))
+    : DEFAULT_MAX_PAGINATION_PAGES;
+}
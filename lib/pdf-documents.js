@@ -0,0 +1,240 @@
+/**
+ * PDF documents
+ * Links to .pdf files are normally skipped: a tab would only show them in the PDF viewer.
+ * With the pdfs option on, in-scope PDF links are queued like pages, downloaded with fetch()
+ * (no tab), and read with lib/pdf-extractor.js. Each one is stored as a page with
+ * contentType 'pdf': the text with a [Page N] marker before each page, markdown with the
+ * title and outline on top, and the document information as metadata.
+ */
+
+import { extractPdf, isPdfData } from './pdf-extractor.js';
+import { optionalSettings, normalizeLimit } from './utils.js';
+
+export const DEFAULT_PDF_MAX_BYTES = 25 * 1024 * 1024; // 25 MB
+export const MAX_PDF_MAX_BYTES = 100 * 1024 * 1024;
+export const DEFAULT_PDF_MAX_PAGES = 500;
+export const MAX_PDF_MAX_PAGES = 5000;
+export const PDF_FETCH_TIMEOUT = 60000; // ms, PDFs are larger than pages
+const RATE_LIMIT_STATUS = 429;
+
+/**
+ * Check a crawl's PDF settings
+ * @param {boolean|Object} settings - true for the defaults, false to skip PDFs, or:
+ * @param {number} settings.maxBytes - Larger files are not downloaded (default: 25 MB, max: 100 MB)
+ * @param {number} settings.maxPages - Text is read from this many pages at most (default: 500, max: 5000)
+ * @returns {{maxBytes: number, maxPages: number}|null} null when off
+ * @throws {Error} When a setting has the wrong type
+ */
+export function normalizePdfSettings(settings) {
+  const options = optionalSettings(settings, 'pdfs');
+  if (!options) return null;
+  return {
+    maxBytes: normalizeLimit(options.maxBytes, 'pdfs.maxBytes', DEFAULT_PDF_MAX_BYTES, 1, MAX_PDF_MAX_BYTES),
+    maxPages: normalizeLimit(options.maxPages, 'pdfs.maxPages', DEFAULT_PDF_MAX_PAGES, 1, MAX_PDF_MAX_PAGES)
+  };
+}
+
+/**
+ * Check whether a URL points to a PDF file (by its extension)
+ * @param {string} url
+ * @returns {boolean}
+ */
+export function isPdfUrl(url) {
+  try {
+    return new URL(url).pathname.toLowerCase().endsWith('.pdf');
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Name of a PDF file from its URL, used as the title when the document has none
+ */
+function fileNameOf(url) {
+  try {
+    const name = new URL(url).pathname.split('/').pop();
+    return decodeURIComponent(name) || url;
+  } catch (e) {
+    return url;
+  }
+}
+
+/**
+ * Turn an extracted PDF into the content fetchUrl() returns for a page
+ * @param {Object} pdf - extractPdf() result
+ * @param {string} url - URL of the file
+ * @param {number} bytes - Size of the file
+ * @returns {{html, text, metadata, markdown, markdownMeta, links, contentType}}
+ */
+export function formatPdfContent(pdf, url, bytes) {
+  const { info, outline, pages, pageCount } = pdf;
+  const title = info.title || fileNameOf(url);
+  const truncated = pages.length < pageCount;
+
+  const pageSections = pages.map((text, index) => `[Page ${index + 1}]\n\n${text}`.trim());
+  if (truncated) {
+    pageSections.push(`[Pages ${pages.length + 1}-${pageCount} not read]`);
+  }
+  const text = pageSections.join('\n\n');
+  const textLength = pages.reduce((total, page) => total + page.length, 0);
+
+  const markdownParts = [`# ${title}`];
+  if (outline.length > 0) {
+    const entries = outline.map(({ title: entry, level, page }) =>
+      `${'  '.repeat(level - 1)}- ${entry}${page ? ` (page ${page})` : ''}`
+    );
+    markdownParts.push(`## Contents\n\n${entries.join('\n')}`);
+  }
+  markdownParts.push(...pageSections);
+
+  return {
+    html: '',
+    text,
+    metadata: {
+      title,
+      description: info.subject || undefined,
+      author: info.author || undefined,
+      keywords: info.keywords || undefined,
+      generator: info.producer || info.creator || undefined,
+      pdf: {
+        pageCount,
+        pagesRead: pages.length,
+        bytes,
+        creator: info.creator,
+        producer: info.producer,
+        creationDate: info.creationDate,
+        modDate: info.modDate,
+        outline
+      }
+    },
+    markdown: markdownParts.join('\n\n'),
+    markdownMeta: {
+      // The text is the document's own, nothing was guessed - unless there is none (scanned pages)
+      confidence: textLength > 0 ? 1 : 0,
+      isArticle: textLength > 0,
+      title,
+      textLength,
+      source: 'pdf',
+      reason: textLength > 0 ? undefined : 'no-text',
+      truncated
+    },
+    links: [],
+    contentType: 'pdf'
+  };
+}
+
+/**
+ * Read a response body, giving up once it is larger than maxBytes
+ * @returns {Promise<Uint8Array|null>} null when too large
+ */
+async function readLimited(response, maxBytes) {
+  const reader = response.body.getReader();
+  const chunks = [];
+  let length = 0;
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    length += value.length;
+    if (length > maxBytes) {
+      await reader.cancel();
+      return null;
+    }
+    chunks.push(value);
+  }
+  const bytes = new Uint8Array(length);
+  let offset = 0;
+  for (const chunk of chunks) {
+    bytes.set(chunk, offset);
+    offset += chunk.length;
+  }
+  return bytes;
+}
+
+/**
+ * Download a PDF and extract its content
+ * @param {string} url - URL of the file
+ * @param {Object} settings - normalizePdfSettings() result
+ * @param {Object} options
+ * @param {Array<{name, value}>} options.authHeaders - Crawl authentication headers for this URL
+ * @param {string} options.credentials - fetch() credentials mode: 'omit' keeps the browser's cookies out (default: 'include')
+ * @param {number} options.timeout - Max wait for the download in ms
+ * @returns {Promise<{content: Object|null, fallbackReason: string|null}>} content has the shape of
+ *   formatPdfContent()'s result plus httpStatus; fallbackReason 'not-pdf' when the server answered
+ *   with something else (such as an HTML landing page), which is then fetched as a page;
+ *   'encrypted' for PDFs that need a password to open, which the crawl skips
+ * @throws {Error} On HTTP errors (with httpStatus, and the raw retryAfter header for 429), files over
+ *   maxBytes and PDFs that cannot be read
+ */
+export async function fetchPdfContent(url, settings, options = {}) {
+  const { authHeaders = [], credentials = 'include', timeout = PDF_FETCH_TIMEOUT } = options;
+
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), timeout);
+  let response;
+  let bytes;
+  try {
+    response = await fetch(url, {
+      signal: controller.signal,
+      credentials,
+      // fetch() would carry the auth headers to wherever a redirect leads
+      redirect: authHeaders.length > 0 ? 'manual' : 'follow',
+      headers: {
+        'Accept': 'application/pdf,*/*;q=0.8',
+        ...Object.fromEntries(authHeaders.map(({ name, value }) => [name, value]))
+      }
+    });
+
+    if (response.type === 'opaqueredirect') {
+      throw new Error('PDF download was redirected, not following it with the crawl\'s authentication headers');
+    }
+
+    if (!response.ok) {
+      const failed = new Error(`Server responded with HTTP ${response.status}`);
+      if (response.status === RATE_LIMIT_STATUS) {
+        failed.name = 'RateLimitError';
+        failed.retryAfter = response.headers.get('retry-after');
+      }
+      failed.httpStatus = response.status;
+      throw failed;
+    }
+
+    const contentType = response.headers.get('content-type') || '';
+    if (contentType.includes('html')) {
+      return { content: null, fallbackReason: 'not-pdf' };
+    }
+
+    const declaredLength = Number(response.headers.get('content-length'));
+    if (declaredLength > settings.maxBytes) {
+      throw new Error(`PDF is larger than the ${Math.round(settings.maxBytes / 1024 / 1024)} MB limit (${Math.round(declaredLength / 1024 / 1024)} MB)`);
+    }
+    bytes = await readLimited(response, settings.maxBytes);
+    if (!bytes) {
+      throw new Error(`PDF is larger than the ${Math.round(settings.maxBytes / 1024 / 1024)} MB limit`);
+    }
+  } catch (error) {
+    if (error.name === 'AbortError') {
+      throw new Error(`PDF download timed out after ${timeout}ms`);
+    }
+    throw error;
+  } finally {
+    clearTimeout(timeoutId);
+  }
+
+  if (!isPdfData(bytes)) {
+    return { content: null, fallbackReason: 'not-pdf' };
+  }
+
+  let pdf;
+  try {
+    pdf = await extractPdf(bytes, { maxPages: settings.maxPages });
+  } catch (error) {
+    // Nothing can be read without the password, which is not a failure of the download
+    if (error.name === 'EncryptedPdfError') {
+      return { content: null, fallbackReason: 'encrypted' };
+    }
+    throw error;
+  }
+  const content = formatPdfContent(pdf, response.url || url, bytes.length);
+  content.httpStatus = response.status;
+  return { content, fallbackReason: null };
+}
@@ -0,0 +1,1087 @@
+/**
+ * PDF text extractor
+ * A small reader for the text of PDF documents, enough to index the whitepapers and manuals
+ * documentation sites link to. It has no dependencies and reads:
+ * - the document's objects, including those packed into object streams (PDF 1.5+)
+ * - the text each page shows, decoded through the fonts' ToUnicode maps or their simple
+ *   encodings, with line breaks and spaces placed from the text positions
+ * - the outline (bookmarks) and the page each entry points to
+ * - the document information dictionary (title, author, dates...)
+ *
+ * It does not render: text drawn as images (scanned documents) and fonts without a usable
+ * encoding yield no text. Encrypted documents are read when they open without a password
+ * (see pdf-security.js) and rejected otherwise. Streams are inflated with
+ * DecompressionStream, which the service worker and Node both have.
+ */
+
+import { createSecurityHandler } from './pdf-security.js';
+
+const MAX_OUTLINE_ITEMS = 2000;
+const MAX_NESTING = 32; // page tree, outline and form XObject depth, against cyclic documents
+const TJ_SPACE = -200; // TJ adjustments (thousandths of an em) moving right at least this much separate words
+const SPACE_GAP = 0.15; // of the font size: a gap this wide between shown strings is a space
+const LINE_SHIFT = 0.5; // of the font size: a vertical move this large starts a new line
+const PARAGRAPH_SHIFT = 1.8; // ...and this large a new paragraph
+
+// Bytes 0x80-0x9F of WinAnsiEncoding (the rest matches Latin-1)
+const WIN_ANSI_HIGH = '€\u0081‚ƒ„…†‡ˆ‰Š‹Œ\u008DŽ\u008F\u0090‘’“”•–—˜™š›œ\u009DžŸ';
+// Bytes 0x80-0xA0 of PDFDocEncoding, used by text strings without a byte order mark
+const PDF_DOC_HIGH = '•†‡…—–ƒ⁄‹›−‰„“”‘’‚™ﬁﬂŁŒŠŸŽıłœšž\u009F€';
+
+// Glyph names used in /Differences that are not single characters or uniXXXX names
+const GLYPH_NAMES = {
+  space: ' ', exclam: '!', quotedbl: '"', numbersign: '#', dollar: '$', percent: '%', ampersand: '&',
+  quotesingle: "'", quoteright: '’', quoteleft: '‘', parenleft: '(', parenright: ')', asterisk: '*',
+  plus: '+', comma: ',', hyphen: '-', period: '.', slash: '/', colon: ':', semicolon: ';', less: '<',
+  equal: '=', greater: '>', question: '?', at: '@', bracketleft: '[', backslash: '\\', bracketright: ']',
+  asciicircum: '^', underscore: '_', grave: '`', braceleft: '{', bar: '|', braceright: '}', asciitilde: '~',
+  zero: '0', one: '1', two: '2', three: '3', four: '4', five: '5', six: '6', seven: '7', eight: '8', nine: '9',
+  bullet: '•', endash: '–', emdash: '—', ellipsis: '…', quotedblleft: '“', quotedblright: '”',
+  quotesinglbase: '‚', quotedblbase: '„', dagger: '†', daggerdbl: '‡', trademark: '™', copyright: '©',
+  registered: '®', degree: '°', section: '§', paragraph: '¶', minus: '−', multiply: '×', divide: '÷',
+  fi: 'fi', fl: 'fl', ff: 'ff', ffi: 'ffi', ffl: 'ffl', nbspace: ' ', periodcentered: '·',
+  guillemotleft: '«', guillemotright: '»', Euro: '€', sterling: '£', yen: '¥', cent: '¢'
+};
+
+class Ref {
+  constructor(num, gen) {
+    this.num = num;
+    this.gen = gen;
+  }
+}
+
+// A PDF string: its bytes as a Latin-1 string (names are plain JS strings)
+class PdfString {
+  constructor(bytes) {
+    this.bytes = bytes;
+  }
+}
+
+// A bare keyword: an operator in content streams
+class Keyword {
+  constructor(word) {
+    this.word = word;
+  }
+}
+
+// A stream object: its dictionary and where its data is in the file
+class Stream {
+  constructor(dict, start, end, source) {
+    this.dict = dict;
+    this.start = start;
+    this.end = end;
+    this.source = source; // Uint8Array the offsets point into
+    this.objectId = null; // {num, gen} of encrypted streams, which decrypt with it
+  }
+}
+
+const DELIMITERS = '()<>[]{}/%';
+
+function isWhitespace(code) {
+  return code === 0x20 || code === 0x0A || code === 0x0D || code === 0x09 || code === 0x0C || code === 0x00;
+}
+
+function isRegular(char) {
+  return char !== undefined && !isWhitespace(char.charCodeAt(0)) && !DELIMITERS.includes(char);
+}
+
+/**
+ * Turn bytes into a Latin-1 string, one character per byte
+ * @param {Uint8Array} bytes
+ * @returns {string}
+ */
+function bytesToLatin1(bytes) {
+  let text = '';
+  for (let i = 0; i < bytes.length; i += 8192) {
+    text += String.fromCharCode.apply(null, bytes.subarray(i, i + 8192));
+  }
+  return text;
+}
+
+function latin1ToBytes(text) {
+  const bytes = new Uint8Array(text.length);
+  for (let i = 0; i < text.length; i++) bytes[i] = text.charCodeAt(i);
+  return bytes;
+}
+
+/**
+ * Reads PDF objects from the Latin-1 text of a file or a decoded stream
+ */
+class Parser {
+  constructor(text, pos = 0) {
+    this.text = text;
+    this.pos = pos;
+  }
+
+  skipWhitespace() {
+    const { text } = this;
+    while (this.pos < text.length) {
+      const code = text.charCodeAt(this.pos);
+      if (isWhitespace(code)) {
+        this.pos++;
+      } else if (code === 0x25) { // % comment
+        while (this.pos < text.length && text[this.pos] !== '\n' && text[this.pos] !== '\r') this.pos++;
+      } else {
+        break;
+      }
+    }
+  }
+
+  /**
+   * Read the next object, or a Keyword for anything that is not one
+   * @returns {*} undefined at the end of the text
+   */
+  read() {
+    this.skipWhitespace();
+    const { text } = this;
+    if (this.pos >= text.length) return undefined;
+    const char = text[this.pos];
+
+    if (char === '/') return this.readName();
+    if (char === '(') return this.readLiteralString();
+    if (char === '[') {
+      this.pos++;
+      return this.readArray();
+    }
+    if (char === '<') {
+      if (text[this.pos + 1] === '<') {
+        this.pos += 2;
+        return this.readDictionary();
+      }
+      return this.readHexString();
+    }
+    if (char === ']' || char === '>' || char === ')' || char === '{' || char === '}') {
+      this.pos += char === '>' && text[this.pos + 1] === '>' ? 2 : 1;
+      return new Keyword(char === '>' ? '>>' : char);
+    }
+
+    const start = this.pos;
+    while (this.pos < text.length && isRegular(text[this.pos])) this.pos++;
+    const word = text.slice(start, this.pos);
+    if (/^[+-]?(\d+\.?\d*|\.\d+)$/.test(word)) return this.readNumberOrRef(Number(word), word);
+    if (word === 'true') return true;
+    if (word === 'false') return false;
+    if (word === 'null') return null;
+    return new Keyword(word);
+  }
+
+  readNumberOrRef(number, word) {
+    if (!/^\d+$/.test(word)) return number;
+    // "12 0 R" is a reference - look ahead without consuming anything else
+    const saved = this.pos;
+    const gen = /^\s+(\d+)\s+R(?![^\s()<>[\]{}/%])/.exec(this.text.slice(this.pos, this.pos + 32));
+    if (gen) {
+      this.pos = saved + gen[0].length;
+      return new Ref(number, Number(gen[1]));
+    }
+    return number;
+  }
+
+  readName() {
+    const start = ++this.pos;
+    while (this.pos < this.text.length && isRegular(this.text[this.pos])) this.pos++;
+    return this.text.slice(start, this.pos).replace(/#([0-9a-fA-F]{2})/g, (_, hex) => String.fromCharCode(parseInt(hex, 16)));
+  }
+
+  readLiteralString() {
+    const { text } = this;
+    const escapes = { n: '\n', r: '\r', t: '\t', b: '\b', f: '\f' };
+    let depth = 1;
+    let bytes = '';
+    this.pos++;
+    while (this.pos < text.length) {
+      const char = text[this.pos++];
+      if (char === '\\') {
+        const next = text[this.pos++];
+        if (next in escapes) {
+          bytes += escapes[next];
+        } else if (next >= '0' && next <= '7') {
+          let octal = next;
+          while (octal.length < 3 && text[this.pos] >= '0' && text[this.pos] <= '7') octal += text[this.pos++];
+          bytes += String.fromCharCode(parseInt(octal, 8) & 0xFF);
+        } else if (next === '\r') {
+          if (text[this.pos] === '\n') this.pos++; // line continuation
+        } else if (next !== '\n' && next !== undefined) {
+          bytes += next;
+        }
+      } else if (char === '(') {
+        depth++;
+        bytes += char;
+      } else if (char === ')') {
+        if (--depth === 0) break;
+        bytes += char;
+      } else {
+        bytes += char;
+      }
+    }
+    return new PdfString(bytes);
+  }
+
+  readHexString() {
+    const end = this.text.indexOf('>', this.pos);
+    const stop = end === -1 ? this.text.length : end;
+    let hex = this.text.slice(this.pos + 1, stop).replace(/[^0-9a-fA-F]/g, '');
+    this.pos = stop + 1;
+    if (hex.length % 2) hex += '0';
+    let bytes = '';
+    for (let i = 0; i < hex.length; i += 2) {
+      bytes += String.fromCharCode(parseInt(hex.slice(i, i + 2), 16));
+    }
+    return new PdfString(bytes);
+  }
+
+  readArray() {
+    const items = [];
+    while (true) {
+      const item = this.read();
+      if (item === undefined || (item instanceof Keyword && item.word === ']')) return items;
+      items.push(item);
+    }
+  }
+
+  readDictionary() {
+    const dict = {};
+    while (true) {
+      const key = this.read();
+      if (key === undefined || (key instanceof Keyword && key.word === '>>')) return dict;
+      if (typeof key !== 'string') continue; // malformed entry
+      dict[key] = this.read();
+    }
+  }
+}
+
+/**
+ * Inflate FlateDecode data, keeping what was decoded when the data is damaged or has trailing bytes
+ * @param {Uint8Array} data
+ * @returns {Promise<Uint8Array>}
+ */
+async function inflate(data) {
+  const reader = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate')).getReader();
+  const chunks = [];
+  let length = 0;
+  try {
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      chunks.push(value);
+      length += value.length;
+    }
+  } catch (error) {
+    if (length === 0) throw error;
+  }
+  const output = new Uint8Array(length);
+  let offset = 0;
+  for (const chunk of chunks) {
+    output.set(chunk, offset);
+    offset += chunk.length;
+  }
+  return output;
+}
+
+function decodeAsciiHex(data) {
+  const hex = bytesToLatin1(data).split('>')[0].replace(/[^0-9a-fA-F]/g, '');
+  const output = new Uint8Array(Math.ceil(hex.length / 2));
+  for (let i = 0; i < output.length; i++) {
+    output[i] = parseInt(hex.slice(i * 2, i * 2 + 2).padEnd(2, '0'), 16);
+  }
+  return output;
+}
+
+function decodeAscii85(data) {
+  const text = bytesToLatin1(data).split('~>')[0].replace(/^\s*<~/, '').replace(/\s/g, '');
+  const output = [];
+  let group = [];
+  for (const char of text) {
+    if (char === 'z' && group.length === 0) {
+      output.push(0, 0, 0, 0);
+      continue;
+    }
+    group.push(char.charCodeAt(0) - 33);
+    if (group.length === 5) {
+      const value = group.reduce((sum, digit) => sum * 85 + digit, 0);
+      output.push(value >>> 24, (value >>> 16) & 0xFF, (value >>> 8) & 0xFF, value & 0xFF);
+      group = [];
+    }
+  }
+  if (group.length > 1) {
+    const padded = group.length;
+    while (group.length < 5) group.push(84);
+    const value = group.reduce((sum, digit) => sum * 85 + digit, 0);
+    output.push(...[value >>> 24, (value >>> 16) & 0xFF, (value >>> 8) & 0xFF, value & 0xFF].slice(0, padded - 1));
+  }
+  return Uint8Array.from(output);
+}
+
+/**
+ * Decode text strings (outline titles, document information)
+ * @param {PdfString|string} value
+ * @returns {string}
+ */
+function decodeTextString(value) {
+  if (!(value instanceof PdfString)) return typeof value === 'string' ? value : '';
+  const { bytes } = value;
+  let text;
+  if (bytes.startsWith('\xFE\xFF')) {
+    text = decodeUtf16(bytes.slice(2));
+  } else if (bytes.startsWith('\xEF\xBB\xBF')) {
+    text = new TextDecoder().decode(Uint8Array.from(bytes.slice(3), char => char.charCodeAt(0)));
+  } else {
+    text = Array.from(bytes, char => {
+      const code = char.charCodeAt(0);
+      return code >= 0x80 && code <= 0xA0 ? PDF_DOC_HIGH[code - 0x80] : char;
+    }).join('');
+  }
+  return text.replace(/\0/g, '').trim();
+}
+
+function decodeUtf16(bytes) {
+  let text = '';
+  for (let i = 0; i + 1 < bytes.length; i += 2) {
+    text += String.fromCharCode((bytes.charCodeAt(i) << 8) | bytes.charCodeAt(i + 1));
+  }
+  return text;
+}
+
+/**
+ * Turn a PDF date (D:YYYYMMDDHHmmSSOHH'mm) into an ISO string
+ * @param {string} date
+ * @returns {string|null}
+ */
+function parsePdfDate(date) {
+  const match = /^(?:D:)?(\d{4})(\d{2})?(\d{2})?(\d{2})?(\d{2})?(\d{2})?([Zz+-])?(\d{2})?'?(\d{2})?/.exec(date || '');
+  if (!match) return null;
+  const [, year, month = '01', day = '01', hour = '00', minute = '00', second = '00', zone, zoneHours = '00', zoneMinutes = '00'] = match;
+  const offset = !zone || zone.toUpperCase() === 'Z' ? 'Z' : `${zone}${zoneHours}:${zoneMinutes}`;
+  const parsed = new Date(`${year}-${month}-${day}T${hour}:${minute}:${second}${offset}`);
+  return isNaN(parsed.getTime()) ? null : parsed.toISOString();
+}
+
+/**
+ * A loaded PDF file: its objects by number, the catalog and the trailer entries
+ */
+class PdfDocument {
+  constructor(bytes) {
+    this.bytes = bytes;
+    this.text = bytesToLatin1(bytes);
+    this.objects = new Map(); // number -> {value, position, gen}
+    this.decoded = new Map(); // Stream -> Promise<Uint8Array|null>
+    this.security = null; // Decrypts strings and streams of encrypted files
+  }
+
+  resolve(value, depth = 0) {
+    while (value instanceof Ref && depth++ < MAX_NESTING) {
+      value = this.objects.get(value.num)?.value ?? null;
+    }
+    return value instanceof Ref ? null : value;
+  }
+
+  define(num, value, position, gen = 0) {
+    const existing = this.objects.get(num);
+    // Incremental updates append newer versions of objects, so the last one in the file wins
+    if (!existing || existing.position <= position) {
+      this.objects.set(num, { value, position, gen });
+    }
+  }
+
+  /**
+   * Find every "N G obj" in the file, skipping over stream data
+   */
+  scanObjects() {
+    const header = /(\d+)\s+(\d+)\s+obj\b/g;
+    let match;
+    while ((match = header.exec(this.text))) {
+      const parser = new Parser(this.text, header.lastIndex);
+      let value = parser.read();
+      parser.skipWhitespace();
+      if (value?.constructor === Object && this.text.startsWith('stream', parser.pos)) {
+        let start = parser.pos + 'stream'.length;
+        if (this.text[start] === '\r') start++;
+        if (this.text[start] === '\n') start++;
+        const end = this.findStreamEnd(value, start);
+        value = new Stream(value, start, end, this.bytes);
+        header.lastIndex = end;
+      }
+      this.define(Number(match[1]), value, match.index, Number(match[2]));
+    }
+  }
+
+  findStreamEnd(dict, start) {
+    const length = dict.Length;
+    if (typeof length === 'number' && length >= 0) {
+      const after = new Parser(this.text, start + length);
+      after.skipWhitespace();
+      if (this.text.startsWith('endstream', after.pos)) return start + length;
+    }
+    const endstream = this.text.indexOf('endstream', start);
+    if (endstream === -1) return this.text.length;
+    let end = endstream;
+    if (this.text[end - 1] === '\n') end--;
+    if (this.text[end - 1] === '\r') end--;
+    return end;
+  }
+
+  /**
+   * Add the objects packed into object streams
+   */
+  async expandObjectStreams() {
+    const containers = [...this.objects.entries()]
+      .filter(([, { value }]) => value instanceof Stream && value.dict.Type === 'ObjStm');
+
+    for (const [, { value: stream, position }] of containers) {
+      const data = await this.decodeStream(stream);
+      if (!data) continue;
+      const text = bytesToLatin1(data);
+      const count = this.resolve(stream.dict.N) || 0;
+      const first = this.resolve(stream.dict.First) || 0;
+      const index = new Parser(text);
+      for (let i = 0; i < count; i++) {
+        const num = index.read();
+        const offset = index.read();
+        if (typeof num !== 'number' || typeof offset !== 'number') break;
+        this.define(num, new Parser(text, first + offset).read(), position);
+      }
+    }
+  }
+
+  /**
+   * The trailer entries (/Root, /Info, /Encrypt, /ID) from trailer dictionaries and cross-reference streams
+   */
+  readTrailer() {
+    const trailers = [];
+    const keyword = /trailer\s*<</g;
+    let match;
+    while ((match = keyword.exec(this.text))) {
+      trailers.push({ position: match.index, dict: new Parser(this.text, keyword.lastIndex - 2).read() });
+    }
+    for (const { value, position } of this.objects.values()) {
+      if (value instanceof Stream && value.dict.Type === 'XRef') {
+        trailers.push({ position, dict: value.dict });
+      }
+    }
+    trailers.sort((a, b) => a.position - b.position);
+
+    const trailer = {};
+    for (const { dict } of trailers) {
+      for (const key of ['Root', 'Info', 'Encrypt', 'ID']) {
+        if (dict && dict[key] !== undefined) trailer[key] = dict[key];
+      }
+    }
+    return trailer;
+  }
+
+  /**
+   * Decrypt the strings of every object and mark the streams to decrypt when decoded
+   * Runs before object streams are expanded: the objects packed into them are decrypted with the stream
+   * @throws {Error} EncryptedPdfError when the file needs a password
+   */
+  async decryptObjects(trailer) {
+    const encrypt = this.resolve(trailer.Encrypt) || {};
+    const bytesOf = (value) => value instanceof PdfString ? latin1ToBytes(value.bytes) : new Uint8Array(0);
+    const cryptFilters = {};
+    for (const [name, filter] of Object.entries(this.resolve(encrypt.CF) || {})) {
+      cryptFilters[name] = this.resolve(this.resolve(filter)?.CFM) || 'None';
+    }
+    const fileId = this.resolve(trailer.ID);
+
+    this.security = await createSecurityHandler({
+      filter: this.resolve(encrypt.Filter),
+      version: this.resolve(encrypt.V) || 0,
+      revision: this.resolve(encrypt.R),
+      length: this.resolve(encrypt.Length),
+      owner: bytesOf(this.resolve(encrypt.O)),
+      user: bytesOf(this.resolve(encrypt.U)),
+      userEncrypted: bytesOf(this.resolve(encrypt.UE)),
+      permissions: this.resolve(encrypt.P) || 0,
+      encryptMetadata: this.resolve(encrypt.EncryptMetadata) !== false,
+      cryptFilters,
+      streamFilter: this.resolve(encrypt.StmF),
+      stringFilter: this.resolve(encrypt.StrF)
+    }, bytesOf(Array.isArray(fileId) ? this.resolve(fileId[0]) : null));
+
+    for (const [num, entry] of this.objects) {
+      // The encryption dictionary and cross-reference streams are never encrypted
+      if (entry.value === encrypt) continue;
+      if (entry.value instanceof Stream) {
+        if (entry.value.dict.Type === 'XRef') continue;
+        entry.value.objectId = { num, gen: entry.gen };
+        await this.decryptStrings(entry.value.dict, num, entry.gen);
+      } else {
+        entry.value = await this.decryptStrings(entry.value, num, entry.gen);
+      }
+    }
+  }
+
+  async decryptStrings(value, num, gen) {
+    if (value instanceof PdfString) {
+      return new PdfString(bytesToLatin1(await this.security.decrypt(latin1ToBytes(value.bytes), num, gen, 'string')));
+    }
+    if (Array.isArray(value)) {
+      for (let i = 0; i < value.length; i++) value[i] = await this.decryptStrings(value[i], num, gen);
+    } else if (value?.constructor === Object) {
+      for (const key of Object.keys(value)) value[key] = await this.decryptStrings(value[key], num, gen);
+    }
+    return value;
+  }
+
+  findCatalog(trailer) {
+    const root = this.resolve(trailer.Root);
+    if (root && root.Pages) return root;
+    // Damaged files: fall back to the last catalog in the file
+    let catalog = null;
+    for (const { value } of this.objects.values()) {
+      if (value && value.Type === 'Catalog' && value.Pages) catalog = value;
+    }
+    return catalog;
+  }
+
+  /**
+   * Decode a stream's data through its filters
+   * @returns {Promise<Uint8Array|null>} null for filters that do not hold text (images) or damaged data
+   */
+  decodeStream(stream) {
+    if (!this.decoded.has(stream)) {
+      this.decoded.set(stream, this.applyFilters(stream).catch(error => {
+        console.warn('[PdfExtractor] Could not decode a stream:', error.message);
+        return null;
+      }));
+    }
+    return this.decoded.get(stream);
+  }
+
+  async applyFilters(stream) {
+    const length = this.resolve(stream.dict.Length);
+    let end = stream.end;
+    // Lengths stored in another object are only known now
+    if (typeof length === 'number' && stream.start + length <= stream.source.length && stream.start + length < end) {
+      end = stream.start + length;
+    }
+    let data = stream.source.subarray(stream.start, end);
+    if (this.security && stream.objectId) {
+      data = await this.security.decrypt(data, stream.objectId.num, stream.objectId.gen, 'stream');
+    }
+    const filter = this.resolve(stream.dict.Filter);
+    const filters = Array.isArray(filter) ? filter.map(item => this.resolve(item)) : filter ? [filter] : [];
+
+    for (const name of filters) {
+      if (name === 'FlateDecode' || name === 'Fl') {
+        data = await inflate(data);
+      } else if (name === 'ASCIIHexDecode' || name === 'AHx') {
+        data = decodeAsciiHex(data);
+      } else if (name === 'ASCII85Decode' || name === 'A85') {
+        data = decodeAscii85(data);
+      } else {
+        return null;
+      }
+    }
+    return data;
+  }
+}
+
+/**
+ * Collect the pages in reading order, with the resources each inherits
+ * @returns {Array<{ref: Ref|null, dict: Object, resources: Object}>}
+ */
+function collectPages(doc, node, inheritedResources = null, depth = 0, seen = new Set(), pages = []) {
+  const dict = doc.resolve(node);
+  if (!dict || typeof dict !== 'object' || seen.has(dict) || depth > MAX_NESTING) return pages;
+  seen.add(dict);
+  const resources = doc.resolve(dict.Resources) || inheritedResources;
+
+  const kids = doc.resolve(dict.Kids);
+  if (Array.isArray(kids) && dict.Type !== 'Page') {
+    for (const kid of kids) {
+      collectPages(doc, kid, resources, depth + 1, seen, pages);
+    }
+  } else {
+    pages.push({ ref: node instanceof Ref ? node : null, dict, resources });
+  }
+  return pages;
+}
+
+/**
+ * Parse a ToUnicode CMap
+ * @param {string} text - Decoded CMap
+ * @returns {{map: Map<number, string>, codeLengths: number[]}} codeLengths from the codespace ranges, shortest first
+ */
+function parseToUnicode(text) {
+  const map = new Map();
+  const lengths = new Set();
+  const parser = new Parser(text);
+  const pending = [];
+
+  while (true) {
+    const token = parser.read();
+    if (token === undefined) break;
+    if (!(token instanceof Keyword)) {
+      pending.push(token);
+      continue;
+    }
+    if (token.word === 'endcodespacerange') {
+      for (let i = 0; i + 1 < pending.length; i += 2) {
+        if (pending[i] instanceof PdfString) lengths.add(pending[i].bytes.length);
+      }
+    } else if (token.word === 'endbfchar') {
+      for (let i = 0; i + 1 < pending.length; i += 2) {
+        if (pending[i] instanceof PdfString && pending[i + 1] instanceof PdfString) {
+          map.set(codeOf(pending[i].bytes), decodeUtf16(pending[i + 1].bytes));
+          lengths.add(pending[i].bytes.length);
+        }
+      }
+    } else if (token.word === 'endbfrange') {
+      for (let i = 0; i + 2 < pending.length; i += 3) {
+        const [low, high, target] = pending.slice(i, i + 3);
+        if (!(low instanceof PdfString) || !(high instanceof PdfString)) continue;
+        const first = codeOf(low.bytes);
+        const last = Math.min(codeOf(high.bytes), first + 0xFFFF);
+        lengths.add(low.bytes.length);
+        for (let code = first; code <= last; code++) {
+          if (Array.isArray(target)) {
+            const item = target[code - first];
+            if (item instanceof PdfString) map.set(code, decodeUtf16(item.bytes));
+          } else if (target instanceof PdfString) {
+            // The last UTF-16 unit counts up through the range
+            const base = decodeUtf16(target.bytes);
+            map.set(code, base.slice(0, -1) + String.fromCharCode(base.charCodeAt(base.length - 1) + code - first));
+          }
+        }
+      }
+    }
+    pending.length = 0;
+  }
+  return { map, codeLengths: [...lengths].sort((a, b) => a - b) };
+}
+
+function codeOf(bytes) {
+  let code = 0;
+  for (let i = 0; i < bytes.length; i++) code = code * 256 + bytes.charCodeAt(i);
+  return code;
+}
+
+function glyphNameToText(name) {
+  if (name in GLYPH_NAMES) return GLYPH_NAMES[name];
+  if (name.length === 1) return name;
+  const unicode = /^uni([0-9A-Fa-f]{4})/.exec(name) || /^u([0-9A-Fa-f]{4,6})$/.exec(name);
+  if (unicode) return String.fromCodePoint(parseInt(unicode[1], 16));
+  return null;
+}
+
+function winAnsiChar(code) {
+  if (code >= 0x80 && code <= 0x9F) return WIN_ANSI_HIGH[code - 0x80];
+  return code < 0x20 ? '' : String.fromCharCode(code);
+}
+
+/**
+ * Load what is needed to read a font's text: how its codes map to Unicode, and their widths
+ * @returns {Promise<{codeLengths, toText: Function, width: Function}>}
+ */
+async function loadFont(doc, fontDict) {
+  const font = doc.resolve(fontDict) || {};
+  const composite = font.Subtype === 'Type0';
+  let toUnicode = null;
+  const cmap = doc.resolve(font.ToUnicode);
+  if (cmap instanceof Stream) {
+    const data = await doc.decodeStream(cmap);
+    if (data) toUnicode = parseToUnicode(bytesToLatin1(data));
+  }
+
+  // Simple fonts: a base encoding plus /Differences by glyph name
+  const differences = new Map();
+  const encoding = doc.resolve(font.Encoding);
+  const diffs = encoding && typeof encoding === 'object' ? doc.resolve(encoding.Differences) : null;
+  if (Array.isArray(diffs)) {
+    let code = 0;
+    for (const item of diffs) {
+      if (typeof item === 'number') {
+        code = item;
+      } else if (typeof item === 'string') {
+        const text = glyphNameToText(item);
+        if (text !== null) differences.set(code, text);
+        code++;
+      }
+    }
+  }
+
+  const width = loadWidths(doc, font, composite);
+  const codeLengths = toUnicode?.codeLengths.length ? toUnicode.codeLengths : [composite ? 2 : 1];
+
+  return {
+    codeLengths,
+    width,
+    toText(code) {
+      const mapped = toUnicode?.map.get(code);
+      if (mapped !== undefined) return mapped;
+      // Composite fonts without a ToUnicode map only have glyph IDs - nothing to read
+      if (composite) return '';
+      if (differences.has(code)) return differences.get(code);
+      return winAnsiChar(code);
+    }
+  };
+}
+
+/**
+ * Glyph widths of a font, in text space units per unit of font size
+ * @returns {Function} (code) => width
+ */
+function loadWidths(doc, font, composite) {
+  if (composite) {
+    const descendant = doc.resolve(doc.resolve(font.DescendantFonts)?.[0]) || {};
+    const defaultWidth = doc.resolve(descendant.DW) ?? 1000;
+    const widths = new Map();
+    const list = doc.resolve(descendant.W);
+    if (Array.isArray(list)) {
+      for (let i = 0; i < list.length;) {
+        const first = doc.resolve(list[i]);
+        const next = doc.resolve(list[i + 1]);
+        if (Array.isArray(next)) {
+          next.forEach((w, offset) => widths.set(first + offset, doc.resolve(w)));
+          i += 2;
+        } else {
+          const last = next;
+          const w = doc.resolve(list[i + 2]);
+          for (let code = first; code <= last && code - first < 0xFFFF; code++) widths.set(code, w);
+          i += 3;
+        }
+      }
+    }
+    return code => (widths.get(code) ?? defaultWidth) / 1000;
+  }
+
+  const firstChar = doc.resolve(font.FirstChar) ?? 0;
+  const widths = doc.resolve(font.Widths);
+  const missing = doc.resolve(doc.resolve(font.FontDescriptor)?.MissingWidth) || 500;
+  // Type 3 glyphs are measured in their own glyph space
+  const scale = font.Subtype === 'Type3' ? (doc.resolve(font.FontMatrix)?.[0] ?? 0.001) : 0.001;
+  return code => {
+    const w = Array.isArray(widths) ? doc.resolve(widths[code - firstChar]) : undefined;
+    return (typeof w === 'number' && w > 0 ? w : missing) * scale;
+  };
+}
+
+/**
+ * Split a shown string into character codes
+ */
+function* codesOf(bytes, codeLengths) {
+  for (let i = 0; i < bytes.length;) {
+    // Fonts nearly always use one code length; the shortest is taken when a CMap declares several
+    const length = codeLengths.find(candidate => i + candidate <= bytes.length) || 1;
+    yield codeOf(bytes.slice(i, i + length));
+    i += length;
+  }
+}
+
+/**
+ * Read the text a page shows
+ * @returns {Promise<string>}
+ */
+async function extractPageText(doc, page) {
+  const output = { lines: [''], lastEnd: null };
+  await runContent(doc, await contentOf(doc, page.dict.Contents), page.resources, output, new Map(), 0);
+  return output.lines.map(line => line.replace(/\s+$/, '')).join('\n').replace(/\n{3,}/g, '\n\n').trim();
+}
+
+async function contentOf(doc, contents) {
+  const streams = doc.resolve(contents);
+  const parts = Array.isArray(streams) ? streams.map(item => doc.resolve(item)) : [streams];
+  let text = '';
+  for (const stream of parts) {
+    if (!(stream instanceof Stream)) continue;
+    const data = await doc.decodeStream(stream);
+    if (data) text += bytesToLatin1(data) + '\n';
+  }
+  return text;
+}
+
+/**
+ * Run a content stream's text operators, writing what they show to output
+ * @param {Map} fonts - Loaded fonts by font dictionary
+ */
+async function runContent(doc, content, resources, output, fonts, depth) {
+  const parser = new Parser(content);
+  const fontResources = doc.resolve(resources?.Font) || {};
+  const operands = [];
+  const stack = [];
+  let state = { font: null, fontSize: 12, charSpacing: 0, wordSpacing: 0, scale: 1, leading: 0 };
+  let tm = [1, 0, 0, 1, 0, 0];
+  let tlm = tm;
+
+  const moveTo = (tx, ty) => {
+    tlm = [tlm[0], tlm[1], tlm[2], tlm[3], tlm[4] + tx * tlm[0] + ty * tlm[2], tlm[5] + tx * tlm[1] + ty * tlm[3]];
+    tm = tlm;
+  };
+  const advance = (distance) => {
+    tm = [tm[0], tm[1], tm[2], tm[3], tm[4] + distance * tm[0], tm[5] + distance * tm[1]];
+  };
+  const show = (string) => {
+    if (!(string instanceof PdfString) || !state.font) return;
+    const { font, fontSize } = state;
+    const size = fontSize * (Math.hypot(tm[2], tm[3]) || 1);
+    const last = output.lastEnd;
+    if (last) {
+      const dy = Math.abs(tm[5] - last.y);
+      if (dy > size * PARAGRAPH_SHIFT) {
+        output.lines.push('', '');
+      } else if (dy > size * LINE_SHIFT) {
+        output.lines.push('');
+      } else if (Math.abs(tm[4] - last.x) > size * SPACE_GAP) {
+        writeText(output, ' ');
+      }
+    }
+
+    let text = '';
+    for (const code of codesOf(string.bytes, font.codeLengths)) {
+      text += font.toText(code);
+      const wordSpacing = font.codeLengths[0] === 1 && code === 32 ? state.wordSpacing : 0;
+      advance((font.width(code) * fontSize + state.charSpacing + wordSpacing) * state.scale);
+    }
+    writeText(output, text.replace(/[\t\n\r\f\v]/g, ' ').replace(/[\x00-\x1F]/g, ''));
+    output.lastEnd = { x: tm[4], y: tm[5] };
+  };
+  const nextLine = () => moveTo(0, -state.leading);
+
+  while (true) {
+    const token = parser.read();
+    if (token === undefined) break;
+    if (!(token instanceof Keyword)) {
+      operands.push(token);
+      continue;
+    }
+
+    const args = operands.splice(0);
+    switch (token.word) {
+      case 'BT':
+        tm = tlm = [1, 0, 0, 1, 0, 0];
+        break;
+      case 'q':
+        stack.push(state);
+        state = { ...state };
+        break;
+      case 'Q':
+        state = stack.pop() || state;
+        break;
+      case 'Tf': {
+        const [name, size] = args;
+        const fontDict = fontResources[name];
+        if (fontDict !== undefined) {
+          const key = doc.resolve(fontDict);
+          if (!fonts.has(key)) fonts.set(key, await loadFont(doc, fontDict));
+          state.font = fonts.get(key);
+        }
+        if (typeof size === 'number') state.fontSize = size;
+        break;
+      }
+      case 'Tc':
+        state.charSpacing = args[0] || 0;
+        break;
+      case 'Tw':
+        state.wordSpacing = args[0] || 0;
+        break;
+      case 'Tz':
+        state.scale = (args[0] ?? 100) / 100;
+        break;
+      case 'TL':
+        state.leading = args[0] || 0;
+        break;
+      case 'Td':
+        moveTo(args[0] || 0, args[1] || 0);
+        break;
+      case 'TD':
+        state.leading = -(args[1] || 0);
+        moveTo(args[0] || 0, args[1] || 0);
+        break;
+      case 'Tm':
+        if (args.length === 6) tm = tlm = args.map(value => (typeof value === 'number' ? value : 0));
+        break;
+      case 'T*':
+        nextLine();
+        break;
+      case 'Tj':
+        show(args[0]);
+        break;
+      case "'":
+        nextLine();
+        show(args[0]);
+        break;
+      case '"':
+        state.wordSpacing = args[0] || 0;
+        state.charSpacing = args[1] || 0;
+        nextLine();
+        show(args[2]);
+        break;
+      case 'TJ':
+        for (const item of Array.isArray(args[0]) ? args[0] : []) {
+          if (typeof item === 'number') {
+            advance(-item / 1000 * state.fontSize * state.scale);
+            if (item <= TJ_SPACE) writeText(output, ' ');
+          } else {
+            show(item);
+          }
+        }
+        break;
+      case 'Do': {
+        const xobject = doc.resolve(doc.resolve(resources?.XObject)?.[args[0]]);
+        if (xobject instanceof Stream && xobject.dict.Subtype === 'Form' && depth < MAX_NESTING) {
+          const formResources = doc.resolve(xobject.dict.Resources) || resources;
+          const data = await doc.decodeStream(xobject);
+          if (data) await runContent(doc, bytesToLatin1(data), formResources, output, fonts, depth + 1);
+        }
+        break;
+      }
+      case 'BI': {
+        // Inline image: skip its data, which is not made of tokens
+        const data = /\sID\s/g;
+        data.lastIndex = parser.pos;
+        const start = data.exec(content);
+        const end = start ? content.indexOf('EI', data.lastIndex) : -1;
+        parser.pos = end === -1 ? content.length : end + 2;
+        break;
+      }
+    }
+  }
+}
+
+function writeText(output, text) {
+  if (!text) return;
+  const current = output.lines[output.lines.length - 1];
+  // One space between words is enough
+  if (text === ' ' && (current === '' || current.endsWith(' '))) return;
+  output.lines[output.lines.length - 1] = current + text;
+}
+
+/**
+ * Read the outline (bookmarks)
+ * @returns {Array<{title: string, level: number, page: number|null}>} level starts at 1; page is 1-based
+ */
+function readOutline(doc, catalog, pageNumbers) {
+  const items = [];
+  const seen = new Set();
+
+  const walk = (first, level) => {
+    let item = doc.resolve(first);
+    while (item && typeof item === 'object' && !seen.has(item) && items.length < MAX_OUTLINE_ITEMS) {
+      seen.add(item);
+      const title = decodeTextString(doc.resolve(item.Title));
+      if (title) {
+        items.push({ title, level, page: destinationPage(doc, catalog, item, pageNumbers) });
+      }
+      if (item.First && level < MAX_NESTING) walk(item.First, level + 1);
+      item = doc.resolve(item.Next);
+    }
+  };
+
+  walk(doc.resolve(catalog.Outlines)?.First, 1);
+  return items;
+}
+
+function destinationPage(doc, catalog, item, pageNumbers) {
+  let destination = doc.resolve(item.Dest);
+  if (destination === null || destination === undefined) {
+    const action = doc.resolve(item.A);
+    if (action?.S === 'GoTo') destination = doc.resolve(action.D);
+  }
+  if (typeof destination === 'string') {
+    destination = doc.resolve(doc.resolve(catalog.Dests)?.[destination]);
+  } else if (destination instanceof PdfString) {
+    destination = lookupNameTree(doc, doc.resolve(catalog.Names)?.Dests, destination.bytes, 0);
+  }
+  if (destination && !Array.isArray(destination)) destination = doc.resolve(destination.D);
+  if (!Array.isArray(destination)) return null;
+
+  const target = destination[0];
+  if (target instanceof Ref) return pageNumbers.get(target.num) ?? null;
+  return typeof target === 'number' ? target + 1 : null;
+}
+
+function lookupNameTree(doc, node, key, depth) {
+  node = doc.resolve(node);
+  if (!node || depth > MAX_NESTING) return null;
+  const names = doc.resolve(node.Names);
+  if (Array.isArray(names)) {
+    for (let i = 0; i + 1 < names.length; i += 2) {
+      const name = doc.resolve(names[i]);
+      if (name instanceof PdfString && name.bytes === key) return doc.resolve(names[i + 1]);
+    }
+  }
+  for (const kid of doc.resolve(node.Kids) || []) {
+    const found = lookupNameTree(doc, kid, key, depth + 1);
+    if (found) return found;
+  }
+  return null;
+}
+
+/**
+ * Read the document information dictionary
+ * @returns {{title, author, subject, keywords, creator, producer, creationDate, modDate}} Missing entries are null
+ */
+function readInfo(doc, trailer) {
+  const info = doc.resolve(trailer.Info) || {};
+  const text = (key) => decodeTextString(doc.resolve(info[key])) || null;
+  return {
+    title: text('Title'),
+    author: text('Author'),
+    subject: text('Subject'),
+    keywords: text('Keywords'),
+    creator: text('Creator'),
+    producer: text('Producer'),
+    creationDate: parsePdfDate(text('CreationDate')),
+    modDate: parsePdfDate(text('ModDate'))
+  };
+}
+
+/**
+ * Check whether bytes are a PDF file
+ * @param {Uint8Array} bytes
+ * @returns {boolean}
+ */
+export function isPdfData(bytes) {
+  // The header may follow a little junk (allowed within the first 1024 bytes)
+  return bytesToLatin1(bytes.subarray(0, 1024)).includes('%PDF-');
+}
+
+/**
+ * Extract the text, outline and document information of a PDF file
+ * @param {Uint8Array|ArrayBuffer} data - The file
+ * @param {Object} options
+ * @param {number} options.maxPages - Read the text of this many pages at most (default: all)
+ * @returns {Promise<{pageCount: number, pages: string[], outline: Array<{title, level, page}>, info: Object}>}
+ *   pages holds the text of each page read, in order
+ * @throws {Error} When the data is not a PDF or has no pages; named EncryptedPdfError when it
+ *   is encrypted and needs a password to open
+ */
+export async function extractPdf(data, options = {}) {
+  const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+  if (!isPdfData(bytes)) {
+    throw new Error('Not a PDF document');
+  }
+
+  const doc = new PdfDocument(bytes);
+  doc.scanObjects();
+  const trailer = doc.readTrailer();
+  if (trailer.Encrypt !== undefined && trailer.Encrypt !== null) {
+    await doc.decryptObjects(trailer);
+  }
+  await doc.expandObjectStreams();
+
+  const catalog = doc.findCatalog(trailer);
+  if (!catalog) {
+    throw new Error('PDF has no page tree');
+  }
+
+  const pages = collectPages(doc, catalog.Pages);
+  const pageNumbers = new Map();
+  pages.forEach((page, index) => {
+    if (page.ref) pageNumbers.set(page.ref.num, index + 1);
+  });
+
+  const maxPages = options.maxPages ?? pages.length;
+  const texts = [];
+  for (const page of pages.slice(0, maxPages)) {
+    texts.push(await extractPageText(doc, page));
+  }
+
+  return {
+    pageCount: pages.length,
+    pages: texts,
+    outline: readOutline(doc, catalog, pageNumbers),
+    info: readInfo(doc, trailer)
+  };
+}
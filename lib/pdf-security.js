@@ -0,0 +1,287 @@
+/**
+ * PDF standard security handler
+ * Opens PDFs encrypted with an empty user password: files anyone can open, whose owner only
+ * restricts printing, copying or editing. RC4 (40-128 bit), AES-128 and AES-256 (revisions 2-6)
+ * are read; files that need a password to open and other security handlers are not.
+ * MD5 and RC4 are implemented here because Web Crypto has neither; AES and SHA-2 come from
+ * crypto.subtle, which the service worker and Node both have.
+ */
+
+// Padding of passwords to 32 bytes - the whole of it for an empty password
+const PASSWORD_PADDING = Uint8Array.from([
+  0x28, 0xBF, 0x4E, 0x5E, 0x4E, 0x75, 0x8A, 0x41, 0x64, 0x00, 0x4E, 0x56, 0xFF, 0xFA, 0x01, 0x08,
+  0x2E, 0x2E, 0x00, 0xB6, 0xD0, 0x68, 0x3E, 0x80, 0x2F, 0x0C, 0xA9, 0xFE, 0x64, 0x53, 0x69, 0x7A
+]);
+const AES_SALT = Uint8Array.from([0x73, 0x41, 0x6C, 0x54]); // "sAlT", appended to AES-128 object keys
+
+const MD5_SHIFTS = [7, 12, 17, 22, 5, 9, 14, 20, 4, 11, 16, 23, 6, 10, 15, 21];
+const MD5_CONSTANTS = Array.from({ length: 64 }, (_, i) => Math.floor(Math.abs(Math.sin(i + 1)) * 2 ** 32) >>> 0);
+
+/**
+ * The error for PDFs that cannot be opened without a password
+ * @param {string} message
+ * @returns {Error} named EncryptedPdfError
+ */
+function encryptedPdfError(message) {
+  const error = new Error(message);
+  error.name = 'EncryptedPdfError';
+  return error;
+}
+
+function concatBytes(...parts) {
+  const output = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+  let offset = 0;
+  for (const part of parts) {
+    output.set(part, offset);
+    offset += part.length;
+  }
+  return output;
+}
+
+function sameBytes(a, b, length) {
+  if (a.length < length || b.length < length) return false;
+  for (let i = 0; i < length; i++) {
+    if (a[i] !== b[i]) return false;
+  }
+  return true;
+}
+
+/**
+ * MD5 digest
+ * @param {Uint8Array} data
+ * @returns {Uint8Array} 16 bytes
+ */
+function md5(data) {
+  const padded = new Uint8Array((((data.length + 8) >>> 6) + 1) * 64);
+  padded.set(data);
+  padded[data.length] = 0x80;
+  const view = new DataView(padded.buffer);
+  view.setUint32(padded.length - 8, (data.length * 8) >>> 0, true);
+  view.setUint32(padded.length - 4, Math.floor(data.length / 2 ** 29), true);
+
+  const state = [0x67452301, 0xEFCDAB89, 0x98BADCFE, 0x10325476];
+  const words = new Uint32Array(16);
+  for (let offset = 0; offset < padded.length; offset += 64) {
+    for (let i = 0; i < 16; i++) words[i] = view.getUint32(offset + i * 4, true);
+    let [a, b, c, d] = state;
+    for (let i = 0; i < 64; i++) {
+      let f;
+      let g;
+      if (i < 16) {
+        f = (b & c) | (~b & d);
+        g = i;
+      } else if (i < 32) {
+        f = (d & b) | (~d & c);
+        g = (5 * i + 1) % 16;
+      } else if (i < 48) {
+        f = b ^ c ^ d;
+        g = (3 * i + 5) % 16;
+      } else {
+        f = c ^ (b | ~d);
+        g = (7 * i) % 16;
+      }
+      const shift = MD5_SHIFTS[(i >> 4) * 4 + (i % 4)];
+      const sum = (a + f + MD5_CONSTANTS[i] + words[g]) >>> 0;
+      a = d;
+      d = c;
+      c = b;
+      b = (b + ((sum << shift) | (sum >>> (32 - shift)))) >>> 0;
+    }
+    state[0] = (state[0] + a) >>> 0;
+    state[1] = (state[1] + b) >>> 0;
+    state[2] = (state[2] + c) >>> 0;
+    state[3] = (state[3] + d) >>> 0;
+  }
+
+  const digest = new Uint8Array(16);
+  const digestView = new DataView(digest.buffer);
+  state.forEach((word, i) => digestView.setUint32(i * 4, word, true));
+  return digest;
+}
+
+/**
+ * RC4 (encrypting and decrypting are the same)
+ * @param {Uint8Array} key
+ * @param {Uint8Array} data
+ * @returns {Uint8Array}
+ */
+function rc4(key, data) {
+  const s = new Uint8Array(256);
+  for (let i = 0; i < 256; i++) s[i] = i;
+  for (let i = 0, j = 0; i < 256; i++) {
+    j = (j + s[i] + key[i % key.length]) & 0xFF;
+    [s[i], s[j]] = [s[j], s[i]];
+  }
+
+  const output = new Uint8Array(data.length);
+  for (let k = 0, i = 0, j = 0; k < data.length; k++) {
+    i = (i + 1) & 0xFF;
+    j = (j + s[i]) & 0xFF;
+    [s[i], s[j]] = [s[j], s[i]];
+    output[k] = data[k] ^ s[(s[i] + s[j]) & 0xFF];
+  }
+  return output;
+}
+
+async function sha(bits, data) {
+  return new Uint8Array(await crypto.subtle.digest(`SHA-${bits}`, data));
+}
+
+function aesKey(key, usages) {
+  return crypto.subtle.importKey('raw', key, 'AES-CBC', false, usages);
+}
+
+/**
+ * AES-CBC decryption of strings and streams: a 16-byte IV, then the data with PKCS#5 padding
+ * @param {Uint8Array} key - 16 or 32 bytes
+ * @param {Uint8Array} data
+ * @returns {Promise<Uint8Array>}
+ */
+async function aesDecrypt(key, data) {
+  if (data.length <= 16) return new Uint8Array(0); // an empty string is just its IV
+  const plain = await crypto.subtle.decrypt({ name: 'AES-CBC', iv: data.subarray(0, 16) },
+    await aesKey(key, ['decrypt']), data.subarray(16));
+  return new Uint8Array(plain);
+}
+
+/**
+ * AES-CBC encryption without padding (Web Crypto always pads: the extra block is dropped)
+ */
+async function aesEncryptBlocks(key, iv, data) {
+  const encrypted = await crypto.subtle.encrypt({ name: 'AES-CBC', iv }, await aesKey(key, ['encrypt']), data);
+  return new Uint8Array(encrypted, 0, data.length);
+}
+
+/**
+ * AES-CBC decryption without padding
+ * Web Crypto insists on padding, so a block that decrypts to a full padding block is appended first
+ */
+async function aesDecryptBlocks(key, iv, data) {
+  const cryptoKey = await aesKey(key, ['encrypt', 'decrypt']);
+  const lastBlock = data.subarray(data.length - 16);
+  const padding = new Uint8Array(await crypto.subtle.encrypt({ name: 'AES-CBC', iv: lastBlock }, cryptoKey, new Uint8Array(16).fill(16)));
+  const plain = await crypto.subtle.decrypt({ name: 'AES-CBC', iv }, cryptoKey, concatBytes(data, padding.subarray(0, 16)));
+  return new Uint8Array(plain);
+}
+
+/**
+ * Password hash of revision 6 (AES-256): SHA-256, then rounds of AES-128 and SHA-2 until the
+ * last byte of the round says stop (at least 64 rounds)
+ * @param {Uint8Array} password - UTF-8, at most 127 bytes
+ * @param {Uint8Array} salt - 8 bytes
+ * @param {Uint8Array} userKey - The U entry for owner passwords, otherwise empty
+ * @returns {Promise<Uint8Array>} 32 bytes
+ */
+async function hardenedHash(password, salt, userKey) {
+  let key = await sha(256, concatBytes(password, salt, userKey));
+  let round = 0;
+  let encrypted = new Uint8Array([0]);
+  while (round < 64 || encrypted[encrypted.length - 1] > round - 32) {
+    const block = concatBytes(password, key, userKey);
+    const repeated = new Uint8Array(block.length * 64);
+    for (let i = 0; i < 64; i++) repeated.set(block, i * block.length);
+
+    encrypted = await aesEncryptBlocks(key.subarray(0, 16), key.subarray(16, 32), repeated);
+    let remainder = 0;
+    for (let i = 0; i < 16; i++) remainder += encrypted[i];
+    key = await sha([256, 384, 512][remainder % 3], encrypted);
+    round++;
+  }
+  return key.subarray(0, 32);
+}
+
+/**
+ * File key of revisions 2-4 for the empty user password, checked against the U entry
+ * @returns {Uint8Array|null} null when the file needs a password
+ */
+function md5FileKey({ revision, keyLength, owner, user, permissions, fileId, encryptMetadata }) {
+  const p = new Uint8Array(4);
+  new DataView(p.buffer).setUint32(0, permissions >>> 0, true);
+  const unencryptedMetadata = revision >= 4 && !encryptMetadata ? Uint8Array.from([0xFF, 0xFF, 0xFF, 0xFF]) : new Uint8Array(0);
+
+  let hash = md5(concatBytes(PASSWORD_PADDING, owner.subarray(0, 32), p, fileId, unencryptedMetadata));
+  if (revision >= 3) {
+    for (let i = 0; i < 50; i++) hash = md5(hash.subarray(0, keyLength));
+  }
+  const key = hash.subarray(0, keyLength);
+
+  if (revision === 2) {
+    return sameBytes(rc4(key, PASSWORD_PADDING), user, 32) ? key : null;
+  }
+  let check = rc4(key, md5(concatBytes(PASSWORD_PADDING, fileId)));
+  for (let i = 1; i <= 19; i++) {
+    check = rc4(key.map(byte => byte ^ i), check);
+  }
+  return sameBytes(check, user, 16) ? key : null;
+}
+
+/**
+ * File key of revisions 5 and 6 (AES-256) for the empty user password
+ * @returns {Promise<Uint8Array|null>} null when the file needs a password
+ */
+async function aes256FileKey({ revision, user, userEncrypted }) {
+  if (user.length < 48 || userEncrypted.length < 32) return null;
+  const empty = new Uint8Array(0);
+  const hash = (salt) => revision === 5 ? sha(256, salt) : hardenedHash(empty, salt, empty);
+
+  if (!sameBytes(await hash(user.subarray(32, 40)), user, 32)) return null;
+  const intermediate = await hash(user.subarray(40, 48));
+  return aesDecryptBlocks(intermediate, new Uint8Array(16), userEncrypted.subarray(0, 32));
+}
+
+/**
+ * Set up decryption for a file encrypted with the standard security handler
+ * @param {Object} encrypt - The encryption dictionary, strings as bytes:
+ *   {filter, version, revision, length, owner, user, userEncrypted, permissions, encryptMetadata,
+ *   cryptFilters: {name: method}, streamFilter, stringFilter}
+ * @param {Uint8Array} fileId - First element of the trailer's /ID
+ * @returns {Promise<{decrypt: Function}>} decrypt(bytes, num, gen, kind) with kind 'string' or 'stream'
+ * @throws {Error} EncryptedPdfError when the file needs a password or uses another handler
+ */
+export async function createSecurityHandler(encrypt, fileId) {
+  if (encrypt.filter !== 'Standard') {
+    throw encryptedPdfError(`PDF is encrypted with an unsupported security handler (${encrypt.filter || 'none'})`);
+  }
+  const { version, revision } = encrypt;
+
+  // Crypt filters of version 4 and 5 name the method per kind of data; earlier versions use RC4
+  const methodOf = (name) => {
+    if (version < 4) return 'V2';
+    if (!name || name === 'Identity') return 'None';
+    return encrypt.cryptFilters[name] || 'None';
+  };
+  const methods = { stream: methodOf(encrypt.streamFilter), string: methodOf(encrypt.stringFilter) };
+  if (![methods.stream, methods.string].every(method => ['None', 'V2', 'AESV2', 'AESV3'].includes(method))) {
+    throw encryptedPdfError(`PDF is encrypted with an unsupported method (${methods.stream}/${methods.string})`);
+  }
+
+  let fileKey;
+  if (version === 5 && (revision === 5 || revision === 6)) {
+    fileKey = await aes256FileKey(encrypt);
+  } else if ([1, 2, 4].includes(version) && revision >= 2 && revision <= 4) {
+    const keyLength = version === 1 ? 5 : Math.max(5, Math.min(16, Math.floor((encrypt.length || (version === 4 ? 128 : 40)) / 8)));
+    fileKey = md5FileKey({ ...encrypt, keyLength, fileId });
+  } else {
+    throw encryptedPdfError(`PDF is encrypted with an unsupported revision (V${version} R${revision})`);
+  }
+  if (!fileKey) {
+    throw encryptedPdfError('PDF needs a password to open');
+  }
+
+  // Keys of revisions 2-4 are derived per object from its number and generation
+  const objectKey = (num, gen, aes) => {
+    const id = Uint8Array.from([num & 0xFF, (num >> 8) & 0xFF, (num >> 16) & 0xFF, gen & 0xFF, (gen >> 8) & 0xFF]);
+    const hash = md5(concatBytes(fileKey, id, aes ? AES_SALT : new Uint8Array(0)));
+    return hash.subarray(0, Math.min(fileKey.length + 5, 16));
+  };
+
+  return {
+    async decrypt(bytes, num, gen, kind) {
+      const method = methods[kind];
+      if (method === 'None') return bytes;
+      if (method === 'AESV3') return aesDecrypt(fileKey, bytes);
+      if (method === 'AESV2') return aesDecrypt(objectKey(num, gen, true), bytes);
+      return rc4(objectKey(num, gen, false), bytes);
+    }
+  };
+}
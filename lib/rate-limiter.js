@@ -0,0 +1,206 @@
+/**
+ * Per-host rate limiting
+ * Token bucket per hostname with AIMD adaptation:
+ * - Each request consumes a token; tokens refill at the host's current rate
+ * - 429/503 responses halve the rate and pause the host (Retry-After when given)
+ * - Successful responses raise the rate again step by step up to its ceiling
+ */
+
+const DEFAULT_RATE = 2;             // requests per second per host
+const DEFAULT_BURST = 3;            // tokens a host can accumulate
+const MIN_RATE = 0.1;               // never slower than one request per 10 seconds
+const RECOVERY_STEP = 0.25;         // requests per second regained per successful response
+const BASE_BACKOFF = 2000;          // first pause without Retry-After (ms), doubles per consecutive hit
+const MAX_BACKOFF = 60000;          // longest computed pause (ms)
+const MAX_RETRY_AFTER = 120000;     // longest Retry-After we honour (ms)
+const WAIT_SLICE = 1000;            // re-check cancellation at least this often while waiting (ms)
+
+// Responses that mean the host is throttling us
+export const THROTTLE_STATUSES = [429, 503];
+
+/**
+ * Parse a Retry-After header value
+ * @param {string|null|undefined} value - Seconds ("120") or an HTTP date
+ * @param {number} [now] - Current time (ms), for HTTP dates
+ * @returns {number|null} Delay in milliseconds, or null if absent/invalid
+ */
+export function parseRetryAfter(value, now = Date.now()) {
+  if (value === null || value === undefined || value === '') return null;
+
+  const trimmed = String(value).trim();
+  if (/^\d+$/.test(trimmed)) {
+    return parseInt(trimmed, 10) * 1000;
+  }
+
+  const date = Date.parse(trimmed);
+  if (!isNaN(date)) {
+    return Math.max(0, date - now);
+  }
+
+  return null;
+}
+
+/**
+ * Token-bucket rate limiter keyed by hostname
+ */
+export class HostRateLimiter {
+  /**
+   * @param {object} [options]
+   * @param {number} [options.rate] - Requests per second per host
+   * @param {number} [options.burst] - Tokens a host can accumulate
+   * @param {Function} [options.now] - Clock returning ms (tests pass a fake one)
+   * @param {Function} [options.sleep] - Waits the given ms (tests pass one that advances the fake clock)
+   */
+  constructor(options = {}) {
+    this.defaultRate = options.rate || DEFAULT_RATE;
+    this.burst = options.burst || DEFAULT_BURST;
+    this.now = options.now || Date.now;
+    this.sleep = options.sleep || sleep;
+    this.hosts = new Map(); // hostname → bucket state
+  }
+
+  /**
+   * Get (or create) the bucket for a URL's host
+   * @param {string} url - Absolute URL
+   * @returns {object|null} Bucket state, or null for unparseable URLs
+   */
+  getBucket(url) {
+    let host;
+    try {
+      host = new URL(url).hostname;
+    } catch (e) {
+      return null;
+    }
+
+    let bucket = this.hosts.get(host);
+    if (!bucket) {
+      bucket = {
+        host,
+        maxRate: this.defaultRate,
+        rate: this.defaultRate,
+        capacity: this.burst,
+        tokens: this.burst,
+        lastRefill: this.now(),
+        blockedUntil: 0,
+        consecutiveBackoffs: 0,
+        backoffCount: 0
+      };
+      this.hosts.set(host, bucket);
+    }
+    return bucket;
+  }
+
+  /**
+   * Cap a host at one request per interval (e.g. robots.txt Crawl-delay)
+   * @param {string} url - Any URL on the host
+   * @param {number} intervalMs - Minimum spacing between requests
+   */
+  setMinInterval(url, intervalMs) {
+    const bucket = this.getBucket(url);
+    if (!bucket || !intervalMs) return;
+
+    const maxRate = 1000 / intervalMs;
+    if (bucket.maxRate === maxRate && bucket.capacity === 1) return;
+
+    bucket.maxRate = maxRate;
+    bucket.rate = Math.min(bucket.rate, maxRate);
+    bucket.capacity = 1;
+    bucket.tokens = Math.min(bucket.tokens, 1);
+  }
+
+  /**
+   * Add tokens earned since the last refill
+   */
+  refill(bucket) {
+    const now = this.now();
+    const elapsed = (now - bucket.lastRefill) / 1000;
+    bucket.tokens = Math.min(bucket.capacity, bucket.tokens + elapsed * bucket.rate);
+    bucket.lastRefill = now;
+  }
+
+  /**
+   * Wait until the host allows another request, then consume a token
+   * @param {string} url - The URL about to be requested
+   * @param {Function} [shouldAbort] - Polled while waiting; returning true stops the wait
+   * @returns {Promise<boolean>} False if the wait was aborted
+   */
+  async acquire(url, shouldAbort = () => false) {
+    const bucket = this.getBucket(url);
+    if (!bucket) return true;
+
+    while (true) {
+      if (shouldAbort()) return false;
+
+      const now = this.now();
+      if (now < bucket.blockedUntil) {
+        await this.sleep(Math.min(bucket.blockedUntil - now, WAIT_SLICE));
+        continue;
+      }
+
+      this.refill(bucket);
+      if (bucket.tokens >= 1) {
+        bucket.tokens -= 1;
+        return true;
+      }
+
+      const waitMs = Math.ceil(((1 - bucket.tokens) / bucket.rate) * 1000);
+      await this.sleep(Math.min(waitMs, WAIT_SLICE));
+    }
+  }
+
+  /**
+   * Record a throttling response (429/503) and back off
+   * @param {string} url - The URL that was throttled
+   * @param {number|null} retryAfterMs - Parsed Retry-After, if the server sent one
+   * @returns {number} The pause applied to the host (ms)
+   */
+  backOff(url, retryAfterMs = null) {
+    const bucket = this.getBucket(url);
+    if (!bucket) return 0;
+
+    bucket.consecutiveBackoffs++;
+    bucket.backoffCount++;
+    bucket.rate = Math.max(MIN_RATE, bucket.rate / 2);
+    bucket.tokens = 0;
+
+    const computed = Math.min(MAX_BACKOFF, BASE_BACKOFF * Math.pow(2, bucket.consecutiveBackoffs - 1));
+    const pause = retryAfterMs !== null ? Math.min(retryAfterMs, MAX_RETRY_AFTER) : computed;
+    bucket.blockedUntil = Math.max(bucket.blockedUntil, this.now() + pause);
+
+    console.log(`[RateLimiter] ${bucket.host} throttled - pausing ${pause}ms, rate now ${bucket.rate.toFixed(2)} req/s`);
+    return pause;
+  }
+
+  /**
+   * Record a successful response and recover speed
+   * @param {string} url - The URL that succeeded
+   */
+  recordSuccess(url) {
+    const bucket = this.getBucket(url);
+    if (!bucket) return;
+
+    bucket.consecutiveBackoffs = 0;
+    if (bucket.rate < bucket.maxRate) {
+      bucket.rate = Math.min(bucket.maxRate, bucket.rate + RECOVERY_STEP);
+    }
+  }
+
+  /**
+   * Snapshot of every host's current rate (for progress reporting)
+   * @returns {Array<{host: string, rate: number, maxRate: number, backingOff: boolean, backoffCount: number}>}
+   */
+  getHostRates() {
+    const now = this.now();
+    return Array.from(this.hosts.values()).map(bucket => ({
+      host: bucket.host,
+      rate: Math.round(bucket.rate * 100) / 100,
+      maxRate: Math.round(bucket.maxRate * 100) / 100,
+      backingOff: now < bucket.blockedUntil,
+      backoffCount: bucket.backoffCount
+    }));
+  }
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
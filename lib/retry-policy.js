@@ -0,0 +1,72 @@
+/**
+ * Retry policy for failed page fetches
+ * Sorts the error strings produced by CrawlJob.formatError() into categories.
+ * Transient categories (timeouts, debugger detach, network errors, throttling) are
+ * worth another attempt; the rest (storage, extraction, unknown) fail the same way again.
+ */
+
+export const DEFAULT_MAX_RETRIES = 2;
+export const MIN_MAX_RETRIES = 0;
+export const MAX_MAX_RETRIES = 5;
+
+export const DEFAULT_RETRY_BASE_DELAY = 2000; // first retry waits this long (ms), doubles per attempt
+export const MIN_RETRY_BASE_DELAY = 250;
+export const MAX_RETRY_BASE_DELAY = 30000;
+const MAX_RETRY_DELAY = 60000;                // longest computed wait (ms)
+
+export const TRANSIENT_ERROR_CATEGORIES = ['timeout', 'debugger', 'network', 'throttled'];
+
+// Checked in order - the first match wins
+const ERROR_PATTERNS = [
+  { category: 'throttled', pattern: /RateLimitError|HTTP (429|503)\b/ },
+  { category: 'timeout', pattern: /TimeoutError|timed? ?out\b|timeout/i },
+  { category: 'debugger', pattern: /attach debugger|debugger is already attached|detached|target closed|no tab with id|tab was closed|frame was removed/i },
+  { category: 'network', pattern: /net::ERR_|NetworkError|network error|Failed to fetch\b|ERR_[A-Z_]{4,}/i },
+  { category: 'storage', pattern: /ConstraintError|QuotaExceededError|TransactionInactiveError|IndexedDB/i },
+  { category: 'extraction', pattern: /Failed to extract content/i }
+];
+
+// Tab fetch failures are wrapped as "Failed to fetch rendered content from <url>: <cause>"
+const FETCH_WRAPPER = /Failed to fetch rendered content from \S+: /;
+
+/**
+ * Classify a formatted error
+ * @param {string} errorDetails - Error string from formatError()
+ * @returns {{category: string, transient: boolean}}
+ */
+export function classifyError(errorDetails) {
+  const cause = String(errorDetails || '').replace(FETCH_WRAPPER, '');
+
+  for (const { category, pattern } of ERROR_PATTERNS) {
+    if (pattern.test(cause)) {
+      return { category, transient: TRANSIENT_ERROR_CATEGORIES.includes(category) };
+    }
+  }
+  return { category: 'unknown', transient: false };
+}
+
+/**
+ * Wait before a retry: exponential backoff from the base delay
+ * @param {number} attempt - Retry number (1 = first retry)
+ * @param {number} baseDelay - Wait before the first retry (ms)
+ * @returns {number} Delay in milliseconds
+ */
+export function getRetryDelay(attempt, baseDelay = DEFAULT_RETRY_BASE_DELAY) {
+  const exponent = Math.max(0, attempt - 1);
+  return Math.min(MAX_RETRY_DELAY, baseDelay * Math.pow(2, exponent));
+}
+
+/**
+ * Clamp the retry settings passed to a crawl
+ * @param {object} options - Crawl options
+ * @returns {{maxRetries: number, retryBaseDelay: number}}
+ */
+export function normalizeRetryOptions(options = {}) {
+  const maxRetries = Number.isInteger(options.maxRetries)
+    ? Math.max(MIN_MAX_RETRIES, Math.min(MAX_MAX_RETRIES, options.maxRetries))
+    : DEFAULT_MAX_RETRIES;
+  const retryBaseDelay = Number.isFinite(options.retryBaseDelay)
+    ? Math.max(MIN_RETRY_BASE_DELAY, Math.min(MAX_RETRY_BASE_DELAY, options.retryBaseDelay))
+    : DEFAULT_RETRY_BASE_DELAY;
+  return { maxRetries, retryBaseDelay };
+}
@@ -0,0 +1,279 @@
+/**
+ * robots.txt support
+ * Fetches, parses and evaluates robots.txt rules for "polite" crawling
+ * Rules are fetched once per origin and cached for the lifetime of a RobotsPolicy
+ * Matching follows RFC 9309: longest matching rule wins, Allow wins ties
+ */
+
+// Product token we look for in User-agent lines (falls back to the * group)
+const ROBOTS_USER_AGENT = 'webscribe';
+
+const ROBOTS_FETCH_TIMEOUT = 10000;   // 10 seconds per robots.txt fetch
+const MAX_ROBOTS_SIZE = 500 * 1024;   // RFC 9309 asks parsers to handle at least 500 KiB
+const MAX_CRAWL_DELAY = 30;           // seconds - ignore anything slower than this
+
+/**
+ * Parse robots.txt content into groups
+ * @param {string} text - Raw robots.txt content
+ * @returns {{groups: Array<{userAgents: string[], rules: Array<{type: string, pattern: string}>, crawlDelay: number|null}>, sitemaps: string[]}}
+ */
+export function parseRobotsTxt(text) {
+  const groups = [];
+  const sitemaps = [];
+  let current = null;
+  let lastWasUserAgent = false;
+
+  const lines = (text || '').slice(0, MAX_ROBOTS_SIZE).split(/\r\n|\r|\n/);
+
+  for (const rawLine of lines) {
+    // Strip comments and surrounding whitespace
+    const line = rawLine.replace(/#.*$/, '').trim();
+    if (!line) continue;
+
+    const separator = line.indexOf(':');
+    if (separator === -1) continue;
+
+    const key = line.slice(0, separator).trim().toLowerCase();
+    const value = line.slice(separator + 1).trim();
+
+    switch (key) {
+      case 'user-agent':
+        // Consecutive User-agent lines share one group
+        if (!current || !lastWasUserAgent) {
+          current = { userAgents: [], rules: [], crawlDelay: null };
+          groups.push(current);
+        }
+        current.userAgents.push(value.toLowerCase());
+        lastWasUserAgent = true;
+        continue;
+
+      case 'allow':
+      case 'disallow':
+        // An empty Disallow means "allow everything" and is not a rule
+        if (current && value) {
+          current.rules.push({ type: key, pattern: value });
+        }
+        break;
+
+      case 'crawl-delay': {
+        const delay = parseFloat(value);
+        if (current && !isNaN(delay) && delay >= 0) {
+          current.crawlDelay = delay;
+        }
+        break;
+      }
+
+      case 'sitemap':
+        if (value) sitemaps.push(value);
+        break;
+
+      default:
+        // Unknown directives are ignored
+        break;
+    }
+
+    lastWasUserAgent = false;
+  }
+
+  return { groups, sitemaps };
+}
+
+/**
+ * Select the rules that apply to a user agent
+ * Groups naming the product token win over the * group; matching groups are merged
+ * @param {object} parsed - Result of parseRobotsTxt
+ * @param {string} userAgent - Product token to match (case-insensitive)
+ * @returns {{rules: Array<{type: string, pattern: string}>, crawlDelay: number|null}}
+ */
+export function selectRobotsGroup(parsed, userAgent = ROBOTS_USER_AGENT) {
+  const token = userAgent.toLowerCase();
+
+  let matching = parsed.groups.filter(group => group.userAgents.includes(token));
+  if (matching.length === 0) {
+    matching = parsed.groups.filter(group => group.userAgents.includes('*'));
+  }
+
+  const rules = [];
+  let crawlDelay = null;
+  for (const group of matching) {
+    rules.push(...group.rules);
+    if (group.crawlDelay !== null) {
+      crawlDelay = crawlDelay === null ? group.crawlDelay : Math.max(crawlDelay, group.crawlDelay);
+    }
+  }
+
+  return { rules, crawlDelay };
+}
+
+/**
+ * Convert a robots.txt path pattern into a RegExp
+ * Supports * (any sequence) and a trailing $ (end of URL)
+ * @param {string} pattern - The Allow/Disallow value
+ * @returns {RegExp}
+ */
+function patternToRegExp(pattern) {
+  const anchored = pattern.endsWith('$');
+  const body = anchored ? pattern.slice(0, -1) : pattern;
+
+  const source = body
+    .split('*')
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+
+  return new RegExp('^' + source + (anchored ? '$' : ''));
+}
+
+/**
+ * Evaluate rules against a URL path
+ * @param {Array<{type: string, pattern: string}>} rules - Rules from selectRobotsGroup
+ * @param {string} path - Path plus query string (e.g. "/docs/page?x=1")
+ * @returns {{allowed: boolean, rule: string|null}} Verdict and the rule that decided it
+ */
+export function matchRobotsRules(rules, path) {
+  let best = null;
+
+  for (const rule of rules) {
+    if (!patternToRegExp(rule.pattern).test(path)) continue;
+
+    const isLonger = !best || rule.pattern.length > best.pattern.length;
+    const winsTie = best && rule.pattern.length === best.pattern.length && rule.type === 'allow';
+    if (isLonger || winsTie) {
+      best = rule;
+    }
+  }
+
+  if (!best) {
+    return { allowed: true, rule: null };
+  }
+
+  const label = best.type === 'allow' ? 'Allow' : 'Disallow';
+  return { allowed: best.type === 'allow', rule: `${label}: ${best.pattern}` };
+}
+
+/**
+ * Fetch robots.txt for an origin
+ * 4xx responses mean "no restrictions"; 5xx responses mean "crawl nothing" (RFC 9309)
+ * @param {string} origin - e.g. "https://example.com"
+ * @returns {Promise<{rules: Array, crawlDelay: number|null, sitemaps: string[]}>}
+ */
+async function fetchRobotsForOrigin(origin) {
+  const robotsUrl = `${origin}/robots.txt`;
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), ROBOTS_FETCH_TIMEOUT);
+
+  try {
+    console.log(`[Robots] Fetching ${robotsUrl}`);
+    const response = await fetch(robotsUrl, {
+      signal: controller.signal,
+      headers: { 'Accept': 'text/plain, */*' }
+    });
+
+    if (response.status >= 500) {
+      console.warn(`[Robots] ${robotsUrl} unavailable (${response.status}), treating origin as disallowed`);
+      return {
+        rules: [{ type: 'disallow', pattern: '/' }],
+        crawlDelay: null,
+        sitemaps: [],
+        unavailable: `HTTP ${response.status}`
+      };
+    }
+
+    if (!response.ok) {
+      console.log(`[Robots] No robots.txt at ${origin} (${response.status}), all URLs allowed`);
+      return { rules: [], crawlDelay: null, sitemaps: [] };
+    }
+
+    const parsed = parseRobotsTxt(await response.text());
+    const { rules, crawlDelay } = selectRobotsGroup(parsed);
+    console.log(`[Robots] ${origin}: ${rules.length} rule(s), crawl-delay: ${crawlDelay ?? 'none'}`);
+    return { rules, crawlDelay, sitemaps: parsed.sitemaps };
+  } catch (error) {
+    // Unreachable robots.txt is treated as "no restrictions" so a flaky
+    // network doesn't silently empty the crawl
+    console.warn(`[Robots] Could not fetch ${robotsUrl}:`, error.name === 'AbortError' ? 'timeout' : error.message);
+    return { rules: [], crawlDelay: null, sitemaps: [] };
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
+
+/**
+ * Per-crawl robots.txt cache and evaluator
+ * load() must be awaited for an origin before isAllowed()/getCrawlDelay() can answer for it
+ */
+export class RobotsPolicy {
+  constructor() {
+    this.origins = new Map(); // origin → Promise<entry>
+    this.resolved = new Map(); // origin → entry (once loaded)
+  }
+
+  /**
+   * Ensure robots.txt has been fetched for the origins of the given URLs
+   * @param {string|string[]} urls - URL(s) whose origins should be loaded
+   */
+  async load(urls) {
+    const list = Array.isArray(urls) ? urls : [urls];
+    const pending = new Set();
+
+    for (const url of list) {
+      let origin;
+      try {
+        origin = new URL(url).origin;
+      } catch (e) {
+        continue;
+      }
+
+      if (!this.origins.has(origin)) {
+        const promise = fetchRobotsForOrigin(origin).then(entry => {
+          this.resolved.set(origin, entry);
+          return entry;
+        });
+        this.origins.set(origin, promise);
+      }
+      pending.add(this.origins.get(origin));
+    }
+
+    await Promise.all(pending);
+  }
+
+  /**
+   * Check a URL against its origin's rules
+   * URLs whose origin was never loaded are allowed
+   * @param {string} url - Absolute URL
+   * @returns {{allowed: boolean, rule: string|null}}
+   */
+  isAllowed(url) {
+    let parsedUrl;
+    try {
+      parsedUrl = new URL(url);
+    } catch (e) {
+      return { allowed: true, rule: null };
+    }
+
+    const entry = this.resolved.get(parsedUrl.origin);
+    if (!entry) {
+      return { allowed: true, rule: null };
+    }
+
+    const verdict = matchRobotsRules(entry.rules, parsedUrl.pathname + parsedUrl.search);
+    if (!verdict.allowed && entry.unavailable) {
+      return { allowed: false, rule: `robots.txt unavailable (${entry.unavailable})` };
+    }
+    return verdict;
+  }
+
+  /**
+   * Get the Crawl-delay for a URL's origin
+   * @param {string} url - Absolute URL
+   * @returns {number|null} Delay in milliseconds, or null if the origin sets none
+   */
+  getCrawlDelay(url) {
+    try {
+      const entry = this.resolved.get(new URL(url).origin);
+      if (!entry || entry.crawlDelay === null) return null;
+      return Math.min(entry.crawlDelay, MAX_CRAWL_DELAY) * 1000;
+    } catch (e) {
+      return null;
+    }
+  }
+}
@@ -0,0 +1,234 @@
+/**
+ * Recurring crawl schedules
+ * A schedule is attached to a job and turned into chrome.alarms by the service worker.
+ * All times are local time.
+ *
+ * Schedule shape:
+ * - { type: 'daily', time: 'HH:MM' }
+ * - { type: 'weekly', time: 'HH:MM', dayOfWeek: 0-6 }  (0 = Sunday)
+ * - { type: 'cron', cron: 'min hour day-of-month month day-of-week' }
+ *
+ * Cron fields accept "*", numbers, ranges ("1-5"), lists ("1,15") and steps ("*\/15", "0-30/10").
+ * Day-of-week accepts 0-7 (0 and 7 = Sunday). As in standard cron, when both day-of-month
+ * and day-of-week are restricted, a day matching either one runs.
+ */
+
+export const SCHEDULE_TYPES = ['daily', 'weekly', 'cron'];
+
+const CRON_FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'day of week', min: 0, max: 7 }
+];
+
+// Longest gap searched for the next run (covers "Feb 29" style specs)
+const MAX_SEARCH_DAYS = 366 * 5;
+
+/**
+ * Parse one cron field into the sorted list of values it allows
+ * @param {string} field - Field text
+ * @param {{name: string, min: number, max: number}} spec - Field bounds
+ * @returns {{values: number[], wildcard: boolean}}
+ * @throws {Error} If the field is malformed or out of range
+ */
+function parseCronField(field, spec) {
+  const values = new Set();
+
+  for (const part of field.split(',')) {
+    const match = part.match(/^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/);
+    if (!match) {
+      throw new Error(`Invalid cron ${spec.name}: "${part}"`);
+    }
+
+    let start = spec.min;
+    let end = spec.max;
+    if (match[1] !== '*') {
+      start = parseInt(match[2], 10);
+      end = match[3] !== undefined ? parseInt(match[3], 10) : start;
+    }
+    const step = match[4] !== undefined ? parseInt(match[4], 10) : 1;
+
+    // "5/10" means every 10 starting at 5
+    if (match[1] !== '*' && match[3] === undefined && match[4] !== undefined) {
+      end = spec.max;
+    }
+
+    if (start < spec.min || end > spec.max || start > end || step < 1) {
+      throw new Error(`Invalid cron ${spec.name}: "${part}" (allowed ${spec.min}-${spec.max})`);
+    }
+
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  }
+
+  return {
+    values: Array.from(values).sort((a, b) => a - b),
+    wildcard: field === '*'
+  };
+}
+
+/**
+ * Parse a 5-field cron expression
+ * @param {string} expression - e.g. "0 3 * * 1-5"
+ * @returns {{minutes: number[], hours: number[], daysOfMonth: number[], months: number[], daysOfWeek: number[], domWildcard: boolean, dowWildcard: boolean}}
+ * @throws {Error} If the expression is invalid
+ */
+export function parseCron(expression) {
+  const fields = String(expression || '').trim().split(/\s+/);
+  if (fields.length !== 5) {
+    throw new Error('Cron expression must have 5 fields: minute hour day-of-month month day-of-week');
+  }
+
+  const [minute, hour, dom, month, dow] = fields.map((field, index) => parseCronField(field, CRON_FIELDS[index]));
+
+  // Day-of-week 7 is Sunday, like 0
+  const daysOfWeek = Array.from(new Set(dow.values.map(day => day % 7))).sort((a, b) => a - b);
+
+  return {
+    minutes: minute.values,
+    hours: hour.values,
+    daysOfMonth: dom.values,
+    months: month.values,
+    daysOfWeek,
+    domWildcard: dom.wildcard,
+    dowWildcard: dow.wildcard
+  };
+}
+
+/**
+ * Parse "HH:MM"
+ * @param {string} time
+ * @returns {{hour: number, minute: number}}
+ * @throws {Error} If the time is invalid
+ */
+function parseTime(time) {
+  const match = String(time || '').match(/^(\d{1,2}):(\d{2})$/);
+  const hour = match ? parseInt(match[1], 10) : NaN;
+  const minute = match ? parseInt(match[2], 10) : NaN;
+  if (!(hour >= 0 && hour <= 23 && minute >= 0 && minute <= 59)) {
+    throw new Error(`Invalid time "${time}" (expected HH:MM)`);
+  }
+  return { hour, minute };
+}
+
+/**
+ * Validate a schedule and return it with only the fields its type uses
+ * @param {object} schedule - Schedule from the UI or a message
+ * @returns {object} Normalized schedule
+ * @throws {Error} If the schedule is invalid
+ */
+export function normalizeSchedule(schedule) {
+  if (!schedule || !SCHEDULE_TYPES.includes(schedule.type)) {
+    throw new Error('Schedule type must be "daily", "weekly" or "cron"');
+  }
+
+  if (schedule.type === 'cron') {
+    const cron = String(schedule.cron || '').trim();
+    parseCron(cron);
+    return { type: 'cron', cron };
+  }
+
+  const { hour, minute } = parseTime(schedule.time);
+  const time = `${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')}`;
+
+  if (schedule.type === 'weekly') {
+    const dayOfWeek = Number(schedule.dayOfWeek);
+    if (!Number.isInteger(dayOfWeek) || dayOfWeek < 0 || dayOfWeek > 6) {
+      throw new Error('Weekly schedules need a day of week between 0 (Sunday) and 6 (Saturday)');
+    }
+    return { type: 'weekly', time, dayOfWeek };
+  }
+
+  return { type: 'daily', time };
+}
+
+/**
+ * Convert a daily/weekly schedule into the equivalent cron fields
+ */
+function toCron(schedule) {
+  if (schedule.type === 'cron') {
+    return parseCron(schedule.cron);
+  }
+  const { hour, minute } = parseTime(schedule.time);
+  const weekly = schedule.type === 'weekly';
+  return {
+    minutes: [minute],
+    hours: [hour],
+    daysOfMonth: [],
+    months: [1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12],
+    daysOfWeek: weekly ? [schedule.dayOfWeek] : [0, 1, 2, 3, 4, 5, 6],
+    domWildcard: true,
+    dowWildcard: !weekly
+  };
+}
+
+/**
+ * Check whether a day is allowed by the cron day fields
+ */
+function matchesDay(cron, date) {
+  if (!cron.months.includes(date.getMonth() + 1)) return false;
+
+  const domMatch = cron.daysOfMonth.includes(date.getDate());
+  const dowMatch = cron.daysOfWeek.includes(date.getDay());
+
+  if (cron.domWildcard && cron.dowWildcard) return true;
+  if (cron.domWildcard) return dowMatch;
+  if (cron.dowWildcard) return domMatch;
+  return domMatch || dowMatch;
+}
+
+/**
+ * Compute the next time a schedule fires, strictly after `from`
+ * @param {object} schedule - Normalized schedule
+ * @param {number} [from] - Reference time (ms)
+ * @returns {number|null} Timestamp (ms) of the next run, or null if none within five years
+ */
+export function computeNextRun(schedule, from = Date.now()) {
+  const cron = toCron(schedule);
+
+  // Start at the next whole minute
+  const start = new Date(from);
+  start.setSeconds(0, 0);
+  start.setMinutes(start.getMinutes() + 1);
+
+  const day = new Date(start);
+  day.setHours(0, 0, 0, 0);
+
+  for (let i = 0; i < MAX_SEARCH_DAYS; i++) {
+    if (matchesDay(cron, day)) {
+      const sameDay = i === 0;
+      for (const hour of cron.hours) {
+        if (sameDay && hour < start.getHours()) continue;
+        for (const minute of cron.minutes) {
+          if (sameDay && hour === start.getHours() && minute < start.getMinutes()) continue;
+          const run = new Date(day);
+          run.setHours(hour, minute, 0, 0);
+          // Skip times that don't exist on this day (DST spring-forward)
+          if (run.getHours() !== hour) continue;
+          return run.getTime();
+        }
+      }
+    }
+    day.setDate(day.getDate() + 1);
+  }
+
+  return null;
+}
+
+/**
+ * Human-readable description of a schedule
+ * @param {object} schedule - Normalized schedule
+ * @returns {string}
+ */
+export function describeSchedule(schedule) {
+  if (!schedule) return 'Not scheduled';
+  if (schedule.type === 'cron') return `Cron: ${schedule.cron}`;
+  if (schedule.type === 'weekly') {
+    const days = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+    return `Weekly on ${days[schedule.dayOfWeek]} at ${schedule.time}`;
+  }
+  return `Daily at ${schedule.time}`;
+}
@@ -0,0 +1,144 @@
+/**
+ * Full-page screenshots
+ * To check the markdown against what the page actually looked like, screenshot mode captures
+ * each rendered page through the crawl tab's debugger (Page.captureScreenshot with
+ * captureBeyondViewport) right after extraction, and stores it as a compressed WebP or JPEG
+ * image in the screenshots store, next to the page.
+ *
+ * Images are kept under a size cap: very tall pages are cut at maxHeight, and a capture larger
+ * than maxBytes is retaken at a lower quality, then at a smaller scale. A page that does not
+ * fit even then gets no screenshot. What was stored is summarized in markdownMeta.screenshot.
+ */
+
+import { optionalSettings, normalizeLimit } from './utils.js';
+
+export const SCREENSHOT_FORMATS = ['webp', 'jpeg'];
+export const DEFAULT_SCREENSHOT_FORMAT = 'webp';
+export const DEFAULT_SCREENSHOT_QUALITY = 70;
+export const DEFAULT_SCREENSHOT_MAX_BYTES = 1024 * 1024; // 1 MB
+export const MAX_SCREENSHOT_MAX_BYTES = 10 * 1024 * 1024;
+export const DEFAULT_SCREENSHOT_MAX_HEIGHT = 20000; // CSS px
+export const MAX_SCREENSHOT_MAX_HEIGHT = 100000;
+const MAX_IMAGE_SIDE = { webp: 16383, jpeg: 65535 }; // px, larger images cannot be encoded
+const MIN_QUALITY = 30; // retakes do not go below this quality
+const RETRY_QUALITY_SHARE = 0.6;
+const RETRY_SCALES = [0.75, 0.5]; // of the first attempt's scale, once the quality is lowered
+
+/**
+ * Check a crawl's screenshot settings
+ * @param {boolean|Object} settings - true for the defaults, false to turn screenshots off, or:
+ * @param {string} settings.format - 'webp' or 'jpeg' (default: 'webp')
+ * @param {number} settings.quality - Compression quality, 1-100 (default: 70)
+ * @param {number} settings.maxBytes - Largest image stored, in bytes (default: 1 MB, max: 10 MB)
+ * @param {number} settings.maxHeight - Pages taller than this are cut, in CSS px (default: 20000)
+ * @returns {{format, quality, maxBytes, maxHeight}|null} null when off
+ * @throws {Error} When a setting has the wrong type
+ */
+export function normalizeScreenshotSettings(settings) {
+  const options = optionalSettings(settings, 'screenshots');
+  if (!options) return null;
+  const format = options.format ?? DEFAULT_SCREENSHOT_FORMAT;
+  if (!SCREENSHOT_FORMATS.includes(format)) {
+    throw new Error(`screenshots.format must be one of: ${SCREENSHOT_FORMATS.join(', ')}`);
+  }
+  return {
+    format,
+    quality: normalizeLimit(options.quality, 'screenshots.quality', DEFAULT_SCREENSHOT_QUALITY, 1, 100),
+    maxBytes: normalizeLimit(options.maxBytes, 'screenshots.maxBytes', DEFAULT_SCREENSHOT_MAX_BYTES, 1024, MAX_SCREENSHOT_MAX_BYTES),
+    maxHeight: normalizeLimit(options.maxHeight, 'screenshots.maxHeight', DEFAULT_SCREENSHOT_MAX_HEIGHT, 1, MAX_SCREENSHOT_MAX_HEIGHT)
+  };
+}
+
+/**
+ * Plan the captures for a page: the area taken and the quality/scale of each attempt, best first
+ * @param {{width: number, height: number}} size - Content size of the page in CSS px
+ * @param {Object} settings - normalizeScreenshotSettings() result
+ * @returns {{clip: {x, y, width, height}, clipped: boolean, attempts: Array<{quality, scale}>}}
+ */
+export function planScreenshot(size, settings) {
+  const width = Math.max(1, Math.ceil(size.width));
+  const height = Math.max(1, Math.min(Math.ceil(size.height), settings.maxHeight));
+  const maxSide = MAX_IMAGE_SIDE[settings.format];
+  const scale = Math.min(1, maxSide / width, maxSide / height);
+
+  const lowQuality = Math.min(settings.quality, Math.max(MIN_QUALITY, Math.round(settings.quality * RETRY_QUALITY_SHARE)));
+  const attempts = [{ quality: settings.quality, scale }];
+  if (lowQuality < settings.quality) attempts.push({ quality: lowQuality, scale });
+  for (const share of RETRY_SCALES) {
+    attempts.push({ quality: lowQuality, scale: scale * share });
+  }
+
+  return {
+    clip: { x: 0, y: 0, width, height },
+    clipped: Math.ceil(size.height) > settings.maxHeight,
+    attempts
+  };
+}
+
+/**
+ * Decoded size of base64 data
+ * @param {string} data - Base64 string
+ * @returns {number} Bytes
+ */
+export function base64ByteLength(data) {
+  const padding = data.endsWith('==') ? 2 : data.endsWith('=') ? 1 : 0;
+  return Math.floor(data.length * 3 / 4) - padding;
+}
+
+/**
+ * Take a screenshot within the size cap
+ * The page is reached through a capture function, so the tab fetcher can use the debugger.
+ * @param {Function} capture - async ({format, quality, clip: {x, y, width, height, scale}}) => base64 image data
+ * @param {{width: number, height: number}} size - Content size of the page in CSS px
+ * @param {Object} settings - normalizeScreenshotSettings() result
+ * @returns {Promise<{data, format, quality, scale, width, height, bytes, clipped, attempts}|null>} width and
+ *   height of the image in px; null when the page is empty or no attempt fit in maxBytes
+ */
+export async function captureWithinLimits(capture, size, settings) {
+  if (!(size.width > 0) || !(size.height > 0)) return null;
+  const { clip, clipped, attempts } = planScreenshot(size, settings);
+
+  for (let i = 0; i < attempts.length; i++) {
+    const { quality, scale } = attempts[i];
+    const data = await capture({ format: settings.format, quality, clip: { ...clip, scale } });
+    const bytes = base64ByteLength(data);
+    if (bytes <= settings.maxBytes) {
+      return {
+        data,
+        format: settings.format,
+        quality,
+        scale: Math.round(scale * 1000) / 1000,
+        width: Math.round(clip.width * scale),
+        height: Math.round(clip.height * scale),
+        bytes,
+        clipped,
+        attempts: i + 1
+      };
+    }
+  }
+  return null;
+}
+
+/**
+ * MIME type of a screenshot format
+ * @param {string} format - 'webp' or 'jpeg'
+ * @returns {string}
+ */
+export function screenshotMimeType(format) {
+  return `image/${format}`;
+}
+
+/**
+ * Turn base64 image data into a Blob for IndexedDB
+ * @param {string} data - Base64 string
+ * @param {string} mimeType - MIME type of the image
+ * @returns {Blob}
+ */
+export function base64ToBlob(data, mimeType) {
+  const binary = atob(data);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return new Blob([bytes], { type: mimeType });
+}
@@ -0,0 +1,167 @@
+/**
+ * Near-duplicate detection with SimHash fingerprints
+ * contentHash only matches identical text; a SimHash fingerprint changes by a few bits
+ * when a page differs by a timestamp, a "last edited" footer or a rotating banner,
+ * so similar pages can be found by comparing fingerprints bit by bit.
+ */
+
+export const DEFAULT_NEAR_DUPLICATE_THRESHOLD = 0.9; // used by the near-duplicate groups view
+export const MIN_NEAR_DUPLICATE_THRESHOLD = 0.75;
+export const MAX_NEAR_DUPLICATE_THRESHOLD = 1;
+
+const FINGERPRINT_BITS = 64;
+const SHINGLE_SIZE = 3; // words per shingle
+const WORD_PATTERN = /[\p{L}\p{N}]+/gu;
+
+/**
+ * 32-bit FNV-1a hash with a murmur3 finalizer (spreads short inputs over all bits)
+ * @param {string} text - Input
+ * @param {number} seed - Different seeds give independent hashes
+ * @returns {number} Unsigned 32-bit hash
+ */
+function hash32(text, seed) {
+  let hash = (0x811c9dc5 ^ seed) >>> 0;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  hash ^= hash >>> 16;
+  hash = Math.imul(hash, 0x85ebca6b);
+  hash ^= hash >>> 13;
+  hash = Math.imul(hash, 0xc2b2ae35);
+  hash ^= hash >>> 16;
+  return hash >>> 0;
+}
+
+function popcount32(value) {
+  value = value - ((value >>> 1) & 0x55555555);
+  value = (value & 0x33333333) + ((value >>> 2) & 0x33333333);
+  return (Math.imul((value + (value >>> 4)) & 0x0f0f0f0f, 0x01010101) >>> 24);
+}
+
+/**
+ * Compute the SimHash fingerprint of a page's text
+ * Overlapping word shingles vote on each bit, weighted by how often they occur.
+ * @param {string} text - Cleaned page text
+ * @returns {string|null} 16 hex characters, or null if the text has no words
+ */
+export function computeSimilarityHash(text) {
+  const words = String(text || '').toLowerCase().match(WORD_PATTERN);
+  if (!words) return null;
+
+  const shingles = new Map(); // shingle → occurrences
+  const size = Math.min(SHINGLE_SIZE, words.length);
+  for (let i = 0; i + size <= words.length; i++) {
+    const shingle = words.slice(i, i + size).join(' ');
+    shingles.set(shingle, (shingles.get(shingle) || 0) + 1);
+  }
+
+  const votes = new Array(FINGERPRINT_BITS).fill(0);
+  for (const [shingle, weight] of shingles) {
+    const halves = [hash32(shingle, 0), hash32(shingle, 0x9e3779b9)];
+    for (let bit = 0; bit < FINGERPRINT_BITS; bit++) {
+      const set = (halves[bit >> 5] >>> (bit & 31)) & 1;
+      votes[bit] += set ? weight : -weight;
+    }
+  }
+
+  const halves = [0, 0];
+  votes.forEach((vote, bit) => {
+    if (vote > 0) halves[bit >> 5] |= 1 << (bit & 31);
+  });
+  return halves.map(half => (half >>> 0).toString(16).padStart(8, '0')).join('');
+}
+
+/**
+ * Similarity of two fingerprints: the share of bits they have in common
+ * @param {string} a - Fingerprint from computeSimilarityHash
+ * @param {string} b - Fingerprint from computeSimilarityHash
+ * @returns {number|null} 0-1 (1 = same fingerprint), null if either is missing
+ */
+export function getSimilarity(a, b) {
+  if (!a || !b || a.length !== 16 || b.length !== 16) return null;
+  let distance = 0;
+  for (let offset = 0; offset < 16; offset += 8) {
+    const x = parseInt(a.slice(offset, offset + 8), 16);
+    const y = parseInt(b.slice(offset, offset + 8), 16);
+    distance += popcount32((x ^ y) >>> 0);
+  }
+  return 1 - distance / FINGERPRINT_BITS;
+}
+
+/**
+ * Find the entry most similar to a fingerprint, at or above the threshold
+ * @param {string} similarityHash - Fingerprint of the new page
+ * @param {Iterable<{similarityHash: string}>} entries - Fingerprints to compare with
+ * @param {number} threshold - Minimum similarity (0-1)
+ * @returns {{entry: object, similarity: number}|null}
+ */
+export function findNearDuplicate(similarityHash, entries, threshold) {
+  let best = null;
+  for (const entry of entries) {
+    const similarity = getSimilarity(similarityHash, entry.similarityHash);
+    if (similarity !== null && similarity >= threshold && (!best || similarity > best.similarity)) {
+      best = { entry, similarity };
+    }
+  }
+  return best;
+}
+
+/**
+ * Cluster pages whose fingerprints are at least `threshold` similar
+ * Similarity is transitive within a group (A~B and B~C puts A, B and C together).
+ * Every pair is compared, which is fine for the page counts of a single job.
+ * @param {Array<{id: string, similarityHash: string, extractedAt?: number}>} pages - Pages with fingerprints
+ * @param {number} threshold - Minimum similarity (0-1)
+ * @returns {Array<Array<{page: object, similarity: number}>>} Groups of two or more pages; the earliest
+ *   extracted page comes first and the others carry their similarity to it, most similar first
+ */
+export function groupNearDuplicates(pages, threshold = DEFAULT_NEAR_DUPLICATE_THRESHOLD) {
+  const candidates = pages.filter(page => page.similarityHash);
+  const parent = candidates.map((_, index) => index);
+  const find = (index) => {
+    while (parent[index] !== index) {
+      parent[index] = parent[parent[index]];
+      index = parent[index];
+    }
+    return index;
+  };
+
+  for (let i = 0; i < candidates.length; i++) {
+    for (let j = i + 1; j < candidates.length; j++) {
+      const similarity = getSimilarity(candidates[i].similarityHash, candidates[j].similarityHash);
+      if (similarity !== null && similarity >= threshold) {
+        parent[find(j)] = find(i);
+      }
+    }
+  }
+
+  const clusters = new Map(); // root index → pages
+  candidates.forEach((page, index) => {
+    const root = find(index);
+    if (!clusters.has(root)) clusters.set(root, []);
+    clusters.get(root).push(page);
+  });
+
+  return Array.from(clusters.values())
+    .filter(cluster => cluster.length > 1)
+    .map(cluster => {
+      const [first, ...rest] = cluster.sort((a, b) => (a.extractedAt || 0) - (b.extractedAt || 0));
+      return [
+        { page: first, similarity: 1 },
+        ...rest
+          .map(page => ({ page, similarity: getSimilarity(first.similarityHash, page.similarityHash) }))
+          .sort((a, b) => b.similarity - a.similarity)
+      ];
+    });
+}
+
+/**
+ * Clamp the near-duplicate threshold of a crawl
+ * @param {number|null} value - Requested similarity (0-1)
+ * @returns {number|null} null when near-duplicate merging is off
+ */
+export function normalizeNearDuplicateThreshold(value) {
+  if (!Number.isFinite(value)) return null;
+  return Math.max(MIN_NEAR_DUPLICATE_THRESHOLD, Math.min(MAX_NEAR_DUPLICATE_THRESHOLD, value));
+}
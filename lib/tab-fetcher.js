@@ -8,6 +8,12 @@
  */
 
 import { logError } from './error-logger.js';
+import { authHeadersFor, authCookieHeaderFor, authUrlPatterns } from './crawl-auth.js';
+import { runPageActionsInPage } from './page-actions.js';
+import { scrollToEnd } from './infinite-scroll.js';
+import { captureWithinLimits } from './screenshots.js';
+import { readArchiveInfo, ARCHIVE_MIME_TYPE } from './page-archives.js';
+import { ApiRecorder, summarizeRecording } from './api-recording.js';
 
 const TAB_FETCHER_VERSION = '2.34.0';
 console.log(`🚀 [TabFetcher] Loading tab-fetcher.js v${TAB_FETCHER_VERSION} (fast mode, incognito support)`);
@@ -57,13 +63,133 @@ const CONTENT_CHECK_INTERVAL = 200; // Check content growth every 200ms
 
 // Pool of crawl tabs for parallel processing
 // Each worker gets its own tab with debugger attached to bypass background throttling
-let crawlTabPool = []; // Array of { tabId, inUse: boolean }
+let crawlTabPool = []; // Array of { tabId, inUse: boolean, incognito: boolean }
 let debuggerAttached = new Set(); // Track which tabs have debugger attached
 
 // Incognito window management
 let incognitoWindowId = null; // ID of the incognito window (if using incognito mode)
 let currentIncognitoMode = false; // Track if current crawl session uses incognito
 
+// Main document responses, captured through the debugger's Network domain
+// tabId → { status, retryAfter, url } for the current navigation (null until the response arrives)
+const THROTTLE_STATUSES = [429, 503];
+let documentResponses = new Map();
+let networkListenerRegistered = false;
+
+// Crawl authentication (see lib/crawl-auth.js), set up per navigation because crawls share tabs
+// tabId → requestAuth the tab's interception is set up for
+let tabAuth = new Map();
+
+// API recording (see lib/api-recording.js): tabId → ApiRecorder of the page being loaded
+let apiRecorders = new Map();
+
+/**
+ * Register the chrome.debugger event listener once per service worker lifetime
+ */
+function ensureNetworkListener() {
+  if (networkListenerRegistered || !chrome.debugger?.onEvent) return;
+  chrome.debugger.onEvent.addListener(handleDebuggerEvent);
+  networkListenerRegistered = true;
+}
+
+/**
+ * Record the first Document response after each navigation
+ * Iframe documents arrive later, so the first one is the main frame
+ * Requests paused for crawl authentication are continued with its headers
+ * Network events also go to the tab's API recorder, when the page is being recorded
+ */
+function handleDebuggerEvent(source, method, params) {
+  if (method === 'Fetch.requestPaused') {
+    continueWithAuthHeaders(source.tabId, params);
+    return;
+  }
+  apiRecorders.get(source.tabId)?.handleEvent(method, params);
+  if (method !== 'Network.responseReceived' || params?.type !== 'Document') return;
+
+  const tabId = source.tabId;
+  if (!documentResponses.has(tabId) || documentResponses.get(tabId) !== null) return;
+
+  const headers = params.response?.headers || {};
+  const retryAfterKey = Object.keys(headers).find(key => key.toLowerCase() === 'retry-after');
+
+  documentResponses.set(tabId, {
+    status: params.response?.status,
+    retryAfter: retryAfterKey ? headers[retryAfterKey] : null,
+    url: params.response?.url
+  });
+}
+
+/**
+ * Continue a request paused by Fetch.enable, adding the crawl's auth headers and cookies
+ * The cookies go into the request's Cookie header, replacing ones of the same name, so the
+ * browser's cookie store is never changed.
+ * Every paused request must be continued, or the page hangs
+ */
+async function continueWithAuthHeaders(tabId, params) {
+  const requestAuth = tabAuth.get(tabId);
+  const url = params.request?.url;
+  const authHeaders = [...authHeadersFor(requestAuth, url)];
+  const requestHeaders = Object.entries(params.request?.headers || {});
+
+  const authCookies = authCookieHeaderFor(requestAuth, url);
+  if (authCookies) {
+    const names = new Set(requestAuth.cookies.map(cookie => cookie.name));
+    const existing = requestHeaders.find(([name]) => name.toLowerCase() === 'cookie')?.[1] || '';
+    const kept = existing.split(';')
+      .map(part => part.trim())
+      .filter(part => part && !names.has(part.split('=')[0]));
+    authHeaders.push({ name: 'Cookie', value: [...kept, authCookies].join('; ') });
+  }
+
+  const overridden = new Set(authHeaders.map(header => header.name.toLowerCase()));
+  const headers = requestHeaders
+    .filter(([name]) => !overridden.has(name.toLowerCase()))
+    .map(([name, value]) => ({ name, value }));
+
+  try {
+    await chrome.debugger.sendCommand({ tabId }, 'Fetch.continueRequest', authHeaders.length > 0
+      ? { requestId: params.requestId, headers: [...headers, ...authHeaders] }
+      : { requestId: params.requestId });
+  } catch (e) {
+    // The tab navigated away or closed in the meantime
+    console.warn(`[TabFetcher] Could not continue request in tab ${tabId}:`, e.message);
+  }
+}
+
+/**
+ * Set up a tab for the crawl it is about to load a page for
+ * Requests to the crawl's origins (and the domains its cookies name) are paused (Fetch domain)
+ * and continued with the auth headers and cookies, so third-party requests never see them.
+ * Nothing is written to the browser's cookie store, so a tab that moves on to another
+ * crawl carries no credentials over.
+ * @param {Object} entry - Pool entry
+ * @param {Object|null} auth - requestAuth from lib/crawl-auth.js buildRequestAuth()
+ */
+async function applyTabAuth(entry, auth) {
+  const tabId = entry.tabId;
+  const current = tabAuth.get(tabId) || null;
+  if (current === auth) return;
+
+  if (hasTabAuth(auth)) {
+    await chrome.debugger.sendCommand({ tabId }, 'Fetch.enable', {
+      patterns: authUrlPatterns(auth).map(urlPattern => ({ urlPattern, requestStage: 'Request' }))
+    });
+  } else if (hasTabAuth(current)) {
+    await chrome.debugger.sendCommand({ tabId }, 'Fetch.disable', {});
+  }
+
+  if (auth) {
+    tabAuth.set(tabId, auth);
+  } else {
+    tabAuth.delete(tabId);
+  }
+  console.log(`[TabFetcher] Tab ${tabId} set up ${auth ? `with auth for ${auth.origins.join(', ')}` : 'without auth'}`);
+}
+
+function hasTabAuth(auth) {
+  return auth?.headers.length > 0 || auth?.cookies.length > 0;
+}
+
 /**
  * Check if the extension is allowed to run in incognito mode
  * User must enable this in chrome://extensions → extension details → "Allow in Incognito"
@@ -118,13 +244,33 @@ async function getOrCreateIncognitoWindow() {
  * @param {Object} options - Fetch options
  * @param {number} options.timeout - Max wait time in ms
  * @param {string[]} options.waitForSelectors - CSS selectors to wait for
- * @returns {Promise<{html: string, text: string}>} Object with html (for link extraction) and text (for content storage)
+ * @param {Object} options.auth - Crawl authentication from lib/crawl-auth.js buildRequestAuth() (or null)
+ * @param {Object} options.profile - Extraction profile for this URL (lib/extraction-profiles.js), or null
+ * @param {Object} options.pageActions - Actions run before extraction (lib/page-actions.js normalizePageActions()),
+ *   or null; what ran is recorded in markdownMeta.pageActions
+ * @param {Object} options.infiniteScroll - Scroll limits (lib/infinite-scroll.js normalizeInfiniteScroll()), or null;
+ *   how far it got is recorded in markdownMeta.infiniteScroll
+ * @param {Object} options.screenshot - Screenshot settings (lib/screenshots.js normalizeScreenshotSettings()), or null;
+ *   the image is returned as screenshot and summarized in markdownMeta.screenshot
+ * @param {Object} options.archive - Snapshot limits ({maxBytes} from lib/page-archives.js), or null; the MHTML
+ *   snapshot is returned as archive and summarized in markdownMeta.archive
+ * @param {Object} options.apiRecording - Recording settings (lib/api-recording.js normalizeApiRecordingSettings()),
+ *   or null; the XHR/fetch calls are returned as apiRecording and summarized in markdownMeta.apiRecording
+ * @returns {Promise<{html: string, text: string, httpStatus: number|null}>} Object with html (for link extraction) and text (for content storage)
+ * @throws {Error} RateLimitError (with httpStatus and raw retryAfter header) when the server answers 429/503
  */
 export async function fetchRenderedContent(url, options = {}) {
   const {
     timeout = DEFAULT_TIMEOUT,
     waitForSelectors = [],
-    useIncognito = false   // Use incognito window for clean session
+    useIncognito = false,  // Use incognito window for clean session
+    auth = null,
+    profile = null,
+    pageActions = null,
+    infiniteScroll = null,
+    screenshot: screenshotSettings = null,
+    archive: archiveSettings = null,
+    apiRecording: apiRecordingSettings = null
   } = options;
 
   let poolEntry = null;
@@ -151,8 +297,14 @@ export async function fetchRenderedContent(url, options = {}) {
     // 1. Acquire a crawl tab from the pool (with debugger attached)
     poolEntry = await acquireCrawlTab(useIncognito);
     const tabId = poolEntry.tabId;
+    await applyTabAuth(poolEntry, auth);
 
-    // 2. Navigate the tab to the new URL
+    // 2. Navigate the tab to the new URL (resetting the captured document response)
+    documentResponses.set(tabId, null);
+    const recordedAt = new Date().toISOString();
+    if (apiRecordingSettings) {
+      startApiRecording(tabId, apiRecordingSettings, auth);
+    }
     await chrome.tabs.update(tabId, { url: url });
     console.log(`[TabFetcher] Navigating tab ${tabId} to: ${url}`);
 
@@ -160,6 +312,16 @@ export async function fetchRenderedContent(url, options = {}) {
     await waitForTabComplete(tabId, timeout);
     console.log(`[TabFetcher] Initial load complete for: ${url}`);
 
+    // Throttled responses carry no content - surface them so the crawler can back off
+    const documentResponse = documentResponses.get(tabId);
+    if (documentResponse && THROTTLE_STATUSES.includes(documentResponse.status)) {
+      const throttled = new Error(`Server responded with HTTP ${documentResponse.status}`);
+      throttled.name = 'RateLimitError';
+      throttled.httpStatus = documentResponse.status;
+      throttled.retryAfter = documentResponse.retryAfter;
+      throw throttled;
+    }
+
     // 4. Spoof Page Visibility API to make page think it's visible
     // Some sites defer rendering until document.visibilityState === 'visible'
     await spoofPageVisibility(tabId);
@@ -172,16 +334,48 @@ export async function fetchRenderedContent(url, options = {}) {
       await waitForSelectorsPresent(tabId, waitForSelectors, timeout);
     }
 
+    // 6. Infinite scroll: keep scrolling while the page loads more
+    const scrollRun = infiniteScroll ? await scrollThroughPage(tabId, infiniteScroll) : null;
+
+    // 7. Open collapsed content, capture tab panels, scroll for lazy loading
+    const pageActionsRun = pageActions ? await runPageActions(tabId, pageActions) : null;
+
     console.log(`[TabFetcher] Content ready, extracting from: ${url}`);
 
-    // 6. Extract HTML (for link discovery), text (for content), metadata, markdown, and links
-    const { html, text, metadata, markdown, markdownMeta, links } = await extractContent(tabId);
+    // 8. Extract HTML (for link discovery), text (for content), metadata, markdown, and links
+    const { html, text, metadata, markdown, markdownMeta, links } = await extractContent(tabId, profile);
+    if (scrollRun && markdownMeta) {
+      markdownMeta.infiniteScroll = scrollRun;
+    }
+    if (pageActionsRun && markdownMeta) {
+      markdownMeta.pageActions = pageActionsRun;
+    }
+
+    // 9. Full-page screenshot of what was extracted
+    const screenshot = screenshotSettings ? await captureFullPage(tabId, screenshotSettings) : null;
+    if (screenshot && markdownMeta) {
+      const { data, ...summary } = screenshot;
+      markdownMeta.screenshot = summary;
+    }
+
+    // 10. MHTML archive snapshot of the rendered page
+    const archive = archiveSettings ? await captureArchive(tabId, archiveSettings) : null;
+    if (archive && markdownMeta) {
+      const { blob, ...summary } = archive;
+      markdownMeta.archive = summary;
+    }
+
+    // 11. API calls made while the page loaded, scrolled and ran its actions
+    const apiRecording = apiRecordingSettings ? await finishApiRecording(tabId, recordedAt) : null;
+    if (apiRecording && markdownMeta) {
+      markdownMeta.apiRecording = summarizeRecording(apiRecording);
+    }
 
     console.log(`[TabFetcher] Extracted ${text.length} text characters, ${html.length} HTML characters, ${links?.length || 0} links from: ${url}`);
     if (markdown && markdownMeta) {
       console.log(`[TabFetcher] Markdown conversion: confidence=${(markdownMeta.confidence * 100).toFixed(0)}%, textLength=${markdownMeta.textLength}`);
     }
-    return { html, text, metadata, markdown, markdownMeta, links };
+    return { html, text, metadata, markdown, markdownMeta, links, screenshot, archive, apiRecording, httpStatus: documentResponse?.status ?? null };
 
   } catch (error) {
     // Log with full error details for debugging
@@ -200,11 +394,14 @@ export async function fetchRenderedContent(url, options = {}) {
     // Throw error with details preserved
     const wrappedError = new Error(`Failed to fetch rendered content from ${url}: ${errorDetails}`);
     wrappedError.originalError = error;
+    wrappedError.httpStatus = error.httpStatus;
+    wrappedError.retryAfter = error.retryAfter;
     throw wrappedError;
 
   } finally {
     // Release the tab back to the pool for other workers to use
     if (poolEntry) {
+      apiRecorders.delete(poolEntry.tabId);
       releaseCrawlTab(poolEntry);
     }
   }
@@ -218,8 +415,9 @@ export async function fetchRenderedContent(url, options = {}) {
  */
 async function acquireCrawlTab(useIncognito = false) {
   // First, try to find an available tab in the pool
+  // Concurrent crawls may mix modes, so only reuse a tab from the same kind of window
   for (const entry of crawlTabPool) {
-    if (!entry.inUse) {
+    if (!entry.inUse && entry.incognito === useIncognito) {
       // Verify the tab still exists
       try {
         await chrome.tabs.get(entry.tabId);
@@ -229,6 +427,7 @@ async function acquireCrawlTab(useIncognito = false) {
       } catch (e) {
         // Tab was closed, clean up
         debuggerAttached.delete(entry.tabId);
+        tabAuth.delete(entry.tabId);
         const index = crawlTabPool.indexOf(entry);
         if (index > -1) crawlTabPool.splice(index, 1);
       }
@@ -263,7 +462,8 @@ async function acquireCrawlTab(useIncognito = false) {
 
   const entry = {
     tabId: tab.id,
-    inUse: true
+    inUse: true,
+    incognito: useIncognito
   };
   crawlTabPool.push(entry);
 
@@ -290,6 +490,14 @@ async function attachDebugger(tabId) {
     debuggerAttached.add(tabId);
     console.log(`[TabFetcher] Debugger attached to tab ${tabId}`);
 
+    // Enable the Network domain so main document status codes (429/503) and headers are visible
+    ensureNetworkListener();
+    try {
+      await chrome.debugger.sendCommand({ tabId }, 'Network.enable', {});
+    } catch (e) {
+      console.warn(`[TabFetcher] Network.enable failed for tab ${tabId} (status codes unavailable):`, e);
+    }
+
     // Enable focus emulation - makes the page think it's focused
     await chrome.debugger.sendCommand({ tabId }, 'Emulation.setFocusEmulationEnabled', { enabled: true });
     console.log(`[TabFetcher] Focus emulation enabled for tab ${tabId}`);
@@ -355,6 +563,8 @@ export async function closeCrawlWindow() {
 
   crawlTabPool = [];
   debuggerAttached.clear();
+  documentResponses.clear();
+  tabAuth.clear();
 
   // Close incognito window if it was used
   if (incognitoWindowId) {
@@ -803,12 +1013,202 @@ function waitForSelectorsInPage(selectors, maxTimeout) {
   });
 }
 
+/**
+ * Measure the element being scrolled: the document, or the scroll container in the middle
+ * of the viewport when the document itself does not scroll (app shells with a scrolling <main>)
+ */
+const MEASURE_SCROLL_EXPRESSION = `(() => {
+  const x = Math.round(window.innerWidth / 2);
+  const y = Math.round(window.innerHeight / 2);
+  const root = document.scrollingElement || document.documentElement;
+  let scroller = root;
+  if (root.scrollHeight <= root.clientHeight) {
+    for (let el = document.elementFromPoint(x, y); el && el !== document.body && el !== root; el = el.parentElement) {
+      const overflow = getComputedStyle(el).overflowY;
+      if ((overflow === 'auto' || overflow === 'scroll') && el.scrollHeight > el.clientHeight) {
+        scroller = el;
+        break;
+      }
+    }
+  }
+  return {
+    x,
+    y,
+    top: scroller.scrollTop,
+    scrollHeight: scroller.scrollHeight,
+    clientHeight: scroller.clientHeight,
+    textLength: document.body ? document.body.innerText.length : 0
+  };
+})()`;
+
+/**
+ * Scroll the tab with mouse wheel events until the content stops growing or a limit is reached
+ * Uses the debugger session of the crawl tab (Runtime.evaluate, Input.dispatchMouseEvent)
+ * @param {number} tabId - Crawl tab
+ * @param {Object} settings - Normalized infinite-scroll settings
+ * @returns {Promise<Object|null>} scrollToEnd() result, null when scrolling failed
+ */
+async function scrollThroughPage(tabId, settings) {
+  const target = { tabId };
+  let point = null;
+  const driver = {
+    measure: async () => {
+      const { result } = await chrome.debugger.sendCommand(target, 'Runtime.evaluate', {
+        expression: MEASURE_SCROLL_EXPRESSION,
+        returnByValue: true
+      });
+      point = result.value;
+      return result.value;
+    },
+    scroll: (distance) => chrome.debugger.sendCommand(target, 'Input.dispatchMouseEvent', {
+      type: 'mouseWheel',
+      x: point.x,
+      y: point.y,
+      deltaX: 0,
+      deltaY: distance
+    }),
+    wait: sleep
+  };
+
+  try {
+    const result = await scrollToEnd(driver, settings);
+    console.log(`[TabFetcher] Infinite scroll: ${result.steps} steps to ${result.height}px in ${result.elapsed}ms (${result.stopReason}` +
+      `${result.virtualized ? ', virtualized list' : ''})`);
+    return result;
+  } catch (error) {
+    console.warn(`[TabFetcher] Infinite scroll failed:`, error);
+    return null;
+  }
+}
+
+/**
+ * Run pre-extraction page actions in the tab
+ * @param {number} tabId - Crawl tab
+ * @param {Object} actions - Normalized page actions
+ * @returns {Promise<{ran: Array<Object>, skipped: string[], elapsed: number}|null>} null when they could not run
+ */
+async function runPageActions(tabId, actions) {
+  try {
+    const result = await chrome.scripting.executeScript({
+      target: { tabId },
+      func: runPageActionsInPage,
+      args: [actions]
+    });
+
+    if (result && result[0] && result[0].result) {
+      const { ran, skipped, elapsed } = result[0].result;
+      console.log(`[TabFetcher] Page actions: ${ran.map(entry => entry.action).join(', ') || 'none'} in ${elapsed}ms` +
+        (skipped.length > 0 ? ` (out of time for: ${skipped.join(', ')})` : ''));
+      return result[0].result;
+    }
+  } catch (error) {
+    console.warn(`[TabFetcher] Page actions failed:`, error);
+  }
+  return null;
+}
+
+/**
+ * Take a full-page screenshot of the tab within the size cap
+ * Uses the debugger session of the crawl tab (Page.getLayoutMetrics, Page.captureScreenshot)
+ * @param {number} tabId - Crawl tab
+ * @param {Object} settings - Normalized screenshot settings
+ * @returns {Promise<Object|null>} captureWithinLimits() result, null when no screenshot fit or capturing failed
+ */
+async function captureFullPage(tabId, settings) {
+  const target = { tabId };
+  try {
+    // The capture starts at the top of the document, wherever scrolling left it
+    await chrome.debugger.sendCommand(target, 'Runtime.evaluate', { expression: 'window.scrollTo(0, 0)' });
+    const { cssContentSize, contentSize } = await chrome.debugger.sendCommand(target, 'Page.getLayoutMetrics');
+    const size = cssContentSize || contentSize;
+
+    const screenshot = await captureWithinLimits(async ({ format, quality, clip }) => {
+      const { data } = await chrome.debugger.sendCommand(target, 'Page.captureScreenshot', {
+        format,
+        quality,
+        clip,
+        captureBeyondViewport: true
+      });
+      return data;
+    }, size, settings);
+
+    if (screenshot) {
+      console.log(`[TabFetcher] Screenshot: ${screenshot.width}x${screenshot.height} ${screenshot.format}, ` +
+        `${Math.round(screenshot.bytes / 1024)} KB${screenshot.clipped ? ' (cut at the height limit)' : ''}`);
+    } else {
+      console.warn(`[TabFetcher] Screenshot skipped: empty page, or larger than ${Math.round(settings.maxBytes / 1024)} KB even at the lowest quality`);
+    }
+    return screenshot;
+  } catch (error) {
+    console.warn(`[TabFetcher] Screenshot failed:`, error);
+    return null;
+  }
+}
+
+/**
+ * Take an MHTML snapshot of the tab
+ * Uses the debugger session of the crawl tab (Page.captureSnapshot)
+ * @param {number} tabId - Crawl tab
+ * @param {{maxBytes: number}} settings - Largest snapshot kept
+ * @returns {Promise<{blob, bytes, resources, capturedAt}|null>} null when the snapshot was too large or capturing failed
+ */
+async function captureArchive(tabId, settings) {
+  try {
+    const { data } = await chrome.debugger.sendCommand({ tabId }, 'Page.captureSnapshot', { format: 'mhtml' });
+    const blob = new Blob([data], { type: ARCHIVE_MIME_TYPE });
+    if (blob.size > settings.maxBytes) {
+      console.warn(`[TabFetcher] Archive snapshot skipped: ${Math.round(blob.size / 1024)} KB is over the ${Math.round(settings.maxBytes / 1024)} KB limit`);
+      return null;
+    }
+
+    const { resources } = readArchiveInfo(data);
+    console.log(`[TabFetcher] Archive snapshot: ${Math.round(blob.size / 1024)} KB, ${resources} resources`);
+    return { blob, bytes: blob.size, resources, capturedAt: new Date().toISOString() };
+  } catch (error) {
+    console.warn(`[TabFetcher] Archive snapshot failed:`, error);
+    return null;
+  }
+}
+
+/**
+ * Start recording the API calls of the page about to load in the tab
+ * @param {number} tabId - Crawl tab
+ * @param {Object} settings - normalizeApiRecordingSettings() result
+ * @param {Object|null} auth - requestAuth of the crawl, whose headers are never stored
+ */
+function startApiRecording(tabId, settings, auth) {
+  const target = { tabId };
+  apiRecorders.set(tabId, new ApiRecorder(settings, {
+    getResponseBody: (requestId) => chrome.debugger.sendCommand(target, 'Network.getResponseBody', { requestId }),
+    getRequestPostData: (requestId) => chrome.debugger.sendCommand(target, 'Network.getRequestPostData', { requestId }),
+    redactHeaders: (auth?.headers || []).map(header => header.name)
+  }));
+}
+
+/**
+ * Stop recording the tab's API calls
+ * @param {number} tabId - Crawl tab
+ * @param {string} recordedAt - When the page started loading (ISO date)
+ * @returns {Promise<{recordedAt, entries, skipped}|null>} entries are HAR 1.2 entries
+ */
+async function finishApiRecording(tabId, recordedAt) {
+  const recorder = apiRecorders.get(tabId);
+  if (!recorder) return null;
+  apiRecorders.delete(tabId);
+  const { entries, skipped } = await recorder.finish();
+  console.log(`[TabFetcher] API recording: ${entries.length} calls${skipped > 0 ? ` (${skipped} more past the per-page limit)` : ''}`);
+  return { recordedAt, entries, skipped };
+}
+
 /**
  * Extract both HTML and text content from the tab
  * Returns HTML for link discovery and text for content storage
- * Also processes markdown conversion in tab context (where DOM is available)
+ * Also processes markdown conversion in tab context (where DOM is available),
+ * using extractPageContent() from lib/dom-extractor.js
+ * @param {number} tabId - Crawl tab
+ * @param {Object|null} profile - Extraction profile for the page
  */
-async function extractContent(tabId) {
+async function extractContent(tabId, profile = null) {
   // Inject Turndown and GFM plugin for markdown conversion (Readability no longer used)
   try {
     await chrome.scripting.executeScript({
@@ -820,753 +1220,16 @@ async function extractContent(tabId) {
     // Continue anyway - we'll just skip markdown processing
   }
 
-  const result = await chrome.scripting.executeScript({
+  // The extraction itself is shared with fast mode's offscreen document
+  await chrome.scripting.executeScript({
     target: { tabId },
-    func: () => {
-      // Extract metadata from page head
-      function extractMetadata() {
-        const metadata = {};
-
-        // Helper function to safely get content
-        const getContent = (selector, attr = 'content') => {
-          const el = document.querySelector(selector);
-          return el ? el[attr] : null;
-        };
-
-        // Standard meta tags
-        metadata.description = getContent('meta[name="description"]');
-        metadata.keywords = getContent('meta[name="keywords"]');
-        metadata.author = getContent('meta[name="author"]');
-        metadata.generator = getContent('meta[name="generator"]');
-
-        // Open Graph
-        metadata.ogTitle = getContent('meta[property="og:title"]');
-        metadata.ogDescription = getContent('meta[property="og:description"]');
-        metadata.ogType = getContent('meta[property="og:type"]');
-        metadata.ogSiteName = getContent('meta[property="og:site_name"]');
-
-        // Article metadata
-        metadata.articleSection = getContent('meta[property="article:section"]');
-        const tagElements = document.querySelectorAll('meta[property="article:tag"]');
-        metadata.articleTags = tagElements.length > 0
-          ? Array.from(tagElements).map(tag => tag.content).filter(Boolean)
-          : null;
-
-        // Canonical URL
-        metadata.canonical = getContent('link[rel="canonical"]', 'href');
-
-        // JSON-LD structured data
-        const jsonLdScripts = document.querySelectorAll('script[type="application/ld+json"]');
-        let jsonLdData = null;
-
-        if (jsonLdScripts.length > 0) {
-          jsonLdScripts.forEach(script => {
-            try {
-              const data = JSON.parse(script.textContent);
-              if (data && (data.headline || data.description || data.name)) {
-                // Store first valid JSON-LD with descriptive content
-                if (!jsonLdData) {
-                  jsonLdData = {
-                    type: data['@type'] || null,
-                    headline: data.headline || null,
-                    description: data.description || null,
-                    name: data.name || null,
-                    author: data.author?.name || null
-                  };
-                }
-              }
-            } catch(e) {
-              // Silently skip invalid JSON-LD
-            }
-          });
-        }
-
-        metadata.jsonLd = jsonLdData;
-
-        // Clean up null values
-        Object.keys(metadata).forEach(key => {
-          if (metadata[key] === null || metadata[key] === undefined) {
-            delete metadata[key];
-          }
-        });
-
-        return metadata;
-      }
-
-      // Process markdown conversion using direct body conversion (no Readability)
-      // This approach preserves all content and is more reliable for documentation sites
-      function processMarkdown(html, url, text) {
-        try {
-          // Check if TurndownService is available
-          if (typeof TurndownService === 'undefined') {
-            console.log('[TabFetcher] Turndown library not available, skipping conversion');
-            return { markdown: null, markdownMeta: null };
-          }
-
-          /**
-           * Remove noise elements from a document clone.
-           * Removes navigation, sidebars, ads, and other non-content elements.
-           *
-           * @param {Document} doc - Document to clean (will be modified)
-           */
-          function removeNoiseElements(doc) {
-            const noiseSelectors = [
-              // Scripts and styles
-              'script', 'style', 'noscript',
-              // Navigation and UI elements
-              'nav', 'header', 'footer', 'aside',
-              '.navigation', '.nav', '.navbar', '.menu', '.sidebar',
-              '.header', '.footer', '.breadcrumb', '.breadcrumbs',
-              // Sidebar variations (common in documentation sites)
-              '#side-bar', '#sidebar', '#sideBar', '#SideBar',
-              '#left-sidebar', '#right-sidebar', '#leftSidebar', '#rightSidebar',
-              '.side-bar', '.sideBar', '.left-sidebar', '.right-sidebar',
-              '#nav-btn-container', '.nav-button', '.nav-footer',
-              '.toc', '#toc', '.table-of-contents', '#table-of-contents',
-              // CSS Modules patterns (keyword followed by hash separator __)
-              // Matches patterns like: componentName_documentationSidebar__hash, styles_mainNavigation__abc123
-              // Broader patterns - keyword anywhere before the __ hash separator
-              '[class*="Sidebar__"]', '[class*="sidebar__"]',
-              '[class*="SideBar__"]', '[class*="sideBar__"]',
-              '[class*="Sidenav__"]', '[class*="sidenav__"]',
-              '[class*="SideNav__"]', '[class*="sideNav__"]',
-              '[class*="Navigation__"]', '[class*="navigation__"]',
-              '[class*="NavMenu__"]', '[class*="navMenu__"]',
-              '[class*="NavBar__"]', '[class*="navBar__"]', '[class*="Navbar__"]', '[class*="navbar__"]',
-              '[class*="TopNav__"]', '[class*="topNav__"]',
-              '[class*="SideMenu__"]', '[class*="sideMenu__"]',
-              '[class*="Drawer__"]', '[class*="drawer__"]',
-              '[class*="LeftPanel__"]', '[class*="leftPanel__"]',
-              '[class*="RightPanel__"]', '[class*="rightPanel__"]',
-              // Material UI (MUI) specific patterns
-              '[class^="MuiDrawer"]', '[class*=" MuiDrawer"]',
-              '[class^="MuiAppBar"]', '[class*=" MuiAppBar"]',
-              // Data attributes commonly used for navigation JS control
-              '[data-sidebar]', '[data-drawer]', '[data-navigation]',
-              '[data-twe-sidenav-init]', '[data-twe-navbar-init]',
-              // Ads and social
-              '.ad', '.ads', '.advertisement', '.social-share', '.share-buttons',
-              // Cookie banners and popups
-              '.cookie-banner', '.cookie-notice', '.gdpr', '.consent',
-              '.popup', '.modal', '.overlay',
-              // Comments
-              '.comments', '.comment-section', '#comments',
-              // Hidden elements
-              '[hidden]', '[aria-hidden="true"]',
-              // Role-based noise
-              '[role="navigation"]', '[role="banner"]', '[role="contentinfo"]',
-              '[role="complementary"]', '[role="search"]',
-              // Additional common noise patterns
-              '.related-posts', '.recommended', '.more-articles',
-              '.author-bio', '.author-card', '.post-author',
-              '.newsletter', '.subscribe', '.signup-form',
-              '.share-widget', '.social-links', '.social-buttons',
-              '.promo', '.promotion', '.banner',
-              '.feedback', '.rating', '.reactions'
-            ];
-
-            noiseSelectors.forEach(selector => {
-              try {
-                doc.querySelectorAll(selector).forEach(el => el.remove());
-              } catch (e) {
-                // Ignore invalid selectors
-              }
-            });
-          }
-
-          /**
-           * Create and configure the Turndown service with all custom rules.
-           *
-           * @returns {TurndownService} Configured Turndown instance
-           */
-          function createTurndownService() {
-            const turndownService = new TurndownService({
-              headingStyle: 'atx',
-              codeBlockStyle: 'fenced',
-              bulletListMarker: '-',
-              emDelimiter: '_',
-              strongDelimiter: '**',
-              linkStyle: 'inlined'
-            });
-
-            // Add GFM tables support
-            if (typeof turndownPluginGfm !== 'undefined' && turndownPluginGfm.tables) {
-              turndownService.use(turndownPluginGfm.tables);
-            }
-
-            // Custom rule: Handle <code> elements containing links
-            // Converts <code><a href="url">text</a></code> to [`text`](url)
-            turndownService.addRule('codeWithLink', {
-              filter: function (node) {
-                if (node.nodeName !== 'CODE') return false;
-                if (node.parentNode && node.parentNode.nodeName === 'PRE') return false;
-
-                const children = Array.from(node.childNodes);
-                const meaningfulChildren = children.filter(child => {
-                  if (child.nodeType === 3) {
-                    return child.textContent.trim() !== '';
-                  }
-                  return true;
-                });
-
-                return meaningfulChildren.length === 1 &&
-                       meaningfulChildren[0].nodeName === 'A';
-              },
-              replacement: function (content, node) {
-                const link = node.querySelector('a');
-                if (!link) return '`' + content + '`';
-
-                const href = link.getAttribute('href') || '';
-                const text = link.textContent || '';
-                const title = link.getAttribute('title');
-
-                const titlePart = title ? ' "' + title.replace(/"/g, '\\"') + '"' : '';
-                return '[`' + text + '`](' + href + titlePart + ')';
-              }
-            });
-
-            return turndownService;
-          }
-
-          /**
-           * Post-process markdown to clean up formatting issues.
-           *
-           * @param {string} markdown - Raw markdown from Turndown
-           * @returns {string} Cleaned markdown
-           */
-          function postProcessMarkdown(markdown) {
-            let result = markdown;
-            result = result.replace(/\n{4,}/g, '\n\n\n');
-            result = result.replace(/```(\w*)\n\n+/g, '```$1\n');
-            result = result.replace(/\n\n+```/g, '\n```');
-            result = result.replace(/^([-*+])\s{2,}/gm, '$1 ');
-            result = result.replace(/([^\n])\n(#{1,6}\s)/g, '$1\n\n$2');
-            result = result.split('\n').map(line => line.trimEnd()).join('\n');
-            result = result.trim() + '\n';
-            return result;
-          }
-
-          /**
-           * Detect and normalize non-standard code blocks that don't use <pre> tags.
-           * Some syntax highlighters (like react-syntax-highlighter) wrap code in
-           * <span> or <div> with white-space:pre styling instead of using <pre> tags.
-           * This converts them to standard <pre><code> structure before Turndown processes them.
-           *
-           * Detection heuristics (conservative, multi-signal approach):
-           * 1. Look for containers with multiple sibling <code> elements (not inside <pre>)
-           * 2. One <code> must appear to be line numbers (by class or content)
-           * 3. Another <code> must contain actual code (syntax tokens or non-digit content)
-           *
-           * @param {Document} doc - DOM document to process
-           */
-          function normalizeNonPreCodeBlocks(doc) {
-            const allCodes = Array.from(doc.querySelectorAll('code'));
-            const processed = new Set();
-
-            for (const code of allCodes) {
-              if (processed.has(code)) continue;
-              // Skip if already inside a <pre> - those are handled by normalizeCodeBlocks()
-              if (code.closest('pre')) continue;
-
-              const parent = code.parentElement;
-              if (!parent) continue;
-
-              // Get sibling <code> elements (direct children of same parent)
-              const siblingCodes = Array.from(parent.children).filter(el => el.tagName === 'CODE');
-              if (siblingCodes.length < 2) continue;
-
-              // Mark all siblings as processed to avoid duplicate handling
-              siblingCodes.forEach(c => processed.add(c));
-
-              // Identify which <code> is line numbers vs actual code
-              let lineNumberCode = null;
-              let actualCodeElement = null;
-
-              for (const codeEl of siblingCodes) {
-                const text = (codeEl.textContent || '').trim();
-
-                // Check for line number indicators:
-                // 1. Has children with known line-number classes
-                const hasLineNumberChildren = codeEl.querySelector(
-                  '.react-syntax-highlighter-line-number, ' +
-                  '.line-number, .line-numbers, .linenumber, .linenumbers, ' +
-                  '.hljs-ln-numbers, .hljs-ln-n, [data-line-number]'
-                );
-
-                // 2. Content is only digits and whitespace (e.g., "1 2 3 4 5")
-                const isOnlyDigits = /^[\d\s\n]+$/.test(text);
-
-                if (hasLineNumberChildren || (isOnlyDigits && text.length > 0)) {
-                  lineNumberCode = codeEl;
-                } else {
-                  // Check for syntax highlighting tokens (strong signal of actual code)
-                  const hasTokens = codeEl.querySelector(
-                    '.token, .punctuation, .keyword, .string, .number, ' +
-                    '[class*="hljs-"], [class*="prism-"]'
-                  );
-
-                  // Has tokens OR has non-digit content = actual code
-                  if (hasTokens || !isOnlyDigits) {
-                    actualCodeElement = codeEl;
-                  }
-                }
-              }
-
-              // Only proceed if we confidently found both patterns
-              if (lineNumberCode && actualCodeElement) {
-                const codeText = actualCodeElement.textContent || '';
-
-                // Try to detect language from various sources
-                let language = '';
-                const sources = [actualCodeElement, parent, parent.parentElement];
-                for (const el of sources) {
-                  if (!el || !el.className) continue;
-                  const match = el.className.match(/language-(\S+)/);
-                  if (match) {
-                    language = match[1];
-                    break;
-                  }
-                }
-
-                // Create standard <pre><code> structure
-                const pre = doc.createElement('pre');
-                const newCode = doc.createElement('code');
-                if (language) newCode.className = 'language-' + language;
-                newCode.textContent = codeText;
-                pre.appendChild(newCode);
-
-                // Replace parent element with the new <pre>
-                if (parent.parentNode) {
-                  parent.parentNode.replaceChild(pre, parent);
-                }
-              }
-            }
-          }
-
-          /**
-           * Normalize code blocks in the document before markdown conversion.
-           * Handles syntax highlighter output with line numbers, multiple <code> elements, etc.
-           *
-           * @param {Document} doc - DOM document to process
-           */
-          function normalizeCodeBlocks(doc) {
-            const preTags = doc.querySelectorAll('pre');
-
-            preTags.forEach(pre => {
-              // Remove known decorative elements (line numbers, copy buttons, etc.)
-              const decorativeSelectors = [
-                '.react-syntax-highlighter-line-number',
-                '.line-number', '.line-numbers', '.linenumber', '.linenumbers',
-                '.hljs-ln-numbers', '.hljs-ln-n', '[data-line-number]',
-                '.copy-button', '.copy-code', 'button.copy',
-                '.code-toolbar > .toolbar', '.prism-show-language', '.line-numbers-rows'
-              ];
-
-              decorativeSelectors.forEach(selector => {
-                try {
-                  pre.querySelectorAll(selector).forEach(el => el.remove());
-                } catch (e) {
-                  // Ignore invalid selectors
-                }
-              });
-
-              // Get all direct <code> children
-              const codeElements = Array.from(pre.querySelectorAll(':scope > code'));
-
-              // If 0 or 1 code elements, nothing special to do
-              if (codeElements.length <= 1) return;
-
-              // Multiple <code> elements - find the actual code (not line numbers)
-              let actualCodeText = '';
-              let detectedLanguage = '';
-
-              for (const code of codeElements) {
-                const text = code.textContent || '';
-                const className = code.className || '';
-
-                // Skip line numbers
-                if (/line-?numbers?|linenumbers?/i.test(className)) continue;
-                const trimmedText = text.trim();
-                if (!trimmedText) continue;
-                if (/^[\d\s\n]+$/.test(trimmedText)) continue;
-
-                // Skip if all children are line number spans
-                const children = code.querySelectorAll('span');
-                if (children.length > 0) {
-                  const allLineNumbers = Array.from(children).every(span =>
-                    /line-?number|linenumber/i.test(span.className || '')
-                  );
-                  if (allLineNumbers) continue;
-                }
-
-                // Found actual code
-                actualCodeText = text;
-                const langMatch = className.match(/language-(\S+)/);
-                if (langMatch) detectedLanguage = langMatch[1];
-                break;
-              }
-
-              // Normalize the <pre> structure if we found code
-              if (actualCodeText) {
-                if (!detectedLanguage) {
-                  const preClass = pre.className || '';
-                  const preLangMatch = preClass.match(/language-(\S+)/);
-                  if (preLangMatch) detectedLanguage = preLangMatch[1];
-                }
-                if (!detectedLanguage) {
-                  detectedLanguage = pre.getAttribute('data-language') ||
-                                    pre.getAttribute('data-lang') || '';
-                }
-
-                const newCode = doc.createElement('code');
-                if (detectedLanguage) newCode.className = 'language-' + detectedLanguage;
-                newCode.textContent = actualCodeText;
-
-                while (pre.firstChild) pre.removeChild(pre.firstChild);
-                pre.appendChild(newCode);
-              }
-            });
-          }
-
-          /**
-           * Resolve relative URLs to absolute URLs for standalone markdown files.
-           * Converts relative paths like "/docs/api" to full URLs like "https://example.com/docs/api"
-           * so that links work when the markdown file is used outside the original website context.
-           *
-           * @param {Document} doc - Document to process (will be modified)
-           * @param {string} baseUrl - Base URL for resolving relative paths
-           */
-          function resolveRelativeUrls(doc, baseUrl) {
-            // Resolve anchor hrefs
-            doc.querySelectorAll('a[href]').forEach(anchor => {
-              const href = anchor.getAttribute('href');
-              if (!href) return;
-
-              // Skip already absolute URLs, data URIs, javascript:, mailto:, tel:, etc.
-              if (/^(https?:\/\/|data:|javascript:|mailto:|tel:|#)/i.test(href)) return;
-
-              try {
-                const absoluteUrl = new URL(href, baseUrl).href;
-                anchor.setAttribute('href', absoluteUrl);
-              } catch (e) {
-                // Invalid URL, leave as-is
-              }
-            });
-
-            // Resolve image srcs
-            doc.querySelectorAll('img[src]').forEach(img => {
-              const src = img.getAttribute('src');
-              if (!src) return;
-
-              // Skip already absolute URLs and data URIs
-              if (/^(https?:\/\/|data:)/i.test(src)) return;
-
-              try {
-                const absoluteUrl = new URL(src, baseUrl).href;
-                img.setAttribute('src', absoluteUrl);
-              } catch (e) {
-                // Invalid URL, leave as-is
-              }
-            });
-          }
-
-          /**
-           * Flatten block elements inside anchor tags to prevent malformed markdown links.
-           * Block elements (div, p, etc.) inside <a> tags cause Turndown to create
-           * links with newlines in the text, like: [\n\ntext\n\n](url)
-           * This function replaces block elements with their text content.
-           *
-           * @param {Document} doc - Document to process (will be modified)
-           */
-          function flattenBlockElementsInAnchors(doc) {
-            const anchors = doc.querySelectorAll('a');
-
-            anchors.forEach(anchor => {
-              // Check if anchor contains any block-level elements
-              const blockElements = anchor.querySelectorAll('div, p, section, article, header, footer, main, aside, nav, ul, ol, li, table, tr, td, th, blockquote, figure, figcaption, address, h1, h2, h3, h4, h5, h6');
-
-              if (blockElements.length === 0) return;
-
-              // Get the combined text content, normalized
-              const textContent = anchor.textContent || '';
-              // Normalize whitespace: collapse multiple spaces/newlines to single space
-              const normalizedText = textContent.replace(/\s+/g, ' ').trim();
-
-              // Preserve the href and other attributes
-              const href = anchor.getAttribute('href');
-              const title = anchor.getAttribute('title');
-
-              // Clear the anchor and set normalized text
-              anchor.textContent = normalizedText;
-
-              // Restore attributes (textContent clears them)
-              if (href) anchor.setAttribute('href', href);
-              if (title) anchor.setAttribute('title', title);
-            });
-          }
-
-          // Clone and prepare document for conversion
-          const cleanDoc = document.cloneNode(true);
-          const currentPageUrl = window.location.href;
-          normalizeNonPreCodeBlocks(cleanDoc);  // Convert non-standard code blocks to <pre><code>
-          normalizeCodeBlocks(cleanDoc);         // Clean up <pre> elements (line numbers, etc.)
-          flattenBlockElementsInAnchors(cleanDoc);
-          resolveRelativeUrls(cleanDoc, currentPageUrl);
-          removeNoiseElements(cleanDoc);
-
-          // Convert to markdown using Turndown
-          const turndownService = createTurndownService();
-          let markdown = turndownService.turndown(cleanDoc.body.innerHTML);
-          markdown = postProcessMarkdown(markdown);
-
-          // Get text content for metrics
-          const cleanText = cleanDoc.body.textContent || cleanDoc.body.innerText || '';
-          const textLength = cleanText.length;
-
-          // Calculate quality metrics
-          const linkMatches = cleanDoc.body.innerHTML.match(/<a\s+/gi) || [];
-          const linkDensity = textLength > 0 ? linkMatches.length / (textLength / 100) : 0;
-          const hasHeaders = /^#{1,6}\s+.+$/m.test(markdown);
-          const hasCodeBlocks = /```/.test(markdown);
-          const hasLists = /^[-*+]\s+/m.test(markdown);
-          const hasTables = /\|.+\|/.test(markdown);
-          const hasStructure = hasHeaders || hasCodeBlocks || hasLists || hasTables;
-          const h2Count = (markdown.match(/^##\s+/gm) || []).length;
-
-          // Calculate confidence based on content quality
-          let confidence = 0.85; // Start with good confidence for direct conversion
-          if (textLength < 200) confidence -= 0.3;
-          if (textLength > 1000) confidence += 0.05;
-          if (linkDensity > 3.0) confidence -= 0.2; // High link density = likely index
-          if (hasStructure) confidence += 0.1;
-          if (hasTables) confidence += 0.05; // Tables often indicate valuable content
-          if (h2Count > 20) confidence -= 0.1; // Many h2s might be index page
-          confidence = Math.max(0, Math.min(1, confidence));
-
-          return {
-            markdown: markdown,
-            markdownMeta: {
-              confidence: confidence,
-              isArticle: confidence > 0.5,
-              title: document.title,
-              byline: null,
-              excerpt: cleanText.substring(0, 200).trim(),
-              siteName: null,
-              textLength: textLength,
-              linkDensity: linkDensity,
-              hasStructure: hasStructure,
-              h2Count: h2Count,
-              hasTables: hasTables
-            }
-          };
-        } catch (error) {
-          console.error('[TabFetcher] Error processing markdown:', error);
-          return {
-            markdown: null,
-            markdownMeta: {
-              confidence: 0,
-              isArticle: false,
-              reason: 'processing-error',
-              error: error.message
-            }
-          };
-        }
-      }
-
-      /**
-       * Extract all links from the page using DOM APIs.
-       * This is more reliable than regex because it runs after JavaScript
-       * and can access computed styles to filter invisible elements.
-       *
-       * @returns {string[]} Array of absolute URLs
-       */
-      function extractLinks() {
-        const links = new Set();
-        const baseUrl = window.location.href;
-
-        // Helper to check if an element is visible
-        function isVisible(el) {
-          if (!el) return false;
-          const style = window.getComputedStyle(el);
-          return style.display !== 'none' &&
-                 style.visibility !== 'hidden' &&
-                 style.opacity !== '0' &&
-                 el.offsetParent !== null;
-        }
-
-        // Helper to resolve and validate URLs
-        function addUrl(href) {
-          if (!href || typeof href !== 'string') return;
-          href = href.trim();
-
-          // Skip non-http links
-          if (href.startsWith('mailto:') ||
-              href.startsWith('tel:') ||
-              href.startsWith('javascript:') ||
-              href.startsWith('data:') ||
-              href.startsWith('#') ||
-              href === '') {
-            return;
-          }
-
-          try {
-            // Resolve relative URLs to absolute
-            const absoluteUrl = new URL(href, baseUrl).href;
-
-            // Only include http/https URLs
-            if (absoluteUrl.startsWith('http://') || absoluteUrl.startsWith('https://')) {
-              links.add(absoluteUrl);
-            }
-          } catch (e) {
-            // Invalid URL, skip
-          }
-        }
-
-        // 1. Standard <a href> links (most common)
-        document.querySelectorAll('a[href]').forEach(anchor => {
-          // Optionally filter invisible links (commented out for now - we want all links)
-          // if (!isVisible(anchor)) return;
-          addUrl(anchor.getAttribute('href'));
-        });
-
-        // 2. Links in data attributes (common in SPAs)
-        document.querySelectorAll('[data-href], [data-url], [data-link]').forEach(el => {
-          addUrl(el.getAttribute('data-href'));
-          addUrl(el.getAttribute('data-url'));
-          addUrl(el.getAttribute('data-link'));
-        });
-
-        // 3. Links in onclick handlers (basic pattern matching)
-        document.querySelectorAll('[onclick]').forEach(el => {
-          const onclick = el.getAttribute('onclick') || '';
-
-          // Match patterns like: location.href='/page', window.location='/page', etc.
-          const patterns = [
-            /location\.href\s*=\s*['"]([^'"]+)['"]/gi,
-            /location\s*=\s*['"]([^'"]+)['"]/gi,
-            /window\.open\s*\(\s*['"]([^'"]+)['"]/gi,
-            /navigate\s*\(\s*['"]([^'"]+)['"]/gi,
-            /href\s*:\s*['"]([^'"]+)['"]/gi
-          ];
-
-          patterns.forEach(pattern => {
-            let match;
-            while ((match = pattern.exec(onclick)) !== null) {
-              addUrl(match[1]);
-            }
-          });
-        });
-
-        // 4. Links in buttons with data-navigate or similar
-        document.querySelectorAll('button[data-navigate], button[data-to], [role="link"]').forEach(el => {
-          addUrl(el.getAttribute('data-navigate'));
-          addUrl(el.getAttribute('data-to'));
-          addUrl(el.getAttribute('href'));
-        });
-
-        // 5. Next.js/React Router Link components often render as <a> but may have data-href
-        document.querySelectorAll('[data-next-link], [data-router-link]').forEach(el => {
-          const anchor = el.tagName === 'A' ? el : el.querySelector('a');
-          if (anchor) addUrl(anchor.getAttribute('href'));
-        });
-
-        // 6. Area elements in image maps
-        document.querySelectorAll('area[href]').forEach(area => {
-          addUrl(area.getAttribute('href'));
-        });
-
-        // 7. Links in JSON-LD structured data
-        document.querySelectorAll('script[type="application/ld+json"]').forEach(script => {
-          try {
-            const json = JSON.parse(script.textContent);
-            const extractFromJson = (obj) => {
-              if (!obj || typeof obj !== 'object') return;
-              for (const [key, value] of Object.entries(obj)) {
-                if (typeof value === 'string' && (key === 'url' || key === '@id' || key === 'mainEntityOfPage')) {
-                  addUrl(value);
-                } else if (typeof value === 'object') {
-                  extractFromJson(value);
-                }
-              }
-            };
-            extractFromJson(json);
-          } catch (e) {
-            // Invalid JSON, skip
-          }
-        });
-
-        // 8. Sitemap links in HTML (some sites embed sitemap-like structures)
-        document.querySelectorAll('loc').forEach(loc => {
-          addUrl(loc.textContent);
-        });
-
-        // 9. Monitor history.pushState/replaceState for SPA route discovery
-        // This captures routes that Angular/React/Vue Router navigate to
-        const capturedSpaRoutes = [];
-        const originalPushState = history.pushState;
-        const originalReplaceState = history.replaceState;
-
-        history.pushState = function(state, title, url) {
-          if (url) {
-            capturedSpaRoutes.push(url.toString());
-          }
-          return originalPushState.call(this, state, title, url);
-        };
-
-        history.replaceState = function(state, title, url) {
-          if (url) {
-            capturedSpaRoutes.push(url.toString());
-          }
-          return originalReplaceState.call(this, state, title, url);
-        };
-
-        // 10. SPA route discovery via clicking - DISABLED
-        // This feature was causing tabs to open uncontrollably when clicking on
-        // elements triggered window.open() or target="_blank" links (social buttons, etc.)
-        // TODO: Re-enable with proper safeguards (intercept window.open, check target attr)
-        console.log(`[TabFetcher] SPA click discovery disabled for safety`);
-
-        // Restore original history methods (still needed for cleanup)
-        history.pushState = originalPushState;
-        history.replaceState = originalReplaceState;
-
-        console.log(`[TabFetcher] Extracted ${links.size} links using DOM APIs`);
-        return Array.from(links);
-      }
-
-      // Get current page URL
-      const currentUrl = window.location.href;
-      const html = document.documentElement.outerHTML;
-      const text = document.body.innerText;
-      const metadata = extractMetadata();
-      const { markdown, markdownMeta } = processMarkdown(html, currentUrl, text);
-      const links = extractLinks();
-
-      // Add debug info for Service Worker logging
-      if (markdownMeta) {
-        markdownMeta._debugInfo = {
-          originalTextLength: text.length,
-          extractedVia: 'direct-conversion',
-          timestamp: new Date().toISOString()
-        };
-      }
+    files: ['lib/dom-extractor.js']
+  });
 
-      // Return all extracted data:
-      // - html: for link extraction fallback (contains <a> tags)
-      // - text: for content storage (clean text via innerText)
-      // - metadata: extracted from page head
-      // - markdown: converted markdown (or null)
-      // - markdownMeta: quality metrics (or null)
-      // - links: DOM-extracted links (more reliable than regex)
-      return {
-        html,
-        text,
-        metadata,
-        markdown,
-        markdownMeta,
-        links
-      };
-    }
+  const result = await chrome.scripting.executeScript({
+    target: { tabId },
+    func: (profile) => extractPageContent(document, window.location.href, { profile }),
+    args: [profile]
   });
 
   if (!result || !result[0] || !result[0].result) {
@@ -1583,27 +1246,3 @@ function sleep(ms) {
   return new Promise(resolve => setTimeout(resolve, ms));
 }
 
-/**
- * Get recommended mode based on URL patterns
- * Documentation sites can often use balanced mode
- */
-export function getRecommendedMode(url) {
-  const urlLower = url.toLowerCase();
-
-  // Static documentation generators - fast mode
-  if (urlLower.includes('github.io') ||
-      urlLower.includes('readthedocs.io') ||
-      urlLower.includes('gitbook.io')) {
-    return FetchMode.FAST;
-  }
-
-  // Known SPAs - thorough mode
-  if (urlLower.includes('react') ||
-      urlLower.includes('vue') ||
-      urlLower.includes('angular')) {
-    return FetchMode.THOROUGH;
-  }
-
-  // Default to balanced
-  return FetchMode.BALANCED;
-}
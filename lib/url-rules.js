@@ -0,0 +1,146 @@
+/**
+ * Include/exclude URL rules for crawl scope
+ * An ordered list of rules narrows the scope set by base paths:
+ * - The first rule that matches a URL decides (include keeps it, exclude drops it)
+ * - A URL that matches no rule is kept, unless the list contains include rules,
+ *   in which case only URLs matched by an include rule are kept
+ *
+ * Rule shape: { type: 'include'|'exclude', pattern: string, syntax: 'glob'|'regex' }
+ *
+ * Glob patterns:
+ * - Patterns starting with "/" match the URL path ("/docs/changelog/**")
+ * - Other patterns match the whole URL ("https://example.com/docs/*")
+ * - "*" matches within one path segment, "**" matches across segments, "?" matches one character
+ * - A trailing "/**" also matches the directory itself ("/docs/**" matches "/docs")
+ *
+ * Regex patterns are tested (unanchored) against the whole URL.
+ */
+
+const RULE_TYPES = ['include', 'exclude'];
+const RULE_SYNTAXES = ['glob', 'regex'];
+
+/**
+ * Convert a glob pattern into a RegExp anchored at both ends
+ * @param {string} glob - Glob pattern
+ * @returns {RegExp}
+ */
+export function globToRegExp(glob) {
+  let source = '';
+  let pattern = glob;
+  let directorySuffix = false;
+
+  if (pattern.endsWith('/**')) {
+    pattern = pattern.slice(0, -3);
+    directorySuffix = true;
+  }
+
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === '*') {
+      if (pattern[i + 1] === '*') {
+        source += '.*';
+        i++;
+      } else {
+        source += '[^/]*';
+      }
+    } else if (char === '?') {
+      source += '[^/]';
+    } else {
+      source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+
+  if (directorySuffix) {
+    source += '(?:/.*)?';
+  }
+
+  return new RegExp('^' + source + '$');
+}
+
+/**
+ * Validate and compile URL rules
+ * @param {Array<{type: string, pattern: string, syntax?: string}>} rules - Ordered rules
+ * @returns {Array<{type: string, pattern: string, syntax: string, matchPath: boolean, regex: RegExp}>}
+ * @throws {Error} If a rule has an unknown type/syntax, an empty pattern or an invalid regex
+ */
+export function compileUrlRules(rules) {
+  if (!rules) return [];
+  if (!Array.isArray(rules)) {
+    throw new Error('URL rules must be an array');
+  }
+
+  return rules.map((rule, index) => {
+    const type = rule?.type;
+    const syntax = rule?.syntax || 'glob';
+    const pattern = typeof rule?.pattern === 'string' ? rule.pattern.trim() : '';
+
+    if (!RULE_TYPES.includes(type)) {
+      throw new Error(`URL rule ${index + 1}: type must be "include" or "exclude"`);
+    }
+    if (!RULE_SYNTAXES.includes(syntax)) {
+      throw new Error(`URL rule ${index + 1}: syntax must be "glob" or "regex"`);
+    }
+    if (!pattern) {
+      throw new Error(`URL rule ${index + 1}: pattern is empty`);
+    }
+
+    let regex;
+    try {
+      regex = syntax === 'regex' ? new RegExp(pattern) : globToRegExp(pattern);
+    } catch (error) {
+      throw new Error(`URL rule ${index + 1}: invalid regex "${pattern}" (${error.message})`);
+    }
+
+    return {
+      type,
+      pattern,
+      syntax,
+      matchPath: syntax === 'glob' && pattern.startsWith('/'),
+      regex
+    };
+  });
+}
+
+/**
+ * Evaluate compiled rules against a URL
+ * @param {Array} compiledRules - Result of compileUrlRules
+ * @param {string} url - Absolute (canonical) URL
+ * @returns {{allowed: boolean, rule: string|null}} Verdict and the rule that decided it
+ */
+export function matchUrlRules(compiledRules, url) {
+  if (!compiledRules || compiledRules.length === 0) {
+    return { allowed: true, rule: null };
+  }
+
+  let path = url;
+  try {
+    path = new URL(url).pathname;
+  } catch (e) {
+    // Not an absolute URL - match path patterns against the raw string
+  }
+
+  for (const rule of compiledRules) {
+    const target = rule.matchPath ? path : url;
+    if (rule.regex.test(target)) {
+      return {
+        allowed: rule.type === 'include',
+        rule: `${rule.type}: ${rule.syntax === 'regex' ? 're:' : ''}${rule.pattern}`
+      };
+    }
+  }
+
+  const hasIncludes = compiledRules.some(rule => rule.type === 'include');
+  return {
+    allowed: !hasIncludes,
+    rule: hasIncludes ? 'no include rule matched' : null
+  };
+}
+
+/**
+ * Strip compiled state so rules can be stored on a job or sent over messages
+ * @param {Array} compiledRules - Result of compileUrlRules
+ * @returns {Array<{type: string, pattern: string, syntax: string}>}
+ */
+export function serializeUrlRules(compiledRules) {
+  return (compiledRules || []).map(({ type, pattern, syntax }) => ({ type, pattern, syntax }));
+}
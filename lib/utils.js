@@ -2,6 +2,52 @@
  * Utility functions for URL normalization and validation
  */
 
+// Query parameters stripped by default even when the keep list matches them:
+// campaign tracking and session IDs never change the content of a page
+export const DEFAULT_STRIP_QUERY_PARAMS = [
+  'utm_*', 'gclid', 'dclid', 'fbclid', 'msclkid', 'mc_cid', 'mc_eid', '_ga', '_gl',
+  'sessionid', 'session_id', 'sid', 'jsessionid', 'phpsessid', 'aspsessionid*'
+];
+
+const queryPatternCache = new Map(); // param pattern → RegExp
+
+/**
+ * Clean up per-job URL canonicalization settings
+ * @param {object} [settings] - Settings from the crawl options
+ * @param {string[]} [settings.keepQueryParams] - Query parameters that identify a distinct page ('*' wildcards allowed, default: none)
+ * @param {string[]} [settings.stripQueryParams] - Parameters always removed, even if kept above (default: DEFAULT_STRIP_QUERY_PARAMS)
+ * @param {boolean} [settings.sortQueryParams] - Sort kept parameters by name so their order doesn't matter (default: true)
+ * @returns {{keepQueryParams: string[], stripQueryParams: string[], sortQueryParams: boolean}}
+ */
+export function normalizeCanonicalization(settings = {}) {
+  const cleanList = (list) => Array.isArray(list)
+    ? [...new Set(list.map(name => String(name).trim()).filter(Boolean))]
+    : null;
+
+  return {
+    keepQueryParams: cleanList(settings?.keepQueryParams) || [],
+    stripQueryParams: cleanList(settings?.stripQueryParams) || [...DEFAULT_STRIP_QUERY_PARAMS],
+    sortQueryParams: settings?.sortQueryParams !== undefined && settings?.sortQueryParams !== null
+      ? Boolean(settings.sortQueryParams)
+      : true
+  };
+}
+
+/**
+ * Check a query parameter name against a list of names ('*' matches any characters, case-insensitive)
+ */
+function matchesQueryParam(name, patterns) {
+  return patterns.some(pattern => {
+    let regex = queryPatternCache.get(pattern);
+    if (!regex) {
+      const source = pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+      regex = new RegExp(`^${source}$`, 'i');
+      queryPatternCache.set(pattern, regex);
+    }
+    return regex.test(name);
+  });
+}
+
 /**
  * Normalize URL to canonical form
  * - Protocol: https:// (lowercase)
@@ -11,8 +57,11 @@
  * - Remove default ports
  * - Remove fragments (#)
  * - Remove query parameters (optional)
+ * @param {string} urlString - URL to normalize
+ * @param {boolean|object} queryOptions - true removes the whole query (default), false keeps it as is,
+ *   or canonicalization settings (see normalizeCanonicalization) to keep only significant parameters
  */
-export function canonicalizeUrl(urlString, removeQuery = true) {
+export function canonicalizeUrl(urlString, queryOptions = true) {
   try {
     // Validate input is a string
     if (typeof urlString !== 'string') {
@@ -49,8 +98,20 @@ export function canonicalizeUrl(urlString, removeQuery = true) {
     // Remove fragment
     url.hash = '';
 
-    // Remove query parameters if requested
-    if (removeQuery) {
+    // Remove query parameters, or keep the significant ones
+    if (queryOptions && typeof queryOptions === 'object') {
+      const { keepQueryParams = [], stripQueryParams = DEFAULT_STRIP_QUERY_PARAMS, sortQueryParams = true } = queryOptions;
+      const kept = new URLSearchParams();
+      for (const [name, value] of url.searchParams) {
+        if (matchesQueryParam(name, keepQueryParams) && !matchesQueryParam(name, stripQueryParams)) {
+          kept.append(name, value);
+        }
+      }
+      if (sortQueryParams) {
+        kept.sort();
+      }
+      url.search = kept.toString();
+    } else if (queryOptions) {
       url.search = '';
     }
 
@@ -226,3 +287,39 @@ export async function computeContentHash(content) {
     return null;
   }
 }
+
+// ==================== CRAWL SETTINGS ====================
+
+/**
+ * Options of an optional crawl feature (screenshots, archives, PDFs, ...)
+ * @param {boolean|Object|null} settings - true for the defaults, false/null/undefined when off, or an options object
+ * @param {string} name - Setting name, for the error message
+ * @returns {Object|null} The options ({} for true), null when the feature is off
+ * @throws {Error} When settings is not one of those
+ */
+export function optionalSettings(settings, name) {
+  if (settings === undefined || settings === null || settings === false) return null;
+  const options = settings === true ? {} : settings;
+  if (typeof options !== 'object' || Array.isArray(options)) {
+    throw new Error(`${name} must be true, false or an object`);
+  }
+  return options;
+}
+
+/**
+ * Check a numeric limit of a setting, rounded and kept within bounds
+ * @param {*} value - The passed value (undefined for the default)
+ * @param {string} label - Setting path, for the error message (e.g. 'screenshots.maxBytes')
+ * @param {number} defaultValue - Used when no value is passed
+ * @param {number} minValue - Smaller values are raised to this
+ * @param {number} maxValue - Larger values are capped to this
+ * @returns {number}
+ * @throws {Error} When the value is not a positive number
+ */
+export function normalizeLimit(value, label, defaultValue, minValue, maxValue) {
+  if (value === undefined) return defaultValue;
+  if (typeof value !== 'number' || !(value > 0)) {
+    throw new Error(`${label} must be a positive number`);
+  }
+  return Math.max(minValue, Math.min(maxValue, Math.round(value)));
+}
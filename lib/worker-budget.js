@@ -0,0 +1,73 @@
+/**
+ * Global worker budget shared by all running crawls
+ * Every page fetch holds one slot, so the number of crawl tabs in use never exceeds
+ * the limit however many CrawlJobs run at once. Waiting workers are served first come,
+ * first served, which interleaves concurrent jobs.
+ */
+
+const ABORT_POLL_INTERVAL = 500; // how often waiting workers check for cancellation (ms)
+
+export class WorkerBudget {
+  /**
+   * @param {number} limit - Maximum slots held at once
+   */
+  constructor(limit) {
+    this.limit = limit;
+    this.inUse = 0;
+    this.waiters = []; // { resolve, timer } in arrival order
+  }
+
+  /**
+   * Number of workers waiting for a slot
+   */
+  get waiting() {
+    return this.waiters.length;
+  }
+
+  /**
+   * Wait for a free slot and take it
+   * @param {Function} [shouldAbort] - Polled while waiting; returning true gives up the wait
+   * @returns {Promise<boolean>} False if the wait was aborted (no slot taken)
+   */
+  acquire(shouldAbort = () => false) {
+    if (shouldAbort()) return Promise.resolve(false);
+
+    if (this.inUse < this.limit && this.waiters.length === 0) {
+      this.inUse++;
+      return Promise.resolve(true);
+    }
+
+    return new Promise(resolve => {
+      const waiter = { resolve, timer: null };
+      waiter.timer = setInterval(() => {
+        if (!shouldAbort()) return;
+        clearInterval(waiter.timer);
+        const index = this.waiters.indexOf(waiter);
+        if (index > -1) this.waiters.splice(index, 1);
+        resolve(false);
+      }, ABORT_POLL_INTERVAL);
+      this.waiters.push(waiter);
+    });
+  }
+
+  /**
+   * Give a slot back; the oldest waiter (if any) takes it over directly
+   */
+  release() {
+    const next = this.waiters.shift();
+    if (next) {
+      clearInterval(next.timer);
+      next.resolve(true);
+      return;
+    }
+    this.inUse = Math.max(0, this.inUse - 1);
+  }
+
+  /**
+   * Snapshot for status reporting
+   * @returns {{limit: number, inUse: number, waiting: number}}
+   */
+  getStatus() {
+    return { limit: this.limit, inUse: this.inUse, waiting: this.waiters.length };
+  }
+}
@@ -1,8 +1,9 @@
 import { Dialog, DialogContent, DialogTitle } from "./ui/dialog";
 import { VERSION } from "../version";
-import { BookOpen, Globe, Bug, LifeBuoy, Shield, Github, MessageCircle } from "lucide-react";
+import { BookOpen, Globe, Bug, LifeBuoy, Shield, Github, MessageCircle, SlidersHorizontal } from "lucide-react";
 import { cn } from "@/lib/utils";
 import { SupportPage } from "./SupportPage";
+import { ExtractionProfilesPage } from "./ExtractionProfilesPage";
 import { useState } from "react";
 
 interface AboutDialogProps {
@@ -40,6 +41,7 @@ function AboutMenuItem({ icon: Icon, title, description, onClick }: AboutMenuIte
 
 export function AboutDialog({ open, onOpenChange }: AboutDialogProps) {
   const [showSupportPage, setShowSupportPage] = useState(false);
+  const [showProfilesPage, setShowProfilesPage] = useState(false);
 
   const handleGuideClick = () => {
     window.open('https://bobninja.com/tools/webscribe/guide/', '_blank');
@@ -65,6 +67,10 @@ export function AboutDialog({ open, onOpenChange }: AboutDialogProps) {
     setShowSupportPage(true);
   };
 
+  const handleProfilesClick = () => {
+    setShowProfilesPage(true);
+  };
+
   const handlePrivacyClick = () => {
     window.open('https://bobninja.com/tools/webscribe/privacy/', '_blank');
   };
@@ -73,10 +79,11 @@ export function AboutDialog({ open, onOpenChange }: AboutDialogProps) {
     setShowSupportPage(false);
   };
 
-  // Reset support page when dialog closes
+  // Reset sub-pages when dialog closes
   const handleOpenChange = (isOpen: boolean) => {
     if (!isOpen) {
       setShowSupportPage(false);
+      setShowProfilesPage(false);
     }
     onOpenChange(isOpen);
   };
@@ -89,7 +96,7 @@ export function AboutDialog({ open, onOpenChange }: AboutDialogProps) {
         {/* Main content */}
         <div className={cn(
           "flex flex-col h-full px-6 pb-6 pt-10 transition-transform duration-300 ease-in-out",
-          showSupportPage ? "-translate-x-full" : "translate-x-0"
+          showSupportPage || showProfilesPage ? "-translate-x-full" : "translate-x-0"
         )}>
           <div className="flex-1 overflow-auto pr-1 space-y-3 pb-2">
             <AboutMenuItem
@@ -129,12 +136,21 @@ export function AboutDialog({ open, onOpenChange }: AboutDialogProps) {
 
             <div className="pt-3 border-t border-border">
               <AboutMenuItem
-                icon={LifeBuoy}
-                title="Diagnostics"
-                description="View error logs and generate reports"
-                onClick={handleDiagnosticsClick}
+                icon={SlidersHorizontal}
+                title="Extraction Profiles"
+                description="Per-site content and removal selectors"
+                onClick={handleProfilesClick}
               />
 
+              <div className="mt-3">
+                <AboutMenuItem
+                  icon={LifeBuoy}
+                  title="Diagnostics"
+                  description="View error logs and generate reports"
+                  onClick={handleDiagnosticsClick}
+                />
+              </div>
+
               <div className="mt-3">
                 <AboutMenuItem
                   icon={Shield}
@@ -153,6 +169,9 @@ export function AboutDialog({ open, onOpenChange }: AboutDialogProps) {
 
         {/* Support page (slides in from right) */}
         <SupportPage open={showSupportPage} onBack={handleSupportBack} />
+
+        {/* Extraction profiles page (slides in from right) */}
+        <ExtractionProfilesPage open={showProfilesPage} onBack={() => setShowProfilesPage(false)} />
       </DialogContent>
     </Dialog>
   );
@@ -0,0 +1,121 @@
+import { useEffect, useState } from 'react';
+import { Button } from './ui/button';
+import { Input } from './ui/input';
+import { Label } from './ui/label';
+import { Loader2 } from 'lucide-react';
+import { useToast } from '@/hooks/use-toast';
+import { crawlerAPI } from '@/lib/service-worker-client';
+
+interface BoilerplateRemoverProps {
+  job: any;
+  onChanged: (boilerplate: any) => void;
+}
+
+/**
+ * Strip the sidebar, cookie notice and footer lines repeated across a job's pages, or undo it
+ */
+export function BoilerplateRemover({ job, onChanged }: BoilerplateRemoverProps) {
+  const { toast } = useToast();
+  const [share, setShare] = useState(60);
+  const [isWorking, setIsWorking] = useState(false);
+
+  // A new job starts from the share of its last pass
+  useEffect(() => {
+    setShare(Math.round((job?.boilerplate?.minShare || 0.6) * 100));
+  }, [job?.id]);
+
+  const handleRemove = async () => {
+    setIsWorking(true);
+    try {
+      const { boilerplate } = await crawlerAPI.removeBoilerplate(job.id, share / 100);
+      onChanged(boilerplate);
+      toast({
+        variant: "success",
+        title: "Boilerplate removed",
+        description: `${boilerplate.lineCount} repeated line${boilerplate.lineCount !== 1 ? 's' : ''} removed from ${boilerplate.pageCount} page${boilerplate.pageCount !== 1 ? 's' : ''}`
+      });
+    } catch (err) {
+      console.error('Failed to remove boilerplate:', err);
+      toast({
+        variant: "destructive",
+        title: "Failed to remove boilerplate",
+        description: err instanceof Error ? err.message : "Unknown error occurred"
+      });
+    } finally {
+      setIsWorking(false);
+    }
+  };
+
+  const handleRestore = async () => {
+    setIsWorking(true);
+    try {
+      const { pageCount } = await crawlerAPI.restoreBoilerplate(job.id);
+      onChanged(null);
+      toast({
+        variant: "success",
+        title: "Boilerplate restored",
+        description: `${pageCount} page${pageCount !== 1 ? 's' : ''} restored`
+      });
+    } catch (err) {
+      console.error('Failed to restore boilerplate:', err);
+      toast({
+        variant: "destructive",
+        title: "Failed to restore boilerplate",
+        description: err instanceof Error ? err.message : "Unknown error occurred"
+      });
+    } finally {
+      setIsWorking(false);
+    }
+  };
+
+  return (
+    <details className="text-xs text-muted-foreground pl-6">
+      <summary className="cursor-pointer hover:text-foreground">
+        Boilerplate
+        {job.boilerplate && ` • ${(job.boilerplate.removedChars / 1024).toFixed(1)} KB removed from ${job.boilerplate.pageCount} pages`}
+      </summary>
+      <div className="mt-2 space-y-2">
+        <div className="flex items-center gap-2">
+          <Label htmlFor="boilerplateShare" className="text-xs whitespace-nowrap font-normal">
+            On at least
+          </Label>
+          <Input
+            id="boilerplateShare"
+            type="number"
+            min={30}
+            max={100}
+            value={share}
+            onChange={(e) => {
+              const val = parseInt(e.target.value, 10);
+              if (!isNaN(val) && val >= 30 && val <= 100) {
+                setShare(val);
+              }
+            }}
+            className="h-7 w-16 text-xs"
+          />
+          <span>% of pages</span>
+        </div>
+
+        <p>Lines repeated on most pages (sidebars, cookie notices, footers) are removed from the text and markdown. The original text is kept, so the pass can be undone.</p>
+
+        {job.boilerplate && (
+          <p>
+            Last pass: {job.boilerplate.lineCount} line{job.boilerplate.lineCount !== 1 ? 's' : ''} on {Math.round(job.boilerplate.minShare * 100)}% of pages, {new Date(job.boilerplate.removedAt).toLocaleString()}
+          </p>
+        )}
+
+        <div className="flex gap-2">
+          <Button size="sm" variant="outline" className="h-7 text-xs" onClick={handleRemove} disabled={isWorking}>
+            {isWorking && <Loader2 className="h-3 w-3 mr-1 animate-spin" />}
+            Remove boilerplate
+          </Button>
+          {job.boilerplate && (
+            <Button size="sm" variant="ghost" className="h-7 text-xs" onClick={handleRestore} disabled={isWorking}>
+              Undo
+            </Button>
+          )}
+        </div>
+      </div>
+    </details>
+  );
+}
@@ -0,0 +1,152 @@
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from './ui/card';
+import { Button } from './ui/button';
+import { Progress } from './ui/progress';
+import { Badge } from './ui/badge';
+import { Loader2, Clock } from 'lucide-react';
+import type { CrawlStatus } from '@/hooks/useCrawl';
+
+interface CrawlProgressCardProps {
+  crawl: CrawlStatus;
+  onCancel: (jobId: string) => void;
+}
+
+/**
+ * Progress of one running crawl, or its place in the queue
+ */
+export function CrawlProgressCard({ crawl, onCancel }: CrawlProgressCardProps) {
+  const title = crawl.baseUrls[0] || crawl.jobId;
+  const extraUrls = crawl.baseUrls.length - 1;
+
+  if (crawl.status === 'queued') {
+    return (
+      <Card>
+        <CardHeader className="pb-3">
+          <CardTitle className="text-sm flex items-center gap-2">
+            <Clock className="h-4 w-4 text-muted-foreground shrink-0" />
+            <span className="truncate">{title}</span>
+          </CardTitle>
+          <CardDescription>
+            Queued (position {crawl.position}){extraUrls > 0 && ` • +${extraUrls} more base path${extraUrls > 1 ? 's' : ''}`}
+          </CardDescription>
+        </CardHeader>
+        <CardContent>
+          <Button variant="outline" size="sm" className="w-full" onClick={() => onCancel(crawl.jobId)}>
+            Remove from Queue
+          </Button>
+        </CardContent>
+      </Card>
+    );
+  }
+
+  const progressPercentage = crawl.pagesFound > 0
+    ? (crawl.pagesProcessed / crawl.pagesFound) * 100
+    : 0;
+  const isCancelling = crawl.status === 'cancelling';
+
+  return (
+    <Card>
+      <CardHeader className="pb-3">
+        <CardTitle className="text-sm flex items-center gap-2">
+          <Loader2 className="h-4 w-4 animate-spin shrink-0" />
+          <span className="truncate">{title}</span>
+        </CardTitle>
+        <CardDescription>
+          {isCancelling
+            ? 'Stopping...'
+            : `Extracting content from ${crawl.baseUrls.length} base path${crawl.baseUrls.length > 1 ? 's' : ''}`}
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        <div className="space-y-2">
+          <div className="flex justify-between text-sm">
+            <span className="text-muted-foreground">Progress</span>
+            <span className="font-medium">
+              {crawl.pagesProcessed} / {crawl.pagesFound} pages
+            </span>
+          </div>
+          <Progress value={progressPercentage} className="h-2" />
+        </div>
+
+        <div className="grid grid-cols-3 gap-4 text-center">
+          <div>
+            <div className="text-2xl font-bold text-primary">
+              {crawl.pagesFound}
+            </div>
+            <div className="text-xs text-muted-foreground">Found</div>
+          </div>
+          <div>
+            <div className="text-2xl font-bold text-green-500">
+              {crawl.pagesProcessed}
+            </div>
+            <div className="text-xs text-muted-foreground">Processed</div>
+          </div>
+          <div>
+            <div className="text-2xl font-bold text-yellow-500">
+              {crawl.queueSize}
+            </div>
+            <div className="text-xs text-muted-foreground">In Queue</div>
+          </div>
+        </div>
+
+        {crawl.changes && (
+          <p className="text-xs text-muted-foreground">
+            Update: {crawl.changes.added} added, {crawl.changes.changed} changed, {crawl.changes.unchanged} unchanged, {crawl.changes.removed} removed
+          </p>
+        )}
+
+        {(crawl.retrying > 0 || crawl.pagesFailed > 0) && (
+          <p className="text-xs text-muted-foreground">
+            {crawl.retrying > 0 && `${crawl.retrying} page${crawl.retrying !== 1 ? 's' : ''} waiting to retry`}
+            {crawl.retrying > 0 && crawl.pagesFailed > 0 && ' • '}
+            {crawl.pagesFailed > 0 && `${crawl.pagesFailed} failed`}
+          </p>
+        )}
+
+        {crawl.robotsSkipped > 0 && (
+          <p className="text-xs text-muted-foreground">
+            {crawl.robotsSkipped} page{crawl.robotsSkipped !== 1 ? 's' : ''} skipped by robots.txt
+          </p>
+        )}
+
+        {crawl.hostRates.some(h => h.backoffCount > 0) && (
+          <div className="space-y-1">
+            <div className="text-sm font-medium">Rate Limited Hosts:</div>
+            {crawl.hostRates.filter(h => h.backoffCount > 0).map((hostRate) => (
+              <div key={hostRate.host} className="text-xs text-muted-foreground flex items-center justify-between gap-2">
+                <span className="truncate">{hostRate.host}</span>
+                <span className={hostRate.backingOff ? 'text-yellow-500 shrink-0' : 'shrink-0'}>
+                  {hostRate.backingOff ? 'paused' : `${hostRate.rate} / ${hostRate.maxRate} req/s`}
+                </span>
+              </div>
+            ))}
+          </div>
+        )}
+
+        {crawl.inProgress.length > 0 && (
+          <div className="space-y-2">
+            <div className="text-sm font-medium">Currently Processing:</div>
+            <div className="space-y-1">
+              {crawl.inProgress.slice(0, 3).map((pageUrl, index) => (
+                <div key={index} className="text-xs text-muted-foreground truncate flex items-center gap-2">
+                  <Badge variant="outline" className="text-xs">
+                    <Loader2 className="h-3 w-3 animate-spin mr-1" />
+                  </Badge>
+                  {pageUrl}
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
+
+        <Button
+          variant="destructive"
+          className="w-full"
+          onClick={() => onCancel(crawl.jobId)}
+          disabled={isCancelling}
+        >
+          Stop Capture
+        </Button>
+      </CardContent>
+    </Card>
+  );
+}
@@ -1,18 +1,101 @@
-import { useState, useEffect, useRef } from 'react';
+import { useState, useEffect } from 'react';
 import { useCrawl } from '@/hooks/useCrawl';
+import { CrawlProgressCard } from './CrawlProgressCard';
 import { useToast } from '@/hooks/use-toast';
-import { contentPickerAPI, PickedContent } from '@/lib/service-worker-client';
+import { contentPickerAPI, crawlerAPI, PickedContent } from '@/lib/service-worker-client';
+import { DryRunPreview, DryRunResult } from './DryRunPreview';
 import { Card, CardContent, CardDescription, CardHeader, CardTitle } from './ui/card';
 import { Input } from './ui/input';
 import { Label } from './ui/label';
 import { Button } from './ui/button';
-import { Progress } from './ui/progress';
 import { Alert, AlertDescription } from './ui/alert';
-import { Badge } from './ui/badge';
 import { Checkbox } from './ui/checkbox';
 import { RadioGroup, RadioGroupItem } from './ui/radio-group';
 import { Dialog, DialogContent, DialogTitle, DialogDescription } from './ui/dialog';
-import { Loader2, AlertCircle, ChevronDown, ChevronUp, X, Plus, AlertTriangle, MousePointer2, Save, Globe } from 'lucide-react';
+import { Loader2, AlertCircle, ChevronDown, ChevronUp, X, Plus, AlertTriangle, MousePointer2, Save, Globe, ListTree } from 'lucide-react';
+
+interface UrlRule {
+  type: 'include' | 'exclude';
+  pattern: string;
+  syntax: 'glob' | 'regex';
+}
+
+/**
+ * Parse the URL rules textarea: one rule per line, "+ pattern" to include, "- pattern" to exclude.
+ * Patterns prefixed with "re:" are regular expressions, everything else is a glob.
+ */
+function parseUrlRules(text: string): { rules: UrlRule[]; error: string | null } {
+  const rules: UrlRule[] = [];
+  const lines = text.split('\n').map(line => line.trim()).filter(line => line.length > 0);
+
+  for (const [index, line] of lines.entries()) {
+    const sign = line[0];
+    if (sign !== '+' && sign !== '-') {
+      return { rules, error: `Line ${index + 1}: start with "+" (include) or "-" (exclude)` };
+    }
+
+    let pattern = line.slice(1).trim();
+    let syntax: UrlRule['syntax'] = 'glob';
+    if (pattern.startsWith('re:')) {
+      syntax = 'regex';
+      pattern = pattern.slice(3).trim();
+      try {
+        new RegExp(pattern);
+      } catch {
+        return { rules, error: `Line ${index + 1}: invalid regular expression` };
+      }
+    }
+
+    if (!pattern) {
+      return { rules, error: `Line ${index + 1}: pattern is empty` };
+    }
+
+    rules.push({ type: sign === '+' ? 'include' : 'exclude', pattern, syntax });
+  }
+
+  return { rules, error: null };
+}
+
+interface CrawlAuth {
+  headers: { name: string; value: string }[];
+  cookies: { name: string; value: string }[];
+  basicAuth: { username: string; password: string } | null;
+}
+
+/**
+ * Parse the authentication fields: "Name: value" header lines, "name=value" cookies (one per line or
+ * separated by ";") and an optional basic auth login. The service worker checks names and values again.
+ */
+function parseCrawlAuth(headersText: string, cookiesText: string, username: string, password: string): { auth: CrawlAuth; error: string | null } {
+  const auth: CrawlAuth = { headers: [], cookies: [], basicAuth: username || password ? { username, password } : null };
+
+  const headerLines = headersText.split('\n').map(line => line.trim()).filter(line => line.length > 0);
+  for (const [index, line] of headerLines.entries()) {
+    const separator = line.indexOf(':');
+    if (separator <= 0) {
+      return { auth, error: `Header line ${index + 1}: use "Name: value"` };
+    }
+    auth.headers.push({ name: line.slice(0, separator).trim(), value: line.slice(separator + 1).trim() });
+  }
+
+  const cookieParts = cookiesText.split(/[\n;]/).map(part => part.trim()).filter(part => part.length > 0);
+  for (const part of cookieParts) {
+    const separator = part.indexOf('=');
+    if (separator <= 0) {
+      return { auth, error: `Cookie "${part}": use name=value` };
+    }
+    auth.cookies.push({ name: part.slice(0, separator).trim(), value: part.slice(separator + 1).trim() });
+  }
+
+  return { auth, error: null };
+}
+
+/**
+ * Parse a comma or whitespace separated list of query parameter names
+ */
+function parseParamList(text: string): string[] {
+  return text.split(/[\s,]+/).map(name => name.trim()).filter(Boolean);
+}
 
 export function CrawlTab() {
   const [urls, setUrls] = useState(['']);
@@ -21,19 +104,87 @@ export function CrawlTab() {
   const [isSaving, setIsSaving] = useState(false);
   const [showAdvanced, setShowAdvanced] = useState(false);
   const [skipCache, setSkipCache] = useState(false);
+  const [updateExisting, setUpdateExisting] = useState(false);
   const [maxWorkers, setMaxWorkers] = useState(5);
+  const [maxRetries, setMaxRetries] = useState(2);
+  const [retryBaseDelay, setRetryBaseDelay] = useState(2);
   const [enablePageLimit, setEnablePageLimit] = useState(false);
   const [pageLimit, setPageLimit] = useState(100);
+  const [enableMaxDepth, setEnableMaxDepth] = useState(false);
+  const [maxDepth, setMaxDepth] = useState(3);
+  const [sitemapUrlsAsSeeds, setSitemapUrlsAsSeeds] = useState(true);
+  const [crawlStrategy, setCrawlStrategy] = useState<'bfs' | 'dfs' | 'priority'>('bfs');
+  const [fetchMode, setFetchMode] = useState<'rendered' | 'fast' | 'auto'>('rendered');
   const [strictPathMatching, setStrictPathMatching] = useState(true);
   const [useIncognito, setUseIncognito] = useState(false);
   const [followExternalLinks, setFollowExternalLinks] = useState(false);
   const [maxExternalHops, setMaxExternalHops] = useState(1);
+  const [respectRobots, setRespectRobots] = useState(false);
+  const [respectPageDirectives, setRespectPageDirectives] = useState(false);
+  const [mergeNearDuplicates, setMergeNearDuplicates] = useState(false);
+  const [nearDuplicateThreshold, setNearDuplicateThreshold] = useState(90);
+  const [followPagination, setFollowPagination] = useState(false);
+  const [maxPaginationPages, setMaxPaginationPages] = useState(50);
+  const [stitchPagination, setStitchPagination] = useState(false);
+  const [urlRulesText, setUrlRulesText] = useState('');
+  const [keepQueryParamsText, setKeepQueryParamsText] = useState('');
+  const [stripQueryParamsText, setStripQueryParamsText] = useState('');
+  const [sortQueryParams, setSortQueryParams] = useState(true);
+  const [usePageActions, setUsePageActions] = useState(false);
+  const [expandDetails, setExpandDetails] = useState(true);
+  const [captureTabs, setCaptureTabs] = useState(true);
+  const [scrollPage, setScrollPage] = useState(false);
+  const [clickSelectorsText, setClickSelectorsText] = useState('');
+  const [pageActionBudget, setPageActionBudget] = useState(5);
+  const [infiniteScroll, setInfiniteScroll] = useState(false);
+  const [scrollTimeBudget, setScrollTimeBudget] = useState(30);
+  const [screenshots, setScreenshots] = useState(false);
+  const [screenshotFormat, setScreenshotFormat] = useState<'webp' | 'jpeg'>('webp');
+  const [readPdfs, setReadPdfs] = useState(false);
+  const [archives, setArchives] = useState(false);
+  const [archiveBudget, setArchiveBudget] = useState(500);
+  const [recordApi, setRecordApi] = useState(false);
+  const [apiMaxBodyKb, setApiMaxBodyKb] = useState(64);
+  const [apiRulesText, setApiRulesText] = useState('');
+  const [useAuth, setUseAuth] = useState(false);
+  const [authHeadersText, setAuthHeadersText] = useState('');
+  const [authCookiesText, setAuthCookiesText] = useState('');
+  const [basicAuthUser, setBasicAuthUser] = useState('');
+  const [basicAuthPassword, setBasicAuthPassword] = useState('');
   const [showIncognitoWarning, setShowIncognitoWarning] = useState(false);
   const [isStarting, setIsStarting] = useState(false);
-  const { isActive, progress, error, startCrawl, cancelCrawl } = useCrawl();
+  const [dryRun, setDryRun] = useState<DryRunResult | null>(null);
+  const [dryRunRulesText, setDryRunRulesText] = useState('');
+  const [isPreviewing, setIsPreviewing] = useState(false);
   const { toast } = useToast();
-  const wasActiveRef = useRef(false);
-  const wasCancelledRef = useRef(false);
+  const { crawls, maxConcurrentCrawls, error, startCrawl, cancelCrawl } = useCrawl({
+    // Toast when a capture completes or is cancelled
+    onFinished: (crawl) => {
+      if (crawl.pagesProcessed === 0) return;
+      const site = crawl.baseUrls[0] || 'Capture';
+      if (crawl.status === 'cancelled') {
+        toast({
+          variant: "warning",
+          title: "Capture Cancelled",
+          description: `${site}: stopped after capturing ${crawl.pagesProcessed} page${crawl.pagesProcessed !== 1 ? 's' : ''}`
+        });
+      } else {
+        toast({
+          variant: "success",
+          title: "Capture Complete!",
+          description: `${site}: successfully captured ${crawl.pagesProcessed} pages`
+        });
+      }
+    }
+  });
+  const urlRulesError = parseUrlRules(urlRulesText).error;
+  const apiRulesError = recordApi ? parseUrlRules(apiRulesText).error : null;
+  const authError = useAuth ? parseCrawlAuth(authHeadersText, authCookiesText, basicAuthUser, basicAuthPassword).error : null;
+
+  // A preview only describes the URLs it was made for
+  useEffect(() => {
+    setDryRun(null);
+  }, [urls.join('\n')]);
 
   // URL list management functions
   const addUrl = () => {
@@ -158,26 +309,111 @@ export function CrawlTab() {
     }
   };
 
-  const handleStartCrawl = async () => {
-    // Filter out empty URLs and trim
-    const validUrls = urls
-      .map(u => u.trim())
-      .filter(u => u.length > 0);
+  // Filter out empty URLs and trim
+  const getValidUrls = () => urls
+    .map(u => u.trim())
+    .filter(u => u.length > 0);
+
+  // Settings that decide which URLs are in scope, shared by the capture and its dry run
+  const getScopeOptions = (rulesText: string) => {
+    const { rules, error: rulesError } = parseUrlRules(rulesText);
+    if (rulesError) {
+      setShowAdvanced(true);
+      toast({
+        variant: "destructive",
+        title: "Invalid URL rules",
+        description: rulesError
+      });
+      return null;
+    }
+    const keepQueryParams = parseParamList(keepQueryParamsText);
+    const stripQueryParams = parseParamList(stripQueryParamsText);
+
+    return {
+      strictPathMatching,
+      respectRobots,
+      urlRules: rules,
+      // Empty strip list = the default tracking and session parameters
+      canonicalization: keepQueryParams.length > 0 || stripQueryParams.length > 0
+        ? {
+            keepQueryParams,
+            stripQueryParams: stripQueryParams.length > 0 ? stripQueryParams : null,
+            sortQueryParams
+          }
+        : null
+    };
+  };
 
+  // seedUrls: start from a reviewed dry run list instead of discovering the site again
+  const handleStartCrawl = async (seedUrls: string[] | null = null) => {
+    const validUrls = getValidUrls();
     if (validUrls.length === 0) return;
 
+    const scopeOptions = getScopeOptions(urlRulesText);
+    if (!scopeOptions) return;
+
+    // Unchecked: an updated or resumed job keeps the authentication saved with it
+    const { auth, error: authParseError } = parseCrawlAuth(authHeadersText, authCookiesText, basicAuthUser, basicAuthPassword);
+    if (useAuth && authParseError) {
+      setShowAdvanced(true);
+      toast({
+        variant: "destructive",
+        title: "Invalid authentication",
+        description: authParseError
+      });
+      return;
+    }
+
+    const { rules: apiRules, error: apiRulesParseError } = parseUrlRules(apiRulesText);
+    if (recordApi && apiRulesParseError) {
+      setShowAdvanced(true);
+      toast({
+        variant: "destructive",
+        title: "Invalid API URL filters",
+        description: apiRulesParseError
+      });
+      return;
+    }
+
     // Set loading state immediately for instant feedback
     setIsStarting(true);
 
     try {
       const options = {
+        ...scopeOptions,
+        seedUrls,
         skipCache,
+        updateExisting,
         maxWorkers,
+        maxRetries,
+        retryBaseDelay: retryBaseDelay * 1000,
         pageLimit: enablePageLimit ? pageLimit : null,
-        strictPathMatching,
+        maxDepth: enableMaxDepth ? maxDepth : null,
+        sitemapUrlsAsSeeds,
+        crawlStrategy,
+        fetchMode,
         useIncognito,
+        auth: useAuth ? auth : undefined,
+        // Unchecked: an updated or resumed job keeps the page actions saved with it
+        pageActions: usePageActions ? {
+          expandDetails,
+          captureTabs,
+          scroll: scrollPage,
+          clickSelectors: clickSelectorsText.split('\n').map(line => line.trim()).filter(Boolean),
+          timeBudget: pageActionBudget * 1000
+        } : undefined,
+        infiniteScroll: infiniteScroll ? { timeBudget: scrollTimeBudget * 1000 } : undefined,
+        screenshots: screenshots ? { format: screenshotFormat } : undefined,
+        pdfs: readPdfs || undefined,
+        archives: archives ? { jobBudget: archiveBudget * 1024 * 1024 } : undefined,
+        apiRecording: recordApi ? { maxBodyBytes: apiMaxBodyKb * 1024, urlRules: apiRules } : undefined,
         followExternalLinks,
-        maxExternalHops: followExternalLinks ? maxExternalHops : 1
+        maxExternalHops: followExternalLinks ? maxExternalHops : 1,
+        respectPageDirectives,
+        nearDuplicateThreshold: mergeNearDuplicates ? nearDuplicateThreshold / 100 : null,
+        followPagination,
+        maxPaginationPages,
+        stitchPagination: followPagination && stitchPagination
       };
 
       // Pass array of URLs if multiple, single URL if just one
@@ -189,9 +425,16 @@ export function CrawlTab() {
         description: `Capturing pages from ${validUrls.length} base path${validUrls.length > 1 ? 's' : ''}`
       });
 
-      await startCrawl(urlsToPass, options);
+      const response = await startCrawl(urlsToPass, options);
+      setIsStarting(false);
+      setDryRun(null);
 
-      // Crawl started successfully - loading state will be cleared by useEffect
+      if (response.status === 'queued') {
+        toast({
+          title: "Capture queued",
+          description: `Other captures are using every slot. This one starts when a slot frees up (position ${response.position}).`
+        });
+      }
     } catch (err) {
       console.error('Failed to start capture:', err);
       setIsStarting(false);
@@ -204,13 +447,70 @@ export function CrawlTab() {
     }
   };
 
-  const handleCancel = async () => {
+  // Dry run: list the URLs the capture would start from, without rendering pages
+  const handlePreview = async () => {
+    const validUrls = getValidUrls();
+    if (validUrls.length === 0) return;
+
+    const scopeOptions = getScopeOptions(urlRulesText);
+    if (!scopeOptions) return;
+
+    setIsPreviewing(true);
     try {
-      wasCancelledRef.current = true;
-      await cancelCrawl();
+      setDryRun(await crawlerAPI.dryRun(validUrls, scopeOptions));
+      setDryRunRulesText(urlRulesText);
+    } catch (err) {
+      console.error('Failed to preview URLs:', err);
+      toast({
+        variant: "destructive",
+        title: "Failed to preview URLs",
+        description: err instanceof Error ? err.message : "Unknown error occurred"
+      });
+    } finally {
+      setIsPreviewing(false);
+    }
+  };
+
+  // Apply changed URL rules to the previewed URLs without fetching them again
+  const refinePreview = async (rulesText: string) => {
+    if (!dryRun) return;
+    setUrlRulesText(rulesText);
+
+    const scopeOptions = getScopeOptions(rulesText);
+    if (!scopeOptions) return;
+
+    setIsPreviewing(true);
+    try {
+      const candidates = dryRun.urls.map(({ url, source, depth }) => ({ url, source, depth }));
+      const refined = await crawlerAPI.dryRun(getValidUrls(), { ...scopeOptions, candidates });
+      setDryRun({ ...refined, expansion: dryRun.expansion });
+      setDryRunRulesText(rulesText);
+    } catch (err) {
+      console.error('Failed to apply URL rules:', err);
+      toast({
+        variant: "destructive",
+        title: "Failed to apply URL rules",
+        description: err instanceof Error ? err.message : "Unknown error occurred"
+      });
+    } finally {
+      setIsPreviewing(false);
+    }
+  };
+
+  // Scope shortcuts from the preview tree: an exclude goes first so it wins over existing includes
+  const handleExcludePrefix = (prefix: string) => {
+    refinePreview(`- ${prefix}/**\n${urlRulesText}`.trim());
+  };
+
+  const handleOnlyPrefix = (prefix: string) => {
+    refinePreview(`${urlRulesText}\n+ ${prefix}/**`.trim());
+  };
+
+  const handleCancel = async (jobId: string) => {
+    try {
+      await cancelCrawl(jobId);
     } catch (err) {
       console.error('Failed to cancel crawl:', err);
-      wasCancelledRef.current = false;
     }
   };
 
@@ -301,41 +601,6 @@ export function CrawlTab() {
     setUseIncognito(checked);
   };
 
-  const progressPercentage = progress.pagesFound > 0
-    ? (progress.pagesProcessed / progress.pagesFound) * 100
-    : 0;
-
-  // Clear loading state when crawl becomes active
-  useEffect(() => {
-    if (isActive && isStarting) {
-      setIsStarting(false);
-    }
-  }, [isActive, isStarting]);
-
-  // Show toast when crawl completes or is cancelled (transitions from active to inactive)
-  useEffect(() => {
-    if (wasActiveRef.current && !isActive && progress.pagesProcessed > 0) {
-      if (wasCancelledRef.current) {
-        // Capture was cancelled by user
-        toast({
-          variant: "warning",
-          title: "Capture Cancelled",
-          description: `Stopped after capturing ${progress.pagesProcessed} page${progress.pagesProcessed !== 1 ? 's' : ''}`
-        });
-        wasCancelledRef.current = false;
-      } else {
-        // Capture completed naturally
-        toast({
-          variant: "success",
-          title: "Capture Complete!",
-          description: `Successfully captured ${progress.pagesProcessed} pages`
-        });
-      }
-    }
-    // Update the ref for next render
-    wasActiveRef.current = isActive;
-  }, [isActive, progress.pagesProcessed, toast]);
-
   // Check for pending picked content and restore crawl mode on mount
   useEffect(() => {
     const initializeState = async () => {
@@ -381,6 +646,21 @@ export function CrawlTab() {
     <div className="relative flex flex-col h-full">
       {/* Scrollable content area */}
       <div className="flex-1 overflow-y-auto pb-16">{/* Add padding bottom for floating button */}
+        {/* Running and queued captures */}
+        {crawls.length > 0 && (
+          <div className="space-y-3 mb-3">
+            {crawls.map((crawl) => (
+              <CrawlProgressCard key={crawl.jobId} crawl={crawl} onCancel={handleCancel} />
+            ))}
+            <Alert>
+              <AlertDescription className="text-xs">
+                ℹ️ You can close this popup. Captures continue in the background.
+                {maxConcurrentCrawls && ` Up to ${maxConcurrentCrawls} run at once; more wait in the queue.`}
+              </AlertDescription>
+            </Alert>
+          </div>
+        )}
+
         {/* Show loading state while initializing */}
         {isStarting && (
           <Card>
@@ -398,7 +678,7 @@ export function CrawlTab() {
           </Card>
         )}
 
-        {!isActive && !isStarting && (
+        {!isStarting && (
           <Card>
             <CardHeader className="space-y-3">
               {/* Crawl Mode Selection */}
@@ -467,16 +747,42 @@ export function CrawlTab() {
                   )}
                 </div>
               ))}
-              <Button
-                type="button"
-                variant="outline"
-                size="sm"
-                onClick={addUrl}
-                className="w-full"
-              >
-                <Plus className="h-4 w-4 mr-2" />
-                Add Another URL
-              </Button>
+              <div className="flex gap-2">
+                <Button
+                  type="button"
+                  variant="outline"
+                  size="sm"
+                  onClick={addUrl}
+                  className="flex-1"
+                >
+                  <Plus className="h-4 w-4 mr-2" />
+                  Add Another URL
+                </Button>
+                <Button
+                  type="button"
+                  variant="outline"
+                  size="sm"
+                  onClick={handlePreview}
+                  disabled={urls.filter(u => u.trim()).length === 0 || isPreviewing}
+                  className="flex-1"
+                  title="List the URLs the capture would visit, without rendering pages"
+                >
+                  {isPreviewing ? <Loader2 className="h-4 w-4 mr-2 animate-spin" /> : <ListTree className="h-4 w-4 mr-2" />}
+                  Preview URLs
+                </Button>
+              </div>
+              {dryRun && (
+                <DryRunPreview
+                  result={dryRun}
+                  rulesChanged={urlRulesText !== dryRunRulesText}
+                  isBusy={isPreviewing || isStarting}
+                  onExclude={handleExcludePrefix}
+                  onOnly={handleOnlyPrefix}
+                  onApplyRules={() => refinePreview(urlRulesText)}
+                  onStart={() => handleStartCrawl(dryRun.urls.filter(entry => !entry.excluded).map(entry => entry.url))}
+                  onClose={() => setDryRun(null)}
+                />
+              )}
             </div>
             )}
 
@@ -527,6 +833,49 @@ export function CrawlTab() {
                     </p>
                   </div>
 
+                  {/* Automatic Retries */}
+                  <div className="space-y-2">
+                    <Label htmlFor="maxRetries" className="text-sm font-medium">
+                      Automatic Retries
+                    </Label>
+                    <div className="flex items-center gap-3">
+                      <Input
+                        id="maxRetries"
+                        type="number"
+                        min={0}
+                        max={5}
+                        value={maxRetries}
+                        onChange={(e) => {
+                          const val = parseInt(e.target.value);
+                          if (!isNaN(val) && val >= 0 && val <= 5) {
+                            setMaxRetries(val);
+                          }
+                        }}
+                        className="w-16"
+                      />
+                      <span className="text-sm text-muted-foreground">retries, first after</span>
+                      <Input
+                        id="retryBaseDelay"
+                        type="number"
+                        min={1}
+                        max={30}
+                        value={retryBaseDelay}
+                        onChange={(e) => {
+                          const val = parseInt(e.target.value);
+                          if (!isNaN(val) && val >= 1 && val <= 30) {
+                            setRetryBaseDelay(val);
+                          }
+                        }}
+                        className="w-16"
+                        disabled={maxRetries === 0}
+                      />
+                      <span className="text-sm text-muted-foreground">s</span>
+                    </div>
+                    <p className="text-xs text-muted-foreground">
+                      Pages that fail with a timeout, a detached debugger or a network error are tried again. The wait doubles with each attempt. <span className="font-medium">0</span> = no retries.
+                    </p>
+                  </div>
+
                   {/* Page Limit */}
                   <div className="space-y-2">
                     <div className="flex items-center space-x-2">
@@ -564,6 +913,366 @@ export function CrawlTab() {
                     )}
                   </div>
 
+                  {/* Max Link Depth */}
+                  <div className="space-y-2">
+                    <div className="flex items-center space-x-2">
+                      <Checkbox
+                        id="enableMaxDepth"
+                        checked={enableMaxDepth}
+                        onCheckedChange={(checked) => setEnableMaxDepth(checked as boolean)}
+                      />
+                      <Label htmlFor="enableMaxDepth" className="text-sm font-medium cursor-pointer">
+                        Limit Link Depth
+                      </Label>
+                    </div>
+                    {enableMaxDepth && (
+                      <div className="pl-6 space-y-2">
+                        <div className="flex items-center gap-3">
+                          <Input
+                            id="maxDepth"
+                            type="number"
+                            min={0}
+                            max={100}
+                            value={maxDepth}
+                            onChange={(e) => {
+                              const val = parseInt(e.target.value);
+                              if (!isNaN(val) && val >= 0 && val <= 100) {
+                                setMaxDepth(val);
+                              }
+                            }}
+                            className="w-16"
+                          />
+                          <span className="text-sm text-muted-foreground">clicks from the start URL(s)</span>
+                        </div>
+                        <div className="flex items-center gap-1.5">
+                          <Checkbox
+                            id="sitemapUrlsAsSeeds"
+                            checked={sitemapUrlsAsSeeds}
+                            onCheckedChange={(checked) => setSitemapUrlsAsSeeds(checked as boolean)}
+                          />
+                          <Label htmlFor="sitemapUrlsAsSeeds" className="text-sm cursor-pointer">
+                            Count sitemap pages as start pages
+                          </Label>
+                        </div>
+                        <p className="text-xs text-muted-foreground">
+                          Don't follow links more than this many hops away. <span className="font-medium">0</span> = only the start pages. Keeps tag and archive listings from fanning out across the whole site. When sitemap pages are not counted as start pages, they are one hop away.
+                        </p>
+                      </div>
+                    )}
+                  </div>
+
+                  {/* Crawl Order */}
+                  <div className="space-y-2">
+                    <Label className="text-sm font-medium">Crawl Order</Label>
+                    <RadioGroup
+                      value={crawlStrategy}
+                      onValueChange={(value) => setCrawlStrategy(value as 'bfs' | 'dfs' | 'priority')}
+                      className="flex items-center gap-4"
+                    >
+                      <div className="flex items-center space-x-2">
+                        <RadioGroupItem value="bfs" id="strategy-bfs" />
+                        <Label htmlFor="strategy-bfs" className="text-sm cursor-pointer font-normal">Breadth-first</Label>
+                      </div>
+                      <div className="flex items-center space-x-2">
+                        <RadioGroupItem value="dfs" id="strategy-dfs" />
+                        <Label htmlFor="strategy-dfs" className="text-sm cursor-pointer font-normal">Depth-first</Label>
+                      </div>
+                      <div className="flex items-center space-x-2">
+                        <RadioGroupItem value="priority" id="strategy-priority" />
+                        <Label htmlFor="strategy-priority" className="text-sm cursor-pointer font-normal">Priority</Label>
+                      </div>
+                    </RadioGroup>
+                    <p className="text-xs text-muted-foreground">
+                      Which pages are captured first. <span className="font-medium">Priority</span> favours pages the sitemap marks as important or recently updated, and shallow paths — the best choice with a page limit.
+                    </p>
+                  </div>
+
+                  {/* Page Loading */}
+                  <div className="space-y-2">
+                    <Label className="text-sm font-medium">Page Loading</Label>
+                    <RadioGroup
+                      value={fetchMode}
+                      onValueChange={(value) => setFetchMode(value as 'rendered' | 'fast' | 'auto')}
+                      className="flex items-center gap-4"
+                    >
+                      <div className="flex items-center space-x-2">
+                        <RadioGroupItem value="rendered" id="fetch-rendered" />
+                        <Label htmlFor="fetch-rendered" className="text-sm cursor-pointer font-normal">Render in tab</Label>
+                      </div>
+                      <div className="flex items-center space-x-2">
+                        <RadioGroupItem value="fast" id="fetch-fast" />
+                        <Label htmlFor="fetch-fast" className="text-sm cursor-pointer font-normal">Fast</Label>
+                      </div>
+                      <div className="flex items-center space-x-2">
+                        <RadioGroupItem value="auto" id="fetch-auto" />
+                        <Label htmlFor="fetch-auto" className="text-sm cursor-pointer font-normal">Auto</Label>
+                      </div>
+                    </RadioGroup>
+                    <p className="text-xs text-muted-foreground">
+                      <span className="font-medium">Fast</span> downloads the HTML without opening a tab — much quicker for static sites such as Sphinx, MkDocs or Hugo docs. Pages with little text or that need JavaScript are still rendered in a tab. <span className="font-medium">Auto</span> decides per site from its first pages. Incognito captures always render in a tab.
+                    </p>
+                  </div>
+
+                  {/* Page Actions */}
+                  <div className="space-y-2">
+                    <div className="flex items-center gap-1.5">
+                      <Checkbox
+                        id="usePageActions"
+                        checked={usePageActions}
+                        onCheckedChange={(checked) => setUsePageActions(checked as boolean)}
+                      />
+                      <Label htmlFor="usePageActions" className="text-sm font-medium cursor-pointer">
+                        Page Actions
+                      </Label>
+                    </div>
+                    <p className="text-xs text-muted-foreground pl-6">
+                      Reveal hidden content on each page before it is captured: collapsed sections, tabbed code samples (npm / yarn / pnpm), "Show more" buttons and lazy-loaded content. Clicking, tabs and scrolling render every page in a tab.
+                    </p>
+                    {usePageActions && (
+                      <div className="pl-6 space-y-2 pt-2">
+                        <div className="flex items-center gap-1.5">
+                          <Checkbox
+                            id="expandDetails"
+                            checked={expandDetails}
+                            onCheckedChange={(checked) => setExpandDetails(checked as boolean)}
+                          />
+                          <Label htmlFor="expandDetails" className="text-sm cursor-pointer font-normal">
+                            Open collapsed sections (&lt;details&gt;)
+                          </Label>
+                        </div>
+                        <div className="flex items-center gap-1.5">
+                          <Checkbox
+                            id="captureTabs"
+                            checked={captureTabs}
+                            onCheckedChange={(checked) => setCaptureTabs(checked as boolean)}
+                          />
+                          <Label htmlFor="captureTabs" className="text-sm cursor-pointer font-normal">
+                            Capture every tab of tabbed content
+                          </Label>
+                        </div>
+                        <div className="flex items-center gap-1.5">
+                          <Checkbox
+                            id="scrollPage"
+                            checked={scrollPage}
+                            onCheckedChange={(checked) => setScrollPage(checked as boolean)}
+                          />
+                          <Label htmlFor="scrollPage" className="text-sm cursor-pointer font-normal">
+                            Scroll to the bottom to load lazy content
+                          </Label>
+                        </div>
+                        <Label htmlFor="clickSelectors" className="text-sm">Click elements</Label>
+                        <textarea
+                          id="clickSelectors"
+                          value={clickSelectorsText}
+                          onChange={(e) => setClickSelectorsText(e.target.value)}
+                          placeholder={'button.show-more\n.accordion-header[aria-expanded="false"]'}
+                          rows={2}
+                          spellCheck={false}
+                          className="flex w-full rounded-md border border-input bg-background px-3 py-2 text-xs font-mono ring-offset-background placeholder:text-muted-foreground focus-visible:outline-none focus-visible:ring-2 focus-visible:ring-ring focus-visible:ring-offset-2"
+                        />
+                        <p className="text-xs text-muted-foreground">
+                          One CSS selector per line. Every match is clicked once; links are not followed.
+                        </p>
+                        <div className="flex items-center gap-2">
+                          <Label htmlFor="pageActionBudget" className="text-sm">Time per page</Label>
+                          <Input
+                            id="pageActionBudget"
+                            type="number"
+                            min={1}
+                            max={30}
+                            value={pageActionBudget}
+                            onChange={(e) => {
+                              const val = parseInt(e.target.value);
+                              if (!isNaN(val) && val >= 1 && val <= 30) {
+                                setPageActionBudget(val);
+                              }
+                            }}
+                            className="w-16"
+                          />
+                          <span className="text-sm text-muted-foreground">s</span>
+                        </div>
+                      </div>
+                    )}
+                  </div>
+
+                  {/* Infinite Scroll */}
+                  <div className="space-y-2">
+                    <div className="flex items-center gap-1.5">
+                      <Checkbox
+                        id="infiniteScroll"
+                        checked={infiniteScroll}
+                        onCheckedChange={(checked) => setInfiniteScroll(checked as boolean)}
+                      />
+                      <Label htmlFor="infiniteScroll" className="text-sm font-medium cursor-pointer">
+                        Infinite Scroll
+                      </Label>
+                    </div>
+                    <p className="text-xs text-muted-foreground pl-6">
+                      Keep scrolling each page until it stops loading more — for feeds, "load more" changelogs and long API references. Pages cut off by the time limit, or whose list unloads rows while scrolling, are counted in job details. Renders every page in a tab.
+                    </p>
+                    {infiniteScroll && (
+                      <div className="flex items-center gap-2 pl-6">
+                        <Label htmlFor="scrollTimeBudget" className="text-sm">Stop after</Label>
+                        <Input
+                          id="scrollTimeBudget"
+                          type="number"
+                          min={5}
+                          max={120}
+                          value={scrollTimeBudget}
+                          onChange={(e) => {
+                            const val = parseInt(e.target.value);
+                            if (!isNaN(val) && val >= 5 && val <= 120) {
+                              setScrollTimeBudget(val);
+                            }
+                          }}
+                          className="w-16"
+                        />
+                        <span className="text-sm text-muted-foreground">s per page</span>
+                      </div>
+                    )}
+                  </div>
+
+                  {/* Screenshots */}
+                  <div className="space-y-2">
+                    <div className="flex items-center gap-1.5">
+                      <Checkbox
+                        id="screenshots"
+                        checked={screenshots}
+                        onCheckedChange={(checked) => setScreenshots(checked as boolean)}
+                      />
+                      <Label htmlFor="screenshots" className="text-sm font-medium cursor-pointer">
+                        Screenshots
+                      </Label>
+                    </div>
+                    <p className="text-xs text-muted-foreground pl-6">
+                      Store a compressed full-page screenshot with each page (up to 1 MB each), to compare with the markdown in the page viewer or include in a ZIP export. Renders every page in a tab.
+                    </p>
+                    {screenshots && (
+                      <RadioGroup
+                        value={screenshotFormat}
+                        onValueChange={(value) => setScreenshotFormat(value as 'webp' | 'jpeg')}
+                        className="flex items-center gap-4 pl-6"
+                      >
+                        <div className="flex items-center space-x-2">
+                          <RadioGroupItem value="webp" id="screenshot-webp" />
+                          <Label htmlFor="screenshot-webp" className="text-sm cursor-pointer font-normal">WebP</Label>
+                        </div>
+                        <div className="flex items-center space-x-2">
+                          <RadioGroupItem value="jpeg" id="screenshot-jpeg" />
+                          <Label htmlFor="screenshot-jpeg" className="text-sm cursor-pointer font-normal">JPEG</Label>
+                        </div>
+                      </RadioGroup>
+                    )}
+                  </div>
+
+                  {/* PDF documents */}
+                  <div className="space-y-2">
+                    <div className="flex items-center gap-1.5">
+                      <Checkbox
+                        id="readPdfs"
+                        checked={readPdfs}
+                        onCheckedChange={(checked) => setReadPdfs(checked as boolean)}
+                      />
+                      <Label htmlFor="readPdfs" className="text-sm font-medium cursor-pointer">
+                        Read Linked PDFs
+                      </Label>
+                    </div>
+                    <p className="text-xs text-muted-foreground pl-6">
+                      Download in-scope PDF links (up to 25 MB each) without opening a tab and store their text, outline and document details as pages. Scanned PDFs have no text to read.
+                    </p>
+                  </div>
+
+                  {/* Archive snapshots */}
+                  <div className="space-y-2">
+                    <div className="flex items-center gap-1.5">
+                      <Checkbox
+                        id="archives"
+                        checked={archives}
+                        onCheckedChange={(checked) => setArchives(checked as boolean)}
+                      />
+                      <Label htmlFor="archives" className="text-sm font-medium cursor-pointer">
+                        Archive Snapshots (MHTML)
+                      </Label>
+                    </div>
+                    <p className="text-xs text-muted-foreground pl-6">
+                      Keep a faithful single-file copy of each page as rendered (up to 20 MB each), to view in the page viewer or include in a ZIP export. Once the job's budget is used up, later pages are stored without one. Renders every page in a tab.
+                    </p>
+                    {archives && (
+                      <div className="flex items-center gap-2 pl-6">
+                        <Label htmlFor="archiveBudget" className="text-sm">Budget</Label>
+                        <Input
+                          id="archiveBudget"
+                          type="number"
+                          min={10}
+                          max={5000}
+                          value={archiveBudget}
+                          onChange={(e) => {
+                            const val = parseInt(e.target.value);
+                            if (!isNaN(val) && val >= 10 && val <= 5000) {
+                              setArchiveBudget(val);
+                            }
+                          }}
+                          className="w-20"
+                        />
+                        <span className="text-sm text-muted-foreground">MB per job</span>
+                      </div>
+                    )}
+                  </div>
+
+                  {/* API recording */}
+                  <div className="space-y-2">
+                    <div className="flex items-center gap-1.5">
+                      <Checkbox
+                        id="recordApi"
+                        checked={recordApi}
+                        onCheckedChange={(checked) => setRecordApi(checked as boolean)}
+                      />
+                      <Label htmlFor="recordApi" className="text-sm font-medium cursor-pointer">
+                        Record API Calls (HAR)
+                      </Label>
+                    </div>
+                    <p className="text-xs text-muted-foreground pl-6">
+                      Record the XHR and fetch calls each page makes, with their bodies, to export as a HAR file and a summary of the API endpoints. Authorization and cookie headers are never stored. Renders every page in a tab.
+                    </p>
+                    {recordApi && (
+                      <div className="space-y-2 pl-6">
+                        <div className="flex items-center gap-2">
+                          <Label htmlFor="apiMaxBodyKb" className="text-sm">Bodies up to</Label>
+                          <Input
+                            id="apiMaxBodyKb"
+                            type="number"
+                            min={1}
+                            max={5120}
+                            value={apiMaxBodyKb}
+                            onChange={(e) => {
+                              const val = parseInt(e.target.value);
+                              if (!isNaN(val) && val >= 1 && val <= 5120) {
+                                setApiMaxBodyKb(val);
+                              }
+                            }}
+                            className="w-20"
+                          />
+                          <span className="text-sm text-muted-foreground">KB</span>
+                        </div>
+                        <textarea
+                          id="apiRules"
+                          value={apiRulesText}
+                          onChange={(e) => setApiRulesText(e.target.value)}
+                          placeholder={'+ /api/**\n- **/analytics/**'}
+                          rows={2}
+                          spellCheck={false}
+                          className="flex w-full rounded-md border border-input bg-background px-3 py-2 text-xs font-mono ring-offset-background placeholder:text-muted-foreground focus-visible:outline-none focus-visible:ring-2 focus-visible:ring-ring focus-visible:ring-offset-2"
+                        />
+                        {apiRulesError && (
+                          <p className="text-xs text-destructive">{apiRulesError}</p>
+                        )}
+                        <p className="text-xs text-muted-foreground">
+                          Optional filters for the call URLs, written like the URL rules below. Empty records every call.
+                        </p>
+                      </div>
+                    )}
+                  </div>
+
                   {/* Strict Path Matching */}
                   <div className="space-y-2">
                     <div className="flex items-center gap-1.5">
@@ -598,6 +1307,23 @@ export function CrawlTab() {
                     </p>
                   </div>
 
+                  {/* Update Existing Job */}
+                  <div className="space-y-2">
+                    <div className="flex items-center gap-1.5">
+                      <Checkbox
+                        id="updateExisting"
+                        checked={updateExisting}
+                        onCheckedChange={(checked) => setUpdateExisting(checked as boolean)}
+                      />
+                      <Label htmlFor="updateExisting" className="text-sm font-medium cursor-pointer">
+                        Update Existing Job
+                      </Label>
+                    </div>
+                    <p className="text-xs text-muted-foreground pl-6">
+                      Refresh the job previously captured for this URL instead of creating a new one. Unchanged pages are kept, changed pages are updated, new pages are added and pages that no longer exist are marked as removed. Starts a new job if there is none yet.
+                    </p>
+                  </div>
+
                   {/* Incognito Mode */}
                   <div className="space-y-2">
                     <div className="flex items-center gap-1.5">
@@ -615,6 +1341,72 @@ export function CrawlTab() {
                     </p>
                   </div>
 
+                  {/* Authentication */}
+                  <div className="space-y-2">
+                    <div className="flex items-center gap-1.5">
+                      <Checkbox
+                        id="useAuth"
+                        checked={useAuth}
+                        onCheckedChange={(checked) => setUseAuth(checked as boolean)}
+                      />
+                      <Label htmlFor="useAuth" className="text-sm font-medium cursor-pointer">
+                        Authentication
+                      </Label>
+                    </div>
+                    <p className="text-xs text-muted-foreground pl-6">
+                      Send headers, cookies or a basic auth login with every page request to the sites of the URLs above — for internal docs or previews behind a login. Saved encrypted with the job and reused when it is updated or resumed. Cookies make every page render in a tab.
+                    </p>
+                    {useAuth && (
+                      <div className="pl-6 space-y-2 pt-2">
+                        <Label htmlFor="authHeaders" className="text-sm">Headers</Label>
+                        <textarea
+                          id="authHeaders"
+                          value={authHeadersText}
+                          onChange={(e) => setAuthHeadersText(e.target.value)}
+                          placeholder={'Authorization: Bearer …\nX-Preview-Token: …'}
+                          rows={2}
+                          spellCheck={false}
+                          autoComplete="off"
+                          className="flex w-full rounded-md border border-input bg-background px-3 py-2 text-xs font-mono ring-offset-background placeholder:text-muted-foreground focus-visible:outline-none focus-visible:ring-2 focus-visible:ring-ring focus-visible:ring-offset-2"
+                        />
+                        <Label htmlFor="authCookies" className="text-sm">Cookies</Label>
+                        <textarea
+                          id="authCookies"
+                          value={authCookiesText}
+                          onChange={(e) => setAuthCookiesText(e.target.value)}
+                          placeholder="session_id=…"
+                          rows={2}
+                          spellCheck={false}
+                          autoComplete="off"
+                          className="flex w-full rounded-md border border-input bg-background px-3 py-2 text-xs font-mono ring-offset-background placeholder:text-muted-foreground focus-visible:outline-none focus-visible:ring-2 focus-visible:ring-ring focus-visible:ring-offset-2"
+                        />
+                        <Label className="text-sm">Basic auth</Label>
+                        <div className="flex items-center gap-2">
+                          <Input
+                            id="basicAuthUser"
+                            value={basicAuthUser}
+                            onChange={(e) => setBasicAuthUser(e.target.value)}
+                            placeholder="Username"
+                            autoComplete="off"
+                            className="h-8 text-xs"
+                          />
+                          <Input
+                            id="basicAuthPassword"
+                            type="password"
+                            value={basicAuthPassword}
+                            onChange={(e) => setBasicAuthPassword(e.target.value)}
+                            placeholder="Password"
+                            autoComplete="new-password"
+                            className="h-8 text-xs"
+                          />
+                        </div>
+                        {authError && (
+                          <p className="text-xs text-destructive">{authError}</p>
+                        )}
+                      </div>
+                    )}
+                  </div>
+
                   {/* Follow External Links */}
                   <div className="space-y-2">
                     <div className="flex items-center gap-1.5">
@@ -659,6 +1451,203 @@ export function CrawlTab() {
                     )}
                   </div>
 
+                  {/* Follow Pagination */}
+                  <div className="space-y-2">
+                    <div className="flex items-center gap-1.5">
+                      <Checkbox
+                        id="followPagination"
+                        checked={followPagination}
+                        onCheckedChange={(checked) => setFollowPagination(checked as boolean)}
+                      />
+                      <Label htmlFor="followPagination" className="text-sm font-medium cursor-pointer">
+                        Follow Pagination
+                      </Label>
+                    </div>
+                    <p className="text-xs text-muted-foreground pl-6">
+                      Capture every page of paginated blogs, changelogs and articles (<code className="text-xs bg-muted px-1 py-0.5 rounded">?page=2</code>, <code className="text-xs bg-muted px-1 py-0.5 rounded">/page/2</code> or <code className="text-xs bg-muted px-1 py-0.5 rounded">rel="next"</code> links). Next pages don't count toward the link depth.
+                    </p>
+                    {followPagination && (
+                      <div className="pl-6 space-y-2 pt-2">
+                        <div className="flex items-center gap-3">
+                          <Label htmlFor="maxPaginationPages" className="text-sm whitespace-nowrap">
+                            Max pages per series:
+                          </Label>
+                          <Input
+                            id="maxPaginationPages"
+                            type="number"
+                            min={1}
+                            max={500}
+                            value={maxPaginationPages}
+                            onChange={(e) => {
+                              const val = parseInt(e.target.value);
+                              if (!isNaN(val) && val >= 1 && val <= 500) {
+                                setMaxPaginationPages(val);
+                              }
+                            }}
+                            className="w-20"
+                          />
+                          <span className="text-sm text-muted-foreground">(1-500)</span>
+                        </div>
+                        <div className="flex items-center gap-1.5">
+                          <Checkbox
+                            id="stitchPagination"
+                            checked={stitchPagination}
+                            onCheckedChange={(checked) => setStitchPagination(checked as boolean)}
+                          />
+                          <Label htmlFor="stitchPagination" className="text-sm font-normal cursor-pointer">
+                            Stitch each series into one page
+                          </Label>
+                        </div>
+                        <p className="text-xs text-muted-foreground">
+                          When the capture completes, the pages of a series are joined in order into its first page, e.g. an article split over several pages.
+                        </p>
+                      </div>
+                    )}
+                  </div>
+
+                  {/* Respect robots.txt */}
+                  <div className="space-y-2">
+                    <div className="flex items-center gap-1.5">
+                      <Checkbox
+                        id="respectRobots"
+                        checked={respectRobots}
+                        onCheckedChange={(checked) => setRespectRobots(checked as boolean)}
+                      />
+                      <Label htmlFor="respectRobots" className="text-sm font-medium cursor-pointer">
+                        Respect robots.txt
+                      </Label>
+                    </div>
+                    <p className="text-xs text-muted-foreground pl-6">
+                      Skip pages disallowed by the site's <code className="text-xs bg-muted px-1 py-0.5 rounded">robots.txt</code> and wait the requested <code className="text-xs bg-muted px-1 py-0.5 rounded">Crawl-delay</code> between requests. Skipped pages are listed in the job details.
+                    </p>
+                  </div>
+
+                  {/* Respect canonical / noindex / nofollow */}
+                  <div className="space-y-2">
+                    <div className="flex items-center gap-1.5">
+                      <Checkbox
+                        id="respectPageDirectives"
+                        checked={respectPageDirectives}
+                        onCheckedChange={(checked) => setRespectPageDirectives(checked as boolean)}
+                      />
+                      <Label htmlFor="respectPageDirectives" className="text-sm font-medium cursor-pointer">
+                        Respect canonical and noindex
+                      </Label>
+                    </div>
+                    <p className="text-xs text-muted-foreground pl-6">
+                      Store print views, tracking variants and mirrors under the page's <code className="text-xs bg-muted px-1 py-0.5 rounded">rel="canonical"</code> URL, skip pages marked <code className="text-xs bg-muted px-1 py-0.5 rounded">noindex</code> and don't follow <code className="text-xs bg-muted px-1 py-0.5 rounded">nofollow</code> links.
+                    </p>
+                  </div>
+
+                  {/* Merge near-duplicates */}
+                  <div className="space-y-2">
+                    <div className="flex items-center gap-1.5">
+                      <Checkbox
+                        id="mergeNearDuplicates"
+                        checked={mergeNearDuplicates}
+                        onCheckedChange={(checked) => setMergeNearDuplicates(checked as boolean)}
+                      />
+                      <Label htmlFor="mergeNearDuplicates" className="text-sm font-medium cursor-pointer">
+                        Merge near-duplicates
+                      </Label>
+                    </div>
+                    <p className="text-xs text-muted-foreground pl-6">
+                      Pages whose text is almost the same as an earlier page (e.g. only a timestamp or banner differs) are stored as its alternate URLs. Exact duplicates are always merged.
+                    </p>
+                    {mergeNearDuplicates && (
+                      <div className="pl-6 pt-2 flex items-center gap-3">
+                        <Label htmlFor="nearDuplicateThreshold" className="text-sm whitespace-nowrap">
+                          Similarity:
+                        </Label>
+                        <Input
+                          id="nearDuplicateThreshold"
+                          type="number"
+                          min={75}
+                          max={100}
+                          value={nearDuplicateThreshold}
+                          onChange={(e) => {
+                            const val = parseInt(e.target.value);
+                            if (!isNaN(val) && val >= 75 && val <= 100) {
+                              setNearDuplicateThreshold(val);
+                            }
+                          }}
+                          className="w-20"
+                        />
+                        <span className="text-sm text-muted-foreground">% (75-100)</span>
+                      </div>
+                    )}
+                  </div>
+
+                  {/* Include/Exclude URL Rules */}
+                  <div className="space-y-2">
+                    <Label htmlFor="urlRules" className="text-sm font-medium">
+                      URL Rules
+                    </Label>
+                    <textarea
+                      id="urlRules"
+                      value={urlRulesText}
+                      onChange={(e) => setUrlRulesText(e.target.value)}
+                      placeholder={'- /docs/changelog/**\n- re:/v1/'}
+                      rows={3}
+                      spellCheck={false}
+                      className="flex w-full rounded-md border border-input bg-background px-3 py-2 text-xs font-mono ring-offset-background placeholder:text-muted-foreground focus-visible:outline-none focus-visible:ring-2 focus-visible:ring-ring focus-visible:ring-offset-2"
+                    />
+                    {urlRulesError && (
+                      <p className="text-xs text-destructive">{urlRulesError}</p>
+                    )}
+                    <p className="text-xs text-muted-foreground">
+                      One rule per line, checked in order: <code className="text-xs bg-muted px-1 py-0.5 rounded">+</code> includes, <code className="text-xs bg-muted px-1 py-0.5 rounded">-</code> excludes, first match wins. Globs starting with <code className="text-xs bg-muted px-1 py-0.5 rounded">/</code> match the path (<code className="text-xs bg-muted px-1 py-0.5 rounded">*</code> = one segment, <code className="text-xs bg-muted px-1 py-0.5 rounded">**</code> = any depth); prefix with <code className="text-xs bg-muted px-1 py-0.5 rounded">re:</code> for a regex. If any <code className="text-xs bg-muted px-1 py-0.5 rounded">+</code> rule exists, URLs matching no rule are skipped.
+                    </p>
+                  </div>
+
+                  {/* Significant Query Parameters */}
+                  <div className="space-y-2">
+                    <Label htmlFor="keepQueryParams" className="text-sm font-medium">
+                      Query Parameters
+                    </Label>
+                    <div className="flex items-center gap-3">
+                      <Label htmlFor="keepQueryParams" className="text-sm whitespace-nowrap w-10">
+                        Keep:
+                      </Label>
+                      <Input
+                        id="keepQueryParams"
+                        value={keepQueryParamsText}
+                        onChange={(e) => setKeepQueryParamsText(e.target.value)}
+                        placeholder="page, lang, version"
+                        spellCheck={false}
+                        className="h-8 text-xs font-mono"
+                      />
+                    </div>
+                    <div className="flex items-center gap-3">
+                      <Label htmlFor="stripQueryParams" className="text-sm whitespace-nowrap w-10">
+                        Strip:
+                      </Label>
+                      <Input
+                        id="stripQueryParams"
+                        value={stripQueryParamsText}
+                        onChange={(e) => setStripQueryParamsText(e.target.value)}
+                        placeholder="utm_*, gclid, fbclid, sessionid, sid…"
+                        spellCheck={false}
+                        className="h-8 text-xs font-mono"
+                        disabled={keepQueryParamsText.trim() === ''}
+                      />
+                    </div>
+                    <div className="flex items-center gap-1.5">
+                      <Checkbox
+                        id="sortQueryParams"
+                        checked={sortQueryParams}
+                        onCheckedChange={(checked) => setSortQueryParams(checked as boolean)}
+                        disabled={keepQueryParamsText.trim() === ''}
+                      />
+                      <Label htmlFor="sortQueryParams" className="text-sm font-normal cursor-pointer">
+                        Sort kept parameters
+                      </Label>
+                    </div>
+                    <p className="text-xs text-muted-foreground">
+                      By default the query string is ignored, so <code className="text-xs bg-muted px-1 py-0.5 rounded">?page=2</code> and <code className="text-xs bg-muted px-1 py-0.5 rounded">?lang=fr</code> count as the same page. List the parameters that select different content to capture each variant; <code className="text-xs bg-muted px-1 py-0.5 rounded">*</code> is a wildcard. Tracking and session parameters are always stripped (leave Strip empty for the defaults). Fixed once the job is created.
+                    </p>
+                  </div>
+
                 </div>
               )}
             </div>
@@ -711,6 +1700,11 @@ export function CrawlTab() {
                     <p className="text-xs text-muted-foreground truncate">
                       From: {pickedContent.url}
                     </p>
+                    {pickedContent.profile && (
+                      <p className="text-xs text-muted-foreground truncate">
+                        Extraction profile: {pickedContent.profile}
+                      </p>
+                    )}
                   </div>
                 )}
               </div>
@@ -719,153 +1713,71 @@ export function CrawlTab() {
           </CardContent>
         </Card>
         )}
+      </div>
 
-      {isActive && (
-        <Card>
-          <CardHeader>
-            <div className="flex items-center justify-between">
-              <div>
-                <CardTitle className="text-lg flex items-center gap-2">
-                  <Loader2 className="h-4 w-4 animate-spin" />
-                  Capture in Progress
-                </CardTitle>
-                <CardDescription className="mt-1">
-                  Extracting content from {urls.filter(u => u.trim()).length} base path{urls.filter(u => u.trim()).length > 1 ? 's' : ''}
-                </CardDescription>
-              </div>
-            </div>
-          </CardHeader>
-          <CardContent className="space-y-4">
-            <div className="space-y-2">
-              <div className="flex justify-between text-sm">
-                <span className="text-muted-foreground">Progress</span>
-                <span className="font-medium">
-                  {progress.pagesProcessed} / {progress.pagesFound} pages
-                </span>
-              </div>
-              <Progress value={progressPercentage} className="h-2" />
-            </div>
-
-            <div className="grid grid-cols-3 gap-4 text-center">
-              <div>
-                <div className="text-2xl font-bold text-primary">
-                  {progress.pagesFound}
-                </div>
-                <div className="text-xs text-muted-foreground">Found</div>
-              </div>
-              <div>
-                <div className="text-2xl font-bold text-green-500">
-                  {progress.pagesProcessed}
-                </div>
-                <div className="text-xs text-muted-foreground">Processed</div>
-              </div>
-              <div>
-                <div className="text-2xl font-bold text-yellow-500">
-                  {progress.queueSize}
-                </div>
-                <div className="text-xs text-muted-foreground">In Queue</div>
-              </div>
-            </div>
-
-            {progress.inProgress && progress.inProgress.length > 0 && (
-              <div className="space-y-2">
-                <div className="text-sm font-medium">Currently Processing:</div>
-                <div className="space-y-1">
-                  {progress.inProgress.slice(0, 3).map((pageUrl, index) => (
-                    <div key={index} className="text-xs text-muted-foreground truncate flex items-center gap-2">
-                      <Badge variant="outline" className="text-xs">
-                        <Loader2 className="h-3 w-3 animate-spin mr-1" />
-                      </Badge>
-                      {pageUrl}
-                    </div>
-                  ))}
-                </div>
-              </div>
+      {/* Floating button(s) at bottom - new captures can be started (or queued) while others run */}
+      <div className="absolute bottom-4 left-4 right-4">
+        {/* Crawl URL mode OR Pick Content mode without content: single button */}
+        {(crawlMode === 'crawl-url' || !pickedContent) && (
+          <Button
+            className="w-full shadow-lg"
+            size="lg"
+            onClick={crawlMode === 'crawl-url' ? () => handleStartCrawl() : handleStartContentSelection}
+            disabled={
+              crawlMode === 'crawl-url'
+                ? urls.filter(u => u.trim()).length === 0 || isStarting
+                : false
+            }
+          >
+            {isStarting ? (
+              <>
+                <Loader2 className="h-4 w-4 mr-2 animate-spin" />
+                Starting...
+              </>
+            ) : crawlMode === 'crawl-url' ? (
+              'Start Capture'
+            ) : (
+              <>
+                <MousePointer2 className="h-4 w-4 mr-2" />
+                Start Selecting Content
+              </>
             )}
+          </Button>
+        )}
 
+        {/* Pick Content mode with content: two buttons side by side */}
+        {crawlMode === 'pick-content' && pickedContent && (
+          <div className="flex gap-2">
             <Button
-              variant="destructive"
-              className="w-full"
-              onClick={handleCancel}
+              variant="outline"
+              className="flex-1 shadow-lg"
+              size="lg"
+              onClick={handleStartContentSelection}
             >
-              Stop Capture
+              <MousePointer2 className="h-4 w-4 mr-2" />
+              Reselect
             </Button>
-
-            <Alert>
-              <AlertDescription className="text-xs">
-                ℹ️ You can close this popup. Capture will continue in the background.
-              </AlertDescription>
-            </Alert>
-          </CardContent>
-        </Card>
-        )}
-      </div>
-
-      {/* Floating button(s) at bottom - only show when not crawling */}
-      {!isActive && (
-        <div className="absolute bottom-4 left-4 right-4">
-          {/* Crawl URL mode OR Pick Content mode without content: single button */}
-          {(crawlMode === 'crawl-url' || !pickedContent) && (
             <Button
-              className="w-full shadow-lg"
+              className="flex-1 shadow-lg"
               size="lg"
-              onClick={crawlMode === 'crawl-url' ? handleStartCrawl : handleStartContentSelection}
-              disabled={
-                crawlMode === 'crawl-url'
-                  ? urls.filter(u => u.trim()).length === 0 || isActive || isStarting
-                  : false
-              }
+              onClick={handleSavePickedContent}
+              disabled={isSaving}
             >
-              {isStarting ? (
+              {isSaving ? (
                 <>
                   <Loader2 className="h-4 w-4 mr-2 animate-spin" />
-                  Starting...
+                  Saving...
                 </>
-              ) : crawlMode === 'crawl-url' ? (
-                'Start Capture'
               ) : (
                 <>
-                  <MousePointer2 className="h-4 w-4 mr-2" />
-                  Start Selecting Content
+                  <Save className="h-4 w-4 mr-2" />
+                  Save Selection
                 </>
               )}
             </Button>
-          )}
-
-          {/* Pick Content mode with content: two buttons side by side */}
-          {crawlMode === 'pick-content' && pickedContent && (
-            <div className="flex gap-2">
-              <Button
-                variant="outline"
-                className="flex-1 shadow-lg"
-                size="lg"
-                onClick={handleStartContentSelection}
-              >
-                <MousePointer2 className="h-4 w-4 mr-2" />
-                Reselect
-              </Button>
-              <Button
-                className="flex-1 shadow-lg"
-                size="lg"
-                onClick={handleSavePickedContent}
-                disabled={isSaving}
-              >
-                {isSaving ? (
-                  <>
-                    <Loader2 className="h-4 w-4 mr-2 animate-spin" />
-                    Saving...
-                  </>
-                ) : (
-                  <>
-                    <Save className="h-4 w-4 mr-2" />
-                    Save Selection
-                  </>
-                )}
-              </Button>
-            </div>
-          )}
-        </div>
-      )}
+          </div>
+        )}
+      </div>
 
       {/* Incognito Mode Warning Dialog */}
       <Dialog open={showIncognitoWarning} onOpenChange={setShowIncognitoWarning}>
@@ -0,0 +1,126 @@
+import { Button } from './ui/button';
+import { Loader2, X } from 'lucide-react';
+
+export interface UrlTreeNode {
+  prefix: string;
+  count: number;
+  children: UrlTreeNode[];
+}
+
+export interface DryRunResult {
+  urls: { url: string; source: 'seed' | 'sitemap' | 'link'; depth: number; excluded: 'rules' | 'robots' | null; rule: string | null }[];
+  counts: { total: number; allowed: number; excludedByRules: number; excludedByRobots: number; seed: number; sitemap: number; link: number };
+  tree: UrlTreeNode[];
+  expansion: { depth: number; fetched: number; failed: number; truncated: boolean } | null;
+}
+
+interface DryRunPreviewProps {
+  result: DryRunResult;
+  rulesChanged: boolean;
+  isBusy: boolean;
+  onExclude: (prefix: string) => void;
+  onOnly: (prefix: string) => void;
+  onApplyRules: () => void;
+  onStart: () => void;
+  onClose: () => void;
+}
+
+/**
+ * One path prefix of the preview with its URL count; larger prefixes expand into their sub-paths
+ */
+function UrlTreeRow({ node, isRoot, isBusy, onExclude, onOnly }: {
+  node: UrlTreeNode;
+  isRoot: boolean;
+  isBusy: boolean;
+  onExclude: (prefix: string) => void;
+  onOnly: (prefix: string) => void;
+}) {
+  const label = isRoot ? node.prefix.replace(/^https?:\/\//, '') : '/' + node.prefix.split('/').pop();
+  const row = (
+    <div className="flex items-center gap-1.5 min-w-0">
+      <span className="truncate flex-1 font-mono" title={node.prefix}>{label}</span>
+      <span className="shrink-0 w-10 text-right">{node.count}</span>
+      <button
+        type="button"
+        className="shrink-0 hover:text-destructive disabled:opacity-50"
+        disabled={isBusy}
+        onClick={(e) => { e.preventDefault(); onExclude(node.prefix); }}
+      >
+        Exclude
+      </button>
+      <button
+        type="button"
+        className="shrink-0 hover:text-primary disabled:opacity-50"
+        disabled={isBusy}
+        onClick={(e) => { e.preventDefault(); onOnly(node.prefix); }}
+      >
+        Only
+      </button>
+    </div>
+  );
+
+  if (node.children.length === 0) {
+    return <div className="pl-3">{row}</div>;
+  }
+
+  return (
+    <details open={isRoot}>
+      <summary className="cursor-pointer hover:text-foreground">{row}</summary>
+      <div className="pl-3 space-y-0.5">
+        {node.children.map((child) => (
+          <UrlTreeRow key={child.prefix} node={child} isRoot={false} isBusy={isBusy} onExclude={onExclude} onOnly={onOnly} />
+        ))}
+      </div>
+    </details>
+  );
+}
+
+/**
+ * Dry run result: URL counts per path prefix, scope shortcuts and a start button for the listed URLs
+ */
+export function DryRunPreview({ result, rulesChanged, isBusy, onExclude, onOnly, onApplyRules, onStart, onClose }: DryRunPreviewProps) {
+  const { counts, expansion } = result;
+
+  return (
+    <div className="border rounded-lg p-3 space-y-2 text-xs text-muted-foreground">
+      <div className="flex items-center justify-between">
+        <span className="text-sm font-medium text-foreground">
+          {counts.allowed} URL{counts.allowed !== 1 ? 's' : ''} would be captured
+        </span>
+        <button type="button" onClick={onClose} className="hover:text-foreground" title="Close preview">
+          <X className="h-4 w-4" />
+        </button>
+      </div>
+
+      <p>
+        {counts.seed + counts.sitemap} from the start URLs and sitemap, {counts.link} from links
+        {expansion && ` (${expansion.fetched} page${expansion.fetched !== 1 ? 's' : ''} fetched, ${expansion.depth} hop${expansion.depth !== 1 ? 's' : ''} deep${expansion.failed > 0 ? `, ${expansion.failed} failed` : ''})`}
+        {counts.excludedByRules > 0 && ` • ${counts.excludedByRules} excluded by URL rules`}
+        {counts.excludedByRobots > 0 && ` • ${counts.excludedByRobots} disallowed by robots.txt`}
+      </p>
+      {expansion?.truncated && (
+        <p>More links were left unexplored. The capture still follows links from every page it renders.</p>
+      )}
+
+      <div className="max-h-56 overflow-y-auto space-y-0.5">
+        {result.tree.map((node) => (
+          <UrlTreeRow key={node.prefix} node={node} isRoot={true} isBusy={isBusy} onExclude={onExclude} onOnly={onOnly} />
+        ))}
+      </div>
+
+      {rulesChanged && (
+        <div className="flex items-center gap-2">
+          <span className="flex-1">URL rules changed since this preview.</span>
+          <Button size="sm" variant="outline" className="h-7 text-xs" onClick={onApplyRules} disabled={isBusy}>
+            Apply rules
+          </Button>
+        </div>
+      )}
+
+      <Button size="sm" className="w-full" onClick={onStart} disabled={isBusy || counts.allowed === 0}>
+        {isBusy && <Loader2 className="h-3 w-3 mr-1 animate-spin" />}
+        Capture these {counts.allowed} URLs
+      </Button>
+    </div>
+  );
+}
@@ -0,0 +1,433 @@
+import { useState, useEffect, useRef } from 'react';
+import { ArrowLeft, ArrowDown, ArrowUp, Download, Upload, Plus, Pencil, Trash2, Loader2 } from 'lucide-react';
+import { Button } from './ui/button';
+import { Input } from './ui/input';
+import { Label } from './ui/label';
+import { extractionProfileAPI, ExtractionProfile } from '@/lib/service-worker-client';
+import { useToast } from '@/hooks/use-toast';
+import { cn } from '@/lib/utils';
+
+interface ExtractionProfilesPageProps {
+  open: boolean;
+  onBack: () => void;
+}
+
+interface ProfileForm {
+  id?: string;
+  name: string;
+  match: string;
+  contentSelectors: string;
+  removeSelectors: string;
+  waitForSelectors: string;
+}
+
+const EMPTY_FORM: ProfileForm = {
+  name: '',
+  match: '',
+  contentSelectors: '',
+  removeSelectors: '',
+  waitForSelectors: ''
+};
+
+const TEXTAREA_CLASS = "flex w-full rounded-md border border-input bg-background px-3 py-2 text-xs font-mono ring-offset-background placeholder:text-muted-foreground focus-visible:outline-none focus-visible:ring-2 focus-visible:ring-ring focus-visible:ring-offset-2";
+
+function toLines(text: string) {
+  return text.split('\n').map(line => line.trim()).filter(Boolean);
+}
+
+/**
+ * First selector the browser cannot parse, if any (the service worker has no DOM to check them)
+ */
+function findInvalidSelector(selectors: string[]) {
+  const fragment = document.createDocumentFragment();
+  return selectors.find(selector => {
+    try {
+      fragment.querySelector(selector);
+      return false;
+    } catch (e) {
+      return true;
+    }
+  });
+}
+
+function describeProfile(profile: ExtractionProfile) {
+  const parts = [
+    profile.contentSelectors.length > 0 && `content: ${profile.contentSelectors.join(', ')}`,
+    profile.removeSelectors.length > 0 && `${profile.removeSelectors.length} removal selector${profile.removeSelectors.length !== 1 ? 's' : ''}`,
+    profile.waitForSelectors.length > 0 && `waits for ${profile.waitForSelectors.join(', ')}`
+  ].filter(Boolean);
+  return parts.join(' • ');
+}
+
+/**
+ * Per-site extraction profiles: content root, removal and wait-for selectors
+ * applied to the sites they match during captures and content picking
+ */
+export function ExtractionProfilesPage({ open, onBack }: ExtractionProfilesPageProps) {
+  const [profiles, setProfiles] = useState<ExtractionProfile[]>([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [form, setForm] = useState<ProfileForm | null>(null);
+  const [isSaving, setIsSaving] = useState(false);
+  const fileInputRef = useRef<HTMLInputElement>(null);
+  const { toast } = useToast();
+
+  useEffect(() => {
+    if (open) {
+      fetchProfiles();
+    } else {
+      setForm(null);
+    }
+  }, [open]);
+
+  const fetchProfiles = async () => {
+    setIsLoading(true);
+    try {
+      setProfiles(await extractionProfileAPI.getProfiles());
+    } catch (error) {
+      console.error('Failed to load extraction profiles:', error);
+      toast({
+        title: 'Failed to load profiles',
+        description: error instanceof Error ? error.message : 'Unknown error occurred',
+        variant: 'destructive',
+      });
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handleEdit = (profile: ExtractionProfile) => {
+    setForm({
+      id: profile.id,
+      name: profile.name,
+      match: profile.match.join('\n'),
+      contentSelectors: profile.contentSelectors.join('\n'),
+      removeSelectors: profile.removeSelectors.join('\n'),
+      waitForSelectors: profile.waitForSelectors.join('\n')
+    });
+  };
+
+  const handleSave = async () => {
+    if (!form) return;
+    const profile = {
+      id: form.id,
+      name: form.name,
+      match: toLines(form.match),
+      contentSelectors: toLines(form.contentSelectors),
+      removeSelectors: toLines(form.removeSelectors),
+      waitForSelectors: toLines(form.waitForSelectors)
+    };
+
+    const invalid = findInvalidSelector([...profile.contentSelectors, ...profile.removeSelectors, ...profile.waitForSelectors]);
+    if (invalid) {
+      toast({
+        title: 'Invalid selector',
+        description: `"${invalid}" is not a valid CSS selector`,
+        variant: 'destructive',
+      });
+      return;
+    }
+
+    setIsSaving(true);
+    try {
+      const response = await extractionProfileAPI.saveProfile(profile);
+      setProfiles(response.profiles);
+      setForm(null);
+      toast({
+        title: 'Profile saved',
+        description: `"${response.profile.name}" applies from the next capture`,
+      });
+    } catch (error) {
+      toast({
+        title: 'Failed to save profile',
+        description: error instanceof Error ? error.message : 'Unknown error occurred',
+        variant: 'destructive',
+      });
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleDelete = async (profile: ExtractionProfile) => {
+    if (!confirm(`Delete the extraction profile "${profile.name}"?`)) {
+      return;
+    }
+    try {
+      const response = await extractionProfileAPI.deleteProfile(profile.id);
+      setProfiles(response.profiles);
+    } catch (error) {
+      toast({
+        title: 'Failed to delete profile',
+        description: error instanceof Error ? error.message : 'Unknown error occurred',
+        variant: 'destructive',
+      });
+    }
+  };
+
+  const handleMove = async (profile: ExtractionProfile, offset: -1 | 1) => {
+    try {
+      const response = await extractionProfileAPI.moveProfile(profile.id, offset);
+      setProfiles(response.profiles);
+    } catch (error) {
+      toast({
+        title: 'Failed to move profile',
+        description: error instanceof Error ? error.message : 'Unknown error occurred',
+        variant: 'destructive',
+      });
+    }
+  };
+
+  // Download all profiles as JSON
+  const handleExport = async () => {
+    try {
+      const { json, count } = await extractionProfileAPI.exportProfiles();
+      const blob = new Blob([json], { type: 'application/json' });
+      const url = URL.createObjectURL(blob);
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = `webscribe-extraction-profiles-${new Date().toISOString().split('T')[0]}.json`;
+      document.body.appendChild(a);
+      a.click();
+      document.body.removeChild(a);
+      URL.revokeObjectURL(url);
+      toast({
+        title: 'Profiles exported',
+        description: `${count} profile(s) exported`,
+      });
+    } catch (error) {
+      toast({
+        title: 'Export failed',
+        description: error instanceof Error ? error.message : 'Unknown error occurred',
+        variant: 'destructive',
+      });
+    }
+  };
+
+  const handleImportFile = async (event: React.ChangeEvent<HTMLInputElement>) => {
+    const file = event.target.files?.[0];
+    event.target.value = ''; // allow importing the same file again
+    if (!file) return;
+
+    try {
+      const response = await extractionProfileAPI.importProfiles(await file.text());
+      setProfiles(response.profiles);
+      toast({
+        title: 'Profiles imported',
+        description: `${response.added} added, ${response.replaced} replaced`,
+      });
+    } catch (error) {
+      toast({
+        title: 'Import failed',
+        description: error instanceof Error ? error.message : 'Unknown error occurred',
+        variant: 'destructive',
+      });
+    }
+  };
+
+  const updateForm = (field: keyof ProfileForm) => (e: React.ChangeEvent<HTMLInputElement | HTMLTextAreaElement>) => {
+    setForm(prev => prev && { ...prev, [field]: e.target.value });
+  };
+
+  return (
+    <div
+      className={cn(
+        "absolute inset-0 bg-background z-50 flex flex-col transition-transform duration-300 ease-in-out",
+        open ? "translate-x-0" : "translate-x-full"
+      )}
+    >
+      {/* Header */}
+      <div className="flex items-center gap-2 p-4 border-b border-border">
+        <Button variant="ghost" size="icon" onClick={onBack} className="h-8 w-8">
+          <ArrowLeft className="h-4 w-4" />
+        </Button>
+        <h2 className="font-semibold flex-1">Extraction Profiles</h2>
+        <span className="text-sm text-muted-foreground">
+          {profiles.length} profile{profiles.length === 1 ? '' : 's'}
+        </span>
+      </div>
+
+      {/* Toolbar */}
+      <div className="flex items-center gap-2 p-3 border-b border-border bg-muted/30">
+        <Button
+          variant="outline"
+          size="sm"
+          onClick={() => setForm({ ...EMPTY_FORM })}
+          disabled={form !== null}
+          className="h-7 px-2 text-xs"
+        >
+          <Plus className="h-3.5 w-3.5 mr-1" />
+          New profile
+        </Button>
+
+        <div className="flex-1" />
+
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept="application/json,.json"
+          onChange={handleImportFile}
+          className="hidden"
+        />
+        <Button
+          variant="ghost"
+          size="icon"
+          onClick={() => fileInputRef.current?.click()}
+          className="h-7 w-7"
+          title="Import from JSON"
+        >
+          <Upload className="h-3.5 w-3.5" />
+        </Button>
+
+        <Button
+          variant="ghost"
+          size="icon"
+          onClick={handleExport}
+          disabled={profiles.length === 0}
+          className="h-7 w-7"
+          title="Export as JSON"
+        >
+          <Download className="h-3.5 w-3.5" />
+        </Button>
+      </div>
+
+      <div className="flex-1 overflow-y-auto">
+        {/* Editor */}
+        {form && (
+          <div className="p-3 space-y-2 border-b border-border">
+            <Label htmlFor="profileName" className="text-sm">Name</Label>
+            <Input
+              id="profileName"
+              value={form.name}
+              onChange={updateForm('name')}
+              placeholder="Docusaurus docs"
+              className="h-8 text-xs"
+            />
+            <Label htmlFor="profileMatch" className="text-sm">Sites</Label>
+            <textarea
+              id="profileMatch"
+              value={form.match}
+              onChange={updateForm('match')}
+              placeholder={'docs.example.com\n*.example.org\nhttps://example.com/docs/**'}
+              rows={2}
+              spellCheck={false}
+              className={TEXTAREA_CLASS}
+            />
+            <p className="text-xs text-muted-foreground">
+              One per line: a hostname ("*." for subdomains), a path starting with / or a full URL (* and ** wildcards).
+            </p>
+            <Label htmlFor="profileContent" className="text-sm">Content root selectors</Label>
+            <textarea
+              id="profileContent"
+              value={form.contentSelectors}
+              onChange={updateForm('contentSelectors')}
+              placeholder=".theme-doc-markdown"
+              rows={2}
+              spellCheck={false}
+              className={TEXTAREA_CLASS}
+            />
+            <p className="text-xs text-muted-foreground">
+              Only the main column is kept. The first selector found on a page is used.
+            </p>
+            <Label htmlFor="profileRemove" className="text-sm">Remove selectors</Label>
+            <textarea
+              id="profileRemove"
+              value={form.removeSelectors}
+              onChange={updateForm('removeSelectors')}
+              placeholder={'.feedback-widget\n.theme-edit-this-page'}
+              rows={2}
+              spellCheck={false}
+              className={TEXTAREA_CLASS}
+            />
+            <Label htmlFor="profileWait" className="text-sm">Wait for selectors</Label>
+            <textarea
+              id="profileWait"
+              value={form.waitForSelectors}
+              onChange={updateForm('waitForSelectors')}
+              placeholder=".api-table"
+              rows={1}
+              spellCheck={false}
+              className={TEXTAREA_CLASS}
+            />
+            <div className="flex justify-end gap-2 pt-1">
+              <Button variant="ghost" size="sm" onClick={() => setForm(null)} disabled={isSaving}>
+                Cancel
+              </Button>
+              <Button size="sm" onClick={handleSave} disabled={isSaving}>
+                {isSaving && <Loader2 className="h-3.5 w-3.5 mr-1 animate-spin" />}
+                Save profile
+              </Button>
+            </div>
+          </div>
+        )}
+
+        {/* Profile list */}
+        {isLoading ? (
+          <div className="flex items-center justify-center h-full text-muted-foreground">
+            Loading...
+          </div>
+        ) : profiles.length === 0 && !form ? (
+          <div className="flex flex-col items-center justify-center h-full text-muted-foreground gap-2 px-6 text-center">
+            <p className="text-sm">No extraction profiles yet</p>
+            <p className="text-xs">
+              Profiles pick a site's main column and remove widgets the built-in filter misses, during captures and content picking.
+            </p>
+          </div>
+        ) : (
+          <div className="divide-y divide-border">
+            {profiles.map((profile, index) => (
+              <div key={profile.id} className="flex items-start gap-2 p-3">
+                <div className="flex-1 min-w-0">
+                  <div className="text-sm font-medium truncate">{profile.name}</div>
+                  <div className="text-xs text-muted-foreground truncate" title={profile.match.join('\n')}>
+                    {profile.match.join(', ')}
+                  </div>
+                  <div className="text-xs text-muted-foreground truncate">
+                    {describeProfile(profile)}
+                  </div>
+                </div>
+                <Button
+                  variant="ghost"
+                  size="icon"
+                  onClick={() => handleMove(profile, -1)}
+                  disabled={index === 0}
+                  className="h-7 w-7"
+                  title="Move up (the first matching profile is used)"
+                >
+                  <ArrowUp className="h-3.5 w-3.5" />
+                </Button>
+                <Button
+                  variant="ghost"
+                  size="icon"
+                  onClick={() => handleMove(profile, 1)}
+                  disabled={index === profiles.length - 1}
+                  className="h-7 w-7"
+                  title="Move down"
+                >
+                  <ArrowDown className="h-3.5 w-3.5" />
+                </Button>
+                <Button
+                  variant="ghost"
+                  size="icon"
+                  onClick={() => handleEdit(profile)}
+                  disabled={form !== null}
+                  className="h-7 w-7"
+                  title="Edit"
+                >
+                  <Pencil className="h-3.5 w-3.5" />
+                </Button>
+                <Button
+                  variant="ghost"
+                  size="icon"
+                  onClick={() => handleDelete(profile)}
+                  className="h-7 w-7 text-muted-foreground hover:text-destructive"
+                  title="Delete"
+                >
+                  <Trash2 className="h-3.5 w-3.5" />
+                </Button>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,155 @@
+import { useEffect, useState } from 'react';
+import { Button } from './ui/button';
+import { Input } from './ui/input';
+import { Label } from './ui/label';
+import { RadioGroup, RadioGroupItem } from './ui/radio-group';
+import { Loader2 } from 'lucide-react';
+import { useToast } from '@/hooks/use-toast';
+import { crawlerAPI } from '@/lib/service-worker-client';
+
+type ScheduleType = 'off' | 'daily' | 'weekly' | 'cron';
+
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+interface JobSchedule {
+  type: 'daily' | 'weekly' | 'cron';
+  time?: string;
+  dayOfWeek?: number;
+  cron?: string;
+}
+
+interface JobScheduleEditorProps {
+  job: any;
+  onSaved: (updates: { schedule: JobSchedule | null; nextRunAt: number | null }) => void;
+}
+
+function describeSchedule(schedule: JobSchedule | null | undefined) {
+  if (!schedule) return 'Not scheduled';
+  if (schedule.type === 'cron') return `Cron: ${schedule.cron}`;
+  if (schedule.type === 'weekly') return `Weekly on ${WEEKDAYS[schedule.dayOfWeek ?? 0]} at ${schedule.time}`;
+  return `Daily at ${schedule.time}`;
+}
+
+/**
+ * Recurring update schedule for a job (runs in the background via chrome.alarms)
+ */
+export function JobScheduleEditor({ job, onSaved }: JobScheduleEditorProps) {
+  const { toast } = useToast();
+  const [type, setType] = useState<ScheduleType>('off');
+  const [time, setTime] = useState('03:00');
+  const [dayOfWeek, setDayOfWeek] = useState(1);
+  const [cron, setCron] = useState('0 3 * * *');
+  const [isSaving, setIsSaving] = useState(false);
+
+  // Load the job's current schedule into the form
+  useEffect(() => {
+    const schedule: JobSchedule | null = job?.schedule || null;
+    setType(schedule ? schedule.type : 'off');
+    if (schedule?.time) setTime(schedule.time);
+    if (schedule?.dayOfWeek !== undefined) setDayOfWeek(schedule.dayOfWeek);
+    if (schedule?.cron) setCron(schedule.cron);
+  }, [job?.id, job?.schedule]);
+
+  const handleSave = async () => {
+    const schedule: JobSchedule | null =
+      type === 'off' ? null :
+      type === 'cron' ? { type, cron } :
+      type === 'weekly' ? { type, time, dayOfWeek } :
+      { type, time };
+
+    setIsSaving(true);
+    try {
+      const response = await crawlerAPI.setJobSchedule(job.id, schedule);
+      onSaved({ schedule: response.schedule, nextRunAt: response.nextRunAt });
+      toast({
+        variant: "success",
+        title: schedule ? "Schedule saved" : "Schedule removed",
+        description: schedule && response.nextRunAt
+          ? `Next update: ${new Date(response.nextRunAt).toLocaleString()}`
+          : undefined
+      });
+    } catch (err) {
+      console.error('Failed to save schedule:', err);
+      toast({
+        variant: "destructive",
+        title: "Failed to save schedule",
+        description: err instanceof Error ? err.message : "Unknown error occurred"
+      });
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <details className="text-xs text-muted-foreground pl-6">
+      <summary className="cursor-pointer hover:text-foreground">
+        Schedule: {describeSchedule(job.schedule)}
+        {job.schedule && job.nextRunAt && ` • next ${new Date(job.nextRunAt).toLocaleString()}`}
+      </summary>
+      <div className="mt-2 space-y-2">
+        <RadioGroup
+          value={type}
+          onValueChange={(value) => setType(value as ScheduleType)}
+          className="flex items-center gap-3"
+        >
+          {(['off', 'daily', 'weekly', 'cron'] as ScheduleType[]).map((option) => (
+            <div key={option} className="flex items-center space-x-1.5">
+              <RadioGroupItem value={option} id={`schedule-${option}`} />
+              <Label htmlFor={`schedule-${option}`} className="text-xs cursor-pointer font-normal capitalize">{option}</Label>
+            </div>
+          ))}
+        </RadioGroup>
+
+        {(type === 'daily' || type === 'weekly') && (
+          <div className="flex items-center gap-2">
+            {type === 'weekly' && (
+              <select
+                value={dayOfWeek}
+                onChange={(e) => setDayOfWeek(parseInt(e.target.value, 10))}
+                className="flex h-8 rounded-md border border-input bg-background px-2 text-xs ring-offset-background focus-visible:outline-none focus-visible:ring-2 focus-visible:ring-ring focus-visible:ring-offset-2"
+              >
+                {WEEKDAYS.map((day, index) => (
+                  <option key={day} value={index}>{day}</option>
+                ))}
+              </select>
+            )}
+            <Input
+              type="time"
+              value={time}
+              onChange={(e) => setTime(e.target.value)}
+              className="h-8 w-28 text-xs"
+            />
+          </div>
+        )}
+
+        {type === 'cron' && (
+          <div className="space-y-1">
+            <Input
+              value={cron}
+              onChange={(e) => setCron(e.target.value)}
+              placeholder="0 3 * * 1-5"
+              spellCheck={false}
+              className="h-8 text-xs font-mono"
+            />
+            <p>Minute, hour, day of month, month, day of week (local time).</p>
+          </div>
+        )}
+
+        <p>Scheduled runs update this job with its saved settings. If every capture slot is busy, the update waits in the queue; if this job is being captured, it starts when that capture finishes. A notification summarizes each run.</p>
+
+        {job.lastScheduledRun && (
+          <p>
+            Last run: {new Date(job.lastScheduledRun.startedAt).toLocaleString()} ({job.lastScheduledRun.status})
+            {job.lastScheduledRun.error && ` - ${job.lastScheduledRun.error}`}
+            {job.lastScheduledRun.pendingSince && job.lastScheduledRun.status !== 'pending' && ' • next run waits for this capture to finish'}
+          </p>
+        )}
+
+        <Button size="sm" variant="outline" className="h-7 text-xs" onClick={handleSave} disabled={isSaving}>
+          {isSaving && <Loader2 className="h-3 w-3 mr-1 animate-spin" />}
+          Save schedule
+        </Button>
+      </div>
+    </details>
+  );
+}
@@ -9,10 +9,13 @@ import { ScrollArea } from './ui/scroll-area';
 import { Dialog, DialogContent, DialogTitle, DialogDescription } from './ui/dialog';
 import { DropdownMenu, DropdownMenuContent, DropdownMenuItem, DropdownMenuTrigger, DropdownMenuLabel, DropdownMenuSeparator } from './ui/dropdown-menu';
 import { Checkbox } from './ui/checkbox';
-import { CheckCircle2, AlertCircle, Loader2, Trash2, FileText, Copy, ExternalLink, ArrowLeft, Search, ChevronRight, ChevronLeft, FileArchive, MoreVertical, Play } from 'lucide-react';
+import { CheckCircle2, AlertCircle, Loader2, Trash2, FileText, Copy, ExternalLink, ArrowLeft, Search, ChevronRight, ChevronLeft, FileArchive, MoreVertical, Play, RefreshCw, Clock, RotateCcw, ImageIcon, Archive, Network } from 'lucide-react';
 import JSZip from 'jszip';
 import { crawlerAPI } from '@/lib/service-worker-client';
 import { PageContentViewer } from './PageContentViewer';
+import { JobScheduleEditor } from './JobScheduleEditor';
+import { NearDuplicateGroups } from './NearDuplicateGroups';
+import { BoilerplateRemover } from './BoilerplateRemover';
 import {
   sanitizeFileName,
   formatConcatenatedContent,
@@ -131,24 +134,15 @@ export function JobsTab() {
   // Resume interrupted crawl
   const handleResumeCrawl = async (job: any) => {
     try {
-      // Check if there's already an active crawl
-      const status = await crawlerAPI.getCrawlStatus();
-      if (status.active) {
-        toast({
-          variant: "destructive",
-          title: "Cannot resume",
-          description: "There is already a capture in progress. Please wait for it to complete or cancel it first."
-        });
-        return;
-      }
-
-      // Resume the existing job (continues from where it left off)
-      await crawlerAPI.resumeCrawl(job.id);
+      // Resume the existing job (continues from where it left off, or waits for a free slot)
+      const response = await crawlerAPI.resumeCrawl(job.id);
 
       toast({
         variant: "success",
-        title: "Capture resumed!",
-        description: `Resuming capture for ${job.baseUrl}`
+        title: response.status === 'queued' ? "Capture queued" : "Capture resumed!",
+        description: response.status === 'queued'
+          ? `${job.baseUrl} will resume when another capture finishes (position ${response.position})`
+          : `Resuming capture for ${job.baseUrl}`
       });
 
       // Close the modal and switch to Crawl tab to see progress
@@ -164,6 +158,60 @@ export function JobsTab() {
     }
   };
 
+  // Refresh a job in place (update mode)
+  const handleUpdateJob = async (job: any) => {
+    try {
+      // Revisit the job's pages with its saved settings (waits for a free slot if needed)
+      const response = await crawlerAPI.startCrawl(job.baseUrls || job.baseUrl, { updateExisting: true, jobId: job.id });
+
+      toast({
+        variant: "success",
+        title: response.status === 'queued' ? "Update queued" : "Update started!",
+        description: response.status === 'queued'
+          ? `${job.baseUrl} will be updated when another capture finishes (position ${response.position})`
+          : `Checking ${job.baseUrl} for changes`
+      });
+
+      // Close the modal and switch to Crawl tab to see progress
+      handleCloseModal();
+      window.dispatchEvent(new CustomEvent('switch-tab', { detail: 'crawl' }));
+    } catch (err) {
+      console.error('Failed to update job:', err);
+      toast({
+        variant: "destructive",
+        title: "Failed to update",
+        description: err instanceof Error ? err.message : "Failed to start the update"
+      });
+    }
+  };
+
+  // Re-crawl only the pages that failed
+  const handleRetryFailedPages = async (job: any) => {
+    try {
+      const response = await crawlerAPI.retryFailedPages(job.id);
+      const failedCount = job.errors?.length || job.pagesFailed;
+
+      toast({
+        variant: "success",
+        title: response.status === 'queued' ? "Retry queued" : "Retrying failed pages",
+        description: response.status === 'queued'
+          ? `${job.baseUrl} will retry ${failedCount} failed page${failedCount !== 1 ? 's' : ''} when another capture finishes (position ${response.position})`
+          : `Retrying ${failedCount} failed page${failedCount !== 1 ? 's' : ''} for ${job.baseUrl}`
+      });
+
+      // Close the modal and switch to Crawl tab to see progress
+      handleCloseModal();
+      window.dispatchEvent(new CustomEvent('switch-tab', { detail: 'crawl' }));
+    } catch (err) {
+      console.error('Failed to retry failed pages:', err);
+      toast({
+        variant: "destructive",
+        title: "Failed to retry",
+        description: err instanceof Error ? err.message : "Failed to retry the failed pages"
+      });
+    }
+  };
+
   // Mark job as completed
   const handleMarkAsCompleted = async (job: any) => {
     try {
@@ -560,6 +608,26 @@ export function JobsTab() {
     return jobPages.filter(page => isMarkdownAvailable(page as Page, confidenceThreshold)).length;
   }, [jobPages]);
 
+  // Count pages stored with a screenshot
+  const screenshotCount = useMemo(() => {
+    return jobPages.filter(page => (page as Page).markdownMeta?.screenshot).length;
+  }, [jobPages]);
+
+  // Count pages stored with an archive snapshot
+  const archiveCount = useMemo(() => {
+    return jobPages.filter(page => (page as Page).markdownMeta?.archive).length;
+  }, [jobPages]);
+
+  // Count the API calls recorded with the job's pages
+  const apiCallCount = useMemo(() => {
+    return jobPages.reduce((total, page) => total + ((page as Page).markdownMeta?.apiRecording?.calls || 0), 0);
+  }, [jobPages]);
+
+  // Count pages read from PDF files
+  const pdfPageCount = useMemo(() => {
+    return jobPages.filter(page => (page as Page).contentType === 'pdf').length;
+  }, [jobPages]);
+
   // Export: Single .md file
   const handleExportSingleMd = () => {
     if (jobPages.length === 0 || !selectedJob) return;
@@ -594,13 +662,14 @@ export function JobsTab() {
     });
   };
 
-  // Export: ZIP all .md files
-  const handleExportZipMd = async () => {
+  // Export: ZIP all .md files, optionally with each page's screenshot under screenshots/
+  // or its archive snapshot under archives/
+  const handleExportZipMd = async (attachments: 'screenshots' | 'archives' | null = null) => {
     if (jobPages.length === 0 || !selectedJob) return;
 
     toast({
       title: "Preparing export...",
-      description: "Creating ZIP archive with .md files"
+      description: attachments ? `Creating ZIP archive with .md files and ${attachments === 'archives' ? 'archive snapshots' : 'screenshots'}` : "Creating ZIP archive with .md files"
     });
 
     try {
@@ -620,6 +689,29 @@ export function JobsTab() {
         zip.file(fileName, content);
       });
 
+      // Screenshots are already compressed, so they are stored as is
+      let attachmentsAdded = 0;
+      if (attachments === 'screenshots') {
+        for (const page of jobPages as Page[]) {
+          if (!page.markdownMeta?.screenshot) continue;
+          const screenshot = await crawlerAPI.getPageScreenshot(page.id);
+          if (!screenshot) continue;
+          zip.file(`screenshots/${sanitizeFileName(page.url)}.${screenshot.format}`, screenshot.blob, { compression: 'STORE' });
+          attachmentsAdded++;
+        }
+      }
+
+      // Archive snapshots are MHTML text and compress well
+      if (attachments === 'archives') {
+        for (const page of jobPages as Page[]) {
+          if (!page.markdownMeta?.archive) continue;
+          const archive = await crawlerAPI.getPageArchive(page.id);
+          if (!archive) continue;
+          zip.file(`archives/${sanitizeFileName(page.url)}.mhtml`, archive.blob);
+          attachmentsAdded++;
+        }
+      }
+
       // Generate ZIP file
       const blob = await zip.generateAsync({
         type: 'blob',
@@ -631,14 +723,15 @@ export function JobsTab() {
       const url = URL.createObjectURL(blob);
       const a = document.createElement('a');
       a.href = url;
-      a.download = `${getDomainFileName(selectedJob.baseUrl)}_all_pages_md.zip`;
+      a.download = `${getDomainFileName(selectedJob.baseUrl)}_all_pages_md${attachments ? `_${attachments}` : ''}.zip`;
       a.click();
       URL.revokeObjectURL(url);
 
       toast({
         variant: "success",
         title: "Export complete!",
-        description: `${markdownAvailableCount}/${jobPages.length} pages as markdown in ZIP`
+        description: `${markdownAvailableCount}/${jobPages.length} pages as markdown in ZIP` +
+          (attachments ? `, with ${attachmentsAdded} ${attachments === 'archives' ? 'archive snapshots' : 'screenshots'}` : '')
       });
     } catch (err) {
       console.error('Failed to create ZIP:', err);
@@ -650,6 +743,48 @@ export function JobsTab() {
     }
   };
 
+  // Export: the job's recorded API calls as one HAR file, or a markdown summary of their endpoints
+  const handleExportApiRecording = async (format: 'har' | 'endpoints') => {
+    if (!selectedJob) return;
+
+    try {
+      const { har, markdown, callCount, endpointCount } = await crawlerAPI.exportApiRecording(selectedJob.id);
+      if (!har || !markdown) {
+        toast({
+          variant: "destructive",
+          title: "Nothing to export",
+          description: "No API calls were recorded for this job"
+        });
+        return;
+      }
+
+      const blob = format === 'har'
+        ? new Blob([har], { type: 'application/json' })
+        : new Blob([markdown], { type: 'text/markdown' });
+      const url = URL.createObjectURL(blob);
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = `${getDomainFileName(selectedJob.baseUrl)}${format === 'har' ? '.har' : '_api_endpoints.md'}`;
+      a.click();
+      URL.revokeObjectURL(url);
+
+      toast({
+        variant: "success",
+        title: "Download started!",
+        description: format === 'har'
+          ? `Downloading ${callCount} API call${callCount !== 1 ? 's' : ''} as HAR`
+          : `Downloading a summary of ${endpointCount} API endpoint${endpointCount !== 1 ? 's' : ''}`
+      });
+    } catch (err) {
+      console.error('Failed to export API recording:', err);
+      toast({
+        variant: "destructive",
+        title: "Export failed",
+        description: "Failed to export the API recording. Please try again."
+      });
+    }
+  };
+
   // ===========================================
   // BULK OPERATIONS (for selected jobs in list)
   // ===========================================
@@ -1031,6 +1166,9 @@ export function JobsTab() {
     if (job.status === 'in_progress') {
       return <Loader2 className="h-4 w-4 text-blue-500 animate-spin shrink-0" />;
     }
+    if (job.status === 'queued') {
+      return <Clock className="h-4 w-4 text-muted-foreground shrink-0" />;
+    }
     if (job.status === 'completed_with_errors') {
       return <AlertCircle className="h-4 w-4 text-yellow-500 shrink-0" />;
     }
@@ -1506,26 +1644,34 @@ export function JobsTab() {
                   </DropdownMenuTrigger>
                   <DropdownMenuContent align="end" className="w-[240px]">
                     {/* Job Actions */}
-                    {(selectedJob.status !== 'completed' || selectedJob.status === 'interrupted') && (
-                      <>
-                        <DropdownMenuLabel className="text-xs">
-                          Job Actions
-                        </DropdownMenuLabel>
-                        {selectedJob.status !== 'completed' && (
-                          <DropdownMenuItem onClick={() => handleMarkAsCompleted(selectedJob)}>
-                            <CheckCircle2 className="h-4 w-4 mr-2" />
-                            Mark as completed
-                          </DropdownMenuItem>
-                        )}
-                        {selectedJob.status === 'interrupted' && (
-                          <DropdownMenuItem onClick={() => handleResumeCrawl(selectedJob)}>
-                            <Play className="h-4 w-4 mr-2" />
-                            Resume
-                          </DropdownMenuItem>
-                        )}
-                        <DropdownMenuSeparator />
-                      </>
+                    <DropdownMenuLabel className="text-xs">
+                      Job Actions
+                    </DropdownMenuLabel>
+                    {selectedJob.status !== 'completed' && selectedJob.status !== 'queued' && (
+                      <DropdownMenuItem onClick={() => handleMarkAsCompleted(selectedJob)}>
+                        <CheckCircle2 className="h-4 w-4 mr-2" />
+                        Mark as completed
+                      </DropdownMenuItem>
+                    )}
+                    {selectedJob.status === 'interrupted' && (
+                      <DropdownMenuItem onClick={() => handleResumeCrawl(selectedJob)}>
+                        <Play className="h-4 w-4 mr-2" />
+                        Resume
+                      </DropdownMenuItem>
+                    )}
+                    {selectedJob.status !== 'in_progress' && selectedJob.status !== 'queued' && (
+                      <DropdownMenuItem onClick={() => handleUpdateJob(selectedJob)}>
+                        <RefreshCw className="h-4 w-4 mr-2" />
+                        Update job
+                      </DropdownMenuItem>
                     )}
+                    {selectedJob.errors?.length > 0 && selectedJob.status !== 'in_progress' && selectedJob.status !== 'queued' && selectedJob.status !== 'interrupted' && (
+                      <DropdownMenuItem onClick={() => handleRetryFailedPages(selectedJob)}>
+                        <RotateCcw className="h-4 w-4 mr-2" />
+                        Retry failed pages
+                      </DropdownMenuItem>
+                    )}
+                    <DropdownMenuSeparator />
 
                     {/* Copy to Clipboard */}
                     <DropdownMenuLabel className="text-xs">
@@ -1560,12 +1706,54 @@ export function JobsTab() {
                       Zip using raw text files
                     </DropdownMenuItem>
                     <DropdownMenuItem
-                      onClick={handleExportZipMd}
+                      onClick={() => handleExportZipMd()}
                       disabled={loadingPages || jobPages.length === 0 || markdownAvailableCount === 0}
                     >
                       <FileArchive className="h-4 w-4 mr-2" />
                       Zip using markdown files
                     </DropdownMenuItem>
+                    {screenshotCount > 0 && (
+                      <DropdownMenuItem
+                        onClick={() => handleExportZipMd('screenshots')}
+                        disabled={loadingPages || markdownAvailableCount === 0}
+                      >
+                        <ImageIcon className="h-4 w-4 mr-2" />
+                        Zip markdown with screenshots
+                      </DropdownMenuItem>
+                    )}
+                    {archiveCount > 0 && (
+                      <DropdownMenuItem
+                        onClick={() => handleExportZipMd('archives')}
+                        disabled={loadingPages || markdownAvailableCount === 0}
+                      >
+                        <Archive className="h-4 w-4 mr-2" />
+                        Zip markdown with archive snapshots
+                      </DropdownMenuItem>
+                    )}
+
+                    {/* Recorded API calls */}
+                    {apiCallCount > 0 && (
+                      <>
+                        <DropdownMenuSeparator />
+                        <DropdownMenuLabel className="text-xs">
+                          API Recording
+                        </DropdownMenuLabel>
+                        <DropdownMenuItem
+                          onClick={() => handleExportApiRecording('har')}
+                          disabled={loadingPages}
+                        >
+                          <Network className="h-4 w-4 mr-2" />
+                          HAR file ({apiCallCount} calls)
+                        </DropdownMenuItem>
+                        <DropdownMenuItem
+                          onClick={() => handleExportApiRecording('endpoints')}
+                          disabled={loadingPages}
+                        >
+                          <FileText className="h-4 w-4 mr-2" />
+                          API endpoints summary (.md)
+                        </DropdownMenuItem>
+                      </>
+                    )}
 
                     <DropdownMenuSeparator />
 
@@ -1631,6 +1819,239 @@ export function JobsTab() {
                 <div className="text-xs text-muted-foreground pl-6">
                   {formatDate(selectedJob.createdAt)}
                 </div>
+                {selectedJob.errors?.length > 0 && (
+                  <details className="text-xs text-muted-foreground pl-6">
+                    <summary className="cursor-pointer hover:text-foreground">
+                      {selectedJob.errors.length} page{selectedJob.errors.length !== 1 ? 's' : ''} failed
+                      {selectedJob.status === 'completed_with_errors' && (
+                        <>
+                          {' • '}
+                          <button
+                            onClick={(e) => {
+                              e.preventDefault();
+                              handleRetryFailedPages(selectedJob);
+                            }}
+                            className="text-primary hover:text-primary/80 hover:underline font-medium transition-colors"
+                          >
+                            Retry
+                          </button>
+                        </>
+                      )}
+                    </summary>
+                    <div className="mt-1 max-h-32 overflow-y-auto space-y-0.5">
+                      {selectedJob.errors.map((failure: { url: string; error: string; category?: string; attempts?: number }) => (
+                        <div key={failure.url} className="truncate" title={`${failure.url}\n${failure.error}${(failure.attempts ?? 1) > 1 ? ` (${failure.attempts} attempts)` : ''}`}>
+                          <code className="bg-muted px-1 rounded">{failure.category || 'error'}</code> {failure.url.replace(/^https?:\/\//, '')}
+                        </div>
+                      ))}
+                    </div>
+                  </details>
+                )}
+                {selectedJob.robotsSkippedCount > 0 && (
+                  <details className="text-xs text-muted-foreground pl-6">
+                    <summary className="cursor-pointer hover:text-foreground">
+                      {selectedJob.robotsSkippedCount} URL{selectedJob.robotsSkippedCount !== 1 ? 's' : ''} skipped by robots.txt
+                    </summary>
+                    <div className="mt-1 max-h-32 overflow-y-auto space-y-0.5">
+                      {(selectedJob.robotsSkipped || []).map((skipped: { url: string; rule: string }) => (
+                        <div key={skipped.url} className="truncate" title={`${skipped.url} (${skipped.rule})`}>
+                          <code className="bg-muted px-1 rounded">{skipped.rule}</code> {skipped.url.replace(/^https?:\/\//, '')}
+                        </div>
+                      ))}
+                    </div>
+                  </details>
+                )}
+                {selectedJob.depthHistogram && Object.keys(selectedJob.depthHistogram).length > 0 && (() => {
+                  const histogram = Object.entries(selectedJob.depthHistogram as Record<string, number>);
+                  const largest = Math.max(...histogram.map(([, count]) => count));
+                  return (
+                    <details className="text-xs text-muted-foreground pl-6">
+                      <summary className="cursor-pointer hover:text-foreground">
+                        Pages by link depth{selectedJob.maxDepth != null ? ` (max ${selectedJob.maxDepth})` : ''}
+                        {selectedJob.depthSkippedCount > 0 && ` • ${selectedJob.depthSkippedCount} deeper URL${selectedJob.depthSkippedCount !== 1 ? 's' : ''} not followed`}
+                      </summary>
+                      <div className="mt-1 space-y-0.5">
+                        {histogram.map(([depth, count]) => (
+                          <div key={depth} className="flex items-center gap-2">
+                            <span className="w-14 shrink-0">Depth {depth}</span>
+                            <div className="flex-1 h-2 bg-muted rounded">
+                              <div className="h-2 bg-primary/60 rounded" style={{ width: `${(count / largest) * 100}%` }} />
+                            </div>
+                            <span className="w-10 text-right shrink-0">{count}</span>
+                          </div>
+                        ))}
+                      </div>
+                    </details>
+                  );
+                })()}
+                {selectedJob.followPagination && (selectedJob.stitchedPageCount > 0 || selectedJob.paginationSkippedCount > 0) && (
+                  <p className="text-xs text-muted-foreground pl-6">
+                    Pagination:
+                    {selectedJob.stitchedPageCount > 0 && ` ${selectedJob.stitchedPageCount} page${selectedJob.stitchedPageCount !== 1 ? 's' : ''} stitched into their series`}
+                    {selectedJob.stitchedPageCount > 0 && selectedJob.paginationSkippedCount > 0 && ' •'}
+                    {selectedJob.paginationSkippedCount > 0 && ` ${selectedJob.paginationSkippedCount} page${selectedJob.paginationSkippedCount !== 1 ? 's' : ''} past the ${selectedJob.maxPaginationPages}-page cap not followed`}
+                  </p>
+                )}
+                {selectedJob.fetchMode && selectedJob.fetchMode !== 'rendered' && selectedJob.fastFetchCount !== undefined && (
+                  <p className="text-xs text-muted-foreground pl-6">
+                    {selectedJob.fetchMode === 'auto' ? 'Auto' : 'Fast'} mode: {selectedJob.fastFetchCount} page{selectedJob.fastFetchCount !== 1 ? 's' : ''} fetched without a tab
+                    {selectedJob.tabFallbackCount > 0 && ` • ${selectedJob.tabFallbackCount} rendered in a tab instead`}
+                    {Object.keys(selectedJob.siteFetchModes || {}).length > 0 && ` • ${Object.entries(selectedJob.siteFetchModes as Record<string, string>).map(([site, mode]) => `${site.replace(/^https?:\/\//, '')}: ${mode === 'fast' ? 'fast' : 'tab'}`).join(', ')}`}
+                  </p>
+                )}
+                {selectedJob.extractionProfilesUsed && Object.keys(selectedJob.extractionProfilesUsed).length > 0 && (
+                  <p className="text-xs text-muted-foreground pl-6">
+                    Extraction profiles: {Object.entries(selectedJob.extractionProfilesUsed as Record<string, number>).map(([name, count]) => `${name} (${count} page${count !== 1 ? 's' : ''})`).join(', ')}
+                  </p>
+                )}
+                {selectedJob.infiniteScroll && (
+                  <p className="text-xs text-muted-foreground pl-6">
+                    Infinite scroll: up to {selectedJob.infiniteScroll.timeBudget / 1000}s per page
+                    {selectedJob.scrollTruncatedCount > 0 && ` • ${selectedJob.scrollTruncatedCount} page${selectedJob.scrollTruncatedCount !== 1 ? 's' : ''} may be incomplete (limit reached or rows unloaded while scrolling)`}
+                  </p>
+                )}
+                {selectedJob.screenshots && (
+                  <p className="text-xs text-muted-foreground pl-6">
+                    Screenshots: {selectedJob.screenshots.format.toUpperCase()}, up to {Math.round(selectedJob.screenshots.maxBytes / 1024)} KB each
+                    {selectedJob.screenshotMissingCount > 0 && ` • ${selectedJob.screenshotMissingCount} page${selectedJob.screenshotMissingCount !== 1 ? 's' : ''} without one (too large or capture failed)`}
+                  </p>
+                )}
+                {selectedJob.archives && (
+                  <p className="text-xs text-muted-foreground pl-6">
+                    Archive snapshots: {((selectedJob.archiveBytes || 0) / 1024 / 1024).toFixed(1)} of {Math.round(selectedJob.archives.jobBudget / 1024 / 1024)} MB used, up to {Math.round(selectedJob.archives.maxBytes / 1024 / 1024)} MB each
+                    {selectedJob.archiveSkippedCount > 0 && ` • ${selectedJob.archiveSkippedCount} page${selectedJob.archiveSkippedCount !== 1 ? 's' : ''} without one (too large, over the budget or capture failed)`}
+                  </p>
+                )}
+                {selectedJob.apiRecording && (
+                  <p className="text-xs text-muted-foreground pl-6">
+                    API recording: {apiCallCount} call{apiCallCount !== 1 ? 's' : ''} stored, bodies up to {Math.round(selectedJob.apiRecording.maxBodyBytes / 1024)} KB
+                    {selectedJob.apiRecording.urlRules.length > 0 && ` • ${selectedJob.apiRecording.urlRules.length} URL filter${selectedJob.apiRecording.urlRules.length !== 1 ? 's' : ''}`}
+                  </p>
+                )}
+                {selectedJob.pdfs && (
+                  <p className="text-xs text-muted-foreground pl-6">
+                    PDFs: up to {Math.round(selectedJob.pdfs.maxBytes / 1024 / 1024)} MB each • {pdfPageCount} stored as page{pdfPageCount !== 1 ? 's' : ''}
+                    {selectedJob.encryptedPdfCount > 0 && ` • ${selectedJob.encryptedPdfCount} skipped (password protected)`}
+                  </p>
+                )}
+                {selectedJob.pageActions && (() => {
+                  const { expandDetails, clickSelectors, captureTabs, scroll, timeBudget } = selectedJob.pageActions;
+                  const parts = [
+                    expandDetails && 'open collapsed sections',
+                    clickSelectors.length > 0 && `click ${clickSelectors.join(', ')}`,
+                    captureTabs && 'capture every tab',
+                    scroll && 'scroll for lazy content'
+                  ].filter(Boolean);
+                  return (
+                    <p className="text-xs text-muted-foreground pl-6">
+                      Page actions: {parts.join(' • ')} ({timeBudget / 1000}s per page)
+                    </p>
+                  );
+                })()}
+                {selectedJob.authSummary && (() => {
+                  const { headerNames, cookieNames, basicAuthUser } = selectedJob.authSummary;
+                  const parts = [
+                    headerNames.length > 0 && `header${headerNames.length !== 1 ? 's' : ''} ${headerNames.join(', ')}`,
+                    cookieNames.length > 0 && `cookie${cookieNames.length !== 1 ? 's' : ''} ${cookieNames.join(', ')}`,
+                    basicAuthUser !== null && `basic auth as ${basicAuthUser || '(no username)'}`
+                  ].filter(Boolean);
+                  return (
+                    <p className="text-xs text-muted-foreground pl-6">
+                      Authentication: {parts.join(' • ')} (saved encrypted)
+                    </p>
+                  );
+                })()}
+                {selectedJob.respectPageDirectives && (() => {
+                  const parts = [
+                    selectedJob.canonicalAlternateCount > 0 && `${selectedJob.canonicalAlternateCount} alternate URL${selectedJob.canonicalAlternateCount !== 1 ? 's' : ''} stored under their canonical page`,
+                    selectedJob.noindexSkippedCount > 0 && `${selectedJob.noindexSkippedCount} noindex page${selectedJob.noindexSkippedCount !== 1 ? 's' : ''} not saved`,
+                    selectedJob.nofollowSkippedCount > 0 && `${selectedJob.nofollowSkippedCount} nofollow link${selectedJob.nofollowSkippedCount !== 1 ? 's' : ''} not followed`
+                  ].filter(Boolean);
+                  if (parts.length === 0) return null;
+                  return (
+                    <p className="text-xs text-muted-foreground pl-6">
+                      Page directives: {parts.join(' • ')}
+                    </p>
+                  );
+                })()}
+                {selectedJob.lastUpdate && (
+                  <details className="text-xs text-muted-foreground pl-6">
+                    <summary className="cursor-pointer hover:text-foreground">
+                      Last update {new Date(selectedJob.lastUpdate.completedAt).toLocaleString()}
+                      {` • ${selectedJob.lastUpdate.added} added, ${selectedJob.lastUpdate.changed} changed, ${selectedJob.lastUpdate.removed} removed`}
+                      {!selectedJob.lastUpdate.complete && ' (incomplete)'}
+                    </summary>
+                    <div className="mt-1 space-y-0.5">
+                      <div>{selectedJob.lastUpdate.unchanged} unchanged, {selectedJob.lastUpdate.failed} failed</div>
+                      {(selectedJob.lastUpdate.addedUrls || []).map((url: string) => (
+                        <div key={'+' + url} className="truncate font-mono">+ {url}</div>
+                      ))}
+                      {(selectedJob.lastUpdate.changedUrls || []).map((url: string) => (
+                        <div key={'~' + url} className="truncate font-mono">~ {url}</div>
+                      ))}
+                      {(selectedJob.lastUpdate.removedUrls || []).map((url: string) => (
+                        <div key={'-' + url} className="truncate font-mono">- {url}</div>
+                      ))}
+                      {selectedJob.updateHistory?.length > 1 && (
+                        <div className="pt-1">
+                          {selectedJob.updateHistory.slice(1).map((entry: any) => (
+                            <div key={entry.completedAt}>
+                              {new Date(entry.completedAt).toLocaleDateString()}: {entry.added} added, {entry.changed} changed, {entry.removed} removed
+                            </div>
+                          ))}
+                        </div>
+                      )}
+                    </div>
+                  </details>
+                )}
+                <JobScheduleEditor
+                  job={selectedJob}
+                  onSaved={(updates) => {
+                    setSelectedJob({ ...selectedJob, ...updates });
+                    refreshJobs();
+                  }}
+                />
+                <NearDuplicateGroups
+                  job={selectedJob}
+                  onMerged={async () => {
+                    try {
+                      setJobPages(await getJobPages(selectedJob.id));
+                    } catch (err) {
+                      console.error('Failed to reload pages:', err);
+                    }
+                  }}
+                />
+                <BoilerplateRemover
+                  job={selectedJob}
+                  onChanged={async (boilerplate) => {
+                    setSelectedJob({ ...selectedJob, boilerplate });
+                    refreshJobs();
+                    try {
+                      setJobPages(await getJobPages(selectedJob.id));
+                    } catch (err) {
+                      console.error('Failed to reload pages:', err);
+                    }
+                  }}
+                />
+                {selectedJob.urlRules?.length > 0 && (
+                  <details className="text-xs text-muted-foreground pl-6">
+                    <summary className="cursor-pointer hover:text-foreground">
+                      {selectedJob.urlRules.length} URL rule{selectedJob.urlRules.length !== 1 ? 's' : ''}
+                    </summary>
+                    <div className="mt-1 space-y-0.5">
+                      {selectedJob.urlRules.map((rule: { type: string; pattern: string; syntax: string }, index: number) => (
+                        <div key={index} className="truncate font-mono">
+                          {rule.type === 'include' ? '+' : '-'} {rule.syntax === 'regex' ? 're:' : ''}{rule.pattern}
+                        </div>
+                      ))}
+                    </div>
+                  </details>
+                )}
+                {selectedJob.canonicalization?.keepQueryParams?.length > 0 && (
+                  <p className="text-xs text-muted-foreground pl-6 truncate">
+                    Query parameters kept: <span className="font-mono">{selectedJob.canonicalization.keepQueryParams.join(', ')}</span>
+                  </p>
+                )}
               </div>
 
               {/* Pages list */}
@@ -1662,6 +2083,22 @@ export function JobsTab() {
                               </div>
                               <div className="text-muted-foreground flex items-center gap-1.5">
                                 <span>{(page.contentLength / 1024).toFixed(1)} KB</span>
+                                {page.contentType === 'pdf' && (
+                                  <>
+                                    <span>•</span>
+                                    <span title={page.metadata?.pdf ? `PDF document, ${page.metadata.pdf.pageCount} pages (${(page.metadata.pdf.bytes / 1024 / 1024).toFixed(1)} MB)` : 'PDF document'}>
+                                      PDF{page.metadata?.pdf ? `, ${page.metadata.pdf.pageCount} pages` : ''}
+                                    </span>
+                                  </>
+                                )}
+                                {page.status === 'removed' && (
+                                  <>
+                                    <span>•</span>
+                                    <span className="text-destructive" title={page.removedAt ? `Removed from the site (detected ${new Date(page.removedAt).toLocaleString()})` : 'Removed from the site'}>
+                                      Removed
+                                    </span>
+                                  </>
+                                )}
                                 {page.alternateUrls && page.alternateUrls.length > 1 && (
                                   <>
                                     <span>•</span>
@@ -1670,6 +2107,22 @@ export function JobsTab() {
                                     </span>
                                   </>
                                 )}
+                                {page.stitchedUrls?.length > 0 && (
+                                  <>
+                                    <span>•</span>
+                                    <span className="text-blue-500" title={`Joined with:\n${page.stitchedUrls.join('\n')}`}>
+                                      {page.stitchedUrls.length + 1} pages stitched
+                                    </span>
+                                  </>
+                                )}
+                                {page.boilerplateRemovedChars > 0 && (
+                                  <>
+                                    <span>•</span>
+                                    <span title={`${page.boilerplateRemovedChars.toLocaleString()} characters of repeated boilerplate removed`}>
+                                      −{(page.boilerplateRemovedChars / 1024).toFixed(1)} KB boilerplate
+                                    </span>
+                                  </>
+                                )}
                               </div>
                             </div>
                             <ChevronRight className="h-4 w-4 text-muted-foreground shrink-0 opacity-0 group-hover:opacity-100 transition-opacity" />
@@ -0,0 +1,154 @@
+import { useEffect, useState } from 'react';
+import { Button } from './ui/button';
+import { Input } from './ui/input';
+import { Label } from './ui/label';
+import { RadioGroup, RadioGroupItem } from './ui/radio-group';
+import { Loader2 } from 'lucide-react';
+import { useToast } from '@/hooks/use-toast';
+import { crawlerAPI } from '@/lib/service-worker-client';
+
+interface NearDuplicatePage {
+  id: string;
+  url: string;
+  contentLength: number;
+  similarity: number;
+}
+
+interface NearDuplicateGroupsProps {
+  job: any;
+  onMerged: () => void;
+}
+
+/**
+ * Review clusters of near-duplicate pages in a job and merge them into one page
+ */
+export function NearDuplicateGroups({ job, onMerged }: NearDuplicateGroupsProps) {
+  const { toast } = useToast();
+  const [threshold, setThreshold] = useState(90);
+  const [groups, setGroups] = useState<NearDuplicatePage[][] | null>(null);
+  const [keepIds, setKeepIds] = useState<Record<number, string>>({});
+  const [isLoading, setIsLoading] = useState(false);
+  const [mergingIndex, setMergingIndex] = useState<number | null>(null);
+
+  // A new job starts from its own threshold, and its groups are found again
+  useEffect(() => {
+    setThreshold(Math.round((job?.nearDuplicateThreshold || 0.9) * 100));
+    setGroups(null);
+  }, [job?.id]);
+
+  const loadGroups = async () => {
+    setIsLoading(true);
+    try {
+      const response = await crawlerAPI.getNearDuplicates(job.id, threshold / 100);
+      setGroups(response.groups || []);
+      setKeepIds({});
+    } catch (err) {
+      console.error('Failed to find near-duplicates:', err);
+      toast({
+        variant: "destructive",
+        title: "Failed to find near-duplicates",
+        description: err instanceof Error ? err.message : "Unknown error occurred"
+      });
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handleMerge = async (group: NearDuplicatePage[], index: number) => {
+    const keepId = keepIds[index] || group[0].id;
+    const pageIds = group.map(page => page.id).filter(id => id !== keepId);
+
+    setMergingIndex(index);
+    try {
+      await crawlerAPI.mergePages(keepId, pageIds);
+      setGroups((groups || []).filter((_, groupIndex) => groupIndex !== index));
+      setKeepIds({});
+      onMerged();
+      toast({
+        variant: "success",
+        title: "Pages merged",
+        description: `${pageIds.length} page${pageIds.length !== 1 ? 's' : ''} merged as alternate URLs`
+      });
+    } catch (err) {
+      console.error('Failed to merge pages:', err);
+      toast({
+        variant: "destructive",
+        title: "Failed to merge pages",
+        description: err instanceof Error ? err.message : "Unknown error occurred"
+      });
+    } finally {
+      setMergingIndex(null);
+    }
+  };
+
+  return (
+    <details className="text-xs text-muted-foreground pl-6">
+      <summary className="cursor-pointer hover:text-foreground">
+        Near-duplicate groups
+        {groups !== null && ` • ${groups.length} found`}
+        {job.nearDuplicateCount > 0 && ` • ${job.nearDuplicateCount} merged during capture`}
+      </summary>
+      <div className="mt-2 space-y-2">
+        <div className="flex items-center gap-2">
+          <Label htmlFor="nearDuplicateReviewThreshold" className="text-xs whitespace-nowrap font-normal">
+            Similarity
+          </Label>
+          <Input
+            id="nearDuplicateReviewThreshold"
+            type="number"
+            min={75}
+            max={100}
+            value={threshold}
+            onChange={(e) => {
+              const val = parseInt(e.target.value, 10);
+              if (!isNaN(val) && val >= 75 && val <= 100) {
+                setThreshold(val);
+              }
+            }}
+            className="h-7 w-16 text-xs"
+          />
+          <span>%</span>
+          <Button size="sm" variant="outline" className="h-7 text-xs" onClick={loadGroups} disabled={isLoading}>
+            {isLoading && <Loader2 className="h-3 w-3 mr-1 animate-spin" />}
+            Find near-duplicates
+          </Button>
+        </div>
+
+        <p>Pages whose text differs only slightly (timestamps, footers, banners). Merging keeps the selected page and lists the others as its alternate URLs.</p>
+
+        {groups !== null && groups.length === 0 && <p>No near-duplicate pages at this similarity.</p>}
+
+        {groups?.map((group, index) => (
+          <div key={group[0].id} className="rounded-md border p-2 space-y-1.5">
+            <RadioGroup
+              value={keepIds[index] || group[0].id}
+              onValueChange={(value) => setKeepIds({ ...keepIds, [index]: value })}
+              className="gap-1"
+            >
+              {group.map((page) => (
+                <div key={page.id} className="flex items-center gap-1.5 min-w-0">
+                  <RadioGroupItem value={page.id} id={`keep-${page.id}`} />
+                  <Label htmlFor={`keep-${page.id}`} className="text-xs font-normal cursor-pointer truncate flex-1 font-mono" title={page.url}>
+                    {page.url}
+                  </Label>
+                  <span className="shrink-0">{(page.contentLength / 1024).toFixed(1)} KB</span>
+                  <span className="shrink-0 w-10 text-right">{Math.round(page.similarity * 100)}%</span>
+                </div>
+              ))}
+            </RadioGroup>
+            <Button
+              size="sm"
+              variant="outline"
+              className="h-7 text-xs"
+              onClick={() => handleMerge(group, index)}
+              disabled={mergingIndex !== null}
+            >
+              {mergingIndex === index && <Loader2 className="h-3 w-3 mr-1 animate-spin" />}
+              Merge into selected page
+            </Button>
+          </div>
+        ))}
+      </div>
+    </details>
+  );
+}
@@ -1,8 +1,9 @@
 import { ScrollArea } from './ui/scroll-area';
 import { Button } from './ui/button';
-import { Copy, Download, ChevronDown, ExternalLink, FileText, FileCode, Code } from 'lucide-react';
+import { Copy, Download, ChevronDown, ExternalLink, FileText, FileCode, Code, ImageIcon, Archive } from 'lucide-react';
 import { DropdownMenu, DropdownMenuContent, DropdownMenuItem, DropdownMenuTrigger } from './ui/dropdown-menu';
 import { useToast } from '@/hooks/use-toast';
+import { crawlerAPI } from '@/lib/service-worker-client';
 import {
   formatConcatenatedContent,
   getContentForFormat,
@@ -147,6 +148,7 @@ function addCopyButtonsToCodeBlocks(html: string): string {
 /**
  * Reusable component for viewing page content with format selection and actions.
  * Handles both text and markdown formats, with copy/download/open-in-window actions.
+ * Pages captured with screenshots or archive snapshots can show either side by side with the content.
  */
 export function PageContentViewer({
   page,
@@ -173,6 +175,24 @@ export function PageContentViewer({
     markdownAvailable ? defaultFormat : 'text'
   );
 
+  // Screenshot or archive snapshot shown beside the content
+  const [sidePanel, setSidePanel] = useState<'screenshot' | 'archive' | null>(null);
+  const toggleSidePanel = (panel: 'screenshot' | 'archive') => {
+    setSidePanel(sidePanel === panel ? null : panel);
+  };
+
+  // Screenshot stored with the page (loaded when first shown)
+  const screenshotSummary = page.markdownMeta?.screenshot;
+  const showScreenshot = sidePanel === 'screenshot';
+  const [screenshotUrl, setScreenshotUrl] = useState<string | null>(null);
+  const [screenshotError, setScreenshotError] = useState<string | null>(null);
+
+  // Archive snapshot stored with the page, as one HTML document (loaded when first shown)
+  const archiveSummary = page.markdownMeta?.archive;
+  const showArchive = sidePanel === 'archive';
+  const [archiveHtml, setArchiveHtml] = useState<string | null>(null);
+  const [archiveError, setArchiveError] = useState<string | null>(null);
+
   // Get content for selected format
   const contentResult = useMemo(
     () => getContentForFormat(page, selectedFormat, confidenceThreshold),
@@ -206,6 +226,61 @@ export function PageContentViewer({
     return null;
   }, [displayContent, contentResult.format]);
 
+  // Load the screenshot the first time it is shown, and release it when the page changes
+  useEffect(() => {
+    if (!showScreenshot || !screenshotSummary || screenshotUrl) return;
+    let cancelled = false;
+    crawlerAPI.getPageScreenshot(page.id)
+      .then(screenshot => {
+        if (cancelled) return;
+        if (screenshot) {
+          setScreenshotUrl(URL.createObjectURL(screenshot.blob));
+        } else {
+          setScreenshotError('The screenshot of this page is no longer stored');
+        }
+      })
+      .catch(error => {
+        if (!cancelled) setScreenshotError(error.message);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [showScreenshot, screenshotSummary, screenshotUrl, page.id]);
+
+  // Load the archive snapshot the first time it is shown
+  useEffect(() => {
+    if (!showArchive || !archiveSummary || archiveHtml) return;
+    let cancelled = false;
+    crawlerAPI.viewPageArchive(page.id)
+      .then(html => {
+        if (cancelled) return;
+        if (html) {
+          setArchiveHtml(html);
+        } else {
+          setArchiveError('The archive snapshot of this page is no longer stored');
+        }
+      })
+      .catch(error => {
+        if (!cancelled) setArchiveError(error.message);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [showArchive, archiveSummary, archiveHtml, page.id]);
+
+  useEffect(() => {
+    setScreenshotUrl(null);
+    setScreenshotError(null);
+    setArchiveHtml(null);
+    setArchiveError(null);
+  }, [page.id]);
+
+  useEffect(() => {
+    return () => {
+      if (screenshotUrl) URL.revokeObjectURL(screenshotUrl);
+    };
+  }, [screenshotUrl]);
+
   // Handle code block copy button clicks
   const handleCodeCopy = useCallback(async (button: HTMLButtonElement) => {
     const wrapper = button.closest('.code-block-wrapper');
@@ -261,7 +336,7 @@ export function PageContentViewer({
 
     container.addEventListener('click', handleClick);
     return () => container.removeEventListener('click', handleClick);
-  }, [renderedMarkdown, handleCodeCopy]);
+  }, [renderedMarkdown, handleCodeCopy, sidePanel]);
 
   // Handle copy to clipboard
   const handleCopy = () => {
@@ -293,6 +368,46 @@ export function PageContentViewer({
     });
   };
 
+  // Handle screenshot download
+  const handleDownloadScreenshot = () => {
+    if (!screenshotUrl || !screenshotSummary) return;
+    const a = document.createElement('a');
+    a.href = screenshotUrl;
+    a.download = `${page.url.split('/').pop() || 'page'}.${screenshotSummary.format}`;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+  };
+
+  // Handle archive snapshot download (an .mhtml file opens in Chrome as the page was captured)
+  const handleDownloadArchive = async () => {
+    try {
+      const archive = await crawlerAPI.getPageArchive(page.id);
+      if (!archive) {
+        toast({
+          variant: 'destructive',
+          title: 'Snapshot not found',
+          description: 'The archive snapshot of this page is no longer stored',
+        });
+        return;
+      }
+      const url = URL.createObjectURL(archive.blob);
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = `${page.url.split('/').filter(Boolean).pop() || 'page'}.mhtml`;
+      document.body.appendChild(a);
+      a.click();
+      document.body.removeChild(a);
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      toast({
+        variant: 'destructive',
+        title: 'Download failed',
+        description: error instanceof Error ? error.message : 'Could not read the archive snapshot',
+      });
+    }
+  };
+
   // Handle open in window
   const handleOpenInWindow = async () => {
     // Store preview data in chrome.storage for the preview window
@@ -358,6 +473,30 @@ export function PageContentViewer({
             </Button>
           </div>
         </div>
+        <div className="flex items-center gap-1 ml-auto">
+          <Button
+            size="sm"
+            variant={showScreenshot ? 'default' : 'outline'}
+            onClick={() => toggleSidePanel('screenshot')}
+            className="h-6 px-2 text-xs gap-1.5"
+            disabled={!screenshotSummary}
+            title={!screenshotSummary ? 'No screenshot was stored for this page' : 'Show the screenshot next to the content'}
+          >
+            <ImageIcon className="h-3 w-3" />
+            Screenshot
+          </Button>
+          <Button
+            size="sm"
+            variant={showArchive ? 'default' : 'outline'}
+            onClick={() => toggleSidePanel('archive')}
+            className="h-6 px-2 text-xs gap-1.5"
+            disabled={!archiveSummary}
+            title={!archiveSummary ? 'No archive snapshot was stored for this page' : 'Show the archive snapshot next to the content'}
+          >
+            <Archive className="h-3 w-3" />
+            Snapshot
+          </Button>
+        </div>
       </div>
 
       {/* Fallback warning */}
@@ -369,8 +508,8 @@ export function PageContentViewer({
         </div>
       )}
 
-      {/* Content area */}
-      <div className="flex-1 px-2 py-2 overflow-hidden">
+      {/* Content area, with the screenshot or archive snapshot beside it when shown */}
+      <div className={`flex-1 px-2 py-2 overflow-hidden ${sidePanel ? 'grid grid-cols-2 grid-rows-1 gap-2' : ''}`}>
         <ScrollArea className="h-full" horizontal>
           {renderedMarkdown ? (
             /* Rendered Markdown Preview */
@@ -386,6 +525,52 @@ export function PageContentViewer({
             </pre>
           )}
         </ScrollArea>
+        {showScreenshot && (
+          <ScrollArea className="h-full border rounded-md">
+            {screenshotUrl ? (
+              <div className="p-2 space-y-1">
+                <img
+                  src={screenshotUrl}
+                  alt={`Screenshot of ${page.url}`}
+                  className="w-full h-auto"
+                />
+                {screenshotSummary?.clipped && (
+                  <p className="text-xs text-muted-foreground">
+                    The page was cut at the screenshot height limit.
+                  </p>
+                )}
+              </div>
+            ) : (
+              <p className="text-xs text-muted-foreground p-3">
+                {screenshotError || 'Loading screenshot...'}
+              </p>
+            )}
+          </ScrollArea>
+        )}
+        {showArchive && (
+          <div className="h-full flex flex-col border rounded-md overflow-hidden">
+            {archiveHtml ? (
+              <>
+                {/* Sandboxed without scripts: the snapshot is shown as it was rendered, not run again */}
+                <iframe
+                  srcDoc={archiveHtml}
+                  sandbox=""
+                  title={`Archive snapshot of ${page.url}`}
+                  className="flex-1 w-full bg-white"
+                />
+                {archiveSummary && (
+                  <p className="text-xs text-muted-foreground px-2 py-1 border-t">
+                    Captured {new Date(archiveSummary.capturedAt).toLocaleString()} • {(archiveSummary.bytes / 1024 / 1024).toFixed(1)} MB, {archiveSummary.resources} resources
+                  </p>
+                )}
+              </>
+            ) : (
+              <p className="text-xs text-muted-foreground p-3">
+                {archiveError || 'Loading archive snapshot...'}
+              </p>
+            )}
+          </div>
+        )}
       </div>
 
       {/* Footer with actions */}
@@ -427,6 +612,18 @@ export function PageContentViewer({
                 <Download className="h-3 w-3 mr-2" />
                 Download as {contentResult.format === 'markdown' ? '.md' : contentResult.format === 'html' ? '.html' : '.txt'}
               </DropdownMenuItem>
+              {screenshotUrl && screenshotSummary && (
+                <DropdownMenuItem onClick={handleDownloadScreenshot}>
+                  <ImageIcon className="h-3 w-3 mr-2" />
+                  Download screenshot (.{screenshotSummary.format})
+                </DropdownMenuItem>
+              )}
+              {archiveSummary && (
+                <DropdownMenuItem onClick={handleDownloadArchive}>
+                  <Archive className="h-3 w-3 mr-2" />
+                  Download snapshot (.mhtml)
+                </DropdownMenuItem>
+              )}
             </DropdownMenuContent>
           </DropdownMenu>
         </div>
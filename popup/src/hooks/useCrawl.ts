@@ -1,88 +1,139 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useRef } from 'react';
 import { crawlerAPI } from '@/lib/service-worker-client';
 
+interface HostRate {
+  host: string;
+  rate: number;
+  maxRate: number;
+  backingOff: boolean;
+  backoffCount: number;
+}
+
+interface UpdateChanges {
+  added: number;
+  changed: number;
+  unchanged: number;
+  removed: number;
+}
+
 interface CrawlProgress {
   pagesFound: number;
   pagesProcessed: number;
   pagesFailed: number;
+  retrying: number;
   queueSize: number;
   inProgress: string[];
+  robotsSkipped: number;
+  hostRates: HostRate[];
+  changes: UpdateChanges | null;
+}
+
+// A running or queued crawl, as reported by GET_CRAWL_STATUS and progress broadcasts
+export interface CrawlStatus extends CrawlProgress {
+  jobId: string;
+  baseUrls: string[];
+  status: 'running' | 'cancelling' | 'cancelled' | 'finished' | 'queued';
+  position?: number;
+}
+
+interface UseCrawlOptions {
+  // Called once for each crawl that stops ('finished' or 'cancelled')
+  onFinished?: (crawl: CrawlStatus) => void;
+}
+
+function toCrawlStatus(data: any, previous?: CrawlStatus): CrawlStatus {
+  return {
+    jobId: data.jobId,
+    baseUrls: data.baseUrls || previous?.baseUrls || [],
+    status: data.status || 'running',
+    position: data.position,
+    pagesFound: data.pagesFound || 0,
+    pagesProcessed: data.pagesProcessed || 0,
+    pagesFailed: data.pagesFailed || 0,
+    retrying: data.retrying || 0,
+    queueSize: data.queueSize || 0,
+    inProgress: data.inProgress || [],
+    robotsSkipped: data.robotsSkipped || 0,
+    hostRates: data.hostRates || [],
+    changes: data.changes || null
+  };
 }
 
-export function useCrawl() {
-  const [isActive, setIsActive] = useState(false);
-  const [jobId, setJobId] = useState<string | null>(null);
-  const [progress, setProgress] = useState<CrawlProgress>({
-    pagesFound: 0,
-    pagesProcessed: 0,
-    pagesFailed: 0,
-    queueSize: 0,
-    inProgress: []
-  });
+export function useCrawl({ onFinished }: UseCrawlOptions = {}) {
+  const [crawls, setCrawls] = useState<CrawlStatus[]>([]);
+  const [maxConcurrentCrawls, setMaxConcurrentCrawls] = useState<number | null>(null);
   const [error, setError] = useState<string | null>(null);
+  const crawlsRef = useRef<CrawlStatus[]>([]);
+  const onFinishedRef = useRef(onFinished);
+  onFinishedRef.current = onFinished;
 
-  // Check for active crawl on mount
   useEffect(() => {
-    crawlerAPI.getCrawlStatus().then(status => {
-      if (status.active) {
-        setIsActive(true);
-        setJobId(status.jobId);
-        setProgress({
-          pagesFound: status.pagesFound || 0,
-          pagesProcessed: status.pagesProcessed || 0,
-          pagesFailed: 0,
-          queueSize: status.queueSize || 0,
-          inProgress: status.inProgress || []
-        });
-      }
-    }).catch(console.error);
+    crawlsRef.current = crawls;
+  }, [crawls]);
+
+  // Reload running and queued crawls (queue positions shift when a crawl finishes)
+  const refreshCrawls = async () => {
+    try {
+      const status = await crawlerAPI.getCrawlStatus();
+      setCrawls((status.crawls || []).map((crawl: any) => toCrawlStatus(crawl)));
+      setMaxConcurrentCrawls(status.maxConcurrentCrawls ?? null);
+    } catch (err) {
+      console.error(err);
+    }
+  };
+
+  // Check for running crawls on mount
+  useEffect(() => {
+    refreshCrawls();
   }, []);
 
-  // Listen for progress updates
+  // Listen for progress updates (one stream for every running crawl, keyed by job ID)
   useEffect(() => {
     const unsubscribe = crawlerAPI.onProgress((progressData) => {
-      setProgress({
-        pagesFound: progressData.pagesFound || 0,
-        pagesProcessed: progressData.pagesProcessed || 0,
-        pagesFailed: progressData.pagesFailed || 0,
-        queueSize: progressData.queueSize || 0,
-        inProgress: progressData.inProgress || []
-      });
+      if (!progressData.jobId) return;
 
-      // Check if crawl completed (queue empty and no pages in progress)
-      if (progressData.queueSize === 0 && (!progressData.inProgress || progressData.inProgress.length === 0)) {
-        setIsActive(false);
-        setJobId(null);
+      if (progressData.status === 'finished' || progressData.status === 'cancelled') {
+        const previous = crawlsRef.current.find(crawl => crawl.jobId === progressData.jobId);
+        onFinishedRef.current?.(toCrawlStatus(progressData, previous));
+        setCrawls(current => current.filter(crawl => crawl.jobId !== progressData.jobId));
+        refreshCrawls();
+        return;
       }
+
+      setCrawls(current => {
+        const index = current.findIndex(crawl => crawl.jobId === progressData.jobId);
+        if (index === -1) {
+          return [...current, toCrawlStatus(progressData)];
+        }
+        const next = [...current];
+        next[index] = toCrawlStatus(progressData, current[index]);
+        return next;
+      });
     });
 
     return unsubscribe;
   }, []);
 
+  /**
+   * Start a crawl; it is queued when the concurrent crawl limit is reached
+   * @returns The service worker response ({ jobId, status: 'started' | 'queued', position })
+   */
   const startCrawl = async (baseUrl: string | string[], options?: any) => {
     try {
       setError(null);
       const response = await crawlerAPI.startCrawl(baseUrl, options);
-      setIsActive(true);
-      setJobId(response.jobId);
-      setProgress({
-        pagesFound: 0,
-        pagesProcessed: 0,
-        pagesFailed: 0,
-        queueSize: 0,
-        inProgress: []
-      });
+      await refreshCrawls();
+      return response;
     } catch (err) {
       setError(err instanceof Error ? err.message : 'Failed to start crawl');
       throw err;
     }
   };
 
-  const cancelCrawl = async () => {
+  const cancelCrawl = async (jobId: string) => {
     try {
-      await crawlerAPI.cancelCrawl();
-      setIsActive(false);
-      setJobId(null);
+      await crawlerAPI.cancelCrawl(jobId);
+      await refreshCrawls();
     } catch (err) {
       setError(err instanceof Error ? err.message : 'Failed to cancel crawl');
       throw err;
@@ -90,9 +141,9 @@ export function useCrawl() {
   };
 
   return {
-    isActive,
-    jobId,
-    progress,
+    crawls,
+    isActive: crawls.length > 0,
+    maxConcurrentCrawls,
     error,
     startCrawl,
     cancelCrawl
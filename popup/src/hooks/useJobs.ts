@@ -1,6 +1,27 @@
 import { useState, useEffect, useCallback } from 'react';
 import { crawlerAPI } from '@/lib/service-worker-client';
 
+interface JobUpdateSummary {
+  startedAt: number;
+  completedAt: number;
+  complete: boolean;
+  added: number;
+  changed: number;
+  unchanged: number;
+  removed: number;
+  failed: number;
+}
+
+interface JobError {
+  url: string;
+  canonicalUrl: string;
+  error: string;
+  category?: string; // timeout, debugger, network, throttled, storage, extraction or unknown
+  retryable?: boolean;
+  attempts?: number;
+  timestamp: number;
+}
+
 interface Job {
   id: string;
   baseUrl: string;
@@ -12,7 +33,65 @@ interface Job {
   pagesFound: number;
   pagesProcessed: number;
   pagesFailed: number;
-  errors: any[];
+  errors: JobError[];
+  respectRobots?: boolean;
+  robotsSkipped?: { url: string; rule: string }[];
+  robotsSkippedCount?: number;
+  urlRules?: { type: 'include' | 'exclude'; pattern: string; syntax: 'glob' | 'regex' }[];
+  maxDepth?: number | null;
+  sitemapUrlsAsSeeds?: boolean;
+  depthHistogram?: Record<string, number>;
+  depthSkippedCount?: number;
+  crawlStrategy?: 'bfs' | 'dfs' | 'priority';
+  maxRetries?: number;
+  retryBaseDelay?: number;
+  canonicalization?: { keepQueryParams: string[]; stripQueryParams: string[]; sortQueryParams: boolean };
+  followPagination?: boolean;
+  maxPaginationPages?: number;
+  stitchPagination?: boolean;
+  paginationSkippedCount?: number;
+  stitchedPageCount?: number;
+  respectPageDirectives?: boolean;
+  noindexSkippedCount?: number;
+  nofollowSkippedCount?: number;
+  canonicalAlternateCount?: number;
+  nearDuplicateThreshold?: number | null;
+  nearDuplicateCount?: number;
+  fetchMode?: 'rendered' | 'fast' | 'auto';
+  fastFetchCount?: number;
+  tabFallbackCount?: number;
+  siteFetchModes?: Record<string, 'fast' | 'rendered'>;
+  extractionProfilesUsed?: Record<string, number>;
+  pageActions?: { expandDetails: boolean; clickSelectors: string[]; captureTabs: boolean; scroll: boolean; timeBudget: number } | null;
+  infiniteScroll?: { maxHeight: number; timeBudget: number } | null;
+  scrollTruncatedCount?: number;
+  screenshots?: { format: 'webp' | 'jpeg'; quality: number; maxBytes: number; maxHeight: number } | null;
+  screenshotCount?: number;
+  screenshotMissingCount?: number;
+  pdfs?: { maxBytes: number; maxPages: number } | null;
+  pdfCount?: number;
+  encryptedPdfCount?: number;
+  archives?: { maxBytes: number; jobBudget: number } | null;
+  archiveCount?: number;
+  archiveSkippedCount?: number;
+  archiveBytes?: number;
+  apiRecording?: { maxBodyBytes: number; maxCallsPerPage: number; urlRules: Array<{ type: 'include' | 'exclude'; pattern: string; syntax: 'glob' | 'regex' }> } | null;
+  apiCallCount?: number;
+  apiRecordedPageCount?: number;
+  // Encrypted crawl authentication (only the service worker can read it) and its header/cookie names
+  auth?: { cipher: string; iv: string; data: string } | null;
+  authSummary?: { headerNames: string[]; cookieNames: string[]; basicAuthUser: string | null } | null;
+  boilerplate?: { minShare: number; lineCount: number; pageCount: number; removedChars: number; removedAt: number } | null;
+  lastUpdate?: JobUpdateSummary & {
+    addedUrls: string[];
+    changedUrls: string[];
+    removedUrls: string[];
+  };
+  updateHistory?: JobUpdateSummary[];
+  schedule?: { type: 'daily' | 'weekly' | 'cron'; time?: string; dayOfWeek?: number; cron?: string } | null;
+  nextRunAt?: number | null;
+  lastScheduledRun?: { startedAt: number; finishedAt?: number; status: string; error?: string; pendingSince?: number } | null;
+  queuedRequest?: { type: 'start' | 'update' | 'resume' | 'retryFailed'; options: any; queuedAt: number; previousStatus: string | null } | null;
 }
 
 interface Page {
@@ -26,6 +105,12 @@ interface Page {
   contentLength: number;
   status: string;
   metadata?: any;
+  removedAt?: number | null;
+  lastCheckedAt?: number;
+  stitchedUrls?: string[];
+  similarityHash?: string | null;
+  boilerplateOriginal?: { content: string; markdown: string | null } | null;
+  boilerplateRemovedChars?: number | null;
 }
 
 export function useJobs() {
@@ -3,6 +3,7 @@
  */
 
 export interface PageMetadata {
+  title?: string;
   description?: string;
   keywords?: string;
   author?: string;
@@ -21,6 +22,21 @@ export interface PageMetadata {
     name?: string;
     author?: string;
   };
+  pdf?: PdfMetadata;
+}
+
+/**
+ * Document details of a page read from a PDF file
+ */
+export interface PdfMetadata {
+  pageCount: number;
+  pagesRead: number;
+  bytes: number;
+  creator: string | null;
+  producer: string | null;
+  creationDate: string | null;
+  modDate: string | null;
+  outline: Array<{ title: string; level: number; page: number | null }>;
 }
 
 export interface MarkdownMeta {
@@ -37,6 +53,42 @@ export interface MarkdownMeta {
   reason?: string;
   urlHints?: any;
   qualityChecks?: any;
+  screenshot?: ScreenshotSummary;
+  archive?: ArchiveSummary;
+  apiRecording?: ApiRecordingSummary;
+  source?: string;
+  truncated?: boolean;
+}
+
+/**
+ * The screenshot stored with a page (the image itself is in the screenshots store)
+ */
+export interface ScreenshotSummary {
+  format: 'webp' | 'jpeg';
+  width: number;
+  height: number;
+  bytes: number;
+  quality: number;
+  scale: number;
+  clipped: boolean;
+}
+
+/**
+ * The archive snapshot stored with a page (the MHTML document itself is in the archives store)
+ */
+export interface ArchiveSummary {
+  bytes: number;
+  resources: number;
+  capturedAt: string;
+}
+
+/**
+ * The API calls recorded with a page (the HAR entries themselves are in the apiRecordings store)
+ */
+export interface ApiRecordingSummary {
+  calls: number;
+  endpoints: number;
+  skipped: number;
 }
 
 export interface Page {
@@ -49,6 +101,7 @@ export interface Page {
   markdownMeta?: MarkdownMeta | null;
   alternateUrls?: string[];
   html?: string | null;
+  contentType?: 'html' | 'pdf';
 }
 
 /**
@@ -108,9 +161,10 @@ function formatMetadata(page: Page): string {
     lines.push(`Alternate URLs: ${alternateUrls.slice(1).join(', ')}`);
   }
 
-  // Title (OG Title)
-  if (metadata.ogTitle) {
-    lines.push(`Title: ${metadata.ogTitle}`);
+  // Title (OG Title, or the title of a PDF document)
+  const title = metadata.ogTitle || metadata.title;
+  if (title) {
+    lines.push(`Title: ${title}`);
   }
 
   // Description (use ogDescription as fallback for description)
@@ -129,6 +183,11 @@ function formatMetadata(page: Page): string {
     lines.push(`Type: ${metadata.ogType}`);
   }
 
+  // PDF documents
+  if (page.contentType === 'pdf') {
+    lines.push(metadata.pdf ? `Content Type: PDF (${metadata.pdf.pageCount} pages)` : 'Content Type: PDF');
+  }
+
   // Other metadata fields
   if (metadata.keywords) {
     lines.push(`Keywords: ${metadata.keywords}`);
@@ -404,9 +463,10 @@ function formatMetadataAsYAML(page: Page): string {
     });
   }
 
-  // Title (OG Title renamed to just "title")
-  if (metadata.ogTitle) {
-    const escaped = metadata.ogTitle.replace(/"/g, '\\"');
+  // Title (OG Title renamed to just "title", or the title of a PDF document)
+  const title = metadata.ogTitle || metadata.title;
+  if (title) {
+    const escaped = title.replace(/"/g, '\\"');
     lines.push(`title: "${escaped}"`);
   }
 
@@ -428,6 +488,14 @@ function formatMetadataAsYAML(page: Page): string {
     lines.push(`type: ${metadata.ogType}`);
   }
 
+  // PDF documents
+  if (page.contentType === 'pdf') {
+    lines.push('content_type: pdf');
+    if (metadata.pdf) {
+      lines.push(`page_count: ${metadata.pdf.pageCount}`);
+    }
+  }
+
   // Other metadata fields
   if (metadata.keywords) {
     lines.push(`keywords: ${metadata.keywords}`);
@@ -6,14 +6,31 @@
 type MessageType =
   | 'START_CRAWL'
   | 'RESUME_CRAWL'
+  | 'RETRY_FAILED_PAGES'
+  | 'DRY_RUN'
   | 'CANCEL_CRAWL'
   | 'GET_JOBS'
   | 'GET_JOB'
   | 'DELETE_JOB'
   | 'UPDATE_JOB'
   | 'GET_PAGES'
+  | 'GET_PAGE_SCREENSHOT'
+  | 'GET_PAGE_ARCHIVE'
+  | 'VIEW_PAGE_ARCHIVE'
+  | 'EXPORT_API_RECORDING'
+  | 'GET_NEAR_DUPLICATES'
+  | 'MERGE_PAGES'
+  | 'REMOVE_BOILERPLATE'
+  | 'RESTORE_BOILERPLATE'
   | 'SEARCH'
   | 'GET_CRAWL_STATUS'
+  | 'SET_JOB_SCHEDULE'
+  | 'GET_EXTRACTION_PROFILES'
+  | 'SAVE_EXTRACTION_PROFILE'
+  | 'DELETE_EXTRACTION_PROFILE'
+  | 'MOVE_EXTRACTION_PROFILE'
+  | 'IMPORT_EXTRACTION_PROFILES'
+  | 'EXPORT_EXTRACTION_PROFILES'
   | 'GET_ERROR_LOGS'
   | 'GET_ERROR_COUNT'
   | 'CLEAR_ERROR_LOGS'
@@ -33,8 +50,9 @@ interface ServiceWorkerResponse {
 
 /**
  * Send message to service worker and wait for response
+ * @param timeout - Milliseconds to wait for the response (default: 30 seconds)
  */
-export async function sendMessage(type: MessageType, data?: any): Promise<any> {
+export async function sendMessage(type: MessageType, data?: any, timeout = 30000): Promise<any> {
   return new Promise((resolve, reject) => {
     if (!navigator.serviceWorker.controller) {
       reject(new Error('Service worker not available'));
@@ -60,10 +78,9 @@ export async function sendMessage(type: MessageType, data?: any): Promise<any> {
       [messageChannel.port2]
     );
 
-    // Timeout after 30 seconds
     setTimeout(() => {
       reject(new Error('Service worker request timeout'));
-    }, 30000);
+    }, timeout);
   });
 }
 
@@ -87,6 +104,37 @@ export function onCrawlProgress(callback: (progress: any) => void): () => void {
 
 // API functions
 
+export interface PageScreenshot {
+  pageId: string;
+  jobId: string;
+  blob: Blob;
+  format: 'webp' | 'jpeg';
+  width: number;
+  height: number;
+  bytes: number;
+  quality: number;
+  scale: number;
+  clipped: boolean;
+  savedAt: number;
+}
+
+export interface PageArchive {
+  pageId: string;
+  jobId: string;
+  blob: Blob;
+  bytes: number;
+  resources: number;
+  capturedAt: string;
+  savedAt: number;
+}
+
+export interface ApiRecordingExport {
+  har: string | null;
+  markdown: string | null;
+  callCount: number;
+  endpointCount: number;
+}
+
 export const crawlerAPI = {
   /**
    * Start a new crawl
@@ -95,6 +143,15 @@ export const crawlerAPI = {
     return sendMessage('START_CRAWL', { baseUrl, options });
   },
 
+  /**
+   * Preview the URLs a crawl would visit without rendering or saving pages
+   * Pass candidates from an earlier preview to apply changed URL rules without fetching again
+   * Sitemap discovery and link fetching can take over a minute, hence the longer timeout
+   */
+  async dryRun(baseUrl: string | string[], options?: any) {
+    return sendMessage('DRY_RUN', { baseUrl, options }, 120000);
+  },
+
   /**
    * Resume an interrupted crawl
    * Continues an existing job instead of creating a new one
@@ -104,10 +161,18 @@ export const crawlerAPI = {
   },
 
   /**
-   * Cancel active crawl
+   * Re-crawl only the failed pages of a finished job
+   * With retryableOnly, permanent failures (e.g. storage errors) are left alone
    */
-  async cancelCrawl() {
-    return sendMessage('CANCEL_CRAWL');
+  async retryFailedPages(jobId: string, retryableOnly = false) {
+    return sendMessage('RETRY_FAILED_PAGES', { jobId, retryableOnly });
+  },
+
+  /**
+   * Cancel a running or queued crawl (all of them when no job ID is given)
+   */
+  async cancelCrawl(jobId?: string) {
+    return sendMessage('CANCEL_CRAWL', { jobId });
   },
 
   /**
@@ -140,6 +205,13 @@ export const crawlerAPI = {
     return sendMessage('UPDATE_JOB', { jobId, updates });
   },
 
+  /**
+   * Set (or clear, with null) a job's recurring update schedule
+   */
+  async setJobSchedule(jobId: string, schedule: Record<string, any> | null) {
+    return sendMessage('SET_JOB_SCHEDULE', { jobId, schedule });
+  },
+
   /**
    * Get pages for a job
    */
@@ -148,6 +220,65 @@ export const crawlerAPI = {
     return response.pages || [];
   },
 
+  /**
+   * Get the screenshot stored with a page, or null when it has none
+   */
+  async getPageScreenshot(pageId: string): Promise<PageScreenshot | null> {
+    const response = await sendMessage('GET_PAGE_SCREENSHOT', { pageId });
+    return response.screenshot || null;
+  },
+
+  /**
+   * Get the MHTML archive snapshot stored with a page, or null when it has none
+   */
+  async getPageArchive(pageId: string): Promise<PageArchive | null> {
+    const response = await sendMessage('GET_PAGE_ARCHIVE', { pageId });
+    return response.archive || null;
+  },
+
+  /**
+   * Get a page's archive snapshot as one HTML document with its resources inlined, or null when it has none
+   */
+  async viewPageArchive(pageId: string): Promise<string | null> {
+    const response = await sendMessage('VIEW_PAGE_ARCHIVE', { pageId });
+    return response.html || null;
+  },
+
+  /**
+   * Export a job's recorded API calls as a HAR 1.2 file (JSON text) and a markdown summary of its endpoints
+   */
+  async exportApiRecording(jobId: string): Promise<ApiRecordingExport> {
+    return sendMessage('EXPORT_API_RECORDING', { jobId });
+  },
+
+  /**
+   * Get groups of near-duplicate pages in a job (threshold: minimum similarity, 0-1)
+   */
+  async getNearDuplicates(jobId: string, threshold?: number) {
+    return sendMessage('GET_NEAR_DUPLICATES', { jobId, threshold });
+  },
+
+  /**
+   * Merge pages into one page; their URLs become its alternate URLs
+   */
+  async mergePages(keepPageId: string, pageIds: string[]) {
+    return sendMessage('MERGE_PAGES', { keepPageId, pageIds });
+  },
+
+  /**
+   * Strip lines repeated on at least minShare (0-1) of a job's pages
+   */
+  async removeBoilerplate(jobId: string, minShare?: number) {
+    return sendMessage('REMOVE_BOILERPLATE', { jobId, minShare });
+  },
+
+  /**
+   * Put back the text removed by the last boilerplate pass
+   */
+  async restoreBoilerplate(jobId: string) {
+    return sendMessage('RESTORE_BOILERPLATE', { jobId });
+  },
+
   /**
    * Search pages
    */
@@ -171,6 +302,61 @@ export const crawlerAPI = {
   }
 };
 
+// Extraction Profiles API
+export interface ExtractionProfile {
+  id: string;
+  name: string;
+  match: string[];
+  contentSelectors: string[];
+  removeSelectors: string[];
+  waitForSelectors: string[];
+}
+
+export const extractionProfileAPI = {
+  /**
+   * Get saved profiles, in match order (the first matching profile is used)
+   */
+  async getProfiles(): Promise<ExtractionProfile[]> {
+    const response = await sendMessage('GET_EXTRACTION_PROFILES');
+    return response.profiles || [];
+  },
+
+  /**
+   * Create a profile, or update the one with the same id
+   */
+  async saveProfile(profile: Partial<ExtractionProfile>): Promise<{ profile: ExtractionProfile; profiles: ExtractionProfile[] }> {
+    return sendMessage('SAVE_EXTRACTION_PROFILE', { profile });
+  },
+
+  /**
+   * Delete a profile
+   */
+  async deleteProfile(id: string): Promise<{ profiles: ExtractionProfile[] }> {
+    return sendMessage('DELETE_EXTRACTION_PROFILE', { id });
+  },
+
+  /**
+   * Move a profile up (-1) or down (1)
+   */
+  async moveProfile(id: string, offset: -1 | 1): Promise<{ profiles: ExtractionProfile[] }> {
+    return sendMessage('MOVE_EXTRACTION_PROFILE', { id, offset });
+  },
+
+  /**
+   * Import profiles from an exported JSON file
+   */
+  async importProfiles(json: string): Promise<{ profiles: ExtractionProfile[]; added: number; replaced: number }> {
+    return sendMessage('IMPORT_EXTRACTION_PROFILES', { json });
+  },
+
+  /**
+   * Export all profiles as JSON
+   */
+  async exportProfiles(): Promise<{ json: string; count: number }> {
+    return sendMessage('EXPORT_EXTRACTION_PROFILES');
+  }
+};
+
 // Error Log API
 export const errorLogAPI = {
   /**
@@ -220,6 +406,7 @@ export interface PickedContent {
   html: string;
   markdown: string;
   text: string;
+  profile?: string | null;
   copiedToClipboard?: boolean;
   timestamp?: number;
 }
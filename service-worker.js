@@ -1,16 +1,35 @@
 /**
  * Service Worker for Webscribe Chrome Extension
  * Handles background web crawling and message passing with popup
- * VERSION: 2.13.0
+ * VERSION: 2.15.0
  */
 
-import { startCrawl, resumeCrawl, getActiveCrawl, cancelActiveCrawl } from './lib/crawler.js';
-import { initDB, checkAndMigrate, forceMigration, getAllJobs, getJob, deleteJob, updateJob, getPagesByJobId, searchPages, getAllErrorLogs, clearErrorLogs, getErrorLogCount, createJob, savePage } from './storage/db.js';
+import { getActiveCrawl, onCrawlComplete, getWorkerBudgetStatus, withSharedRateLimiter } from './lib/crawler.js';
+import { initJobScheduler, restoreQueuedCrawls, submitCrawl, cancelCrawl, getCrawlState, getCrawlStatuses, MAX_CONCURRENT_CRAWLS } from './lib/job-scheduler.js';
+import { normalizeSchedule, computeNextRun, describeSchedule } from './lib/schedule.js';
+import { initDB, checkAndMigrate, forceMigration, getAllJobs, getJob, deleteJob, updateJob, getPagesByJobId, updatePage, searchPages, clearErrorLogs, getErrorLogCount, createJob, savePage, mergePages, getScreenshot, getArchive, getApiRecordingsByJobId } from './storage/db.js';
 import { canonicalizeUrl } from './lib/utils.js';
-import { initErrorLogger, logError, generateDiagnosticReport, generateDiagnosticReportString } from './lib/error-logger.js';
+import { computeSimilarityHash, groupNearDuplicates, DEFAULT_NEAR_DUPLICATE_THRESHOLD } from './lib/similarity.js';
+import { removeBoilerplate, normalizeBoilerplateShare, MIN_BOILERPLATE_PAGES } from './lib/boilerplate.js';
+import { runDryRun } from './lib/dry-run.js';
+import { mhtmlToHtml } from './lib/page-archives.js';
+import { buildHar, summarizeApiEndpoints, formatApiEndpointsMarkdown } from './lib/api-recording.js';
+import { initErrorLogger, logError, getErrorLogs, generateDiagnosticReport, generateDiagnosticReportString } from './lib/error-logger.js';
+import {
+  getExtractionProfiles,
+  saveExtractionProfile,
+  deleteExtractionProfile,
+  moveExtractionProfile,
+  importExtractionProfiles,
+  exportExtractionProfiles,
+  findExtractionProfile
+} from './lib/extraction-profiles.js';
 
 // Current service worker version - increment this when making changes
-const SERVICE_WORKER_VERSION = '2.14.0';
+const SERVICE_WORKER_VERSION = '2.15.0';
+
+// Used to tell jobs orphaned by a previous service worker instance from ones started by this instance
+const SERVICE_WORKER_STARTED_AT = Date.now();
 
 console.log(`🚀 Service worker v${SERVICE_WORKER_VERSION} started`);
 
@@ -40,6 +59,42 @@ self.addEventListener('unhandledrejection', (event) => {
   });
 });
 
+/**
+ * Mark jobs left 'in_progress' by a terminated service worker as 'interrupted'
+ * Their workers died with the previous instance, so they can only continue via resume
+ * (which picks up the frontier saved during the crawl)
+ */
+async function recoverOrphanedJobs() {
+  try {
+    const jobs = await getAllJobs();
+    const orphaned = jobs.filter(job =>
+      job.status === 'in_progress' && job.updatedAt < SERVICE_WORKER_STARTED_AT && !getActiveCrawl(job.id)
+    );
+
+    for (const job of orphaned) {
+      console.log(`[ServiceWorker] Marking orphaned job ${job.id} as interrupted (service worker was restarted)`);
+      await updateJob(job.id, { status: 'interrupted' });
+    }
+  } catch (error) {
+    console.error('[ServiceWorker] Failed to recover orphaned jobs:', error);
+    logError('service-worker', error, { action: 'recoverOrphanedJobs' });
+  }
+}
+
+// Crawls run through the job scheduler (concurrent up to a limit, queued beyond it)
+initJobScheduler({
+  onProgress: broadcastProgress,
+  onStartFailed: handleQueuedCrawlFailed
+});
+
+recoverOrphanedJobs()
+  .then(() => restoreQueuedCrawls())
+  .catch((error) => {
+    console.error('[ServiceWorker] Failed to restore queued crawls:', error);
+    logError('service-worker', error, { action: 'restoreQueuedCrawls' });
+  })
+  .then(() => syncScheduleAlarms());
+
 // Initialize database on install
 self.addEventListener('install', (event) => {
   console.log(`[ServiceWorker] Installing v${SERVICE_WORKER_VERSION}...`);
@@ -115,13 +170,21 @@ self.addEventListener('message', async (event) => {
         break;
 
       case 'CANCEL_CRAWL':
-        await handleCancelCrawl(event);
+        await handleCancelCrawl(event, data);
         break;
 
       case 'RESUME_CRAWL':
         await handleResumeCrawl(event, data);
         break;
 
+      case 'RETRY_FAILED_PAGES':
+        await handleRetryFailedPages(event, data);
+        break;
+
+      case 'DRY_RUN':
+        await handleDryRun(event, data);
+        break;
+
       case 'GET_JOBS':
         await handleGetJobs(event);
         break;
@@ -142,6 +205,38 @@ self.addEventListener('message', async (event) => {
         await handleGetPages(event, data);
         break;
 
+      case 'GET_PAGE_SCREENSHOT':
+        await handleGetPageScreenshot(event, data);
+        break;
+
+      case 'GET_PAGE_ARCHIVE':
+        await handleGetPageArchive(event, data);
+        break;
+
+      case 'VIEW_PAGE_ARCHIVE':
+        await handleViewPageArchive(event, data);
+        break;
+
+      case 'EXPORT_API_RECORDING':
+        await handleExportApiRecording(event, data);
+        break;
+
+      case 'GET_NEAR_DUPLICATES':
+        await handleGetNearDuplicates(event, data);
+        break;
+
+      case 'MERGE_PAGES':
+        await handleMergePages(event, data);
+        break;
+
+      case 'REMOVE_BOILERPLATE':
+        await handleRemoveBoilerplate(event, data);
+        break;
+
+      case 'RESTORE_BOILERPLATE':
+        await handleRestoreBoilerplate(event, data);
+        break;
+
       case 'SEARCH':
         await handleSearch(event, data);
         break;
@@ -150,6 +245,34 @@ self.addEventListener('message', async (event) => {
         await handleGetCrawlStatus(event);
         break;
 
+      case 'SET_JOB_SCHEDULE':
+        await handleSetJobSchedule(event, data);
+        break;
+
+      case 'GET_EXTRACTION_PROFILES':
+        await handleGetExtractionProfiles(event);
+        break;
+
+      case 'SAVE_EXTRACTION_PROFILE':
+        await handleSaveExtractionProfile(event, data);
+        break;
+
+      case 'DELETE_EXTRACTION_PROFILE':
+        await handleDeleteExtractionProfile(event, data);
+        break;
+
+      case 'MOVE_EXTRACTION_PROFILE':
+        await handleMoveExtractionProfile(event, data);
+        break;
+
+      case 'IMPORT_EXTRACTION_PROFILES':
+        await handleImportExtractionProfiles(event, data);
+        break;
+
+      case 'EXPORT_EXTRACTION_PROFILES':
+        await handleExportExtractionProfiles(event);
+        break;
+
       case 'FORCE_MIGRATION':
         await handleForceMigration(event);
         break;
@@ -193,7 +316,7 @@ self.addEventListener('message', async (event) => {
 });
 
 /**
- * Start a new crawl
+ * Start a new crawl (queued when MAX_CONCURRENT_CRAWLS are already running)
  */
 async function handleStartCrawl(event, data) {
   const { baseUrl, options = {} } = data;
@@ -202,19 +325,9 @@ async function handleStartCrawl(event, data) {
     throw new Error('Base URL is required');
   }
 
-  // Check if crawl already in progress
-  const activeCrawl = getActiveCrawl();
-  if (activeCrawl) {
-    throw new Error('A crawl is already in progress');
-  }
-
-  // Start crawl with progress callback and options
-  const jobId = await startCrawl(baseUrl, (progress) => {
-    // Broadcast progress to all connected clients
-    broadcastProgress(jobId, progress);
-  }, options);
+  const { jobId, status, position } = await submitCrawl({ type: 'start', baseUrl, options });
 
-  sendResponse(event, { jobId, status: 'started' });
+  sendResponse(event, { jobId, status, position });
 }
 
 /**
@@ -228,19 +341,9 @@ async function handleResumeCrawl(event, data) {
       throw new Error('Job ID is required to resume');
     }
 
-    // Check if crawl already in progress
-    const activeCrawl = getActiveCrawl();
-    if (activeCrawl) {
-      throw new Error('A crawl is already in progress');
-    }
-
-    // Resume crawl with progress callback and options
-    await resumeCrawl(jobId, (progress) => {
-      // Broadcast progress to all connected clients
-      broadcastProgress(jobId, progress);
-    }, options);
+    const { status, position } = await submitCrawl({ type: 'resume', jobId, options });
 
-    sendResponse(event, { jobId, status: 'resumed' });
+    sendResponse(event, { jobId, status: status === 'started' ? 'resumed' : status, position });
   } catch (error) {
     console.error('[ServiceWorker] Failed to resume crawl:', error);
     logError('service-worker', error, {
@@ -252,11 +355,65 @@ async function handleResumeCrawl(event, data) {
 }
 
 /**
- * Cancel active crawl
+ * Re-crawl only the failed pages of a finished job
  */
-async function handleCancelCrawl(event) {
-  cancelActiveCrawl();
-  sendResponse(event, { status: 'cancelled' });
+async function handleRetryFailedPages(event, data) {
+  const { jobId, retryableOnly = false, options = {} } = data;
+
+  try {
+    if (!jobId) {
+      throw new Error('Job ID is required to retry failed pages');
+    }
+
+    const { status, position } = await submitCrawl({ type: 'retryFailed', jobId, options: { ...options, retryableOnly } });
+
+    sendResponse(event, { jobId, status, position });
+  } catch (error) {
+    console.error('[ServiceWorker] Failed to retry failed pages:', error);
+    logError('service-worker', error, {
+      action: 'handleRetryFailedPages',
+      jobId
+    });
+    throw error; // Re-throw to be caught by outer handler
+  }
+}
+
+/**
+ * Cancel a running or queued crawl (all of them when no job ID is given)
+ */
+async function handleCancelCrawl(event, data = {}) {
+  const { jobId } = data;
+
+  // Scheduled runs waiting for these crawls are cancelled with them
+  const jobIds = jobId ? [jobId] : getCrawlStatuses().map(crawl => crawl.jobId);
+  for (const id of jobIds) {
+    await cancelPendingScheduledRun(id);
+  }
+
+  const { cancelled, dequeued } = await cancelCrawl(jobId);
+
+  // Scheduled runs dropped from the queue never reach onCrawlComplete
+  for (const dequeuedJobId of dequeued) {
+    await finishScheduledRun(dequeuedJobId, true);
+  }
+
+  sendResponse(event, { status: 'cancelled', cancelled, dequeued });
+}
+
+/**
+ * Preview the URLs a crawl would visit without rendering or saving pages
+ * With candidates from an earlier dry run, only the scope options are applied again
+ */
+async function handleDryRun(event, data) {
+  const { baseUrl, options = {} } = data;
+
+  if (!baseUrl) {
+    throw new Error('Base URL is required');
+  }
+
+  // Page fetches take their turn with the running crawls' requests to the same hosts
+  const result = await withSharedRateLimiter(rateLimiter => runDryRun(baseUrl, options, rateLimiter));
+  sendResponse(event, result);
 }
 
 /**
@@ -281,7 +438,11 @@ async function handleGetJob(event, data) {
  */
 async function handleDeleteJob(event, data) {
   const { jobId } = data;
+  if (getCrawlState(jobId) === 'queued') {
+    await cancelCrawl(jobId);
+  }
   await deleteJob(jobId);
+  await clearJobSchedule(jobId);
   sendResponse(event, { status: 'deleted' });
 }
 
@@ -303,6 +464,193 @@ async function handleGetPages(event, data) {
   sendResponse(event, { pages });
 }
 
+/**
+ * Get the screenshot stored with a page
+ * The image is sent as a Blob (message ports clone it), or null when the page has none
+ */
+async function handleGetPageScreenshot(event, data) {
+  const { pageId } = data;
+  const screenshot = await getScreenshot(pageId);
+  sendResponse(event, { screenshot: screenshot || null });
+}
+
+/**
+ * Get the archive snapshot stored with a page
+ * The MHTML document is sent as a Blob, or null when the page has none
+ */
+async function handleGetPageArchive(event, data) {
+  const { pageId } = data;
+  const archive = await getArchive(pageId);
+  sendResponse(event, { archive: archive || null });
+}
+
+/**
+ * Turn a page's archive snapshot into one HTML document for the page viewer
+ * Its stylesheets, images and frames are inlined, so the popup can show it in a sandboxed frame
+ */
+async function handleViewPageArchive(event, data) {
+  const { pageId } = data;
+  const archive = await getArchive(pageId);
+  if (!archive) {
+    sendResponse(event, { html: null });
+    return;
+  }
+  const html = mhtmlToHtml(await archive.blob.text());
+  sendResponse(event, { html });
+}
+
+/**
+ * Export a job's API recording: one HAR 1.2 file and a markdown summary of the endpoints it reached
+ * har is the HAR document as JSON text; both are null when no page of the job was recorded
+ */
+async function handleExportApiRecording(event, data) {
+  const { jobId } = data;
+  const [job, recordings, pages] = await Promise.all([
+    getJob(jobId),
+    getApiRecordingsByJobId(jobId),
+    getPagesByJobId(jobId)
+  ]);
+  if (recordings.length === 0) {
+    sendResponse(event, { har: null, markdown: null, callCount: 0, endpointCount: 0 });
+    return;
+  }
+
+  const titles = new Map(pages.map(page => [page.id, page.metadata?.title]));
+  const titled = recordings.map(recording => ({ ...recording, title: titles.get(recording.pageId) || recording.url }));
+  const har = buildHar(titled, { version: chrome.runtime.getManifest().version });
+  const endpoints = summarizeApiEndpoints(titled);
+  const markdown = formatApiEndpointsMarkdown(endpoints, { title: job?.baseUrl || jobId, pageCount: recordings.length });
+  sendResponse(event, {
+    har: JSON.stringify(har, null, 2),
+    markdown,
+    callCount: har.log.entries.length,
+    endpointCount: endpoints.length
+  });
+}
+
+/**
+ * Group a job's pages into near-duplicate clusters for review
+ * Pages saved before fingerprints existed get one computed from their content
+ */
+async function handleGetNearDuplicates(event, data) {
+  const { jobId, threshold } = data;
+  const job = await getJob(jobId);
+  const similarity = threshold || job?.nearDuplicateThreshold || DEFAULT_NEAR_DUPLICATE_THRESHOLD;
+
+  const pages = (await getPagesByJobId(jobId))
+    .filter(page => page.status === 'success')
+    .map(page => ({
+      id: page.id,
+      url: page.url,
+      contentLength: page.contentLength,
+      extractedAt: page.extractedAt,
+      similarityHash: page.similarityHash || computeSimilarityHash(page.content)
+    }));
+
+  const groups = groupNearDuplicates(pages, similarity).map(group =>
+    group.map(({ page, similarity: pageSimilarity }) => ({
+      id: page.id,
+      url: page.url,
+      contentLength: page.contentLength,
+      similarity: pageSimilarity
+    }))
+  );
+  sendResponse(event, { groups, threshold: similarity });
+}
+
+/**
+ * Merge pages of a job into one page (their URLs become its alternate URLs)
+ */
+async function handleMergePages(event, data) {
+  const { keepPageId, pageIds = [] } = data;
+  if (!keepPageId || pageIds.length === 0) {
+    throw new Error('A page to keep and pages to merge are required');
+  }
+  const page = await mergePages(keepPageId, pageIds);
+  sendResponse(event, { status: 'merged', alternateUrls: page.alternateUrls });
+}
+
+/**
+ * Strip lines repeated across most pages of a job from their content and markdown
+ * Always starts from the original text, so running it again with another share does not compound.
+ */
+async function handleRemoveBoilerplate(event, data) {
+  const { jobId } = data;
+  const minShare = normalizeBoilerplateShare(data.minShare);
+  // PDFs have no site template, and their [Page N] markers would count as repeated lines
+  const pages = (await getPagesByJobId(jobId)).filter(page => page.status === 'success' && page.contentType !== 'pdf');
+  const originals = pages.map(page => ({
+    id: page.id,
+    content: page.boilerplateOriginal ? page.boilerplateOriginal.content : page.content,
+    markdown: page.boilerplateOriginal ? page.boilerplateOriginal.markdown : page.markdown
+  }));
+
+  const result = removeBoilerplate(originals, { minShare, minPages: MIN_BOILERPLATE_PAGES });
+  let removedChars = 0;
+  let pageCount = 0;
+
+  for (const [index, stripped] of result.pages.entries()) {
+    const page = pages[index];
+    const original = originals[index];
+    const changed = stripped.content !== original.content || stripped.markdown !== (original.markdown || null);
+
+    if (changed) {
+      await updatePage(page.id, {
+        content: stripped.content,
+        contentLength: stripped.content.length,
+        markdown: stripped.markdown,
+        boilerplateOriginal: { content: original.content, markdown: original.markdown || null },
+        boilerplateRemovedChars: stripped.removedChars
+      });
+      removedChars += stripped.removedChars;
+      pageCount++;
+    } else if (page.boilerplateOriginal) {
+      await updatePage(page.id, restoredFields(page));
+    }
+  }
+
+  const boilerplate = {
+    minShare,
+    lineCount: result.lineCount.content + result.lineCount.markdown,
+    pageCount,
+    removedChars,
+    removedAt: Date.now()
+  };
+  await updateJob(jobId, { boilerplate });
+  console.log(`[ServiceWorker] 🧹 Removed ${boilerplate.lineCount} boilerplate lines from ${pageCount} pages of job ${jobId}`);
+  sendResponse(event, { boilerplate });
+}
+
+/**
+ * Put back the content and markdown a boilerplate pass removed
+ */
+async function handleRestoreBoilerplate(event, data) {
+  const { jobId } = data;
+  let pageCount = 0;
+  for (const page of await getPagesByJobId(jobId)) {
+    if (page.boilerplateOriginal) {
+      await updatePage(page.id, restoredFields(page));
+      pageCount++;
+    }
+  }
+  await updateJob(jobId, { boilerplate: null });
+  sendResponse(event, { status: 'restored', pageCount });
+}
+
+/**
+ * Page updates that undo a boilerplate pass
+ */
+function restoredFields(page) {
+  const { content, markdown } = page.boilerplateOriginal;
+  return {
+    content,
+    contentLength: content.length,
+    markdown,
+    boilerplateOriginal: null,
+    boilerplateRemovedChars: null
+  };
+}
+
 /**
  * Search pages
  */
@@ -313,22 +661,16 @@ async function handleSearch(event, data) {
 }
 
 /**
- * Get current crawl status
+ * Get running and queued crawls
  */
 async function handleGetCrawlStatus(event) {
-  const activeCrawl = getActiveCrawl();
-  if (activeCrawl) {
-    sendResponse(event, {
-      active: true,
-      jobId: activeCrawl.jobId,
-      pagesProcessed: activeCrawl.completed.size,
-      pagesFound: activeCrawl.queue.length + activeCrawl.inProgress.size + activeCrawl.completed.size,
-      queueSize: activeCrawl.queue.length,
-      inProgress: Array.from(activeCrawl.inProgress)
-    });
-  } else {
-    sendResponse(event, { active: false });
-  }
+  const crawls = getCrawlStatuses();
+  sendResponse(event, {
+    active: crawls.length > 0,
+    crawls,
+    maxConcurrentCrawls: MAX_CONCURRENT_CRAWLS,
+    workerBudget: getWorkerBudgetStatus()
+  });
 }
 
 /**
@@ -385,13 +727,364 @@ async function broadcastProgress(jobId, progress) {
   });
 }
 
+// ================ SCHEDULED CRAWL HANDLERS ================
+
+// Alarm names are the prefix followed by the job ID
+// Scheduled runs go through the job scheduler like any other crawl; a run waiting for a
+// free slot stays queued there. job.lastScheduledRun.status is 'running' until it finishes.
+// A run that fires while the job itself is running or queued is kept pending
+// (lastScheduledRun.pendingSince) and started once that crawl finishes.
+const SCHEDULE_ALARM_PREFIX = 'scheduled-crawl:';
+
+/**
+ * Set or clear a job's recurring schedule
+ * @param {Object} data
+ * @param {string} data.jobId - Job to schedule
+ * @param {Object|null} data.schedule - See lib/schedule.js, or null to remove the schedule
+ */
+async function handleSetJobSchedule(event, data = {}) {
+  const { jobId, schedule } = data;
+
+  if (!jobId) {
+    throw new Error('Job ID is required');
+  }
+
+  const job = await getJob(jobId);
+  if (!job) {
+    throw new Error(`Job not found: ${jobId}`);
+  }
+
+  const normalized = schedule ? normalizeSchedule(schedule) : null;
+  const nextRunAt = await armScheduleAlarm(jobId, normalized);
+  await updateJob(jobId, { schedule: normalized, nextRunAt });
+
+  console.log(`[Scheduler] ${job.baseUrl}: ${describeSchedule(normalized)}`, nextRunAt ? `(next run ${new Date(nextRunAt).toISOString()})` : '');
+  sendResponse(event, { status: normalized ? 'scheduled' : 'unscheduled', schedule: normalized, nextRunAt });
+}
+
+/**
+ * (Re)create the alarm for a job's next run
+ * @param {string} jobId - Job ID
+ * @param {Object|null} schedule - Normalized schedule (null clears the alarm)
+ * @returns {Promise<number|null>} Next run time
+ */
+async function armScheduleAlarm(jobId, schedule) {
+  const alarmName = SCHEDULE_ALARM_PREFIX + jobId;
+  await chrome.alarms.clear(alarmName);
+
+  if (!schedule) return null;
+
+  const nextRunAt = computeNextRun(schedule);
+  if (nextRunAt) {
+    await chrome.alarms.create(alarmName, { when: nextRunAt });
+  }
+  return nextRunAt;
+}
+
+/**
+ * Remove a job's alarm (used when the job is deleted)
+ */
+async function clearJobSchedule(jobId) {
+  await chrome.alarms.clear(SCHEDULE_ALARM_PREFIX + jobId);
+}
+
+/**
+ * Make sure every scheduled job has an alarm
+ * Alarms are not guaranteed to survive a browser restart; runs missed while the
+ * browser was closed are started (or queued) once.
+ */
+async function syncScheduleAlarms() {
+  try {
+    const jobs = await getAllJobs();
+
+    for (const job of jobs) {
+      // A scheduled run cut short by a service worker restart (queued runs were restored)
+      if (job.lastScheduledRun?.status === 'running' && !getCrawlState(job.id)) {
+        await updateJob(job.id, {
+          lastScheduledRun: { ...job.lastScheduledRun, status: 'interrupted', finishedAt: Date.now() }
+        });
+      }
+
+      // A run left pending by the crawl it was waiting for
+      if (job.lastScheduledRun?.pendingSince && !getCrawlState(job.id)) {
+        console.log(`[Scheduler] Starting pending run for ${job.baseUrl}`);
+        await runScheduledUpdate(job.id);
+      }
+
+      if (!job.schedule) continue;
+
+      const existing = await chrome.alarms.get(SCHEDULE_ALARM_PREFIX + job.id);
+      if (existing) continue;
+
+      if (job.nextRunAt && job.nextRunAt <= Date.now()) {
+        console.log(`[Scheduler] Missed run for ${job.baseUrl} - running it now`);
+        await runScheduledUpdate(job.id);
+      }
+
+      const nextRunAt = await armScheduleAlarm(job.id, job.schedule);
+      await updateJob(job.id, { nextRunAt });
+    }
+  } catch (error) {
+    console.error('[Scheduler] Failed to sync schedule alarms:', error);
+    logError('service-worker', error, { action: 'syncScheduleAlarms' });
+  }
+}
+
+/**
+ * Refresh a scheduled job in update mode (queued by the job scheduler if no slot is free)
+ * When the job is already being crawled or waiting to be, the run is kept pending until
+ * that crawl finishes (one pending run at most).
+ */
+async function runScheduledUpdate(jobId) {
+  const job = await getJob(jobId);
+  if (!job) return;
+
+  const state = getCrawlState(jobId);
+  if (state) {
+    await markScheduledRunPending(job, state);
+    return;
+  }
+
+  const startedAt = Date.now();
+  await updateJob(jobId, { lastScheduledRun: { startedAt, status: 'running' } });
+
+  try {
+    // Update mode reuses the job record and the settings saved on it
+    const { status, position } = await submitCrawl({ type: 'update', jobId });
+    console.log(`[Scheduler] Scheduled run for ${job.baseUrl} ${status}`, position ? `(position ${position})` : '');
+  } catch (error) {
+    await failScheduledRun(jobId, error);
+  }
+}
+
+/**
+ * Keep a scheduled run for after the job's current crawl
+ * A scheduled run in progress keeps its record and gets pendingSince added, so its
+ * outcome is still reported when it finishes.
+ * @param {Object} job - Job record
+ * @param {'running'|'queued'} state - What the job is doing now
+ */
+async function markScheduledRunPending(job, state) {
+  const lastRun = job.lastScheduledRun;
+  if (lastRun?.pendingSince) {
+    console.log(`[Scheduler] Scheduled run for ${job.baseUrl} is already pending`);
+    return;
+  }
+
+  const now = Date.now();
+  await updateJob(job.id, {
+    lastScheduledRun: lastRun?.status === 'running'
+      ? { ...lastRun, pendingSince: now }
+      : { startedAt: now, status: 'pending', pendingSince: now }
+  });
+  console.log(`[Scheduler] Scheduled run for ${job.baseUrl} pending (job already ${state})`);
+}
+
+/**
+ * Drop a pending scheduled run (the user cancelled the crawl it was waiting for)
+ */
+async function cancelPendingScheduledRun(jobId) {
+  const job = await getJob(jobId);
+  const lastRun = job?.lastScheduledRun;
+  if (!lastRun?.pendingSince) return;
+
+  const { pendingSince, ...rest } = lastRun;
+  await updateJob(jobId, {
+    lastScheduledRun: rest.status === 'pending'
+      ? { ...rest, status: 'cancelled', finishedAt: Date.now() }
+      : rest
+  });
+}
+
+/**
+ * Record a scheduled run that could not start
+ */
+async function failScheduledRun(jobId, error) {
+  console.error(`[Scheduler] Scheduled run for ${jobId} failed to start:`, error);
+  logError('service-worker', error, { action: 'runScheduledUpdate', jobId });
+
+  const job = await getJob(jobId);
+  if (!job) return;
+
+  await updateJob(jobId, {
+    lastScheduledRun: {
+      startedAt: job.lastScheduledRun?.startedAt || Date.now(),
+      finishedAt: Date.now(),
+      status: 'failed',
+      error: error.message
+    }
+  });
+  await notifyScheduledRun(job, `Could not start: ${error.message}`);
+}
+
+/**
+ * A queued crawl failed to start when its turn came
+ */
+async function handleQueuedCrawlFailed(jobId, error) {
+  logError('service-worker', error, { action: 'startQueuedCrawl', jobId });
+  try {
+    const job = await getJob(jobId);
+    if (job?.lastScheduledRun?.status === 'running') {
+      await failScheduledRun(jobId, error);
+    }
+  } catch (recordError) {
+    console.error('[Scheduler] Failed to record queued crawl failure:', recordError);
+  }
+}
+
+/**
+ * Record the outcome of a scheduled run and send a summary notification
+ * Does nothing for crawls that were not started by a schedule.
+ * @param {string} jobId - Job ID
+ * @param {boolean} [cancelledWhileQueued] - The run was cancelled before it started
+ */
+async function finishScheduledRun(jobId, cancelledWhileQueued = false) {
+  const job = await getJob(jobId);
+  if (job?.lastScheduledRun?.status !== 'running') return;
+
+  await updateJob(jobId, {
+    lastScheduledRun: {
+      ...job.lastScheduledRun,
+      status: cancelledWhileQueued ? 'cancelled' : job.status,
+      finishedAt: Date.now()
+    }
+  });
+
+  const summary = job.lastUpdate;
+  let message;
+  if (cancelledWhileQueued) {
+    message = 'Cancelled before it started.';
+  } else if (job.status === 'interrupted') {
+    message = 'Capture was interrupted.';
+  } else if (summary) {
+    message = `${summary.added} added, ${summary.changed} changed, ${summary.removed} removed, ${summary.unchanged} unchanged`;
+    if (summary.failed > 0) {
+      message += `, ${summary.failed} failed`;
+    }
+  } else {
+    message = `${job.pagesProcessed} pages captured`;
+  }
+
+  await notifyScheduledRun(job, message);
+}
+
+async function notifyScheduledRun(job, message) {
+  try {
+    await chrome.notifications.create(`scheduled-crawl-${job.id}-${Date.now()}`, {
+      type: 'basic',
+      iconUrl: 'icons/icon128.png',
+      title: `Scheduled capture: ${job.baseUrl}`,
+      message,
+      priority: 1
+    });
+  } catch (error) {
+    console.error('[Scheduler] Failed to show notification:', error);
+  }
+}
+
+// Alarm fired: arm the next occurrence, then start the run
+chrome.alarms.onAlarm.addListener(async (alarm) => {
+  if (!alarm.name.startsWith(SCHEDULE_ALARM_PREFIX)) return;
+
+  const jobId = alarm.name.slice(SCHEDULE_ALARM_PREFIX.length);
+  try {
+    const job = await getJob(jobId);
+    if (!job?.schedule) return;
+
+    const nextRunAt = await armScheduleAlarm(jobId, job.schedule);
+    await updateJob(jobId, { nextRunAt });
+
+    await runScheduledUpdate(jobId);
+  } catch (error) {
+    console.error('[Scheduler] Failed to handle alarm:', alarm.name, error);
+    logError('service-worker', error, { action: 'onAlarm', jobId });
+  }
+});
+
+// A crawl finished: report it if a schedule started it, then start a run left pending
+onCrawlComplete(async (jobId) => {
+  try {
+    await finishScheduledRun(jobId);
+
+    const job = await getJob(jobId);
+    if (job?.lastScheduledRun?.pendingSince) {
+      await runScheduledUpdate(jobId);
+    }
+  } catch (error) {
+    console.error('[Scheduler] Failed to process finished crawl:', error);
+    logError('service-worker', error, { action: 'onCrawlComplete', jobId });
+  }
+});
+
+// ================ EXTRACTION PROFILE HANDLERS ================
+
+/**
+ * Get saved extraction profiles, in match order
+ */
+async function handleGetExtractionProfiles(event) {
+  const profiles = await getExtractionProfiles();
+  sendResponse(event, { profiles });
+}
+
+/**
+ * Create or update an extraction profile
+ */
+async function handleSaveExtractionProfile(event, data) {
+  const profile = await saveExtractionProfile(data?.profile);
+  sendResponse(event, { profile, profiles: await getExtractionProfiles() });
+}
+
+/**
+ * Delete an extraction profile
+ */
+async function handleDeleteExtractionProfile(event, data) {
+  if (!data?.id) {
+    throw new Error('Profile ID is required');
+  }
+  const profiles = await deleteExtractionProfile(data.id);
+  sendResponse(event, { profiles });
+}
+
+/**
+ * Move an extraction profile up (-1) or down (1) - the first matching profile is used
+ */
+async function handleMoveExtractionProfile(event, data) {
+  const { id, offset } = data || {};
+  if (!id || ![-1, 1].includes(offset)) {
+    throw new Error('Profile ID and an offset of -1 or 1 are required');
+  }
+  const profiles = await moveExtractionProfile(id, offset);
+  sendResponse(event, { profiles });
+}
+
+/**
+ * Import extraction profiles from an exported JSON file
+ * @param {Object} data
+ * @param {string} data.json - File contents
+ */
+async function handleImportExtractionProfiles(event, data) {
+  if (typeof data?.json !== 'string') {
+    throw new Error('Profile file contents are required');
+  }
+  const { profiles, added, replaced } = await importExtractionProfiles(data.json);
+  sendResponse(event, { profiles, added, replaced });
+}
+
+/**
+ * Export all extraction profiles as JSON
+ */
+async function handleExportExtractionProfiles(event) {
+  const profiles = await getExtractionProfiles();
+  sendResponse(event, { json: exportExtractionProfiles(profiles), count: profiles.length });
+}
+
 // ================ ERROR LOG HANDLERS ================
 
 /**
  * Get all error logs
  */
 async function handleGetErrorLogs(event) {
-  const logs = await getAllErrorLogs();
+  const logs = await getErrorLogs();
   sendResponse(event, { logs });
 }
 
@@ -482,13 +1175,21 @@ async function handleStartContentPicker(event) {
       files: ['lib/vendor/turndown.js', 'lib/vendor/turndown-plugin-gfm.js']
     });
 
+    // Hand the page's extraction profile to the picker (its removal selectors and content root)
+    const profile = findExtractionProfile(await getExtractionProfiles(), url);
+    await chrome.scripting.executeScript({
+      target: { tabId: activeTab.id },
+      func: (profile) => { window.__contentPickerProfile = profile; },
+      args: [profile]
+    });
+
     // Then inject the content picker
     await chrome.scripting.executeScript({
       target: { tabId: activeTab.id },
       files: ['lib/content-picker.js']
     });
 
-    sendResponse(event, { status: 'started', tabId: activeTab.id });
+    sendResponse(event, { status: 'started', tabId: activeTab.id, profile: profile?.name || null });
 
   } catch (error) {
     console.error('[ServiceWorker] Failed to start content picker:', error);
@@ -500,7 +1201,7 @@ async function handleStartContentPicker(event) {
  * Save picked content as a job with single page
  */
 async function handleSavePickedContent(event, data) {
-  const { url, title, html, markdown, text } = data;
+  const { url, title, html, markdown, text, profile } = data;
 
   try {
     if (!url || !text) {
@@ -508,7 +1209,9 @@ async function handleSavePickedContent(event, data) {
     }
 
     // Normalize URL for consistency
-    const canonicalUrl = canonicalizeUrl(url);
+    // The query is kept (minus tracking parameters): the content came from this exact page,
+    // so a crawl that ignores the query must not find it in the page cache
+    const canonicalUrl = canonicalizeUrl(url, { keepQueryParams: ['*'] });
 
     // Create a new job for the picked content
     const job = await createJob(url, canonicalUrl);
@@ -519,7 +1222,8 @@ async function handleSavePickedContent(event, data) {
       isArticle: true,
       title: title,
       textLength: text.length,
-      source: 'content-picker'
+      source: 'content-picker',
+      profile: profile || null
     };
 
     // Save the page
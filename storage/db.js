@@ -3,10 +3,15 @@
  */
 
 const DB_NAME = 'DocumentationCrawlerDB';
-const DB_VERSION = 6;
+const DB_VERSION = 11;
 const JOBS_STORE = 'jobs';
 const PAGES_STORE = 'pages';
 const ERROR_LOGS_STORE = 'errorLogs';
+const FRONTIER_STORE = 'frontier';
+const SECRETS_STORE = 'secrets';
+const SCREENSHOTS_STORE = 'screenshots';
+const ARCHIVES_STORE = 'archives';
+const API_RECORDINGS_STORE = 'apiRecordings';
 
 // Error log retention period (30 days in milliseconds)
 const ERROR_LOG_RETENTION_MS = 30 * 24 * 60 * 60 * 1000;
@@ -263,6 +268,74 @@ export function initDB() {
         console.log(`[DB] Migration v${oldVersion} → v6 complete`);
         console.log(`[DB] New feature: Error logging for diagnostic reports`);
       }
+
+      // Version 7: Add crawl frontier store so resumes survive service worker termination
+      if (oldVersion < 7) {
+        console.log(`[DB] Migration v${oldVersion} → v7: Adding frontier store`);
+
+        if (!db.objectStoreNames.contains(FRONTIER_STORE)) {
+          db.createObjectStore(FRONTIER_STORE, { keyPath: 'jobId' });
+          console.log(`[DB] Created frontier store (one record per job)`);
+        }
+
+        console.log(`[DB] Migration v${oldVersion} → v7 complete`);
+        console.log(`[DB] New feature: Persistent crawl frontier for exact resume`);
+      }
+
+      // Version 8: Add secrets store for the key that encrypts crawl authentication
+      if (oldVersion < 8) {
+        console.log(`[DB] Migration v${oldVersion} → v8: Adding secrets store`);
+
+        if (!db.objectStoreNames.contains(SECRETS_STORE)) {
+          db.createObjectStore(SECRETS_STORE, { keyPath: 'name' });
+          console.log(`[DB] Created secrets store (one record per key)`);
+        }
+
+        console.log(`[DB] Migration v${oldVersion} → v8 complete`);
+        console.log(`[DB] New feature: Encrypted per-job crawl authentication`);
+      }
+
+      // Version 9: Add screenshots store, kept apart so page reads do not load the images
+      if (oldVersion < 9) {
+        console.log(`[DB] Migration v${oldVersion} → v9: Adding screenshots store`);
+
+        if (!db.objectStoreNames.contains(SCREENSHOTS_STORE)) {
+          const screenshotsStore = db.createObjectStore(SCREENSHOTS_STORE, { keyPath: 'pageId' });
+          screenshotsStore.createIndex('jobId', 'jobId', { unique: false });
+          console.log(`[DB] Created screenshots store (one record per page) with jobId index`);
+        }
+
+        console.log(`[DB] Migration v${oldVersion} → v9 complete`);
+        console.log(`[DB] New feature: Full-page screenshots of captured pages`);
+      }
+
+      // Version 10: Add archives store for MHTML snapshots, kept apart like the screenshots
+      if (oldVersion < 10) {
+        console.log(`[DB] Migration v${oldVersion} → v10: Adding archives store`);
+
+        if (!db.objectStoreNames.contains(ARCHIVES_STORE)) {
+          const archivesStore = db.createObjectStore(ARCHIVES_STORE, { keyPath: 'pageId' });
+          archivesStore.createIndex('jobId', 'jobId', { unique: false });
+          console.log(`[DB] Created archives store (one record per page) with jobId index`);
+        }
+
+        console.log(`[DB] Migration v${oldVersion} → v10 complete`);
+        console.log(`[DB] New feature: MHTML archive snapshots of captured pages`);
+      }
+
+      // Version 11: Add API recordings store for the XHR/fetch calls of captured pages
+      if (oldVersion < 11) {
+        console.log(`[DB] Migration v${oldVersion} → v11: Adding API recordings store`);
+
+        if (!db.objectStoreNames.contains(API_RECORDINGS_STORE)) {
+          const recordingsStore = db.createObjectStore(API_RECORDINGS_STORE, { keyPath: 'pageId' });
+          recordingsStore.createIndex('jobId', 'jobId', { unique: false });
+          console.log(`[DB] Created API recordings store (one record per page) with jobId index`);
+        }
+
+        console.log(`[DB] Migration v${oldVersion} → v11 complete`);
+        console.log(`[DB] New feature: API traffic recording with HAR export`);
+      }
     };
   });
 
@@ -395,8 +468,12 @@ export async function updateJob(jobId, updates) {
 export async function deleteJob(jobId) {
   const db = await initDB();
 
-  // Delete all pages for this job
+  // Delete all pages, their screenshots, archive snapshots and API recordings, and the saved frontier for this job
   await deletePagesByJobId(jobId);
+  await deleteScreenshotsByJobId(jobId);
+  await deleteArchivesByJobId(jobId);
+  await deleteApiRecordingsByJobId(jobId);
+  await deleteFrontier(jobId);
 
   return new Promise((resolve, reject) => {
     const transaction = db.transaction([JOBS_STORE], 'readwrite');
@@ -408,13 +485,111 @@ export async function deleteJob(jobId) {
   });
 }
 
+// ================ FRONTIER OPERATIONS ================
+
+/**
+ * Save (replace) the crawl frontier snapshot for a job
+ * @param {string} jobId - Job ID
+ * @param {Object} frontier - Snapshot from CrawlJob.getFrontierSnapshot()
+ * @param {string[]} frontier.queue - URLs still to crawl (in-progress URLs first)
+ * @param {Array<[string, number]>} frontier.urlDepths - url → depth entries
+ * @param {string[]} frontier.completed - Canonical URLs already processed
+ * @param {Object<string, string[]>} frontier.completedPerBaseUrl - Completed URLs per canonical base URL
+ * @param {Array<[string, string]>} frontier.failed - url → error details entries
+ */
+export async function saveFrontier(jobId, frontier) {
+  const db = await initDB();
+
+  const record = {
+    ...frontier,
+    jobId,
+    savedAt: Date.now()
+  };
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([FRONTIER_STORE], 'readwrite');
+    const store = transaction.objectStore(FRONTIER_STORE);
+    const request = store.put(record);
+
+    request.onsuccess = () => resolve(record);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Get the saved crawl frontier for a job
+ * @returns {Promise<Object|undefined>} The frontier record, or undefined if none was saved
+ */
+export async function getFrontier(jobId) {
+  const db = await initDB();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([FRONTIER_STORE], 'readonly');
+    const store = transaction.objectStore(FRONTIER_STORE);
+    const request = store.get(jobId);
+
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Delete the saved crawl frontier for a job
+ */
+export async function deleteFrontier(jobId) {
+  const db = await initDB();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([FRONTIER_STORE], 'readwrite');
+    const store = transaction.objectStore(FRONTIER_STORE);
+    const request = store.delete(jobId);
+
+    request.onsuccess = () => resolve(true);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+// ================ SECRETS OPERATIONS ================
+
+/**
+ * Save a secret (e.g. a non-extractable CryptoKey, stored as is by IndexedDB)
+ * @param {string} name - Secret name
+ * @param {*} value - Any structured-cloneable value
+ */
+export async function saveSecret(name, value) {
+  const db = await initDB();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([SECRETS_STORE], 'readwrite');
+    const store = transaction.objectStore(SECRETS_STORE);
+    const request = store.put({ name, value, createdAt: Date.now() });
+
+    request.onsuccess = () => resolve(true);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Get a saved secret
+ * @param {string} name - Secret name
+ * @returns {Promise<*>} The value, or undefined if none was saved
+ */
+export async function getSecret(name) {
+  const db = await initDB();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([SECRETS_STORE], 'readonly');
+    const store = transaction.objectStore(SECRETS_STORE);
+    const request = store.get(name);
+
+    request.onsuccess = () => resolve(request.result?.value);
+    request.onerror = () => reject(request.error);
+  });
+}
+
 // ================ PAGES OPERATIONS ================
 
 /**
  * Save a page
  * Note: Always creates a new page entry for each job, even if the URL was crawled before
  */
-export async function savePage(jobId, url, canonicalUrl, content, status = 'success', html = null, contentHash = null, metadata = null, markdown = null, markdownMeta = null) {
+export async function savePage(jobId, url, canonicalUrl, content, status = 'success', html = null, contentHash = null, metadata = null, markdown = null, markdownMeta = null, similarityHash = null, contentType = 'html') {
   const db = await initDB();
 
   // Always create a new page entry for this job
@@ -431,10 +606,12 @@ export async function savePage(jobId, url, canonicalUrl, content, status = 'succ
     conversionWarnings: [],
     html: html, // Store HTML for future cache hits (enables skipping tab rendering)
     contentHash: contentHash, // Hash of content for deduplication (v3)
+    similarityHash: similarityHash, // SimHash fingerprint for near-duplicate detection (see lib/similarity.js)
     alternateUrls: [url], // Array of URLs serving the same content (v3), starts with primary URL
     metadata: metadata || null, // Metadata extracted from page head (v4)
     markdown: markdown || null, // Markdown-converted content (v5)
-    markdownMeta: markdownMeta || null // Markdown quality metadata with confidence score (v5)
+    markdownMeta: markdownMeta || null, // Markdown quality metadata with confidence score (v5)
+    contentType: contentType || 'html' // 'pdf' for PDF files read by lib/pdf-documents.js
   };
 
   return new Promise((resolve, reject) => {
@@ -447,6 +624,70 @@ export async function savePage(jobId, url, canonicalUrl, content, status = 'succ
   });
 }
 
+/**
+ * Get a page by ID
+ */
+export async function getPage(pageId) {
+  const db = await initDB();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([PAGES_STORE], 'readonly');
+    const store = transaction.objectStore(PAGES_STORE);
+    const request = store.get(pageId);
+
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Update fields of an existing page (used when an update crawl refreshes a job in place)
+ * @param {string} pageId - Page ID
+ * @param {Object} updates - Fields to merge into the page
+ * @returns {Promise<Object>} The updated page
+ */
+export async function updatePage(pageId, updates) {
+  const db = await initDB();
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([PAGES_STORE], 'readwrite');
+    const store = transaction.objectStore(PAGES_STORE);
+    const getRequest = store.get(pageId);
+
+    getRequest.onsuccess = () => {
+      const page = getRequest.result;
+      if (!page) {
+        reject(new Error('Page not found'));
+        return;
+      }
+
+      const updatedPage = { ...page, ...updates };
+      const putRequest = store.put(updatedPage);
+      putRequest.onsuccess = () => resolve(updatedPage);
+      putRequest.onerror = () => reject(putRequest.error);
+    };
+
+    getRequest.onerror = () => reject(getRequest.error);
+  });
+}
+
+/**
+ * Delete a single page with its screenshot, archive snapshot and API recording
+ * @param {string} pageId - Page ID
+ */
+export async function deletePage(pageId) {
+  const db = await initDB();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([PAGES_STORE, SCREENSHOTS_STORE, ARCHIVES_STORE, API_RECORDINGS_STORE], 'readwrite');
+    transaction.objectStore(PAGES_STORE).delete(pageId);
+    transaction.objectStore(SCREENSHOTS_STORE).delete(pageId);
+    transaction.objectStore(ARCHIVES_STORE).delete(pageId);
+    transaction.objectStore(API_RECORDINGS_STORE).delete(pageId);
+
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+  });
+}
+
 /**
  * Get a page by canonical URL
  */
@@ -463,6 +704,26 @@ export async function getPageByCanonicalUrl(canonicalUrl) {
   });
 }
 
+/**
+ * Get a job's page by canonical URL
+ * Unlike getPageByCanonicalUrl (the cross-job cache lookup), only pages of this job match
+ * @param {string} jobId - Job ID
+ * @param {string} canonicalUrl - Canonical URL
+ * @returns {Promise<Object|undefined>}
+ */
+export async function getJobPageByCanonicalUrl(jobId, canonicalUrl) {
+  const db = await initDB();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([PAGES_STORE], 'readonly');
+    const store = transaction.objectStore(PAGES_STORE);
+    const index = store.index('canonicalUrl');
+    const request = index.getAll(canonicalUrl);
+
+    request.onsuccess = () => resolve(request.result.find(page => page.jobId === jobId));
+    request.onerror = () => reject(request.error);
+  });
+}
+
 /**
  * Get a page by content hash within a specific job
  * Used for content-based deduplication
@@ -519,6 +780,55 @@ export async function updatePageAlternateUrls(pageId, newUrl) {
   });
 }
 
+/**
+ * Merge pages into one: their URLs become alternate URLs of the kept page, then they are deleted
+ * (with their screenshots, archive snapshots and API recordings). Used to merge near-duplicate pages after review
+ * @param {string} keepPageId - Page that stays
+ * @param {string[]} pageIds - Pages merged into it
+ * @returns {Promise<Object>} The kept page
+ */
+export async function mergePages(keepPageId, pageIds) {
+  const db = await initDB();
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([PAGES_STORE, SCREENSHOTS_STORE, ARCHIVES_STORE, API_RECORDINGS_STORE], 'readwrite');
+    const store = transaction.objectStore(PAGES_STORE);
+    let keptPage = null;
+
+    const getRequest = store.get(keepPageId);
+    getRequest.onsuccess = () => {
+      keptPage = getRequest.result;
+      if (!keptPage) {
+        transaction.abort();
+        reject(new Error('Page not found'));
+        return;
+      }
+      keptPage.alternateUrls = keptPage.alternateUrls || [keptPage.url];
+
+      pageIds.filter(pageId => pageId !== keepPageId).forEach(pageId => {
+        const mergedRequest = store.get(pageId);
+        mergedRequest.onsuccess = () => {
+          const page = mergedRequest.result;
+          if (!page || page.jobId !== keptPage.jobId) return;
+          for (const url of page.alternateUrls || [page.url]) {
+            if (!keptPage.alternateUrls.includes(url)) {
+              keptPage.alternateUrls.push(url);
+            }
+          }
+          store.put(keptPage);
+          store.delete(pageId);
+          transaction.objectStore(SCREENSHOTS_STORE).delete(pageId);
+          transaction.objectStore(ARCHIVES_STORE).delete(pageId);
+          transaction.objectStore(API_RECORDINGS_STORE).delete(pageId);
+        };
+      });
+    };
+
+    transaction.oncomplete = () => resolve(keptPage);
+    transaction.onerror = () => reject(transaction.error);
+  });
+}
+
 /**
  * Get all pages for a job
  */
@@ -602,6 +912,272 @@ export async function getStorageSize() {
   return null;
 }
 
+// ================ SCREENSHOTS OPERATIONS ================
+
+/**
+ * Save (replace) the screenshot of a page
+ * @param {string} pageId - Page ID
+ * @param {string} jobId - Job the page belongs to
+ * @param {Object} screenshot - Image and its details
+ * @param {Blob} screenshot.blob - WebP or JPEG image
+ * @param {string} screenshot.format - 'webp' or 'jpeg'
+ * @param {number} screenshot.width - Image width in px
+ * @param {number} screenshot.height - Image height in px
+ * @param {number} screenshot.bytes - Image size
+ * @param {boolean} screenshot.clipped - Whether the page was cut at the height limit
+ */
+export async function saveScreenshot(pageId, jobId, screenshot) {
+  const db = await initDB();
+
+  const record = {
+    ...screenshot,
+    pageId,
+    jobId,
+    savedAt: Date.now()
+  };
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([SCREENSHOTS_STORE], 'readwrite');
+    const store = transaction.objectStore(SCREENSHOTS_STORE);
+    const request = store.put(record);
+
+    request.onsuccess = () => resolve(record);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Get the screenshot of a page
+ * @param {string} pageId - Page ID
+ * @returns {Promise<Object|undefined>} The screenshot record, or undefined if the page has none
+ */
+export async function getScreenshot(pageId) {
+  const db = await initDB();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([SCREENSHOTS_STORE], 'readonly');
+    const store = transaction.objectStore(SCREENSHOTS_STORE);
+    const request = store.get(pageId);
+
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Delete all screenshots of a job
+ * @returns {Promise<number>} Number of screenshots deleted
+ */
+export async function deleteScreenshotsByJobId(jobId) {
+  const db = await initDB();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([SCREENSHOTS_STORE], 'readwrite');
+    const index = transaction.objectStore(SCREENSHOTS_STORE).index('jobId');
+    let deletedCount = 0;
+
+    const request = index.openKeyCursor(IDBKeyRange.only(jobId));
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor) return;
+      transaction.objectStore(SCREENSHOTS_STORE).delete(cursor.primaryKey);
+      deletedCount++;
+      cursor.continue();
+    };
+
+    transaction.oncomplete = () => resolve(deletedCount);
+    transaction.onerror = () => reject(transaction.error);
+  });
+}
+
+// ================ ARCHIVES OPERATIONS ================
+
+/**
+ * Save (replace) the archive snapshot of a page
+ * @param {string} pageId - Page ID
+ * @param {string} jobId - Job the page belongs to
+ * @param {Object} archive - Snapshot and its details
+ * @param {Blob} archive.blob - MHTML document
+ * @param {number} archive.bytes - Snapshot size
+ * @param {number} archive.resources - Stylesheets, images, fonts and frames stored with the page
+ * @param {string} archive.capturedAt - When the snapshot was taken (ISO date)
+ */
+export async function saveArchive(pageId, jobId, archive) {
+  const db = await initDB();
+
+  const record = {
+    ...archive,
+    pageId,
+    jobId,
+    savedAt: Date.now()
+  };
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([ARCHIVES_STORE], 'readwrite');
+    const store = transaction.objectStore(ARCHIVES_STORE);
+    const request = store.put(record);
+
+    request.onsuccess = () => resolve(record);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Get the archive snapshot of a page
+ * @param {string} pageId - Page ID
+ * @returns {Promise<Object|undefined>} The archive record, or undefined if the page has none
+ */
+export async function getArchive(pageId) {
+  const db = await initDB();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([ARCHIVES_STORE], 'readonly');
+    const store = transaction.objectStore(ARCHIVES_STORE);
+    const request = store.get(pageId);
+
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Total size of a job's archive snapshots, for its size budget
+ * @param {string} jobId - Job ID
+ * @returns {Promise<number>} Bytes
+ */
+export async function getArchiveBytesByJobId(jobId) {
+  const db = await initDB();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([ARCHIVES_STORE], 'readonly');
+    const index = transaction.objectStore(ARCHIVES_STORE).index('jobId');
+    let totalBytes = 0;
+
+    const request = index.openCursor(IDBKeyRange.only(jobId));
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor) return;
+      totalBytes += cursor.value.bytes || 0;
+      cursor.continue();
+    };
+
+    transaction.oncomplete = () => resolve(totalBytes);
+    transaction.onerror = () => reject(transaction.error);
+  });
+}
+
+/**
+ * Delete all archive snapshots of a job
+ * @returns {Promise<number>} Number of snapshots deleted
+ */
+export async function deleteArchivesByJobId(jobId) {
+  const db = await initDB();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([ARCHIVES_STORE], 'readwrite');
+    const index = transaction.objectStore(ARCHIVES_STORE).index('jobId');
+    let deletedCount = 0;
+
+    const request = index.openKeyCursor(IDBKeyRange.only(jobId));
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor) return;
+      transaction.objectStore(ARCHIVES_STORE).delete(cursor.primaryKey);
+      deletedCount++;
+      cursor.continue();
+    };
+
+    transaction.oncomplete = () => resolve(deletedCount);
+    transaction.onerror = () => reject(transaction.error);
+  });
+}
+
+// ================ API RECORDINGS OPERATIONS ================
+
+/**
+ * Save (replace) the API recording of a page
+ * @param {string} pageId - Page ID
+ * @param {string} jobId - Job the page belongs to
+ * @param {Object} recording - Calls and their details
+ * @param {string} recording.url - Page the calls were made from
+ * @param {string} recording.recordedAt - When the page started loading (ISO date)
+ * @param {Object[]} recording.entries - The calls as HAR 1.2 entries (lib/api-recording.js)
+ * @param {number} recording.skipped - Calls past the per-page limit
+ */
+export async function saveApiRecording(pageId, jobId, recording) {
+  const db = await initDB();
+
+  const record = {
+    ...recording,
+    pageId,
+    jobId,
+    savedAt: Date.now()
+  };
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([API_RECORDINGS_STORE], 'readwrite');
+    const store = transaction.objectStore(API_RECORDINGS_STORE);
+    const request = store.put(record);
+
+    request.onsuccess = () => resolve(record);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Get the API recording of a page
+ * @param {string} pageId - Page ID
+ * @returns {Promise<Object|undefined>} The recording, or undefined if the page has none
+ */
+export async function getApiRecording(pageId) {
+  const db = await initDB();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([API_RECORDINGS_STORE], 'readonly');
+    const store = transaction.objectStore(API_RECORDINGS_STORE);
+    const request = store.get(pageId);
+
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Get all API recordings of a job, for its HAR export
+ * @param {string} jobId - Job ID
+ * @returns {Promise<Object[]>} Recordings in the order their pages were loaded
+ */
+export async function getApiRecordingsByJobId(jobId) {
+  const db = await initDB();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([API_RECORDINGS_STORE], 'readonly');
+    const index = transaction.objectStore(API_RECORDINGS_STORE).index('jobId');
+    const request = index.getAll(jobId);
+
+    request.onsuccess = () => resolve(request.result.sort((a, b) => a.recordedAt.localeCompare(b.recordedAt)));
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Delete all API recordings of a job
+ * @returns {Promise<number>} Number of recordings deleted
+ */
+export async function deleteApiRecordingsByJobId(jobId) {
+  const db = await initDB();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([API_RECORDINGS_STORE], 'readwrite');
+    const index = transaction.objectStore(API_RECORDINGS_STORE).index('jobId');
+    let deletedCount = 0;
+
+    const request = index.openKeyCursor(IDBKeyRange.only(jobId));
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor) return;
+      transaction.objectStore(API_RECORDINGS_STORE).delete(cursor.primaryKey);
+      deletedCount++;
+      cursor.continue();
+    };
+
+    transaction.oncomplete = () => resolve(deletedCount);
+    transaction.onerror = () => reject(transaction.error);
+  });
+}
+
 // ================ ERROR LOGS OPERATIONS ================
 
 /**
@@ -0,0 +1,271 @@
+/**
+ * Tests for API recording
+ *
+ * Covers checking the settings, recording XHR/fetch calls from debugger Network events as
+ * HAR 1.2 entries (filters, limits, bodies, redirects, redacted credentials), building the
+ * job's HAR document and summarizing the endpoints it reached (lib/api-recording.js).
+ *
+ * Run with: node test-api-recording.js
+ */
+
+import {
+  normalizeApiRecordingSettings,
+  ApiRecorder,
+  pathTemplate,
+  summarizeRecording,
+  buildHar,
+  summarizeApiEndpoints,
+  formatApiEndpointsMarkdown,
+  DEFAULT_API_MAX_BODY_BYTES,
+  DEFAULT_API_MAX_CALLS_PER_PAGE,
+  MAX_API_MAX_BODY_BYTES
+} from '../lib/api-recording.js';
+
+let passCount = 0;
+let failCount = 0;
+
+async function test(name, fn) {
+  try {
+    await fn();
+    console.log(`✅ ${name}`);
+    passCount++;
+  } catch (error) {
+    console.log(`❌ ${name}`);
+    console.log(`   Error: ${error.message}`);
+    failCount++;
+  }
+}
+
+function assertEqual(actual, expected, message = '') {
+  if (actual !== expected) {
+    throw new Error(`${message}\n   Expected: ${expected}\n   Actual: ${actual}`);
+  }
+}
+
+function assertThrows(fn, message = '') {
+  try {
+    fn();
+  } catch (error) {
+    return error;
+  }
+  throw new Error(`${message}\n   Expected an error`);
+}
+
+/**
+ * Recorder with fake debugger commands: bodies and post data by request ID
+ */
+function createRecorder(settings, { bodies = {}, postData = {}, redactHeaders = [] } = {}) {
+  return new ApiRecorder(normalizeApiRecordingSettings(settings), {
+    getResponseBody: async (requestId) => {
+      if (!(requestId in bodies)) throw new Error('No resource with given identifier found');
+      return bodies[requestId];
+    },
+    getRequestPostData: async (requestId) => ({ postData: postData[requestId] }),
+    redactHeaders
+  });
+}
+
+/**
+ * Feed the events of one finished call: request, response, end
+ */
+function completeCall(recorder, requestId, { url, method = 'GET', type = 'Fetch', status = 200, mimeType = 'application/json', headers = {}, responseHeaders = {}, postData, hasPostData, encodedDataLength = 100, start = 10 }) {
+  recorder.handleEvent('Network.requestWillBeSent', {
+    requestId,
+    type,
+    wallTime: 1792396800 + start,
+    timestamp: start,
+    request: { url, method, headers, postData, hasPostData }
+  });
+  recorder.handleEvent('Network.responseReceived', {
+    requestId,
+    response: {
+      url, status, statusText: 'OK', mimeType, protocol: 'h2', headers: responseHeaders, remoteIPAddress: '203.0.113.7',
+      timing: { requestTime: start, dnsStart: -1, dnsEnd: -1, connectStart: -1, connectEnd: -1, sslStart: -1, sslEnd: -1, sendStart: 2, sendEnd: 3, receiveHeadersEnd: 40 }
+    }
+  });
+  recorder.handleEvent('Network.loadingFinished', { requestId, timestamp: start + 0.05, encodedDataLength });
+}
+
+console.log('='.repeat(70));
+console.log('API RECORDING TESTS');
+console.log('='.repeat(70) + '\n');
+
+await test('the defaults, the caps and the URL rules of the settings', () => {
+  const defaults = normalizeApiRecordingSettings(true);
+  assertEqual(defaults.maxBodyBytes, DEFAULT_API_MAX_BODY_BYTES);
+  assertEqual(defaults.maxCallsPerPage, DEFAULT_API_MAX_CALLS_PER_PAGE);
+  assertEqual(defaults.urlRules.length, 0, 'every call recorded');
+  assertEqual(normalizeApiRecordingSettings({ maxBodyBytes: 1e9 }).maxBodyBytes, MAX_API_MAX_BODY_BYTES, 'capped');
+  const filtered = normalizeApiRecordingSettings({ urlRules: [{ type: 'include', pattern: '/api/**' }] });
+  assertEqual(filtered.urlRules[0].syntax, 'glob', 'rules stored in their serialized form');
+});
+
+await test('malformed settings are rejected', () => {
+  const size = assertThrows(() => normalizeApiRecordingSettings({ maxBodyBytes: '64KB' }), 'size not a number');
+  assertEqual(size.message, 'apiRecording.maxBodyBytes must be a positive number');
+  const rule = assertThrows(() => normalizeApiRecordingSettings({ urlRules: [{ type: 'keep', pattern: '/api/**' }] }), 'unknown rule type');
+  assertEqual(rule.message, 'apiRecording.urlRules: URL rule 1: type must be "include" or "exclude"');
+  assertThrows(() => normalizeApiRecordingSettings('yes'), 'a string');
+  assertThrows(() => normalizeApiRecordingSettings({ maxCallsPerPage: 0 }), 'zero calls');
+});
+
+await test('only XHR and fetch calls matching the URL rules are recorded, up to the page limit', async () => {
+  const recorder = createRecorder({
+    maxCallsPerPage: 2,
+    urlRules: [{ type: 'exclude', pattern: '**/analytics/**' }]
+  });
+  completeCall(recorder, '1', { url: 'https://docs.example.com/guide/app.js', type: 'Script' });
+  completeCall(recorder, '2', { url: 'https://docs.example.com/analytics/collect', type: 'XHR' });
+  completeCall(recorder, '3', { url: 'https://api.example.com/v1/search?q=auth', type: 'Fetch' });
+  completeCall(recorder, '4', { url: 'https://api.example.com/v1/versions', type: 'XHR' });
+  completeCall(recorder, '5', { url: 'https://api.example.com/v1/feedback', type: 'Fetch' });
+  completeCall(recorder, '6', { url: 'data:application/json,{}', type: 'Fetch' });
+
+  const recording = await recorder.finish();
+  assertEqual(recording.entries.length, 2);
+  assertEqual(recording.entries[0].request.url, 'https://api.example.com/v1/search?q=auth');
+  assertEqual(recording.entries[1]._resourceType, 'xhr');
+  assertEqual(recording.skipped, 1, 'the call past the limit is counted');
+  assertEqual(summarizeRecording(recording).endpoints, 2);
+});
+
+await test('calls become HAR entries with headers, query, post data, timings and a redacted token', async () => {
+  const recorder = createRecorder(true, {
+    bodies: { '1': { body: '{"results":[{"title":"Auth"}]}', base64Encoded: false } },
+    postData: { '1': '{"query":"auth","limit":5}' },
+    redactHeaders: ['x-session']
+  });
+  completeCall(recorder, '1', {
+    url: 'https://api.example.com/v1/search?q=auth&lang=en',
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'Authorization': 'Bearer secret', 'X-Session': 's-123' },
+    responseHeaders: { 'content-type': 'application/json', 'set-cookie': 'session=abc\ntheme=dark', 'link': '<a>\n<b>' },
+    hasPostData: true
+  });
+
+  const [entry] = (await recorder.finish()).entries;
+  assertEqual(entry.startedDateTime, '2026-10-19T08:00:10.000Z');
+  assertEqual(entry.request.method, 'POST');
+  assertEqual(entry.request.httpVersion, 'http/2.0');
+  assertEqual(entry.request.queryString.map(({ name, value }) => `${name}=${value}`).join('&'), 'q=auth&lang=en');
+  assertEqual(entry.request.postData.text, '{"query":"auth","limit":5}', 'post data read when not sent with the event');
+  assertEqual(entry.request.postData.mimeType, 'application/json');
+  const requestHeaders = Object.fromEntries(entry.request.headers.map(({ name, value }) => [name, value]));
+  assertEqual(requestHeaders.Authorization, '[REDACTED]');
+  assertEqual(requestHeaders['X-Session'], '[REDACTED]', 'the crawl\'s auth header');
+  assertEqual(requestHeaders['Content-Type'], 'application/json');
+  assertEqual(entry.response.headers.filter(({ name }) => name === 'link').length, 2, 'repeated headers split');
+  const cookies = entry.response.headers.filter(({ name }) => name === 'set-cookie');
+  assertEqual(cookies.map(({ value }) => value).join(','), '[REDACTED],[REDACTED]', 'each cookie redacted');
+  assertEqual(entry.response.content.text, '{"results":[{"title":"Auth"}]}');
+  assertEqual(entry.serverIPAddress, '203.0.113.7');
+  assertEqual(entry.timings.send, 1);
+  assertEqual(entry.timings.wait, 37);
+  assertEqual(entry.timings.receive, 10);
+  assertEqual(entry.timings.blocked, 2, 'queued until sending started');
+  assertEqual(entry.timings.dns, -1, 'connection reused');
+  assertEqual(entry.time, 50, 'the call took 50 ms');
+});
+
+await test('large bodies are left out, failed calls kept and unfinished calls dropped', async () => {
+  const large = 'x'.repeat(3000);
+  const recorder = createRecorder({ maxBodyBytes: 2048 }, {
+    bodies: {
+      '1': { body: large, base64Encoded: false },
+      '3': { body: Buffer.from('abcd').toString('base64'), base64Encoded: true }
+    }
+  });
+  completeCall(recorder, '1', { url: 'https://api.example.com/v1/pages', encodedDataLength: 900 });
+  completeCall(recorder, '2', { url: 'https://api.example.com/v1/export', encodedDataLength: 50000 });
+  completeCall(recorder, '3', { url: 'https://api.example.com/v1/logo', mimeType: 'image/png' });
+  recorder.handleEvent('Network.requestWillBeSent', { requestId: '4', type: 'XHR', wallTime: 1, timestamp: 1, request: { url: 'https://api.example.com/v1/offline', method: 'GET', headers: {} } });
+  recorder.handleEvent('Network.loadingFailed', { requestId: '4', timestamp: 1.2, errorText: 'net::ERR_CONNECTION_REFUSED' });
+  recorder.handleEvent('Network.requestWillBeSent', { requestId: '5', type: 'XHR', wallTime: 1, timestamp: 1, request: { url: 'https://api.example.com/v1/poll', method: 'GET', headers: {} } });
+
+  const { entries } = await recorder.finish();
+  assertEqual(entries.length, 4, 'the call still waiting is left out');
+  assertEqual(entries[0].response.content.text, undefined, 'decoded body over the limit');
+  assertEqual(entries[0].response.content.size, 3000);
+  assertEqual(entries[0].response.content.comment, 'Body not recorded: larger than the 2 KB limit');
+  assertEqual(entries[1].response.content.comment, 'Body not recorded: larger than the 2 KB limit', 'not even read');
+  assertEqual(entries[2].response.content.encoding, 'base64');
+  assertEqual(entries[2].response.content.size, 4);
+  assertEqual(entries[3].response.status, 0);
+  assertEqual(entries[3]._error, 'net::ERR_CONNECTION_REFUSED');
+});
+
+await test('a redirect ends the first call with its redirect response', async () => {
+  const recorder = createRecorder(true, { bodies: { '7': { body: '[]', base64Encoded: false } } });
+  recorder.handleEvent('Network.requestWillBeSent', {
+    requestId: '7', type: 'Fetch', wallTime: 5, timestamp: 5,
+    request: { url: 'https://api.example.com/v1/docs', method: 'GET', headers: {} }
+  });
+  recorder.handleEvent('Network.requestWillBeSent', {
+    requestId: '7', type: 'Fetch', wallTime: 5.1, timestamp: 5.1,
+    request: { url: 'https://api.example.com/v2/docs', method: 'GET', headers: {} },
+    redirectResponse: { url: 'https://api.example.com/v1/docs', status: 301, statusText: 'Moved', headers: {}, mimeType: '' }
+  });
+  recorder.handleEvent('Network.responseReceived', { requestId: '7', response: { url: 'https://api.example.com/v2/docs', status: 200, headers: {}, mimeType: 'application/json' } });
+  recorder.handleEvent('Network.loadingFinished', { requestId: '7', timestamp: 5.2, encodedDataLength: 2 });
+
+  const { entries } = await recorder.finish();
+  assertEqual(entries.length, 2);
+  assertEqual(entries[0].response.status, 301);
+  assertEqual(entries[0].response.redirectURL, 'https://api.example.com/v2/docs');
+  assertEqual(entries[1].response.status, 200);
+  assertEqual(entries[1].response.content.text, '[]');
+});
+
+await test('path segments that look like values become placeholders', () => {
+  assertEqual(pathTemplate('/v1/users/42/posts'), '/v1/users/{id}/posts');
+  assertEqual(pathTemplate('/items/3f2504e0-4f89-11d3-9a0c-0305e82c3301'), '/items/{uuid}');
+  assertEqual(pathTemplate('/builds/9b2f6c1d0e4a7b8c/log'), '/builds/{hash}/log');
+  assertEqual(pathTemplate('/changelog/2026-10-19'), '/changelog/{date}');
+  assertEqual(pathTemplate('/files/aB3dE5fG7hJ9kL1mN3pQ5r'), '/files/{token}');
+  assertEqual(pathTemplate('/v2/getting-started-guide'), '/v2/getting-started-guide', 'words are kept');
+});
+
+await test('a job\'s recordings make one HAR document and an endpoint summary', async () => {
+  const first = createRecorder(true, { bodies: { '1': { body: '{"error":"not found"}', base64Encoded: false }, '2': { body: '{"id":7,"name":"Ada"}', base64Encoded: false } } });
+  completeCall(first, '1', { url: 'https://api.example.com/v1/users/99', status: 404 });
+  completeCall(first, '2', { url: 'https://api.example.com/v1/users/7?fields=name', start: 11 });
+  const second = createRecorder(true, { postData: {} });
+  completeCall(second, '1', { url: 'https://api.example.com/v1/users/8', start: 20, postData: '{"name":"Lin"}', method: 'POST', headers: { 'content-type': 'application/json' } });
+
+  const recordings = [
+    { url: 'https://docs.example.com/users', title: 'Users', recordedAt: '2026-10-19T08:00:00.000Z', entries: (await first.finish()).entries },
+    { url: 'https://docs.example.com/admin', title: 'Admin', recordedAt: '2026-10-19T08:01:00.000Z', entries: (await second.finish()).entries }
+  ];
+
+  const har = buildHar(recordings, { version: '3.1.0' });
+  assertEqual(har.log.version, '1.2');
+  assertEqual(har.log.creator.name, 'Webscribe');
+  assertEqual(har.log.pages.length, 2);
+  assertEqual(har.log.pages[1].title, 'Admin');
+  assertEqual(har.log.entries.map(entry => entry.pageref).join(','), 'page_1,page_1,page_2');
+
+  const endpoints = summarizeApiEndpoints(recordings);
+  assertEqual(endpoints.length, 2, 'GET and POST on /v1/users/{id}');
+  const [get, post] = endpoints;
+  assertEqual(`${get.method} ${get.path}`, 'GET /v1/users/{id}');
+  assertEqual(get.statusCodes.join(','), '200,404');
+  assertEqual(get.queryParams.join(','), 'fields');
+  assertEqual(get.sampleResponse.status, 200, 'a successful response is preferred');
+  assertEqual(post.sampleRequest.text, '{\n  "name": "Lin"\n}', 'JSON pretty-printed');
+
+  const markdown = formatApiEndpointsMarkdown(endpoints, { title: 'docs.example.com', pageCount: 2 });
+  assertEqual(markdown.startsWith('# API endpoints: docs.example.com\n\n2 endpoints from 3 calls recorded on 2 pages.'), true);
+  assertEqual(markdown.includes('| GET | `https://api.example.com/v1/users/{id}` | 200, 404 | 2 |'), true, 'endpoint table');
+  assertEqual(markdown.includes('Sample response (200):\n\n```json\n{\n  "id": 7,'), true, 'sample payload');
+});
+
+console.log('\n' + '='.repeat(70));
+console.log(`\n✅ Passed: ${passCount}`);
+console.log(`❌ Failed: ${failCount}`);
+console.log(`📊 Total:  ${passCount + failCount}`);
+
+if (failCount === 0) {
+  console.log('\n🎉 All tests passed!');
+} else {
+  process.exit(1);
+}
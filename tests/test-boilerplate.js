@@ -0,0 +1,130 @@
+/**
+ * Tests for cross-page boilerplate removal
+ *
+ * Covers finding lines repeated across a job's pages, stripping them
+ * from content and markdown, and the share threshold.
+ *
+ * Run with: node test-boilerplate.js
+ */
+
+import {
+  findBoilerplateLines,
+  stripBoilerplateLines,
+  removeBoilerplate,
+  normalizeBoilerplateShare
+} from '../lib/boilerplate.js';
+
+let passCount = 0;
+let failCount = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`✅ ${name}`);
+    passCount++;
+  } catch (error) {
+    console.log(`❌ ${name}`);
+    console.log(`   Error: ${error.message}`);
+    failCount++;
+  }
+}
+
+function assertEqual(actual, expected, message = '') {
+  if (actual !== expected) {
+    throw new Error(`${message}\n   Expected: ${expected}\n   Actual: ${actual}`);
+  }
+}
+
+const SIDEBAR = 'Home\nProducts\nSupport';
+const COOKIES = 'We use cookies to improve your experience. Accept all';
+const FOOTER = '© 2024 Example Inc. All rights reserved.';
+
+function page(id, body) {
+  return {
+    id,
+    content: `${SIDEBAR}\n${body}\n\n${COOKIES}\n${FOOTER}`,
+    markdown: `- [Home](/)\n- [Products](/products)\n\n# ${body}\n\n${FOOTER}`
+  };
+}
+
+const PAGES = [
+  page('a', 'Installing the agent'),
+  page('b', 'Configuring alerts'),
+  page('c', 'Billing and invoices'),
+  page('d', 'Single sign-on')
+];
+
+console.log('='.repeat(70));
+console.log('BOILERPLATE REMOVAL TESTS');
+console.log('='.repeat(70) + '\n');
+
+test('lines on every page are boilerplate, page text is not', () => {
+  const lines = findBoilerplateLines(PAGES.map(p => p.content));
+  assertEqual(lines.has('Home'), true);
+  assertEqual(lines.has(COOKIES), true);
+  assertEqual(lines.has(FOOTER), true);
+  assertEqual(lines.has('Configuring alerts'), false);
+  assertEqual(lines.size, 5);
+});
+
+test('whitespace differences do not hide a repeated line', () => {
+  const texts = ['Footer   links\nOne', '  Footer links\nTwo', 'Footer links  \nThree'];
+  assertEqual(findBoilerplateLines(texts).has('Footer links'), true);
+});
+
+test('a line must reach the share and the page minimum', () => {
+  const texts = ['Banner\nA', 'Banner\nB', 'Banner\nC', 'D', 'E'];
+  assertEqual(findBoilerplateLines(texts, { minShare: 0.6 }).has('Banner'), true, '3 of 5 pages');
+  assertEqual(findBoilerplateLines(texts, { minShare: 0.8 }).size, 0, '3 of 5 is below 80%');
+  assertEqual(findBoilerplateLines(['Banner\nA', 'Banner\nB']).size, 0, 'two pages are too few');
+});
+
+test('code blocks and structural markdown lines are never boilerplate', () => {
+  const markdown = (title) => `# ${title}\n\n---\n\n\`\`\`bash\nnpm install example\n\`\`\`\n\n| a | b |\n| --- | --- |`;
+  const lines = findBoilerplateLines([markdown('One'), markdown('Two'), markdown('Three')]);
+  assertEqual(lines.has('npm install example'), false, 'inside a fence');
+  assertEqual(lines.has('---'), false, 'rule');
+  assertEqual(lines.has('| a | b |'), true, 'a repeated table header has text');
+  assertEqual(lines.size, 1);
+});
+
+test('stripping removes the lines and collapses blank runs', () => {
+  const lines = findBoilerplateLines(PAGES.map(p => p.content));
+  assertEqual(stripBoilerplateLines(PAGES[1].content, lines), 'Configuring alerts');
+  assertEqual(stripBoilerplateLines('Unrelated text', lines), 'Unrelated text', 'nothing to strip');
+});
+
+test('a page made only of boilerplate is left as it is', () => {
+  const lines = new Set(['Home', 'Products']);
+  assertEqual(stripBoilerplateLines('Home\nProducts', lines), 'Home\nProducts');
+});
+
+test('content and markdown are stripped separately with removed characters', () => {
+  const result = removeBoilerplate(PAGES);
+  assertEqual(result.lineCount.content, 5);
+  assertEqual(result.lineCount.markdown, 3);
+  const billing = result.pages.find(p => p.id === 'c');
+  assertEqual(billing.content, 'Billing and invoices');
+  assertEqual(billing.markdown, '# Billing and invoices');
+  assertEqual(billing.removedChars, PAGES[2].content.length - 'Billing and invoices'.length);
+});
+
+test('pages without markdown and share clamping', () => {
+  const result = removeBoilerplate(PAGES.map(p => ({ ...p, markdown: null })));
+  assertEqual(result.pages[0].markdown, null);
+  assertEqual(result.lineCount.markdown, 0);
+  assertEqual(normalizeBoilerplateShare(undefined), 0.6, 'default');
+  assertEqual(normalizeBoilerplateShare(0.1), 0.3, 'min');
+  assertEqual(normalizeBoilerplateShare(2), 1, 'max');
+});
+
+console.log('\n' + '='.repeat(70));
+console.log(`\n✅ Passed: ${passCount}`);
+console.log(`❌ Failed: ${failCount}`);
+console.log(`📊 Total:  ${passCount + failCount}`);
+
+if (failCount === 0) {
+  console.log('\n🎉 All tests passed!');
+} else {
+  process.exit(1);
+}
@@ -0,0 +1,119 @@
+/**
+ * Tests for per-job URL canonicalization settings
+ *
+ * Covers the default query-free canonical form, keeping significant
+ * query parameters, always-stripped tracking/session parameters,
+ * parameter sorting and link extraction with a job's settings.
+ *
+ * Run with: node test-canonicalization.js
+ */
+
+import { canonicalizeUrl, normalizeCanonicalization, DEFAULT_STRIP_QUERY_PARAMS } from '../lib/utils.js';
+import { extractLinksFromHtml } from '../lib/discovery.js';
+
+let passCount = 0;
+let failCount = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`✅ ${name}`);
+    passCount++;
+  } catch (error) {
+    console.log(`❌ ${name}`);
+    console.log(`   Error: ${error.message}`);
+    failCount++;
+  }
+}
+
+function assertEqual(actual, expected, message = '') {
+  if (actual !== expected) {
+    throw new Error(`${message}\n   Expected: ${expected}\n   Actual: ${actual}`);
+  }
+}
+
+// Link extraction logs every page; keep the test output readable
+const log = console.log;
+function quietly(fn) {
+  console.log = () => {};
+  try {
+    return fn();
+  } finally {
+    console.log = log;
+  }
+}
+
+console.log('='.repeat(70));
+console.log('URL CANONICALIZATION TESTS');
+console.log('='.repeat(70) + '\n');
+
+test('default settings drop the whole query', () => {
+  const settings = normalizeCanonicalization();
+  assertEqual(canonicalizeUrl('http://www.Example.com/docs/?page=2#intro', settings), 'https://example.com/docs');
+  assertEqual(canonicalizeUrl('http://www.Example.com/docs/?page=2#intro'), 'https://example.com/docs', 'boolean default unchanged');
+  assertEqual(canonicalizeUrl('https://example.com/docs?page=2', false), 'https://example.com/docs?page=2', 'false keeps the query');
+});
+
+test('kept parameters make distinct pages', () => {
+  const settings = normalizeCanonicalization({ keepQueryParams: ['page', 'lang'] });
+  assertEqual(canonicalizeUrl('https://example.com/list?page=2&view=grid', settings), 'https://example.com/list?page=2');
+  assertEqual(canonicalizeUrl('https://example.com/list?lang=fr', settings), 'https://example.com/list?lang=fr');
+  assertEqual(canonicalizeUrl('https://example.com/list?view=grid', settings), 'https://example.com/list', 'nothing kept');
+});
+
+test('wildcards and case-insensitive names', () => {
+  const settings = normalizeCanonicalization({ keepQueryParams: ['ver*', 'ID'] });
+  assertEqual(canonicalizeUrl('https://example.com/a?version=3.x&id=123', settings), 'https://example.com/a?id=123&version=3.x');
+  assertEqual(canonicalizeUrl('https://example.com/a?Version=3', settings), 'https://example.com/a?Version=3');
+});
+
+test('tracking and session parameters are stripped even with keep-all', () => {
+  const settings = normalizeCanonicalization({ keepQueryParams: ['*'] });
+  assertEqual(
+    canonicalizeUrl('https://example.com/a?utm_source=x&utm_medium=y&id=1&fbclid=z&PHPSESSID=abc', settings),
+    'https://example.com/a?id=1'
+  );
+  assertEqual(DEFAULT_STRIP_QUERY_PARAMS.includes('utm_*'), true);
+});
+
+test('an explicit strip list replaces the defaults', () => {
+  const settings = normalizeCanonicalization({ keepQueryParams: ['*'], stripQueryParams: ['tab'] });
+  assertEqual(canonicalizeUrl('https://example.com/a?tab=2&sid=7', settings), 'https://example.com/a?sid=7');
+});
+
+test('kept parameters are sorted unless sorting is off', () => {
+  const sorted = normalizeCanonicalization({ keepQueryParams: ['*'] });
+  const unsorted = normalizeCanonicalization({ keepQueryParams: ['*'], sortQueryParams: false });
+  assertEqual(canonicalizeUrl('https://example.com/a?z=1&a=2', sorted), 'https://example.com/a?a=2&z=1');
+  assertEqual(canonicalizeUrl('https://example.com/a?a=2&z=1', sorted), 'https://example.com/a?a=2&z=1', 'same canonical form');
+  assertEqual(canonicalizeUrl('https://example.com/a?z=1&a=2', unsorted), 'https://example.com/a?z=1&a=2');
+});
+
+test('settings are cleaned up', () => {
+  const settings = normalizeCanonicalization({ keepQueryParams: [' page ', '', 'page'], sortQueryParams: null });
+  assertEqual(JSON.stringify(settings.keepQueryParams), '["page"]');
+  assertEqual(settings.sortQueryParams, true, 'null falls back to default');
+  assertEqual(settings.stripQueryParams.length, DEFAULT_STRIP_QUERY_PARAMS.length);
+});
+
+test('link extraction canonicalizes with the job settings', () => {
+  const html = '<a href="/docs?page=2&utm_source=nav">Next</a><a href="/docs?page=2">Again</a><a href="/docs?page=3">Last</a>';
+  const withPages = quietly(() => extractLinksFromHtml(html, 'https://example.com/docs', 'https://example.com/docs', {
+    canonicalization: normalizeCanonicalization({ keepQueryParams: ['page'] })
+  }));
+  assertEqual(withPages.map(link => link.url).join(' '), 'https://example.com/docs?page=2 https://example.com/docs?page=3');
+
+  const byDefault = quietly(() => extractLinksFromHtml(html, 'https://example.com/docs', 'https://example.com/docs'));
+  assertEqual(byDefault.map(link => link.url).join(' '), 'https://example.com/docs');
+});
+
+console.log('\n' + '='.repeat(70));
+console.log(`\n✅ Passed: ${passCount}`);
+console.log(`❌ Failed: ${failCount}`);
+console.log(`📊 Total:  ${passCount + failCount}`);
+
+if (failCount === 0) {
+  console.log('\n🎉 All tests passed!');
+} else {
+  process.exit(1);
+}
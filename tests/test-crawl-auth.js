@@ -0,0 +1,195 @@
+/**
+ * Tests for per-job crawl authentication
+ *
+ * Covers checking the settings, the headers and cookies sent to the crawl's
+ * sites, redaction for diagnostics and the encrypted storage form.
+ *
+ * Run with: node test-crawl-auth.js
+ */
+
+import {
+  normalizeCrawlAuth,
+  summarizeCrawlAuth,
+  buildRequestAuth,
+  authHeadersFor,
+  authCookieHeaderFor,
+  authUrlPatterns,
+  redactSecrets,
+  isSealedCrawlAuth,
+  encryptCrawlAuth,
+  decryptCrawlAuth
+} from '../lib/crawl-auth.js';
+
+let passCount = 0;
+let failCount = 0;
+
+async function test(name, fn) {
+  try {
+    await fn();
+    console.log(`✅ ${name}`);
+    passCount++;
+  } catch (error) {
+    console.log(`❌ ${name}`);
+    console.log(`   Error: ${error.message}`);
+    failCount++;
+  }
+}
+
+function assertEqual(actual, expected, message = '') {
+  if (actual !== expected) {
+    throw new Error(`${message}\n   Expected: ${expected}\n   Actual: ${actual}`);
+  }
+}
+
+function assertThrows(fn, message = '') {
+  try {
+    fn();
+  } catch (error) {
+    return error;
+  }
+  throw new Error(`${message}\n   Expected an error`);
+}
+
+const AUTH = {
+  headers: { 'Authorization': 'Bearer s3cr3t-token', 'X-Preview-Token': 'preview-123' },
+  cookies: [{ name: 'session_id', value: 'abc123' }]
+};
+
+function generateKey() {
+  return crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, false, ['encrypt', 'decrypt']);
+}
+
+console.log('='.repeat(70));
+console.log('CRAWL AUTH TESTS');
+console.log('='.repeat(70) + '\n');
+
+await test('settings are normalized and empty ones dropped', () => {
+  const auth = normalizeCrawlAuth({ ...AUTH, cookies: 'session_id=abc123; theme=dark' });
+  assertEqual(auth.headers.length, 2);
+  assertEqual(auth.headers[1].name, 'X-Preview-Token');
+  assertEqual(auth.cookies.map(cookie => `${cookie.name}=${cookie.value}`).join(','), 'session_id=abc123,theme=dark', 'cookie string');
+  assertEqual(auth.basicAuth, null);
+  assertEqual(normalizeCrawlAuth({}), null, 'nothing set');
+  assertEqual(normalizeCrawlAuth({ headers: [], cookies: [], basicAuth: { username: '', password: '' } }), null);
+  assertEqual(normalizeCrawlAuth(null), null);
+});
+
+await test('malformed headers, cookies and logins are rejected', () => {
+  assertThrows(() => normalizeCrawlAuth({ headers: { 'Bad Header': 'x' } }), 'space in a header name');
+  assertThrows(() => normalizeCrawlAuth({ headers: { 'X-Token': 'a\r\nX-Other: b' } }), 'header injection');
+  const cookieHeader = assertThrows(() => normalizeCrawlAuth({ headers: { Cookie: 'a=b' } }), 'Cookie header');
+  assertEqual(cookieHeader.message.includes('use cookies instead'), true);
+  assertThrows(() => normalizeCrawlAuth({ cookies: [{ name: 'a', value: 'b; c=d' }] }), 'semicolon in a cookie value');
+  assertThrows(() => normalizeCrawlAuth({ basicAuth: { username: 'a:b', password: 'c' } }), 'colon in the username');
+  assertThrows(() => normalizeCrawlAuth({ headers: { Authorization: 'Bearer x' }, basicAuth: { username: 'a', password: 'b' } }), 'two Authorization sources');
+});
+
+await test('basic auth becomes an Authorization header with UTF-8 credentials', () => {
+  const auth = normalizeCrawlAuth({ basicAuth: { username: 'José', password: 'pässword' } });
+  const { headers } = buildRequestAuth(auth, ['https://docs.example.com/guide']);
+  assertEqual(headers.length, 1);
+  assertEqual(headers[0].name, 'Authorization');
+  assertEqual(headers[0].value, `Basic ${Buffer.from('José:pässword', 'utf8').toString('base64')}`);
+});
+
+await test('headers only go to the origins of the base URLs', () => {
+  const requestAuth = buildRequestAuth(normalizeCrawlAuth(AUTH), [
+    'https://docs.example.com/guide',
+    'https://docs.example.com/api',
+    'https://preview.example.com/'
+  ]);
+  assertEqual(requestAuth.origins.join(','), 'https://docs.example.com,https://preview.example.com');
+  assertEqual(authHeadersFor(requestAuth, 'https://docs.example.com/other/page').length, 2, 'same origin, any path');
+  assertEqual(authHeadersFor(requestAuth, 'https://cdn.example.com/app.js').length, 0, 'other host');
+  assertEqual(authHeadersFor(requestAuth, 'http://docs.example.com/guide').length, 0, 'other scheme');
+  assertEqual(authHeadersFor(null, 'https://docs.example.com/guide').length, 0, 'no auth');
+});
+
+await test('cookies are set for each origin unless they name a domain', () => {
+  const auth = normalizeCrawlAuth({ cookies: [{ name: 'sid', value: '1' }, { name: 'sso', value: '2', domain: '.example.com' }] });
+  const { cookies } = buildRequestAuth(auth, ['https://docs.example.com/guide', 'https://preview.example.com/']);
+  assertEqual(cookies.length, 3);
+  assertEqual(cookies[0].url, 'https://docs.example.com/');
+  assertEqual(cookies[1].url, 'https://preview.example.com/');
+  assertEqual(`${cookies[2].domain}|${cookies[2].path}|${cookies[2].url}`, '.example.com|/|undefined');
+});
+
+await test('cookies are sent as a Cookie header to the requests they are scoped to', () => {
+  const auth = normalizeCrawlAuth({ cookies: [
+    { name: 'sid', value: '1' },
+    { name: 'sso', value: '2', domain: '.example.com' },
+    { name: 'beta', value: '3', path: '/beta' }
+  ] });
+  const requestAuth = buildRequestAuth(auth, ['https://docs.example.com/guide']);
+  assertEqual(authCookieHeaderFor(requestAuth, 'https://docs.example.com/guide/intro'), 'sid=1; sso=2');
+  assertEqual(authCookieHeaderFor(requestAuth, 'https://docs.example.com/beta/page'), 'sid=1; sso=2; beta=3', 'path prefix');
+  assertEqual(authCookieHeaderFor(requestAuth, 'https://docs.example.com/betamax'), 'sid=1; sso=2', 'path segments, not prefixes');
+  assertEqual(authCookieHeaderFor(requestAuth, 'https://cdn.example.com/app.js'), 'sso=2', 'domain cookie on a subdomain');
+  assertEqual(authCookieHeaderFor(requestAuth, 'https://example.org/'), '', 'other site');
+  assertEqual(authUrlPatterns(requestAuth).join(' '), 'https://docs.example.com/* *://example.com/* *://*.example.com/*');
+  assertEqual(authUrlPatterns(null).length, 0);
+});
+
+await test('redaction hides credentials but keeps the rest of an error context', () => {
+  const context = {
+    url: 'https://docs.example.com/guide',
+    options: { maxWorkers: 3, auth: AUTH },
+    request: { headers: [{ name: 'Authorization', value: 'Bearer s3cr3t-token' }, { name: 'Accept', value: 'text/html' }] },
+    message: 'Server rejected Bearer s3cr3t-token'
+  };
+  const redacted = redactSecrets(context);
+  const text = JSON.stringify(redacted);
+  assertEqual(text.includes('s3cr3t'), false, 'token removed everywhere');
+  assertEqual(text.includes('abc123'), false, 'cookie removed');
+  assertEqual(redacted.options.maxWorkers, 3);
+  assertEqual(redacted.request.headers[1].value, 'text/html', 'other headers kept');
+  assertEqual(redacted.message, 'Server rejected Bearer [REDACTED]');
+  assertEqual(context.options.auth, AUTH, 'the original is not changed');
+});
+
+await test('settings survive encryption and the stored form holds no secret', async () => {
+  const key = await generateKey();
+  const auth = normalizeCrawlAuth({
+    headers: { 'X-Preview-Token': 'preview-123' },
+    cookies: AUTH.cookies,
+    basicAuth: { username: 'docs', password: 'hunter2' }
+  });
+  const sealed = await encryptCrawlAuth(auth, key);
+  assertEqual(isSealedCrawlAuth(sealed), true);
+  assertEqual(/preview-123|abc123|hunter2/.test(JSON.stringify(sealed)), false);
+  assertEqual(normalizeCrawlAuth(sealed), sealed, 'encrypted settings pass through');
+  assertEqual(summarizeCrawlAuth(sealed), null, 'no summary from encrypted settings');
+
+  const opened = await decryptCrawlAuth(sealed, key);
+  assertEqual(JSON.stringify(opened), JSON.stringify(auth));
+  assertEqual(summarizeCrawlAuth(opened).headerNames.join(','), 'X-Preview-Token');
+  assertEqual(summarizeCrawlAuth(opened).basicAuthUser, 'docs');
+});
+
+await test('each encryption uses a new IV, and a different key cannot decrypt', async () => {
+  const key = await generateKey();
+  const auth = normalizeCrawlAuth(AUTH);
+  const first = await encryptCrawlAuth(auth, key);
+  const second = await encryptCrawlAuth(auth, key);
+  assertEqual(first.iv === second.iv, false);
+  assertEqual(first.data === second.data, false);
+
+  let error = null;
+  try {
+    await decryptCrawlAuth(first, await generateKey());
+  } catch (e) {
+    error = e;
+  }
+  assertEqual(error?.message, 'Saved authentication could not be decrypted - enter it again');
+});
+
+console.log('\n' + '='.repeat(70));
+console.log(`\n✅ Passed: ${passCount}`);
+console.log(`❌ Failed: ${failCount}`);
+console.log(`📊 Total:  ${passCount + failCount}`);
+
+if (failCount === 0) {
+  console.log('\n🎉 All tests passed!');
+} else {
+  process.exit(1);
+}
@@ -0,0 +1,143 @@
+/**
+ * Tests for the crawl queue ordering strategies
+ *
+ * Covers BFS/DFS order, priority scoring (sitemap priority, lastmod,
+ * path depth), tie-breaking, re-scoring, unshift and duplicate handling.
+ *
+ * Run with: node test-crawl-queue.js
+ */
+
+import { CrawlQueue, computeUrlPriority } from '../lib/crawl-queue.js';
+
+let passCount = 0;
+let failCount = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`✅ ${name}`);
+    passCount++;
+  } catch (error) {
+    console.log(`❌ ${name}`);
+    console.log(`   Error: ${error.message}`);
+    failCount++;
+  }
+}
+
+function assertEqual(actual, expected, message = '') {
+  if (actual !== expected) {
+    throw new Error(`${message}\n   Expected: ${expected}\n   Actual: ${actual}`);
+  }
+}
+
+function drain(queue) {
+  const urls = [];
+  let url;
+  while ((url = queue.shift()) !== undefined) {
+    urls.push(url);
+  }
+  return urls.join(',');
+}
+
+const NOW = Date.parse('2026-01-01T00:00:00Z');
+const DAY = 24 * 60 * 60 * 1000;
+
+console.log('='.repeat(70));
+console.log('CRAWL QUEUE TESTS');
+console.log('='.repeat(70) + '\n');
+
+test('bfs serves URLs in discovery order', () => {
+  const queue = new CrawlQueue('bfs');
+  ['a', 'b', 'c'].forEach(url => queue.push(url));
+  assertEqual(drain(queue), 'a,b,c');
+});
+
+test('dfs serves the most recently discovered URL first', () => {
+  const queue = new CrawlQueue('dfs');
+  ['a', 'b', 'c'].forEach(url => queue.push(url));
+  assertEqual(drain(queue), 'c,b,a');
+});
+
+test('unknown strategy falls back to bfs', () => {
+  assertEqual(new CrawlQueue('random').strategy, 'bfs');
+});
+
+test('duplicates are ignored and includes/length track membership', () => {
+  const queue = new CrawlQueue('bfs');
+  ['a', 'b', 'a'].forEach(url => queue.push(url));
+  assertEqual(queue.length, 2, 'length');
+  assertEqual(queue.includes('b'), true, 'includes b');
+  queue.shift();
+  assertEqual(queue.includes('a'), false, 'a removed');
+});
+
+test('unshift puts a URL ahead of every strategy', () => {
+  const queue = new CrawlQueue('priority');
+  queue.push('low', 0.1);
+  queue.push('high', 0.9);
+  queue.unshift('retry');
+  assertEqual(queue.toArray().join(','), 'retry,high,low', 'toArray');
+  assertEqual(drain(queue), 'retry,high,low', 'drain');
+});
+
+test('priority strategy keeps discovery order on ties', () => {
+  const queue = new CrawlQueue('priority');
+  ['a', 'b', 'c', 'd'].forEach(url => queue.push(url, 0.5));
+  queue.push('e', 0.7);
+  assertEqual(drain(queue), 'e,a,b,c,d');
+});
+
+test('updateScore moves a queued URL up or down', () => {
+  const queue = new CrawlQueue('priority');
+  ['a', 'b', 'c', 'd', 'e', 'f'].forEach((url, i) => queue.push(url, 0.1 * (i + 1)));
+  queue.updateScore('a', 0.9);
+  queue.updateScore('f', 0.05);
+  queue.updateScore('c', 0.45);
+  assertEqual(queue.toArray().join(','), 'a,e,c,d,b,f', 'toArray');
+  assertEqual(drain(queue), 'a,e,c,d,b,f', 'drain');
+});
+
+test('updateScore ignores other strategies, unknown URLs and URLs put back at the front', () => {
+  const bfs = new CrawlQueue('bfs');
+  ['a', 'b'].forEach(url => bfs.push(url));
+  bfs.updateScore('b', 1);
+  assertEqual(drain(bfs), 'a,b', 'bfs order kept');
+
+  const queue = new CrawlQueue('priority');
+  queue.push('low', 0.1);
+  queue.push('high', 0.9);
+  queue.unshift('retry');
+  queue.updateScore('missing', 1);
+  queue.updateScore('retry', 0);
+  assertEqual(queue.length, 3, 'nothing added');
+  assertEqual(drain(queue), 'retry,high,low');
+});
+
+test('scores favour sitemap priority, recency and shallow paths', () => {
+  const base = computeUrlPriority('https://example.com/docs/guide', {}, NOW);
+  const important = computeUrlPriority('https://example.com/docs/guide', { priority: 1 }, NOW);
+  const fresh = computeUrlPriority('https://example.com/docs/guide', { lastmod: NOW - DAY }, NOW);
+  const stale = computeUrlPriority('https://example.com/docs/guide', { lastmod: NOW - 400 * DAY }, NOW);
+  const deep = computeUrlPriority('https://example.com/docs/a/b/c/guide', {}, NOW);
+
+  assertEqual(important > base, true, 'sitemap priority');
+  assertEqual(fresh > stale, true, 'recency');
+  assertEqual(base > deep, true, 'path depth');
+});
+
+test('deeper link depth lowers the score', () => {
+  const near = computeUrlPriority('https://example.com/docs/guide', { linkDepth: 1 }, NOW);
+  const far = computeUrlPriority('https://example.com/docs/guide', { linkDepth: 4 }, NOW);
+  assertEqual(near > far, true);
+});
+
+console.log('\n' + '='.repeat(70));
+console.log(`\n✅ Passed: ${passCount}`);
+console.log(`❌ Failed: ${failCount}`);
+console.log(`📊 Total:  ${passCount + failCount}`);
+
+if (failCount === 0) {
+  console.log('\n🎉 All tests passed!');
+} else {
+  process.exit(1);
+}
@@ -0,0 +1,208 @@
+/**
+ * Tests for the discovery-only dry run
+ *
+ * Covers the URL counts per path prefix, marking candidate URLs in or out of scope
+ * with URL rules and robots.txt, and the page fetches of runDryRun() going through the
+ * rate limiter (fetch() stubbed).
+ *
+ * Run with: node test-dry-run.js
+ */
+
+import { buildUrlTree, scopeCandidates, runDryRun } from '../lib/dry-run.js';
+import { compileUrlRules } from '../lib/url-rules.js';
+
+let passCount = 0;
+let failCount = 0;
+
+async function test(name, fn) {
+  try {
+    await fn();
+    console.log(`✅ ${name}`);
+    passCount++;
+  } catch (error) {
+    console.log(`❌ ${name}`);
+    console.log(`   Error: ${error.message}`);
+    failCount++;
+  }
+}
+
+function assertEqual(actual, expected, message = '') {
+  if (actual !== expected) {
+    throw new Error(`${message}\n   Expected: ${expected}\n   Actual: ${actual}`);
+  }
+}
+
+const URLS = [
+  'https://example.com/docs',
+  'https://example.com/docs/guide/install',
+  'https://example.com/docs/guide/configure',
+  'https://example.com/docs/api/users',
+  'https://example.com/blog/2024/launch'
+];
+
+const CANDIDATES = [
+  { url: 'https://example.com/docs', source: 'seed', depth: 0 },
+  { url: 'https://example.com/docs/guide/install', source: 'sitemap', depth: 0 },
+  { url: 'https://example.com/docs/changelog/v2', source: 'sitemap', depth: 0 },
+  { url: 'https://example.com/docs/api/users', source: 'link', depth: 1 },
+  { url: 'https://example.com/private/admin', source: 'link', depth: 1 }
+];
+
+// Stand-in for a loaded RobotsPolicy
+const robots = {
+  isAllowed: (url) => url.includes('/private/')
+    ? { allowed: false, rule: 'Disallow: /private/' }
+    : { allowed: true, rule: null }
+};
+
+/**
+ * Stand-in for fetch() serving the given pages (anything else is a 404)
+ * @param {Object<string, Function|Object>} pages - url → {body, status, headers}, or a function
+ *   returning one per request (called with the request count for that URL)
+ */
+function stubFetch(pages) {
+  const requests = new Map();
+  globalThis.fetch = async (input) => {
+    const url = String(input);
+    requests.set(url, (requests.get(url) || 0) + 1);
+    const entry = typeof pages[url] === 'function' ? pages[url](requests.get(url)) : pages[url];
+    if (!entry) return new Response('', { status: 404 });
+    return new Response(entry.body || '', {
+      status: entry.status || 200,
+      headers: { 'content-type': 'text/html', ...entry.headers }
+    });
+  };
+  return requests;
+}
+
+/**
+ * Rate limiter double recording what the dry run asked of it
+ */
+function recordingLimiter() {
+  const calls = [];
+  return {
+    calls,
+    setMinInterval: (url, intervalMs) => calls.push(`interval ${url} ${intervalMs}`),
+    acquire: async (url) => {
+      calls.push(`acquire ${url}`);
+      return true;
+    },
+    backOff: (url, retryAfterMs) => calls.push(`backOff ${url} ${retryAfterMs}`),
+    recordSuccess: (url) => calls.push(`success ${url}`)
+  };
+}
+
+const SEED = 'https://example.com/docs';
+
+console.log('='.repeat(70));
+console.log('DRY RUN TESTS');
+console.log('='.repeat(70) + '\n');
+
+await test('URLs are counted per origin and path prefix', () => {
+  const [root] = buildUrlTree(URLS);
+  assertEqual(root.prefix, 'https://example.com');
+  assertEqual(root.count, 5);
+  const docs = root.children.find(node => node.prefix === 'https://example.com/docs');
+  assertEqual(docs.count, 4, 'the /docs page itself counts too');
+  assertEqual(docs.children.find(node => node.prefix === 'https://example.com/docs/guide').count, 2);
+});
+
+await test('largest prefixes come first', () => {
+  const [root] = buildUrlTree(URLS);
+  assertEqual(root.children.map(node => node.prefix.split('/').pop()).join(','), 'docs,blog');
+  assertEqual(root.children[0].children.map(node => node.count).join(','), '2,1');
+});
+
+await test('tree depth is capped and origins are separate roots', () => {
+  const tree = buildUrlTree([...URLS, 'https://docs.example.org/a/b/c/d/e'], 2);
+  assertEqual(tree.length, 2);
+  const other = tree.find(node => node.prefix === 'https://docs.example.org');
+  assertEqual(other.children[0].children[0].prefix, 'https://docs.example.org/a/b');
+  assertEqual(other.children[0].children[0].children.length, 0, 'capped at two levels');
+});
+
+await test('invalid URLs are ignored', () => {
+  assertEqual(buildUrlTree(['not a url']).length, 0);
+  assertEqual(buildUrlTree([]).length, 0);
+});
+
+await test('without rules every candidate is in scope', () => {
+  const { urls, counts } = scopeCandidates(CANDIDATES, []);
+  assertEqual(counts.allowed, 5);
+  assertEqual(urls.every(entry => entry.excluded === null), true);
+  assertEqual(`${counts.seed}/${counts.sitemap}/${counts.link}`, '1/2/2', 'counted by source');
+});
+
+await test('URL rules mark candidates excluded with the deciding rule', () => {
+  const rules = compileUrlRules([{ type: 'exclude', pattern: '/docs/changelog/**' }]);
+  const { urls, counts } = scopeCandidates(CANDIDATES, rules);
+  const changelog = urls.find(entry => entry.url.endsWith('/v2'));
+  assertEqual(changelog.excluded, 'rules');
+  assertEqual(changelog.rule, 'exclude: /docs/changelog/**');
+  assertEqual(counts.excludedByRules, 1);
+  assertEqual(counts.sitemap, 1, 'only allowed URLs are counted by source');
+});
+
+await test('prefix rules from the preview tree narrow the scope', () => {
+  const rules = compileUrlRules([{ type: 'include', pattern: 'https://example.com/docs/api/**' }]);
+  const { counts } = scopeCandidates(CANDIDATES, rules);
+  assertEqual(counts.allowed, 1);
+  assertEqual(counts.excludedByRules, 4, 'nothing else matches an include rule');
+});
+
+await test('robots.txt disallowed candidates are marked', () => {
+  const { urls, counts } = scopeCandidates(CANDIDATES, [], robots);
+  const admin = urls.find(entry => entry.url.endsWith('/admin'));
+  assertEqual(admin.excluded, 'robots');
+  assertEqual(admin.rule, 'Disallow: /private/');
+  assertEqual(counts.excludedByRobots, 1);
+  assertEqual(counts.total, 5);
+});
+
+await test('page fetches wait for the rate limiter and the robots.txt Crawl-delay', async () => {
+  stubFetch({
+    'https://example.com/robots.txt': {
+      body: 'User-agent: *\nCrawl-delay: 2\nDisallow: /docs/private/',
+      headers: { 'content-type': 'text/plain' }
+    },
+    [SEED]: { body: '<a href="/docs/guide">Guide</a> <a href="/docs/private/keys">Keys</a>' }
+  });
+  const limiter = recordingLimiter();
+
+  const { counts, expansion } = await runDryRun(SEED, { respectRobots: true }, limiter);
+
+  assertEqual(limiter.calls.join(' | '), [`interval ${SEED} 2000`, `acquire ${SEED}`, `success ${SEED}`].join(' | '));
+  assertEqual(expansion.fetched, 1);
+  assertEqual(counts.allowed, 2, 'seed and guide');
+  assertEqual(counts.excludedByRobots, 1);
+});
+
+await test('429/503 back the host off and the page is tried once more', async () => {
+  const requests = stubFetch({
+    [SEED]: (count) => count === 1
+      ? { status: 429, headers: { 'retry-after': '3' } }
+      : { body: '<a href="/docs/guide">Guide</a> <a href="/docs/busy">Busy</a>' },
+    'https://example.com/docs/busy': { status: 503 }
+  });
+  const limiter = recordingLimiter();
+
+  const { expansion } = await runDryRun(SEED, { depth: 2 }, limiter);
+
+  assertEqual(requests.get(SEED), 2, 'seed fetched again after its backoff');
+  assertEqual(limiter.calls.filter(call => call === `backOff ${SEED} 3000`).length, 1, 'Retry-After passed on');
+  assertEqual(requests.get('https://example.com/docs/busy'), 2, 'tried twice');
+  assertEqual(limiter.calls.filter(call => call.startsWith('backOff https://example.com/docs/busy null')).length, 2);
+  assertEqual(limiter.calls.filter(call => call.startsWith('acquire')).length, 5, 'every request takes a token');
+  assertEqual(`${expansion.fetched}/${expansion.failed}`, '1/2', 'guide is a 404 and busy stays throttled');
+});
+
+console.log('\n' + '='.repeat(70));
+console.log(`\n✅ Passed: ${passCount}`);
+console.log(`❌ Failed: ${failCount}`);
+console.log(`📊 Total:  ${passCount + failCount}`);
+
+if (failCount === 0) {
+  console.log('\n🎉 All tests passed!');
+} else {
+  process.exit(1);
+}
@@ -0,0 +1,206 @@
+/**
+ * Tests for per-site extraction profiles
+ *
+ * Covers checking profiles, matching them to URLs, JSON import/export,
+ * and applying content root and removal selectors in lib/dom-extractor.js.
+ *
+ * Run with: node test-extraction-profiles.js
+ */
+
+import fs from 'fs';
+import { JSDOM } from 'jsdom';
+import {
+  normalizeExtractionProfile,
+  findExtractionProfile,
+  exportExtractionProfiles,
+  parseExtractionProfiles,
+  mergeExtractionProfiles
+} from '../lib/extraction-profiles.js';
+
+let passCount = 0;
+let failCount = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`✅ ${name}`);
+    passCount++;
+  } catch (error) {
+    console.log(`❌ ${name}`);
+    console.log(`   Error: ${error.message}`);
+    failCount++;
+  }
+}
+
+function assertEqual(actual, expected, message = '') {
+  if (actual !== expected) {
+    throw new Error(`${message}\n   Expected: ${expected}\n   Actual: ${actual}`);
+  }
+}
+
+function assertThrows(fn, message = '') {
+  try {
+    fn();
+  } catch (error) {
+    return error;
+  }
+  throw new Error(`${message}\n   Expected an error`);
+}
+
+const DOCUSAURUS = {
+  id: 'docusaurus',
+  name: 'Docusaurus',
+  match: ['docs.example.com', '*.example.org'],
+  contentSelectors: ['.theme-doc-markdown'],
+  removeSelectors: ['.feedback-widget']
+};
+const GUIDES = {
+  id: 'guides',
+  name: 'Guides',
+  match: ['/guides/**'],
+  waitForSelectors: ['.api-table']
+};
+
+const PAGE = `<html><head><title>Install</title></head><body>
+  <nav>Home Guides API</nav>
+  <main>
+    <div class="theme-doc-markdown">
+      <h1>Install</h1>
+      <p>Run the installer.</p>
+      <div class="feedback-widget">Was this helpful?</div>
+    </div>
+    <div class="pagination-nav">Next: Configure</div>
+  </main>
+</body></html>`;
+
+/**
+ * Run extractPageContent() from lib/dom-extractor.js on a page, as the offscreen document does
+ */
+function extract(html, profile) {
+  const dom = new JSDOM(html, { url: 'https://docs.example.com/install', runScripts: 'outside-only' });
+  for (const file of ['../lib/vendor/turndown.js', '../lib/vendor/turndown-plugin-gfm.js', '../lib/dom-extractor.js']) {
+    dom.window.eval(fs.readFileSync(new URL(file, import.meta.url), 'utf8'));
+  }
+  return dom.window.extractPageContent(dom.window.document, 'https://docs.example.com/install', {
+    textOf: el => el.textContent.replace(/\s+/g, ' ').trim(),
+    profile
+  });
+}
+
+// extractPageContent() logs its progress
+const log = console.log;
+function quietly(fn) {
+  console.log = () => {};
+  try {
+    return fn();
+  } finally {
+    console.log = log;
+  }
+}
+
+console.log('='.repeat(70));
+console.log('EXTRACTION PROFILE TESTS');
+console.log('='.repeat(70) + '\n');
+
+test('profiles are normalized from arrays or one entry per line', () => {
+  const profile = normalizeExtractionProfile({
+    name: '  Docs  ',
+    match: 'docs.example.com\n\n docs.example.com \nhttps://example.com/docs/**',
+    contentSelectors: ['article', ' article ', ''],
+    removeSelectors: '.feedback'
+  });
+  assertEqual(profile.name, 'Docs');
+  assertEqual(profile.match.join(','), 'docs.example.com,https://example.com/docs/**', 'blanks and duplicates dropped');
+  assertEqual(profile.contentSelectors.join(','), 'article');
+  assertEqual(profile.removeSelectors.join(','), '.feedback');
+  assertEqual(profile.waitForSelectors.length, 0);
+  assertEqual(typeof profile.id, 'string', 'an id is generated');
+  assertEqual(normalizeExtractionProfile(DOCUSAURUS).id, 'docusaurus', 'a given id is kept');
+});
+
+test('profiles without a name, patterns or selectors are rejected', () => {
+  assertThrows(() => normalizeExtractionProfile({ match: ['example.com'], contentSelectors: ['main'] }), 'no name');
+  assertThrows(() => normalizeExtractionProfile({ name: 'A', contentSelectors: ['main'] }), 'no pattern');
+  const empty = assertThrows(() => normalizeExtractionProfile({ name: 'A', match: ['example.com'] }), 'no selectors');
+  assertEqual(empty.message.includes('no content, removal or wait-for selectors'), true);
+  assertThrows(() => normalizeExtractionProfile({ name: 'A', match: ['example.com/docs'], contentSelectors: ['main'] }), 'host with a path');
+  assertThrows(() => normalizeExtractionProfile({ name: 'A', match: ['example.com'], removeSelectors: [42] }), 'not a string');
+});
+
+test('hostnames, paths and URLs match, and the first matching profile wins', () => {
+  const profiles = [DOCUSAURUS, GUIDES].map(normalizeExtractionProfile);
+  assertEqual(findExtractionProfile(profiles, 'https://docs.example.com/intro')?.name, 'Docusaurus');
+  assertEqual(findExtractionProfile(profiles, 'https://DOCS.example.com/intro')?.name, 'Docusaurus', 'hostnames ignore case');
+  assertEqual(findExtractionProfile(profiles, 'https://api.example.org/ref')?.name, 'Docusaurus', 'subdomain wildcard');
+  assertEqual(findExtractionProfile(profiles, 'https://example.org/ref'), null, 'the wildcard needs a subdomain');
+  assertEqual(findExtractionProfile(profiles, 'https://docs.example.com/guides/setup')?.name, 'Docusaurus', 'first match wins');
+  assertEqual(findExtractionProfile(profiles, 'https://blog.example.net/guides/setup')?.name, 'Guides', 'path on any host');
+
+  const byUrl = [normalizeExtractionProfile({ name: 'Docs only', match: ['https://example.com/docs/**'], contentSelectors: ['main'] })];
+  assertEqual(findExtractionProfile(byUrl, 'https://example.com/docs')?.name, 'Docs only');
+  assertEqual(findExtractionProfile(byUrl, 'https://example.com/blog/post'), null);
+  assertEqual(findExtractionProfile(byUrl, 'not a url'), null);
+});
+
+test('exported profiles import back unchanged', () => {
+  const profiles = [DOCUSAURUS, GUIDES].map(normalizeExtractionProfile);
+  const json = exportExtractionProfiles(profiles);
+  assertEqual(JSON.parse(json).format, 'webscribe-extraction-profiles');
+  assertEqual(JSON.stringify(parseExtractionProfiles(json)), JSON.stringify(profiles));
+  assertEqual(parseExtractionProfiles(JSON.stringify([GUIDES]))[0].name, 'Guides', 'a bare array');
+  assertEqual(parseExtractionProfiles(JSON.stringify(DOCUSAURUS))[0].name, 'Docusaurus', 'a single profile');
+});
+
+test('an import fails as a whole when one profile is invalid', () => {
+  assertEqual(assertThrows(() => parseExtractionProfiles('{ not json')).message, 'The file is not valid JSON');
+  const invalid = assertThrows(() => parseExtractionProfiles(JSON.stringify([DOCUSAURUS, { name: 'Broken', match: [] }])));
+  assertEqual(invalid.message.startsWith('Profile 2:'), true, invalid.message);
+  assertThrows(() => parseExtractionProfiles(JSON.stringify({ format: 'other-tool', profiles: [] })), 'another format');
+  assertThrows(() => parseExtractionProfiles(JSON.stringify({ settings: {} })), 'no profiles');
+});
+
+test('imports replace profiles with the same id or name and append the rest', () => {
+  const existing = [DOCUSAURUS, GUIDES].map(normalizeExtractionProfile);
+  const imported = [
+    normalizeExtractionProfile({ ...DOCUSAURUS, id: 'other-id', name: 'docusaurus', removeSelectors: ['.rating'] }),
+    normalizeExtractionProfile({ name: 'Wiki', match: ['wiki.example.com'], contentSelectors: ['#content'] })
+  ];
+  const { profiles, added, replaced } = mergeExtractionProfiles(existing, imported);
+  assertEqual(`${added}/${replaced}`, '1/1');
+  assertEqual(profiles.map(profile => profile.name).join(','), 'docusaurus,Guides,Wiki', 'replaced in place');
+  assertEqual(profiles[0].id, 'docusaurus', 'the existing id is kept');
+  assertEqual(profiles[0].removeSelectors.join(','), '.rating');
+  assertEqual(existing[0].removeSelectors.join(','), '.feedback-widget', 'the original list is not changed');
+});
+
+test('the content root narrows the markdown and text, removal selectors apply on top', () => {
+  const result = quietly(() => extract(PAGE, { name: 'Docusaurus', contentSelectors: ['.missing', '.theme-doc-markdown'], removeSelectors: ['.feedback-widget'] }));
+  assertEqual(result.markdown.trim(), '# Install\n\nRun the installer.');
+  assertEqual(result.text, 'Install Run the installer. Was this helpful?', 'text comes from the content root');
+  assertEqual(result.markdownMeta._debugInfo.profile, 'Docusaurus');
+  assertEqual(result.markdownMeta._debugInfo.contentSelector, '.theme-doc-markdown', 'the first selector found');
+  assertEqual(result.html.includes('Next: Configure'), true, 'the full page is kept for link discovery');
+});
+
+test('without a profile, or when its content root is missing, the whole page is converted', () => {
+  const plain = quietly(() => extract(PAGE, null));
+  assertEqual(plain.markdown.includes('Was this helpful?'), true);
+  assertEqual(plain.markdown.includes('Next: Configure'), true);
+  assertEqual(plain.markdown.includes('Home Guides API'), false, 'the built-in noise filter still applies');
+  assertEqual(plain.markdownMeta._debugInfo.profile, null);
+
+  const missing = quietly(() => extract(PAGE, { name: 'Other', contentSelectors: ['article'], removeSelectors: [] }));
+  assertEqual(missing.markdown.includes('Next: Configure'), true);
+  assertEqual(missing.markdownMeta._debugInfo.contentSelector, null);
+});
+
+console.log('\n' + '='.repeat(70));
+console.log(`\n✅ Passed: ${passCount}`);
+console.log(`❌ Failed: ${failCount}`);
+console.log(`📊 Total:  ${passCount + failCount}`);
+
+if (failCount === 0) {
+  console.log('\n🎉 All tests passed!');
+} else {
+  process.exit(1);
+}
@@ -0,0 +1,119 @@
+/**
+ * Tests for fast mode
+ *
+ * Covers deciding when a fetched page must be rendered in a tab instead,
+ * and the per-site mode of auto mode.
+ *
+ * Run with: node test-fast-fetch.js
+ */
+
+import {
+  FetchMode,
+  normalizeFetchMode,
+  getRecommendedMode,
+  getFallbackReason,
+  SiteModeDetector
+} from '../lib/fast-fetch.js';
+
+let passCount = 0;
+let failCount = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`✅ ${name}`);
+    passCount++;
+  } catch (error) {
+    console.log(`❌ ${name}`);
+    console.log(`   Error: ${error.message}`);
+    failCount++;
+  }
+}
+
+function assertEqual(actual, expected, message = '') {
+  if (actual !== expected) {
+    throw new Error(`${message}\n   Expected: ${expected}\n   Actual: ${actual}`);
+  }
+}
+
+const ARTICLE = 'Installing the agent. '.repeat(20); // 440 characters
+const LONG_ARTICLE = ARTICLE.repeat(3);
+const STATIC_HTML = `<html><body><main><h1>Install</h1><p>${ARTICLE}</p></main></body></html>`;
+const SPA_SHELL = '<html><body><noscript>You need to enable JavaScript to run this app.</noscript><div id="root"></div></body></html>';
+
+console.log('='.repeat(70));
+console.log('FAST MODE TESTS');
+console.log('='.repeat(70) + '\n');
+
+test('a static page with enough text is kept', () => {
+  assertEqual(getFallbackReason({ html: STATIC_HTML, text: ARTICLE }), null);
+});
+
+test('short pages go to tab rendering', () => {
+  assertEqual(getFallbackReason({ html: STATIC_HTML, text: '   Loading...   ' }), 'short-content');
+  assertEqual(getFallbackReason({ html: SPA_SHELL, text: '' }), 'short-content', 'an empty shell is short first');
+});
+
+test('an empty framework mount point means client rendering', () => {
+  const html = `<html><body><header>${ARTICLE}</header><div id="__next" class="app">  </div></body></html>`;
+  assertEqual(getFallbackReason({ html, text: ARTICLE }), 'empty-app-root');
+  const rendered = `<html><body><div id="__next"><p>${ARTICLE}</p></div></body></html>`;
+  assertEqual(getFallbackReason({ html: rendered, text: ARTICLE }), null, 'server-rendered content in the root');
+});
+
+test('a JavaScript notice only counts for pages with little text', () => {
+  const html = `<html><body><noscript>Please enable JavaScript to use this site.</noscript><p>${ARTICLE}</p></body></html>`;
+  assertEqual(getFallbackReason({ html, text: ARTICLE }), 'javascript-required');
+  assertEqual(getFallbackReason({ html, text: LONG_ARTICLE }), null, 'plenty of text despite the notice');
+  const search = `<html><body><noscript><img src="pixel.gif"></noscript><p>${ARTICLE}</p></body></html>`;
+  assertEqual(getFallbackReason({ html: search, text: ARTICLE }), null, 'a noscript tracking pixel');
+});
+
+test('missing waitForSelectors go to tab rendering', () => {
+  assertEqual(getFallbackReason({ html: STATIC_HTML, text: ARTICLE, missingSelectors: ['.api-table'] }), 'missing-selectors');
+});
+
+test('fetch modes are checked and static hosts are recommended', () => {
+  assertEqual(normalizeFetchMode('fast'), FetchMode.FAST);
+  assertEqual(normalizeFetchMode('thorough'), FetchMode.RENDERED, 'unknown mode');
+  assertEqual(normalizeFetchMode(undefined), FetchMode.RENDERED, 'default');
+  assertEqual(getRecommendedMode('https://project.readthedocs.io/en/latest/'), FetchMode.FAST);
+  assertEqual(getRecommendedMode('https://docs.example.com/guide'), FetchMode.AUTO);
+});
+
+test('auto mode settles each site after three agreeing pages', () => {
+  const detector = new SiteModeDetector(FetchMode.AUTO);
+  assertEqual(detector.modeFor('https://docs.example.com/a'), FetchMode.FAST, 'sites start with fetch()');
+  detector.record('https://docs.example.com/a', { fallbackReason: null });
+  detector.record('https://docs.example.com/b', { fallbackReason: 'short-content' });
+  detector.record('https://docs.example.com/c', { fallbackReason: null });
+  assertEqual(detector.getSiteModes()['https://docs.example.com'], undefined, 'not settled yet');
+  detector.record('https://docs.example.com/d', { fallbackReason: null });
+  assertEqual(detector.getSiteModes()['https://docs.example.com'], FetchMode.FAST);
+
+  ['a', 'b', 'c'].forEach(page => detector.record(`https://app.example.com/${page}`, { fallbackReason: 'empty-app-root' }));
+  assertEqual(detector.modeFor('https://app.example.com/d'), FetchMode.RENDERED, 'client-rendered site');
+  assertEqual(detector.modeFor('https://docs.example.com/e'), FetchMode.FAST, 'sites are separate');
+});
+
+test('static generators settle auto mode at once, fixed modes ignore outcomes', () => {
+  const detector = new SiteModeDetector(FetchMode.AUTO);
+  detector.record('https://example.org/docs/', { fallbackReason: null, generator: 'MkDocs-1.5.3, mkdocs-material-9.4.6' });
+  assertEqual(detector.getSiteModes()['https://example.org'], FetchMode.FAST);
+
+  const rendered = new SiteModeDetector(FetchMode.RENDERED);
+  rendered.record('https://example.org/docs/', { fallbackReason: null });
+  assertEqual(rendered.modeFor('https://example.org/docs/'), FetchMode.RENDERED);
+  assertEqual(Object.keys(rendered.getSiteModes()).length, 0);
+});
+
+console.log('\n' + '='.repeat(70));
+console.log(`\n✅ Passed: ${passCount}`);
+console.log(`❌ Failed: ${failCount}`);
+console.log(`📊 Total:  ${passCount + failCount}`);
+
+if (failCount === 0) {
+  console.log('\n🎉 All tests passed!');
+} else {
+  process.exit(1);
+}
@@ -0,0 +1,196 @@
+/**
+ * Tests for the persisted crawl frontier
+ *
+ * Covers CrawlJob.getFrontierSnapshot() and restoreFrontier() in lib/crawler.js, saved and
+ * read back through storage/db.js on an in-memory IndexedDB stub: the order URLs are
+ * resumed in, the state carried over and pages finished after the snapshot.
+ *
+ * Run with: node test-frontier.js
+ */
+
+import { CrawlJob } from '../lib/crawler.js';
+import { getFrontier } from '../storage/db.js';
+
+let passCount = 0;
+let failCount = 0;
+
+async function test(name, fn) {
+  try {
+    await fn();
+    console.log(`✅ ${name}`);
+    passCount++;
+  } catch (error) {
+    console.log(`❌ ${name}`);
+    console.log(`   Error: ${error.message}`);
+    failCount++;
+  }
+}
+
+function assertEqual(actual, expected, message = '') {
+  if (actual !== expected) {
+    throw new Error(`${message}\n   Expected: ${expected}\n   Actual: ${actual}`);
+  }
+}
+
+/**
+ * Just enough of IndexedDB for the frontier store: one database whose object stores
+ * keep structured clones of the records, answering requests asynchronously
+ */
+function stubIndexedDB() {
+  const stores = new Map();
+  const respond = (request, result) => {
+    setTimeout(() => {
+      request.result = result;
+      request.onsuccess?.({ target: request });
+    }, 0);
+    return request;
+  };
+  const objectStore = (name) => {
+    if (!stores.has(name)) stores.set(name, new Map());
+    const records = stores.get(name);
+    return {
+      put: (record) => respond({}, records.set(record.jobId, structuredClone(record)) && record.jobId),
+      get: (key) => respond({}, structuredClone(records.get(key))),
+      delete: (key) => respond({}, records.delete(key) && undefined)
+    };
+  };
+  const db = { transaction: () => ({ objectStore }) };
+
+  globalThis.indexedDB = { open: () => respond({}, db) };
+  return stores;
+}
+
+const stores = stubIndexedDB();
+
+const BASE = 'https://docs.example.com/guide/';
+const page = (path) => `https://docs.example.com/guide/${path}`;
+const CANONICAL_BASE = new CrawlJob(BASE).canonicalBaseUrls[0];
+
+/**
+ * A crawl part-way through: one page done, one failed, one being fetched,
+ * one waiting out a retry and two queued
+ */
+function crawlInProgress(options = {}) {
+  const crawl = new CrawlJob(BASE, options);
+  crawl.jobId = 'job-1';
+
+  crawl.completed.add(page('done'));
+  crawl.completedPerBaseUrl.get(CANONICAL_BASE).add(page('done'));
+  crawl.failed.add(page('broken'));
+  crawl.failedDetails.set(page('broken'), { error: 'HTTP 500', attempts: 3 });
+
+  crawl.inProgress.add(page('fetching'));
+  crawl.retryTimers.set(page('retrying'), null);
+  crawl.queue.push(page('next'));
+  crawl.queue.push(page('later'));
+
+  crawl.urlDepths.set(page('next'), 0);
+  crawl.linkDepths.set(page('next'), 2);
+  crawl.sitemapMeta.set(page('later'), { priority: 0.8, lastmod: Date.parse('2026-01-01T00:00:00Z') });
+  crawl.paginationPositions.set(page('later'), { series: 'guide', page: 2 });
+  return crawl;
+}
+
+console.log('='.repeat(70));
+console.log('CRAWL FRONTIER TESTS');
+console.log('='.repeat(70) + '\n');
+
+await test('the snapshot queues in-progress URLs first, then retrying ones, then the queue', () => {
+  const snapshot = crawlInProgress().getFrontierSnapshot();
+  assertEqual(snapshot.queue.join(' '), [page('fetching'), page('retrying'), page('next'), page('later')].join(' '));
+});
+
+await test('URLs both in progress and queued are listed once', () => {
+  const crawl = crawlInProgress();
+  crawl.inProgress.add(page('later'));
+  crawl.retryTimers.set(page('next'), null);
+
+  const snapshot = crawl.getFrontierSnapshot();
+  assertEqual(snapshot.queue.length, 4);
+  assertEqual(snapshot.queue.filter(url => url === page('later')).length, 1);
+});
+
+await test('the snapshot carries depths, sitemap data, pagination and finished pages', () => {
+  const snapshot = crawlInProgress().getFrontierSnapshot();
+  assertEqual(JSON.stringify(snapshot.linkDepths), JSON.stringify([[page('next'), 2]]));
+  assertEqual(JSON.stringify(snapshot.urlDepths), JSON.stringify([[page('next'), 0]]));
+  assertEqual(snapshot.sitemapMeta[0][1].priority, 0.8);
+  assertEqual(snapshot.paginationPositions[0][1].page, 2);
+  assertEqual(snapshot.completed.join(), page('done'));
+  assertEqual(snapshot.completedPerBaseUrl[CANONICAL_BASE].join(), page('done'));
+  assertEqual(snapshot.failed[0][1].error, 'HTTP 500');
+});
+
+await test('a saved frontier restores the same queue order and state on a new crawl', async () => {
+  await crawlInProgress().saveFrontierNow();
+  const saved = await getFrontier('job-1');
+  assertEqual(typeof saved.savedAt, 'number', 'saved with a timestamp');
+
+  const resumed = new CrawlJob(BASE);
+  resumed.restoreFrontier(saved);
+
+  assertEqual(resumed.queue.toArray().join(' '), [page('fetching'), page('retrying'), page('next'), page('later')].join(' '));
+  assertEqual(resumed.linkDepths.get(page('next')), 2);
+  assertEqual(resumed.sitemapMeta.get(page('later')).lastmod, Date.parse('2026-01-01T00:00:00Z'));
+  assertEqual(resumed.paginationPositions.get(page('later')).series, 'guide');
+  assertEqual(resumed.completed.has(page('done')), true);
+  assertEqual(resumed.completedPerBaseUrl.get(CANONICAL_BASE).has(page('done')), true);
+  assertEqual(resumed.failedDetails.get(page('broken')).attempts, 3);
+});
+
+await test('pages finished after the snapshot are not queued again', async () => {
+  await crawlInProgress().saveFrontierNow();
+
+  // Pages saved after the last snapshot are loaded from the database before the frontier
+  const resumed = new CrawlJob(BASE);
+  resumed.completed.add(page('fetching'));
+  resumed.completed.add(page('next'));
+  resumed.restoreFrontier(await getFrontier('job-1'));
+
+  assertEqual(resumed.queue.toArray().join(' '), [page('retrying'), page('later')].join(' '));
+});
+
+await test('failed pages and anything queued before the restore are dropped from the queue', () => {
+  const snapshot = crawlInProgress().getFrontierSnapshot();
+  snapshot.queue.push(page('broken'));
+
+  const resumed = new CrawlJob(BASE);
+  resumed.queue.push(page('from-discovery'));
+  resumed.restoreFrontier(snapshot);
+
+  assertEqual(resumed.queue.includes(page('broken')), false, 'failed');
+  assertEqual(resumed.queue.includes(page('from-discovery')), false, 'queued before the restore');
+  assertEqual(resumed.queue.length, 4);
+});
+
+await test('a priority crawl re-scores the restored queue', () => {
+  const snapshot = crawlInProgress({ crawlStrategy: 'priority' }).getFrontierSnapshot();
+
+  const resumed = new CrawlJob(BASE, { crawlStrategy: 'priority' });
+  resumed.restoreFrontier(snapshot);
+
+  assertEqual(resumed.queue.shift(), page('later'), 'the high sitemap priority goes first');
+  assertEqual(resumed.queue.length, 3);
+});
+
+await test('nothing is saved before the crawl has a job', async () => {
+  const frontiers = stores.get('frontier');
+  const before = frontiers.size;
+
+  const crawl = crawlInProgress();
+  crawl.jobId = null;
+  await crawl.saveFrontierNow();
+
+  assertEqual(frontiers.size, before);
+});
+
+console.log('\n' + '='.repeat(70));
+console.log(`\n✅ Passed: ${passCount}`);
+console.log(`❌ Failed: ${failCount}`);
+console.log(`📊 Total:  ${passCount + failCount}`);
+
+if (failCount === 0) {
+  console.log('\n🎉 All tests passed!');
+} else {
+  process.exit(1);
+}
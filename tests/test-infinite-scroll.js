@@ -0,0 +1,177 @@
+/**
+ * Tests for infinite-scroll capture
+ *
+ * Covers checking the settings and the scroll loop of lib/infinite-scroll.js against
+ * simulated pages: feeds that load more at the bottom, the height and time limits,
+ * virtualized lists and pages that do not scroll.
+ *
+ * Run with: node test-infinite-scroll.js
+ */
+
+import {
+  normalizeInfiniteScroll,
+  scrollToEnd,
+  DEFAULT_SCROLL_MAX_HEIGHT,
+  DEFAULT_SCROLL_TIME_BUDGET,
+  MAX_SCROLL_TIME_BUDGET
+} from '../lib/infinite-scroll.js';
+
+let passCount = 0;
+let failCount = 0;
+
+async function test(name, fn) {
+  try {
+    await fn();
+    console.log(`✅ ${name}`);
+    passCount++;
+  } catch (error) {
+    console.log(`❌ ${name}`);
+    console.log(`   Error: ${error.message}`);
+    failCount++;
+  }
+}
+
+function assertEqual(actual, expected, message = '') {
+  if (actual !== expected) {
+    throw new Error(`${message}\n   Expected: ${expected}\n   Actual: ${actual}`);
+  }
+}
+
+function assertThrows(fn, message = '') {
+  try {
+    fn();
+  } catch (error) {
+    return error;
+  }
+  throw new Error(`${message}\n   Expected an error`);
+}
+
+/**
+ * A simulated page and a driver for it, with a fake clock
+ * @param {Object} page
+ * @param {number} page.height - Initial content height in px
+ * @param {number} page.batches - Times reaching the bottom loads another batch
+ * @param {number} page.batchHeight - Height each batch adds
+ */
+function simulatePage({ height = 3000, batches = 0, batchHeight = 2000 } = {}) {
+  const state = { top: 0, scrollHeight: height, clientHeight: 1000, clock: 0, distances: [] };
+  let pending = 0;
+  let loaded = 0;
+
+  const driver = {
+    measure: async () => ({ top: state.top, scrollHeight: state.scrollHeight, clientHeight: state.clientHeight, textLength: state.scrollHeight / 10 }),
+    scroll: async (distance) => {
+      state.distances.push(distance);
+      state.top = Math.min(state.top + distance, state.scrollHeight - state.clientHeight);
+      if (state.top + state.clientHeight >= state.scrollHeight && loaded + pending < batches) pending++;
+    },
+    wait: async (ms) => {
+      state.clock += ms;
+      // The next batch arrives while we wait
+      if (pending > 0) {
+        pending--;
+        loaded++;
+        state.scrollHeight += batchHeight;
+      }
+    },
+    now: () => state.clock
+  };
+  return { state, driver };
+}
+
+console.log('='.repeat(70));
+console.log('INFINITE SCROLL TESTS');
+console.log('='.repeat(70) + '\n');
+
+await test('the defaults and caps of the settings', () => {
+  const defaults = normalizeInfiniteScroll(true);
+  assertEqual(defaults.maxHeight, DEFAULT_SCROLL_MAX_HEIGHT);
+  assertEqual(defaults.timeBudget, DEFAULT_SCROLL_TIME_BUDGET);
+  assertEqual(normalizeInfiniteScroll({ timeBudget: 10000 }).timeBudget, 10000);
+  assertEqual(normalizeInfiniteScroll({ timeBudget: 600000 }).timeBudget, MAX_SCROLL_TIME_BUDGET, 'capped');
+  assertEqual(normalizeInfiniteScroll({ maxHeight: 20000.4 }).maxHeight, 20000);
+});
+
+await test('malformed settings are rejected', () => {
+  assertThrows(() => normalizeInfiniteScroll('yes'), 'a string');
+  assertThrows(() => normalizeInfiniteScroll([]), 'an array');
+  assertThrows(() => normalizeInfiniteScroll({ maxHeight: -1 }), 'negative height');
+  const budget = assertThrows(() => normalizeInfiniteScroll({ timeBudget: '30s' }), 'budget not a number');
+  assertEqual(budget.message, 'infiniteScroll.timeBudget must be a positive number');
+});
+
+await test('a feed is scrolled until it stops loading more', async () => {
+  const { state, driver } = simulatePage({ height: 3000, batches: 3 });
+  const result = await scrollToEnd(driver, normalizeInfiniteScroll(true));
+  assertEqual(result.stopReason, 'plateau');
+  assertEqual(result.height, 9000, 'all three batches loaded');
+  assertEqual(result.truncated, false);
+  assertEqual(result.virtualized, false);
+  assertEqual(state.top, 8000, 'at the bottom');
+  assertEqual(state.distances.every(distance => distance === 900), true, 'steps of 90% of the visible height');
+});
+
+await test('the time budget stops an endless feed and marks the page truncated', async () => {
+  const { driver } = simulatePage({ height: 3000, batches: 1000 });
+  const result = await scrollToEnd(driver, normalizeInfiniteScroll({ timeBudget: 10000 }));
+  assertEqual(result.stopReason, 'time-budget');
+  assertEqual(result.truncated, true);
+  assertEqual(result.elapsed, 10000);
+  assertEqual(result.steps, 20, 'one step per 500ms');
+});
+
+await test('the height limit stops scrolling once the content is that tall', async () => {
+  const { driver } = simulatePage({ height: 3000, batches: 1000 });
+  const result = await scrollToEnd(driver, normalizeInfiniteScroll({ maxHeight: 12000 }));
+  assertEqual(result.stopReason, 'max-height');
+  assertEqual(result.height >= 12000, true);
+  assertEqual(result.truncated, true);
+});
+
+await test('a list that drops rows while scrolling is reported as virtualized', async () => {
+  // Text shrinking below its peak means rows above the view were recycled
+  const { driver } = simulatePage({ height: 3000, batches: 2 });
+  const measure = driver.measure;
+  let calls = 0;
+  driver.measure = async () => {
+    const metrics = await measure();
+    calls++;
+    return calls > 2 ? { ...metrics, textLength: 100 } : metrics;
+  };
+  const recycled = await scrollToEnd(driver, normalizeInfiniteScroll(true));
+  assertEqual(recycled.height, 7000, 'the end was reached');
+  assertEqual(recycled.stopReason, 'plateau');
+  assertEqual(recycled.virtualized, true);
+  assertEqual(recycled.truncated, true, 'rows above the end are missing');
+});
+
+await test('a page that does not scroll ends after a few idle steps', async () => {
+  const { state, driver } = simulatePage({ height: 800 });
+  state.clientHeight = 800;
+  const result = await scrollToEnd(driver, normalizeInfiniteScroll(true));
+  assertEqual(result.stopReason, 'plateau');
+  assertEqual(result.steps, 4);
+  assertEqual(result.elapsed, 2000);
+  assertEqual(result.truncated, false);
+});
+
+await test('a ticker changing the text does not keep the scroll going', async () => {
+  const { driver } = simulatePage({ height: 3000 });
+  const measure = driver.measure;
+  let tick = 0;
+  driver.measure = async () => ({ ...(await measure()), textLength: 300 + (tick++ % 2) });
+  const result = await scrollToEnd(driver, normalizeInfiniteScroll(true));
+  assertEqual(result.stopReason, 'plateau');
+  assertEqual(result.steps, 7, 'three steps to the bottom, then four idle ones');
+});
+
+console.log('\n' + '='.repeat(70));
+console.log(`\n✅ Passed: ${passCount}`);
+console.log(`❌ Failed: ${failCount}`);
+console.log(`📊 Total:  ${passCount + failCount}`);
+
+if (failCount === 0) {
+  console.log('\n🎉 All tests passed!');
+} else {
+  process.exit(1);
+}
@@ -0,0 +1,147 @@
+/**
+ * Tests for the link depth limit
+ *
+ * Covers CrawlJob.addToQueue() and enqueueLinks() in lib/crawler.js with maxDepth:
+ * which links count as skipped by the limit (only those the crawl would otherwise visit)
+ * and queued URLs reached again through a shorter path.
+ *
+ * Run with: node test-link-depth.js
+ */
+
+import { CrawlJob } from '../lib/crawler.js';
+
+let passCount = 0;
+let failCount = 0;
+
+async function test(name, fn) {
+  try {
+    await fn();
+    console.log(`✅ ${name}`);
+    passCount++;
+  } catch (error) {
+    console.log(`❌ ${name}`);
+    console.log(`   Error: ${error.message}`);
+    failCount++;
+  }
+}
+
+function assertEqual(actual, expected, message = '') {
+  if (actual !== expected) {
+    throw new Error(`${message}\n   Expected: ${expected}\n   Actual: ${actual}`);
+  }
+}
+
+const BASE = 'https://docs.example.com/guide/';
+const page = (path) => `https://docs.example.com/guide/${path}`;
+const links = (...urls) => urls.map(url => ({ url, depth: 0 }));
+
+/**
+ * A crawl limited to one hop whose source page sits at the limit
+ */
+function crawlAtLimit(options = {}) {
+  const crawl = new CrawlJob(BASE, { maxDepth: 1, ...options });
+  crawl.linkDepths.set(page('index'), 1);
+  return crawl;
+}
+
+console.log('='.repeat(70));
+console.log('LINK DEPTH TESTS');
+console.log('='.repeat(70) + '\n');
+
+await test('links past maxDepth are not queued and count as skipped', async () => {
+  const crawl = crawlAtLimit();
+  await crawl.enqueueLinks(links(page('a'), page('b')), page('index'));
+
+  assertEqual(crawl.queue.length, 0);
+  assertEqual(crawl.getDepthSummary().depthSkippedCount, 2);
+});
+
+await test('links within maxDepth are queued one hop further than their page', async () => {
+  const crawl = new CrawlJob(BASE, { maxDepth: 2 });
+  crawl.linkDepths.set(page('index'), 1);
+  await crawl.enqueueLinks(links(page('a')), page('index'));
+
+  assertEqual(crawl.queue.includes(page('a')), true);
+  assertEqual(crawl.linkDepths.get(page('a')), 2);
+  assertEqual(crawl.depthSkipped.size, 0);
+});
+
+await test('links excluded by URL rules or outside the scope are not depth skips', async () => {
+  const crawl = crawlAtLimit({ urlRules: [{ type: 'exclude', pattern: '/guide/archive/**' }] });
+  await crawl.enqueueLinks(links(page('archive/2019'), 'https://elsewhere.example.org/docs', page('a')), page('index'));
+
+  assertEqual(crawl.rulesSkipped.has(page('archive/2019')), true, 'counted by the rules');
+  assertEqual(crawl.depthSkipped.has(page('archive/2019')), false, 'excluded by a rule');
+  assertEqual(crawl.depthSkipped.has('https://elsewhere.example.org/docs'), false, 'external link not followed');
+  assertEqual(crawl.getDepthSummary().depthSkippedCount, 1);
+});
+
+await test('links disallowed by robots.txt are not depth skips', async () => {
+  const crawl = crawlAtLimit();
+  crawl.robots = {
+    load: async () => {},
+    isAllowed: (url) => url.includes('/private/')
+      ? { allowed: false, rule: 'Disallow: /guide/private/' }
+      : { allowed: true, rule: null }
+  };
+  await crawl.enqueueLinks(links(page('private/keys'), page('a')), page('index'));
+
+  assertEqual(crawl.robotsSkipped.has(page('private/keys')), true, 'counted by robots.txt');
+  assertEqual(crawl.depthSkipped.has(page('private/keys')), false);
+  assertEqual(crawl.depthSkipped.has(page('a')), true);
+});
+
+await test('pages already captured, queued or known are not depth skips', async () => {
+  const crawl = crawlAtLimit();
+  crawl.completed.add(page('done'));
+  crawl.addToQueue(page('queued'), 0, 1);
+  crawl.linkDepths.set(page('failed'), 1);
+  await crawl.enqueueLinks(links(page('done'), page('queued'), page('failed')), page('index'));
+
+  assertEqual(crawl.depthSkipped.size, 0);
+  assertEqual(crawl.linkDepths.get(page('queued')), 1, 'the queued depth is kept');
+});
+
+await test('a skipped URL found again through a shorter path is queued', async () => {
+  const crawl = crawlAtLimit();
+  await crawl.enqueueLinks(links(page('a')), page('index'));
+  assertEqual(crawl.depthSkipped.has(page('a')), true);
+
+  crawl.linkDepths.set(page('start'), 0);
+  await crawl.enqueueLinks(links(page('a')), page('start'));
+
+  assertEqual(crawl.queue.includes(page('a')), true);
+  assertEqual(crawl.depthSkipped.has(page('a')), false, 'no longer counted as skipped');
+});
+
+await test('a shorter path to a queued URL lowers its link depth', async () => {
+  const crawl = new CrawlJob(BASE, { maxDepth: 5 });
+  crawl.addToQueue(page('a'), 0, 4);
+  crawl.addToQueue(page('a'), 0, 2);
+  crawl.addToQueue(page('a'), 0, 3);
+
+  assertEqual(crawl.linkDepths.get(page('a')), 2);
+  assertEqual(crawl.queue.length, 1);
+});
+
+await test('a priority crawl re-scores a queued URL whose link depth is lowered', () => {
+  const crawl = new CrawlJob(BASE, { crawlStrategy: 'priority' });
+  crawl.addToQueue(page('far'), 0, 6);
+  crawl.addToQueue(page('near'), 0, 3);
+  assertEqual(crawl.queue.toArray()[0], page('near'), 'the nearer URL goes first');
+
+  crawl.addToQueue(page('far'), 0, 1);
+  assertEqual(crawl.queue.toArray().join(' '), [page('far'), page('near')].join(' '));
+  assertEqual(crawl.queue.shift(), page('far'));
+});
+
+console.log('\n' + '='.repeat(70));
+console.log(`\n✅ Passed: ${passCount}`);
+console.log(`❌ Failed: ${failCount}`);
+console.log(`📊 Total:  ${passCount + failCount}`);
+
+if (failCount === 0) {
+  console.log('\n🎉 All tests passed!');
+} else {
+  process.exit(1);
+}
@@ -0,0 +1,271 @@
+/**
+ * Tests for pre-extraction page actions
+ *
+ * Covers checking the settings, and runs the injected function of lib/page-actions.js
+ * in a page: opening <details>, clicking, capturing tab panels, scrolling, the time
+ * budget and the navigation guard.
+ *
+ * Run with: node test-page-actions.js
+ */
+
+import fs from 'fs';
+import { JSDOM } from 'jsdom';
+import {
+  normalizePageActions,
+  pageActionsNeedRendering,
+  runPageActionsInPage,
+  DEFAULT_PAGE_ACTION_BUDGET,
+  MAX_PAGE_ACTION_BUDGET
+} from '../lib/page-actions.js';
+
+let passCount = 0;
+let failCount = 0;
+
+async function test(name, fn) {
+  try {
+    await fn();
+    console.log(`✅ ${name}`);
+    passCount++;
+  } catch (error) {
+    console.log(`❌ ${name}`);
+    console.log(`   Error: ${error.message}`);
+    failCount++;
+  }
+}
+
+function assertEqual(actual, expected, message = '') {
+  if (actual !== expected) {
+    throw new Error(`${message}\n   Expected: ${expected}\n   Actual: ${actual}`);
+  }
+}
+
+function assertThrows(fn, message = '') {
+  try {
+    fn();
+  } catch (error) {
+    return error;
+  }
+  throw new Error(`${message}\n   Expected an error`);
+}
+
+/**
+ * Load a page; run() calls the injected function in it, serialized the way
+ * chrome.scripting.executeScript does
+ */
+function loadPage(body) {
+  const dom = new JSDOM(`<html><head><title>Install</title></head><body>${body}</body></html>`, {
+    url: 'https://docs.example.com/install',
+    runScripts: 'outside-only'
+  });
+  const injected = dom.window.eval(`(${runPageActionsInPage.toString()})`);
+  return {
+    window: dom.window,
+    document: dom.window.document,
+    run: (actions, settleDelay = 1) => injected(normalizePageActions(actions), settleDelay),
+    extract() {
+      for (const file of ['../lib/vendor/turndown.js', '../lib/vendor/turndown-plugin-gfm.js', '../lib/dom-extractor.js']) {
+        dom.window.eval(fs.readFileSync(new URL(file, import.meta.url), 'utf8'));
+      }
+      const log = console.log;
+      console.log = () => {};
+      try {
+        return dom.window.extractPageContent(dom.window.document, 'https://docs.example.com/install', {
+          textOf: el => el.textContent.replace(/\s+/g, ' ').trim()
+        });
+      } finally {
+        console.log = log;
+      }
+    }
+  };
+}
+
+/**
+ * Make a tab widget behave like a framework one: clicking a tab selects it and shows its panel
+ */
+function wireTabs(document, tablist) {
+  const tabs = [...tablist.querySelectorAll('[role="tab"]')];
+  tabs.forEach((tab, index) => tab.addEventListener('click', () => {
+    tabs.forEach(other => other.setAttribute('aria-selected', String(other === tab)));
+    const panels = [...document.querySelectorAll('[role="tabpanel"]')];
+    panels.forEach((panel, panelIndex) => { panel.hidden = panelIndex !== index; });
+  }));
+}
+
+const INSTALL_TABS = `
+  <main>
+    <h1>Install</h1>
+    <div class="tabs-container">
+      <ul role="tablist">
+        <li role="tab" aria-selected="true" aria-controls="tab-npm">npm</li>
+        <li role="tab" aria-selected="false" aria-controls="tab-yarn">Yarn</li>
+        <li role="tab" aria-selected="false" aria-controls="tab-pnpm">pnpm</li>
+      </ul>
+      <div role="tabpanel" id="tab-npm"><pre><code>npm install webscribe</code></pre></div>
+      <div role="tabpanel" id="tab-yarn" hidden><pre><code>yarn add webscribe</code></pre></div>
+      <div role="tabpanel" id="tab-pnpm" hidden><pre><code>pnpm add webscribe</code></pre></div>
+    </div>
+    <p>Then import it.</p>
+  </main>`;
+
+console.log('='.repeat(70));
+console.log('PAGE ACTION TESTS');
+console.log('='.repeat(70) + '\n');
+
+await test('settings are normalized and nothing enabled means no actions', () => {
+  const actions = normalizePageActions({ expandDetails: true, clickSelectors: 'button.more\n\n button.more \n.accordion > h3' });
+  assertEqual(actions.expandDetails, true);
+  assertEqual(actions.clickSelectors.join('|'), 'button.more|.accordion > h3', 'blanks and duplicates dropped');
+  assertEqual(`${actions.captureTabs}/${actions.scroll}`, 'false/false');
+  assertEqual(actions.timeBudget, DEFAULT_PAGE_ACTION_BUDGET);
+  assertEqual(normalizePageActions({ scroll: true, timeBudget: 120000 }).timeBudget, MAX_PAGE_ACTION_BUDGET, 'budget capped');
+  assertEqual(normalizePageActions({}), null, 'an empty object clears the actions');
+  assertEqual(normalizePageActions({ expandDetails: false, clickSelectors: [] }), null);
+  assertEqual(normalizePageActions(undefined), null);
+});
+
+await test('malformed settings are rejected, and only live-page actions need a tab', () => {
+  assertThrows(() => normalizePageActions('scroll'), 'not an object');
+  assertThrows(() => normalizePageActions({ scroll: 'yes' }), 'flag not a boolean');
+  assertThrows(() => normalizePageActions({ clickSelectors: [42] }), 'selector not a string');
+  assertThrows(() => normalizePageActions({ scroll: true, timeBudget: 0 }), 'no time');
+  assertThrows(() => normalizePageActions({ scroll: true, timeBudget: '5s' }), 'budget not a number');
+
+  assertEqual(pageActionsNeedRendering(normalizePageActions({ expandDetails: true })), false, 'closed <details> content is in the HTML');
+  assertEqual(pageActionsNeedRendering(normalizePageActions({ expandDetails: true, captureTabs: true })), true);
+  assertEqual(pageActionsNeedRendering(normalizePageActions({ clickSelectors: ['button'] })), true);
+  assertEqual(pageActionsNeedRendering(null), false);
+});
+
+await test('every <details> element is opened', async () => {
+  const page = loadPage('<details><summary>Options</summary>A</details><details open><summary>B</summary>B</details><details><summary>C</summary>C</details>');
+  const { ran, skipped } = await page.run({ expandDetails: true });
+  assertEqual(ran.length, 1);
+  assertEqual(ran[0].action, 'expandDetails');
+  assertEqual(ran[0].opened, 2, 'already open ones are not counted');
+  assertEqual(page.document.querySelectorAll('details:not([open])').length, 0);
+  assertEqual(skipped.length, 0);
+});
+
+await test('matches are clicked once, including ones revealed by a click', async () => {
+  const page = loadPage('<div id="list"><p>Item 1</p></div><button class="more">Show more</button><button class="other">Other</button>');
+  const { document } = page;
+  let pagesLoaded = 0;
+  function loadMore(event) {
+    pagesLoaded++;
+    document.getElementById('list').insertAdjacentHTML('beforeend', `<p>Item ${pagesLoaded + 1}</p>`);
+    event.target.remove();
+    // The next batch comes with its own button, until the list is complete
+    if (pagesLoaded < 3) {
+      const next = document.createElement('button');
+      next.className = 'more';
+      next.addEventListener('click', loadMore);
+      document.body.appendChild(next);
+    }
+  }
+  document.querySelector('.more').addEventListener('click', loadMore);
+
+  const { ran } = await page.run({ clickSelectors: ['button.more', 'button[', '.missing'] });
+  assertEqual(ran[0].clicked, 3);
+  assertEqual(ran[0].invalidSelectors.join(','), 'button[', 'invalid selectors are reported, not fatal');
+  assertEqual(document.querySelectorAll('#list p').length, 4);
+  assertEqual(ran[0].truncated, undefined);
+});
+
+await test('each tab panel is captured under its label and reaches the markdown', async () => {
+  const page = loadPage(INSTALL_TABS);
+  wireTabs(page.document, page.document.querySelector('[role="tablist"]'));
+
+  const { ran } = await page.run({ captureTabs: true });
+  assertEqual(`${ran[0].widgets}/${ran[0].panels}`, '1/3');
+  assertEqual(page.document.querySelector('[role="tablist"]'), null, 'the tab list is replaced');
+  const sections = [...page.document.querySelectorAll('[data-webscribe-tab]')];
+  assertEqual(sections.map(section => section.getAttribute('data-webscribe-tab')).join(','), 'npm,Yarn,pnpm');
+  assertEqual(sections.some(section => section.querySelector('[hidden]')), false, 'captured panels are visible');
+
+  const { markdown } = page.extract();
+  for (const command of ['npm install webscribe', 'yarn add webscribe', 'pnpm add webscribe']) {
+    assertEqual(markdown.includes(command), true, command);
+  }
+  assertEqual(markdown.indexOf('**Yarn**') < markdown.indexOf('yarn add'), true, 'label before its panel');
+  assertEqual(markdown.indexOf('pnpm add') < markdown.indexOf('Then import it.'), true, 'panels stay in place');
+});
+
+await test('widgets that reuse one panel and swap its contents are captured too', async () => {
+  const page = loadPage(`
+    <div role="tablist"><button role="tab">macOS</button><button role="tab">Windows</button></div>
+    <div role="tabpanel" class="panel">brew install webscribe</div>`);
+  const { document } = page;
+  const commands = ['brew install webscribe', 'winget install webscribe'];
+  document.querySelectorAll('[role="tab"]').forEach((tab, index) => tab.addEventListener('click', () => {
+    document.querySelector('.panel').textContent = commands[index];
+  }));
+
+  const { ran } = await page.run({ captureTabs: true });
+  assertEqual(ran[0].panels, 2);
+  const sections = [...document.querySelectorAll('[data-webscribe-tab]')];
+  assertEqual(sections.map(section => `${section.querySelector('strong').textContent}: ${section.querySelector('.panel').textContent}`).join(' | '),
+    'macOS: brew install webscribe | Windows: winget install webscribe');
+  assertEqual(document.querySelectorAll('.panel').length, 2, 'the original panel is replaced by the copies');
+});
+
+await test('actions that do not fit in the time budget are skipped', async () => {
+  const page = loadPage('<details><summary>A</summary>A</details><button class="more">More</button>' + INSTALL_TABS);
+  const { ran, skipped, elapsed } = await page.run({ expandDetails: true, clickSelectors: ['.more'], captureTabs: true, timeBudget: 20 }, 60);
+  assertEqual(ran.map(entry => entry.action).join(','), 'expandDetails');
+  assertEqual(skipped.join(','), 'clickSelectors,captureTabs');
+  assertEqual(page.document.querySelector('[role="tablist"]') !== null, true, 'tabs left as they were');
+  assertEqual(elapsed >= 20, true);
+});
+
+await test('clicks cannot follow links while the actions run', async () => {
+  const page = loadPage('<a class="toggle" href="/docs/next">Next page</a><a class="anchor" href="#usage">Usage</a><form><button class="submit">Send</button></form>');
+  const { document, window } = page;
+  const prevented = {};
+  for (const selector of ['.toggle', '.anchor']) {
+    document.querySelector(selector).addEventListener('click', event => { prevented[selector] = event.defaultPrevented; });
+  }
+  document.querySelector('form').addEventListener('submit', event => { prevented.submit = event.defaultPrevented; });
+
+  const { ran } = await page.run({ clickSelectors: ['.toggle', '.anchor', '.submit'] });
+  assertEqual(ran[0].clicked, 3);
+  assertEqual(prevented['.toggle'], true, 'link to another page');
+  assertEqual(prevented['.anchor'], false, 'same-page anchors still work');
+  assertEqual(prevented.submit, true, 'form submission');
+  assertEqual(window.location.pathname, '/install');
+
+  // The guard is removed afterwards
+  const after = new window.MouseEvent('click', { bubbles: true, cancelable: true });
+  document.querySelector('.toggle').addEventListener('click', event => event.preventDefault(), { once: true });
+  document.querySelector('.toggle').dispatchEvent(after);
+  assertEqual(prevented['.toggle'], false);
+});
+
+await test('scrolling steps down the page as it grows, then returns to the top', async () => {
+  const page = loadPage('<main>Feed</main>');
+  const { window, document } = page;
+  let height = 2500;
+  const positions = [];
+  Object.defineProperty(window, 'innerHeight', { value: 1000, configurable: true });
+  Object.defineProperty(document.documentElement, 'scrollHeight', { get: () => height, configurable: true });
+  window.scrollTo = (x, y) => {
+    positions.push(y);
+    // Lazy loading: the first scroll adds another screen of content
+    if (positions.length === 1) height = 3500;
+  };
+
+  const { ran } = await page.run({ scroll: true });
+  assertEqual(positions.join(','), '1000,2000,3000,0');
+  assertEqual(ran[0].steps, 3);
+  assertEqual(ran[0].height, 3500);
+});
+
+console.log('\n' + '='.repeat(70));
+console.log(`\n✅ Passed: ${passCount}`);
+console.log(`❌ Failed: ${failCount}`);
+console.log(`📊 Total:  ${passCount + failCount}`);
+
+if (failCount === 0) {
+  console.log('\n🎉 All tests passed!');
+} else {
+  process.exit(1);
+}
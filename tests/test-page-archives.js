@@ -0,0 +1,228 @@
+/**
+ * Tests for archive snapshots
+ *
+ * Covers checking the settings, the per-job size budget, reading the details of an MHTML
+ * snapshot and turning it into one HTML document with its resources inlined
+ * (lib/page-archives.js).
+ *
+ * Run with: node test-page-archives.js
+ */
+
+import {
+  normalizeArchiveSettings,
+  ArchiveBudget,
+  readArchiveInfo,
+  mhtmlToHtml,
+  DEFAULT_ARCHIVE_MAX_BYTES,
+  DEFAULT_ARCHIVE_JOB_BUDGET,
+  MAX_ARCHIVE_MAX_BYTES
+} from '../lib/page-archives.js';
+
+let passCount = 0;
+let failCount = 0;
+
+async function test(name, fn) {
+  try {
+    await fn();
+    console.log(`✅ ${name}`);
+    passCount++;
+  } catch (error) {
+    console.log(`❌ ${name}`);
+    console.log(`   Error: ${error.message}`);
+    failCount++;
+  }
+}
+
+function assertEqual(actual, expected, message = '') {
+  if (actual !== expected) {
+    throw new Error(`${message}\n   Expected: ${expected}\n   Actual: ${actual}`);
+  }
+}
+
+function assertThrows(fn, message = '') {
+  try {
+    fn();
+  } catch (error) {
+    return error;
+  }
+  throw new Error(`${message}\n   Expected an error`);
+}
+
+const BOUNDARY = '----MultipartBoundary--abc123----';
+
+/**
+ * Build an MHTML snapshot the way Chrome writes one
+ * @param {Array<{type, location, id, encoding, body}>} parts - The main document first
+ */
+function buildMhtml(parts, { subject = 'Guide', location = 'https://docs.example.com/guide/' } = {}) {
+  const lines = [
+    'From: <Saved by Blink>',
+    `Snapshot-Content-Location: ${location}`,
+    `Subject: ${subject}`,
+    'Date: Mon, 19 Oct 2026 08:00:00 -0000',
+    'MIME-Version: 1.0',
+    'Content-Type: multipart/related;',
+    '\ttype="text/html";',
+    `\tboundary="${BOUNDARY}"`,
+    '',
+    ''
+  ];
+  for (const part of parts) {
+    lines.push(`--${BOUNDARY}`);
+    lines.push(`Content-Type: ${part.type}`);
+    if (part.id) lines.push(`Content-ID: <${part.id}>`);
+    lines.push(`Content-Transfer-Encoding: ${part.encoding}`);
+    if (part.location) lines.push(`Content-Location: ${part.location}`);
+    lines.push('', part.body, '');
+  }
+  lines.push(`--${BOUNDARY}--`, '');
+  return lines.join('\r\n');
+}
+
+const PIXEL = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0x00, 0xff]);
+
+function guideSnapshot() {
+  return buildMhtml([
+    {
+      type: 'text/html',
+      location: 'https://docs.example.com/guide/',
+      encoding: 'quoted-printable',
+      body: [
+        '<html><head><link rel=3D"stylesheet" href=3D"/assets/site.css"></head><body>',
+        '<h1>Caf=C3=A9 guide</h1><img src=3D"logo.png?v=3D1&amp;s=3D2"><iframe src=3D"cid:frame-1@mhtml.blink"></i=',
+        'frame><a href=3D"https://example.org/">External</a></body></html>'
+      ].join('\r\n')
+    },
+    {
+      type: 'text/css',
+      location: 'https://docs.example.com/assets/site.css',
+      encoding: 'quoted-printable',
+      body: 'body { background: url("../img/bg.png"); }'
+    },
+    {
+      type: 'image/png',
+      location: 'https://docs.example.com/guide/logo.png?v=1&s=2',
+      encoding: 'base64',
+      body: PIXEL.toString('base64')
+    },
+    {
+      type: 'image/png',
+      location: 'https://docs.example.com/img/bg.png',
+      encoding: 'base64',
+      body: PIXEL.toString('base64')
+    },
+    {
+      type: 'text/html',
+      id: 'frame-1@mhtml.blink',
+      encoding: 'quoted-printable',
+      body: '<p>Embedded frame</p>'
+    }
+  ]);
+}
+
+/**
+ * Decode the data URL the attribute or url() at a marker points to
+ */
+function dataUrlAfter(html, marker) {
+  const start = html.indexOf(marker);
+  if (start === -1) throw new Error(`${marker} not found`);
+  const match = /data:([^;]+);base64,([A-Za-z0-9+/=]+)/.exec(html.slice(start));
+  return { type: match[1], bytes: Buffer.from(match[2], 'base64') };
+}
+
+console.log('='.repeat(70));
+console.log('ARCHIVE SNAPSHOT TESTS');
+console.log('='.repeat(70) + '\n');
+
+await test('the defaults and caps of the settings', () => {
+  const defaults = normalizeArchiveSettings(true);
+  assertEqual(defaults.maxBytes, DEFAULT_ARCHIVE_MAX_BYTES);
+  assertEqual(defaults.jobBudget, DEFAULT_ARCHIVE_JOB_BUDGET);
+  assertEqual(normalizeArchiveSettings({ maxBytes: 500 * 1024 * 1024 }).maxBytes, MAX_ARCHIVE_MAX_BYTES, 'capped');
+  assertEqual(normalizeArchiveSettings({ maxBytes: 10 }).maxBytes, 1024 * 1024, 'raised to 1 MB');
+});
+
+await test('a snapshot is never allowed to be larger than the whole budget', () => {
+  const settings = normalizeArchiveSettings({ maxBytes: 50 * 1024 * 1024, jobBudget: 10 * 1024 * 1024 });
+  assertEqual(settings.maxBytes, 10 * 1024 * 1024);
+  assertEqual(settings.jobBudget, 10 * 1024 * 1024);
+});
+
+await test('malformed settings are rejected', () => {
+  const budget = assertThrows(() => normalizeArchiveSettings({ jobBudget: '1GB' }), 'budget not a number');
+  assertEqual(budget.message, 'archives.jobBudget must be a positive number');
+  assertThrows(() => normalizeArchiveSettings('yes'), 'a string');
+  assertThrows(() => normalizeArchiveSettings([]), 'an array');
+  assertThrows(() => normalizeArchiveSettings({ maxBytes: 0 }), 'zero size');
+});
+
+await test('the budget counts stored snapshots and refuses what does not fit', () => {
+  const budget = new ArchiveBudget(1000, 400);
+  assertEqual(budget.remaining, 600);
+  assertEqual(budget.claim(500), true);
+  assertEqual(budget.claim(200), false, 'only 100 bytes left');
+  assertEqual(budget.used, 900, 'a refused claim reserves nothing');
+  budget.release(500);
+  assertEqual(budget.claim(200), true, 'room given back');
+  budget.release(5000);
+  assertEqual(budget.used, 0, 'never below zero');
+  assertEqual(new ArchiveBudget(100, 250).remaining, 0, 'already over budget');
+});
+
+await test('snapshot details are read from the MHTML headers', () => {
+  const info = readArchiveInfo(guideSnapshot());
+  assertEqual(info.title, 'Guide');
+  assertEqual(info.url, 'https://docs.example.com/guide/');
+  assertEqual(info.date, '2026-10-19T08:00:00.000Z');
+  assertEqual(info.resources, 4, 'stylesheet, two images and a frame');
+
+  const encoded = readArchiveInfo(buildMhtml([{ type: 'text/html', encoding: 'quoted-printable', body: '<p>x</p>' }], {
+    subject: '=?utf-8?Q?Caf=C3=A9_menu?= =?utf-8?B?IOKAlCBkb2Nz?='
+  }));
+  assertEqual(encoded.title, 'Café menu — docs', 'encoded words decoded and joined');
+});
+
+await test('the document is decoded and its resources are inlined', () => {
+  const html = mhtmlToHtml(guideSnapshot());
+  assertEqual(html.includes('<h1>Café guide</h1>'), true, 'quoted-printable UTF-8 decoded');
+  assertEqual(html.includes('</iframe>'), true, 'soft line breaks joined');
+
+  const logo = dataUrlAfter(html, '<img src=');
+  assertEqual(logo.type, 'image/png');
+  assertEqual(logo.bytes.equals(PIXEL), true, 'relative URL with an escaped query resolved');
+
+  const frame = dataUrlAfter(html, '<iframe src=');
+  assertEqual(frame.type, 'text/html');
+  assertEqual(frame.bytes.toString(), '<p>Embedded frame</p>', 'frame found by its cid: URL');
+
+  assertEqual(html.includes('href="https://example.org/"'), true, 'links outside the snapshot are kept');
+});
+
+await test('stylesheets get their own resources inlined, relative to their location', () => {
+  const html = mhtmlToHtml(guideSnapshot());
+  const stylesheet = dataUrlAfter(html, '<link rel="stylesheet" href=');
+  assertEqual(stylesheet.type, 'text/css');
+  const background = dataUrlAfter(stylesheet.bytes.toString(), 'background: url(');
+  assertEqual(background.type, 'image/png', '../img/bg.png resolved against the stylesheet');
+  assertEqual(background.bytes.equals(PIXEL), true);
+});
+
+await test('text that is not an MHTML document is rejected', () => {
+  const plain = assertThrows(() => mhtmlToHtml('<html><body>Not a snapshot</body></html>'), 'no boundary');
+  assertEqual(plain.message, 'Not an MHTML snapshot (no multipart boundary)');
+  const noDocument = assertThrows(() => mhtmlToHtml(buildMhtml([
+    { type: 'image/png', location: 'https://docs.example.com/a.png', encoding: 'base64', body: PIXEL.toString('base64') }
+  ])), 'images only');
+  assertEqual(noDocument.message, 'The snapshot has no HTML document');
+});
+
+console.log('\n' + '='.repeat(70));
+console.log(`\n✅ Passed: ${passCount}`);
+console.log(`❌ Failed: ${failCount}`);
+console.log(`📊 Total:  ${passCount + failCount}`);
+
+if (failCount === 0) {
+  console.log('\n🎉 All tests passed!');
+} else {
+  process.exit(1);
+}
@@ -0,0 +1,101 @@
+/**
+ * Tests for page indexing directives
+ *
+ * Covers rel="canonical" lookup, robots meta noindex/nofollow values
+ * and links that are only linked with rel="nofollow".
+ *
+ * Run with: node test-page-directives.js
+ */
+
+import { findPageDirectives, parseRobotsContent } from '../lib/page-directives.js';
+
+let passCount = 0;
+let failCount = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`✅ ${name}`);
+    passCount++;
+  } catch (error) {
+    console.log(`❌ ${name}`);
+    console.log(`   Error: ${error.message}`);
+    failCount++;
+  }
+}
+
+function assertEqual(actual, expected, message = '') {
+  if (actual !== expected) {
+    throw new Error(`${message}\n   Expected: ${expected}\n   Actual: ${actual}`);
+  }
+}
+
+const PAGE_URL = 'https://example.com/docs/guide?print=1';
+
+console.log('='.repeat(70));
+console.log('PAGE DIRECTIVES TESTS');
+console.log('='.repeat(70) + '\n');
+
+test('canonical link is resolved against the page URL', () => {
+  const directives = findPageDirectives('<head><link rel="canonical" href="/docs/guide"></head>', PAGE_URL);
+  assertEqual(directives.canonical, 'https://example.com/docs/guide');
+  assertEqual(directives.noindex, false);
+  assertEqual(directives.nofollow, false);
+});
+
+test('canonical from the tab metadata wins over the HTML', () => {
+  const html = '<link rel="canonical" href="/docs/other">';
+  const directives = findPageDirectives(html, PAGE_URL, { canonical: 'https://example.com/docs/guide' });
+  assertEqual(directives.canonical, 'https://example.com/docs/guide');
+});
+
+test('canonical attributes in any order and quoting', () => {
+  assertEqual(findPageDirectives("<link href='/a?x=1&amp;y=2' rel='canonical'>", PAGE_URL).canonical, 'https://example.com/a?x=1&y=2', 'href first, entity decoded');
+  assertEqual(findPageDirectives('<link rel=canonical href=/b>', PAGE_URL).canonical, 'https://example.com/b', 'unquoted');
+  assertEqual(findPageDirectives('<link rel="alternate" hreflang="fr" href="/fr">', PAGE_URL).canonical, null, 'alternate is not canonical');
+  assertEqual(findPageDirectives('<link rel="canonical" href="javascript:void(0)">', PAGE_URL).canonical, null, 'non-http');
+});
+
+test('robots meta content values', () => {
+  assertEqual(JSON.stringify(parseRobotsContent('noindex, follow')), '{"noindex":true,"nofollow":false}');
+  assertEqual(JSON.stringify(parseRobotsContent('NOFOLLOW')), '{"noindex":false,"nofollow":true}', 'case-insensitive');
+  assertEqual(JSON.stringify(parseRobotsContent('none')), '{"noindex":true,"nofollow":true}', 'none means both');
+  assertEqual(JSON.stringify(parseRobotsContent(null)), '{"noindex":false,"nofollow":false}');
+});
+
+test('robots meta tags are read, other meta tags ignored', () => {
+  const html = '<meta name="description" content="noindex tips"><meta content="noindex,nofollow" name="ROBOTS">';
+  const directives = findPageDirectives(html, PAGE_URL);
+  assertEqual(directives.noindex, true);
+  assertEqual(directives.nofollow, true);
+  assertEqual(findPageDirectives('<meta name="description" content="noindex tips">', PAGE_URL).noindex, false, 'description only');
+});
+
+test('nofollow links are listed as absolute URLs', () => {
+  const html = '<a href="/login" rel="nofollow">Log in</a><a rel="sponsored nofollow" href="https://ads.example.net/x">Ad</a><a href="/docs/next">Next</a>';
+  const directives = findPageDirectives(html, PAGE_URL);
+  assertEqual(directives.nofollowLinks.join(' '), 'https://example.com/login https://ads.example.net/x');
+});
+
+test('a URL also linked without nofollow is still followed', () => {
+  const html = '<a href="/pricing" rel="nofollow">Pricing</a><nav><a href="/pricing">Pricing</a></nav><a data-rel="nofollow" href="/blog">Blog</a>';
+  assertEqual(findPageDirectives(html, PAGE_URL).nofollowLinks.length, 0);
+});
+
+test('pages without directives', () => {
+  const directives = findPageDirectives('<html><body><a href="/a">A</a></body></html>', PAGE_URL);
+  assertEqual(directives.canonical, null);
+  assertEqual(directives.nofollowLinks.length, 0);
+  assertEqual(findPageDirectives(null, PAGE_URL).noindex, false, 'no html');
+});
+
+console.log('\n' + '='.repeat(70));
+console.log(`\n✅ Passed: ${passCount}`);
+console.log(`❌ Failed: ${failCount}`);
+console.log(`📊 Total:  ${passCount + failCount}`);
+
+if (failCount === 0) {
+  console.log('\n🎉 All tests passed!');
+} else {
+  process.exit(1);
+}
@@ -0,0 +1,153 @@
+/**
+ * Tests for pagination detection and stitching
+ *
+ * Covers paginated URL patterns, rel="next"/"prev" links, positions of
+ * links in a series, grouping stored pages and joining a series.
+ *
+ * Run with: node test-pagination.js
+ */
+
+import {
+  parsePaginationUrl,
+  findRelPaginationLinks,
+  getLinkPosition,
+  groupPaginatedPages,
+  stitchSeries,
+  normalizeMaxPaginationPages
+} from '../lib/pagination.js';
+import { extractLinksFromHtml } from '../lib/discovery.js';
+
+let passCount = 0;
+let failCount = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`✅ ${name}`);
+    passCount++;
+  } catch (error) {
+    console.log(`❌ ${name}`);
+    console.log(`   Error: ${error.message}`);
+    failCount++;
+  }
+}
+
+function assertEqual(actual, expected, message = '') {
+  if (actual !== expected) {
+    throw new Error(`${message}\n   Expected: ${expected}\n   Actual: ${actual}`);
+  }
+}
+
+function position(value) {
+  return value ? `${value.series} #${value.page}` : 'null';
+}
+
+console.log('='.repeat(70));
+console.log('PAGINATION TESTS');
+console.log('='.repeat(70) + '\n');
+
+test('numbered URLs are recognized', () => {
+  assertEqual(position(parsePaginationUrl('https://example.com/blog/page/3')), 'https://example.com/blog #3', '/page/N');
+  assertEqual(position(parsePaginationUrl('https://example.com/page/2')), 'https://example.com/ #2', 'root /page/N');
+  assertEqual(position(parsePaginationUrl('https://example.com/changelog?page=2')), 'https://example.com/changelog #2', '?page=N');
+  assertEqual(position(parsePaginationUrl('https://example.com/list?lang=fr&paged=4')), 'https://example.com/list?lang=fr #4', 'other params stay in the series');
+});
+
+test('other URLs are not paginated', () => {
+  assertEqual(parsePaginationUrl('https://example.com/blog/my-post'), null);
+  assertEqual(parsePaginationUrl('https://example.com/docs/page/intro'), null, 'non-numeric');
+  assertEqual(parsePaginationUrl('https://example.com/blog?page=0'), null, 'page 0');
+  assertEqual(parsePaginationUrl('https://example.com/?p=123'), null, 'WordPress post IDs');
+  assertEqual(parsePaginationUrl('not a url'), null);
+});
+
+test('rel next/prev links are read from <link> and <a> tags', () => {
+  const html = `
+    <head><link rel="prev" href="/blog"><link rel="next" href="/blog/page/3"></head>
+    <body><a href="/other" rel="nofollow">x</a><a class="older" rel="next nofollow" href="/ignored">Older</a></body>`;
+  const links = findRelPaginationLinks(html, 'https://example.com/blog/page/2');
+  assertEqual(links.next, 'https://example.com/blog/page/3', 'first next wins');
+  assertEqual(links.prev, 'https://example.com/blog', 'prev');
+
+  const anchorOnly = findRelPaginationLinks('<a href="?page=2&amp;lang=fr" rel=next>Next</a>', 'https://example.com/list');
+  assertEqual(anchorOnly.next, 'https://example.com/list?page=2&lang=fr', 'unquoted rel and entity-encoded query');
+  assertEqual(findRelPaginationLinks(null, 'https://example.com').next, null, 'no html');
+});
+
+test('unnumbered rel links continue the source series', () => {
+  const first = { url: 'https://example.com/article', position: null, next: 'https://example.com/article-continued', prev: null };
+  assertEqual(position(getLinkPosition('https://example.com/article-continued', first)), 'https://example.com/article #2', 'next of page 1');
+  assertEqual(getLinkPosition('https://example.com/about', first), null, 'ordinary link');
+
+  const second = {
+    url: 'https://example.com/article-continued',
+    position: { series: 'https://example.com/article', page: 2 },
+    next: 'https://example.com/article-end',
+    prev: 'https://example.com/article'
+  };
+  assertEqual(position(getLinkPosition('https://example.com/article-end', second)), 'https://example.com/article #3', 'next of page 2');
+  assertEqual(position(getLinkPosition('https://example.com/article', second)), 'https://example.com/article #1', 'prev of page 2');
+  assertEqual(position(getLinkPosition('https://example.com/blog/page/7', second)), 'https://example.com/blog #7', 'numbered links describe themselves');
+});
+
+test('stored pages are grouped by series with the series URL as page 1', () => {
+  const page = (id, url, pagination, status = 'success') => ({ id, url, canonicalUrl: url, status, metadata: pagination ? { pagination } : null });
+  const pages = [
+    page('p3', 'https://example.com/blog/page/3', { series: 'https://example.com/blog', page: 3 }),
+    page('p1', 'https://example.com/blog', null),
+    page('p2', 'https://example.com/blog/page/2', { series: 'https://example.com/blog', page: 2 }),
+    page('solo', 'https://example.com/news/page/2', { series: 'https://example.com/news', page: 2 }),
+    page('gone', 'https://example.com/docs/page/2', { series: 'https://example.com/docs', page: 2 }, 'removed'),
+    page('docs', 'https://example.com/docs', null)
+  ];
+  const groups = groupPaginatedPages(pages);
+  assertEqual(groups.length, 1, 'single-page and removed series are skipped');
+  assertEqual(groups[0].map(p => p.id).join(','), 'p1,p2,p3');
+});
+
+test('a series is stitched into its first page', () => {
+  const stitched = stitchSeries([
+    { url: 'https://example.com/a', content: 'One', markdown: '# One' },
+    { url: 'https://example.com/a/page/2', canonicalUrl: 'https://example.com/a/page/2', content: 'Two', markdown: null }
+  ]);
+  assertEqual(stitched.content, 'One\n\nTwo');
+  assertEqual(stitched.markdown, '# One\n\nTwo', 'missing markdown falls back to text');
+  assertEqual(stitched.unstitched.content, 'One');
+  assertEqual(stitched.stitchedUrls.join(','), 'https://example.com/a/page/2');
+});
+
+test('stitching again starts from the unstitched first page', () => {
+  const stitched = stitchSeries([
+    { url: 'https://example.com/a', content: 'One\n\nOld two', markdown: null, unstitched: { content: 'One', markdown: null } },
+    { url: 'https://example.com/a/page/2', content: 'New two', markdown: null }
+  ]);
+  assertEqual(stitched.content, 'One\n\nNew two');
+  assertEqual(stitched.markdown, null, 'no markdown at all');
+});
+
+test('page cap is clamped and head links are extracted', () => {
+  assertEqual(normalizeMaxPaginationPages(undefined), 50, 'default');
+  assertEqual(normalizeMaxPaginationPages(0), 1, 'min');
+  assertEqual(normalizeMaxPaginationPages(9999), 500, 'max');
+
+  const log = console.log;
+  console.log = () => {};
+  let links;
+  try {
+    links = extractLinksFromHtml('<link rel="next" href="/blog/page/2"><link rel="stylesheet" href="/blog/style">', 'https://example.com/blog', 'https://example.com/blog');
+  } finally {
+    console.log = log;
+  }
+  assertEqual(links.map(link => link.url).join(' '), 'https://example.com/blog/page/2');
+});
+
+console.log('\n' + '='.repeat(70));
+console.log(`\n✅ Passed: ${passCount}`);
+console.log(`❌ Failed: ${failCount}`);
+console.log(`📊 Total:  ${passCount + failCount}`);
+
+if (failCount === 0) {
+  console.log('\n🎉 All tests passed!');
+} else {
+  process.exit(1);
+}
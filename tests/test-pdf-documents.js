@@ -0,0 +1,445 @@
+/**
+ * Tests for PDF documents
+ *
+ * Covers the PDF text extractor (lib/pdf-extractor.js) against small PDFs built here:
+ * page text and layout, font encodings, object streams, outlines, document information and
+ * encrypted files (standard security handler, RC4 and AES); and the crawl side (lib/pdf-documents.js): settings, the stored page content and the
+ * download with its limits, with fetch() stubbed.
+ *
+ * Run with: node test-pdf-documents.js
+ */
+
+import zlib from 'zlib';
+import crypto from 'crypto';
+import { extractPdf } from '../lib/pdf-extractor.js';
+import {
+  normalizePdfSettings,
+  isPdfUrl,
+  formatPdfContent,
+  fetchPdfContent,
+  DEFAULT_PDF_MAX_BYTES,
+  DEFAULT_PDF_MAX_PAGES,
+  MAX_PDF_MAX_BYTES
+} from '../lib/pdf-documents.js';
+
+let passCount = 0;
+let failCount = 0;
+
+async function test(name, fn) {
+  try {
+    await fn();
+    console.log(`✅ ${name}`);
+    passCount++;
+  } catch (error) {
+    console.log(`❌ ${name}`);
+    console.log(`   Error: ${error.message}`);
+    failCount++;
+  }
+}
+
+function assertEqual(actual, expected, message = '') {
+  if (actual !== expected) {
+    throw new Error(`${message}\n   Expected: ${expected}\n   Actual: ${actual}`);
+  }
+}
+
+function assertThrows(fn, message = '') {
+  try {
+    fn();
+  } catch (error) {
+    return error;
+  }
+  throw new Error(`${message}\n   Expected an error`);
+}
+
+async function assertRejects(promise, message = '') {
+  try {
+    await promise;
+  } catch (error) {
+    return error;
+  }
+  throw new Error(`${message}\n   Expected an error`);
+}
+
+/**
+ * Build a PDF file from object bodies; object N is bodies[N - 1]
+ * @param {string[]} bodies - Object bodies (Latin-1)
+ * @param {string} trailer - Extra trailer entries
+ * @returns {Buffer}
+ */
+function buildPdf(bodies, trailer = '') {
+  let out = '%PDF-1.7\n%\xE2\xE3\xCF\xD3\n';
+  const offsets = [];
+  bodies.forEach((body, index) => {
+    offsets.push(out.length);
+    out += `${index + 1} 0 obj\n${body}\nendobj\n`;
+  });
+  const xref = out.length;
+  out += `xref\n0 ${bodies.length + 1}\n0000000000 65535 f \n`;
+  out += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+  out += `trailer\n<< /Size ${bodies.length + 1} /Root 1 0 R ${trailer}>>\nstartxref\n${xref}\n%%EOF\n`;
+  return Buffer.from(out, 'latin1');
+}
+
+/**
+ * A stream object body
+ * @param {string} content - Stream data (Latin-1)
+ * @param {Object} options
+ * @param {boolean} options.compress - FlateDecode the data
+ * @param {string} options.dict - Extra dictionary entries
+ */
+function stream(content, { compress = false, dict = '' } = {}) {
+  let data = Buffer.from(content, 'latin1');
+  if (compress) data = zlib.deflateSync(data);
+  const filter = compress ? '/Filter /FlateDecode ' : '';
+  return `<< /Length ${data.length} ${filter}${dict}>>\nstream\n${data.toString('latin1')}\nendstream`;
+}
+
+const HELVETICA = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /FirstChar 32 /LastChar 126 ' +
+  `/Widths [${Array(95).fill(500).join(' ')}] >>`;
+
+/**
+ * A PDF with one page per content stream, all using Helvetica as /F1
+ * @param {string[]} contents - Content stream of each page
+ * @param {string[]} extra - More objects, numbered after the pages
+ */
+function simplePdf(contents, { extra = [], catalog = '', trailer = '' } = {}) {
+  const pageCount = contents.length;
+  // 1 catalog, 2 pages, 3 font, then a page and its content per page
+  const kids = contents.map((_, index) => `${4 + index * 2} 0 R`).join(' ');
+  const bodies = [
+    `<< /Type /Catalog /Pages 2 0 R ${catalog}>>`,
+    `<< /Type /Pages /Kids [${kids}] /Count ${pageCount} /Resources << /Font << /F1 3 0 R >> >> >>`,
+    HELVETICA
+  ];
+  contents.forEach((content, index) => {
+    bodies.push(`<< /Type /Page /Parent 2 0 R /Contents ${5 + index * 2} 0 R >>`);
+    bodies.push(stream(content, { compress: index % 2 === 0 }));
+  });
+  return buildPdf([...bodies, ...extra], trailer);
+}
+
+const FILE_ID = Buffer.alloc(16, 0x5A);
+const PASSWORD_PADDING = Buffer.from('28BF4E5E4E758A4164004E56FFFA01082E2E00B6D0683E802F0CA9FE6453697A', 'hex');
+
+const md5 = (data) => crypto.createHash('md5').update(data).digest();
+
+function rc4(key, data) {
+  const s = [...Array(256).keys()];
+  for (let i = 0, j = 0; i < 256; i++) {
+    j = (j + s[i] + key[i % key.length]) & 0xFF;
+    [s[i], s[j]] = [s[j], s[i]];
+  }
+  const output = Buffer.alloc(data.length);
+  for (let k = 0, i = 0, j = 0; k < data.length; k++) {
+    i = (i + 1) & 0xFF;
+    j = (j + s[i]) & 0xFF;
+    [s[i], s[j]] = [s[j], s[i]];
+    output[k] = data[k] ^ s[(s[i] + s[j]) & 0xFF];
+  }
+  return output;
+}
+
+function aesCbc(algorithm, key, data, { iv = Buffer.alloc(16, 0x11), padding = true } = {}) {
+  const cipher = crypto.createCipheriv(algorithm, key, iv);
+  cipher.setAutoPadding(padding);
+  const encrypted = Buffer.concat([cipher.update(data), cipher.final()]);
+  return padding ? Buffer.concat([iv, encrypted]) : encrypted;
+}
+
+/**
+ * Password hash of revision 6 (AES-256)
+ */
+function hashR6(password, salt) {
+  let key = crypto.createHash('sha256').update(Buffer.concat([password, salt])).digest();
+  let encrypted = Buffer.alloc(0);
+  for (let round = 0; round < 64 || encrypted[encrypted.length - 1] > round - 32; round++) {
+    const block = Buffer.concat(Array(64).fill(Buffer.concat([password, key])));
+    encrypted = aesCbc('aes-128-cbc', key.subarray(0, 16), block, { iv: key.subarray(16, 32), padding: false });
+    const sum = encrypted.subarray(0, 16).reduce((total, byte) => total + byte, 0);
+    key = crypto.createHash(['sha256', 'sha384', 'sha512'][sum % 3]).update(encrypted).digest();
+  }
+  return key.subarray(0, 32);
+}
+
+/**
+ * A one-page PDF with a title, encrypted the way writers apply the standard security handler
+ * (printing and copying not allowed)
+ * @param {string} method - 'RC4' (V2 R3, 128-bit), 'AESV2' (V4 R4) or 'AESV3' (V5 R6)
+ * @param {string} userPassword - Password needed to open the file ('' for none)
+ */
+function encryptedPdf(method, userPassword = '') {
+  const password = Buffer.from(userPassword, 'latin1');
+  const permissions = -3904;
+  let encrypt;
+  let encryptObject;
+
+  if (method === 'AESV3') {
+    const fileKey = crypto.createHash('sha256').update('file key').digest();
+    const validationSalt = Buffer.alloc(8, 1);
+    const keySalt = Buffer.alloc(8, 2);
+    const user = Buffer.concat([hashR6(password, validationSalt), validationSalt, keySalt]);
+    const userEncrypted = aesCbc('aes-256-cbc', hashR6(password, keySalt), fileKey, { iv: Buffer.alloc(16), padding: false });
+    encrypt = '<< /Filter /Standard /V 5 /R 6 /Length 256 /CF << /StdCF << /CFM /AESV3 /AuthEvent /DocOpen /Length 32 >> >> ' +
+      `/StmF /StdCF /StrF /StdCF /O <${'4F'.repeat(48)}> /U <${user.toString('hex')}> /OE <${'4E'.repeat(32)}> ` +
+      `/UE <${userEncrypted.toString('hex')}> /P ${permissions} /Perms <${'50'.repeat(16)}> >>`;
+    encryptObject = (num, data) => aesCbc('aes-256-cbc', fileKey, data);
+  } else {
+    const owner = Buffer.alloc(32, 0x4F);
+    const p = Buffer.alloc(4);
+    p.writeInt32LE(permissions);
+    let key = md5(Buffer.concat([Buffer.concat([password, PASSWORD_PADDING]).subarray(0, 32), owner, p, FILE_ID]));
+    for (let i = 0; i < 50; i++) key = md5(key);
+    let check = rc4(key, md5(Buffer.concat([PASSWORD_PADDING, FILE_ID])));
+    for (let i = 1; i <= 19; i++) check = rc4(key.map(byte => byte ^ i), check);
+
+    const aes = method === 'AESV2';
+    const filters = aes ? '/V 4 /R 4 /CF << /StdCF << /CFM /AESV2 /AuthEvent /DocOpen /Length 16 >> >> /StmF /StdCF /StrF /StdCF' : '/V 2 /R 3';
+    encrypt = `<< /Filter /Standard ${filters} /Length 128 /O <${owner.toString('hex')}> ` +
+      `/U <${Buffer.concat([check, Buffer.alloc(16)]).toString('hex')}> /P ${permissions} >>`;
+    encryptObject = (num, data) => {
+      const objectKey = md5(Buffer.concat([key, Buffer.from([num, 0, 0, 0, 0]), Buffer.from(aes ? 'sAlT' : '')]));
+      return aes ? aesCbc('aes-128-cbc', objectKey, data) : rc4(objectKey, data);
+    };
+  }
+
+  const content = encryptObject(5, zlib.deflateSync(Buffer.from('BT /F1 12 Tf 72 720 Td (Restricted copy) Tj ET', 'latin1')));
+  const title = encryptObject(6, Buffer.from('Licensed Manual', 'latin1'));
+  return buildPdf([
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    '<< /Type /Pages /Kids [4 0 R] /Count 1 /Resources << /Font << /F1 3 0 R >> >> >>',
+    HELVETICA,
+    '<< /Type /Page /Parent 2 0 R /Contents 5 0 R >>',
+    `<< /Length ${content.length} /Filter /FlateDecode >>\nstream\n${content.toString('latin1')}\nendstream`,
+    `<< /Title <${title.toString('hex')}> >>`,
+    encrypt
+  ], `/Info 6 0 R /Encrypt 7 0 R /ID [<${FILE_ID.toString('hex')}> <${FILE_ID.toString('hex')}>] `);
+}
+
+/**
+ * A fetch() stub answering every request with the given body and headers
+ */
+function stubFetch(body, { status = 200, headers = {} } = {}) {
+  const requests = [];
+  globalThis.fetch = async (url, init) => {
+    requests.push({ url, init });
+    return new Response(body, { status, headers });
+  };
+  return requests;
+}
+
+console.log('='.repeat(70));
+console.log('PDF DOCUMENT TESTS');
+console.log('='.repeat(70) + '\n');
+
+await test('settings are normalized, and malformed ones rejected', () => {
+  const defaults = normalizePdfSettings(true);
+  assertEqual(defaults.maxBytes, DEFAULT_PDF_MAX_BYTES);
+  assertEqual(defaults.maxPages, DEFAULT_PDF_MAX_PAGES);
+  assertEqual(normalizePdfSettings({ maxBytes: 1e12 }).maxBytes, MAX_PDF_MAX_BYTES, 'capped');
+  assertEqual(normalizePdfSettings({ maxPages: 20.4 }).maxPages, 20);
+
+  assertThrows(() => normalizePdfSettings('yes'), 'a string');
+  const pages = assertThrows(() => normalizePdfSettings({ maxPages: 0 }), 'zero pages');
+  assertEqual(pages.message, 'pdfs.maxPages must be a positive number');
+
+  assertEqual(isPdfUrl('https://example.com/docs/Whitepaper.PDF'), true);
+  assertEqual(isPdfUrl('https://example.com/docs/pdf-guide'), false);
+});
+
+await test('page text is read in order, with lines, paragraphs and word gaps from the positions', async () => {
+  const pdf = simplePdf([
+    'BT /F1 12 Tf 72 720 Td (Hello World) Tj 0 -14 Td (Second line) Tj 0 -40 Td [(Sp) -20 (lit) -300 (words)] TJ ET',
+    'BT /F1 10 Tf 1 0 0 1 72 700 Tm (Escaped \\(parens\\) and \\101) Tj ( joined) Tj 200 0 Td (gap) Tj ET'
+  ]);
+  const { pageCount, pages } = await extractPdf(pdf);
+  assertEqual(pageCount, 2);
+  assertEqual(pages[0], 'Hello World\nSecond line\n\nSplit words', 'small kerning joins, large moves split');
+  assertEqual(pages[1], 'Escaped (parens) and A joined gap');
+});
+
+await test('fonts are decoded through ToUnicode maps and /Differences', async () => {
+  const cmap = '/CIDInit /ProcSet findresource begin 12 dict begin begincmap\n' +
+    '1 begincodespacerange <0000> <FFFF> endcodespacerange\n' +
+    '2 beginbfchar <0001> <0048> <0002> <00E9> endbfchar\n' +
+    '1 beginbfrange <0010> <0012> <0061> endbfrange\n' +
+    'endcmap end end';
+  const pdf = buildPdf([
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+    '<< /Type /Page /Parent 2 0 R /Contents 4 0 R /Resources << /Font << /F1 5 0 R /F2 7 0 R >> >> >>',
+    stream('BT /F1 12 Tf 72 720 Td <000100020010001100120001> Tj /F2 12 Tf 0 -20 Td (\x01\x02 \x93quoted\x94) Tj ET', { compress: true }),
+    '<< /Type /Font /Subtype /Type0 /BaseFont /Custom /Encoding /Identity-H /ToUnicode 6 0 R /DescendantFonts [8 0 R] >>',
+    stream(cmap, { compress: true }),
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Times /Encoding << /Differences [1 /fi /uni00DF] >> >>',
+    '<< /Type /Font /Subtype /CIDFontType2 /BaseFont /Custom /DW 600 >>'
+  ]);
+  const { pages } = await extractPdf(pdf);
+  assertEqual(pages[0], 'HéabcH\nfiß “quoted”');
+});
+
+await test('objects in object streams are read, and later versions of an object win', async () => {
+  // Catalog and page tree packed into an object stream, found through a cross-reference stream
+  const packed = '1 0 2 40 ' + '<< /Type /Catalog /Pages 2 0 R >>'.padEnd(40) + '<< /Type /Pages /Kids [3 0 R] /Count 1 >>';
+  const header = packed.indexOf('<<');
+  const original = buildPdf([
+    '',
+    '',
+    '<< /Type /Page /Parent 2 0 R /Contents 4 0 R /Resources << /Font << /F1 5 0 R >> >> >>',
+    stream('BT /F1 12 Tf 72 720 Td (Old text) Tj ET'),
+    HELVETICA,
+    stream(packed, { compress: true, dict: `/Type /ObjStm /N 2 /First ${header} ` }),
+    stream('', { dict: '/Type /XRef /Root 1 0 R /Size 8 ' })
+  ]).toString('latin1');
+  // An incremental update replaces the page content
+  const update = `4 0 obj\n${stream('BT /F1 12 Tf 72 720 Td (New text) Tj ET')}\nendobj\n`;
+  const { pageCount, pages } = await extractPdf(Buffer.from(original + update, 'latin1'));
+  assertEqual(pageCount, 1);
+  assertEqual(pages[0], 'New text');
+});
+
+await test('the outline and document information are read', async () => {
+  const pdf = simplePdf([
+    'BT /F1 12 Tf 72 720 Td (Intro) Tj ET',
+    'BT /F1 12 Tf 72 720 Td (Setup) Tj ET',
+    'BT /F1 12 Tf 72 720 Td (Usage) Tj ET'
+  ], {
+    catalog: '/Outlines 10 0 R /Names << /Dests << /Names [(usage) [8 0 R /Fit]] >> >> ',
+    trailer: '/Info 14 0 R ',
+    extra: [
+      '<< /Type /Outlines /First 11 0 R /Last 13 0 R >>',
+      '<< /Title (Getting started) /Parent 10 0 R /Next 13 0 R /First 12 0 R /Last 12 0 R /Dest [4 0 R /Fit] >>',
+      '<< /Title <FEFF0049006E007300740061006C006C00E9> /Parent 11 0 R /A << /S /GoTo /D [6 0 R /XYZ 0 0 0] >> >>',
+      '<< /Title (Usage) /Parent 10 0 R /Prev 11 0 R /Dest (usage) >>',
+      '<< /Title (API Guide) /Author (Docs Team) /Subject (Integration) /Producer (Writer 7) /CreationDate (D:20240315103000+01\'00\') >>'
+    ]
+  });
+  const { outline, info } = await extractPdf(pdf);
+  assertEqual(JSON.stringify(outline), JSON.stringify([
+    { title: 'Getting started', level: 1, page: 1 },
+    { title: 'Installé', level: 2, page: 2 },
+    { title: 'Usage', level: 1, page: 3 }
+  ]), 'nested entries, UTF-16 titles and named destinations');
+  assertEqual(info.title, 'API Guide');
+  assertEqual(info.author, 'Docs Team');
+  assertEqual(info.subject, 'Integration');
+  assertEqual(info.producer, 'Writer 7');
+  assertEqual(info.creationDate, '2024-03-15T09:30:00.000Z');
+  assertEqual(info.keywords, null);
+});
+
+await test('files that need a password and other data are rejected, and the page limit is kept', async () => {
+  const encrypted = simplePdf(['BT /F1 12 Tf (Secret) Tj ET'], {
+    trailer: '/Encrypt 6 0 R ',
+    extra: ['<< /Filter /Standard /V 2 /R 3 >>']
+  });
+  assertEqual((await assertRejects(extractPdf(encrypted))).name, 'EncryptedPdfError');
+  const otherHandler = simplePdf(['BT /F1 12 Tf (Secret) Tj ET'], {
+    trailer: '/Encrypt 6 0 R ',
+    extra: ['<< /Filter /Adobe.PubSec /V 4 /R 4 >>']
+  });
+  assertEqual((await assertRejects(extractPdf(otherHandler))).name, 'EncryptedPdfError', 'certificate security');
+  assertEqual((await assertRejects(extractPdf(Buffer.from('<html>Not here</html>')))).message, 'Not a PDF document');
+
+  const long = simplePdf(['(One)', '(Two)', '(Three)'].map(text => `BT /F1 12 Tf ${text} Tj ET`));
+  const limited = await extractPdf(long, { maxPages: 2 });
+  assertEqual(limited.pageCount, 3);
+  assertEqual(limited.pages.join(','), 'One,Two');
+});
+
+await test('files encrypted without a user password are decrypted (RC4, AES-128 and AES-256)', async () => {
+  for (const method of ['RC4', 'AESV2', 'AESV3']) {
+    const { pages, info } = await extractPdf(encryptedPdf(method));
+    assertEqual(pages[0], 'Restricted copy', `${method} stream`);
+    assertEqual(info.title, 'Licensed Manual', `${method} string`);
+  }
+});
+
+await test('files that need a password to open are skipped, not failed', async () => {
+  for (const method of ['RC4', 'AESV2', 'AESV3']) {
+    const error = await assertRejects(extractPdf(encryptedPdf(method, 'secret')), method);
+    assertEqual(error.name, 'EncryptedPdfError', method);
+  }
+
+  const originalFetch = globalThis.fetch;
+  try {
+    stubFetch(encryptedPdf('AESV2', 'secret'), { headers: { 'content-type': 'application/pdf' } });
+    const result = await fetchPdfContent('https://example.com/licensed.pdf', normalizePdfSettings(true));
+    assertEqual(result.content, null);
+    assertEqual(result.fallbackReason, 'encrypted');
+  } finally {
+    globalThis.fetch = originalFetch;
+  }
+});
+
+await test('PDF content is stored with page markers, the outline and document metadata', () => {
+  const pdf = {
+    pageCount: 3,
+    pages: ['First page text', 'Second page text'],
+    outline: [{ title: 'Overview', level: 1, page: 1 }, { title: 'Details', level: 2, page: 2 }],
+    info: { title: 'Platform Whitepaper', author: 'Jane Doe', subject: null, keywords: 'api, sdk', creator: 'Writer', producer: null, creationDate: null, modDate: null }
+  };
+  const content = formatPdfContent(pdf, 'https://example.com/docs/whitepaper.pdf', 52000);
+  assertEqual(content.contentType, 'pdf');
+  assertEqual(content.html, '');
+  assertEqual(content.text, '[Page 1]\n\nFirst page text\n\n[Page 2]\n\nSecond page text\n\n[Pages 3-3 not read]');
+  assertEqual(content.markdown.split('\n\n').slice(0, 3).join('\n\n'),
+    '# Platform Whitepaper\n\n## Contents\n\n- Overview (page 1)\n  - Details (page 2)');
+  assertEqual(content.metadata.title, 'Platform Whitepaper');
+  assertEqual(content.metadata.author, 'Jane Doe');
+  assertEqual(content.metadata.keywords, 'api, sdk');
+  assertEqual(content.metadata.generator, 'Writer', 'creator when there is no producer');
+  assertEqual(content.metadata.pdf.pageCount, 3);
+  assertEqual(content.metadata.pdf.pagesRead, 2);
+  assertEqual(content.markdownMeta.confidence, 1);
+  assertEqual(content.markdownMeta.truncated, true);
+
+  const scanned = formatPdfContent({ ...pdf, pageCount: 1, pages: [''], outline: [], info: { ...pdf.info, title: null } },
+    'https://example.com/scans/Annual%20Report.pdf', 1000);
+  assertEqual(scanned.metadata.title, 'Annual Report.pdf', 'the file name when there is no title');
+  assertEqual(scanned.markdownMeta.confidence, 0, 'no text to read');
+  assertEqual(scanned.markdownMeta.reason, 'no-text');
+});
+
+await test('PDFs are downloaded within the size limit, and other answers fall back or fail', async () => {
+  const originalFetch = globalThis.fetch;
+  try {
+    const pdf = simplePdf(['BT /F1 12 Tf 72 720 Td (Downloaded) Tj ET']);
+    const requests = stubFetch(pdf, { headers: { 'content-type': 'application/pdf' } });
+    const { content, fallbackReason } = await fetchPdfContent('https://example.com/a.pdf', normalizePdfSettings(true), {
+      authHeaders: [{ name: 'Authorization', value: 'Bearer abc' }],
+      credentials: 'omit'
+    });
+    assertEqual(fallbackReason, null);
+    assertEqual(content.text, '[Page 1]\n\nDownloaded');
+    assertEqual(content.httpStatus, 200);
+    assertEqual(content.metadata.pdf.bytes, pdf.length);
+    assertEqual(requests[0].init.headers.Authorization, 'Bearer abc');
+    assertEqual(requests[0].init.credentials, 'omit');
+    assertEqual(requests[0].init.redirect, 'manual', 'auth headers do not follow redirects');
+
+    stubFetch('<html><body>Download page</body></html>', { headers: { 'content-type': 'text/html' } });
+    assertEqual((await fetchPdfContent('https://example.com/b.pdf', normalizePdfSettings(true))).fallbackReason, 'not-pdf');
+
+    stubFetch(pdf, { headers: { 'content-type': 'application/pdf' } });
+    const large = await assertRejects(fetchPdfContent('https://example.com/c.pdf', normalizePdfSettings({ maxBytes: 100 })));
+    assertEqual(large.message.startsWith('PDF is larger than'), true);
+
+    stubFetch('', { status: 404 });
+    const missing = await assertRejects(fetchPdfContent('https://example.com/d.pdf', normalizePdfSettings(true)));
+    assertEqual(missing.httpStatus, 404);
+  } finally {
+    globalThis.fetch = originalFetch;
+  }
+});
+
+console.log('\n' + '='.repeat(70));
+console.log(`\n✅ Passed: ${passCount}`);
+console.log(`❌ Failed: ${failCount}`);
+console.log(`📊 Total:  ${passCount + failCount}`);
+
+if (failCount === 0) {
+  console.log('\n🎉 All tests passed!');
+} else {
+  process.exit(1);
+}
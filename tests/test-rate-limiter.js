@@ -0,0 +1,177 @@
+/**
+ * Tests for per-host rate limiting
+ *
+ * Covers Retry-After parsing and the token buckets of lib/rate-limiter.js with a fake
+ * clock: refilling, the robots.txt Crawl-delay cap, backing off on 429/503 and recovering.
+ *
+ * Run with: node test-rate-limiter.js
+ */
+
+import { HostRateLimiter, parseRetryAfter } from '../lib/rate-limiter.js';
+
+let passCount = 0;
+let failCount = 0;
+
+async function test(name, fn) {
+  try {
+    await fn();
+    console.log(`✅ ${name}`);
+    passCount++;
+  } catch (error) {
+    console.log(`❌ ${name}`);
+    console.log(`   Error: ${error.message}`);
+    failCount++;
+  }
+}
+
+function assertEqual(actual, expected, message = '') {
+  if (actual !== expected) {
+    throw new Error(`${message}\n   Expected: ${expected}\n   Actual: ${actual}`);
+  }
+}
+
+/**
+ * A limiter on a fake clock whose sleeps advance the clock instead of waiting
+ * @param {Object} [options] - Passed to HostRateLimiter
+ */
+function fakeLimiter(options = {}) {
+  const clock = { time: 1000000, slept: 0 };
+  const limiter = new HostRateLimiter({
+    ...options,
+    now: () => clock.time,
+    sleep: async (ms) => {
+      clock.time += ms;
+      clock.slept += ms;
+    }
+  });
+  return { limiter, clock };
+}
+
+const URL_A = 'https://docs.example.com/a';
+const URL_B = 'https://docs.example.com/b';
+const OTHER_HOST = 'https://api.example.com/a';
+
+console.log('='.repeat(70));
+console.log('RATE LIMITER TESTS');
+console.log('='.repeat(70) + '\n');
+
+await test('Retry-After in seconds and as an HTTP date', () => {
+  assertEqual(parseRetryAfter('120'), 120000, 'seconds');
+  assertEqual(parseRetryAfter(' 0 '), 0, 'zero with spaces');
+
+  const now = Date.parse('Wed, 21 Oct 2026 07:28:00 GMT');
+  assertEqual(parseRetryAfter('Wed, 21 Oct 2026 07:28:30 GMT', now), 30000, 'date in the future');
+  assertEqual(parseRetryAfter('Wed, 21 Oct 2026 07:27:00 GMT', now), 0, 'date in the past');
+});
+
+await test('missing or unreadable Retry-After values are null', () => {
+  assertEqual(parseRetryAfter(null), null, 'null');
+  assertEqual(parseRetryAfter(undefined), null, 'undefined');
+  assertEqual(parseRetryAfter(''), null, 'empty');
+  assertEqual(parseRetryAfter('soon'), null, 'text');
+});
+
+await test('a host gets its burst at once, then one request per refilled token', async () => {
+  const { limiter, clock } = fakeLimiter({ rate: 2, burst: 3 });
+
+  for (let i = 0; i < 3; i++) {
+    assertEqual(await limiter.acquire(URL_A), true, `burst request ${i + 1}`);
+  }
+  assertEqual(clock.slept, 0, 'the burst does not wait');
+
+  await limiter.acquire(URL_B);
+  assertEqual(clock.slept, 500, 'the next token takes 1/rate seconds');
+
+  clock.time += 10000;
+  limiter.refill(limiter.getBucket(URL_A));
+  assertEqual(limiter.getBucket(URL_A).tokens, 3, 'tokens never exceed the burst');
+});
+
+await test('hosts have separate buckets', async () => {
+  const { limiter, clock } = fakeLimiter({ rate: 1, burst: 1 });
+
+  await limiter.acquire(URL_A);
+  await limiter.acquire(OTHER_HOST);
+  assertEqual(clock.slept, 0, 'the other host still had its token');
+  assertEqual(limiter.getHostRates().length, 2);
+  assertEqual(limiter.getBucket('not a url'), null, 'unparseable URLs have no bucket');
+  assertEqual(await limiter.acquire('not a url'), true, 'and are not limited');
+});
+
+await test('a Crawl-delay caps the host at one request per interval', async () => {
+  const { limiter, clock } = fakeLimiter({ rate: 2, burst: 3 });
+  limiter.setMinInterval(URL_A, 5000);
+
+  const bucket = limiter.getBucket(URL_A);
+  assertEqual(bucket.maxRate, 0.2, 'rate ceiling');
+  assertEqual(bucket.capacity, 1, 'no burst');
+
+  await limiter.acquire(URL_A);
+  await limiter.acquire(URL_B);
+  assertEqual(clock.slept, 5000, 'the second request waits the full interval');
+
+  limiter.setMinInterval(OTHER_HOST, null);
+  assertEqual(limiter.getBucket(OTHER_HOST).capacity, 3, 'no Crawl-delay leaves the host alone');
+});
+
+await test('429/503 halve the rate and pause the host, doubling per consecutive hit', async () => {
+  const { limiter, clock } = fakeLimiter({ rate: 2, burst: 3 });
+
+  assertEqual(limiter.backOff(URL_A), 2000, 'first pause');
+  assertEqual(limiter.getBucket(URL_A).rate, 1, 'rate halved');
+  assertEqual(limiter.getHostRates()[0].backingOff, true);
+
+  assertEqual(limiter.backOff(URL_A), 4000, 'second pause doubles');
+  assertEqual(limiter.getBucket(URL_A).rate, 0.5);
+
+  for (let i = 0; i < 10; i++) limiter.backOff(URL_A);
+  assertEqual(limiter.getBucket(URL_A).rate, 0.1, 'never slower than the minimum rate');
+  assertEqual(limiter.getHostRates()[0].backoffCount, 12);
+
+  const start = clock.time;
+  await limiter.acquire(URL_A);
+  assertEqual(clock.time - start >= 60000, true, 'the next request waits out the pause');
+});
+
+await test('Retry-After sets the pause, up to its cap', async () => {
+  const { limiter, clock } = fakeLimiter();
+
+  assertEqual(limiter.backOff(URL_A, 7000), 7000, 'server-given pause');
+  assertEqual(limiter.getBucket(URL_A).blockedUntil, clock.time + 7000);
+
+  assertEqual(limiter.backOff(OTHER_HOST, 3600000), 120000, 'an hour is capped at two minutes');
+
+  let polls = 0;
+  const acquired = await limiter.acquire(URL_A, () => ++polls > 3);
+  assertEqual(acquired, false, 'cancelling stops the wait');
+  assertEqual(clock.slept, 3000, 'cancellation is checked every second');
+});
+
+await test('successful responses recover the rate step by step up to its ceiling', () => {
+  const { limiter } = fakeLimiter({ rate: 2, burst: 3 });
+  limiter.backOff(URL_A);
+  limiter.backOff(URL_A);
+  assertEqual(limiter.getBucket(URL_A).rate, 0.5);
+
+  limiter.recordSuccess(URL_A);
+  assertEqual(limiter.getBucket(URL_A).rate, 0.75, 'one step up');
+  assertEqual(limiter.backOff(URL_A), 2000, 'a success resets the doubling');
+
+  for (let i = 0; i < 20; i++) limiter.recordSuccess(URL_A);
+  assertEqual(limiter.getBucket(URL_A).rate, 2, 'back to the ceiling, not above');
+
+  limiter.setMinInterval(URL_B, 2000);
+  limiter.recordSuccess(URL_B);
+  assertEqual(limiter.getBucket(URL_B).rate, 0.5, 'a Crawl-delay ceiling holds');
+});
+
+console.log('\n' + '='.repeat(70));
+console.log(`\n✅ Passed: ${passCount}`);
+console.log(`❌ Failed: ${failCount}`);
+console.log(`📊 Total:  ${passCount + failCount}`);
+
+if (failCount === 0) {
+  console.log('\n🎉 All tests passed!');
+} else {
+  process.exit(1);
+}
@@ -0,0 +1,108 @@
+/**
+ * Tests for the retry policy of failed page fetches
+ *
+ * Covers classification of the error strings the crawler stores,
+ * exponential backoff delays and clamping of the retry options.
+ *
+ * Run with: node test-retry-policy.js
+ */
+
+import { classifyError, getRetryDelay, normalizeRetryOptions } from '../lib/retry-policy.js';
+
+let passCount = 0;
+let failCount = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`✅ ${name}`);
+    passCount++;
+  } catch (error) {
+    console.log(`❌ ${name}`);
+    console.log(`   Error: ${error.message}`);
+    failCount++;
+  }
+}
+
+function assertEqual(actual, expected, message = '') {
+  if (actual !== expected) {
+    throw new Error(`${message}\n   Expected: ${expected}\n   Actual: ${actual}`);
+  }
+}
+
+// Error strings as formatError() builds them from tab-fetcher errors
+function fetchError(cause) {
+  return `Error: Failed to fetch rendered content from https://example.com/docs: ${cause}`;
+}
+
+console.log('='.repeat(70));
+console.log('RETRY POLICY TESTS');
+console.log('='.repeat(70) + '\n');
+
+test('timeouts are transient', () => {
+  const result = classifyError(fetchError('Error: Timed out waiting for selectors: main'));
+  assertEqual(result.category, 'timeout');
+  assertEqual(result.transient, true);
+  assertEqual(classifyError('TimeoutError: Navigation timeout of 30000 ms exceeded').category, 'timeout');
+});
+
+test('debugger detach is transient', () => {
+  assertEqual(classifyError(fetchError('Error: Failed to attach debugger: Another debugger is already attached')).category, 'debugger');
+  assertEqual(classifyError(fetchError('Error: Detached while handling command.')).category, 'debugger');
+  assertEqual(classifyError(fetchError('Error: No tab with id: 1234.')).transient, true);
+
+  // A missing permission is not a detach and fails the same way every time
+  assertEqual(classifyError(fetchError('Error: chrome.tabs/debugger API not available - check permissions and reload extension')).transient, false);
+});
+
+test('network errors are transient', () => {
+  assertEqual(classifyError(fetchError('Error: net::ERR_CONNECTION_RESET')).category, 'network');
+  assertEqual(classifyError('TypeError: Failed to fetch').category, 'network');
+  assertEqual(classifyError(fetchError('Error: net::ERR_NAME_NOT_RESOLVED')).transient, true);
+});
+
+test('the fetch wrapper alone does not count as a network error', () => {
+  const result = classifyError(fetchError('Error: Failed to extract content from tab'));
+  assertEqual(result.category, 'extraction');
+  assertEqual(result.transient, false);
+});
+
+test('throttled pages are transient, storage errors are not', () => {
+  assertEqual(classifyError(fetchError('RateLimitError: Server responded with HTTP 429')).category, 'throttled');
+  assertEqual(classifyError(fetchError('RateLimitError: Server responded with HTTP 429')).transient, true);
+
+  const storage = classifyError('ConstraintError: Unable to add key to index \'canonicalUrl\'');
+  assertEqual(storage.category, 'storage');
+  assertEqual(storage.transient, false);
+});
+
+test('unrecognised errors are permanent', () => {
+  assertEqual(classifyError('Error: Something odd happened').category, 'unknown');
+  assertEqual(classifyError('Error: Something odd happened').transient, false);
+  assertEqual(classifyError(null).category, 'unknown');
+});
+
+test('backoff doubles per attempt and is capped', () => {
+  assertEqual(getRetryDelay(1, 1000), 1000, 'first retry');
+  assertEqual(getRetryDelay(2, 1000), 2000, 'second retry');
+  assertEqual(getRetryDelay(3, 1000), 4000, 'third retry');
+  assertEqual(getRetryDelay(10, 30000), 60000, 'capped');
+});
+
+test('retry options are clamped with defaults', () => {
+  assertEqual(JSON.stringify(normalizeRetryOptions({})), '{"maxRetries":2,"retryBaseDelay":2000}', 'defaults');
+  assertEqual(JSON.stringify(normalizeRetryOptions({ maxRetries: 0, retryBaseDelay: 500 })), '{"maxRetries":0,"retryBaseDelay":500}', 'zero retries');
+  assertEqual(JSON.stringify(normalizeRetryOptions({ maxRetries: 9, retryBaseDelay: 10 })), '{"maxRetries":5,"retryBaseDelay":250}', 'clamped');
+  assertEqual(normalizeRetryOptions({ maxRetries: null }).maxRetries, 2, 'null falls back to default');
+});
+
+console.log('\n' + '='.repeat(70));
+console.log(`\n✅ Passed: ${passCount}`);
+console.log(`❌ Failed: ${failCount}`);
+console.log(`📊 Total:  ${passCount + failCount}`);
+
+if (failCount === 0) {
+  console.log('\n🎉 All tests passed!');
+} else {
+  process.exit(1);
+}
@@ -0,0 +1,115 @@
+/**
+ * Tests for robots.txt parsing and rule matching (polite mode)
+ *
+ * Covers group selection, RFC 9309 longest-match precedence,
+ * wildcard/end-anchor patterns and Crawl-delay parsing.
+ *
+ * Run with: node test-robots-txt.js
+ */
+
+import { parseRobotsTxt, selectRobotsGroup, matchRobotsRules } from '../lib/robots.js';
+
+let passCount = 0;
+let failCount = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`✅ ${name}`);
+    passCount++;
+  } catch (error) {
+    console.log(`❌ ${name}`);
+    console.log(`   Error: ${error.message}`);
+    failCount++;
+  }
+}
+
+function assertEqual(actual, expected, message = '') {
+  if (actual !== expected) {
+    throw new Error(`${message}\n   Expected: ${expected}\n   Actual: ${actual}`);
+  }
+}
+
+const ROBOTS_TXT = `
+# Example robots.txt
+User-agent: *
+Disallow: /private
+Allow: /private/public
+Disallow: /*.pdf$
+Crawl-delay: 2
+
+User-agent: Webscribe
+User-agent: OtherBot
+Disallow: /drafts
+Crawl-delay: 5
+
+Sitemap: https://example.com/sitemap.xml
+`;
+
+console.log('='.repeat(70));
+console.log('ROBOTS.TXT TESTS');
+console.log('='.repeat(70) + '\n');
+
+test('parses groups, shared user-agents and sitemaps', () => {
+  const parsed = parseRobotsTxt(ROBOTS_TXT);
+  assertEqual(parsed.groups.length, 2, 'group count');
+  assertEqual(parsed.groups[1].userAgents.join(','), 'webscribe,otherbot', 'shared group agents');
+  assertEqual(parsed.sitemaps[0], 'https://example.com/sitemap.xml', 'sitemap');
+});
+
+test('prefers the webscribe group over *', () => {
+  const group = selectRobotsGroup(parseRobotsTxt(ROBOTS_TXT));
+  assertEqual(group.rules.length, 1, 'rule count');
+  assertEqual(group.rules[0].pattern, '/drafts', 'rule pattern');
+  assertEqual(group.crawlDelay, 5, 'crawl delay');
+});
+
+test('falls back to the * group', () => {
+  const group = selectRobotsGroup(parseRobotsTxt(ROBOTS_TXT), 'somebot');
+  assertEqual(group.rules.length, 3, 'rule count');
+  assertEqual(group.crawlDelay, 2, 'crawl delay');
+});
+
+test('longest match wins (Allow overrides shorter Disallow)', () => {
+  const { rules } = selectRobotsGroup(parseRobotsTxt(ROBOTS_TXT), 'somebot');
+  assertEqual(matchRobotsRules(rules, '/private/page').allowed, false, '/private/page');
+  assertEqual(matchRobotsRules(rules, '/private/page').rule, 'Disallow: /private', 'blocking rule');
+  assertEqual(matchRobotsRules(rules, '/private/public/page').allowed, true, '/private/public/page');
+});
+
+test('Allow wins a tie of equal length', () => {
+  const rules = [
+    { type: 'disallow', pattern: '/page' },
+    { type: 'allow', pattern: '/page' }
+  ];
+  assertEqual(matchRobotsRules(rules, '/page').allowed, true);
+});
+
+test('supports * wildcards and $ end anchors', () => {
+  const { rules } = selectRobotsGroup(parseRobotsTxt(ROBOTS_TXT), 'somebot');
+  assertEqual(matchRobotsRules(rules, '/docs/guide.pdf').allowed, false, '/docs/guide.pdf');
+  assertEqual(matchRobotsRules(rules, '/docs/guide.pdf.html').allowed, true, '/docs/guide.pdf.html');
+});
+
+test('empty Disallow allows everything', () => {
+  const group = selectRobotsGroup(parseRobotsTxt('User-agent: *\nDisallow:\n'));
+  assertEqual(group.rules.length, 0, 'rule count');
+  assertEqual(matchRobotsRules(group.rules, '/anything').allowed, true);
+});
+
+test('missing or empty robots.txt allows everything', () => {
+  const group = selectRobotsGroup(parseRobotsTxt(''));
+  assertEqual(matchRobotsRules(group.rules, '/').allowed, true);
+  assertEqual(group.crawlDelay, null, 'crawl delay');
+});
+
+console.log('\n' + '='.repeat(70));
+console.log(`\n✅ Passed: ${passCount}`);
+console.log(`❌ Failed: ${failCount}`);
+console.log(`📊 Total:  ${passCount + failCount}`);
+
+if (failCount === 0) {
+  console.log('\n🎉 All tests passed!');
+} else {
+  process.exit(1);
+}
@@ -0,0 +1,116 @@
+/**
+ * Tests for recurring crawl schedules
+ *
+ * Covers cron parsing, schedule validation and next-run computation
+ * for daily, weekly and cron schedules (local time).
+ *
+ * Run with: node test-schedule.js
+ */
+
+import { parseCron, normalizeSchedule, computeNextRun } from '../lib/schedule.js';
+
+let passCount = 0;
+let failCount = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`✅ ${name}`);
+    passCount++;
+  } catch (error) {
+    console.log(`❌ ${name}`);
+    console.log(`   Error: ${error.message}`);
+    failCount++;
+  }
+}
+
+function assertEqual(actual, expected, message = '') {
+  if (actual !== expected) {
+    throw new Error(`${message}\n   Expected: ${expected}\n   Actual: ${actual}`);
+  }
+}
+
+function assertThrows(fn, message = '') {
+  try {
+    fn();
+  } catch (error) {
+    return;
+  }
+  throw new Error(`${message}\n   Expected an error to be thrown`);
+}
+
+// Local-time timestamps (2026-03-04 is a Wednesday)
+function at(year, month, day, hour = 0, minute = 0) {
+  return new Date(year, month - 1, day, hour, minute).getTime();
+}
+
+function formatLocal(timestamp) {
+  const date = new Date(timestamp);
+  const pad = (value) => String(value).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+console.log('='.repeat(70));
+console.log('SCHEDULE TESTS');
+console.log('='.repeat(70) + '\n');
+
+test('parses cron lists, ranges and steps', () => {
+  const cron = parseCron('*/15 9-17 1,15 * 1-5');
+  assertEqual(cron.minutes.join(','), '0,15,30,45', 'minutes');
+  assertEqual(cron.hours.length, 9, 'hours');
+  assertEqual(cron.daysOfMonth.join(','), '1,15', 'days of month');
+  assertEqual(cron.daysOfWeek.join(','), '1,2,3,4,5', 'days of week');
+  assertEqual(cron.domWildcard, false, 'dom wildcard');
+});
+
+test('treats day-of-week 7 as Sunday', () => {
+  assertEqual(parseCron('0 0 * * 7').daysOfWeek.join(','), '0');
+});
+
+test('rejects malformed cron expressions', () => {
+  assertThrows(() => parseCron('0 3 * *'), 'four fields');
+  assertThrows(() => parseCron('60 3 * * *'), 'minute out of range');
+  assertThrows(() => parseCron('0 3 * * mon'), 'names are not supported');
+});
+
+test('normalizes and validates schedules', () => {
+  const weekly = normalizeSchedule({ type: 'weekly', time: '7:05', dayOfWeek: '2', cron: 'ignored' });
+  assertEqual(JSON.stringify(weekly), '{"type":"weekly","time":"07:05","dayOfWeek":2}', 'weekly');
+  assertThrows(() => normalizeSchedule({ type: 'daily', time: '25:00' }), 'invalid time');
+  assertThrows(() => normalizeSchedule({ type: 'weekly', time: '03:00', dayOfWeek: 7 }), 'invalid day');
+  assertThrows(() => normalizeSchedule({ type: 'hourly' }), 'unknown type');
+});
+
+test('daily runs later today or tomorrow', () => {
+  const schedule = { type: 'daily', time: '03:00' };
+  assertEqual(formatLocal(computeNextRun(schedule, at(2026, 3, 4, 1, 30))), '2026-03-04 03:00', 'before');
+  assertEqual(formatLocal(computeNextRun(schedule, at(2026, 3, 4, 3, 0))), '2026-03-05 03:00', 'at the time');
+});
+
+test('weekly runs on the next matching weekday', () => {
+  const schedule = { type: 'weekly', time: '08:30', dayOfWeek: 1 };
+  assertEqual(formatLocal(computeNextRun(schedule, at(2026, 3, 4, 12))), '2026-03-09 08:30');
+});
+
+test('cron restricted by both day fields matches either', () => {
+  // 1st of the month OR Fridays
+  const schedule = { type: 'cron', cron: '0 6 1 * 5' };
+  assertEqual(formatLocal(computeNextRun(schedule, at(2026, 3, 4, 12))), '2026-03-06 06:00', 'next Friday');
+  assertEqual(formatLocal(computeNextRun(schedule, at(2026, 3, 28, 12))), '2026-04-01 06:00', 'next 1st');
+});
+
+test('cron steps within the same day', () => {
+  const schedule = { type: 'cron', cron: '*/20 * * * *' };
+  assertEqual(formatLocal(computeNextRun(schedule, at(2026, 3, 4, 10, 41))), '2026-03-04 11:00');
+});
+
+console.log('\n' + '='.repeat(70));
+console.log(`\n✅ Passed: ${passCount}`);
+console.log(`❌ Failed: ${failCount}`);
+console.log(`📊 Total:  ${passCount + failCount}`);
+
+if (failCount === 0) {
+  console.log('\n🎉 All tests passed!');
+} else {
+  process.exit(1);
+}
@@ -0,0 +1,170 @@
+/**
+ * Tests for full-page screenshots
+ *
+ * Covers checking the settings, planning the capture of short and very tall pages,
+ * keeping images under the size cap with retakes, and turning the captured base64
+ * data into a Blob for IndexedDB (lib/screenshots.js).
+ *
+ * Run with: node test-screenshots.js
+ */
+
+import {
+  normalizeScreenshotSettings,
+  planScreenshot,
+  captureWithinLimits,
+  base64ByteLength,
+  base64ToBlob,
+  screenshotMimeType,
+  DEFAULT_SCREENSHOT_QUALITY,
+  DEFAULT_SCREENSHOT_MAX_BYTES,
+  DEFAULT_SCREENSHOT_MAX_HEIGHT,
+  MAX_SCREENSHOT_MAX_BYTES
+} from '../lib/screenshots.js';
+
+let passCount = 0;
+let failCount = 0;
+
+async function test(name, fn) {
+  try {
+    await fn();
+    console.log(`✅ ${name}`);
+    passCount++;
+  } catch (error) {
+    console.log(`❌ ${name}`);
+    console.log(`   Error: ${error.message}`);
+    failCount++;
+  }
+}
+
+function assertEqual(actual, expected, message = '') {
+  if (actual !== expected) {
+    throw new Error(`${message}\n   Expected: ${expected}\n   Actual: ${actual}`);
+  }
+}
+
+function assertThrows(fn, message = '') {
+  try {
+    fn();
+  } catch (error) {
+    return error;
+  }
+  throw new Error(`${message}\n   Expected an error`);
+}
+
+/**
+ * A capture function whose image size grows with the quality and the pixel count
+ * @param {number} bytesPerPixel - Bytes per image pixel at quality 100
+ */
+function fakeCapture(bytesPerPixel) {
+  const calls = [];
+  const capture = async ({ format, quality, clip }) => {
+    calls.push({ format, quality, scale: clip.scale });
+    const pixels = clip.width * clip.scale * clip.height * clip.scale;
+    const bytes = Math.round(pixels * bytesPerPixel * quality / 100);
+    return Buffer.alloc(bytes).toString('base64');
+  };
+  return { capture, calls };
+}
+
+console.log('='.repeat(70));
+console.log('SCREENSHOT TESTS');
+console.log('='.repeat(70) + '\n');
+
+await test('the defaults and caps of the settings', () => {
+  const defaults = normalizeScreenshotSettings(true);
+  assertEqual(defaults.format, 'webp');
+  assertEqual(defaults.quality, DEFAULT_SCREENSHOT_QUALITY);
+  assertEqual(defaults.maxBytes, DEFAULT_SCREENSHOT_MAX_BYTES);
+  assertEqual(defaults.maxHeight, DEFAULT_SCREENSHOT_MAX_HEIGHT);
+  assertEqual(normalizeScreenshotSettings({ format: 'jpeg' }).format, 'jpeg');
+  assertEqual(normalizeScreenshotSettings({ quality: 250 }).quality, 100, 'capped');
+  assertEqual(normalizeScreenshotSettings({ maxBytes: 50 * 1024 * 1024 }).maxBytes, MAX_SCREENSHOT_MAX_BYTES, 'capped');
+});
+
+await test('malformed settings are rejected', () => {
+  const format = assertThrows(() => normalizeScreenshotSettings({ format: 'png' }), 'unsupported format');
+  assertEqual(format.message, 'screenshots.format must be one of: webp, jpeg');
+  assertThrows(() => normalizeScreenshotSettings('yes'), 'a string');
+  assertThrows(() => normalizeScreenshotSettings([]), 'an array');
+  assertThrows(() => normalizeScreenshotSettings({ quality: '70' }), 'quality not a number');
+  assertThrows(() => normalizeScreenshotSettings({ maxHeight: 0 }), 'zero height');
+});
+
+await test('a short page is taken whole, with retakes at a lower quality, then smaller', () => {
+  const plan = planScreenshot({ width: 1280, height: 3000.5 }, normalizeScreenshotSettings(true));
+  assertEqual(JSON.stringify(plan.clip), JSON.stringify({ x: 0, y: 0, width: 1280, height: 3001 }));
+  assertEqual(plan.clipped, false);
+  assertEqual(plan.attempts.map(({ quality, scale }) => `${quality}@${scale}`).join(' '), '70@1 42@1 42@0.75 42@0.5');
+
+  const low = planScreenshot({ width: 1280, height: 800 }, normalizeScreenshotSettings({ quality: 20 }));
+  assertEqual(low.attempts.map(({ quality }) => quality).join(','), '20,20,20', 'the quality is never raised');
+});
+
+await test('a very tall page is cut at the height limit and scaled to fit the format', () => {
+  const cut = planScreenshot({ width: 1280, height: 60000 }, normalizeScreenshotSettings(true));
+  assertEqual(cut.clip.height, DEFAULT_SCREENSHOT_MAX_HEIGHT);
+  assertEqual(cut.clipped, true);
+  assertEqual(cut.attempts[0].scale, 16383 / DEFAULT_SCREENSHOT_MAX_HEIGHT, 'WebP images are at most 16383 px high');
+
+  const jpeg = planScreenshot({ width: 1280, height: 60000 }, normalizeScreenshotSettings({ format: 'jpeg' }));
+  assertEqual(jpeg.attempts[0].scale, 1, 'JPEG allows taller images');
+});
+
+await test('the first capture under the size cap is kept', async () => {
+  const { capture, calls } = fakeCapture(0.3);
+  const settings = normalizeScreenshotSettings({ maxBytes: 500 * 1024 });
+  const screenshot = await captureWithinLimits(capture, { width: 1280, height: 2000 }, settings);
+  // 1280x2000 at 0.3 bytes per pixel: 537600 bytes at quality 70, 322560 at 42
+  assertEqual(calls.length, 2);
+  assertEqual(screenshot.quality, 42);
+  assertEqual(screenshot.scale, 1);
+  assertEqual(screenshot.bytes, 322560);
+  assertEqual(`${screenshot.width}x${screenshot.height}`, '1280x2000');
+  assertEqual(screenshot.attempts, 2);
+  assertEqual(screenshot.format, 'webp');
+  assertEqual(calls.every(call => call.format === 'webp'), true);
+});
+
+await test('smaller scales are tried once the quality is lowered', async () => {
+  const { capture, calls } = fakeCapture(1);
+  const settings = normalizeScreenshotSettings({ format: 'jpeg', maxBytes: 300 * 1024 });
+  const screenshot = await captureWithinLimits(capture, { width: 1000, height: 1500 }, settings);
+  assertEqual(calls.map(call => call.scale).join(','), '1,1,0.75,0.5');
+  assertEqual(screenshot.scale, 0.5);
+  assertEqual(`${screenshot.width}x${screenshot.height}`, '500x750');
+  assertEqual(screenshot.bytes <= settings.maxBytes, true);
+});
+
+await test('pages that never fit, and empty pages, get no screenshot', async () => {
+  const { capture, calls } = fakeCapture(5);
+  const settings = normalizeScreenshotSettings({ maxBytes: 10 * 1024 });
+  assertEqual(await captureWithinLimits(capture, { width: 1280, height: 5000 }, settings), null);
+  assertEqual(calls.length, 4, 'every attempt was tried');
+
+  const empty = fakeCapture(1);
+  assertEqual(await captureWithinLimits(empty.capture, { width: 1280, height: 0 }, settings), null);
+  assertEqual(empty.calls.length, 0, 'nothing captured');
+});
+
+await test('captured data is measured and stored as an image Blob', async () => {
+  assertEqual(base64ByteLength(Buffer.from('abcd').toString('base64')), 4, 'two padding characters');
+  assertEqual(base64ByteLength(Buffer.from('abcde').toString('base64')), 5, 'one padding character');
+  assertEqual(base64ByteLength(Buffer.from('abcdef').toString('base64')), 6, 'no padding');
+
+  const bytes = Buffer.from([0x52, 0x49, 0x46, 0x46, 0x00, 0xff, 0x10]);
+  const blob = base64ToBlob(bytes.toString('base64'), screenshotMimeType('webp'));
+  assertEqual(blob.type, 'image/webp');
+  assertEqual(blob.size, bytes.length);
+  assertEqual(Buffer.from(await blob.arrayBuffer()).equals(bytes), true, 'same bytes back');
+});
+
+console.log('\n' + '='.repeat(70));
+console.log(`\n✅ Passed: ${passCount}`);
+console.log(`❌ Failed: ${failCount}`);
+console.log(`📊 Total:  ${passCount + failCount}`);
+
+if (failCount === 0) {
+  console.log('\n🎉 All tests passed!');
+} else {
+  process.exit(1);
+}
@@ -0,0 +1,89 @@
+/**
+ * Tests for the crawl settings helpers
+ *
+ * Covers turning optional feature settings (true, false or an object) into options and
+ * checking their numeric limits (lib/utils.js), shared by the screenshot, archive, PDF,
+ * infinite scroll and API recording settings.
+ *
+ * Run with: node test-settings.js
+ */
+
+import { optionalSettings, normalizeLimit } from '../lib/utils.js';
+
+let passCount = 0;
+let failCount = 0;
+
+async function test(name, fn) {
+  try {
+    await fn();
+    console.log(`✅ ${name}`);
+    passCount++;
+  } catch (error) {
+    console.log(`❌ ${name}`);
+    console.log(`   Error: ${error.message}`);
+    failCount++;
+  }
+}
+
+function assertEqual(actual, expected, message = '') {
+  if (actual !== expected) {
+    throw new Error(`${message}\n   Expected: ${expected}\n   Actual: ${actual}`);
+  }
+}
+
+function assertThrows(fn, message = '') {
+  try {
+    fn();
+  } catch (error) {
+    return error;
+  }
+  throw new Error(`${message}\n   Expected an error`);
+}
+
+console.log('='.repeat(70));
+console.log('CRAWL SETTINGS TESTS');
+console.log('='.repeat(70) + '\n');
+
+await test('true means the defaults, and false, null or nothing turns a feature off', () => {
+  assertEqual(JSON.stringify(optionalSettings(true, 'screenshots')), '{}');
+  const options = { maxBytes: 2048 };
+  assertEqual(optionalSettings(options, 'screenshots'), options, 'objects are passed through');
+  assertEqual(optionalSettings(false, 'screenshots'), null);
+  assertEqual(optionalSettings(null, 'screenshots'), null);
+  assertEqual(optionalSettings(undefined, 'screenshots'), null);
+});
+
+await test('other values are rejected with the setting name', () => {
+  const text = assertThrows(() => optionalSettings('yes', 'archives'), 'a string');
+  assertEqual(text.message, 'archives must be true, false or an object');
+  assertThrows(() => optionalSettings([], 'archives'), 'an array');
+  assertThrows(() => optionalSettings(1, 'archives'), 'a number');
+});
+
+await test('limits are rounded and kept within their bounds', () => {
+  assertEqual(normalizeLimit(undefined, 'pdfs.maxPages', 500, 1, 5000), 500, 'default');
+  assertEqual(normalizeLimit(20.4, 'pdfs.maxPages', 500, 1, 5000), 20, 'rounded');
+  assertEqual(normalizeLimit(1e9, 'pdfs.maxPages', 500, 1, 5000), 5000, 'capped');
+  assertEqual(normalizeLimit(0.2, 'pdfs.maxPages', 500, 1, 5000), 1, 'raised to the minimum');
+  assertEqual(normalizeLimit(10, 'archives.maxBytes', 20, 1024, 4096), 1024, 'raised to the minimum');
+});
+
+await test('limits that are not positive numbers are rejected with their label', () => {
+  const text = assertThrows(() => normalizeLimit('30s', 'infiniteScroll.timeBudget', 30000, 1, 120000), 'a string');
+  assertEqual(text.message, 'infiniteScroll.timeBudget must be a positive number');
+  assertThrows(() => normalizeLimit(0, 'screenshots.maxHeight', 20000, 1, 100000), 'zero');
+  assertThrows(() => normalizeLimit(-1, 'screenshots.maxHeight', 20000, 1, 100000), 'negative');
+  assertThrows(() => normalizeLimit(NaN, 'screenshots.maxHeight', 20000, 1, 100000), 'NaN');
+  assertThrows(() => normalizeLimit(null, 'screenshots.maxHeight', 20000, 1, 100000), 'null');
+});
+
+console.log('\n' + '='.repeat(70));
+console.log(`\n✅ Passed: ${passCount}`);
+console.log(`❌ Failed: ${failCount}`);
+console.log(`📊 Total:  ${passCount + failCount}`);
+
+if (failCount === 0) {
+  console.log('\n🎉 All tests passed!');
+} else {
+  process.exit(1);
+}
@@ -0,0 +1,134 @@
+/**
+ * Tests for near-duplicate detection
+ *
+ * Covers SimHash fingerprints of page text, fingerprint similarity,
+ * finding the closest saved page and grouping a job's pages.
+ *
+ * Run with: node test-similarity.js
+ */
+
+import {
+  computeSimilarityHash,
+  getSimilarity,
+  findNearDuplicate,
+  groupNearDuplicates,
+  normalizeNearDuplicateThreshold
+} from '../lib/similarity.js';
+
+let passCount = 0;
+let failCount = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`✅ ${name}`);
+    passCount++;
+  } catch (error) {
+    console.log(`❌ ${name}`);
+    console.log(`   Error: ${error.message}`);
+    failCount++;
+  }
+}
+
+function assertEqual(actual, expected, message = '') {
+  if (actual !== expected) {
+    throw new Error(`${message}\n   Expected: ${expected}\n   Actual: ${actual}`);
+  }
+}
+
+const GUIDE = `Getting started. Install the extension and open the popup. Enter the URL of the
+documentation you want to capture and press start. The crawler discovers pages from the sitemap
+and from the links on each page, renders every page in a background tab and stores its text and
+markdown. When the capture completes, export the pages as one markdown file or as a zip archive.
+Advanced options control the number of workers, the page limit and which URLs are followed.`;
+
+const PRICING = `Pricing. The free plan includes one hundred captures per month. Paid plans add
+scheduled updates, team sharing and priority support. All plans include markdown export, full text
+search and the content picker. Contact sales for volume discounts, invoices and custom contracts.`;
+
+console.log('='.repeat(70));
+console.log('NEAR-DUPLICATE DETECTION TESTS');
+console.log('='.repeat(70) + '\n');
+
+test('fingerprints are 64-bit hex and ignore case and punctuation', () => {
+  const hash = computeSimilarityHash(GUIDE);
+  assertEqual(/^[0-9a-f]{16}$/.test(hash), true, 'format');
+  assertEqual(computeSimilarityHash(GUIDE.toUpperCase().replace(/\./g, '!')), hash);
+  assertEqual(computeSimilarityHash('   '), null, 'no words');
+  assertEqual(computeSimilarityHash(null), null);
+});
+
+test('a changed timestamp keeps pages similar', () => {
+  const monday = computeSimilarityHash(GUIDE + ' Last edited on 2024-05-06 at 09:12.');
+  const friday = computeSimilarityHash(GUIDE + ' Last edited on 2024-05-10 at 17:45.');
+  assertEqual(getSimilarity(monday, friday) >= 0.9, true, `similarity ${getSimilarity(monday, friday)}`);
+});
+
+test('different pages are not similar', () => {
+  const similarity = getSimilarity(computeSimilarityHash(GUIDE), computeSimilarityHash(PRICING));
+  assertEqual(similarity < 0.75, true, `similarity ${similarity}`);
+});
+
+test('similarity counts matching bits', () => {
+  assertEqual(getSimilarity('0000000000000000', '0000000000000000'), 1);
+  assertEqual(getSimilarity('0000000000000000', 'ffffffffffffffff'), 0);
+  assertEqual(getSimilarity('0000000000000000', '000000000000000f'), 1 - 4 / 64, 'four bits differ');
+  assertEqual(getSimilarity('0000000000000000', null), null, 'missing fingerprint');
+});
+
+test('the most similar entry above the threshold is found', () => {
+  const entries = [
+    { id: 'far', similarityHash: '00000000ffffffff' },
+    { id: 'near', similarityHash: '0000000000000003' },
+    { id: 'nearest', similarityHash: '0000000000000001' }
+  ];
+  const match = findNearDuplicate('0000000000000000', entries, 0.9);
+  assertEqual(match.entry.id, 'nearest');
+  assertEqual(match.similarity, 1 - 1 / 64);
+  assertEqual(findNearDuplicate('ffffffff00000000', entries, 0.9), null, 'nothing close enough');
+});
+
+test('pages are grouped transitively with the earliest page first', () => {
+  const pages = [
+    { id: 'b', similarityHash: '0000000000000007', extractedAt: 2 },
+    { id: 'a', similarityHash: '0000000000000000', extractedAt: 1 },
+    { id: 'c', similarityHash: '000000000000003f', extractedAt: 3 },
+    { id: 'other', similarityHash: 'ffffffff00000000', extractedAt: 4 },
+    { id: 'unhashed', similarityHash: null, extractedAt: 5 }
+  ];
+  // a~b (3 bits) and b~c (3 bits), but a and c differ by 6 bits
+  const groups = groupNearDuplicates(pages, 1 - 3 / 64);
+  assertEqual(groups.length, 1, 'single pages are not groups');
+  assertEqual(groups[0].map(member => member.page.id).join(','), 'a,b,c');
+  assertEqual(groups[0][0].similarity, 1, 'first page');
+  assertEqual(groups[0][2].similarity, 1 - 6 / 64, 'similarity to the first page');
+});
+
+test('a high threshold keeps only close pages together', () => {
+  const pages = [
+    { id: 'a', similarityHash: '0000000000000000', extractedAt: 1 },
+    { id: 'b', similarityHash: '0000000000000001', extractedAt: 2 },
+    { id: 'c', similarityHash: '00000000000000ff', extractedAt: 3 }
+  ];
+  assertEqual(groupNearDuplicates(pages, 0.95).map(group => group.length).join(','), '2');
+  assertEqual(groupNearDuplicates(pages, 1).length, 0, 'identical fingerprints only');
+});
+
+test('threshold is clamped, missing means off', () => {
+  assertEqual(normalizeNearDuplicateThreshold(undefined), null);
+  assertEqual(normalizeNearDuplicateThreshold(null), null);
+  assertEqual(normalizeNearDuplicateThreshold(0.2), 0.75, 'min');
+  assertEqual(normalizeNearDuplicateThreshold(1.5), 1, 'max');
+  assertEqual(normalizeNearDuplicateThreshold(0.92), 0.92);
+});
+
+console.log('\n' + '='.repeat(70));
+console.log(`\n✅ Passed: ${passCount}`);
+console.log(`❌ Failed: ${failCount}`);
+console.log(`📊 Total:  ${passCount + failCount}`);
+
+if (failCount === 0) {
+  console.log('\n🎉 All tests passed!');
+} else {
+  process.exit(1);
+}
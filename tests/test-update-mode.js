@@ -0,0 +1,210 @@
+/**
+ * Tests for update-job mode
+ *
+ * Covers CrawlJob.refreshKnownPage(), recordChange() and getUpdateSummary() in
+ * lib/crawler.js with the page fetch stubbed and storage/db.js on an in-memory IndexedDB
+ * stub: how known pages are classified and the change summary stored on the job.
+ *
+ * Run with: node test-update-mode.js
+ */
+
+import { CrawlJob } from '../lib/crawler.js';
+import { getPage } from '../storage/db.js';
+import { extractContent } from '../lib/extractor-simple.js';
+import { computeContentHash } from '../lib/utils.js';
+
+let passCount = 0;
+let failCount = 0;
+
+async function test(name, fn) {
+  try {
+    await fn();
+    console.log(`✅ ${name}`);
+    passCount++;
+  } catch (error) {
+    console.log(`❌ ${name}`);
+    console.log(`   Error: ${error.message}`);
+    failCount++;
+  }
+}
+
+function assertEqual(actual, expected, message = '') {
+  if (actual !== expected) {
+    throw new Error(`${message}\n   Expected: ${expected}\n   Actual: ${actual}`);
+  }
+}
+
+/**
+ * Just enough of IndexedDB for the jobs and pages stores: object stores keep
+ * structured clones of the records by id, answering requests asynchronously
+ */
+function stubIndexedDB() {
+  const stores = new Map();
+  const respond = (request, result) => {
+    setTimeout(() => {
+      request.result = result;
+      request.onsuccess?.({ target: request });
+    }, 0);
+    return request;
+  };
+  const objectStore = (name) => {
+    if (!stores.has(name)) stores.set(name, new Map());
+    const records = stores.get(name);
+    return {
+      put: (record) => respond({}, records.set(record.id, structuredClone(record)) && record.id),
+      get: (key) => respond({}, structuredClone(records.get(key)))
+    };
+  };
+  const db = { transaction: () => ({ objectStore }) };
+
+  globalThis.indexedDB = { open: () => respond({}, db) };
+  return stores;
+}
+
+const stores = stubIndexedDB();
+
+const BASE = 'https://docs.example.com/guide/';
+const page = (path) => `https://docs.example.com/guide/${path}`;
+const CAPTURED_AT = Date.parse('2026-03-01T00:00:00Z');
+const OLD_TEXT = 'Install the package with npm, then import it in your build configuration.';
+
+/**
+ * An update run of job-1 that already has the given pages, each captured with OLD_TEXT
+ * @param {Object<string, string>} statuses - path → stored page status
+ * @param {Function} fetchUrl - Stands in for CrawlJob.fetchUrl
+ */
+async function updateRun(statuses, fetchUrl) {
+  const contentHash = await computeContentHash(extractContent(OLD_TEXT, BASE));
+  const crawl = new CrawlJob(BASE, { updateExisting: true });
+  crawl.jobId = 'job-1';
+  crawl.fetchUrl = fetchUrl;
+
+  for (const [path, status] of Object.entries(statuses)) {
+    const url = page(path);
+    const stored = { id: `page-${path}`, jobId: 'job-1', url, status, extractedAt: CAPTURED_AT, contentHash, content: OLD_TEXT, html: '<p>old</p>' };
+    stores.get('pages').set(stored.id, stored);
+    crawl.existingPages.set(url, { id: stored.id, status, extractedAt: CAPTURED_AT, contentHash });
+    if (status !== 'removed') crawl.existingActiveCount++;
+  }
+  return crawl;
+}
+
+const serve = (text, httpStatus = 200) => async () => ({ html: `<main><p>${text}</p></main>`, text, links: [], httpStatus });
+
+stores.set('pages', new Map());
+stores.set('jobs', new Map());
+
+console.log('='.repeat(70));
+console.log('UPDATE MODE TESTS');
+console.log('='.repeat(70) + '\n');
+
+await test('a page whose sitemap lastmod predates the capture is not fetched', async () => {
+  const crawl = await updateRun({ intro: 'success' }, async () => {
+    throw new Error('should not be fetched');
+  });
+  crawl.sitemapMeta.set(page('intro'), { lastmod: CAPTURED_AT - 1000 });
+
+  await crawl.refreshKnownPage(page('intro'), crawl.existingPages.get(page('intro')));
+
+  assertEqual(crawl.changes.unchanged, 1);
+  assertEqual(crawl.completed.has(page('intro')), true);
+  assertEqual(typeof (await getPage('page-intro')).lastCheckedAt, 'number', 'checked time stored');
+});
+
+await test('a page with the same content hash is unchanged and keeps its content', async () => {
+  const crawl = await updateRun({ intro: 'success' }, serve(OLD_TEXT));
+  await crawl.refreshKnownPage(page('intro'), crawl.existingPages.get(page('intro')));
+
+  assertEqual(crawl.changes.unchanged, 1);
+  assertEqual(crawl.changes.changed, 0);
+  assertEqual((await getPage('page-intro')).extractedAt, CAPTURED_AT, 'not rewritten');
+});
+
+await test('a page with new content is updated in place and counted as changed', async () => {
+  const text = 'Install the package with pnpm instead, the npm instructions no longer apply.';
+  const crawl = await updateRun({ intro: 'success' }, serve(text));
+  await crawl.refreshKnownPage(page('intro'), crawl.existingPages.get(page('intro')));
+
+  const stored = await getPage('page-intro');
+  assertEqual(crawl.changes.changed, 1);
+  assertEqual(crawl.changedUrls.changed.join(), page('intro'));
+  assertEqual(stored.content.includes('pnpm'), true, 'new content');
+  assertEqual(stored.contentHash !== crawl.existingPages.get(page('intro')).contentHash, true, 'new hash');
+  assertEqual(stored.status, 'success');
+});
+
+await test('404 and 410 responses mark a page removed, once', async () => {
+  const crawl = await updateRun({ gone: 'success', moved: 'success', old: 'removed' }, async (url) =>
+    ({ html: '', text: '', links: [], httpStatus: url.endsWith('gone') ? 404 : 410 }));
+
+  for (const path of ['gone', 'moved', 'old']) {
+    await crawl.refreshKnownPage(page(path), crawl.existingPages.get(page(path)));
+  }
+
+  assertEqual(crawl.changes.removed, 2, 'an already removed page is not counted again');
+  assertEqual((await getPage('page-gone')).status, 'removed');
+  assertEqual(typeof (await getPage('page-moved')).removedAt, 'number');
+  assertEqual(crawl.changedUrls.removed.join(' '), [page('gone'), page('moved')].join(' '));
+});
+
+await test('a removed page that comes back counts as added', async () => {
+  const crawl = await updateRun({ back: 'removed' }, serve(OLD_TEXT));
+  await crawl.refreshKnownPage(page('back'), crawl.existingPages.get(page('back')));
+
+  assertEqual(crawl.changes.added, 1);
+  assertEqual(crawl.changes.unchanged, 0, 'same content, but it was gone');
+  const stored = await getPage('page-back');
+  assertEqual(stored.status, 'success');
+  assertEqual(stored.removedAt, null);
+});
+
+await test('the summary counts every kind of change and the pages the job now has', async () => {
+  stores.get('jobs').set('job-1', { id: 'job-1', updateHistory: [{ startedAt: 1, changed: 4 }] });
+  const crawl = await updateRun({ a: 'success', b: 'success', c: 'success', d: 'removed' }, serve(OLD_TEXT));
+  crawl.updateStartedAt = CAPTURED_AT;
+  crawl.recordChange('added', page('new'));
+  crawl.recordChange('changed', page('a'));
+  crawl.recordChange('unchanged', page('b'));
+  crawl.recordChange('removed', page('c'));
+  crawl.failed.add(page('broken'));
+
+  const summary = await crawl.getUpdateSummary();
+  const { lastUpdate } = summary;
+  assertEqual([lastUpdate.added, lastUpdate.changed, lastUpdate.unchanged, lastUpdate.removed, lastUpdate.failed].join(), '1,1,1,1,1');
+  assertEqual(lastUpdate.addedUrls.join(), page('new'));
+  assertEqual(lastUpdate.removedUrls.join(), page('c'));
+  assertEqual(lastUpdate.complete, true);
+  assertEqual(summary.pagesProcessed, 3, '3 known + 1 added - 1 removed');
+  assertEqual(summary.updateHistory.length, 2, 'earlier runs kept');
+  assertEqual(summary.updateHistory[0].startedAt, CAPTURED_AT, 'newest first');
+  assertEqual(summary.updateHistory[0].addedUrls, undefined, 'history keeps counts only');
+});
+
+await test('URL lists are capped while counts keep going', async () => {
+  const crawl = await updateRun({}, serve(OLD_TEXT));
+  for (let i = 0; i < 250; i++) crawl.recordChange('changed', page(`p${i}`));
+
+  assertEqual(crawl.changes.changed, 250);
+  assertEqual(crawl.changedUrls.changed.length, 200);
+  assertEqual(crawl.changedUrls.changed[199], page('p199'));
+});
+
+await test('a cancelled run is incomplete, and normal crawls have no summary', async () => {
+  const crawl = await updateRun({}, serve(OLD_TEXT));
+  crawl.isCancelled = true;
+  assertEqual((await crawl.getUpdateSummary()).lastUpdate.complete, false);
+
+  const normal = new CrawlJob(BASE);
+  assertEqual(Object.keys(await normal.getUpdateSummary()).length, 0);
+});
+
+console.log('\n' + '='.repeat(70));
+console.log(`\n✅ Passed: ${passCount}`);
+console.log(`❌ Failed: ${failCount}`);
+console.log(`📊 Total:  ${passCount + failCount}`);
+
+if (failCount === 0) {
+  console.log('\n🎉 All tests passed!');
+} else {
+  process.exit(1);
+}
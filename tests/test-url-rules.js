@@ -0,0 +1,118 @@
+/**
+ * Tests for include/exclude URL rules (crawl scope)
+ *
+ * Covers glob conversion, path vs full-URL matching, regex rules,
+ * first-match-wins ordering and validation errors.
+ *
+ * Run with: node test-url-rules.js
+ */
+
+import { compileUrlRules, matchUrlRules, globToRegExp } from '../lib/url-rules.js';
+
+let passCount = 0;
+let failCount = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`✅ ${name}`);
+    passCount++;
+  } catch (error) {
+    console.log(`❌ ${name}`);
+    console.log(`   Error: ${error.message}`);
+    failCount++;
+  }
+}
+
+function assertEqual(actual, expected, message = '') {
+  if (actual !== expected) {
+    throw new Error(`${message}\n   Expected: ${expected}\n   Actual: ${actual}`);
+  }
+}
+
+function isAllowed(rules, url) {
+  return matchUrlRules(compileUrlRules(rules), url).allowed;
+}
+
+console.log('='.repeat(70));
+console.log('URL RULES TESTS');
+console.log('='.repeat(70) + '\n');
+
+test('* stays within a segment, ** crosses segments', () => {
+  assertEqual(globToRegExp('/docs/*').test('/docs/intro'), true, '/docs/intro');
+  assertEqual(globToRegExp('/docs/*').test('/docs/guides/intro'), false, '/docs/guides/intro');
+  assertEqual(globToRegExp('/docs/**/intro').test('/docs/guides/setup/intro'), true, 'nested');
+});
+
+test('trailing /** also matches the directory itself', () => {
+  const regex = globToRegExp('/docs/changelog/**');
+  assertEqual(regex.test('/docs/changelog'), true, '/docs/changelog');
+  assertEqual(regex.test('/docs/changelog/2024'), true, '/docs/changelog/2024');
+  assertEqual(regex.test('/docs/changelog-old'), false, '/docs/changelog-old');
+});
+
+test('no rules allows everything', () => {
+  assertEqual(isAllowed([], 'https://example.com/anything'), true);
+  assertEqual(isAllowed(undefined, 'https://example.com/anything'), true);
+});
+
+test('exclude glob and regex rules drop matching URLs', () => {
+  const rules = [
+    { type: 'exclude', pattern: '/docs/changelog/**' },
+    { type: 'exclude', pattern: '/v1/', syntax: 'regex' }
+  ];
+  assertEqual(isAllowed(rules, 'https://example.com/docs/changelog/2024'), false, 'changelog');
+  assertEqual(isAllowed(rules, 'https://example.com/docs/api/v1/users'), false, 'v1');
+  assertEqual(isAllowed(rules, 'https://example.com/docs/api/v2/users'), true, 'v2');
+});
+
+test('first matching rule wins', () => {
+  const rules = [
+    { type: 'include', pattern: '/docs/changelog/latest' },
+    { type: 'exclude', pattern: '/docs/changelog/**' }
+  ];
+  assertEqual(isAllowed(rules, 'https://example.com/docs/changelog/latest'), true, 'latest');
+  assertEqual(isAllowed(rules, 'https://example.com/docs/changelog/2023'), false, '2023');
+});
+
+test('with include rules, unmatched URLs are dropped', () => {
+  const rules = [{ type: 'include', pattern: '/docs/guides/**' }];
+  assertEqual(isAllowed(rules, 'https://example.com/docs/guides/setup'), true, 'guides');
+  const verdict = matchUrlRules(compileUrlRules(rules), 'https://example.com/docs/reference');
+  assertEqual(verdict.allowed, false, 'reference');
+  assertEqual(verdict.rule, 'no include rule matched', 'rule label');
+});
+
+test('globs without a leading slash match the full URL', () => {
+  const rules = [{ type: 'exclude', pattern: 'https://blog.example.com/**' }];
+  assertEqual(isAllowed(rules, 'https://blog.example.com/post'), false, 'blog');
+  assertEqual(isAllowed(rules, 'https://example.com/post'), true, 'main site');
+});
+
+test('invalid rules are rejected with the rule number', () => {
+  const cases = [
+    [{ type: 'exclude', pattern: '([', syntax: 'regex' }],
+    [{ type: 'skip', pattern: '/x' }],
+    [{ type: 'include', pattern: '   ' }]
+  ];
+  for (const rules of cases) {
+    let message = null;
+    try {
+      compileUrlRules(rules);
+    } catch (error) {
+      message = error.message;
+    }
+    assertEqual(message !== null && message.startsWith('URL rule 1:'), true, JSON.stringify(rules));
+  }
+});
+
+console.log('\n' + '='.repeat(70));
+console.log(`\n✅ Passed: ${passCount}`);
+console.log(`❌ Failed: ${failCount}`);
+console.log(`📊 Total:  ${passCount + failCount}`);
+
+if (failCount === 0) {
+  console.log('\n🎉 All tests passed!');
+} else {
+  process.exit(1);
+}
@@ -0,0 +1,130 @@
+/**
+ * Tests for the global worker budget shared by concurrent crawls
+ *
+ * Covers slot limits, first-come-first-served hand-over between
+ * waiting workers and giving up a wait when a crawl is cancelled.
+ *
+ * Run with: node test-worker-budget.js
+ */
+
+import { WorkerBudget } from '../lib/worker-budget.js';
+
+let passCount = 0;
+let failCount = 0;
+
+async function test(name, fn) {
+  try {
+    await fn();
+    console.log(`✅ ${name}`);
+    passCount++;
+  } catch (error) {
+    console.log(`❌ ${name}`);
+    console.log(`   Error: ${error.message}`);
+    failCount++;
+  }
+}
+
+function assertEqual(actual, expected, message = '') {
+  if (actual !== expected) {
+    throw new Error(`${message}\n   Expected: ${expected}\n   Actual: ${actual}`);
+  }
+}
+
+// Let pending promise callbacks run
+function flush() {
+  return new Promise(resolve => setTimeout(resolve, 0));
+}
+
+console.log('='.repeat(70));
+console.log('WORKER BUDGET TESTS');
+console.log('='.repeat(70) + '\n');
+
+await test('grants slots up to the limit', async () => {
+  const budget = new WorkerBudget(2);
+  assertEqual(await budget.acquire(), true, 'first');
+  assertEqual(await budget.acquire(), true, 'second');
+
+  let third = false;
+  budget.acquire().then(granted => { third = granted; });
+  await flush();
+  assertEqual(third, false, 'third waits');
+  assertEqual(JSON.stringify(budget.getStatus()), '{"limit":2,"inUse":2,"waiting":1}', 'status');
+
+  budget.release();
+  await flush();
+  assertEqual(third, true, 'third granted after release');
+  assertEqual(budget.inUse, 2, 'slot handed over, not freed');
+});
+
+await test('serves waiters in arrival order across jobs', async () => {
+  const budget = new WorkerBudget(1);
+  await budget.acquire();
+
+  const order = [];
+  budget.acquire().then(() => order.push('job A'));
+  budget.acquire().then(() => order.push('job B'));
+  budget.acquire().then(() => order.push('job A again'));
+  await flush();
+
+  budget.release();
+  await flush();
+  budget.release();
+  await flush();
+  budget.release();
+  await flush();
+
+  assertEqual(order.join(', '), 'job A, job B, job A again');
+});
+
+await test('new requests queue behind existing waiters', async () => {
+  const budget = new WorkerBudget(1);
+  await budget.acquire();
+
+  const order = [];
+  budget.acquire().then(() => order.push('waiting'));
+  await flush();
+
+  // A slot is released, then someone new asks before the waiter runs
+  budget.release();
+  budget.acquire().then(() => order.push('newcomer'));
+  await flush();
+
+  assertEqual(order.join(', '), 'waiting', 'waiter got the freed slot');
+  budget.release();
+  await flush();
+  assertEqual(order.join(', '), 'waiting, newcomer');
+});
+
+await test('cancelled waits give up without taking a slot', async () => {
+  const budget = new WorkerBudget(1);
+  await budget.acquire();
+
+  let cancelled = false;
+  const result = budget.acquire(() => cancelled);
+  await flush();
+  assertEqual(budget.waiting, 1, 'waiting');
+
+  cancelled = true;
+  assertEqual(await result, false, 'wait aborted');
+  assertEqual(budget.waiting, 0, 'removed from waiters');
+
+  budget.release();
+  assertEqual(budget.inUse, 0, 'slot freed');
+});
+
+await test('already-cancelled requests return immediately', async () => {
+  const budget = new WorkerBudget(3);
+  assertEqual(await budget.acquire(() => true), false);
+  assertEqual(budget.inUse, 0);
+});
+
+console.log('\n' + '='.repeat(70));
+console.log(`\n✅ Passed: ${passCount}`);
+console.log(`❌ Failed: ${failCount}`);
+console.log(`📊 Total:  ${passCount + failCount}`);
+
+if (failCount === 0) {
+  console.log('\n🎉 All tests passed!');
+} else {
+  process.exit(1);
+}